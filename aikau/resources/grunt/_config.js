@@ -17,6 +17,7 @@ module.exports = {
       reporter: "src/test/resources/reporters/ConcurrentReporter.js",
       test: "tests/alfresco/**",
       testApp: "src/test/resources/testApp/WEB-INF/classes/alfresco/site-webscripts/**",
+      testPageControllers: "src/test/resources/testApp/WEB-INF/classes/alfresco/site-webscripts/**/*.get.js",
       testPageDescriptors: "src/test/resources/testApp/WEB-INF/classes/alfresco/site-webscripts/**/*.get.desc.xml",
       testFramework: "src/test/resources/testApp/js/aikau/testing/**",
       testModel: "src/test/resources/alfresco/**/*.json",
@@ -43,6 +44,22 @@ module.exports = {
       vagrant: "resources/vagrant"
    },
 
+   // Page model validation settings
+   modelValidation: {
+      generatedModules: [
+         "aikauTesting/RequireEverything"
+      ],
+      invalidModels: [
+         "src/test/resources/testApp/WEB-INF/classes/alfresco/site-webscripts/alfresco/core/ModelValidation.get.js"
+      ],
+      packages: {
+         aikau: "src/main/resources/aikau",
+         aikauTesting: "src/test/resources/testApp/js/aikau/testing",
+         alfresco: "src/main/resources/alfresco"
+      },
+      validator: "src/main/resources/alfresco/core/ModelValidator.js"
+   },
+
    // Require-everything settings
    requireEverything: {
       exclusions: [
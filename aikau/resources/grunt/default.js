@@ -13,6 +13,7 @@ ${ANSI.Bright}clientPatch${ANSI.Reset}    Build and copy the latest Aikau JAR to
 ${ANSI.Bright}jsdoc${ANSI.Reset}          Build the JSDoc
 ${ANSI.Bright}docs${ANSI.Reset}           Build the JSDoc, deploy to a temporary server, and launch a web browser to view it
 ${ANSI.Bright}jshint${ANSI.Reset}         JSHint the src and test code ${ANSI.Dim}(as Bamboo will do once committed)${ANSI.Reset}
+${ANSI.Bright}validateModels${ANSI.Reset} Validate the unit-test page models against the widget and service schemas ${ANSI.Dim}(use "--models=<glob>" for other models)${ANSI.Reset}
 
 ${ANSI.FgBlue}Vagrant${ANSI.Reset}
 ${ANSI.Bright}vcreate${ANSI.Reset}        Create a new vagrant box ${ANSI.Dim}(this will destroy any existing one)${ANSI.Reset}
@@ -0,0 +1,134 @@
+/*jshint latedef:false,esversion:6*/
+var fs = require("fs"),
+   path = require("path"),
+   vm = require("vm"),
+   alfConfig = require("./_config");
+
+// Modify grunt
+module.exports = function(grunt) {
+
+   // Need strict mode for block-level scoping
+   "use strict";
+
+   grunt.registerMultiTask("validateModels", "Validate the unit-test page models against the widget and service schemas", function() {
+
+      // Setup variables
+      var filePaths = grunt.option("models") ? grunt.file.expand(grunt.option("models")) : this.files[0].src,
+         packages = alfConfig.modelValidation.packages,
+         pwd = process.cwd(),
+         schemas = {},
+         modules = {},
+         validatedCount = 0,
+         skippedCount = 0,
+         issueCount = 0;
+
+      // The validator is an AMD module without dependencies, so it can be loaded with a minimal "define"
+      var validator = null;
+      vm.runInNewContext(fs.readFileSync(path.join(pwd, alfConfig.modelValidation.validator), "utf8"), {
+         define: (deps, factory) => {
+            validator = factory();
+         }
+      });
+
+      // Map a module name onto a file path using the configured packages
+      var getModulePath = function(moduleName, suffix) {
+         var packageName = moduleName.split("/")[0],
+            location = packages[packageName];
+         return location ? path.join(pwd, location, moduleName.substring(packageName.length) + suffix) : null;
+      };
+
+      // Load the schema for a module (and any schemas that it references)
+      var loadSchema = function(moduleName) {
+         if (!schemas.hasOwnProperty(moduleName)) {
+            schemas[moduleName] = null;
+            let schemaPath = getModulePath(moduleName, ".schema.json");
+            if (schemaPath && fs.existsSync(schemaPath)) {
+               schemas[moduleName] = grunt.file.readJSON(schemaPath);
+               validator.getSchemaReferences(schemas[moduleName]).forEach(loadSchema);
+            }
+         }
+      };
+
+      // Check whether or not a module can be resolved (generated modules and modules from unknown packages are not checked)
+      var checkModule = function(moduleName) {
+         if (!modules.hasOwnProperty(moduleName)) {
+            let modulePath = getModulePath(moduleName, ".js");
+            let generated = alfConfig.modelValidation.generatedModules.indexOf(moduleName) !== -1;
+            modules[moduleName] = (modulePath && !generated) ? fs.existsSync(modulePath) : undefined;
+         }
+      };
+
+      // Evaluate a WebScript controller to get the page model that it builds
+      var getModel = function(filePath) {
+         var sandbox = {
+            args: {},
+            msg: {
+               get: key => key
+            },
+            model: {},
+            page: {
+               url: {
+                  args: {},
+                  templateArgs: {}
+               }
+            },
+            url: {
+               args: {},
+               templateArgs: {}
+            }
+         };
+         var content = fs.readFileSync(path.join(pwd, filePath), "utf8").replace(/^<import .*>\s*$/mg, "");
+         vm.runInNewContext(content, sandbox, {
+            filename: filePath,
+            timeout: 1000
+         });
+         return sandbox.model.jsonModel;
+      };
+
+      filePaths.forEach(filePath => {
+         var model;
+         try {
+            model = getModel(filePath);
+         } catch (e) {
+            grunt.verbose.writeln("...skipping file " + filePath + " (" + e.message + ")");
+         }
+         if (model) {
+            validatedCount++;
+            validator.getModuleNames(model).forEach(moduleName => {
+               loadSchema(moduleName);
+               checkModule(moduleName);
+            });
+            let issues = validator.validate(model, {
+               schemas: schemas,
+               modules: modules
+            });
+            if (issues.length) {
+               grunt.log.writeln("");
+               grunt.log.writeln(filePath);
+               issues.forEach(issue => {
+                  grunt.log.error(`${issue.path} - ${issue.message} [${issue.type}]`);
+               });
+               issueCount += issues.length;
+            }
+         } else {
+            skippedCount++;
+         }
+      });
+
+      grunt.log.writeln("");
+      grunt.log.writeln(`Validated ${validatedCount} models (${skippedCount} skipped)`);
+      if (issueCount) {
+         grunt.fail.warn(`Found ${issueCount} issues in page models`);
+      } else {
+         grunt.log.ok("No issues found");
+      }
+   });
+
+   // Update the grunt config
+   grunt.config.merge({
+      validateModels: {
+         src: [alfConfig.files.testPageControllers].concat(alfConfig.modelValidation.invalidModels.map(model => "!" + model))
+      }
+   });
+
+};
@@ -80,15 +80,18 @@ define(["dojo/_base/declare",
                   promisedItem && promisedItems.push(promisedItem);
                }, this);
                
-               return Promise.all(promisedItems).then(
-                  lang.hitch(this, function(renderedItems) {
+               return Promise.all(promisedItems)
+                  .then(lang.hitch(this, function(renderedItems) {
                      this._renderedItemWidgets = renderedItems;
-                     this.allItemsRendered();
-                     resolve(renderedItems);
-                  }),
-                  lang.hitch(this, function(reason) {
-                     reject(reason);
-                  }));
+
+                     // Wait for any additional rendering performed once all the items are rendered 
+                     // (e.g. the rendering of group headers) before resolving, so that any failure
+                     // in that rendering also rejects the promise...
+                     return Promise.resolve(this.allItemsRendered()).then(function() {
+                        return renderedItems;
+                     });
+                  }))
+                  .then(resolve, reject);
             }
             else
             {
@@ -0,0 +1,56 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * An area chart for displaying series of values over categories, typically dates. This supports all
+ * of the configuration of the [LineChart]{@link module:alfresco/charts/ccc/LineChart} but fills the area
+ * beneath each line. Configuring [stacked]{@link module:alfresco/charts/ccc/LineChart#stacked} to be true
+ * will show the contribution of each series to the total.
+ *
+ * @module alfresco/charts/ccc/AreaChart
+ * @extends module:alfresco/charts/ccc/LineChart
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["dojo/_base/declare",
+   "alfresco/charts/ccc/LineChart"],
+      function(declare, LineChart) {
+
+         return declare([LineChart], {
+
+            /**
+             * The Protovis class that will be wrapped inside this widget.
+             *
+             * @instance
+             * @type {string}
+             */
+            pvcChartType: "AreaChart",
+
+            /**
+             * Overrides the [inherited default]{@link module:alfresco/charts/ccc/LineChart#dotsVisible} so that
+             * only the areas are rendered.
+             *
+             * @instance
+             * @type {boolean}
+             * @default
+             */
+            dotsVisible: false
+
+         });
+      });
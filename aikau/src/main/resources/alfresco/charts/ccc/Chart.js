@@ -39,11 +39,12 @@ define(["dojo/_base/declare",
    "alfresco/core/CoreWidgetProcessing",
    "alfresco/core/DomElementUtils",
    "dojo/_base/lang",
+   "dojo/_base/array",
    "dojo/on",
    "dojo/dom-geometry",
    "dojo/dom-style"],
       function(declare, _WidgetBase, _TemplatedMixin, template,
-               AlfCore, CoreWidgetProcessing, DomElementUtils, lang, dojoOn, domGeom, domStyle) {
+               AlfCore, CoreWidgetProcessing, DomElementUtils, lang, array, dojoOn, domGeom, domStyle) {
 
          return declare([_WidgetBase, _TemplatedMixin, AlfCore, CoreWidgetProcessing, DomElementUtils], {
 
@@ -105,6 +106,54 @@ define(["dojo/_base/declare",
              */
             clickTopic: null,
 
+            /**
+             * The topic to publish when a chart data item has been clicked in order to drill down into the
+             * data that it represents. Unlike the [clickTopic]{@link module:alfresco/charts/ccc/Chart#clickTopic}
+             * the payload is an object containing the "category", "series" and "dataValue" of the clicked item.
+             * If a [drillDownFilterName]{@link module:alfresco/charts/ccc/Chart#drillDownFilterName} is configured
+             * then the payload also contains "name" and "value" attributes so that it can be used as one of the
+             * [filteringTopics]{@link module:alfresco/lists/AlfList#filteringTopics} of a list.
+             *
+             * @instance
+             * @type {string}
+             * @default
+             * @since 1.0.106
+             */
+            drillDownTopic: null,
+
+            /**
+             * The name of the filter to include in the [drillDownTopic]{@link module:alfresco/charts/ccc/Chart#drillDownTopic}
+             * payload.
+             *
+             * @instance
+             * @type {string}
+             * @default
+             * @since 1.0.106
+             */
+            drillDownFilterName: null,
+
+            /**
+             * The attribute of the clicked item (either "category" or "series") to use as the value of the
+             * [drillDownFilterName]{@link module:alfresco/charts/ccc/Chart#drillDownFilterName} filter.
+             *
+             * @instance
+             * @type {string}
+             * @default
+             * @since 1.0.106
+             */
+            drillDownProperty: "category",
+
+            /**
+             * Indicates whether or not the [drillDownTopic]{@link module:alfresco/charts/ccc/Chart#drillDownTopic}
+             * should be published globally.
+             *
+             * @instance
+             * @type {boolean}
+             * @default
+             * @since 1.0.106
+             */
+            drillDownPublishGlobal: false,
+
             /**
              * The chart title
              *
@@ -151,6 +200,17 @@ define(["dojo/_base/declare",
              */
             legend: false,
 
+            /**
+             * Indicates what happens when a legend item is clicked. By default the series is shown or hidden,
+             * it can also be configured to be "toggleSelected" or "none".
+             *
+             * @instance
+             * @type {string}
+             * @default
+             * @since 1.0.106
+             */
+            legendClickMode: "toggleVisible",
+
             /**
              * Indicates if the chart's visual elements can be selected by the user, by clicking on them or using the
              * rubber-band.
@@ -185,6 +245,19 @@ define(["dojo/_base/declare",
                enabled: true
             },
 
+            /**
+             * A string (or i18n key) to use to generate the tooltips of the chart items when no format
+             * function has been configured for the [tooltip]{@link module:alfresco/charts/ccc/Chart#tooltip}.
+             * The tokens "{category}", "{series}" and "{value}" will be replaced with the (encoded) labels of
+             * the item.
+             *
+             * @instance
+             * @type {string}
+             * @default
+             * @since 1.0.106
+             */
+            tooltipMask: null,
+
             /**
              * An array of dimensions readers.
              * Can be specified to customize the translation process of the data source.
@@ -303,6 +376,10 @@ define(["dojo/_base/declare",
                config.titlePosition = this.titlePosition;
 
                config.legend = this.legend;
+               if (this.legend)
+               {
+                  config.legendClickMode = this.legendClickMode;
+               }
 
                config.selectable = this.selectable;
                config.hoverable = this.hoverable;
@@ -317,13 +394,13 @@ define(["dojo/_base/declare",
                   config.extensionPoints = this.extensionPoints;
                }
 
-               if (this.clickTopic)
+               if (this.clickTopic || this.drillDownTopic)
                {
                   config.clickable = true;
                   config.clickAction = lang.hitch(this, this.onItemClick);
                }
 
-               config.tooltip = this.tooltip;
+               config.tooltip = this.createTooltipConfig();
 
                var styles = this.resolveCssStyles(this.baseClass + "--color", [1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19,20,21], {
                   backgroundColor: ["rgba(0, 0, 0, 0)", "transparent"]
@@ -345,6 +422,27 @@ define(["dojo/_base/declare",
                return config;
             },
 
+            /**
+             * Creates the tooltip options for the chart. When a [tooltipMask]{@link module:alfresco/charts/ccc/Chart#tooltipMask}
+             * is configured (and the [tooltip]{@link module:alfresco/charts/ccc/Chart#tooltip} has no format
+             * function) then [formatTooltip]{@link module:alfresco/charts/ccc/Chart#formatTooltip} is used to
+             * format the tooltips.
+             *
+             * @instance
+             * @return {object}
+             * @since 1.0.106
+             */
+            createTooltipConfig: function alfresco_charts_ccc_Chart__createTooltipConfig() {
+               var tooltip = this.tooltip;
+               if (this.tooltipMask && !(tooltip && tooltip.format))
+               {
+                  tooltip = lang.mixin({}, tooltip, {
+                     format: lang.hitch(this, this.formatTooltip)
+                  });
+               }
+               return tooltip;
+            },
+
             /**
              * Creates the CCC chart.
              *
@@ -356,12 +454,85 @@ define(["dojo/_base/declare",
 
             /**
              * Called when a chart item is clicked, will publish a topic with the name defined in the
-             * [clickTopic]{@link module:alfresco/charts/ccc/Chart#clickTopic}
+             * [clickTopic]{@link module:alfresco/charts/ccc/Chart#clickTopic} and/or the
+             * [drillDownTopic]{@link module:alfresco/charts/ccc/Chart#drillDownTopic}
              *
              * @param scene {object}
              */
             onItemClick: function(scene){
-               this.alfPublish(this.clickTopic, scene.atoms.category.rawValue);
+               if (this.clickTopic)
+               {
+                  this.alfPublish(this.clickTopic, scene.atoms.category.rawValue);
+               }
+               if (this.drillDownTopic)
+               {
+                  this.publishDrillDown(scene);
+               }
+            },
+
+            /**
+             * Publishes the details of the clicked chart item on the
+             * [drillDownTopic]{@link module:alfresco/charts/ccc/Chart#drillDownTopic}.
+             *
+             * @instance
+             * @param scene {object} The scene of the clicked item
+             * @since 1.0.106
+             */
+            publishDrillDown: function alfresco_charts_ccc_Chart__publishDrillDown(scene) {
+               var values = this.getSceneValues(scene, false);
+               var payload = {
+                  category: values.category,
+                  series: values.series,
+                  dataValue: values.value
+               };
+               if (this.drillDownFilterName)
+               {
+                  payload.name = this.drillDownFilterName;
+                  payload.value = values[this.drillDownProperty];
+               }
+               this.alfPublish(this.drillDownTopic, payload, this.drillDownPublishGlobal);
+            },
+
+            /**
+             * Gets the category, series and value of the supplied scene. Either the raw values or the
+             * formatted labels can be requested.
+             *
+             * @instance
+             * @param scene {object} The scene to get the values of
+             * @param useLabels {boolean} Indicates whether or not to return the labels rather than the raw values
+             * @return {object} An object with "category", "series" and "value" attributes
+             * @since 1.0.106
+             */
+            getSceneValues: function alfresco_charts_ccc_Chart__getSceneValues(scene, useLabels) {
+               var values = {};
+               array.forEach(["category", "series", "value"], function(name) {
+                  var atom = lang.getObject("atoms." + name, false, scene) || lang.getObject("datum.atoms." + name, false, scene);
+                  var value = atom ? (useLabels ? atom.label : atom.rawValue) : null;
+                  values[name] = (value === undefined) ? null : value;
+               });
+               return values;
+            },
+
+            /**
+             * Generates a tooltip for the supplied scene from the
+             * [tooltipMask]{@link module:alfresco/charts/ccc/Chart#tooltipMask}.
+             *
+             * @instance
+             * @param scene {object} The scene to generate the tooltip for
+             * @return {string} The tooltip HTML
+             * @since 1.0.106
+             */
+            formatTooltip: function alfresco_charts_ccc_Chart__formatTooltip(scene) {
+               var values = this.getSceneValues(scene, true);
+               var encodedValues = {};
+               for (var name in values)
+               {
+                  if (values.hasOwnProperty(name))
+                  {
+                     encodedValues[name] = (values[name] === null) ? "" : this.encodeHTML(String(values[name]));
+                  }
+               }
+               return lang.replace(this.message(this.tooltipMask), encodedValues);
             },
 
             /**
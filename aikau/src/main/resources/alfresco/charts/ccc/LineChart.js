@@ -0,0 +1,140 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * A line chart for displaying series of values over categories, typically dates. When
+ * [timeSeries]{@link module:alfresco/charts/ccc/LineChart#timeSeries} is configured to be true the
+ * categories are parsed as dates using the [timeSeriesFormat]{@link module:alfresco/charts/ccc/LineChart#timeSeriesFormat}
+ * and are plotted on a continuous time axis.
+ *
+ * @example <caption>Example configuration of a time series that filters a list when a point is clicked</caption>
+ * {
+ *   name: "alfresco/charts/ccc/LineChart",
+ *   config: {
+ *     dataTopic: "ALF_RETRIEVE_ACTIVITY_REPORT",
+ *     timeSeries: true,
+ *     legend: true,
+ *     drillDownTopic: "ACTIVITY_DATE_SELECTED",
+ *     drillDownFilterName: "date"
+ *   }
+ * }
+ *
+ * @module alfresco/charts/ccc/LineChart
+ * @extends module:alfresco/charts/ccc/Chart
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["dojo/_base/declare",
+   "alfresco/charts/ccc/Chart"],
+      function(declare, Chart) {
+
+         return declare([Chart], {
+
+            /**
+             * The Protovis class that will be wrapped inside this widget.
+             *
+             * @instance
+             * @type {string}
+             */
+            pvcChartType: "LineChart",
+
+            /**
+             * An array of the i18n files to use with this widget.
+             *
+             * @instance
+             * @type {object[]}
+             * @default [{i18nFile: "./i18n/LineChart.properties"}]
+             */
+            i18nRequirements: [{i18nFile: "./i18n/LineChart.properties"}],
+
+            /**
+             * Indicates whether or not a dot is rendered for each value. Dots are the targets for clicks
+             * when a [drillDownTopic]{@link module:alfresco/charts/ccc/Chart#drillDownTopic} is configured.
+             *
+             * For more details visit:
+             * {@link http://www.webdetails.pt/ctools/charts/jsdoc/symbols/pvc.options.charts.LineChart.html#dotsVisible}
+             *
+             * @instance
+             * @type {boolean}
+             * @default
+             */
+            dotsVisible: true,
+
+            /**
+             * Indicates whether or not the values of each series should be stacked on top of each other.
+             *
+             * @instance
+             * @type {boolean}
+             * @default
+             */
+            stacked: false,
+
+            /**
+             * Indicates whether or not the categories are dates that should be plotted on a time axis.
+             *
+             * @instance
+             * @type {boolean}
+             * @default
+             */
+            timeSeries: false,
+
+            /**
+             * The format of the dates in the data when [timeSeries]{@link module:alfresco/charts/ccc/LineChart#timeSeries}
+             * is configured to be true.
+             *
+             * For more details visit:
+             * {@link http://www.webdetails.pt/ctools/charts/jsdoc/symbols/pvc.options.charts.LineChart.html#timeSeriesFormat}
+             *
+             * @instance
+             * @type {string}
+             * @default
+             */
+            timeSeriesFormat: "%Y-%m-%d",
+
+            /**
+             * Overrides the [inherited default]{@link module:alfresco/charts/ccc/Chart#tooltipMask} to show
+             * the series, category and value of each item.
+             *
+             * @instance
+             * @type {string}
+             * @default
+             */
+            tooltipMask: "linechart.tooltip",
+
+            /**
+             * Extends the [inherited function]{@link module:alfresco/charts/ccc/Chart#createChartConfig} to
+             * add the line chart specific options.
+             *
+             * @instance
+             * @return {object}
+             */
+            createChartConfig: function alfresco_charts_ccc_LineChart__createChartConfig(){
+               var config = this.inherited(arguments);
+               config.dotsVisible = this.dotsVisible;
+               config.stacked = this.stacked;
+               if (this.timeSeries)
+               {
+                  config.timeSeries = true;
+                  config.timeSeriesFormat = this.timeSeriesFormat;
+               }
+               return config;
+            }
+
+         });
+      });
@@ -37,8 +37,11 @@ define(["dojo/_base/declare",
         "dojo/_base/lang",
         "dojox/uuid/generateRandomUuid", 
         "dojox/html/entities", 
-        "dojo/Deferred"], 
-        function(declare, CoreData, PubSubLog, objUtils, AlfConstants, pubSub, PubQueue, array, lang, uuid, htmlEntities, Deferred) {
+        "dojo/Deferred",
+        "alfresco/core/PublishTimeoutError",
+        "alfresco/core/topics"], 
+        function(declare, CoreData, PubSubLog, objUtils, AlfConstants, pubSub, PubQueue, array, lang, uuid, htmlEntities, Deferred,
+                 PublishTimeoutError, alfTopics) {
 
    return declare(null, {
 
@@ -575,8 +578,6 @@ define(["dojo/_base/declare",
          }), delay);
       },
 
-      // TODO: Create alfSubscribeOnce that removes the event listener after it fires once.
-
       /**
        * This function wraps the standard Dojo subscribe function. It should always be used rather than
        * calling the Dojo implementation directly to allow us to make changes to the implementation or
@@ -593,44 +594,145 @@ define(["dojo/_base/declare",
        * @returns {object} A handle to the subscription
        */
       alfSubscribe: function alfresco_core_Core__alfSubscribe(topic, callback, global, parentScope, customScope) {
-         var publishScope = "";
-         var scopedTopic;
-         if (global === true) 
+         var scopedTopic = this._alfGetPubSubScope(global, parentScope, customScope) + topic;
+         if (AlfConstants.DEBUG)
          {
-            // No action required
-         } 
-         else if (parentScope === true) 
+            PubSubLog.getSingleton().sub(scopedTopic, callback, this);
+            this.alfPublish("ALF_LOG_SUBSCRIPTION_ACTIVITY", {
+               subscribedTopic: scopedTopic,
+               callback: callback,
+               subscriber: this
+            }, true);
+         }
+
+         var handle = pubSub.subscribe(scopedTopic, callback);
+         this._alfTrackSubscription(handle, scopedTopic);
+         return handle;
+      },
+
+      /**
+       * Subscribes to a topic (or [topic pattern]{@link module:alfresco/core/Core#alfSubscribePattern} if the
+       * topic contains a "*" wildcard) and then automatically unsubscribes after the first publication has
+       * been received. This avoids the need for callbacks to manually unsubscribe themselves.
+       *
+       * @callable
+       * @instance
+       * @param {string} topic The topic (or topic pattern) on which to subscribe
+       * @param {function} callback The callback function to call when the topic is first published on.
+       * @param {boolean} [global] Indicates that the pub/sub scope should not be applied
+       * @param {boolean} [parentScope] Indicates that the pub/sub scope inherited from the parent should be applied
+       * @param {String} [customScope] A custom scope to use for this subscription (will only be used if both global and parentScope are falsy)
+       * @returns {object} A handle to the subscription (this can be used to unsubscribe before the first publication)
+       * @since 1.0.106
+       */
+      alfSubscribeOnce: function alfresco_core_Core__alfSubscribeOnce(topic, callback, global, parentScope, customScope) {
+         var handle;
+         var onceCallback = lang.hitch(this, function alfresco_core_Core__alfSubscribeOnce__onceCallback() {
+            this.alfUnsubscribe(handle);
+            return callback.apply(this, arguments);
+         });
+         if (topic.indexOf("*") !== -1)
          {
-            publishScope = this.parentPubSubScope;
-         } 
-         else if (typeof customScope !== "undefined") 
+            handle = this.alfSubscribePattern(topic, onceCallback, global, parentScope, customScope);
+         }
+         else
          {
-            publishScope = customScope;
-         } 
-         else 
+            handle = this.alfSubscribe(topic, onceCallback, global, parentScope, customScope);
+         }
+         return handle;
+      },
+
+      /**
+       * Subscribes to all topics that match the supplied pattern. A pattern is a topic that contains one or
+       * more "*" wildcards, each of which matches any sequence of characters. The pub/sub scope is applied to
+       * the pattern in the same way as [alfSubscribe]{@link module:alfresco/core/Core#alfSubscribe} applies it
+       * to a topic (e.g. "ALF_DOCLIST_*" subscribed by a widget with the pubSubScope "SCOPE_" will match
+       * "SCOPE_ALF_DOCLIST_RELOAD_DATA"), unless the pattern starts with a wildcard in which case no scope is
+       * applied so that it will match the topic published in any scope (e.g. "*ALF_RELOAD_DATA").
+       *
+       * The callback will be passed both the payload and the actual topic that was published on. The
+       * subscription handle is added to [alfSubscriptions]{@link module:alfresco/core/Core#alfSubscriptions}
+       * so that it will be removed when the [destroy]{@link module:alfresco/core/Core#destroy} function is called.
+       *
+       * @callable
+       * @instance
+       * @param {string} pattern The topic pattern on which to subscribe
+       * @param {function} callback The callback function to call when a matching topic is published on.
+       * @param {boolean} [global] Indicates that the pub/sub scope should not be applied
+       * @param {boolean} [parentScope] Indicates that the pub/sub scope inherited from the parent should be applied
+       * @param {String} [customScope] A custom scope to use for this subscription (will only be used if both global and parentScope are falsy)
+       * @returns {object} A handle to the subscription
+       * @since 1.0.106
+       */
+      alfSubscribePattern: function alfresco_core_Core__alfSubscribePattern(pattern, callback, global, parentScope, customScope) {
+         var scopedPattern = pattern;
+         if (pattern.charAt(0) !== "*")
          {
-            publishScope = this.pubSubScope;
+            scopedPattern = this._alfGetPubSubScope(global, parentScope, customScope) + pattern;
          }
-         scopedTopic = publishScope + topic;
 
          if (AlfConstants.DEBUG)
          {
-            PubSubLog.getSingleton().sub(scopedTopic, callback, this);
+            PubSubLog.getSingleton().subPattern(scopedPattern, callback, this);
             this.alfPublish("ALF_LOG_SUBSCRIPTION_ACTIVITY", {
-               subscribedTopic: scopedTopic,
+               subscribedTopic: scopedPattern,
                callback: callback,
                subscriber: this
             }, true);
          }
 
-         var handle = pubSub.subscribe(scopedTopic, callback);
+         var handle = PubQueue.getSingleton().subscribePattern(scopedPattern, callback);
+         this._alfTrackSubscription(handle, scopedPattern);
+         return handle;
+      },
+
+      /**
+       * Determines the pub/sub scope to use for a subscription from the arguments that were provided.
+       *
+       * @instance
+       * @param {boolean} [global] Indicates that the pub/sub scope should not be applied
+       * @param {boolean} [parentScope] Indicates that the pub/sub scope inherited from the parent should be applied
+       * @param {String} [customScope] A custom scope to use (will only be used if both global and parentScope are falsy)
+       * @returns {string} The scope to apply
+       * @since 1.0.106
+       */
+      _alfGetPubSubScope: function alfresco_core_Core___alfGetPubSubScope(global, parentScope, customScope) {
+         var publishScope = "";
+         if (global === true)
+         {
+            return publishScope;
+         }
+         else if (parentScope === true)
+         {
+            publishScope = this.parentPubSubScope;
+         }
+         else if (typeof customScope !== "undefined")
+         {
+            publishScope = customScope;
+         }
+         else
+         {
+            publishScope = this.pubSubScope;
+         }
+         return publishScope;
+      },
+
+      /**
+       * Records the scoped topic on the supplied subscription handle and adds it to
+       * [alfSubscriptions]{@link module:alfresco/core/Core#alfSubscriptions}.
+       *
+       * @instance
+       * @param {object} handle The subscription handle
+       * @param {string} scopedTopic The topic (or topic pattern) that has been subscribed to
+       * @since 1.0.106
+       */
+      _alfTrackSubscription: function alfresco_core_Core___alfTrackSubscription(handle, scopedTopic) {
          if (!this.alfSubscriptions)
          {
             this.alfSubscriptions = [];
          }
          handle.scopedTopic = scopedTopic;
          this.alfSubscriptions.push(handle);
-         return handle;
       },
 
       /**
@@ -664,7 +766,8 @@ define(["dojo/_base/declare",
 
       /**
        * This function wraps the standard unsubscribe function. It should always be used rather than call
-       * the Dojo implementation directly.
+       * the Dojo implementation directly. Any handle that is unsubscribed will also be removed from
+       * [alfSubscriptions]{@link module:alfresco/core/Core#alfSubscriptions}.
        *
        * @callable
        * @instance
@@ -692,6 +795,11 @@ define(["dojo/_base/declare",
                }
 
                individualHandle.remove();
+               var index = array.indexOf(this.alfSubscriptions || [], individualHandle);
+               if (index !== -1)
+               {
+                  this.alfSubscriptions.splice(index, 1);
+               }
             }, this);
          }
       },
@@ -828,41 +936,151 @@ define(["dojo/_base/declare",
        * where the response (i.e. subsequent subscription) is only relevant for this one instance. The
        * response topic is generated automatically, and does not need to be supplied in the payload.
        *
+       * <p>The returned promise can be cancelled by calling its "cancel" function. This will remove the
+       * response subscriptions and publish a [request to stop]{@link module:alfresco/core/topics#STOP_XHR_REQUEST}
+       * using the generated response topic as the "requestId" so that any service still processing the
+       * request is able to abandon it. The promise will then be rejected with a dojo/errors/CancelError.</p>
+       *
+       * <p>When a timeout is provided in the options the promise will be rejected with a
+       * [PublishTimeoutError]{@link module:alfresco/core/PublishTimeoutError} if no response is received
+       * in time. Retries should only be requested for idempotent requests (e.g. data retrieval) as a failed
+       * or timed out request will be published again, waiting for the retry delay (which doubles with each
+       * subsequent retry) before doing so.</p>
+       *
        * @instance
        * @param {String} topic The topic on which to publish
        * @param {object} payload The payload to publish on the supplied topic
        * @param {boolean} [global] Indicates that the pub/sub scope should not be applied
        * @param {boolean} [parentScope] Indicates that the pub/sub scope inherited from the parent should be applied
+       * @param {object} [options] Additional options for handling the request
+       * @param {number} [options.timeout=0] The number of milliseconds to wait for a response before failing (0 waits indefinitely)
+       * @param {number} [options.retries=0] The number of times to retry a failed or timed out request
+       * @param {number} [options.retryDelay=1000] The number of milliseconds to wait before the first retry
        * @returns {object} A dojo/promise/Promise
        */
-      alfPublishToPromise: function alfresco_core_Core__alfPubSubToPromise(topic, payload, global, parentScope) {
-         // Setup the publish variables and handlers
-         var deferred = new Deferred(),
-            responseTopic = uuid(),
-            subscriptionHandles = [],
+      alfPublishToPromise: function alfresco_core_Core__alfPubSubToPromise(topic, payload, global, parentScope, options) {
+         var request = {
+            topic: topic,
+            payload: payload || {},
+            global: global,
+            parentScope: parentScope,
+            options: lang.mixin({
+               timeout: 0,
+               retries: 0,
+               retryDelay: 1000
+            }, options || {}),
+            attempt: 0,
+            current: null,
+            retryTimer: null
+         };
+
+         // Cancelling the request removes any subscriptions and notifies services that the
+         // request can be abandoned. Returning nothing ensures a CancelError is used as the reason.
+         request.deferred = new Deferred(lang.hitch(this, function() {
+            window.clearTimeout(request.retryTimer);
+            if (request.current)
+            {
+               this._alfEndPublishToPromiseAttempt(request, true);
+            }
+         }));
+
+         this._alfPublishToPromiseAttempt(request);
+         return request.deferred.promise;
+      },
+
+      /**
+       * Makes a single attempt to publish a request made via
+       * [alfPublishToPromise]{@link module:alfresco/core/Core#alfPublishToPromise}. A new response topic is
+       * generated for each attempt so that a late response to an earlier attempt cannot settle the promise.
+       *
+       * @instance
+       * @param {object} request The state of the request
+       * @since 1.0.106
+       */
+      _alfPublishToPromiseAttempt: function alfresco_core_Core___alfPublishToPromiseAttempt(request) {
+         var responseTopic = uuid(),
             publishPayload = lang.mixin({
                alfResponseTopic: responseTopic
-            }, payload || {}),
-            resultsProperty = payload.resultsProperty || "response";
+            }, request.payload),
+            resultsProperty = request.payload.resultsProperty || "response";
+
+         var attempt = request.current = {
+            responseTopic: responseTopic,
+            handles: []
+         };
 
          // Define the subscription handlers
          var successHandler = lang.hitch(this, function(response) {
-               this.alfUnsubscribeSaveHandles(subscriptionHandles);
-               deferred.resolve(response[resultsProperty]);
+               this._alfEndPublishToPromiseAttempt(request);
+               request.deferred.resolve(response[resultsProperty]);
             }),
             failureHandler = lang.hitch(this, function(response) {
-               this.alfUnsubscribeSaveHandles(subscriptionHandles);
-               deferred.reject(response);
+               this._alfEndPublishToPromiseAttempt(request);
+               this._alfRetryPublishToPromise(request, response);
             });
 
+         if (request.options.timeout > 0)
+         {
+            attempt.timer = window.setTimeout(lang.hitch(this, function() {
+               this._alfEndPublishToPromiseAttempt(request, true);
+               var message = "No response received to publication on '" + request.topic + "' within " + request.options.timeout + "ms";
+               this._alfRetryPublishToPromise(request, new PublishTimeoutError(message, request.topic, request.options.timeout));
+            }), request.options.timeout);
+         }
+
          // Do subscriptions and publish
-         subscriptionHandles.push(this.alfSubscribe(responseTopic, successHandler));
-         subscriptionHandles.push(this.alfSubscribe(responseTopic + "_SUCCESS", successHandler));
-         subscriptionHandles.push(this.alfSubscribe(responseTopic + "_FAILURE", failureHandler));
-         this.alfPublish(topic, publishPayload, global, parentScope);
+         attempt.handles.push(this.alfSubscribe(responseTopic, successHandler));
+         attempt.handles.push(this.alfSubscribe(responseTopic + "_SUCCESS", successHandler));
+         attempt.handles.push(this.alfSubscribe(responseTopic + "_FAILURE", failureHandler));
+         this.alfPublish(request.topic, publishPayload, request.global, request.parentScope);
+      },
 
-         // Pass back the promise
-         return deferred.promise;
+      /**
+       * Ends the current attempt of a request made via
+       * [alfPublishToPromise]{@link module:alfresco/core/Core#alfPublishToPromise} by removing its
+       * subscriptions and timeout. When the attempt is being abandoned (because it has timed out or been
+       * cancelled) then a [request to stop]{@link module:alfresco/core/topics#STOP_XHR_REQUEST} is published.
+       *
+       * @instance
+       * @param {object} request The state of the request
+       * @param {boolean} [abandoned] Indicates that no response has been received
+       * @fires module:alfresco/core/topics#STOP_XHR_REQUEST
+       * @since 1.0.106
+       */
+      _alfEndPublishToPromiseAttempt: function alfresco_core_Core___alfEndPublishToPromiseAttempt(request, abandoned) {
+         var attempt = request.current;
+         request.current = null;
+         window.clearTimeout(attempt.timer);
+         this.alfUnsubscribeSaveHandles(attempt.handles);
+         if (abandoned)
+         {
+            this.alfPublish(alfTopics.STOP_XHR_REQUEST, {
+               requestId: attempt.responseTopic
+            }, true);
+         }
+      },
+
+      /**
+       * Publishes a failed request made via [alfPublishToPromise]{@link module:alfresco/core/Core#alfPublishToPromise}
+       * again if there are retries remaining (doubling the delay before each retry) or otherwise rejects the
+       * promise with the supplied reason.
+       *
+       * @instance
+       * @param {object} request The state of the request
+       * @param {object} reason The failure response or timeout error
+       * @since 1.0.106
+       */
+      _alfRetryPublishToPromise: function alfresco_core_Core___alfRetryPublishToPromise(request, reason) {
+         if (request.attempt < request.options.retries)
+         {
+            var delay = request.options.retryDelay * Math.pow(2, request.attempt);
+            request.attempt++;
+            request.retryTimer = window.setTimeout(lang.hitch(this, this._alfPublishToPromiseAttempt, request), delay);
+         }
+         else
+         {
+            request.deferred.reject(reason);
+         }
       }
    });
 });
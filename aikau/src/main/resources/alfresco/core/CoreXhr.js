@@ -28,6 +28,7 @@
 define(["dojo/_base/declare",
         "alfresco/core/Core",
         "alfresco/core/topics",
+        "alfresco/core/RequestCache",
         "service/constants/Default",
         "webscripts/defaults",
         "dijit/registry",
@@ -40,7 +41,7 @@ define(["dojo/_base/declare",
         "dojo/json",
         "dojo/date/stamp",
         "dojo/cookie"],
-        function(declare, Core, topics, AlfConstants, webScriptDefaults, registry, pubSub, array, 
+        function(declare, Core, topics, RequestCache, AlfConstants, webScriptDefaults, registry, pubSub, array, 
                  lang, domConstruct, uuid, xhr, JSON, stamp, dojoCookie) {
 
    return declare([Core], {
@@ -65,6 +66,32 @@ define(["dojo/_base/declare",
        */
       preventCache: false,
 
+      /**
+       * Indicates whether or not identical GET requests (those with the same URL, query, headers and
+       * response type) that are in flight at the same time should be coalesced so that only a single
+       * XHR request is made. Requests that use the cache busting parameter are never coalesced. This
+       * can also be disabled for an individual request by setting "coalesce" to false in its configuration.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       * @since 1.0.106
+       */
+      coalesceRequests: true,
+
+      /**
+       * The number of milliseconds to cache the responses to GET requests for. Responses are cached
+       * against the URL, query and headers of the request and are not cached by default. This can be
+       * overridden for an individual request by setting "cacheTtl" in its configuration. Cached responses
+       * can be removed by publishing on [INVALIDATE_XHR_CACHE]{@link module:alfresco/core/topics#INVALIDATE_XHR_CACHE}.
+       *
+       * @instance
+       * @type {number}
+       * @default
+       * @since 1.0.106
+       */
+      cacheTtl: 0,
+
       /**
        * Ensures that the csrfProperties are retrieved from the Alfresco constants provided by Surf.
        *
@@ -113,12 +140,14 @@ define(["dojo/_base/declare",
        * @property {String} url - Where should we send the request to.
        * @property {Object} [headers] headers - Request headers to send (replaces [the default headers]{@link module:alfresco/core/CoreXhr#getDefaultHeaders} if specified)
        * @property {Object} [data=null] - data for the request body
+       * @property {number} [cacheTtl] - Overrides the [default cache duration]{@link module:alfresco/core/CoreXhr#cacheTtl} for GET requests
+       * @property {boolean} [coalesce] - Pass false to prevent a GET request being [coalesced]{@link module:alfresco/core/CoreXhr#coalesceRequests}
        * @property {boolean} [doNotCleanData=false] Pass true to SUPPRESS cleaning of the "data" object to [remove framework attributes]{@link module:alfresco/core/Core#alfCleanFrameworkAttributes} from it.
        * @property {String} [query=null] - data for the query string
        * @property {String} [handleAs=text] - TODO - document this feature.
        * @property {String} [method=POST] - HTTP method to use for XHR
-       * @property {Object} [requestId] - TODO - document this feature
-       * @property {function} [successCallback] - overrides the default success callback
+       * @property {Object} [requestId] - An identifier that can be used to [stop the request]{@link module:alfresco/core/CoreXhr#onStopRequest} (defaults to the response topic, stopping all requests in progress with that identifier)
+       * @property {function} [successCallback] - overrides the default success callback (the full response, including the status and headers, is passed as the third argument)
        * @property {function} [failureCallback] - overrides the default failure callback
        * @property {function} [progressCallback] - overrides the default progress callback
        * @property {function} [authenticationFailureCallback] - overrides the default authentication failure behaviour
@@ -185,16 +214,17 @@ define(["dojo/_base/declare",
                   options.preventCache = (config.preventCache !== null)? config.preventCache : this.preventCache;
                }
 
+               // When no request ID has been provided then the response topic is used instead so that
+               // requests made via Core.alfPublishToPromise can be stopped if they are cancelled or time out...
+               var requestId = config.requestId || config.alfTopic || lang.getObject("data.alfResponseTopic", false, config);
+
                var url = this.encodeURIs ? encodeURI(config.url) : config.url;
-               var request = xhr(url, options).then(function(response) {
+               var request = this.sendXhr(url, options, config).then(function(xhrResponse) {
 
-                  var id = lang.getObject("requestId", false, config);
-                  if (id)
-                  {
-                     delete _this.serviceRequests[id];
-                  }
+                  _this.removeServiceRequest(requestId, request);
 
                   // HANDLE SUCCESS...
+                  var response = xhrResponse.data;
                   if (typeof response === "string" && lang.trim(response))
                   {
                      try
@@ -209,7 +239,7 @@ define(["dojo/_base/declare",
                   if (typeof config.successCallback === "function")
                   {
                      var callbackScope = config.successCallbackScope || config.callbackScope || _this;
-                     config.successCallback.call(callbackScope, response, config);
+                     config.successCallback.call(callbackScope, response, config, xhrResponse);
                   }
                   else
                   {
@@ -251,11 +281,7 @@ define(["dojo/_base/declare",
                   }
 
                   // HANDLE FAILURE...
-                  var id = lang.getObject("requestId", false, config);
-                  if (id)
-                  {
-                     delete _this.serviceRequests[id];
-                  }
+                  _this.removeServiceRequest(requestId, request);
                   if (typeof response === "string" && lang.trim(response))
                   {
                      try
@@ -303,11 +329,12 @@ define(["dojo/_base/declare",
                });
 
                // If a request ID has been provided then store it in a map so that we can kill the
-               // request when asked. This entry should be cleaned up on success or failure request
-               // responses to prevent memory leakage...
-               if (config.requestId)
+               // request when asked. Concurrent requests can share an ID (e.g. the same response topic)
+               // so each ID maps to all of its requests in progress. This entry should be cleaned up on
+               // success or failure request responses to prevent memory leakage...
+               if (requestId)
                {
-                  this.serviceRequests[config.requestId] = request;
+                  this.serviceRequests[requestId] = (this.serviceRequests[requestId] || []).concat([request]);
                }
                return request;
             }
@@ -318,6 +345,31 @@ define(["dojo/_base/declare",
          }
       },
 
+      /**
+       * Makes the XHR request for [serviceXhr]{@link module:alfresco/core/CoreXhr#serviceXhr}. GET requests
+       * will be [coalesced]{@link module:alfresco/core/CoreXhr#coalesceRequests} with identical requests that
+       * are in flight and [cached]{@link module:alfresco/core/CoreXhr#cacheTtl} as configured.
+       *
+       * @instance
+       * @param {string} url The URL to request
+       * @param {object} options The options to pass to dojo/request/xhr
+       * @param {serviceXhrConfig} config The configuration for the request
+       * @returns {object} A promise of the full response (including the status and headers)
+       * @since 1.0.106
+       */
+      sendXhr: function alfresco_core_CoreXhr__sendXhr(url, options, config) {
+         var ttl = (typeof config.cacheTtl === "number") ? config.cacheTtl : this.cacheTtl,
+            coalesce = this.coalesceRequests && config.coalesce !== false;
+         if (options.method === "GET" && !options.preventCache && (coalesce || ttl > 0))
+         {
+            var requestCache = RequestCache.getSingleton();
+            return requestCache.request(requestCache.getKey(url, options), config.url, ttl, function() {
+               return xhr(url, options).response;
+            });
+         }
+         return xhr(url, options).response;
+      },
+
       /**
        * This is the default success callback for XHR requests that will be used if no other is provided.
        *
@@ -382,7 +434,8 @@ define(["dojo/_base/declare",
             }, false, false, requestConfig.alfResponseScope);
          }
          
-         if (typeof this.displayMessage === "function" && response.response.text)
+         // Cancelled requests will not have a response...
+         if (typeof this.displayMessage === "function" && lang.getObject("response.text", false, response))
          {
             try
             {
@@ -473,7 +526,34 @@ define(["dojo/_base/declare",
       },
 
       /**
-       * Handles requests to stop a previous XHR request.
+       * Removes a request that has completed from the requests that can be
+       * [stopped]{@link module:alfresco/core/CoreXhr#onStopRequest}.
+       *
+       * @instance
+       * @param {Object} requestId The identifier of the request
+       * @param {object} request The promise of the request
+       * @since 1.0.106
+       */
+      removeServiceRequest: function alfresco_core_CoreXhr__removeServiceRequest(requestId, request) {
+         if (requestId && this.serviceRequests[requestId])
+         {
+            var requests = array.filter(this.serviceRequests[requestId], function(serviceRequest) {
+               return serviceRequest !== request;
+            });
+            if (requests.length)
+            {
+               this.serviceRequests[requestId] = requests;
+            }
+            else
+            {
+               delete this.serviceRequests[requestId];
+            }
+         }
+      },
+
+      /**
+       * Handles requests to stop previous XHR requests. All the requests in progress with the requested
+       * identifier are stopped.
        *
        * @instance
        * @param {object} payload An object that should contain a 'requestId' attribute
@@ -483,8 +563,11 @@ define(["dojo/_base/declare",
          if (id && this.serviceRequests[id])
          {
             this.alfLog("info", "Stopping XHR request: " + id);
-            this.serviceRequests[id].cancel();
+            var requests = this.serviceRequests[id];
             delete this.serviceRequests[id];
+            array.forEach(requests, function(request) {
+               request.cancel();
+            });
          }
       },
 
@@ -0,0 +1,622 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * <p>Validates page models (or arrays of widget definitions) against the configuration schemas
+ * declared by the widget and service modules that they reference. Each module can declare a schema
+ * by providing a JSON file alongside it with the same name and a ".schema.json" suffix (e.g.
+ * "alfresco/buttons/AlfButton.schema.json"). Schemas use a subset of JSON Schema, supporting
+ * "type" (a single type or an array of types), "enum", "required", "properties", "items" and
+ * "additionalProperties" (only to disallow unknown properties by setting it to false). Schemas
+ * can inherit the properties of other module schemas by referencing them by module name in an
+ * "allOf" array.</p>
+ *
+ * <p>This module has no dependencies and does not load anything itself so that it can be used both
+ * in the browser (see [Page]{@link module:alfresco/core/Page#modelValidation}) and from Node as part
+ * of the build. The caller is expected to provide the schemas and whether or not each of the modules
+ * referenced in the model (as returned by [getModuleNames]{@link module:alfresco/core/ModelValidator#getModuleNames})
+ * can be resolved.</p>
+ *
+ * @example
+ * {
+ *    "type": "object",
+ *    "allOf": [{ "$ref": "alfresco/core/Core" }],
+ *    "properties": {
+ *       "label": { "type": "string" },
+ *       "subscriptionTopic": { "type": ["string", "null"] }
+ *    },
+ *    "additionalProperties": false
+ * }
+ *
+ * @module alfresco/core/ModelValidator
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define([], function() {
+
+   return {
+
+      /**
+       * The types of issue that can be reported.
+       *
+       * @instance
+       * @type {object}
+       */
+      issueTypes: {
+         INVALID_VALUE: "INVALID_VALUE",
+         MISSING_PROPERTY: "MISSING_PROPERTY",
+         UNKNOWN_PROPERTY: "UNKNOWN_PROPERTY",
+         UNRESOLVED_MODULE: "UNRESOLVED_MODULE",
+         WRONG_TYPE: "WRONG_TYPE"
+      },
+
+      /**
+       * The attributes that can be used in a widget definition (i.e. alongside "name" and "config"). Other
+       * attributes are only reported when they appear to be misspellings of these.
+       *
+       * @instance
+       * @type {string[]}
+       */
+      widgetDefinitionProperties: ["assignTo", "assignToScope", "className", "config", "id", "name"],
+
+      /**
+       * The attributes that can be used in a service definition. Other attributes are only reported when
+       * they appear to be misspellings of these.
+       *
+       * @instance
+       * @type {string[]}
+       */
+      serviceDefinitionProperties: ["config", "name"],
+
+      /**
+       * Any configuration attribute whose name matches this expression and that has an array value
+       * is treated as a widget model and will be validated.
+       *
+       * @instance
+       * @type {RegExp}
+       */
+      widgetsAttributeRegex: /^widgets/,
+
+      /**
+       * Returns the names of all the widget and service modules referenced in the supplied model.
+       *
+       * @instance
+       * @param {object|object[]} model A page model or an array of widget definitions
+       * @returns {string[]} The unique module names
+       */
+      getModuleNames: function alfresco_core_ModelValidator__getModuleNames(model) {
+         var names = [];
+         var addName = function(name) {
+            if (typeof name === "string" && names.indexOf(name) === -1)
+            {
+               names.push(name);
+            }
+         };
+         if (this._isObject(model) && Array.isArray(model.services))
+         {
+            model.services.forEach(function(service) {
+               addName(this._isObject(service) ? service.name : service);
+            }, this);
+         }
+         this._walkWidgets(Array.isArray(model) ? { widgets: model } : model, "$", function(widget) {
+            addName(widget.name);
+         });
+         return names;
+      },
+
+      /**
+       * Returns the names of the modules whose schemas are referenced (through "allOf") by the supplied schema.
+       *
+       * @instance
+       * @param {object} schema The schema to get the references from
+       * @returns {string[]} The referenced module names
+       */
+      getSchemaReferences: function alfresco_core_ModelValidator__getSchemaReferences(schema) {
+         var references = [];
+         if (this._isObject(schema) && Array.isArray(schema.allOf))
+         {
+            schema.allOf.forEach(function(subSchema) {
+               if (this._isObject(subSchema) && typeof subSchema.$ref === "string")
+               {
+                  references.push(subSchema.$ref);
+               }
+            }, this);
+         }
+         return references;
+      },
+
+      /**
+       * Combines the supplied module schema with all of the schemas that it references so that
+       * all inherited properties are known.
+       *
+       * @instance
+       * @param {string} moduleName The name of the module to get the schema for
+       * @param {object} schemas A map of module name to schema
+       * @returns {object} The resolved schema or null if the module does not declare a schema
+       */
+      resolveSchema: function alfresco_core_ModelValidator__resolveSchema(moduleName, schemas) {
+         var schema = schemas[moduleName];
+         if (!this._isObject(schema))
+         {
+            return null;
+         }
+         var resolved = {
+            properties: {},
+            required: [],
+            additionalProperties: schema.additionalProperties !== false
+         };
+         var visited = [];
+         var merge = function(name) {
+            var current = schemas[name];
+            if (visited.indexOf(name) === -1 && this._isObject(current))
+            {
+               visited.push(name);
+               this.getSchemaReferences(current).forEach(merge, this);
+               Object.keys(current.properties || {}).forEach(function(key) {
+                  resolved.properties[key] = current.properties[key];
+               });
+               resolved.required = resolved.required.concat(current.required || []);
+            }
+         };
+         merge.call(this, moduleName);
+         return resolved;
+      },
+
+      /**
+       * Validates the supplied model and returns all the issues found. Each issue has a "type" (one of the
+       * [issueTypes]{@link module:alfresco/core/ModelValidator#issueTypes}), a "path" (a JSON path to the
+       * offending value, e.g. "$.widgets[0].config.label") and a "message" describing the problem.
+       *
+       * @instance
+       * @param {object|object[]} model A page model or an array of widget definitions
+       * @param {object} [options] The data to validate with
+       * @param {object} [options.schemas] A map of module name to schema (modules without schemas are not checked)
+       * @param {object} [options.modules] A map of module name to a boolean indicating whether or not the
+       * module could be resolved (modules that are not included are not reported)
+       * @returns {object[]} The issues found
+       */
+      validate: function alfresco_core_ModelValidator__validate(model, options) {
+         var context = {
+            issues: [],
+            schemas: (options && options.schemas) || {},
+            modules: (options && options.modules) || {}
+         };
+         if (Array.isArray(model))
+         {
+            this._validateWidgets(model, "$", context);
+         }
+         else if (this._isObject(model))
+         {
+            if (model.services !== undefined)
+            {
+               if (Array.isArray(model.services))
+               {
+                  model.services.forEach(function(service, index) {
+                     this._validateService(service, "$.services[" + index + "]", context);
+                  }, this);
+               }
+               else
+               {
+                  this._addIssue(context, this.issueTypes.WRONG_TYPE, "$.services", "Expected an array but found " + this._getType(model.services));
+               }
+            }
+            if (model.widgets !== undefined && !Array.isArray(model.widgets))
+            {
+               this._addIssue(context, this.issueTypes.WRONG_TYPE, "$.widgets", "Expected an array but found " + this._getType(model.widgets));
+            }
+            this._validateNestedWidgets(model, "$", context);
+         }
+         else
+         {
+            this._addIssue(context, this.issueTypes.WRONG_TYPE, "$", "Expected a page model object or an array of widgets but found " + this._getType(model));
+         }
+         return context.issues;
+      },
+
+      /**
+       * Validates a single service definition, which can either be a module name or an object with
+       * a "name" and optional "config".
+       *
+       * @instance
+       * @param {string|object} service The service definition
+       * @param {string} path The JSON path to the service definition
+       * @param {object} context The validation context
+       */
+      _validateService: function alfresco_core_ModelValidator___validateService(service, path, context) {
+         if (typeof service === "string")
+         {
+            this._checkModuleResolved(service, path, context);
+         }
+         else if (this._isObject(service))
+         {
+            this._validateDefinition(service, path, this.serviceDefinitionProperties, context);
+         }
+         else
+         {
+            this._addIssue(context, this.issueTypes.WRONG_TYPE, path, "Expected a service name or object but found " + this._getType(service));
+         }
+      },
+
+      /**
+       * Validates an array of widget definitions.
+       *
+       * @instance
+       * @param {object[]} widgets The widget definitions
+       * @param {string} path The JSON path to the array
+       * @param {object} context The validation context
+       */
+      _validateWidgets: function alfresco_core_ModelValidator___validateWidgets(widgets, path, context) {
+         widgets.forEach(function(widget, index) {
+            var widgetPath = path + "[" + index + "]";
+            if (this._isObject(widget))
+            {
+               this._validateDefinition(widget, widgetPath, this.widgetDefinitionProperties, context);
+            }
+            else
+            {
+               this._addIssue(context, this.issueTypes.WRONG_TYPE, widgetPath, "Expected a widget definition object but found " + this._getType(widget));
+            }
+         }, this);
+      },
+
+      /**
+       * Validates a widget or service definition, checking the attributes of the definition itself and then
+       * checking the configuration against the schema of the referenced module.
+       *
+       * @instance
+       * @param {object} definition The widget or service definition
+       * @param {string} path The JSON path to the definition
+       * @param {string[]} allowedProperties The attributes allowed in the definition
+       * @param {object} context The validation context
+       */
+      _validateDefinition: function alfresco_core_ModelValidator___validateDefinition(definition, path, allowedProperties, context) {
+         // Container widgets can read additional attributes from the definitions of their children (e.g. the
+         // "title" of a tab) so only attributes that look like misspellings of the allowed attributes are reported...
+         Object.keys(definition).forEach(function(key) {
+            if (allowedProperties.indexOf(key) === -1 && this._getSuggestion(key, allowedProperties))
+            {
+               this._addUnknownPropertyIssue(context, path, key, allowedProperties);
+            }
+         }, this);
+
+         var name = definition.name;
+         if (name === undefined)
+         {
+            this._addIssue(context, this.issueTypes.MISSING_PROPERTY, path, "Missing required property \"name\"");
+         }
+         else if (typeof name !== "string")
+         {
+            this._addIssue(context, this.issueTypes.WRONG_TYPE, this._appendPath(path, "name"), "Expected string but found " + this._getType(name));
+         }
+         else
+         {
+            this._checkModuleResolved(name, this._appendPath(path, "name"), context);
+         }
+
+         var config = definition.config;
+         var configPath = this._appendPath(path, "config");
+         if (config !== undefined && config !== null)
+         {
+            if (this._isObject(config))
+            {
+               var schema = typeof name === "string" ? this.resolveSchema(name, context.schemas) : null;
+               if (schema)
+               {
+                  this._validateProperties(config, schema, configPath, context);
+               }
+               this._validateNestedWidgets(config, configPath, context);
+            }
+            else
+            {
+               this._addIssue(context, this.issueTypes.WRONG_TYPE, configPath, "Expected object but found " + this._getType(config));
+            }
+         }
+      },
+
+      /**
+       * Validates the properties of the supplied object against the supplied (resolved) schema.
+       *
+       * @instance
+       * @param {object} value The object to validate
+       * @param {object} schema The schema to validate against
+       * @param {string} path The JSON path to the object
+       * @param {object} context The validation context
+       */
+      _validateProperties: function alfresco_core_ModelValidator___validateProperties(value, schema, path, context) {
+         var properties = schema.properties || {};
+         var knownProperties = Object.keys(properties);
+         Object.keys(value).forEach(function(key) {
+            if (properties.hasOwnProperty(key))
+            {
+               this._validateValue(value[key], properties[key], this._appendPath(path, key), context);
+            }
+            else if (schema.additionalProperties === false)
+            {
+               this._addUnknownPropertyIssue(context, path, key, knownProperties);
+            }
+         }, this);
+         (schema.required || []).forEach(function(key) {
+            if (value[key] === undefined)
+            {
+               this._addIssue(context, this.issueTypes.MISSING_PROPERTY, path, "Missing required property \"" + key + "\"");
+            }
+         }, this);
+      },
+
+      /**
+       * Validates a single value against the schema for the property that it has been set for.
+       *
+       * @instance
+       * @param {*} value The value to validate
+       * @param {object} schema The property schema
+       * @param {string} path The JSON path to the value
+       * @param {object} context The validation context
+       */
+      _validateValue: function alfresco_core_ModelValidator___validateValue(value, schema, path, context) {
+         if (!this._isObject(schema))
+         {
+            return;
+         }
+         if (schema.type !== undefined)
+         {
+            var types = [].concat(schema.type);
+            var matched = types.some(function(type) {
+               return this._isType(value, type);
+            }, this);
+            if (!matched)
+            {
+               this._addIssue(context, this.issueTypes.WRONG_TYPE, path, "Expected " + types.join(" or ") + " but found " + this._getType(value));
+               return;
+            }
+         }
+         if (Array.isArray(schema["enum"]) && !schema["enum"].some(function(allowed) {
+            return allowed === value;
+         }))
+         {
+            this._addIssue(context, this.issueTypes.INVALID_VALUE, path, "Expected one of " + JSON.stringify(schema["enum"]) + " but found " + JSON.stringify(value));
+         }
+         else if (this._isObject(value) && (schema.properties || schema.required))
+         {
+            this._validateProperties(value, schema, path, context);
+         }
+         else if (Array.isArray(value) && this._isObject(schema.items))
+         {
+            value.forEach(function(item, index) {
+               this._validateValue(item, schema.items, path + "[" + index + "]", context);
+            }, this);
+         }
+      },
+
+      /**
+       * Searches the supplied value for nested widget models (i.e. arrays assigned to attributes matching
+       * the [widgetsAttributeRegex]{@link module:alfresco/core/ModelValidator#widgetsAttributeRegex}) and
+       * validates them. This ensures that widgets defined within payloads (e.g. for dialogs) are also checked.
+       *
+       * @instance
+       * @param {*} value The value to search
+       * @param {string} path The JSON path to the value
+       * @param {object} context The validation context
+       */
+      _validateNestedWidgets: function alfresco_core_ModelValidator___validateNestedWidgets(value, path, context) {
+         this._walkWidgets(value, path, null, context);
+      },
+
+      /**
+       * Walks the supplied value looking for nested widget models. Each widget definition found is either
+       * passed to the supplied callback or validated when a validation context is provided.
+       *
+       * @instance
+       * @param {*} value The value to walk
+       * @param {string} path The JSON path to the value
+       * @param {function} [callback] A function to call with each widget definition found
+       * @param {object} [context] The validation context
+       */
+      _walkWidgets: function alfresco_core_ModelValidator___walkWidgets(value, path, callback, context) {
+         if (Array.isArray(value))
+         {
+            value.forEach(function(item, index) {
+               this._walkWidgets(item, path + "[" + index + "]", callback, context);
+            }, this);
+         }
+         else if (this._isObject(value))
+         {
+            Object.keys(value).forEach(function(key) {
+               var childPath = this._appendPath(path, key);
+               var child = value[key];
+               if (this.widgetsAttributeRegex.test(key) && Array.isArray(child))
+               {
+                  if (context)
+                  {
+                     this._validateWidgets(child, childPath, context);
+                  }
+                  else
+                  {
+                     child.forEach(function(widget, index) {
+                        if (this._isObject(widget))
+                        {
+                           callback(widget);
+                           this._walkWidgets(widget.config, childPath + "[" + index + "].config", callback);
+                        }
+                     }, this);
+                  }
+               }
+               else
+               {
+                  this._walkWidgets(child, childPath, callback, context);
+               }
+            }, this);
+         }
+      },
+
+      /**
+       * Reports an issue if the supplied module is known to be unresolvable.
+       *
+       * @instance
+       * @param {string} name The module name
+       * @param {string} path The JSON path to the module name
+       * @param {object} context The validation context
+       */
+      _checkModuleResolved: function alfresco_core_ModelValidator___checkModuleResolved(name, path, context) {
+         if (context.modules[name] === false)
+         {
+            this._addIssue(context, this.issueTypes.UNRESOLVED_MODULE, path, "The module \"" + name + "\" could not be resolved");
+         }
+      },
+
+      /**
+       * Reports an unknown property issue, suggesting the closest known property when there is one.
+       *
+       * @instance
+       * @param {object} context The validation context
+       * @param {string} path The JSON path to the object containing the property
+       * @param {string} key The unknown property
+       * @param {string[]} knownProperties The properties that are allowed
+       */
+      _addUnknownPropertyIssue: function alfresco_core_ModelValidator___addUnknownPropertyIssue(context, path, key, knownProperties) {
+         var message = "Unknown property \"" + key + "\"";
+         var suggestion = this._getSuggestion(key, knownProperties);
+         if (suggestion)
+         {
+            message += " (did you mean \"" + suggestion + "\"?)";
+         }
+         this._addIssue(context, this.issueTypes.UNKNOWN_PROPERTY, this._appendPath(path, key), message);
+      },
+
+      /**
+       * @instance
+       * @param {object} context The validation context
+       * @param {string} type The issue type
+       * @param {string} path The JSON path to the issue
+       * @param {string} message The issue description
+       */
+      _addIssue: function alfresco_core_ModelValidator___addIssue(context, type, path, message) {
+         context.issues.push({
+            type: type,
+            path: path,
+            message: message
+         });
+      },
+
+      /**
+       * Returns the known property that most closely matches the supplied (unknown) property, as long
+       * as it is no more than two edits away.
+       *
+       * @instance
+       * @param {string} key The unknown property
+       * @param {string[]} candidates The known properties
+       * @returns {string} The suggested property or null if there are no close matches
+       */
+      _getSuggestion: function alfresco_core_ModelValidator___getSuggestion(key, candidates) {
+         var suggestion = null,
+             closest = 3;
+         candidates.forEach(function(candidate) {
+            var distance = this._getEditDistance(key, candidate);
+            if (distance < closest)
+            {
+               closest = distance;
+               suggestion = candidate;
+            }
+         }, this);
+         return suggestion;
+      },
+
+      /**
+       * Calculates the Levenshtein distance between the two supplied strings.
+       *
+       * @instance
+       * @param {string} a The first string
+       * @param {string} b The second string
+       * @returns {number} The number of single character edits needed to change one string into the other
+       */
+      _getEditDistance: function alfresco_core_ModelValidator___getEditDistance(a, b) {
+         var previous = [],
+             current,
+             i, j;
+         for (j = 0; j <= b.length; j++)
+         {
+            previous[j] = j;
+         }
+         for (i = 1; i <= a.length; i++)
+         {
+            current = [i];
+            for (j = 1; j <= b.length; j++)
+            {
+               var cost = a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1;
+               current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            }
+            previous = current;
+         }
+         return previous[b.length];
+      },
+
+      /**
+       * @instance
+       * @param {*} value The value to check
+       * @param {string} type The JSON Schema type name
+       * @returns {boolean} True if the value is of the supplied type
+       */
+      _isType: function alfresco_core_ModelValidator___isType(value, type) {
+         if (type === "integer")
+         {
+            return typeof value === "number" && value % 1 === 0;
+         }
+         return this._getType(value) === type || (type === "number" && this._getType(value) === "integer");
+      },
+
+      /**
+       * @instance
+       * @param {*} value The value to get the JSON Schema type name of
+       * @returns {string} The type name
+       */
+      _getType: function alfresco_core_ModelValidator___getType(value) {
+         if (value === null)
+         {
+            return "null";
+         }
+         else if (Array.isArray(value))
+         {
+            return "array";
+         }
+         else if (typeof value === "number" && value % 1 === 0)
+         {
+            return "integer";
+         }
+         return typeof value;
+      },
+
+      /**
+       * @instance
+       * @param {*} value The value to check
+       * @returns {boolean} True if the value is a plain object
+       */
+      _isObject: function alfresco_core_ModelValidator___isObject(value) {
+         return Object.prototype.toString.call(value) === "[object Object]";
+      },
+
+      /**
+       * @instance
+       * @param {string} path The JSON path to append to
+       * @param {string} key The property to append
+       * @returns {string} The extended JSON path
+       */
+      _appendPath: function alfresco_core_ModelValidator___appendPath(path, key) {
+         return (/^[A-Za-z_$][\w$]*$/).test(key) ? path + "." + key : path + "[" + JSON.stringify(key) + "]";
+      }
+   };
+});
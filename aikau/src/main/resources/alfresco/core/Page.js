@@ -30,6 +30,7 @@
 define(["alfresco/core/ProcessWidgets",
         "alfresco/core/ResizeMixin",
         "alfresco/core/topics",
+        "alfresco/core/ModelValidator",
         "alfresco/enums/urlTypes",
         "alfresco/util/urlUtils",
         "service/constants/Default",
@@ -40,12 +41,15 @@ define(["alfresco/core/ProcessWidgets",
         "dojo/_base/lang",
         "dojo/dom-class",
         "dojo/_base/window",
+        "dojo/request/xhr",
+        "dojo/promise/all",
+        "dojo/when",
         "alfresco/core/PubQueue",
         "jquery", // NOTE: Need to include JQuery at root page to prevent XHR require request for first module that uses it
         "jqueryui", // NOTE: Need to include JQuery UI at root page to prevent XHR require request for first module that uses it
         "alfresco/core/shims"],
-        function(ProcessWidgets, ResizeMixin, topics, urlTypes, urlUtils, AlfConstants, string, declare, domConstruct, array,
-                 lang, domClass, win, PubQueue, $, jqueryui, shims) {
+        function(ProcessWidgets, ResizeMixin, topics, ModelValidator, urlTypes, urlUtils, AlfConstants, string, declare, domConstruct, array,
+                 lang, domClass, win, xhr, all, when, PubQueue, $, jqueryui, shims) {
 
    return declare([ProcessWidgets, ResizeMixin], {
 
@@ -58,6 +62,19 @@ define(["alfresco/core/ProcessWidgets",
        */
       baseClass: "alfresco-core-Page",
 
+      /**
+       * Indicates whether or not the page model should be validated against the configuration schemas
+       * declared by the widget and service modules that it references (see
+       * [ModelValidator]{@link module:alfresco/core/ModelValidator}). This only applies in debug mode, the
+       * issues found are logged and published on [PAGE_MODEL_VALIDATED]{@link module:alfresco/core/topics#PAGE_MODEL_VALIDATED}.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       * @since 1.0.106
+       */
+      modelValidation: false,
+
       /**
        * This is the callback handler for any require based errors that may occur during page load.
        *
@@ -112,6 +129,11 @@ define(["alfresco/core/ProcessWidgets",
                domConstruct.place(pageInfoDom, this.domNode, "first");
             }
 
+            if (AlfConstants.DEBUG && this.modelValidation)
+            {
+               this.validateModel();
+            }
+
             // See AKU-891 - Prevent all standard drag and drop events from working if they bubble as
             // far as the html element. This decision has been taken to prevent users from inadvertently
             // dropping files onto areas of any page that can't handle them (and subsequently having those
@@ -141,6 +163,98 @@ define(["alfresco/core/ProcessWidgets",
          }
       },
 
+      /**
+       * Validates the services and widgets of the page against the schemas declared by the modules that they
+       * reference. The schemas and the modules are requested as required and each issue found is logged as a
+       * warning before all of them are published on
+       * [PAGE_MODEL_VALIDATED]{@link module:alfresco/core/topics#PAGE_MODEL_VALIDATED}.
+       *
+       * @instance
+       * @returns {object} A promise of the issues found
+       * @since 1.0.106
+       */
+      validateModel: function alfresco_core_Page__validateModel() {
+         var model = {
+            services: this.services || [],
+            widgets: this.widgets || []
+         };
+         var schemas = {},
+             modules = {};
+         var loadSchemas = lang.hitch(this, function(moduleNames) {
+            var requests = [];
+            array.forEach(moduleNames, function(moduleName) {
+               if (!schemas.hasOwnProperty(moduleName))
+               {
+                  schemas[moduleName] = null;
+                  requests.push(when(this.loadModelSchema(moduleName), function(schema) {
+                     schemas[moduleName] = schema;
+                     return loadSchemas(ModelValidator.getSchemaReferences(schema));
+                  }));
+               }
+            }, this);
+            return all(requests);
+         });
+
+         var moduleNames = ModelValidator.getModuleNames(model);
+         var moduleChecks = array.map(moduleNames, function(moduleName) {
+            return when(this.isModuleResolvable(moduleName), function(resolvable) {
+               modules[moduleName] = resolvable;
+            });
+         }, this);
+         return all([loadSchemas(moduleNames), all(moduleChecks)]).then(lang.hitch(this, function() {
+            var issues = ModelValidator.validate(model, {
+               schemas: schemas,
+               modules: modules
+            });
+            array.forEach(issues, function(issue) {
+               this.alfLog("warn", "Page model issue at " + issue.path + ": " + issue.message, issue, this);
+            }, this);
+            this.alfPublish(topics.PAGE_MODEL_VALIDATED, {
+               issues: issues
+            }, true);
+            return issues;
+         }));
+      },
+
+      /**
+       * Requests the configuration schema declared by the supplied module (i.e. the JSON file with the same
+       * name as the module and a ".schema.json" suffix).
+       *
+       * @instance
+       * @param {string} moduleName The name of the module to get the schema of
+       * @returns {object} A promise of the schema (which will be null if the module does not declare a schema)
+       * @since 1.0.106
+       */
+      loadModelSchema: function alfresco_core_Page__loadModelSchema(moduleName) {
+         return xhr(require.toUrl(moduleName + ".schema.json"), {
+            handleAs: "json"
+         }).then(function(schema) {
+            return schema || null;
+         }, function() {
+            return null;
+         });
+      },
+
+      /**
+       * Checks whether or not the supplied module can be resolved by the AMD loader.
+       *
+       * @instance
+       * @param {string} moduleName The name of the module to check
+       * @returns {object} A promise of a boolean indicating whether or not the module can be resolved (or
+       * undefined if it is not possible to determine)
+       * @since 1.0.106
+       */
+      isModuleResolvable: function alfresco_core_Page__isModuleResolvable(moduleName) {
+         return xhr(require.toUrl(moduleName + ".js"), {
+            method: "HEAD"
+         }).then(function() {
+            return true;
+         }, function(error) {
+            var status = lang.getObject("response.status", false, error);
+            return (status === 404) ? false : undefined;
+         });
+      },
+
       /**
        * @instance
        */
@@ -29,9 +29,10 @@ define(["dojo/_base/declare",
         "dojo/_base/lang",
         "dojo/_base/array",
         "dojo/topic",
+        "dojo/regexp",
         "alfresco/core/PubSubLog",
         "service/constants/Default"], 
-        function(declare, lang, array, pubSub, PubSubLog, AlfConstants) {
+        function(declare, lang, array, pubSub, regexp, PubSubLog, AlfConstants) {
 
    // This is a simple singleton pattern. Technically it is still possible to instantiate a new log,
    // but as the core will always use the singleton and it is expected that all calls will go through the core
@@ -83,6 +84,18 @@ define(["dojo/_base/declare",
        * @since 1.0.68
        */
       _pageCount: 0,
+
+      /**
+       * The subscriptions made via [subscribePattern]{@link module:alfresco/core/PubQueue#subscribePattern}.
+       * Each entry holds the original pattern, the regular expression compiled from it and the callback
+       * to call when a matching topic is published.
+       *
+       * @instance
+       * @type {object[]}
+       * @default []
+       * @since 1.0.106
+       */
+      _patternSubscriptions: [],
       
       /**
        * This function should only be called from the [Page]{@link module:alfresco/core/Page} widget before the page
@@ -116,6 +129,7 @@ define(["dojo/_base/declare",
          {
             this.log(scopedTopic, payload, caller);
             pubSub.publish(scopedTopic, payload);
+            this.publishToPatterns(scopedTopic, payload);
          }
       },
 
@@ -134,12 +148,67 @@ define(["dojo/_base/declare",
             {
                this.log(publication.topic, publication.payload, publication.caller);
                pubSub.publish(publication.topic, publication.payload);
+               this.publishToPatterns(publication.topic, publication.payload);
                publication = this._queue.shift();
             }
             this._unreleasedEmptied = true;
          }
       },
 
+      /**
+       * Subscribes to all topics that match the supplied pattern. The pattern is a topic that may contain
+       * one or more "*" wildcards, each of which will match any sequence of characters (e.g. "ALF_DOCLIST_*"
+       * will match both "ALF_DOCLIST_RELOAD_DATA" and "ALF_DOCLIST_SORT"). The callback will be passed the
+       * publication payload and the topic that was actually published on. Pattern subscriptions are only
+       * notified of publications made through this module.
+       *
+       * @instance
+       * @param {string} pattern The topic pattern to match against
+       * @param {function} callback The function to call when a matching topic is published on
+       * @returns {object} A handle for the subscription providing a "remove" function
+       * @since 1.0.106
+       */
+      subscribePattern: function alfresco_core_PubQueue__subscribePattern(pattern, callback) {
+         var escapedParts = array.map(pattern.split("*"), function(part) {
+            return regexp.escapeString(part);
+         });
+         var subscription = {
+            pattern: pattern,
+            regex: new RegExp("^" + escapedParts.join(".*") + "$"),
+            callback: callback
+         };
+         this._patternSubscriptions.push(subscription);
+         return {
+            remove: lang.hitch(this, function() {
+               subscription.removed = true;
+               var index = array.indexOf(this._patternSubscriptions, subscription);
+               if (index !== -1)
+               {
+                  this._patternSubscriptions.splice(index, 1);
+               }
+            })
+         };
+      },
+
+      /**
+       * Calls the callback of every [pattern subscription]{@link module:alfresco/core/PubQueue#subscribePattern}
+       * whose pattern matches the supplied topic. The subscriptions are copied before iterating so that callbacks
+       * are able to safely remove subscriptions (removed subscriptions will not be called).
+       *
+       * @instance
+       * @param {string} scopedTopic The topic that has been published on
+       * @param {object} payload The payload that was published
+       * @since 1.0.106
+       */
+      publishToPatterns: function alfresco_core_PubQueue__publishToPatterns(scopedTopic, payload) {
+         array.forEach(this._patternSubscriptions.slice(0), function(subscription) {
+            if (!subscription.removed && subscription.regex.test(scopedTopic))
+            {
+               subscription.callback(payload, scopedTopic);
+            }
+         });
+      },
+
       /**
        * Logs the publication if the publication to be logged isn't a log request or 
        * a request to log publications or subscriptions.
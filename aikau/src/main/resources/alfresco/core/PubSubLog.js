@@ -24,8 +24,9 @@
  * @module alfresco/core/PubSubLog
  * @author Dave Draper
  */
-define(["dojo/_base/declare"],
-        function(declare) {
+define(["dojo/_base/declare",
+        "dojo/_base/array"],
+        function(declare, array) {
 
    // This is a simple singleton pattern. Technically it is still possible to instantiate a new log,
    // but as the core will always use the singleton and it is expected that all calls will go through the core
@@ -70,6 +71,20 @@ define(["dojo/_base/declare"],
          this._log.push(entry);
       },
 
+      /**
+       * Returns the entries that have been logged.
+       *
+       * @instance
+       * @param {string} [type] Only return entries of this type (e.g. "PUBLISH")
+       * @returns {object[]} The logged entries
+       * @since 1.0.106
+       */
+      getEntries: function alfresco_core_PubSubLog__getEntries(type) {
+         return array.filter(this._log, function(entry) {
+            return !type || entry.type === type;
+         });
+      },
+
       /**
        *
        * @instance
@@ -95,6 +110,18 @@ define(["dojo/_base/declare"],
          this.updateLog("SUBSCRIBE", topic, callback.name, object.id);
       },
 
+      /**
+       *
+       * @instance
+       * @param {string} pattern The topic pattern subscribed to
+       * @param {object} callback The function passed as a callback
+       * @param {object} object The object that made the subscription
+       * @since 1.0.106
+       */
+      subPattern: function alfresco_core_PubSubLog__subPattern(pattern, callback, object) {
+         this.updateLog("SUBSCRIBE_PATTERN", pattern, callback.name, object.id);
+      },
+
       /**
        *
        * @instance
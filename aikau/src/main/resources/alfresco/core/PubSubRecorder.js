@@ -0,0 +1,359 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Singleton for recording the publications made during a session and replaying them. Recordings are
+ * captured through a [pattern subscription]{@link module:alfresco/core/PubQueue#subscribePattern} to all
+ * topics and can optionally start with the publications already held by the [PubSubLog]{@link module:alfresco/core/PubSubLog}
+ * (these are only available in debug mode). Each recorded publication contains the topic, the scope it was
+ * published on, the payload (with any circular references, functions, DOM nodes and widgets removed) and
+ * the time at which it was published relative to the start of the recording. Requests to start, stop or
+ * replay a recording (and the responses to those requests) are never recorded so that replaying a recording
+ * cannot affect the current recording.
+ *
+ * <p>Recordings are [replayed]{@link module:alfresco/core/PubSubRecorder#replay} through the
+ * [PubQueue]{@link module:alfresco/core/PubQueue} so that when a recording is replayed into a new page
+ * the publications are queued until all the widgets on the page have been created, allowing a recorded
+ * session to be reproduced deterministically. This is typically done through the
+ * [PubSubRecorderService]{@link module:alfresco/services/PubSubRecorderService}.</p>
+ *
+ * @module alfresco/core/PubSubRecorder
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["dojo/_base/declare",
+        "dojo/_base/lang",
+        "dojo/_base/array",
+        "dojo/Deferred",
+        "alfresco/core/PubQueue",
+        "alfresco/core/PubSubLog",
+        "alfresco/core/topics"],
+        function(declare, lang, array, Deferred, PubQueue, PubSubLog, topics) {
+
+   // This is a simple singleton pattern (see alfresco/core/PubQueue)...
+   var PubSubRecorder = declare(null, {
+
+      /**
+       * The identifier used as the caller of replayed publications.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       */
+      id: "ALF_PUBSUB_RECORDER",
+
+      /**
+       * The version of the format of the [exported]{@link module:alfresco/core/PubSubRecorder#exportRecording}
+       * recordings.
+       *
+       * @instance
+       * @type {number}
+       * @default
+       */
+      recordingVersion: 1,
+
+      /**
+       * Publications on topics that start with any of these prefixes will not be recorded (as they are
+       * only used for logging).
+       *
+       * @instance
+       * @type {string[]}
+       * @default ["ALF_LOG_"]
+       */
+      ignoredTopicPrefixes: ["ALF_LOG_"],
+
+      /**
+       * Publications on these topics (regardless of their scope) will not be recorded as they control
+       * the recorder. Publications on the response topics of these requests are also not recorded.
+       *
+       * @instance
+       * @type {string[]}
+       */
+      ignoredTopics: [topics.START_PUBSUB_RECORDING, topics.STOP_PUBSUB_RECORDING, topics.REPLAY_PUBSUB_RECORDING],
+
+      /**
+       * A map of the scoped response topics of the requests on the 
+       * [ignored topics]{@link module:alfresco/core/PubSubRecorder#ignoredTopics} that have been seen whilst
+       * recording.
+       *
+       * @instance
+       * @type {object}
+       * @default
+       */
+      _ignoredResponseTopics: null,
+
+      /**
+       * The handle for the pattern subscription made whilst recording.
+       *
+       * @instance
+       * @type {object}
+       * @default
+       */
+      _subscriptionHandle: null,
+
+      /**
+       * The time at which the current recording was started.
+       *
+       * @instance
+       * @type {number}
+       * @default
+       */
+      _startTime: null,
+
+      /**
+       * The publications that have been recorded.
+       *
+       * @instance
+       * @type {object[]}
+       * @default
+       */
+      _publications: null,
+
+      /**
+       * Sets up the recorded publications.
+       *
+       * @instance
+       */
+      constructor: function alfresco_core_PubSubRecorder__constructor() {
+         this._publications = [];
+         this._ignoredResponseTopics = {};
+      },
+
+      /**
+       * Indicates whether or not publications are currently being recorded.
+       *
+       * @instance
+       * @returns {boolean} True if publications are being recorded
+       */
+      isRecording: function alfresco_core_PubSubRecorder__isRecording() {
+         return !!this._subscriptionHandle;
+      },
+
+      /**
+       * Starts a new recording (discarding any previous recording). If requested the recording will start with
+       * the publications held by the [PubSubLog]{@link module:alfresco/core/PubSubLog} (all of which will be
+       * recorded as having been published at the start of the recording).
+       *
+       * @instance
+       * @param {boolean} [includeHistory=false] Whether or not to include the publications already logged
+       */
+      start: function alfresco_core_PubSubRecorder__start(includeHistory) {
+         this.stop();
+         this._publications = [];
+         this._ignoredResponseTopics = {};
+         this._startTime = Date.now();
+         if (includeHistory)
+         {
+            array.forEach(PubSubLog.getSingleton().getEntries("PUBLISH"), function(entry) {
+               this.record(entry.data, entry.topic, this._startTime);
+            }, this);
+         }
+         this._subscriptionHandle = PubQueue.getSingleton().subscribePattern("*", lang.hitch(this, function(payload, scopedTopic) {
+            this.record(payload, scopedTopic, Date.now());
+         }));
+      },
+
+      /**
+       * Stops recording. The recorded publications are kept until a new recording is started.
+       *
+       * @instance
+       */
+      stop: function alfresco_core_PubSubRecorder__stop() {
+         if (this._subscriptionHandle)
+         {
+            this._subscriptionHandle.remove();
+            this._subscriptionHandle = null;
+         }
+      },
+
+      /**
+       * Records a publication. The scope is taken from the "alfPublishScope" attribute that is added to the payload
+       * of every publication made through [alfPublish]{@link module:alfresco/core/Core#alfPublish}.
+       *
+       * @instance
+       * @param {object} payload The published payload
+       * @param {string} scopedTopic The topic (including any scope) that was published on
+       * @param {number} time The time of the publication
+       */
+      record: function alfresco_core_PubSubRecorder__record(payload, scopedTopic, time) {
+         var scope = (payload && typeof payload.alfPublishScope === "string") ? payload.alfPublishScope : "";
+         if (scopedTopic.indexOf(scope) !== 0)
+         {
+            scope = "";
+         }
+         var topic = scopedTopic.substring(scope.length);
+         var ignored = array.some(this.ignoredTopicPrefixes, function(prefix) {
+            return scopedTopic.indexOf(prefix) === 0;
+         });
+
+         if (array.indexOf(this.ignoredTopics, topic) !== -1)
+         {
+            ignored = true;
+            if (payload && payload.alfResponseTopic)
+            {
+               this._ignoredResponseTopics[(payload.alfResponseScope || "") + payload.alfResponseTopic] = true;
+            }
+         }
+         else if (this._ignoredResponseTopics[scopedTopic])
+         {
+            ignored = true;
+         }
+
+         if (!ignored)
+         {
+            this._publications.push({
+               topic: topic,
+               scope: scope,
+               payload: this.toSerialisable(payload, []),
+               offset: time - this._startTime
+            });
+         }
+      },
+
+      /**
+       * Creates a copy of the supplied value that can be safely converted to JSON. Functions, DOM nodes and widgets
+       * are removed as are any references back to an object that contains the reference (i.e. circular references).
+       *
+       * @instance
+       * @param {*} value The value to copy
+       * @param {object[]} ancestors The objects that contain the value
+       * @returns {*} The copy (or undefined if the value cannot be copied)
+       */
+      toSerialisable: function alfresco_core_PubSubRecorder__toSerialisable(value, ancestors) {
+         var copy;
+         if (value === null || (typeof value !== "object" && typeof value !== "function"))
+         {
+            copy = value;
+         }
+         else if (value instanceof Date)
+         {
+            copy = value.toISOString();
+         }
+         else if (typeof value === "object" && !value.nodeType && !value.declaredClass && array.indexOf(ancestors, value) === -1)
+         {
+            var childAncestors = ancestors.concat([value]);
+            if (lang.isArray(value))
+            {
+               copy = array.map(value, function(item) {
+                  var itemCopy = this.toSerialisable(item, childAncestors);
+                  return (itemCopy === undefined) ? null : itemCopy;
+               }, this);
+            }
+            else
+            {
+               copy = {};
+               for (var key in value)
+               {
+                  if (value.hasOwnProperty(key))
+                  {
+                     var propertyCopy = this.toSerialisable(value[key], childAncestors);
+                     if (propertyCopy !== undefined)
+                     {
+                        copy[key] = propertyCopy;
+                     }
+                  }
+               }
+            }
+         }
+         return copy;
+      },
+
+      /**
+       * Returns the current recording.
+       *
+       * @instance
+       * @returns {object} The recording
+       */
+      getRecording: function alfresco_core_PubSubRecorder__getRecording() {
+         return {
+            version: this.recordingVersion,
+            publications: lang.clone(this._publications)
+         };
+      },
+
+      /**
+       * Returns the current recording as JSON.
+       *
+       * @instance
+       * @returns {string} The recording as JSON
+       */
+      exportRecording: function alfresco_core_PubSubRecorder__exportRecording() {
+         return JSON.stringify(this.getRecording());
+      },
+
+      /**
+       * Replays a recording by publishing each recorded publication through the [PubQueue]{@link module:alfresco/core/PubQueue}
+       * in the order in which they were recorded. If the page has not yet been created then the publications will
+       * be queued until it is ready. By default the publications are made one after the other but the original
+       * timing between publications can be reproduced if required. Any publications on the
+       * [ignored topics]{@link module:alfresco/core/PubSubRecorder#ignoredTopics} (which might be found in
+       * recordings made by earlier versions) are not replayed.
+       *
+       * @instance
+       * @param {object|string} recording The recording (or the recording as JSON)
+       * @param {boolean} [respectTiming=false] Whether or not to reproduce the original timing of the publications
+       * @returns {object} A promise that is resolved when all the publications have been made
+       */
+      replay: function alfresco_core_PubSubRecorder__replay(recording, respectTiming) {
+         var deferred = new Deferred();
+         if (typeof recording === "string")
+         {
+            recording = JSON.parse(recording);
+         }
+
+         var publications = array.filter((recording && recording.publications) || [], function(publication) {
+            return array.indexOf(this.ignoredTopics, publication.topic) === -1;
+         }, this);
+         var publish = lang.hitch(this, function(publication) {
+            PubQueue.getSingleton().publish((publication.scope || "") + publication.topic, lang.clone(publication.payload), this);
+         });
+
+         if (respectTiming && publications.length)
+         {
+            // Timeouts with the same delay are called in the order they were set so the order is preserved...
+            var firstOffset = publications[0].offset || 0;
+            array.forEach(publications, function(publication, index) {
+               window.setTimeout(function() {
+                  publish(publication);
+                  if (index === publications.length - 1)
+                  {
+                     deferred.resolve(publications.length);
+                  }
+               }, Math.max(0, (publication.offset || 0) - firstOffset));
+            });
+         }
+         else
+         {
+            array.forEach(publications, publish);
+            deferred.resolve(publications.length);
+         }
+         return deferred.promise;
+      }
+   });
+
+   var instance;
+   PubSubRecorder.getSingleton = function() {
+      if (!instance)
+      {
+         instance = new PubSubRecorder();
+      }
+      return instance;
+   };
+   return PubSubRecorder;
+});
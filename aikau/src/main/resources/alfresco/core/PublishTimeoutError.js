@@ -0,0 +1,36 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * The error used to reject the promise returned by [alfPublishToPromise]{@link module:alfresco/core/Core#alfPublishToPromise}
+ * when no response is received within the requested timeout. As well as the message it provides the topic
+ * that was published on and the timeout (in milliseconds) that was exceeded.
+ *
+ * @module alfresco/core/PublishTimeoutError
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["dojo/errors/create"],
+        function(create) {
+
+   return create("PublishTimeoutError", function(message, topic, timeout) {
+      this.topic = topic;
+      this.timeout = timeout;
+   });
+});
@@ -0,0 +1,242 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Singleton used by [CoreXhr]{@link module:alfresco/core/CoreXhr} to coalesce identical GET requests
+ * that are in flight at the same time (so that only one XHR request is actually made) and to optionally
+ * cache the responses for a period of time. Cached responses are removed when they expire or when a
+ * [request to invalidate them]{@link module:alfresco/core/topics#INVALIDATE_XHR_CACHE} is published.
+ *
+ * @module alfresco/core/RequestCache
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["dojo/_base/declare",
+        "dojo/_base/lang",
+        "dojo/topic",
+        "dojo/Deferred",
+        "alfresco/core/topics"],
+        function(declare, lang, pubSub, Deferred, topics) {
+
+   // This is a simple singleton pattern (see alfresco/core/PubQueue)...
+   var RequestCache = declare(null, {
+
+      /**
+       * The requests that are currently in flight, mapped by their key.
+       *
+       * @instance
+       * @type {object}
+       * @default
+       */
+      _inFlight: null,
+
+      /**
+       * The cached responses, mapped by their key. Each entry contains the URL requested, the
+       * full response (including the status and headers) and the time at which the response expires.
+       *
+       * @instance
+       * @type {object}
+       * @default
+       */
+      _cache: null,
+
+      /**
+       * Sets up the maps and subscribes to requests to invalidate the cache.
+       *
+       * @instance
+       * @listens module:alfresco/core/topics#INVALIDATE_XHR_CACHE
+       */
+      constructor: function alfresco_core_RequestCache__constructor() {
+         this._inFlight = {};
+         this._cache = {};
+         pubSub.subscribe(topics.INVALIDATE_XHR_CACHE, lang.hitch(this, this.onInvalidate));
+      },
+
+      /**
+       * Generates the key to use for a request. Requests with the same key are considered identical.
+       *
+       * @instance
+       * @param {string} url The URL being requested
+       * @param {object} options The options being passed to dojo/request/xhr
+       * @returns {string} The key
+       */
+      getKey: function alfresco_core_RequestCache__getKey(url, options) {
+         return JSON.stringify([url, options.query, options.headers, options.handleAs]);
+      },
+
+      /**
+       * Returns a promise for the response to a request. If the response has been cached and has not
+       * expired then it will be used, if an identical request is already in flight then that will be used
+       * and otherwise the supplied function will be called to make the request.
+       *
+       * @instance
+       * @param {string} key The [key]{@link module:alfresco/core/RequestCache#getKey} for the request
+       * @param {string} url The URL being requested (used when invalidating the cache)
+       * @param {number} ttl The number of milliseconds to cache the response for (0 to not cache it)
+       * @param {function} makeRequest The function to call to make the request, it must return a cancelable promise of the full response
+       * @returns {object} A promise of the full response that can be cancelled without affecting any other requester
+       */
+      request: function alfresco_core_RequestCache__request(key, url, ttl, makeRequest) {
+         var cached = this._cache[key];
+         if (cached && cached.expires > Date.now())
+         {
+            var deferred = new Deferred();
+            window.setTimeout(lang.hitch(this, function() {
+               deferred.resolve(this._copyResponse(cached.response));
+            }), 0);
+            return deferred.promise;
+         }
+         delete this._cache[key];
+
+         var inFlight = this._inFlight[key];
+         if (inFlight)
+         {
+            inFlight.ttl = Math.max(inFlight.ttl, ttl);
+         }
+         else
+         {
+            inFlight = this._inFlight[key] = {
+               url: url,
+               ttl: ttl,
+               followers: 0,
+               promise: makeRequest()
+            };
+            var removeInFlight = lang.hitch(this, function() {
+               if (this._inFlight[key] === inFlight)
+               {
+                  delete this._inFlight[key];
+               }
+            });
+            inFlight.promise.then(lang.hitch(this, function(response) {
+               removeInFlight();
+               if (inFlight.ttl > 0 && !inFlight.invalidated)
+               {
+                  this._cache[key] = {
+                     url: url,
+                     response: response,
+                     expires: Date.now() + inFlight.ttl
+                  };
+               }
+            }), removeInFlight);
+         }
+         return this._follow(key, inFlight);
+      },
+
+      /**
+       * Creates a copy of a response with its own copy of the response data so that requesters sharing a
+       * response cannot change the data seen by each other (or the data that is cached).
+       *
+       * @instance
+       * @param {object} response The full response
+       * @returns {object} The copied response
+       */
+      _copyResponse: function alfresco_core_RequestCache___copyResponse(response) {
+         var data = response.data;
+         return lang.delegate(response, {
+            data: typeof data === "string" ? data : lang.clone(data)
+         });
+      },
+
+      /**
+       * Creates a new promise that follows the shared promise of an in flight request. This ensures that 
+       * cancelling the returned promise does not cancel the request for every requester. The shared request
+       * is only cancelled (aborting the XHR request) when every requester following it has cancelled. Each
+       * requester is given its own [copy]{@link module:alfresco/core/RequestCache#_copyResponse} of the response.
+       *
+       * @instance
+       * @param {string} key The key of the in flight request
+       * @param {object} inFlight The in flight request
+       * @returns {object} A new promise
+       */
+      _follow: function alfresco_core_RequestCache___follow(key, inFlight) {
+         inFlight.followers++;
+         var deferred = new Deferred(lang.hitch(this, function(reason) {
+            inFlight.followers--;
+            if (inFlight.followers === 0 && !inFlight.promise.isFulfilled())
+            {
+               if (this._inFlight[key] === inFlight)
+               {
+                  delete this._inFlight[key];
+               }
+               inFlight.promise.cancel(reason);
+            }
+         }));
+         inFlight.promise.then(lang.hitch(this, function(response) {
+            deferred.resolve(this._copyResponse(response));
+         }), lang.hitch(deferred, deferred.reject), lang.hitch(deferred, deferred.progress));
+         return deferred.promise;
+      },
+
+      /**
+       * Removes cached responses. Any cached response for a URL (ignoring the query string) that is the
+       * same as, a parent of or a child of the supplied URL will be removed. Requests that are in flight
+       * for matching URLs will not have their responses cached and will not be shared with any subsequent
+       * identical requests (as their responses may now be out of date). If no URL is provided then all cached
+       * responses will be removed.
+       *
+       * @instance
+       * @param {string} [url] The URL to invalidate
+       */
+      invalidate: function alfresco_core_RequestCache__invalidate(url) {
+         var path = url && url.split("?")[0],
+            isRelated = function(otherUrl) {
+               var otherPath = otherUrl.split("?")[0];
+               return !path ||
+                      otherPath === path ||
+                      otherPath.indexOf(path + "/") === 0 ||
+                      path.indexOf(otherPath + "/") === 0;
+            };
+         for (var key in this._cache)
+         {
+            if (this._cache.hasOwnProperty(key) && isRelated(this._cache[key].url))
+            {
+               delete this._cache[key];
+            }
+         }
+         for (key in this._inFlight)
+         {
+            if (this._inFlight.hasOwnProperty(key) && isRelated(this._inFlight[key].url))
+            {
+               this._inFlight[key].invalidated = true;
+               delete this._inFlight[key];
+            }
+         }
+      },
+
+      /**
+       * Handles [requests to invalidate the cache]{@link module:alfresco/core/topics#INVALIDATE_XHR_CACHE}.
+       *
+       * @instance
+       * @param {object} payload The invalidation request payload
+       */
+      onInvalidate: function alfresco_core_RequestCache__onInvalidate(payload) {
+         this.invalidate(payload && payload.url);
+      }
+   });
+
+   var instance;
+   RequestCache.getSingleton = function() {
+      if (!instance)
+      {
+         instance = new RequestCache();
+      }
+      return instance;
+   };
+   return RequestCache;
+});
@@ -198,6 +198,20 @@ define([],function() {
        */
       CLOUD_AUTHENTICATION_SUCCESS: "ALF_CLOUD_AUTHENTICATION_SUCCESS",
 
+      /**
+       * This topic is published by a [view]{@link module:alfresco/lists/views/_ColumnLayoutMixin} when its
+       * columns are resized, re-ordered, shown or hidden.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       * @since 1.0.106
+       *
+       * @event
+       * @property {object} layout - The new column layout
+       */
+      COLUMN_LAYOUT_CHANGED: "ALF_LIST_COLUMN_LAYOUT_CHANGED",
+
       /**
        * This is fired when content is created (typically by the [ContentService]{@link module:alfresco/services/ContentService})
        * and was added to that [trees]{@link module:alfresco/navigation/PathTree} would be able to refresh themselves
@@ -326,6 +340,43 @@ define([],function() {
        */
       CREATE_SITE: "ALF_CREATE_SITE",
 
+      /**
+       * This is published by the [CrudService]{@link module:alfresco/services/CrudService} when an update
+       * or delete request fails because the item has been changed by someone else since it was retrieved
+       * (only when [optimistic concurrency control]{@link module:alfresco/services/CrudService#optimisticConcurrencyEnabled}
+       * is enabled). It is published using the response scope of the original request so that the
+       * [CrudForm]{@link module:alfresco/forms/CrudForm} that made the request can resolve the conflict.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       * @since 1.0.106
+       *
+       * @event
+       * @property {string} url The URL of the item
+       * @property {string} [requestedUrl] The "url" attribute of the update request payload (not provided for delete requests)
+       * @property {string} method The method of the request that failed ("PUT" or "DELETE")
+       * @property {object} localData The data that was sent in the request that failed
+       * @property {object} serverData The latest version of the item (or null if it could not be retrieved)
+       */
+      CRUD_CONFLICT: "ALF_CRUD_CONFLICT",
+
+      /**
+       * This is published by the [CrudService]{@link module:alfresco/services/CrudService} when the
+       * number of changes waiting in its [offline queue]{@link module:alfresco/services/CrudService#offlineQueueEnabled}
+       * changes, when a queued change is being sent and when the service is created.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       * @since 1.0.106
+       *
+       * @event
+       * @property {number} pendingCount The number of changes waiting to be saved
+       * @property {boolean} offline Whether or not the browser is currently offline
+       */
+      CRUD_OFFLINE_QUEUE_STATUS: "ALF_CRUD_OFFLINE_QUEUE_STATUS",
+
       /**
        * This topic is published from the [DataListService]{@link module:alfresco/services/DataListService}
        * when a Data List has had it's title and/or description updated.
@@ -692,6 +743,23 @@ define([],function() {
        */
       ENTER_KEY_PRESSED: "ALF_ENTER_KEY_PRESSED",
 
+      /**
+       * This topic can be published to request that a [list]{@link module:alfresco/lists/AlfList} export its
+       * data as a file. The fields exported and the labels used for them are taken from the visible columns
+       * of the current view.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       * @since 1.0.106
+       *
+       * @event
+       * @property {string} [format="CSV"] The format to export ("CSV", "JSON" or "XLSX")
+       * @property {boolean} [allPages=false] Whether to export all of the data or only the current page
+       * @property {string} [fileName] The name of the file to create (without an extension)
+       */
+      EXPORT_LIST_DATA: "ALF_EXPORT_LIST_DATA",
+
       /**
        * This topic can be published to request that the current user follow the users provided.
        * 
@@ -705,6 +773,32 @@ define([],function() {
        */
       FOLLOW_USERS: "ALF_FOLLOW_USERS",
 
+      /**
+       * This topic can be published within the scope of a [form]{@link module:alfresco/forms/Form} that has been
+       * configured with a [draftId]{@link module:alfresco/forms/Form#draftId} to discard any saved draft of its value.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       * @since 1.0.106
+       *
+       * @event
+       */
+      FORM_DRAFT_DISCARD: "ALF_FORM_DRAFT_DISCARD",
+
+      /**
+       * This topic can be published within the scope of a [form]{@link module:alfresco/forms/Form} that has been
+       * configured with a [draftId]{@link module:alfresco/forms/Form#draftId} to restore any saved draft of its value.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       * @since 1.0.106
+       *
+       * @event
+       */
+      FORM_DRAFT_RESTORE: "ALF_FORM_DRAFT_RESTORE",
+
       /**
        * This topic can be published to request a list of authorities to be returned (e.g. users
        * or groups).
@@ -983,6 +1077,37 @@ define([],function() {
        */
       GET_RECENT_SITES: "ALF_GET_RECENT_SITES",
 
+      /**
+       * This topic can be published to request the data for a report that has been registered with the
+       * [ReportService]{@link module:alfresco/services/ReportService}. The response payload contains both
+       * chart data (in "response.data") and table rows (in "response.rows").
+       *
+       * @instance
+       * @type {string}
+       * @default
+       * @since 1.0.106
+       *
+       * @event
+       * @property {string} [reportId] The ID of a registered report definition
+       * @property {object} [reportDefinition] An inline report definition to use instead of a registered one
+       * @property {object} [reportParameters] Parameters for the data source (e.g. a site shortName)
+       */
+      GET_REPORT_DATA: "ALF_RETRIEVE_REPORT_DATA",
+
+      /**
+       * This topic can be published to request the details of chunked uploads that were interrupted (e.g. by the
+       * page being reloaded) and that can be resumed by requesting the upload of the same file to the same location.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       * @since 1.0.106
+       *
+       * @event
+       * @property {string} alfResponseTopic The topic on which to publish the details of the resumable uploads
+       */
+      GET_RESUMABLE_UPLOADS: "ALF_GET_RESUMABLE_UPLOADS",
+
       /**
        * This topic can be published to retrieve a list of all the sites that are accessible to the
        * current user. Unfortunately at the present time this cannot be used for requesting 
@@ -1038,6 +1163,22 @@ define([],function() {
        */
       INIT_CLOUD_SYNC: "ALF_INIT_CLOUD_SYNC",
 
+      /**
+       * This can be published to remove cached XHR responses (see
+       * [cacheTtl]{@link module:alfresco/core/CoreXhr#cacheTtl}). Any cached response for a URL that
+       * is the same as, a parent of or a child of the supplied URL will be removed. If no URL is
+       * provided then all cached responses will be removed.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       * @since 1.0.106
+       *
+       * @event
+       * @property {string} [url] The URL to remove cached responses for
+       */
+      INVALIDATE_XHR_CACHE: "ALF_INVALIDATE_XHR_CACHE",
+
       /**
        * This is published by the [filtered list]{@link module:alfresco/lists/AlfFilteredList} to indicate
        * what filters have been applied to the list.
@@ -1092,6 +1233,23 @@ define([],function() {
       FILTER_VALUE_CHANGE: "ALF_FILTER_VALUE_CHANGED",
 
 
+      /**
+       * This topic is published by a [list]{@link module:alfresco/lists/AlfList} when it has exported its
+       * data following a [request]{@link module:alfresco/core/topics#EXPORT_LIST_DATA}.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       * @since 1.0.106
+       *
+       * @event
+       * @property {string} format The format that was exported
+       * @property {string} fileName The name of the file that was created
+       * @property {string[]} columns The labels of the exported columns
+       * @property {number} itemCount The number of items that were exported
+       */
+      LIST_DATA_EXPORTED: "ALF_LIST_DATA_EXPORTED",
+
       /**
        * This can be published to request that an action be performed on multiple selected items. The 
        * selected items are tracked by either the [ActionService]{@link module:alfresco/services/ActionService}
@@ -1150,6 +1308,22 @@ define([],function() {
        */
       NOTIFICATION_CLOSED: "ALF_NOTIFICATION_CLOSED",
 
+      /**
+       * This topic is published by the [Page]{@link module:alfresco/core/Page} when its model has been
+       * validated against the widget and service schemas. This only happens in debug mode when
+       * [modelValidation]{@link module:alfresco/core/Page#modelValidation} is enabled.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       * @since 1.0.106
+       *
+       * @event
+       * @property {object[]} issues The issues found (each has a "type", "path" and "message"), see
+       * [validate]{@link module:alfresco/core/ModelValidator#validate}
+       */
+      PAGE_MODEL_VALIDATED: "ALF_PAGE_MODEL_VALIDATED",
+
       /**
        * This topic is published when the page has finished loading. It should also be published
        * when dynamically creating widgets after the page has finished loading.
@@ -1172,6 +1346,20 @@ define([],function() {
        */
       PATH_CHANGED: "ALF_DOCUMENTLIST_PATH_CHANGED",
 
+      /**
+       * Pause an in-progress chunked upload. The chunk currently being sent is abandoned and will be sent
+       * again when the upload is resumed.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       * @since 1.0.106
+       *
+       * @event
+       * @property {string} uploadId The ID of the upload to pause
+       */
+      PAUSE_INPROGRESS_UPLOAD: "ALF_PAUSE_INPROGRESS_UPLOAD",
+
       /**
        * This topic can be published to request to POST data to a new page
        *
@@ -1233,6 +1421,22 @@ define([],function() {
        */
       PREVIEWS_SHOWN: "ALF_PREVIEWS_SHOWN",
 
+      /**
+       * Change the position of an upload that is waiting in the upload queue so that it is started sooner
+       * or later than it otherwise would be.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       * @since 1.0.106
+       *
+       * @event
+       * @property {string} uploadId The ID of the queued upload
+       * @property {string} [position="first"] Either "first" to start the upload next or "last" to start it
+       * after all the other queued uploads
+       */
+      PRIORITISE_QUEUED_UPLOAD: "ALF_PRIORITISE_QUEUED_UPLOAD",
+
       /**
        * This topic can be used to denote that an activity has begun, for which a global progress indicator should be shown.
        * This can be called multiple times, and for each "ADD" a corresponding "REMOVE" should be called via the
@@ -1273,6 +1477,36 @@ define([],function() {
        */
       PROGRESS_INDICATOR_REMOVE_ALL_ACTIVITIES: "ALF_PROGRESS_INDICATOR_REMOVE_ALL_ACTIVITIES",
 
+      /**
+       * Register a step in the pre-upload pipeline of the upload services. Each file requested for upload is
+       * passed through every registered step (in the order in which they were registered) before it is uploaded.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       * @since 1.0.106
+       *
+       * @event
+       * @property {string} name The name of the step module (which should extend [_PreUploadStep]{@link module:alfresco/upload/steps/_PreUploadStep})
+       * @property {object} [config] The configuration for the step
+       */
+      REGISTER_PRE_UPLOAD_STEP: "ALF_REGISTER_PRE_UPLOAD_STEP",
+
+      /**
+       * This topic can be published to register a report definition with the
+       * [ReportService]{@link module:alfresco/services/ReportService} so that its data can then be
+       * requested by publishing on [GET_REPORT_DATA]{@link module:alfresco/core/topics#GET_REPORT_DATA}.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       * @since 1.0.106
+       *
+       * @event
+       * @property {object} reportDefinition The report definition to register (an "id" is required)
+       */
+      REGISTER_REPORT: "ALF_REGISTER_REPORT",
+
       /**
        * This topic is published to indicate that data needs to be uploaded. This is typically list based data but can
        * be used by other widgets.
@@ -1313,6 +1547,21 @@ define([],function() {
        */
       REMOVE_FAVOURITE_NODE: "ALF_PREFERENCE_REMOVE_DOCUMENT_FAVOURITE",
 
+      /**
+       * This can be published to request that the [PubSubRecorderService]{@link module:alfresco/services/PubSubRecorderService}
+       * replays a recording of publications.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       * @since 1.0.106
+       *
+       * @event
+       * @property {object|string} recording The recording (or the recording as JSON) to replay
+       * @property {boolean} [respectTiming=false] Whether or not to reproduce the original timing between publications
+       */
+      REPLAY_PUBSUB_RECORDING: "ALF_REPLAY_PUBSUB_RECORDING",
+
       /**
        * Called to start off the archiving process.
        *
@@ -1407,6 +1656,19 @@ define([],function() {
        */
       REQUEST_FORM: "ALF_FORM_REQUEST",
 
+      /**
+       * Resume a paused chunked upload.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       * @since 1.0.106
+       *
+       * @event
+       * @property {string} uploadId The ID of the upload to resume
+       */
+      RESUME_INPROGRESS_UPLOAD: "ALF_RESUME_INPROGRESS_UPLOAD",
+
       /**
        * Retrieve the currently available tags
        *
@@ -1508,6 +1770,21 @@ define([],function() {
        */
       SET_COLUMNS: "ALF_DOCLIST_SET_GALLERY_COLUMNS",
 
+      /**
+       * This topic is published by the column chooser menu items of a
+       * [view]{@link module:alfresco/lists/views/_ColumnLayoutMixin} to show or hide a column.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       * @since 1.0.106
+       *
+       * @event
+       * @property {string} value - The key of the column
+       * @property {boolean} selected - Whether or not the column should be displayed
+       */
+      SET_COLUMN_VISIBILITY: "ALF_SET_LIST_COLUMN_VISIBILITY",
+
       /**
        * This topic can be published to set a user preference. It is typically handled by 
        * the [PreferenceService]{@link module:alfresco/services/PreferenceService}.
@@ -1661,6 +1938,20 @@ define([],function() {
        */
       SORT_LIST: "ALF_DOCLIST_SORT",
 
+      /**
+       * This can be published to request that the [PubSubRecorderService]{@link module:alfresco/services/PubSubRecorderService}
+       * starts recording publications. Any previous recording will be discarded.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       * @since 1.0.106
+       *
+       * @event
+       * @property {boolean} [includeHistory=false] Whether or not to include the publications already logged in debug mode
+       */
+      START_PUBSUB_RECORDING: "ALF_START_PUBSUB_RECORDING",
+
       /**
        * This can be called to close the StickyPanel.
        *
@@ -1748,6 +2039,21 @@ define([],function() {
        */
       STICKY_PANEL_SET_TITLE: "ALF_STICKY_PANEL_SET_TITLE",
 
+      /**
+       * This can be published to request that the [PubSubRecorderService]{@link module:alfresco/services/PubSubRecorderService}
+       * stops recording publications. The recording will be published as JSON (as the "recording" attribute)
+       * on the response topic of the request.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       * @since 1.0.106
+       *
+       * @event
+       * @property {string} [alfResponseTopic] The topic to publish the recording on
+       */
+      STOP_PUBSUB_RECORDING: "ALF_STOP_PUBSUB_RECORDING",
+
       /**
        * This topic can be used to stop an XHR request that is in progress.
        * 
@@ -1970,6 +2276,9 @@ define([],function() {
        *                               [alfGetData]{@link module:alfresco/core/Core#alfGetData}
        *                               which will override any included files
        * @property {object} targetData An object describing where to upload the files to
+       * @property {string[]} [folders] The paths of folders (relative to the target) to create before the files are
+       *                                uploaded (since 1.0.106). Files are uploaded into the folder identified by
+       *                                their "relativePath" attribute
        * @property {string} alfResponseTopic The topic on which to respond after all files have
        *                                     uploaded (successfully or unsuccessfully)
        * @property {string} [responseScope] The scope of the response defined by the alfResponseTopic,
@@ -2028,6 +2337,33 @@ define([],function() {
        * @default
        * @since 1.0.35
        */
-      WIDGET_PROCESSING_COMPLETE: "ALF_WIDGET_PROCESSING_COMPLETE"
+      WIDGET_PROCESSING_COMPLETE: "ALF_WIDGET_PROCESSING_COMPLETE",
+
+      /**
+       * This topic can be published within the scope of a [wizard form]{@link module:alfresco/forms/WizardForm}
+       * to request that it advances to the next step that has not been skipped. The wizard will only advance
+       * if all the form controls in the current step are valid.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       * @since 1.0.106
+       *
+       * @event
+       */
+      WIZARD_NEXT_STEP: "ALF_WIZARD_NEXT_STEP",
+
+      /**
+       * This topic can be published within the scope of a [wizard form]{@link module:alfresco/forms/WizardForm}
+       * to request that it returns to the previous step that has not been skipped.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       * @since 1.0.106
+       *
+       * @event
+       */
+      WIZARD_PREVIOUS_STEP: "ALF_WIZARD_PREVIOUS_STEP"
    };
 });
@@ -27,8 +27,9 @@
 define(["dojo/_base/declare",
    "alfresco/core/Core",
    "alfresco/core/I18nUtils",
-   "alfresco/dashlets/Dashlet"],
-      function(declare, AlfCore, I18nUtils, Dashlet) {
+   "alfresco/dashlets/Dashlet",
+   "dojo/_base/lang"],
+      function(declare, AlfCore, I18nUtils, Dashlet, lang) {
 
          return declare([Dashlet], {
 
@@ -48,6 +49,38 @@ define(["dojo/_base/declare",
              */
             i18nRequirements: [{i18nFile: "./i18n/SiteContentReportDashlet.properties"}],
 
+            /**
+             * The topic that the [report]{@link module:alfresco/reports/SiteContentReport#drillDownTopic}
+             * should publish on when a slice of its chart is clicked.
+             *
+             * @instance
+             * @type {string}
+             * @default
+             * @since 1.0.106
+             */
+            drillDownTopic: null,
+
+            /**
+             * The [filter name]{@link module:alfresco/reports/SiteContentReport#drillDownFilterName} to pass on
+             * to the report.
+             *
+             * @instance
+             * @type {string}
+             * @default
+             * @since 1.0.106
+             */
+            drillDownFilterName: "mimetype",
+
+            /**
+             * Whether or not the report should [publish globally]{@link module:alfresco/reports/SiteContentReport#drillDownPublishGlobal}.
+             *
+             * @instance
+             * @type {boolean}
+             * @default
+             * @since 1.0.106
+             */
+            drillDownPublishGlobal: false,
+
             /**
              * The widgets to be processed to generate each item in the rendered view.
              *
@@ -62,7 +95,27 @@ define(["dojo/_base/declare",
                      title: ""
                   }
                }
-            ]
+            ],
+
+            /**
+             * Extends the [inherited function]{@link module:alfresco/dashlets/Dashlet#postMixInProperties} to
+             * pass the drill down configuration on to the report.
+             *
+             * @instance
+             * @since 1.0.106
+             */
+            postMixInProperties: function alfresco_dashlets_SiteContentReportDashlet__postMixInProperties() {
+               this.inherited(arguments);
+               if (this.drillDownTopic)
+               {
+                  this.widgetsForBody = lang.clone(this.widgetsForBody);
+                  lang.mixin(this.widgetsForBody[0].config, {
+                     drillDownTopic: this.drillDownTopic,
+                     drillDownFilterName: this.drillDownFilterName,
+                     drillDownPublishGlobal: this.drillDownPublishGlobal
+                  });
+               }
+            }
 
          });
       });
\ No newline at end of file
@@ -35,6 +35,7 @@ define(["dojo/_base/declare",
         "alfresco/documentlibrary/_AlfDocumentListTopicMixin",
         "alfresco/core/PathUtils",
         "alfresco/core/topics",
+        "alfresco/util/fileDropUtils",
         "dojo/_base/lang",
         "dojo/_base/array",
         "dojo/mouse",
@@ -50,7 +51,7 @@ define(["dojo/_base/declare",
         "dojo/_base/sniff",
         "jquery",
         "jqueryui"],
-        function(declare, AlfCore, _AlfDocumentListTopicMixin, PathUtils, topics, lang, array, mouse, on, registry, domClass,
+        function(declare, AlfCore, _AlfDocumentListTopicMixin, PathUtils, topics, fileDropUtils, lang, array, mouse, on, registry, domClass,
                  domConstruct, domGeom, domStyle, dom, win, has, $) {
 
    return declare([AlfCore, _AlfDocumentListTopicMixin, PathUtils], {
@@ -794,80 +795,7 @@ define(["dojo/_base/declare",
                };
                var updatedConfig = lang.mixin(defaultConfig, config);
 
-               var walkFileSystem = lang.hitch(this, function alfresco_documentlibrary__AlfDndDocumentUploadMixin__onDndUploadDrop__walkFileSystem(directory, callback, error) {
-
-                  callback.limit = this.dndMaxFileLimit;
-                  callback.pending = callback.pending || 0;
-                  callback.files = callback.files || [];
-
-                  // get a dir reader and cleanup file path
-                  var reader = directory.createReader(),
-                      relativePath = directory.fullPath.replace(/^\//, "");
-
-                  var repeatReader = function alfresco_documentlibrary__AlfDndDocumentUploadMixin__onDndUploadDrop__walkFileSystem__repeatReader() {
-
-                     // about to start an async callback function
-                     callback.pending++;
-
-                     reader.readEntries(function alfresco_documentlibrary__AlfDndDocumentUploadMixin__onDndUploadDrop__walkFileSystem__repeatReader__readEntries(entries) {
-
-                        // processing an async callback function
-                        callback.pending--;
-
-                        array.forEach(entries, function(entry) {
-                           if (entry.isFile)
-                           {
-                              // about to start an async callback function
-                              callback.pending++;
-
-                              entry.file(function(File) {
-                                 // add the relativePath property to each file - this can be used to rebuild the contents of
-                                 // a nested tree folder structure if an appropriate API is available to do so
-                                 File.relativePath = relativePath;
-                                 callback.files.push(File);
-                                 if (callback.limit && callback.files.length > callback.limit)
-                                 {
-                                    throw new Error("Maximum dnd file limit reached: " + callback.limit);
-                                 }
-
-                                 // processing an async callback function
-                                 if (--callback.pending === 0)
-                                 {
-                                    // fall out here if last item processed is a file entry
-                                    callback(callback.files);
-                                 }
-                              }, error);
-                           }
-                           else
-                           {
-                              walkFileSystem(entry, callback, error);
-                           }
-                        });
-
-                        // the reader API is a little esoteric,from the MDN docs:
-                        // "Continue calling readEntries() until an empty array is returned.
-                        //  You have to do this because the API might not return all entries in a single call."
-                        if (entries.length !== 0)
-                        {
-                           repeatReader();
-                        }
-
-                        // fall out here if last item processed is a dir entry e.g. empty dir
-                        if (callback.pending === 0)
-                        {
-                           callback(callback.files);
-                        }
-                     }, error);
-                  };
-                  repeatReader();
-               });
-
-               var addSelectedFiles = lang.hitch(this, function alfresco_documentlibrary__AlfDndDocumentUploadMixin__onDndUploadDrop__addSelectedFiles(files) {
-
-                  if (this.dndMaxFileLimit && files.length > this.dndMaxFileLimit)
-                  {
-                     throw new Error("Maximum dnd file limit reached: " + this.dndMaxFileLimit);
-                  }
+               var addSelectedFiles = lang.hitch(this, function alfresco_documentlibrary__AlfDndDocumentUploadMixin__onDndUploadDrop__addSelectedFiles(files, folders) {
 
                   // Check to see whether or not the generated upload configuration indicates
                   // that an existing node will be created or not. If node is being updated then
@@ -881,6 +809,7 @@ define(["dojo/_base/declare",
                      this.alfPublish(topics.UPLOAD_REQUEST, {
                         alfResponseTopic: responseTopic,
                         files: files,
+                        folders: folders,
                         targetData: updatedConfig
                      }, true);
                   }
@@ -891,24 +820,12 @@ define(["dojo/_base/declare",
                   }
                });
 
-               var items = evt.dataTransfer.items || [], firstEntry;
-               // webkitGetAsEntry is a marker for determining FileSystem API support.
-               // SHA-2164 - Firefox claims support, but different impl. rather than code around differences, fallback.
-               if (items[0] && items[0].webkitGetAsEntry && !has("ff") && (firstEntry = items[0].webkitGetAsEntry()))
-               {
-                  walkFileSystem(firstEntry.filesystem.root, function(files) {
-                        addSelectedFiles(files);
-                     }, function() {
-                        // fallback to standard way if error happens
-                        addSelectedFiles(evt.dataTransfer.files);
-                     }
-                  );
-               }
-               else
-               {
-                  // fallback to standard way if no support for filesystem API
-                  addSelectedFiles(evt.dataTransfer.files);
-               }
+               // Walk any dropped folders so that their structure can be recreated in the target...
+               fileDropUtils.getDroppedItems(evt.dataTransfer, this.dndMaxFileLimit).then(function(droppedItems) {
+                  addSelectedFiles(droppedItems.files, droppedItems.folders);
+               }, lang.hitch(this, function(error) {
+                  this.alfLog("error", "The following error occurred when files were dropped onto the Document List: ", error);
+               }));
             }
             else
             {
@@ -554,7 +554,7 @@ define(["dojo/_base/declare",
        * @returns {object} A new [ListRenderer]{@link module:alfresco/lists/views/ListRenderer}
        */
       createListRenderer: function alfresco_documentlibrary_views_AlfGalleryView__createListRenderer() {
-         var dlr = new Grid({
+         var dlr = new Grid(lang.mixin({
             id: this.id + "_ITEMS",
             widgets: lang.clone(this.widgets),
             currentData: this.currentData,
@@ -570,7 +570,7 @@ define(["dojo/_base/declare",
             expandTopics: this.expandTopics,
             enableHighlighting: this.enableHighlighting,
             widgetsForAppendix: this.widgetsForAppendix
-         });
+         }, this.getVirtualScrollConfig()));
          return dlr;
       },
 
@@ -583,6 +583,7 @@ define(["dojo/_base/declare",
          if (this.docListRenderer)
          {
             this.docListRenderer.resizeCells();
+            this.useVirtualScroll && this.docListRenderer.updateVirtualRange();
          }
       },
       
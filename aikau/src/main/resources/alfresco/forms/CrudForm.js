@@ -23,6 +23,18 @@
  * For example the same form can show empty (or default) fields for creating new objects or can be updated
  * with data for existing items. The buttons will vary based on the current form state, e.g. "Delete" and "Update"
  * will be shown for existing data, but will not be displayed when creating new items.
+ *
+ * <p>If an update is rejected because the item has been changed by someone else (see the
+ * [optimistic concurrency control]{@link module:alfresco/services/CrudService#optimisticConcurrencyEnabled}
+ * provided by the [CrudService]{@link module:alfresco/services/CrudService}) then a dialog will be displayed
+ * showing the fields that differ and the user can choose to reload the latest version of the item, overwrite
+ * it with their changes or merge their changes into the latest version. Only conflicts for the URL that the
+ * form's "Update" button publishes are handled, so that other forms on the page are not affected.</p>
+ *
+ * <p>The values of the form are mixed into the configured "createButtonPublishPayload", "updateButtonPublishPayload"
+ * and "deleteButtonPublishPayload" (in the same way as for the buttons of a [Form]{@link module:alfresco/forms/Form})
+ * so that configured attributes (such as the "url" required by the [CrudService]{@link module:alfresco/services/CrudService})
+ * are always published. Prior to version 1.0.106 the configured payloads were replaced by the form value when it changed.</p>
  * 
  * @module alfresco/forms/DynamicForm
  * @extends module:alfresco/forms/Form
@@ -35,10 +47,21 @@ define(["dojo/_base/declare",
         "alfresco/buttons/AlfButton",
         "dojo/dom-construct",
         "dojo/dom-style",
-        "dijit/registry"], 
-        function(declare, Form, lang, array, AlfButton, domConstruct, domStyle, registry) {
+        "dijit/registry",
+        "alfresco/core/topics"], 
+        function(declare, Form, lang, array, AlfButton, domConstruct, domStyle, registry, topics) {
    
    return declare([Form], {
+
+      /**
+       * An array of the i18n files to use with this widget.
+       *
+       * @instance
+       * @type {object[]}
+       * @default [{i18nFile: "./i18n/CrudForm.properties"}]
+       * @since 1.0.106
+       */
+      i18nRequirements: [{i18nFile: "./i18n/CrudForm.properties"}],
       
       /**
        * This should be configured to be an object that contains the default data set to use
@@ -74,9 +97,22 @@ define(["dojo/_base/declare",
        */
       showFormTopics: null,
 
+      /**
+       * The value of the form when an existing item was displayed. This is used to determine which fields
+       * have been changed by the user when [merging]{@link module:alfresco/forms/CrudForm#mergeConflict}
+       * their changes into the latest version of the item.
+       *
+       * @instance
+       * @type {object}
+       * @default
+       * @since 1.0.106
+       */
+      _originalValue: null,
+
       /**
        * Subscribes to 
        * @instance
+       * @listens module:alfresco/core/topics#CRUD_CONFLICT
        */
       postMixInProperties: function alfresco_forms_CrudForm__postMixInProperties() {
 
@@ -84,6 +120,7 @@ define(["dojo/_base/declare",
          // existing updates...
          this.alfSubscribe("ALF_CRUD_FORM_CREATE", lang.hitch(this, "onShowCreateState"));
          this.alfSubscribe("ALF_CRUD_FORM_UPDATE", lang.hitch(this, "onShowUpdateState"));
+         this.alfSubscribe(topics.CRUD_CONFLICT, lang.hitch(this, this.onConflict));
 
          if (this.showInfoTopics)
          {
@@ -243,6 +280,16 @@ define(["dojo/_base/declare",
             this.additionalButtons = registry.findWidgets(this.buttonsNode);
          }
 
+         // Keep a copy of the configured payloads so that the form value is mixed into them (rather than
+         // replacing them) when the payloads are updated. This ensures that the configured URL is still
+         // published once the form value has changed...
+         array.forEach([this.createButton, this.updateButton, this.deleteButton], function(button) {
+            if (button.publishPayload)
+            {
+               button._alfOriginalButtonPayload = lang.clone(button.publishPayload);
+            }
+         });
+
          // Initialise to the create state...
          this.onShowCreateState(null);
       },
@@ -283,6 +330,7 @@ define(["dojo/_base/declare",
          // but for now just use the data provided in the payload. It is expected that the payload
          // will contain all the relevant data.
          this.setValue(payload);
+         this._originalValue = this.getValue();
 
          domStyle.set(this.createButton.domNode, "display", "none");
          domStyle.set(this.updateButton.domNode, "display", "");
@@ -295,6 +343,281 @@ define(["dojo/_base/declare",
          this.onShowForm();
       },
 
+      /**
+       * Handles conflicts reported when an update made from this form is rejected because the item has been
+       * changed by someone else. Conflicts are only handled when the form is displaying an existing item and
+       * the URL of the rejected update is the URL that the "Update" button of this form publishes. A dialog is displayed listing the fields that differ between the changes made
+       * by the user and the latest version of the item so that the user can choose how to resolve the conflict.
+       * If the item has been deleted then the user can instead choose to discard their changes, re-create the
+       * item or keep editing it (in which case the form is switched to the create state).
+       *
+       * @instance
+       * @param {object} payload The details of the conflict
+       * @fires module:alfresco/core/topics#CREATE_DIALOG
+       * @since 1.0.106
+       */
+      onConflict: function alfresco_forms_CrudForm__onConflict(payload) {
+         var updateUrl = lang.getObject("publishPayload.url", false, this.updateButton);
+         if (this.okButton === this.updateButton && payload.method === "PUT" && updateUrl && payload.requestedUrl === updateUrl)
+         {
+            var dialogId = this.id + "_CONFLICT_DIALOG",
+               cancelTopic = this.generateUuid(),
+               handles = [];
+            var onResolved = lang.hitch(this, function(resolve) {
+               this.alfUnsubscribe(handles);
+               handles = [];
+               resolve.call(this, payload.localData, payload.serverData);
+            });
+
+            var resolutions = payload.serverData ? [
+               { id: "RELOAD", label: "crudform.conflict.reload.label", resolve: this.reloadConflict },
+               { id: "OVERWRITE", label: "crudform.conflict.overwrite.label", resolve: this.overwriteConflict },
+               { id: "MERGE", label: "crudform.conflict.merge.label", resolve: this.mergeConflict }
+            ] : [
+               { id: "DISCARD", label: "crudform.conflict.discard.label", resolve: this.reloadConflict },
+               { id: "RECREATE", label: "crudform.conflict.recreate.label", resolve: this.recreateConflict },
+               { id: "KEEP_EDITING", label: "crudform.conflict.keep-editing.label", resolve: this.keepEditingConflict }
+            ];
+            var widgetsButtons = array.map(resolutions, function(resolution) {
+               var resolveTopic = this.generateUuid();
+               handles.push(this.alfSubscribe(resolveTopic, lang.partial(onResolved, resolution.resolve), true));
+               return {
+                  id: dialogId + "_" + resolution.id,
+                  name: "alfresco/buttons/AlfButton",
+                  config: {
+                     label: this.message(resolution.label),
+                     publishTopic: resolveTopic
+                  }
+               };
+            }, this);
+
+            // Closing the dialog without choosing a resolution leaves the form as it is...
+            handles.push(this.alfSubscribe(cancelTopic, lang.partial(onResolved, function() {}), true));
+
+            this.alfServicePublish(topics.CREATE_DIALOG, {
+               dialogId: dialogId,
+               dialogTitle: this.message("crudform.conflict.title"),
+               cancelPublishTopic: cancelTopic,
+               cancelPublishScope: "",
+               widgetsContent: [
+                  {
+                     name: "alfresco/html/Label",
+                     config: {
+                        label: this.message(payload.serverData ? "crudform.conflict.prompt" : "crudform.conflict.deleted.prompt")
+                     }
+                  },
+                  {
+                     id: dialogId + "_DIFFERENCES",
+                     name: "alfresco/lists/views/AlfListView",
+                     config: {
+                        currentData: {
+                           items: this.getConflictingFields(payload.localData, payload.serverData)
+                        },
+                        widgetsForHeader: [
+                           {
+                              name: "alfresco/lists/views/layouts/HeaderCell",
+                              config: {
+                                 label: this.message("crudform.conflict.field.label")
+                              }
+                           },
+                           {
+                              name: "alfresco/lists/views/layouts/HeaderCell",
+                              config: {
+                                 label: this.message("crudform.conflict.local.label")
+                              }
+                           },
+                           {
+                              name: "alfresco/lists/views/layouts/HeaderCell",
+                              config: {
+                                 label: this.message("crudform.conflict.server.label")
+                              }
+                           }
+                        ],
+                        widgets: [
+                           {
+                              name: "alfresco/lists/views/layouts/Row",
+                              config: {
+                                 widgets: [
+                                    {
+                                       name: "alfresco/lists/views/layouts/Cell",
+                                       config: {
+                                          widgets: [
+                                             {
+                                                name: "alfresco/renderers/Property",
+                                                config: {
+                                                   propertyToRender: "label"
+                                                }
+                                             }
+                                          ]
+                                       }
+                                    },
+                                    {
+                                       name: "alfresco/lists/views/layouts/Cell",
+                                       config: {
+                                          widgets: [
+                                             {
+                                                name: "alfresco/renderers/Property",
+                                                config: {
+                                                   propertyToRender: "localValue"
+                                                }
+                                             }
+                                          ]
+                                       }
+                                    },
+                                    {
+                                       name: "alfresco/lists/views/layouts/Cell",
+                                       config: {
+                                          widgets: [
+                                             {
+                                                name: "alfresco/renderers/Property",
+                                                config: {
+                                                   propertyToRender: "serverValue"
+                                                }
+                                             }
+                                          ]
+                                       }
+                                    }
+                                 ]
+                              }
+                           }
+                        ]
+                     }
+                  }
+               ],
+               widgetsButtons: widgetsButtons
+            });
+         }
+      },
+
+      /**
+       * Compares the values of each field in the form between the changes made by the user and the latest
+       * version of the item and returns the details of the fields that differ.
+       *
+       * @instance
+       * @param {object} localData The data that the user attempted to save
+       * @param {object} serverData The latest version of the item (or null if it no longer exists)
+       * @returns {object[]} The label, local value and server value of each field that differs
+       * @since 1.0.106
+       */
+      getConflictingFields: function alfresco_forms_CrudForm__getConflictingFields(localData, serverData) {
+         var toDisplayValue = function(value) {
+            if (value === undefined || value === null)
+            {
+               return "";
+            }
+            return (typeof value === "object") ? JSON.stringify(value) : String(value);
+         };
+         var differences = [];
+         array.forEach(this._form.getChildren(), function(control) {
+            var name = control.get("name");
+            if (name)
+            {
+               var localValue = toDisplayValue(lang.getObject(name, false, localData)),
+                  serverValue = toDisplayValue(lang.getObject(name, false, serverData));
+               if (localValue !== serverValue)
+               {
+                  differences.push({
+                     name: name,
+                     label: this.message(control.label || name),
+                     localValue: localValue,
+                     serverValue: serverValue
+                  });
+               }
+            }
+         }, this);
+         return differences;
+      },
+
+      /**
+       * Resolves a conflict by discarding the changes made by the user and displaying the latest version
+       * of the item. If the item no longer exists then the information panel is displayed instead.
+       *
+       * @instance
+       * @param {object} localData The data that the user attempted to save
+       * @param {object} serverData The latest version of the item (or null if it no longer exists)
+       * @since 1.0.106
+       */
+      reloadConflict: function alfresco_forms_CrudForm__reloadConflict(/*jshint unused:false*/ localData, serverData) {
+         if (serverData)
+         {
+            this.onShowUpdateState(serverData);
+         }
+         else
+         {
+            this.onShowInfo();
+         }
+      },
+
+      /**
+       * Resolves a conflict by saving the changes made by the user again. The
+       * [CrudService]{@link module:alfresco/services/CrudService} will have remembered the version of the
+       * item that it retrieved when the conflict was detected so the changes will now overwrite it.
+       *
+       * @instance
+       * @param {object} localData The data that the user attempted to save
+       * @since 1.0.106
+       */
+      overwriteConflict: function alfresco_forms_CrudForm__overwriteConflict(localData) {
+         this.setValue(localData);
+         this.updateButton.activate();
+      },
+
+      /**
+       * Resolves a conflict where the item has been deleted by switching the form to the create state while
+       * keeping the changes made by the user, so that they can continue editing before creating the item again.
+       *
+       * @instance
+       * @param {object} localData The data that the user attempted to save
+       * @since 1.0.106
+       */
+      keepEditingConflict: function alfresco_forms_CrudForm__keepEditingConflict(localData) {
+         this.onShowCreateState(null);
+         this.setValue(localData);
+         this._originalValue = null;
+         this.validate();
+      },
+
+      /**
+       * Resolves a conflict where the item has been deleted by creating it again with the changes made by the user.
+       *
+       * @instance
+       * @param {object} localData The data that the user attempted to save
+       * @since 1.0.106
+       */
+      recreateConflict: function alfresco_forms_CrudForm__recreateConflict(localData) {
+         this.keepEditingConflict(localData);
+         this.createButton.activate();
+      },
+
+      /**
+       * Resolves a conflict by displaying the latest version of the item with the fields that the user
+       * changed set to the values that they entered. The merged item is not saved until the user chooses
+       * to update it.
+       *
+       * @instance
+       * @param {object} localData The data that the user attempted to save
+       * @param {object} serverData The latest version of the item (or null if it no longer exists)
+       * @since 1.0.106
+       */
+      mergeConflict: function alfresco_forms_CrudForm__mergeConflict(localData, serverData) {
+         var mergedValue = lang.clone(serverData || {}),
+            originalValue = this._originalValue || {};
+         array.forEach(this._form.getChildren(), function(control) {
+            var name = control.get("name");
+            if (name)
+            {
+               var localValue = lang.getObject(name, false, localData);
+               if (JSON.stringify(localValue) !== JSON.stringify(lang.getObject(name, false, originalValue)))
+               {
+                  lang.setObject(name, localValue, mergedValue);
+               }
+            }
+         });
+         this.setValue(mergedValue);
+         this._originalValue = serverData ? this.getValue() : null;
+         this.validate();
+      },
+
       widgetsForInfo: [
          {
             name: "alfresco/layout/VerticalWidgets",
@@ -449,6 +449,12 @@ define(["dojo/_base/declare",
          // Create any configured warnings...
          this.createWarnings();
 
+         // Setup the subscriptions for handling drafts of the form value...
+         if (this.draftId)
+         {
+            this.setupDraftSubscriptions();
+         }
+
          // When any of these topics are published, submit the form
          if (this.publishValueSubscriptions && this.publishValueSubscriptions.length) {
             array.forEach(this.publishValueSubscriptions, function(subscriptionTopic) {
@@ -653,6 +659,11 @@ define(["dojo/_base/declare",
 
             this.alfPublish(this.autoSavePublishTopic, autoSavePayload, this.autoSavePublishGlobal);
          }
+
+         if (this._formSetupComplete === true && this.draftId)
+         {
+            this.saveDraft();
+         }
       },
       
       /**
@@ -947,7 +958,79 @@ define(["dojo/_base/declare",
        * @default
        */
       autoSaveOnInvalid: false,
-      
+
+      /**
+       * <p>When this is configured the form will save a draft of its value to the browser local storage
+       * whenever the user changes it, so that the data entered is not lost if the form is closed (e.g. when
+       * it is displayed in a dialog) or the page is reloaded. The next time a form with the same draftId
+       * is created the user will be offered the option to either restore or discard the draft (unless
+       * [draftAutoRestore]{@link module:alfresco/forms/Form#draftAutoRestore} is configured to be true).
+       * No drafts will be saved whilst that choice is pending.</p>
+       *
+       * <p>The values of controls configured with
+       * [excludeFromDraft]{@link module:alfresco/forms/controls/BaseFormControl#excludeFromDraft} (which
+       * includes all [Password]{@link module:alfresco/forms/controls/Password} controls by default) are
+       * not included in the draft.</p>
+       *
+       * <p>The draft will be removed when the form is submitted, unless
+       * [draftClearTopics]{@link module:alfresco/forms/Form#draftClearTopics} have been configured, in which
+       * case it will be removed when one of those topics is published (e.g. to indicate that the submitted
+       * data was successfully saved). A draft can also be discarded by publishing the
+       * [FORM_DRAFT_DISCARD]{@link module:alfresco/core/topics#FORM_DRAFT_DISCARD} topic in the scope
+       * of the form.</p>
+       *
+       * @instance
+       * @type {string}
+       * @default
+       * @since 1.0.106
+       */
+      draftId: null,
+
+      /**
+       * Indicates that any draft saved for the [draftId]{@link module:alfresco/forms/Form#draftId} should be
+       * restored immediately without asking the user.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       * @since 1.0.106
+       */
+      draftAutoRestore: false,
+
+      /**
+       * An optional array of topics that when published will remove the draft saved for the
+       * [draftId]{@link module:alfresco/forms/Form#draftId}. If these are configured then the draft
+       * will no longer be removed as soon as the form is submitted.
+       *
+       * @instance
+       * @type {string[]}
+       * @default
+       * @since 1.0.106
+       */
+      draftClearTopics: null,
+
+      /**
+       * Indicates whether or not the [draftClearTopics]{@link module:alfresco/forms/Form#draftClearTopics}
+       * should be subscribed to on the global scope.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       * @since 1.0.106
+       */
+      draftClearTopicsGlobal: true,
+
+      /**
+       * The prefix to add to the [draftId]{@link module:alfresco/forms/Form#draftId} to create the key that
+       * the draft will be saved against in local storage.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       * @since 1.0.106
+       */
+      draftStorageKeyPrefix: "ALF_FORM_DRAFT_",
+
       /**
        * This can be configured with details of additional buttons to be included with the form.
        * Any button added will have the publishPayload set with the form value. 
@@ -1223,6 +1306,12 @@ define(["dojo/_base/declare",
             }
             this._formSetupComplete = true;
 
+            // If configured, check for a previously saved draft of the form value
+            if (this.draftId)
+            {
+               this.processDraft();
+            }
+
             // If configured, focus the first field in the form
             if (this.firstFieldFocusOnLoad) {
                // Use setTimeout to allow other synchronous processes to complete first, as this
@@ -1400,6 +1489,9 @@ define(["dojo/_base/declare",
             this.setHashFragment(payload);
          }
 
+         // Remove any draft of the submitted value
+         this.onDraftSubmission();
+
          // Change the button label if auto-revert or disable-on-publish are set
          if (this.okButtonPublishRevertSecs > 0 || this.okButtonDisableOnPublish) {
             this.okButton.set("label", this.message(this.okButtonPublishedLabel));
@@ -1416,6 +1508,218 @@ define(["dojo/_base/declare",
          }
       },
 
+      /**
+       * Creates the subscriptions for restoring and discarding drafts of the form value when a
+       * [draftId]{@link module:alfresco/forms/Form#draftId} has been configured.
+       *
+       * @instance
+       * @listens module:alfresco/core/topics#FORM_DRAFT_DISCARD
+       * @listens module:alfresco/core/topics#FORM_DRAFT_RESTORE
+       * @since 1.0.106
+       */
+      setupDraftSubscriptions: function alfresco_forms_Form__setupDraftSubscriptions() {
+         this.alfSubscribe(topics.FORM_DRAFT_RESTORE, lang.hitch(this, this.restoreDraft));
+         this.alfSubscribe(topics.FORM_DRAFT_DISCARD, lang.hitch(this, this.clearDraft));
+         array.forEach(this.draftClearTopics, function(topic) {
+            this.alfSubscribe(topic, lang.hitch(this, this.clearDraft), this.draftClearTopicsGlobal);
+         }, this);
+      },
+
+      /**
+       * Returns the key that the draft of the form value is saved against in local storage.
+       *
+       * @instance
+       * @returns {string} The local storage key
+       * @since 1.0.106
+       */
+      getDraftStorageKey: function alfresco_forms_Form__getDraftStorageKey() {
+         return this.draftStorageKeyPrefix + this.draftId;
+      },
+
+      /**
+       * Loads the draft of the form value from local storage.
+       *
+       * @instance
+       * @returns {object} The saved draft, or null if there isn't one
+       * @since 1.0.106
+       */
+      loadDraft: function alfresco_forms_Form__loadDraft() {
+         var draft = null;
+         try
+         {
+            var storedDraft = window.localStorage.getItem(this.getDraftStorageKey());
+            draft = (storedDraft && JSON.parse(storedDraft)) || null;
+         }
+         catch (e)
+         {
+            this.alfLog("warn", "It was not possible to load the form draft from local storage", e, this);
+         }
+         return draft;
+      },
+
+      /**
+       * Returns the value of the form that should be saved as a draft. This is the same as the form value
+       * except that the values of any controls that are configured to be
+       * [excluded from drafts]{@link module:alfresco/forms/controls/BaseFormControl#excludeFromDraft}
+       * are left out.
+       *
+       * @instance
+       * @returns {object} The draft value
+       * @since 1.0.106
+       */
+      getDraftValue: function alfresco_forms_Form__getDraftValue() {
+         var values = {};
+         if (this._form)
+         {
+            array.forEach(this._form.getChildren(), function(entry) {
+               if (typeof entry.addFormControlValue === "function" && !entry.excludeFromDraft)
+               {
+                  entry.addFormControlValue(values);
+               }
+            });
+         }
+         return values;
+      },
+
+      /**
+       * Saves the current form value as a draft in local storage. If the value is the same as it was when the
+       * form was setup (or last submitted) then any existing draft is removed instead as there is nothing that
+       * would be lost. Nothing is saved whilst the user has yet to choose whether or not to restore an
+       * existing draft.
+       *
+       * @instance
+       * @since 1.0.106
+       */
+      saveDraft: function alfresco_forms_Form__saveDraft() {
+         if (!this._draftRestorePending)
+         {
+            var value = JSON.stringify(this.getDraftValue());
+            try
+            {
+               if (value === this._draftBaseline)
+               {
+                  window.localStorage.removeItem(this.getDraftStorageKey());
+               }
+               else
+               {
+                  window.localStorage.setItem(this.getDraftStorageKey(), value);
+               }
+            }
+            catch (e)
+            {
+               this.alfLog("warn", "It was not possible to save the form draft to local storage", e, this);
+            }
+         }
+      },
+
+      /**
+       * Removes any saved draft of the form value and hides the prompt to restore it. This is called when the
+       * user discards the draft or when any of the [draftClearTopics]{@link module:alfresco/forms/Form#draftClearTopics}
+       * are published.
+       *
+       * @instance
+       * @since 1.0.106
+       */
+      clearDraft: function alfresco_forms_Form__clearDraft() {
+         this._draftRestorePending = false;
+         this._draftBaseline = JSON.stringify(this.getDraftValue());
+         try
+         {
+            window.localStorage.removeItem(this.getDraftStorageKey());
+         }
+         catch (e)
+         {
+            this.alfLog("warn", "It was not possible to remove the form draft from local storage", e, this);
+         }
+         domClass.add(this.draftNode, "alfresco-forms-Form__draft--hidden");
+      },
+
+      /**
+       * Called once the form has been setup to check for a previously saved draft of the form value. If one
+       * is found it will either be restored immediately or the user will be prompted to restore it depending
+       * upon the [draftAutoRestore]{@link module:alfresco/forms/Form#draftAutoRestore} configuration.
+       *
+       * @instance
+       * @since 1.0.106
+       */
+      processDraft: function alfresco_forms_Form__processDraft() {
+         this._draftBaseline = JSON.stringify(this.getDraftValue());
+         if (this.loadDraft())
+         {
+            if (this.draftAutoRestore)
+            {
+               this.restoreDraft();
+            }
+            else
+            {
+               this.showDraftPrompt();
+            }
+         }
+      },
+
+      /**
+       * Displays the prompt that allows the user to either restore or discard the saved draft.
+       *
+       * @instance
+       * @fires module:alfresco/core/topics#FORM_DRAFT_DISCARD
+       * @fires module:alfresco/core/topics#FORM_DRAFT_RESTORE
+       * @since 1.0.106
+       */
+      showDraftPrompt: function alfresco_forms_Form__showDraftPrompt() {
+         this._draftRestorePending = true;
+         if (!this.draftRestoreButton)
+         {
+            domConstruct.create("span", {
+               className: "alfresco-forms-Form__draft-message",
+               textContent: this.message("form.draft.message")
+            }, this.draftNode);
+            this.draftRestoreButton = new AlfButton({
+               pubSubScope: this.pubSubScope,
+               label: this.message("form.draft.restore.label"),
+               additionalCssClasses: "alfresco-forms-Form__draft-restore",
+               publishTopic: topics.FORM_DRAFT_RESTORE
+            }, domConstruct.create("div", null, this.draftNode));
+            this.draftDiscardButton = new AlfButton({
+               pubSubScope: this.pubSubScope,
+               label: this.message("form.draft.discard.label"),
+               additionalCssClasses: "alfresco-forms-Form__draft-discard",
+               publishTopic: topics.FORM_DRAFT_DISCARD
+            }, domConstruct.create("div", null, this.draftNode));
+         }
+         domClass.remove(this.draftNode, "alfresco-forms-Form__draft--hidden");
+      },
+
+      /**
+       * Sets the saved draft as the value of the form and hides the prompt to restore it.
+       *
+       * @instance
+       * @since 1.0.106
+       */
+      restoreDraft: function alfresco_forms_Form__restoreDraft() {
+         var draft = this.loadDraft();
+         this._draftRestorePending = false;
+         domClass.add(this.draftNode, "alfresco-forms-Form__draft--hidden");
+         if (draft)
+         {
+            this.setValue(draft);
+         }
+      },
+
+      /**
+       * Called when the form value is submitted to remove any saved draft, unless the draft should only
+       * be removed when one of the [draftClearTopics]{@link module:alfresco/forms/Form#draftClearTopics}
+       * is published.
+       *
+       * @instance
+       * @since 1.0.106
+       */
+      onDraftSubmission: function alfresco_forms_Form__onDraftSubmission() {
+         if (this.draftId && (!this.draftClearTopics || !this.draftClearTopics.length))
+         {
+            this.clearDraft();
+         }
+      },
+
       /**
        * Setup the subscription(s) to re-enable the OK button after it's been disabled on submission.
        *
@@ -0,0 +1,427 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * <p>This extends the basic [form]{@link module:alfresco/forms/Form} to display its form controls as a
+ * sequence of steps. Each of the configured widgets is expected to be a
+ * [WizardStep]{@link module:alfresco/forms/WizardStep} containing the form controls for that step. Only one
+ * step is displayed at a time and a progress indicator shows the title of every step.</p>
+ * 
+ * <p>The user can only advance to the next step when all the form controls in the current step are valid.
+ * Steps can be skipped by configuring them with a visibilityConfig (using the same rules as form controls),
+ * the values of the form controls in a skipped step are not validated and are not included in the form
+ * value. The "OK" button is only displayed on the last step that has not been skipped and publishes
+ * the value of all the steps in a single publication.</p>
+ * 
+ * @example <caption>Example wizard with a step that is only displayed for a specific option</caption>
+ * {
+ *    name: "alfresco/forms/WizardForm",
+ *    config: {
+ *       okButtonPublishTopic: "CREATE_ACCOUNT",
+ *       widgets: [
+ *          {
+ *             name: "alfresco/forms/WizardStep",
+ *             config: {
+ *                title: "Account",
+ *                widgets: [
+ *                   {
+ *                      name: "alfresco/forms/controls/Select",
+ *                      config: {
+ *                         fieldId: "TYPE",
+ *                         name: "type",
+ *                         label: "Account type",
+ *                         optionsConfig: {
+ *                            fixed: [
+ *                               { label: "Personal", value: "PERSONAL" },
+ *                               { label: "Business", value: "BUSINESS" }
+ *                            ]
+ *                         }
+ *                      }
+ *                   }
+ *                ]
+ *             }
+ *          },
+ *          {
+ *             name: "alfresco/forms/WizardStep",
+ *             config: {
+ *                title: "Company",
+ *                visibilityConfig: {
+ *                   initialValue: false,
+ *                   rules: [
+ *                      {
+ *                         targetId: "TYPE",
+ *                         is: ["BUSINESS"]
+ *                      }
+ *                   ]
+ *                },
+ *                widgets: [
+ *                   {
+ *                      name: "alfresco/forms/controls/TextBox",
+ *                      config: {
+ *                         name: "company",
+ *                         label: "Company name",
+ *                         requirementConfig: {
+ *                            initialValue: true
+ *                         }
+ *                      }
+ *                   }
+ *                ]
+ *             }
+ *          },
+ *          {
+ *             name: "alfresco/forms/WizardStep",
+ *             config: {
+ *                title: "Contact",
+ *                widgets: [
+ *                   {
+ *                      name: "alfresco/forms/controls/TextBox",
+ *                      config: {
+ *                         name: "email",
+ *                         label: "Email"
+ *                      }
+ *                   }
+ *                ]
+ *             }
+ *          }
+ *       ]
+ *    }
+ * }
+ * 
+ * @module alfresco/forms/WizardForm
+ * @extends module:alfresco/forms/Form
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["dojo/_base/declare",
+        "alfresco/forms/Form",
+        "alfresco/core/topics",
+        "dojo/text!./templates/WizardForm.html",
+        "alfresco/buttons/AlfButton",
+        "dojo/_base/lang",
+        "dojo/_base/array",
+        "dojo/dom-construct",
+        "dojo/dom-class",
+        "dojo/_base/event",
+        "dojo/on",
+        "alfresco/forms/WizardStep"], 
+        function(declare, Form, topics, template, AlfButton, lang, array, domConstruct, domClass, Event, on) {
+   
+   return declare([Form], {
+
+      /**
+       * An array of the i18n files to use with this widget.
+       * 
+       * @instance
+       * @type {object[]}
+       * @default [{i18nFile: "./i18n/WizardForm.properties"}]
+       */
+      i18nRequirements: [{i18nFile: "./i18n/WizardForm.properties"}],
+
+      /**
+       * An array of the CSS files to use with this widget.
+       * 
+       * @instance
+       * @type {object[]}
+       * @default [{cssFile:"./css/WizardForm.css"}]
+       */
+      cssRequirements: [{cssFile:"./css/WizardForm.css"}],
+
+      /**
+       * The HTML template to use for the widget.
+       * 
+       * @instance
+       * @type {String}
+       */
+      templateString: template,
+
+      /**
+       * Overrides the [inherited default]{@link module:alfresco/forms/Form#okButtonLabel} as the "OK" button
+       * is only displayed on the last step.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       */
+      okButtonLabel: "wizard.button.finish.label",
+
+      /**
+       * The label for the button that returns to the previous step.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       */
+      backButtonLabel: "wizard.button.back.label",
+
+      /**
+       * The label for the button that advances to the next step.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       */
+      nextButtonLabel: "wizard.button.next.label",
+
+      /**
+       * Indicates whether or not to display the progress indicator listing the title of each step.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       */
+      showProgress: true,
+
+      /**
+       * The index of the step that is currently displayed.
+       *
+       * @instance
+       * @type {number}
+       * @default
+       */
+      currentStepIndex: 0,
+
+      /**
+       * The [steps]{@link module:alfresco/forms/WizardStep} of the wizard. This is set once the widgets
+       * have been processed.
+       *
+       * @instance
+       * @type {object[]}
+       * @default
+       */
+      steps: null,
+
+      /**
+       * Extends the [inherited function]{@link module:alfresco/forms/Form#postCreate} to subscribe to the
+       * topics for navigating between steps and to update the progress indicator when steps are skipped.
+       *
+       * @instance
+       * @listens module:alfresco/core/topics#WIZARD_NEXT_STEP
+       * @listens module:alfresco/core/topics#WIZARD_PREVIOUS_STEP
+       */
+      postCreate: function alfresco_forms_WizardForm__postCreate() {
+         this.inherited(arguments);
+
+         domClass.toggle(this.progressNode, "alfresco-forms-WizardForm__progress--hidden", !this.showProgress);
+
+         this.alfSubscribe(topics.WIZARD_NEXT_STEP, lang.hitch(this, this.onNextStep));
+         this.alfSubscribe(topics.WIZARD_PREVIOUS_STEP, lang.hitch(this, this.onPreviousStep));
+
+         on(this.domNode, "ALF_WIZARD_STEP_SKIP_CHANGE", lang.hitch(this, function(evt) {
+            evt && Event.stop(evt);
+            this.renderProgress();
+            this.updateNavigation();
+         }));
+      },
+
+      /**
+       * Extends the [inherited function]{@link module:alfresco/forms/Form#createButtons} to add the buttons
+       * for navigating between steps.
+       *
+       * @instance
+       * @fires module:alfresco/core/topics#WIZARD_NEXT_STEP
+       * @fires module:alfresco/core/topics#WIZARD_PREVIOUS_STEP
+       */
+      createButtons: function alfresco_forms_WizardForm__createButtons() {
+         this.inherited(arguments);
+         this.backButton = new AlfButton({
+            pubSubScope: this.pubSubScope,
+            label: this.message(this.backButtonLabel),
+            additionalCssClasses: "alfresco-forms-WizardForm__back",
+            publishTopic: topics.WIZARD_PREVIOUS_STEP
+         }, this.backButtonNode);
+         this.nextButton = new AlfButton({
+            pubSubScope: this.pubSubScope,
+            label: this.message(this.nextButtonLabel),
+            additionalCssClasses: "alfresco-forms-WizardForm__next",
+            publishTopic: topics.WIZARD_NEXT_STEP
+         }, this.nextButtonNode);
+      },
+
+      /**
+       * Extends the [inherited function]{@link module:alfresco/forms/Form#allWidgetsProcessed} to record
+       * the steps and display the first one.
+       *
+       * @instance
+       * @param {object[]} widgets The widgets that have been processed
+       * @param {string} processWidgetsId The ID mapped to the processing of the widgets
+       */
+      allWidgetsProcessed: function alfresco_forms_WizardForm__allWidgetsProcessed(widgets, processWidgetsId) {
+         if (processWidgetsId !== "BUTTONS")
+         {
+            this.steps = widgets;
+            this.showStep(this.currentStepIndex);
+         }
+         this.inherited(arguments);
+      },
+
+      /**
+       * Extends the [inherited function]{@link module:alfresco/forms/Form#onRollCall} to ensure that a step
+       * that has been skipped following the initial evaluation of the rules is not displayed.
+       *
+       * @instance
+       * @param  {object} rollCallObject An object containing a simple count of all the form controls yet to register themselves
+       */
+      onRollCall: function alfresco_forms_WizardForm__onRollCall(rollCallObject) {
+         this.inherited(arguments);
+         if (rollCallObject.count === 0 && this.steps[this.currentStepIndex] && this.steps[this.currentStepIndex].skipped)
+         {
+            var index = this.getAdjacentStepIndex(1);
+            this.showStep(index !== -1 ? index : this.getAdjacentStepIndex(-1));
+         }
+      },
+
+      /**
+       * Extends the [inherited function]{@link module:alfresco/forms/Form#publishFormValidity} to update
+       * the navigation buttons as the validity of the current step may have changed.
+       *
+       * @instance
+       */
+      publishFormValidity: function alfresco_forms_WizardForm__publishFormValidity() {
+         this.inherited(arguments);
+         this.updateNavigation();
+      },
+
+      /**
+       * Displays the requested step and hides all the others.
+       *
+       * @instance
+       * @param {number} index The index of the step to display
+       */
+      showStep: function alfresco_forms_WizardForm__showStep(index) {
+         if (this.steps && this.steps[index])
+         {
+            this.currentStepIndex = index;
+            array.forEach(this.steps, function(step, stepIndex) {
+               domClass.toggle(step.domNode, "alfresco-forms-WizardStep--hidden", stepIndex !== index);
+            });
+            this.renderProgress();
+            this.updateNavigation();
+         }
+      },
+
+      /**
+       * Finds the index of the nearest step in the requested direction that has not been skipped.
+       *
+       * @instance
+       * @param {number} direction Either 1 to find the next step or -1 to find the previous step
+       * @return {number} The index of the step or -1 if there is no such step
+       */
+      getAdjacentStepIndex: function alfresco_forms_WizardForm__getAdjacentStepIndex(direction) {
+         var index = this.currentStepIndex + direction;
+         while (this.steps && this.steps[index] && this.steps[index].skipped)
+         {
+            index += direction;
+         }
+         return (this.steps && this.steps[index]) ? index : -1;
+      },
+
+      /**
+       * Checks whether or not all the form controls in the supplied step are valid.
+       *
+       * @instance
+       * @param {object} step The step to check
+       * @return {boolean} True if there are no invalid form controls in the step
+       */
+      isStepValid: function alfresco_forms_WizardForm__isStepValid(step) {
+         var fieldIds = step.getFieldIds();
+         return !array.some(this.invalidFormControls, function(fieldId) {
+            return fieldIds.indexOf(fieldId) !== -1;
+         });
+      },
+
+      /**
+       * Handles requests to advance to the next step. The form is validated first and the wizard will only
+       * advance if all the form controls in the current step are valid.
+       *
+       * @instance
+       */
+      onNextStep: function alfresco_forms_WizardForm__onNextStep() {
+         var currentStep = this.steps && this.steps[this.currentStepIndex];
+         if (currentStep)
+         {
+            this.validate();
+            var index = this.getAdjacentStepIndex(1);
+            if (index !== -1 && this.isStepValid(currentStep))
+            {
+               this.showStep(index);
+            }
+         }
+      },
+
+      /**
+       * Handles requests to return to the previous step.
+       *
+       * @instance
+       */
+      onPreviousStep: function alfresco_forms_WizardForm__onPreviousStep() {
+         var index = this.getAdjacentStepIndex(-1);
+         if (index !== -1)
+         {
+            this.showStep(index);
+         }
+      },
+
+      /**
+       * Renders the progress indicator showing the title of each step along with whether or not it
+       * is the current step, has been completed or is being skipped.
+       *
+       * @instance
+       */
+      renderProgress: function alfresco_forms_WizardForm__renderProgress() {
+         domConstruct.empty(this.progressNode);
+         array.forEach(this.steps, function(step, index) {
+            var stepNode = domConstruct.create("li", {
+               className: "alfresco-forms-WizardForm__progress-step",
+               textContent: step.title || ""
+            }, this.progressNode);
+            domClass.toggle(stepNode, "alfresco-forms-WizardForm__progress-step--current", index === this.currentStepIndex);
+            domClass.toggle(stepNode, "alfresco-forms-WizardForm__progress-step--complete", index < this.currentStepIndex && !step.skipped);
+            domClass.toggle(stepNode, "alfresco-forms-WizardForm__progress-step--skipped", !!step.skipped);
+         }, this);
+      },
+
+      /**
+       * Updates the navigation buttons for the current step. The "Back" button is disabled on the first
+       * step, the "Next" button is disabled whilst the current step is invalid and is replaced by the
+       * "OK" button on the last step.
+       *
+       * @instance
+       */
+      updateNavigation: function alfresco_forms_WizardForm__updateNavigation() {
+         var currentStep = this.steps && this.steps[this.currentStepIndex];
+         if (currentStep)
+         {
+            var isLastStep = this.getAdjacentStepIndex(1) === -1;
+            if (this.backButton)
+            {
+               this.backButton.set("disabled", this.getAdjacentStepIndex(-1) === -1);
+            }
+            if (this.nextButton)
+            {
+               this.nextButton.set("disabled", !this.isStepValid(currentStep));
+               domClass.toggle(this.nextButton.domNode, "alfresco-forms-WizardForm__button--hidden", isLastStep);
+            }
+            if (this.okButton)
+            {
+               domClass.toggle(this.okButton.domNode, "alfresco-forms-WizardForm__button--hidden", !isLastStep);
+            }
+         }
+      }
+   });
+});
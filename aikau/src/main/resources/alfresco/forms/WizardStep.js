@@ -0,0 +1,240 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * <p>This module represents a single step of a [wizard form]{@link module:alfresco/forms/WizardForm}. It
+ * groups together the form controls that should be displayed at the same time and mixes in the
+ * [LayoutMixin]{@link module:alfresco/forms/LayoutMixin} so that the containing form can treat it
+ * like any other form layout widget.</p>
+ * 
+ * <p>A step can be skipped by configuring it with a visibilityConfig that uses the same rules as
+ * [form controls]{@link module:alfresco/forms/controls/BaseFormControl}. When the rules are not met
+ * the step will be skipped when navigating through the wizard, the form controls it contains will not
+ * be validated and their values will not be included in the value of the form.</p>
+ * 
+ * @example <caption>Example step that is skipped unless another field has the value "OTHER"</caption>
+ * {
+ *   name: "alfresco/forms/WizardStep",
+ *   config: {
+ *      title: "Other details",
+ *      description: "Please describe the other option",
+ *      visibilityConfig: {
+ *         initialValue: false,
+ *         rules: [
+ *            {
+ *               targetId: "OPTION",
+ *               is: ["OTHER"]
+ *            }
+ *         ]
+ *      },
+ *      widgets: [
+ *        {
+ *          name: "alfresco/forms/controls/TextArea",
+ *          config: {
+ *            name: "other",
+ *            label: "Details"
+ *          }
+ *        }
+ *      ]
+ *   }
+ * }
+ * 
+ * @module alfresco/forms/WizardStep
+ * @extends external:dijit/_WidgetBase
+ * @mixes external:dojo/_TemplatedMixin
+ * @mixes module:alfresco/core/Core
+ * @mixes module:alfresco/core/CoreWidgetProcessing
+ * @mixes module:alfresco/forms/LayoutMixin
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["dojo/_base/declare",
+        "dijit/_WidgetBase", 
+        "dijit/_TemplatedMixin",
+        "alfresco/core/Core",
+        "alfresco/core/CoreWidgetProcessing",
+        "alfresco/forms/LayoutMixin",
+        "dojo/text!./templates/WizardStep.html",
+        "dojo/_base/lang",
+        "dojo/_base/array",
+        "dojo/dom-class",
+        "dojo/on",
+        "dojo/query",
+        "dijit/registry"], 
+        function(declare, _WidgetBase, _TemplatedMixin, AlfCore, CoreWidgetProcessing, LayoutMixin, template, lang, array, 
+                 domClass, on, query, registry) {
+   
+   return declare([_WidgetBase, _TemplatedMixin, AlfCore, CoreWidgetProcessing, LayoutMixin], {
+
+      /**
+       * An array of the CSS files to use with this widget.
+       * 
+       * @instance
+       * @type {object[]}
+       * @default [{cssFile:"./css/WizardStep.css"}]
+       */
+      cssRequirements: [{cssFile:"./css/WizardStep.css"}],
+
+      /**
+       * The HTML template to use for the widget.
+       * 
+       * @instance
+       * @type {String}
+       */
+      templateString: template,
+
+      /**
+       * The title of the step. This is displayed in the progress indicator of the wizard.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       */
+      title: null,
+
+      /**
+       * An optional description to display above the form controls of the step.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       */
+      description: null,
+
+      /**
+       * Indicates whether or not the step is currently being skipped because its visibility rules
+       * have not been met.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       */
+      skipped: false,
+
+      /**
+       * This is set by the [wizard form]{@link module:alfresco/forms/WizardForm} to control whether or not
+       * any validation errors are displayed immediately by the form controls in the step.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       */
+      showValidationErrorsImmediately: true,
+
+      /**
+       * Ensures that the title and description are translated.
+       * 
+       * @instance
+       */
+      postMixInProperties: function alfresco_forms_WizardStep__postMixInProperties() {
+         this.inherited(arguments);
+         this.title = this.title ? this.message(this.title) : "";
+         this.description = this.description ? this.message(this.description) : "";
+      },
+
+      /**
+       * Displays the description and processes the form controls of the step.
+       * 
+       * @instance
+       */
+      postCreate: function alfresco_forms_WizardStep__postCreate() {
+         if (this.description)
+         {
+            this.descriptionNode.textContent = this.description;
+         }
+         else
+         {
+            domClass.add(this.descriptionNode, "alfresco-forms-WizardStep__description--hidden");
+         }
+
+         if (this.widgets)
+         {
+            array.forEach(this.widgets, function(widget) {
+               if (widget && widget.config)
+               {
+                  widget.config.showValidationErrorsImmediately = this.showValidationErrorsImmediately;
+               }
+            }, this);
+            this.processWidgets(this.widgets, this.containerNode);
+         }
+
+         // If the step was skipped by its initial visibility then the form controls that have now
+         // been created need to be hidden as well...
+         if (this.skipped)
+         {
+            this.alfVisible(false);
+         }
+      },
+
+      /**
+       * Extends the [inherited function]{@link module:alfresco/forms/LayoutMixin#alfVisible} to record
+       * whether or not the step should be skipped. The form controls in the step are re-validated because
+       * hidden form controls are always considered to be valid. A custom event is emitted so that the
+       * containing [wizard form]{@link module:alfresco/forms/WizardForm} can update its progress indicator.
+       *
+       * @instance
+       * @param {boolean} status The boolean value to change the visibility state to.
+       */
+      alfVisible: function alfresco_forms_WizardStep__alfVisible(status) {
+         this.inherited(arguments);
+         this.validateFormControlValue();
+         if (this.skipped === status)
+         {
+            this.skipped = !status;
+            this.domNode && on.emit(this.domNode, "ALF_WIZARD_STEP_SKIP_CHANGE", {
+               bubbles: true,
+               cancelable: true
+            });
+         }
+      },
+
+      /**
+       * Extends the [inherited function]{@link module:alfresco/forms/LayoutMixin#addFormControlValue} so that
+       * no values are added when the step has been skipped.
+       *
+       * @instance
+       * @param {object} values The object to set with the values from each form control
+       */
+      addFormControlValue: function alfresco_forms_WizardStep__addFormControlValue(/*jshint unused:false*/ values) {
+         if (!this.skipped)
+         {
+            this.inherited(arguments);
+         }
+      },
+
+      /**
+       * Returns the fieldId of every form control contained within the step (including those nested
+       * within other layout widgets).
+       *
+       * @instance
+       * @return {string[]} The fieldIds of the form controls in the step
+       */
+      getFieldIds: function alfresco_forms_WizardStep__getFieldIds() {
+         var fieldIds = [];
+         query(".alfresco-forms-controls-BaseFormControl", this.containerNode).forEach(function(node) {
+            var widget = registry.byNode(node);
+            if (widget && widget.fieldId)
+            {
+               fieldIds.push(widget.fieldId);
+            }
+         });
+         return fieldIds;
+      }
+   });
+});
@@ -313,6 +313,19 @@ define(["dojo/_base/declare",
        */
       noPostWhenValueIs: null,
 
+      /**
+       * Indicates that the value of this control should not be included in the drafts saved by a
+       * [form]{@link module:alfresco/forms/Form} that has been configured with a
+       * [draftId]{@link module:alfresco/forms/Form#draftId}. This should be set to true for any control that
+       * captures sensitive data as drafts are saved in plain text in the browser local storage.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       * @since 1.0.106
+       */
+      excludeFromDraft: false,
+
       /**
        * Whether - when a publishTopic is available in the supplied optionsConfig - to immediately
        * publish to that topic in order to retrieve any default pubSubOptions for this control. If
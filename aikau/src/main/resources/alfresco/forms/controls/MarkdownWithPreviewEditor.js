@@ -33,9 +33,10 @@ define(["dojo/_base/declare",
         "dojo/dom-class",
         "dojo/dom-construct",
         "dojo/dom-style",
+        "dojo/_base/lang",
         // No callbacks from here
         "alfresco/html/Markdown"],
-        function(declare, CodeMirrorEditor, CoreWidgetProcessing, domClass, domConstruct, domStyle) {
+        function(declare, CodeMirrorEditor, CoreWidgetProcessing, domClass, domConstruct, domStyle, lang) {
 
    return declare([CodeMirrorEditor, CoreWidgetProcessing], {
 
@@ -58,6 +59,18 @@ define(["dojo/_base/declare",
        */
       editMode: "markdown",
 
+      /**
+       * Additional configuration for the [Markdown]{@link module:alfresco/html/Markdown} preview widget. This
+       * can be used to change the extensions or [sanitizer configuration]{@link module:alfresco/html/Markdown#sanitizerConfig}
+       * used for rendering the preview.
+       *
+       * @instance
+       * @type {object}
+       * @default
+       * @since 1.0.106
+       */
+      previewConfig: null,
+
       /**
        * Extends the [inherited function]{@link module:alfresco/forms/controls/CodeMirrorEditor#createFormControl}
        * to create a [Markdown]{@link module:alfresco/html/Markdown} widget to use to preview the markdown content.
@@ -81,10 +94,10 @@ define(["dojo/_base/declare",
 
          var preview = this.createWidget({
             name: "alfresco/html/Markdown",
-            config: {
+            config: lang.mixin({}, this.previewConfig, {
                markdown: this.initialValue,
                subscriptionTopics: [this.generatePreviewTopic]
-            }
+            })
          });
          preview.placeAt(this.previewNode);
 
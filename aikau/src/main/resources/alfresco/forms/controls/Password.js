@@ -42,6 +42,16 @@ define(["dojo/_base/declare",
        */
       i18nRequirements: [{i18nFile: "./i18n/Password.properties"}],
 
+      /**
+       * Passwords are not included in form drafts by default as these are saved in plain text.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       * @since 1.0.106
+       */
+      excludeFromDraft: true,
+
       /**
        * This can be configured to be the [fieldId]{@link module:alfresco/forms/controls/BaseFormControl#fieldId}
        * of another form control (preferably another password field!) that the value of this field should
@@ -24,6 +24,13 @@
  * will result in data being requested for the children of each tree node expanded.</p>
  * <p>The value of the control will be either the selected object or the property of the selected
  * item defined by the [valueProperty]{@link module:alfresco/forms/controls/Tree#valueProperty}</p>
+ * <p>If [multipleSelection]{@link module:alfresco/forms/controls/Tree#multipleSelection} is configured to be
+ * true then a checkbox will be shown for each node and the value will be an array of the checked items (or
+ * of their [valueProperty]{@link module:alfresco/forms/controls/Tree#valueProperty} values). A
+ * [PathTree]{@link module:alfresco/navigation/PathTree} or [CategoryTree]{@link module:alfresco/navigation/CategoryTree}
+ * can be used in place of the default tree by configuring the [treeWidget]{@link module:alfresco/forms/controls/Tree#treeWidget}
+ * and any additional configuration for the tree (such as "showFilter") can be provided as
+ * [treeConfig]{@link module:alfresco/forms/controls/Tree#treeConfig}.</p>
  * 
  * @example <caption>Example configuration</caption>
  * {
@@ -44,6 +51,23 @@
  *   }
  * },
  * 
+ * @example <caption>Example configuration for selecting multiple folders in a site</caption>
+ * {
+ *   name: "alfresco/forms/controls/Tree",
+ *   config: {
+ *     name: "folders",
+ *     label: "Folders",
+ *     valueProperty: "nodeRef",
+ *     multipleSelection: true,
+ *     treeWidget: "alfresco/navigation/PathTree",
+ *     treeConfig: {
+ *       siteId: "site1",
+ *       containerId: "documentlibrary",
+ *       showFilter: true
+ *     }
+ *   }
+ * },
+ * 
  * @module alfresco/forms/controls/Tree
  * @extends module:alfresco/forms/controls/BaseFormControl
  * @author Dave Draper
@@ -51,9 +75,10 @@
  */
 define(["dojo/_base/declare",
         "alfresco/forms/controls/BaseFormControl",
-        "alfresco/navigation/Tree",
-        "dojo/_base/lang"], 
-        function(declare, BaseFormControl, Tree, lang) {
+        "dojo/_base/lang",
+        "dojo/_base/array",
+        "alfresco/navigation/Tree"], 
+        function(declare, BaseFormControl, lang, array) {
    
    return declare([BaseFormControl], {
       
@@ -67,6 +92,38 @@ define(["dojo/_base/declare",
        */
       valueProperty: null,
 
+      /**
+       * Indicates whether or not multiple tree nodes can be selected (using checkboxes). When this is true
+       * the value of the control will be an array.
+       * 
+       * @instance
+       * @type {boolean}
+       * @default
+       * @since 1.0.106
+       */
+      multipleSelection: false,
+
+      /**
+       * The tree to use. This can be "alfresco/navigation/Tree", "alfresco/navigation/PathTree", 
+       * "alfresco/navigation/CategoryTree" or any other widget that extends "alfresco/navigation/Tree".
+       * 
+       * @instance
+       * @type {string}
+       * @default
+       * @since 1.0.106
+       */
+      treeWidget: "alfresco/navigation/Tree",
+
+      /**
+       * Additional configuration to apply to the tree (for example, "showFilter" or "siteId").
+       * 
+       * @instance
+       * @type {object}
+       * @default
+       * @since 1.0.106
+       */
+      treeConfig: null,
+
       /**
        * This will be assigned a UUID value by the [createFormControl]{@link module:alfresco/forms/controls/Tree#createFormControl}
        * and used to publish the selection of nodes in the tree.
@@ -77,6 +134,18 @@ define(["dojo/_base/declare",
        */
       _treeNodeSelectedTopic: null,
 
+      /**
+       * This will be assigned a UUID value by the [createFormControl]{@link module:alfresco/forms/controls/Tree#createFormControl}
+       * and used to publish the checked nodes when [multipleSelection]{@link module:alfresco/forms/controls/Tree#multipleSelection}
+       * is enabled.
+       * 
+       * @instance
+       * @type {string}
+       * @default
+       * @since 1.0.106
+       */
+      _treeNodesCheckedTopic: null,
+
       /**
        * @instance
        */
@@ -98,24 +167,33 @@ define(["dojo/_base/declare",
       createFormControl: function alfresco_forms_controls_Tree__createFormControl(/*jshint unused:false*/ config) {
          this._treeNodeSelectedTopic = this.generateUuid();
          this.alfSubscribe(this._treeNodeSelectedTopic, lang.hitch(this, this.onTreeNodeSelected));
+         this._treeNodesCheckedTopic = this.generateUuid();
+         this.alfSubscribe(this._treeNodesCheckedTopic, lang.hitch(this, this.onTreeNodesChecked));
          return this.createTree();
       },
 
       /**
-       * This creates a new [tree]{@link module:alfresco/navigation/Tree}.
+       * This creates a new [tree]{@link module:alfresco/navigation/Tree} using the configured
+       * [treeWidget]{@link module:alfresco/forms/controls/Tree#treeWidget}.
        * 
        * @instance
        * @return {object} A new tree instance
        */
       createTree: function alfresco_forms_controls_Tree__createTree() {
-         return new Tree({
-            id: this.id + "_TREE",
-            pubSubScope: this.pubSubScope,
-            publishTopic: this._treeNodeSelectedTopic,
-            childRequestPublishTopic: this.optionsConfig.publishTopic,
-            childRequestPublishPayload: this.optionsConfig.publishPayload,
-            childRequestPublishGlobal: this.optionsConfig.publishGlobal,
-            treeNodeDisablementConfig: this.treeNodeDisablementConfig
+         return this.createWidget({
+            name: this.treeWidget || "alfresco/navigation/Tree",
+            config: lang.mixin({
+               id: this.id + "_TREE",
+               pubSubScope: this.pubSubScope,
+               publishTopic: this._treeNodeSelectedTopic,
+               onClickTopic: this._treeNodeSelectedTopic,
+               childRequestPublishTopic: lang.getObject("optionsConfig.publishTopic", false, this),
+               childRequestPublishPayload: lang.getObject("optionsConfig.publishPayload", false, this),
+               childRequestPublishGlobal: lang.getObject("optionsConfig.publishGlobal", false, this),
+               treeNodeDisablementConfig: this.treeNodeDisablementConfig,
+               showCheckboxes: this.multipleSelection,
+               checkedItemsTopic: this._treeNodesCheckedTopic
+            }, this.treeConfig)
          });
       },
 
@@ -133,6 +211,10 @@ define(["dojo/_base/declare",
             this.wrappedWidget.destroy();
             this.wrappedWidget = this.createTree();
             this.placeWidget();
+            if (this.multipleSelection)
+            {
+               this.setValue(this.value);
+            }
          }
       },
 
@@ -156,6 +238,25 @@ define(["dojo/_base/declare",
          this.onValueChangeEvent(this.name, this.value, value);
       },
       
+      /**
+       * This function is called whenever the user checks or unchecks nodes in the tree when
+       * [multipleSelection]{@link module:alfresco/forms/controls/Tree#multipleSelection} is enabled. The value
+       * is set to the array of checked items (or their [valueProperty]{@link module:alfresco/forms/controls/Tree#valueProperty}
+       * values).
+       * 
+       * @instance
+       * @param {object} payload The payload containing the checked items
+       * @since 1.0.106
+       */
+      onTreeNodesChecked: function alfresco_forms_controls_Tree__onTreeNodesChecked(payload) {
+         var oldValue = this.value,
+             value = array.map(payload.items || [], function(item) {
+                return this.valueProperty ? lang.getObject(this.valueProperty, false, item) : item;
+             }, this);
+         this.value = value;
+         this.onValueChangeEvent(this.name, oldValue, value);
+      },
+
       /**
        * Gets the value of the currently selected node in the tree.
        * 
@@ -167,14 +268,23 @@ define(["dojo/_base/declare",
       },
       
       /**
-       * Currently it is not possible to set a tree node value.
+       * Sets the checked nodes when [multipleSelection]{@link module:alfresco/forms/controls/Tree#multipleSelection}
+       * is enabled. The value should be an array of [valueProperty]{@link module:alfresco/forms/controls/Tree#valueProperty}
+       * values (or of items if no valueProperty is configured). Nodes that have not yet been loaded will be 
+       * checked when they are. Currently it is not possible to set the value when only a single node can be selected.
        * 
        * @instance
        * @param {object} value The value to set.
        */
       setValue: function alfresco_forms_controls_Tree__setValue(value) {
-         // jshint unused:false
-         // Not possible to set a value currently
+         if (this.multipleSelection && this.wrappedWidget)
+         {
+            var values = value ? [].concat(value) : [];
+            this.value = values;
+            this.wrappedWidget.setCheckedItems(array.map(values, function(entry) {
+               return this.valueProperty ? entry : lang.getObject("id", false, entry);
+            }, this), this.valueProperty || "id");
+         }
       },
       
       /**
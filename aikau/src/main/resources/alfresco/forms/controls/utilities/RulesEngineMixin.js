@@ -30,8 +30,9 @@
  */
 define(["dojo/_base/declare",
         "dojo/_base/lang",
-        "dojo/_base/array"], 
-        function(declare, lang, array) {
+        "dojo/_base/array",
+        "alfresco/core/ObjectTypeUtils"], 
+        function(declare, lang, array, ObjectTypeUtils) {
 
    return declare([], {
 
@@ -61,6 +62,43 @@ define(["dojo/_base/declare",
        *          "id": "functionA"
        *    }
        * }</pre></p>
+       * <p>As well as comparing values with "is" and "isNot" a rule can also be based on:<ul>
+       * <li>the validity of another field ("isValid" set to true or false)</li>
+       * <li>numeric comparisons ("greaterThan", "lessThan" and "between", which accepts an object with
+       * optional "min" and "max" attributes that are inclusive)</li>
+       * <li>regular expression matches ("matches", with optional "matchFlags")</li>
+       * <li>the result of an asynchronous publication ("publishTopic", with optional "publishPayload" and
+       * "publishGlobal"), made whenever the target value changes. The payload will include the current "value"
+       * and the rule passes when the attribute of the response identified by "resultAttribute" (defaults to
+       * "result") is truthy</li></ul></p>
+       * <p>Rules can be combined into trees by providing a rule with a nested "rules" array (and optional
+       * "rulesMethod" of "ANY" or "ALL") and any rule can be negated by setting "negate" to true:</p>
+       * <p><pre>"disablementConfig": {
+       *    "initialValue": true,
+       *    "rulesMethod": "ANY",
+       *    "rules": [
+       *       {
+       *          "targetId": "email",
+       *          "isValid": false
+       *       },
+       *       {
+       *          "negate": true,
+       *          "rulesMethod": "ALL",
+       *          "rules": [
+       *             {
+       *                "targetId": "age",
+       *                "between": { "min": 18, "max": 65 }
+       *             },
+       *             {
+       *                "targetId": "username",
+       *                "matches": "^[a-z]+$",
+       *                "publishTopic": "CHECK_USERNAME_AVAILABLE",
+       *                "resultAttribute": "available"
+       *             }
+       *          ]
+       *       }
+       *    ]
+       * }</pre></p>
        * <p>This structure applied to the following attributes:<ul>
        * <li>[visibilityConfig]{@link module:alfresco/forms/controls/BaseFormControl#visibilityConfig}</li>
        * <li>[requirementConfig]{@link module:alfresco/forms/controls/BaseFormControl#requirementConfig}</li>
@@ -123,11 +161,6 @@ define(["dojo/_base/declare",
        * @param {object} [widget=this] The widget to apply rules changes to (defaults to the calling object, i.e. this)
        */
       processRulesConfig: function alfresco_forms_controls_utilities_RulesEngineMixin__processRulesConfig(attribute, config, widget) {
-         // TODO: Implement rules for handling changes in validity (each type could have rule type of "isValid"
-         //       and should subscribe to changes in validity. The reason for this would be to allow changes
-         //       on validity. Validity may change asynchronously from value as it could be performed via a
-         //       remote request.
-
          // Set up the data structure that will be required for processing the rules for the target property changes...
          if (!widget._rulesEngineData)
          {
@@ -154,8 +187,16 @@ define(["dojo/_base/declare",
        * @param {object} rule The rule to process.
        * @param {number} index The index of the rule.
        */
-      processRule: function alfresco_forms_controls_utilities_RulesEngineMixin__processRule(attribute, config, widget, rule, /*jshint unused:false*/ index) {
-         if (rule.targetId || rule.topic)
+      processRule: function alfresco_forms_controls_utilities_RulesEngineMixin__processRule(attribute, config, widget, rule, index) {
+         if (this.isExtendedRule(rule))
+         {
+            // Extended rules are evaluated as a tree of nodes that each hold their own state, so rather than
+            // recording values against the target a single entry is created that evaluates the whole tree...
+            widget._rulesEngineData[attribute]["_extendedRule_" + index] = {
+               ruleNode: this.createRuleNode(attribute, config, widget, rule)
+            };
+         }
+         else if (rule.targetId || rule.topic)
          {
             // As of AKU-974 the RulesEngine support non form controls, so we need to determine whether or not
             // to use the targetId or topic for persisting data. At this stage we also need to update the config
@@ -205,6 +246,7 @@ define(["dojo/_base/declare",
          this.alfLog("log", "RULES EVALUATION('" + attribute + "'): Field '" + (widget.fieldId || widget.id) + "'");
 
          // Set the current value that triggered the evaluation of rules...
+         var status;
          var dataKey = config._useTopic ? payload.alfTopic : payload.fieldId;
          if (typeof widget._rulesEngineData[attribute][dataKey] !== "undefined")
          {
@@ -216,25 +258,41 @@ define(["dojo/_base/declare",
             }
 
             widget._rulesEngineData[attribute][dataKey].currentValue = payload[attributeKey];
-            var rulesEngineKeys = Object.keys(widget._rulesEngineData[attribute]);
-            var status;
-            if (config.rulesMethod === "ANY")
-            {
-               // NOTE: Array.every returns true for empty arrays, but Array.some returns false. We want to work on the
-               //       assumption that rules evaluate to true if there is no data to look at which is why we check the
-               //       length of the keys array...
-               status = rulesEngineKeys.length === 0 || array.some(rulesEngineKeys, lang.hitch(this, this.evaluateRule, widget._rulesEngineData[attribute]));
-            }
-            else
-            {
-               status = array.every(rulesEngineKeys, lang.hitch(this, this.evaluateRule, widget._rulesEngineData[attribute]));
-            }
-            this[attribute](status, widget);
+            status = this.applyRules(attribute, config, widget);
          }
          
          return status;
       },
 
+      /**
+       * Evaluates all the rules configured for a particular attribute using their current state and applies
+       * the resulting status to the widget.
+       *
+       * @instance
+       * @param {string} attribute
+       * @param {object} config The full configuration for rules processing
+       * @param {object} widget The widget to apply rules changes to
+       * @return {boolean} The status applied
+       * @since 1.0.106
+       */
+      applyRules: function alfresco_forms_controls_utilities_RulesEngineMixin__applyRules(attribute, config, widget) {
+         var rulesEngineKeys = Object.keys(widget._rulesEngineData[attribute]);
+         var status;
+         if (config.rulesMethod === "ANY")
+         {
+            // NOTE: Array.every returns true for empty arrays, but Array.some returns false. We want to work on the
+            //       assumption that rules evaluate to true if there is no data to look at which is why we check the
+            //       length of the keys array...
+            status = rulesEngineKeys.length === 0 || array.some(rulesEngineKeys, lang.hitch(this, this.evaluateRule, widget._rulesEngineData[attribute]));
+         }
+         else
+         {
+            status = array.every(rulesEngineKeys, lang.hitch(this, this.evaluateRule, widget._rulesEngineData[attribute]));
+         }
+         this[attribute](status, widget);
+         return status;
+      },
+
       /**
        * 
        * @instance
@@ -244,9 +302,25 @@ define(["dojo/_base/declare",
        * @return {boolean} Whether or not the rule evaluated successfully
        */
       evaluateRule: function alfresco_forms_controls_utilities_RulesEngineMixin__evaluateRule(rulesEngineData, key) {
-         var currentValue = rulesEngineData[key].currentValue;
-         var validValues = rulesEngineData[key].rules.is;
-         var invalidValues = rulesEngineData[key].rules.isNot;
+         if (rulesEngineData[key].ruleNode)
+         {
+            return this.evaluateRuleNode(rulesEngineData[key].ruleNode);
+         }
+         return this.evaluateValueRule(rulesEngineData[key].currentValue, rulesEngineData[key].rules);
+      },
+
+      /**
+       * Evaluates the "is" and "isNot" values of a rule against the supplied value.
+       *
+       * @instance
+       * @since 1.0.106
+       * @param  {object} currentValue The current value of the rule target
+       * @param  {object} rule The rule to evaluate
+       * @return {boolean} Whether or not the rule evaluated successfully
+       */
+      evaluateValueRule: function alfresco_forms_controls_utilities_RulesEngineMixin__evaluateValueRule(currentValue, rule) {
+         var validValues = rule.is;
+         var invalidValues = rule.isNot;
 
          // Assume that its NOT valid value (we'll only do the actual test if its not set to an INVALID value)...
          // UNLESS there are no valid values specified (in which case any value is valid apart form those in the invalid list)
@@ -271,6 +345,296 @@ define(["dojo/_base/declare",
          return isValidValue && !isInvalidValue;
       },
 
+      /**
+       * Indicates whether or not the supplied rule uses any of the capabilities that require it to be
+       * evaluated as a [rule node]{@link module:alfresco/forms/controls/utilities/RulesEngineMixin#createRuleNode}
+       * (i.e. anything other than comparing the value of a single target with "is" and "isNot" values).
+       *
+       * @instance
+       * @since 1.0.106
+       * @param  {object} rule The rule to check
+       * @return {boolean} True if the rule is an extended rule
+       */
+      isExtendedRule: function alfresco_forms_controls_utilities_RulesEngineMixin__isExtendedRule(rule) {
+         return array.some(this._extendedRuleAttributes, function(ruleAttribute) {
+            return typeof rule[ruleAttribute] !== "undefined";
+         });
+      },
+
+      /**
+       * The rule attributes that indicate that a rule is an
+       * [extended rule]{@link module:alfresco/forms/controls/utilities/RulesEngineMixin#isExtendedRule}.
+       *
+       * @instance
+       * @type {string[]}
+       * @since 1.0.106
+       */
+      _extendedRuleAttributes: ["between", "greaterThan", "isValid", "lessThan", "matches", "negate", "publishTopic", "rules"],
+
+      /**
+       * Creates a node for evaluating the supplied rule. Nodes for rules with a nested "rules" array will have
+       * a child node for each nested rule, otherwise the subscriptions required to keep track of the value (and
+       * where required the validity) of the rule target are made.
+       *
+       * @instance
+       * @since 1.0.106
+       * @param {string} attribute The attribute that the rule effects (e.g. visibility)
+       * @param {object} config The full configuration for rules processing
+       * @param {object} widget The widget to apply rules changes to
+       * @param {object} rule The rule to create a node for
+       * @return {object} The rule node
+       */
+      createRuleNode: function alfresco_forms_controls_utilities_RulesEngineMixin__createRuleNode(attribute, config, widget, rule) {
+         var node = {
+            rule: rule,
+            children: null,
+            currentValue: undefined,
+            valid: undefined,
+            result: false,
+            request: null,
+            matcher: this.compileMatchRule(rule)
+         };
+         if (ObjectTypeUtils.isArray(rule.rules))
+         {
+            node.children = array.map(rule.rules, function(childRule) {
+               return this.createRuleNode(attribute, config, widget, childRule);
+            }, this);
+         }
+         else if (rule.targetId || rule.topic)
+         {
+            var topic = rule.topic || "_valueChangeOf_" + rule.targetId;
+            this.alfSubscribe(topic, lang.hitch(this, this.onRuleNodeValueChange, attribute, config, widget, node));
+            if (typeof rule.isValid === "boolean")
+            {
+               this.alfSubscribe("ALF_VALID_CONTROL", lang.hitch(this, this.onRuleNodeValidityChange, attribute, config, widget, node, true));
+               this.alfSubscribe("ALF_INVALID_CONTROL", lang.hitch(this, this.onRuleNodeValidityChange, attribute, config, widget, node, false));
+            }
+         }
+         else
+         {
+            this.alfLog("warn", "The following rule is missing a 'targetId', 'topic' or nested 'rules' attribute", rule, this);
+         }
+         return node;
+      },
+
+      /**
+       * Handles changes to the value of the target of a rule node. When the rule requires an asynchronous
+       * result then a new request will be made (and any outstanding request cancelled).
+       *
+       * @instance
+       * @since 1.0.106
+       * @param {string} attribute The attribute that the rule effects (e.g. visibility)
+       * @param {object} config The full configuration for rules processing
+       * @param {object} widget The widget to apply rules changes to
+       * @param {object} node The rule node
+       * @param {object} payload The publication posted on the topic that triggered the rule
+       */
+      onRuleNodeValueChange: function alfresco_forms_controls_utilities_RulesEngineMixin__onRuleNodeValueChange(attribute, config, widget, node, payload) {
+         node.currentValue = payload[node.rule.attribute || "value"];
+         if (node.rule.publishTopic)
+         {
+            this.requestRuleNodeResult(attribute, config, widget, node);
+         }
+         this.applyRules(attribute, config, widget);
+      },
+
+      /**
+       * Handles changes to the validity of the target of a rule node.
+       *
+       * @instance
+       * @since 1.0.106
+       * @param {string} attribute The attribute that the rule effects (e.g. visibility)
+       * @param {object} config The full configuration for rules processing
+       * @param {object} widget The widget to apply rules changes to
+       * @param {object} node The rule node
+       * @param {boolean} valid Whether or not the publication indicates that a field is valid
+       * @param {object} payload The publication indicating the change in validity of a field
+       */
+      onRuleNodeValidityChange: function alfresco_forms_controls_utilities_RulesEngineMixin__onRuleNodeValidityChange(attribute, config, widget, node, valid, payload) {
+         if (payload.fieldId === node.rule.targetId && node.valid !== valid)
+         {
+            node.valid = valid;
+            this.applyRules(attribute, config, widget);
+         }
+      },
+
+      /**
+       * Publishes a request for the result of an asynchronous rule node. The rule will fail until a response
+       * is received, at which point all the rules for the attribute are evaluated again. Only the response to
+       * the most recent request is used.
+       *
+       * @instance
+       * @since 1.0.106
+       * @param {string} attribute The attribute that the rule effects (e.g. visibility)
+       * @param {object} config The full configuration for rules processing
+       * @param {object} widget The widget to apply rules changes to
+       * @param {object} node The rule node
+       */
+      requestRuleNodeResult: function alfresco_forms_controls_utilities_RulesEngineMixin__requestRuleNodeResult(attribute, config, widget, node) {
+         if (node.request)
+         {
+            node.request.cancel();
+         }
+         node.result = false;
+
+         var payload = lang.mixin({}, node.rule.publishPayload, {
+            value: node.currentValue,
+            resultsProperty: node.rule.resultAttribute || "result"
+         });
+         var request = node.request = this.alfPublishToPromise(node.rule.publishTopic, payload, node.rule.publishGlobal === true);
+         request.then(lang.hitch(this, function(result) {
+            if (node.request === request)
+            {
+               node.request = null;
+               node.result = !!result;
+               this.applyRules(attribute, config, widget);
+            }
+         }), lang.hitch(this, function(error) {
+            if (node.request === request)
+            {
+               node.request = null;
+               this.alfLog("warn", "The request for the result of a rule failed", node.rule, error, this);
+               this.applyRules(attribute, config, widget);
+            }
+         }));
+      },
+
+      /**
+       * Evaluates a [rule node]{@link module:alfresco/forms/controls/utilities/RulesEngineMixin#createRuleNode}
+       * using the current value, validity and asynchronous result that has been captured for it (or the
+       * results of its child nodes).
+       *
+       * @instance
+       * @since 1.0.106
+       * @param  {object} node The rule node to evaluate
+       * @return {boolean} Whether or not the rule evaluated successfully
+       */
+      evaluateRuleNode: function alfresco_forms_controls_utilities_RulesEngineMixin__evaluateRuleNode(node) {
+         var rule = node.rule,
+             result;
+         if (node.children)
+         {
+            var evaluateChild = lang.hitch(this, this.evaluateRuleNode);
+            if (rule.rulesMethod === "ANY")
+            {
+               result = node.children.length === 0 || array.some(node.children, evaluateChild);
+            }
+            else
+            {
+               result = array.every(node.children, evaluateChild);
+            }
+         }
+         else
+         {
+            result = this.evaluateValueRule(node.currentValue, rule) && this.evaluateComparisonRule(node.currentValue, rule, node.matcher);
+            if (result && typeof rule.isValid === "boolean")
+            {
+               result = node.valid === rule.isValid;
+            }
+            if (result && rule.publishTopic)
+            {
+               result = node.result;
+            }
+         }
+         return rule.negate === true ? !result : result;
+      },
+
+      /**
+       * Evaluates the numeric comparisons ("greaterThan", "lessThan" and "between") and regular expression
+       * ("matches") of a rule against the supplied value. Values that cannot be converted to a number will
+       * always fail numeric comparisons.
+       *
+       * @instance
+       * @since 1.0.106
+       * @param  {object} currentValue The current value of the rule target
+       * @param  {object} rule The rule to evaluate
+       * @param  {RegExp} [matcher] The [compiled]{@link module:alfresco/forms/controls/utilities/RulesEngineMixin#compileMatchRule} 
+       *                            regular expression of the rule (it will be compiled if not provided)
+       * @return {boolean} Whether or not the rule evaluated successfully
+       */
+      evaluateComparisonRule: function alfresco_forms_controls_utilities_RulesEngineMixin__evaluateComparisonRule(currentValue, rule, matcher) {
+         return this._evaluateNumericComparisons(currentValue, rule) && this._evaluateMatch(currentValue, rule, matcher);
+      },
+
+      /**
+       * Compiles the regular expression ("matches", with optional "matchFlags") of a rule so that it is only
+       * compiled once rather than every time the rule is evaluated. A warning is logged if the regular expression
+       * is not valid.
+       *
+       * @instance
+       * @since 1.0.106
+       * @param  {object} rule The rule to compile the regular expression for
+       * @return {RegExp} The regular expression (or null if the rule has no valid regular expression)
+       */
+      compileMatchRule: function alfresco_forms_controls_utilities_RulesEngineMixin__compileMatchRule(rule) {
+         var matcher = null;
+         if (rule.matches instanceof RegExp)
+         {
+            matcher = rule.matches;
+         }
+         else if (rule.matches)
+         {
+            try
+            {
+               matcher = new RegExp(rule.matches, rule.matchFlags || "");
+            }
+            catch (e)
+            {
+               this.alfLog("warn", "The 'matches' attribute of the following rule is not a valid regular expression", rule, e, this);
+            }
+         }
+         return matcher;
+      },
+
+      /**
+       * @instance
+       * @since 1.0.106
+       * @param  {object} currentValue The current value of the rule target
+       * @param  {object} rule The rule to evaluate
+       * @return {boolean} Whether or not the "greaterThan", "lessThan" and "between" comparisons passed
+       */
+      _evaluateNumericComparisons: function alfresco_forms_controls_utilities_RulesEngineMixin___evaluateNumericComparisons(currentValue, rule) {
+         /*jshint eqnull:true*/
+         if (rule.greaterThan == null && rule.lessThan == null && !rule.between)
+         {
+            return true;
+         }
+         var number = (currentValue == null || currentValue === "") ? NaN : Number(currentValue);
+         var min = lang.getObject("between.min", false, rule),
+             max = lang.getObject("between.max", false, rule);
+         return !isNaN(number) &&
+                (rule.greaterThan == null || number > rule.greaterThan) &&
+                (rule.lessThan == null || number < rule.lessThan) &&
+                (min == null || number >= min) &&
+                (max == null || number <= max);
+      },
+
+      /**
+       * @instance
+       * @since 1.0.106
+       * @param  {object} currentValue The current value of the rule target
+       * @param  {object} rule The rule to evaluate
+       * @param  {RegExp} [matcher] The compiled regular expression of the rule
+       * @return {boolean} Whether or not the value matches the "matches" regular expression (if provided), an
+       * invalid regular expression never matches
+       */
+      _evaluateMatch: function alfresco_forms_controls_utilities_RulesEngineMixin___evaluateMatch(currentValue, rule, matcher) {
+         /*jshint eqnull:true*/
+         if (!rule.matches)
+         {
+            return true;
+         }
+         var regex = typeof matcher === "undefined" ? this.compileMatchRule(rule) : matcher;
+         if (!regex)
+         {
+            return false;
+         }
+
+         // Global and sticky regular expressions keep the position of the last match...
+         regex.lastIndex = 0;
+         return regex.test(currentValue == null ? "" : currentValue.toString());
+      },
+
       /**
        * The default comparator function used for comparing a rule value against the actual value of a field.
        * Note that the target value is expected to be an object from the arrays (assigned to the  "is" or "isNot"
@@ -20,11 +20,19 @@
 /**
  * <p>A simple markdown rendering widget. This module uses [Showdown]{@link https://github.com/showdownjs/showdown} to convert
  * markdown to HTML. In order to prevent any malicious content from being added to the browser DOM, all generated HTML is
- * passed through the "stripUnsafeHTML" function provided on the server by Surf. This does require an XHR call to made which
- * may reduce rendering speed - but ensures that the widget is not prone to XSS style attacks.</p>
+ * passed through a client-side [sanitizer]{@link module:alfresco/util/sanitizeUtils} that only keeps an allowlist of
+ * tags, attributes and URL schemes. The allowlist can be extended through the
+ * [sanitizerConfig]{@link module:alfresco/html/Markdown#sanitizerConfig} attribute. It is still possible to have the
+ * HTML sanitized by the "stripUnsafeHTML" function provided on the server by Surf by configuring
+ * [useServerSanitizer]{@link module:alfresco/html/Markdown#useServerSanitizer} to be true - but this requires an XHR
+ * call to be made for every update, which will reduce rendering speed.</p>
  * <p>It is possible to provide initial rendering via the [markdown]{@link module:alfresco/html/Markdown#markdown} attribute
  * and it is also possible to allow markdown to be dynamically updated by configuring one or more 
  * [subscriptionTopics]{@link module:alfresco/html/Markdown#subscriptionTopics}.</p>
+ * <p>By default [tables]{@link module:alfresco/html/Markdown#tables}, GitHub style
+ * [task lists]{@link module:alfresco/html/Markdown#taskLists}, [highlighting]{@link module:alfresco/html/Markdown#highlightCode}
+ * of fenced code blocks that declare a language and [anchors]{@link module:alfresco/html/Markdown#headingAnchors} for
+ * headings are all supported. Each of these extensions can be disabled.</p>
  *
  * @example <caption>Simple markdown example:</caption>
  * {
@@ -43,6 +51,19 @@
  *   }
  * }
  * 
+ * @example <caption>Example allowing additional content through the sanitizer and disabling heading anchors:</caption>
+ * {
+ *   name: "alfresco/html/Markdown",
+ *   config: {
+ *     markdown: "![Logo](data:image/png;base64,iVBORw0KGgo...)",
+ *     headingAnchors: false,
+ *     sanitizerConfig: {
+ *       allowedTags: ["figure", "figcaption"],
+ *       allowedSchemes: ["data"]
+ *     }
+ *   }
+ * }
+ *
  * @module alfresco/html/Markdown
  * @extends external:dijit/_WidgetBase
  * @mixes external:dojo/_TemplatedMixin
@@ -55,15 +76,30 @@ define(["dojo/_base/declare",
         "dijit/_TemplatedMixin",
         "dojo/text!./templates/Markdown.html",
         "alfresco/core/CoreXhr",
+        "alfresco/util/sanitizeUtils",
         "webscripts/defaults",
         "service/constants/Default",
         "dojo/_base/lang",
         "dojo/_base/array",
+        "dojo/dom-construct",
+        "dojo/on",
+        "dojo/query",
         "showdown"], 
-        function(declare, _WidgetBase, _TemplatedMixin, template, CoreXhr, webScriptDefaults, AlfConstants, lang, array, showdown) {
+        function(declare, _WidgetBase, _TemplatedMixin, template, CoreXhr, sanitizeUtils, webScriptDefaults, AlfConstants,
+                 lang, array, domConstruct, on, query, showdown) {
    
    return declare([_WidgetBase, _TemplatedMixin, CoreXhr], {
 
+      /**
+       * An array of the CSS files to use with this widget.
+       *
+       * @instance
+       * @type {object[]}
+       * @default [{cssFile:"./css/Markdown.css"}]
+       * @since 1.0.106
+       */
+      cssRequirements: [{cssFile:"./css/Markdown.css"}],
+
       /**
        * The HTML template to use for the widget.
        * 
@@ -91,6 +127,122 @@ define(["dojo/_base/declare",
        */
       subscriptionTopics: null,
 
+      /**
+       * Additional tags, attributes, URL schemes and CSS properties that the client-side sanitizer should allow. This
+       * should be an object with any of the "allowedTags", "allowedAttributes", "allowedSchemes" and "allowedStyles"
+       * attributes accepted by the [extendConfig]{@link module:alfresco/util/sanitizeUtils#extendConfig} function.
+       * The "allowedAttributes" are keyed by tag name (or "*" for attributes allowed on every tag).
+       *
+       * @instance
+       * @type {object}
+       * @default
+       * @since 1.0.106
+       */
+      sanitizerConfig: null,
+
+      /**
+       * Indicates whether the generated HTML should be sanitized on the server using Surf's "stripUnsafeHTML" function
+       * rather than on the client. This was the only behaviour prior to version 1.0.106.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       * @since 1.0.106
+       */
+      useServerSanitizer: false,
+
+      /**
+       * Indicates whether or not GitHub style tables should be rendered.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       * @since 1.0.106
+       */
+      tables: true,
+
+      /**
+       * Indicates whether or not GitHub style task lists (list items starting with "[ ]" or "[x]") should be
+       * rendered with (read-only) checkboxes.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       * @since 1.0.106
+       */
+      taskLists: true,
+
+      /**
+       * Indicates whether or not headings should be given an id and an anchor link that can be clicked to
+       * scroll the heading into view.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       * @since 1.0.106
+       */
+      headingAnchors: true,
+
+      /**
+       * The prefix to use for the generated heading ids. If this is not configured then the id of the widget
+       * (followed by an underscore) is used so that the ids are unique within the page. The ids of any headings
+       * written as raw HTML are removed unless they start with this prefix so that they cannot collide with the
+       * ids of other elements in the page (or be used to override global variables).
+       *
+       * @instance
+       * @type {string}
+       * @default
+       * @since 1.0.106
+       */
+      headingIdPrefix: null,
+
+      /**
+       * Indicates whether or not fenced code blocks that declare a language should have comments, strings, numbers
+       * and [keywords]{@link module:alfresco/html/Markdown#highlightKeywords} highlighted.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       * @since 1.0.106
+       */
+      highlightCode: true,
+
+      /**
+       * The words that are highlighted as keywords in code blocks. These are common to many languages so that
+       * no language specific configuration is required.
+       *
+       * @instance
+       * @type {string[]}
+       * @since 1.0.106
+       */
+      highlightKeywords: ["abstract", "async", "await", "boolean", "break", "case", "catch", "class", "const", "continue",
+                          "def", "default", "delete", "do", "elif", "else", "enum", "export", "extends", "false", "final",
+                          "finally", "for", "from", "function", "if", "implements", "import", "in", "instanceof", "int",
+                          "interface", "let", "new", "null", "package", "private", "protected", "public", "return",
+                          "static", "super", "switch", "this", "throw", "throws", "true", "try", "typeof", "undefined",
+                          "var", "void", "while", "with", "yield"],
+
+      /**
+       * The code block languages in which lines starting with "#" are comments.
+       *
+       * @instance
+       * @type {string[]}
+       * @since 1.0.106
+       */
+      hashCommentLanguages: ["bash", "perl", "properties", "py", "python", "rb", "ruby", "sh", "shell", "yaml", "yml"],
+
+      /**
+       * The prefix that all heading ids must start with. This is set to either the configured
+       * [headingIdPrefix]{@link module:alfresco/html/Markdown#headingIdPrefix} or the default prefix
+       * based on the widget id.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       * @since 1.0.106
+       */
+      _headingIdPrefix: null,
+
       /**
        * This is used to store the last requested markdown update when a [request is in progress]{@link module:alfresco/html/Markdown#_requestInProgress}
        * to sanitize the HTML generated from the last markdown update request.
@@ -115,8 +267,9 @@ define(["dojo/_base/declare",
 
       /**
        * Subscribes to any [subscriptionTopics]{@link module:alfresco/html/Markdown#subscriptionTopics}, initializes the 
-       * markdown converter and if any [markdown]{@link module:alfresco/html/Markdown#markdown} has been initially provided calls 
-       * [updateMarkdown]{@link module:alfresco/html/Markdown#updateMarkdown} to render and sanitize the HTML for it.
+       * markdown converter and sanitizer configuration and if any [markdown]{@link module:alfresco/html/Markdown#markdown}
+       * has been initially provided calls [updateMarkdown]{@link module:alfresco/html/Markdown#updateMarkdown} to render
+       * and sanitize the HTML for it.
        * 
        * @instance
        */
@@ -128,19 +281,64 @@ define(["dojo/_base/declare",
             }, this);
          }
          
+         this._headingIdPrefix = this.headingIdPrefix || (this.id + "_");
          this.converter = new showdown.Converter({
             strikethrough: true,
-            tables: true
+            tables: this.tables,
+            tasklists: this.taskLists,
+            ghCodeBlocks: true,
+            noHeaderId: !this.headingAnchors,
+            prefixHeaderId: this._headingIdPrefix
          });
          this._converterReady = true;
+         this._sanitizerConfig = this.createSanitizerConfig();
+
+         if (this.headingAnchors)
+         {
+            this.own(on(this.domNode, "a.alfresco-html-Markdown__anchor:click", lang.hitch(this, this.onAnchorClick)));
+         }
 
          // If we have initial markdown then ensure that it is safe to be used...
          this.markdown && this.updateMarkdown(this.markdown);
       },
 
       /**
-       * Converts the supplied markdown into HTML and then makes an XHR request to Surf to sanitize the
-       * generated HTML of any malicious content in order to prevent XSS-style attacks.
+       * Creates the configuration for the client-side sanitizer. The default configuration is extended to allow
+       * the content generated by the enabled extensions and then with any custom
+       * [sanitizerConfig]{@link module:alfresco/html/Markdown#sanitizerConfig}.
+       *
+       * @instance
+       * @returns {object} The sanitizer configuration
+       * @since 1.0.106
+       */
+      createSanitizerConfig: function alfresco_html_Markdown__createSanitizerConfig() {
+         var additions = {
+            allowedTags: [],
+            allowedAttributes: {
+               code: ["class"],
+               li: ["class"]
+            },
+            allowedStyles: ["text-align"]
+         };
+         if (this.taskLists)
+         {
+            additions.allowedTags.push("input");
+            additions.allowedAttributes.input = ["checked", "disabled", "type"];
+         }
+         if (this.headingAnchors)
+         {
+            array.forEach(["h1", "h2", "h3", "h4", "h5", "h6"], function(tagName) {
+               additions.allowedAttributes[tagName] = ["id"];
+            });
+         }
+         var config = sanitizeUtils.extendConfig(null, additions);
+         return sanitizeUtils.extendConfig(config, this.sanitizerConfig);
+      },
+
+      /**
+       * Converts the supplied markdown into HTML and then sanitizes the generated HTML of any malicious content in order
+       * to prevent XSS-style attacks. The HTML is sanitized on the client unless
+       * [useServerSanitizer]{@link module:alfresco/html/Markdown#useServerSanitizer} is configured to be true.
        * 
        * @instance
        * @param {string} markdown The markdown to convert to HTML
@@ -152,32 +350,195 @@ define(["dojo/_base/declare",
             {
                this._pendingMarkdown = markdown;
             }
+            else if (this.useServerSanitizer)
+            {
+               this.sanitizeOnServer(this.converter.makeHtml(markdown));
+            }
+            else
+            {
+               this.renderHtml(sanitizeUtils.sanitize(this.converter.makeHtml(markdown), this._sanitizerConfig));
+            }
+         }
+      },
+
+      /**
+       * Makes an XHR request to Surf to sanitize the supplied HTML.
+       *
+       * @instance
+       * @param {string} html The HTML generated from the markdown
+       * @since 1.0.106
+       */
+      sanitizeOnServer: function alfresco_html_Markdown__sanitizeOnServer(html) {
+         // Set the flag to indicate that a request is about to be made...
+         // TODO: We could potentially optimize this code by logging a timestamp in the request (or similar) and allow requests to be
+         //       processed together and then just render the last request...
+         this._requestInProgress = true;
+
+         var url = AlfConstants.URL_SERVICECONTEXT + webScriptDefaults.WEBSCRIPT_VERSION + "/sanitize/data";
+         this.serviceXhr({
+            url: url,
+            data: {
+               data: html
+            },
+            method: "POST",
+            successCallback: this.sanitizeSuccess,
+            failureCallback: this.sanitizeFailure,
+            callbackScope: this
+         });
+      },
+
+      /**
+       * Renders the supplied (sanitized) HTML and then applies the enabled extensions to it.
+       *
+       * @instance
+       * @param {string} html The sanitized HTML to render
+       * @since 1.0.106
+       */
+      renderHtml: function alfresco_html_Markdown__renderHtml(html) {
+         // Remove any unexpected inputs before the content is added to the page...
+         var content = domConstruct.create("div", {
+            innerHTML: html
+         });
+         this.taskLists && this.processTaskLists(content);
+         domConstruct.empty(this.domNode);
+         while (content.firstChild)
+         {
+            this.domNode.appendChild(content.firstChild);
+         }
+         this.removeUnprefixedHeadingIds();
+         this.headingAnchors && this.addHeadingAnchors();
+         this.highlightCode && this.highlightCodeBlocks();
+      },
+
+      /**
+       * Ensures that the only inputs rendered are the read-only checkboxes of task list items. The sanitizer
+       * has to allow inputs for task lists so any other type of input (e.g. a password input written as raw
+       * HTML in the markdown) is removed.
+       *
+       * @instance
+       * @param {element} content The element containing the sanitized HTML
+       * @since 1.0.106
+       */
+      processTaskLists: function alfresco_html_Markdown__processTaskLists(content) {
+         query("input", content).forEach(function(input) {
+            if (input.type === "checkbox")
+            {
+               input.disabled = true;
+            }
             else
             {
-              // Set the flag to indicate that a request is about to be made...
-              // TODO: We could potentially optimize this code by logging a timestamp in the request (or similar) and allow requests to be
-              //       processed together and then just render the last request...
-              this._requestInProgress = true;
-
-               // Convert markdown to HTML...
-               var html = this.converter.makeHtml(markdown);
-
-               // Sanitize the output to ensure it is safe to render...
-               var url = AlfConstants.URL_SERVICECONTEXT + webScriptDefaults.WEBSCRIPT_VERSION + "/sanitize/data";
-               if (url) {
-                  this.serviceXhr({
-                     url: url,
-                     data: {
-                        data: html
-                     },
-                     method: "POST",
-                     successCallback: this.sanitizeSuccess,
-                     failureCallback: this.sanitizeFailure,
-                     callbackScope: this
-                  });
-               }
+               domConstruct.destroy(input);
+            }
+         });
+      },
+
+      /**
+       * Removes the id of any heading that does not start with the
+       * [heading id prefix]{@link module:alfresco/html/Markdown#_headingIdPrefix}. The ids generated from the
+       * markdown always have the prefix so this only affects headings written as raw HTML.
+       *
+       * @instance
+       * @since 1.0.106
+       */
+      removeUnprefixedHeadingIds: function alfresco_html_Markdown__removeUnprefixedHeadingIds() {
+         query("h1[id],h2[id],h3[id],h4[id],h5[id],h6[id]", this.domNode).forEach(function(heading) {
+            if (heading.id.indexOf(this._headingIdPrefix) !== 0)
+            {
+               heading.removeAttribute("id");
+            }
+         }, this);
+      },
+
+      /**
+       * Adds an anchor link to each heading that has an id.
+       *
+       * @instance
+       * @since 1.0.106
+       */
+      addHeadingAnchors: function alfresco_html_Markdown__addHeadingAnchors() {
+         query("h1[id],h2[id],h3[id],h4[id],h5[id],h6[id]", this.domNode).forEach(function(heading) {
+            domConstruct.create("a", {
+               className: "alfresco-html-Markdown__anchor",
+               href: "#" + heading.id,
+               textContent: "#"
+            }, heading);
+         });
+      },
+
+      /**
+       * Handles clicks on heading anchors by scrolling the heading into view. The default action is prevented so
+       * that the URL hash (which may be used to store the state of other widgets on the page) is not changed.
+       *
+       * @instance
+       * @param {object} evt The click event
+       * @since 1.0.106
+       */
+      onAnchorClick: function alfresco_html_Markdown__onAnchorClick(evt) {
+         evt.preventDefault();
+         var heading = evt.target.parentNode;
+         heading.scrollIntoView && heading.scrollIntoView();
+      },
+
+      /**
+       * Finds all the code blocks that declare a language and calls
+       * [highlightCodeBlock]{@link module:alfresco/html/Markdown#highlightCodeBlock} for each.
+       *
+       * @instance
+       * @since 1.0.106
+       */
+      highlightCodeBlocks: function alfresco_html_Markdown__highlightCodeBlocks() {
+         query("pre > code", this.domNode).forEach(function(codeNode) {
+            var language = /(?:^|\s)language-(\S+)/.exec(codeNode.className);
+            language && this.highlightCodeBlock(codeNode, language[1].toLowerCase());
+         }, this);
+      },
+
+      /**
+       * Replaces the content of the supplied code element with text nodes and elements that have CSS classes
+       * for the comments, strings, numbers and keywords found in the code. The content is only ever created as text
+       * so the code itself can never be interpreted as HTML.
+       *
+       * @instance
+       * @param {element} codeNode The code element to highlight
+       * @param {string} language The language declared for the code block
+       * @since 1.0.106
+       */
+      highlightCodeBlock: function alfresco_html_Markdown__highlightCodeBlock(codeNode, language) {
+         var comments = "\\/\\*[\\s\\S]*?\\*\\/|\\/\\/[^\\n]*";
+         if (array.indexOf(this.hashCommentLanguages, language) !== -1)
+         {
+            comments += "|#[^\\n]*";
+         }
+         var tokens = new RegExp("(" + comments + ")|(\"(?:[^\"\\\\\\n]|\\\\.)*\"|'(?:[^'\\\\\\n]|\\\\.)*'|`(?:[^`\\\\]|\\\\.)*`)|" +
+                                 "(\\b\\d+(?:\\.\\d+)?\\b)|([A-Za-z_$][\\w$]*)", "g");
+         var tokenTypes = ["comment", "string", "number"];
+         var code = codeNode.textContent;
+         var lastIndex = 0;
+         var match;
+
+         codeNode.textContent = "";
+         while ((match = tokens.exec(code)) !== null)
+         {
+            var tokenType = null;
+            for (var i = 0; i < tokenTypes.length && !tokenType; i++)
+            {
+               tokenType = match[i + 1] ? tokenTypes[i] : null;
+            }
+            if (!tokenType && array.indexOf(this.highlightKeywords, match[4]) !== -1)
+            {
+               tokenType = "keyword";
+            }
+            if (tokenType)
+            {
+               codeNode.appendChild(document.createTextNode(code.substring(lastIndex, match.index)));
+               domConstruct.create("span", {
+                  className: "alfresco-html-Markdown__" + tokenType,
+                  textContent: match[0]
+               }, codeNode);
+               lastIndex = tokens.lastIndex;
             }
          }
+         codeNode.appendChild(document.createTextNode(code.substring(lastIndex)));
       },
 
       /**
@@ -216,7 +577,7 @@ define(["dojo/_base/declare",
        * @param  {object} originalRequestConfig The configuration used to make the sanitize XHR request.
        */
       sanitizeSuccess: function alfresco_html_Markdown__sanitizeSuccess(response, /*jshint unused:false*/ originalRequestConfig) {
-         this.domNode.innerHTML = response.data;
+         this.renderHtml(response.data);
          this.checkForPendingMarkdown();
       },
 
@@ -22,7 +22,9 @@
  * to provide support additional filtering of the displayed items. This widget does not perform
  * any client side filtering, it simply controls the payloads published to services -
  * successful filtering is determined by the ability of the service and the REST API ultimately called to 
- * support it.</p>
+ * support it. The only exception to this is when [useLocalData]{@link module:alfresco/lists/AlfList#useLocalData}
+ * is configured to be true, in which case the filter values will be matched against the item properties
+ * with the same names as the filter widgets.</p>
  * 
  * <p>The widgets to control the filters should be defined in the
  * [widgetsForFilters]{@link module:alfresco/lists/AlfFilteredList#widgetsForFilters} and these will
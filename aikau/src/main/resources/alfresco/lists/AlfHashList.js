@@ -236,7 +236,11 @@ define(["dojo/_base/declare",
             // changed. Each view renderer that registers a link will need to set a "linkClickTopic" and this
             // should be matched by the "linkClickTopic" of this instance)
             this.alfSubscribe(this.linkClickTopic, lang.hitch(this, this.onItemLinkClick));
-            if (this.currentData)
+            if (this.useLocalData)
+            {
+               this.loadData();
+            }
+            else if (this.currentData)
             {
                this.processLoadedData(this.currentData);
                this.renderView();
@@ -44,6 +44,11 @@
  * <p>It is also possible to explicitly define the data to be listed by setting the 
  * [currentData]{@link module:alfresco/lists/AlfList#currentData}. This should be configured to be an
  * object containing an "items" attribute that is the data to be rendered.</p>
+ * <p>If [useLocalData]{@link module:alfresco/lists/AlfList#useLocalData} is configured to be true then
+ * the list will never publish requests to load data. Instead the items in the
+ * [currentData]{@link module:alfresco/lists/AlfList#currentData} will be filtered, sorted, paginated and
+ * grouped (using [localDataGroupBy]{@link module:alfresco/lists/AlfList#localDataGroupBy}) by the list
+ * itself so that no service is required.</p>
  * 
  * @example <caption>Basic list with hard-coded data</caption>
  * {
@@ -92,6 +97,7 @@
  * @mixes module:alfresco/core/Core
  * @mixes module:alfresco/core/CoreWidgetProcessing
  * @mixes module:alfresco/lists/SelectedItemStateMixin
+ * @mixes module:alfresco/lists/ListExportMixin
  * @mixes module:alfresco/core/DynamicWidgetProcessingTopics
  * @author Dave Draper
  */
@@ -104,6 +110,7 @@ define(["dojo/_base/declare",
         "alfresco/core/topics",
         "alfresco/core/WidgetsCreator",
         "alfresco/lists/SelectedItemStateMixin",
+        "alfresco/lists/ListExportMixin",
         "alfresco/core/DynamicWidgetProcessingTopics",
         "alfresco/lists/views/AlfListView",
         "alfresco/menus/AlfCheckableMenuItem",
@@ -115,10 +122,10 @@ define(["dojo/_base/declare",
         "dojo/io-query",
         "dojo/sniff"],
         function(declare, _WidgetBase, _TemplatedMixin, template, AlfCore, CoreWidgetProcessing, topics, WidgetsCreator, SelectedItemStateMixin,
-                 DynamicWidgetProcessingTopics, AlfListView, AlfCheckableMenuItem, aspect, array, lang, domConstruct,
+                 ListExportMixin, DynamicWidgetProcessingTopics, AlfListView, AlfCheckableMenuItem, aspect, array, lang, domConstruct,
                  domClass, ioQuery, sniff) {
 
-   return declare([_WidgetBase, _TemplatedMixin, AlfCore, CoreWidgetProcessing, SelectedItemStateMixin, DynamicWidgetProcessingTopics], {
+   return declare([_WidgetBase, _TemplatedMixin, AlfCore, CoreWidgetProcessing, SelectedItemStateMixin, ListExportMixin, DynamicWidgetProcessingTopics], {
 
       /**
        * An array of the i18n files to use with this widget.
@@ -209,7 +216,8 @@ define(["dojo/_base/declare",
       /**
        * An array of filters that should be included in data loading requests. The list itself will
        * not perform any filtering it is up to the service (or API that the service calls) to filter
-       * the results based on the data provided.
+       * the results based on the data provided (unless [useLocalData]{@link module:alfresco/lists/AlfList#useLocalData}
+       * is configured to be true).
        *
        * @instance
        * @type {array}
@@ -332,6 +340,31 @@ define(["dojo/_base/declare",
        */
       loadDataSuccessTopic: null,
 
+      /**
+       * When [useLocalData]{@link module:alfresco/lists/AlfList#useLocalData} is configured to be true
+       * this can be set to the dot-notation property of the items that they should be grouped by. Items
+       * will be ordered by this property before any other sorting is applied and the details of each group
+       * will be set as the "groups" attribute of the [currentData]{@link module:alfresco/lists/AlfList#currentData}.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       * @since 1.0.106
+       */
+      localDataGroupBy: null,
+
+      /**
+       * Indicates whether the groups created for the
+       * [localDataGroupBy]{@link module:alfresco/lists/AlfList#localDataGroupBy} property should be
+       * ordered ascending or descending.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       * @since 1.0.106
+       */
+      localDataGroupAscending: true,
+
       /**
        * The property in the data response that is a metadata attribute containing additional information
        * about the overall context of the list. This defaults to "metadata". If not attribute with the
@@ -412,6 +445,82 @@ define(["dojo/_base/declare",
        */
       totalResultsProperty: "totalRecords",
 
+      /**
+       * The cursor that should be requested when data is next loaded when
+       * [useCursorPagination]{@link module:alfresco/lists/AlfList#useCursorPagination} is configured to be
+       * true. This will be null when the first page of data should be loaded.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       * @since 1.0.106
+       */
+      currentCursor: null,
+
+      /**
+       * The cursor for the next page of data that was provided in the last response when
+       * [useCursorPagination]{@link module:alfresco/lists/AlfList#useCursorPagination} is configured to be
+       * true. This will be null when there is no more data to load.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       * @since 1.0.106
+       */
+      nextCursor: null,
+
+      /**
+       * The property in the response that provides the cursor for the next page of data when
+       * [useCursorPagination]{@link module:alfresco/lists/AlfList#useCursorPagination} is configured to be
+       * true.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       * @since 1.0.106
+       */
+      nextCursorProperty: "nextCursor",
+
+      /**
+       * The cursor for the previous page of data that was provided in the last response when
+       * [useCursorPagination]{@link module:alfresco/lists/AlfList#useCursorPagination} is configured to be
+       * true. This will be null when the first page of data is shown.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       * @since 1.0.106
+       */
+      previousCursor: null,
+
+      /**
+       * The property in the response that provides the cursor for the previous page of data when
+       * [useCursorPagination]{@link module:alfresco/lists/AlfList#useCursorPagination} is configured to be
+       * true.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       * @since 1.0.106
+       */
+      previousCursorProperty: "previousCursor",
+
+      /**
+       * Indicates whether or not the data is paged using opaque cursors rather than by start index and total
+       * number of results. When this is configured to be true the cursors for the next and previous pages are
+       * taken from the [nextCursorProperty]{@link module:alfresco/lists/AlfList#nextCursorProperty} and
+       * [previousCursorProperty]{@link module:alfresco/lists/AlfList#previousCursorProperty} of each response
+       * and are included in the [documentsLoadedTopic]{@link module:alfresco/documentlibrary/_AlfDocumentListTopicMixin#documentsLoadedTopic}
+       * publication so that a [Paginator]{@link module:alfresco/lists/Paginator} (also configured to use
+       * cursor pagination) can navigate between pages without needing to know the total number of results.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       * @since 1.0.106
+       */
+      useCursorPagination: false,
+
       /**
        * Indicates whether Infinite Scroll should be used when requesting documents
        *
@@ -421,6 +530,19 @@ define(["dojo/_base/declare",
        */
       useInfiniteScroll: false,
 
+      /**
+       * When this is configured to be true the list will not publish requests to load data. Instead the
+       * items provided in the [currentData]{@link module:alfresco/lists/AlfList#currentData} are retained
+       * and filtered, sorted, paginated and grouped by the list itself each time that data would otherwise
+       * be loaded. This allows small, static lists to be sorted and filtered without a backing service.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       * @since 1.0.106
+       */
+      useLocalData: false,
+
       /**
        * A map of the additional controls that each view requires. This is map is populated as each view
        * is selected (so that the controls are only loaded once) but are then loaded from the map. This
@@ -561,6 +683,17 @@ define(["dojo/_base/declare",
        */
       _hideLoadingTimeoutPointer: null,
 
+      /**
+       * The complete set of items that is processed when
+       * [useLocalData]{@link module:alfresco/lists/AlfList#useLocalData} is configured to be true.
+       *
+       * @instance
+       * @type {object[]}
+       * @default
+       * @since 1.0.106
+       */
+      _localData: null,
+
       /**
        * This is updated by the [onPageWidgetsReady]{@link module:alfresco/lists/AlfList#onPageWidgetsReady}
        * function to be true when all widgets on the page have been loaded. It is used to block loading of
@@ -610,6 +743,7 @@ define(["dojo/_base/declare",
             this.alfSubscribe(this.scrollNearBottom, lang.hitch(this, this.onScrollNearBottom));
          }
          this.createSelectedItemSubscriptions();
+         this.setupExportSubscriptions();
       },
 
       /**
@@ -711,6 +845,7 @@ define(["dojo/_base/declare",
        * @overrideable
        */
       onFiltersUpdated: function alfresco_lists_AlfList__onFiltersUpdated() {
+         this.resetCursor();
          this.clearViews();
          this.loadData();
       },
@@ -735,7 +870,11 @@ define(["dojo/_base/declare",
             };
          }
          
-         if (this.currentData)
+         if (this.useLocalData)
+         {
+            this.loadData();
+         }
+         else if (this.currentData)
          {
             this.processLoadedData(this.currentData);
             this.renderView();
@@ -852,6 +991,11 @@ define(["dojo/_base/declare",
          // Set the current data...
          newView.setData(this.currentData);
          newView._currentNode = oldView._currentNode;
+         newView._collapsedGroups = oldView._collapsedGroups;
+         if (oldView._columnLayout && typeof newView.setColumnLayout === "function")
+         {
+            newView.setColumnLayout(oldView._columnLayout);
+         }
       },
 
       /**
@@ -1354,6 +1498,9 @@ define(["dojo/_base/declare",
        * function will be called. If the request fails then the
        * [onDataLoadFailure]{@link module:alfresco/lists/AlfList#onDataLoadFailure}
        * function will be called.
+       * When [useLocalData]{@link module:alfresco/lists/AlfList#useLocalData} is configured to be true
+       * then no request is made and the [loadLocalData]{@link module:alfresco/lists/AlfList#loadLocalData}
+       * function is called instead.
        *
        * @instance
        * @param {object} [parameters] An optional parameters object providing information about the data to load
@@ -1361,7 +1508,11 @@ define(["dojo/_base/declare",
        * @fires module:alfresco/core/topics#STOP_XHR_REQUEST
        */
       loadData: function alfresco_lists_AlfList__loadData(parameters) {
-         if (!this.requestInProgress)
+         if (this.useLocalData)
+         {
+            this.loadLocalData(parameters);
+         }
+         else if (!this.requestInProgress)
          {
             // Ensure any no data node is hidden...
             domClass.add(this.noDataNode, "share-hidden");
@@ -1443,6 +1594,246 @@ define(["dojo/_base/declare",
          // Does nothing by default.
       },
 
+      /**
+       * This is called from [loadData]{@link module:alfresco/lists/AlfList#loadData} instead of publishing
+       * a request to a service when [useLocalData]{@link module:alfresco/lists/AlfList#useLocalData} is
+       * configured to be true. The payload that would have been published is still built (so that the
+       * filter, sort and pagination data added by extending modules is available) and is then used to
+       * filter, sort and paginate the locally held items before rendering them.
+       *
+       * @instance
+       * @param {object} [parameters] An optional parameters object providing information about the data to load
+       * @param {string} [parameters.focusItemKey] An item to focus on if it is in the data that is reloaded
+       * @since 1.0.106
+       */
+      loadLocalData: function alfresco_lists_AlfList__loadLocalData(parameters) {
+         if (!this._localData)
+         {
+            this._localData = lang.getObject("currentData.items", false, this) || [];
+         }
+
+         domClass.add(this.noDataNode, "share-hidden");
+         this._focusItemKey = (parameters && parameters.focusItemKey) || null;
+
+         var payload = {
+            dataFilters: this.dataFilters
+         };
+         this.updateLoadDataPayload(payload);
+
+         var items = this.filterLocalData(this._localData, payload.dataFilters);
+         items = this.sortLocalData(items, payload);
+
+         var response = {
+            items: items,
+            totalRecords: items.length,
+            startIndex: 0
+         };
+         this.paginateLocalData(response, payload);
+
+         this.currentData = {
+            items: response.items
+         };
+         if (this.localDataGroupBy)
+         {
+            this.currentData.groups = this.groupLocalData(items);
+         }
+         this.processLoadedData(response);
+         this.renderView();
+         this.retainPreviousItemSelectionState(this.currentData.items);
+      },
+
+      /**
+       * Returns the subset of the supplied items that match all of the supplied filters.
+       *
+       * @instance
+       * @param {object[]} items The items to filter
+       * @param {object[]} [filters] The filters to apply
+       * @returns {object[]} The matching items
+       * @since 1.0.106
+       */
+      filterLocalData: function alfresco_lists_AlfList__filterLocalData(items, filters) {
+         var activeFilters = array.filter(filters || [], function(filter) {
+            var value = filter.value;
+            return value !== null && typeof value !== "undefined" && value !== "" && !(lang.isArray(value) && !value.length);
+         });
+         return array.filter(items, function(item) {
+            return array.every(activeFilters, function(filter) {
+               return this.isLocalDataFilterMatch(item, filter);
+            }, this);
+         }, this);
+      },
+
+      /**
+       * Determines whether or not the supplied item matches the supplied filter. String filter values will
+       * match any item property value that contains them (ignoring case), an array of filter values will match
+       * if any of them match and any other filter values must be equal to the item property value. If the
+       * item property value is an array then the filter will match if any of its elements match. This function
+       * can be overridden to provide alternative matching.
+       *
+       * @instance
+       * @param {object} item The item to check
+       * @param {object} filter The filter to check
+       * @param {string} filter.name The dot-notation property of the item to check
+       * @param {*} filter.value The value to check against
+       * @returns {boolean} true if the item matches the filter and false otherwise
+       * @since 1.0.106
+       */
+      isLocalDataFilterMatch: function alfresco_lists_AlfList__isLocalDataFilterMatch(item, filter) {
+         var itemValues = lang.getObject(filter.name, false, item);
+         itemValues = lang.isArray(itemValues) ? itemValues : [itemValues];
+         var filterValues = lang.isArray(filter.value) ? filter.value : [filter.value];
+         return array.some(filterValues, function(filterValue) {
+            return array.some(itemValues, function(itemValue) {
+               var match;
+               if (typeof filterValue === "string")
+               {
+                  match = itemValue !== null &&
+                          typeof itemValue !== "undefined" &&
+                          itemValue.toString().toLowerCase().indexOf(filterValue.toLowerCase()) !== -1;
+               }
+               else
+               {
+                  match = itemValue === filterValue;
+               }
+               return match;
+            });
+         });
+      },
+
+      /**
+       * Returns the properties that the local data should be sorted on. By default this will only include
+       * the [localDataGroupBy]{@link module:alfresco/lists/AlfList#localDataGroupBy} property (if configured)
+       * but extending modules can add additional properties.
+       *
+       * @instance
+       * @param {object} payload The payload that would have been published to load the data
+       * @returns {object[]} An ordered array of objects with a "property" and an "ascending" attribute
+       * @since 1.0.106
+       */
+      getLocalDataSortKeys: function alfresco_lists_AlfList__getLocalDataSortKeys(/*jshint unused:false*/ payload) {
+         var sortKeys = [];
+         if (this.localDataGroupBy)
+         {
+            sortKeys.push({
+               property: this.localDataGroupBy,
+               ascending: this.localDataGroupAscending
+            });
+         }
+         return sortKeys;
+      },
+
+      /**
+       * Sorts the supplied items by the [sort keys]{@link module:alfresco/lists/AlfList#getLocalDataSortKeys}.
+       * The sort is stable so items with equal values retain their original order.
+       *
+       * @instance
+       * @param {object[]} items The items to sort
+       * @param {object} payload The payload that would have been published to load the data
+       * @returns {object[]} A new array of the sorted items
+       * @since 1.0.106
+       */
+      sortLocalData: function alfresco_lists_AlfList__sortLocalData(items, payload) {
+         var sortKeys = this.getLocalDataSortKeys(payload);
+         var indexedItems = array.map(items, function(item, index) {
+            return {
+               item: item,
+               index: index
+            };
+         });
+         indexedItems.sort(lang.hitch(this, function(a, b) {
+            var result = 0;
+            array.some(sortKeys, function(sortKey) {
+               result = this.compareLocalDataValues(lang.getObject(sortKey.property, false, a.item),
+                                                    lang.getObject(sortKey.property, false, b.item));
+               if (sortKey.ascending === false || sortKey.ascending === "false")
+               {
+                  result = -result;
+               }
+               return result !== 0;
+            }, this);
+            return result || a.index - b.index;
+         }));
+         return array.map(indexedItems, function(indexedItem) {
+            return indexedItem.item;
+         });
+      },
+
+      /**
+       * Compares two item property values for sorting. Missing values are sorted before all other values,
+       * numbers and booleans are compared numerically and all other values are compared as strings ignoring
+       * case.
+       *
+       * @instance
+       * @param {*} a The first value
+       * @param {*} b The second value
+       * @returns {number} A negative number if a comes first, a positive number if b comes first and 0 if they are equal
+       * @since 1.0.106
+       */
+      compareLocalDataValues: function alfresco_lists_AlfList__compareLocalDataValues(a, b) {
+         var result;
+         var aMissing = a === null || typeof a === "undefined",
+             bMissing = b === null || typeof b === "undefined";
+         if (aMissing || bMissing)
+         {
+            result = (aMissing ? 0 : 1) - (bMissing ? 0 : 1);
+         }
+         else if ((typeof a === "number" || typeof a === "boolean") && (typeof b === "number" || typeof b === "boolean"))
+         {
+            result = Number(a) - Number(b);
+         }
+         else
+         {
+            result = a.toString().toLowerCase().localeCompare(b.toString().toLowerCase());
+         }
+         return result;
+      },
+
+      /**
+       * This is an extension point for extending modules to use to reduce the supplied response to a single
+       * page of items. By default it does nothing to the supplied response.
+       *
+       * @instance
+       * @param {object} response The response to update
+       * @param {object[]} response.items All of the filtered and sorted items
+       * @param {number} response.totalRecords The total number of filtered items
+       * @param {number} response.startIndex The index of the first item
+       * @param {object} payload The payload that would have been published to load the data
+       * @since 1.0.106
+       */
+      paginateLocalData: function alfresco_lists_AlfList__paginateLocalData(response, payload) {
+         // jshint unused:false
+         // Does nothing by default.
+      },
+
+      /**
+       * Creates the details of the groups of the supplied (sorted) items for the
+       * [localDataGroupBy]{@link module:alfresco/lists/AlfList#localDataGroupBy} property.
+       *
+       * @instance
+       * @param {object[]} items The sorted items to group
+       * @returns {object[]} An array of objects with the "value" of each group and the "count" of items in it
+       * @since 1.0.106
+       */
+      groupLocalData: function alfresco_lists_AlfList__groupLocalData(items) {
+         var groups = [];
+         array.forEach(items, function(item) {
+            var value = lang.getObject(this.localDataGroupBy, false, item);
+            var group = groups[groups.length - 1];
+            if (group && this.compareLocalDataValues(group.value, value) === 0)
+            {
+               group.count++;
+            }
+            else
+            {
+               groups.push({
+                  value: value,
+                  count: 1
+               });
+            }
+         }, this);
+         return groups;
+      },
+
       /**
        * Handles successful calls to get data from the repository.
        *
@@ -1561,7 +1952,8 @@ define(["dojo/_base/declare",
 
       /**
        * Publishes the details of the documents that have been loaded (primarily for multi-selection purposes)
-       * and stores any requested starting index and total records data.
+       * and stores any requested starting index and total records data (or the next and previous cursors when
+       * [useCursorPagination]{@link module:alfresco/lists/AlfList#useCursorPagination} is configured to be true).
        *
        * @instance
        * @param {object} response The original response.
@@ -1589,11 +1981,51 @@ define(["dojo/_base/declare",
          this.currentData.totalRecords = this.totalRecords;
          this.currentData.startIndex = this.startIndex;
 
-         this.alfPublish(this.documentsLoadedTopic, {
+         var loadedPayload = {
             documents: this.currentData.items,
             totalRecords: this.totalRecords,
             startIndex: this.startIndex
-         });
+         };
+         if (this.useCursorPagination)
+         {
+            this.processLoadedCursors(response);
+            loadedPayload.useCursorPagination = true;
+            loadedPayload.currentCursor = this.currentCursor;
+            loadedPayload.nextCursor = this.nextCursor;
+            loadedPayload.previousCursor = this.previousCursor;
+         }
+         this.alfPublish(this.documentsLoadedTopic, loadedPayload);
+      },
+
+      /**
+       * Stores the cursors for the next and previous pages of data from the supplied response when
+       * [useCursorPagination]{@link module:alfresco/lists/AlfList#useCursorPagination} is configured to be
+       * true. Responses that do not provide a cursor are treated as having no page in that direction.
+       *
+       * @instance
+       * @param {object} response The original response.
+       * @since 1.0.106
+       */
+      processLoadedCursors: function alfresco_lists_AlfList__processLoadedCursors(response) {
+         this.nextCursor = (response && lang.getObject(this.nextCursorProperty, false, response)) || null;
+         this.previousCursor = (response && lang.getObject(this.previousCursorProperty, false, response)) || null;
+         this.currentData.nextCursor = this.nextCursor;
+         this.currentData.previousCursor = this.previousCursor;
+      },
+
+      /**
+       * Clears all of the cursors so that the first page of data will be loaded next time data is requested
+       * when [useCursorPagination]{@link module:alfresco/lists/AlfList#useCursorPagination} is configured to
+       * be true. This should be called whenever the data to be loaded changes (e.g. when filters are updated)
+       * because the cursors will only be valid for the original data.
+       *
+       * @instance
+       * @since 1.0.106
+       */
+      resetCursor: function alfresco_lists_AlfList__resetCursor() {
+         this.currentCursor = null;
+         this.nextCursor = null;
+         this.previousCursor = null;
       },
 
       /**
@@ -28,7 +28,10 @@
  *  <p>It is important to understand that this widget does not perform
  * any client-side sorting or pagination, it simply controls the payloads published to services -
  * successful pagination and sorting are determined by the ability of the service and the
- * REST API ultimately called to support it.</p>
+ * REST API ultimately called to support it. The only exception to this is when
+ * [useLocalData]{@link module:alfresco/lists/AlfList#useLocalData} is configured to be true, in which
+ * case the items provided in the [currentData]{@link module:alfresco/lists/AlfList#currentData} will be
+ * sorted and paginated by the list itself.</p>
  *
  * <p>It is possible to specify the 
  * [pageSizePreferenceName]{@link module:alfresco/lists/AlfSortablePaginatedList#pageSizePreferenceName}
@@ -55,6 +58,25 @@
  * widgets (such as menus or buttons) publishing on the
  * [sortRequestTopic]{@link module:alfresco/lists/AlfSortablePaginatedList#sortRequestTopic} topic.</p>
  *
+ * <p>Lists can also be sorted on more than one field. The initial sort chain can be configured as
+ * [sortFields]{@link module:alfresco/lists/AlfSortablePaginatedList#sortFields} and further fields can be
+ * added to the chain by sort requests that include a "multiSort" attribute of true (such as those published
+ * when shift-clicking on a [HeaderCell]{@link module:alfresco/lists/views/layouts/HeaderCell} configured to
+ * support multiple sort fields) or by a [SortFieldSelect]{@link module:alfresco/lists/SortFieldSelect} configured
+ * to allow more than one field to be selected. The complete sort chain is included as a "sortFields" attribute
+ * in the payload published to load data (the "sortField" and "sortAscending" attributes always represent the
+ * primary sort field) and is stored in the URL hash when [useHash]{@link module:alfresco/lists/AlfHashList#useHash}
+ * is configured to be true.</p>
+ *
+ * <p>When the REST API being used returns opaque cursors for the next and previous pages rather than a start
+ * index and total number of results then [useCursorPagination]{@link module:alfresco/lists/AlfList#useCursorPagination}
+ * should be configured to be true. The cursor of the page to load is included as a "cursor" attribute in the
+ * payload published to load data (in place of the "page" attribute) and the
+ * [Paginator]{@link module:alfresco/lists/Paginator} should also be configured to use cursor pagination so that
+ * it only renders controls for moving to the previous and next pages. Infinite scrolling will request the next
+ * cursor until a response is received that does not provide one. The cursors are reset whenever the sort order
+ * or filters change.</p>
+ *
  * @example <caption>AlfSortablePaginatedList with associated sort and pagination widgets</caption>
  * {
  *   name: "alfresco/lists/Paginator",
@@ -90,6 +112,35 @@
  *   }
  * }
  *
+ * @example <caption>AlfSortablePaginatedList using cursor pagination</caption>
+ * {
+ *   name: "alfresco/lists/Paginator",
+ *   config: {
+ *     useCursorPagination: true
+ *   }
+ * },
+ * {
+ *   name: "alfresco/lists/AlfSortablePaginatedList",
+ *   config: {
+ *     loadDataPublishTopic: "ALF_CRUD_GET_ALL",
+ *     loadDataPublishPayload: {
+ *       url: "api/people"
+ *     },
+ *     itemsProperty: "list.entries",
+ *     nextCursorProperty: "list.pagination.nextCursor",
+ *     previousCursorProperty: "list.pagination.previousCursor",
+ *     useCursorPagination: true,
+ *     widgets: [
+ *       {
+ *         name: "alfresco/lists/views/HtmlListView",
+ *         config: {
+ *           propertyToRender: "entry.id"
+ *         }
+ *       }
+ *     ]
+ *   }
+ * }
+ *
  * @module alfresco/lists/AlfSortablePaginatedList
  * @extends module:alfresco/lists/AlfHashList
  * @mixes module:alfresco/services/_PreferenceServiceTopicMixin
@@ -100,9 +151,11 @@ define(["dojo/_base/declare",
         "alfresco/services/_PreferenceServiceTopicMixin",
         "alfresco/core/topics",
         "dojo/_base/lang",
+        "dojo/_base/array",
         "alfresco/util/hashUtils",
+        "alfresco/util/sortUtils",
         "dojo/io-query"],
-        function(declare, AlfHashList, _PreferenceServiceTopicMixin, topics, lang, hashUtils, ioQuery) {
+        function(declare, AlfHashList, _PreferenceServiceTopicMixin, topics, lang, array, hashUtils, sortUtils, ioQuery) {
 
    return declare([AlfHashList, _PreferenceServiceTopicMixin], {
 
@@ -185,6 +238,27 @@ define(["dojo/_base/declare",
        * @since 1.0.73
        */
       sortFieldLabel: "",
+
+      /**
+       * The chain of fields to sort on. Each element should have a "field" and an "ascending" attribute. The
+       * first element in the chain is the primary sort field and will be used to set the
+       * [sortField]{@link module:alfresco/lists/AlfSortablePaginatedList#sortField} and
+       * [sortAscending]{@link module:alfresco/lists/AlfSortablePaginatedList#sortAscending} attributes. If
+       * the [sortField]{@link module:alfresco/lists/AlfSortablePaginatedList#sortField} is changed to a different
+       * field by a single field sort request then the chain is discarded.
+       *
+       * @example <caption>Sorting by site and then by descending modification date</caption>
+       * sortFields: [
+       *   { field: "site", ascending: true },
+       *   { field: "cm:modified", ascending: false }
+       * ]
+       *
+       * @instance
+       * @type {object[]}
+       * @default
+       * @since 1.0.106
+       */
+      sortFields: null,
       
       /**
        * @event sortRequestTopic
@@ -213,6 +287,7 @@ define(["dojo/_base/declare",
                direction: (this.sortAscending) ? "ascending" : "descending",
                value: this.sortField,
                label: this.sortFieldLabel,
+               sortFields: this.getSortFields(),
                requester: this
             });
          }
@@ -232,7 +307,12 @@ define(["dojo/_base/declare",
             // If using the browser URL hash, then we want to update the currentPage, currentPageSize
             // sortField, sortAscending as these are the core parameters relating to sorting and pagination
             // and they should be handled irrespective of any other hashVarsForUpdate parameters requested
-            this._coreHashVars = ["currentPage","currentPageSize","sortField","sortAscending"];
+            this._coreHashVars = ["currentPage","currentPageSize","sortField","sortAscending","sortFields"];
+         }
+
+         if (this.sortFields && this.sortFields.length)
+         {
+            this.setSortFields(this.sortFields);
          }
 
          this.alfServicePublish(this.getPreferenceTopic, {
@@ -315,6 +395,110 @@ define(["dojo/_base/declare",
          if (hashParameters.sortAscending) {
             this.sortAscending = hashParameters.sortAscending;
          }
+         if (hashParameters.sortFields) {
+            this.setSortFields(sortUtils.parseSortFields(hashParameters.sortFields));
+         }
+         else
+         {
+            this.sortFields = null;
+         }
+      },
+
+      /**
+       * Gets the current chain of sort fields. The first element always represents the current
+       * [sortField]{@link module:alfresco/lists/AlfSortablePaginatedList#sortField} and
+       * [sortAscending]{@link module:alfresco/lists/AlfSortablePaginatedList#sortAscending} values.
+       *
+       * @instance
+       * @returns {object[]} The sort chain
+       * @since 1.0.106
+       */
+      getSortFields: function alfresco_lists_AlfSortablePaginatedList__getSortFields() {
+         var sortFields = [{
+            field: this.sortField,
+            ascending: this.sortAscending === true || this.sortAscending === "true"
+         }];
+         if (this.sortFields && this.sortFields.length && this.sortFields[0].field === this.sortField)
+         {
+            array.forEach(this.sortFields.slice(1), function(sortField) {
+               if (sortUtils.indexOfSortField(sortFields, sortField.field) === -1)
+               {
+                  sortFields.push({
+                     field: sortField.field,
+                     ascending: sortField.ascending !== false && sortField.ascending !== "false"
+                  });
+               }
+            });
+         }
+         return sortFields;
+      },
+
+      /**
+       * Sets the chain of sort fields and updates the primary sort field and direction to match.
+       *
+       * @instance
+       * @param {object[]} sortFields The sort chain
+       * @since 1.0.106
+       */
+      setSortFields: function alfresco_lists_AlfSortablePaginatedList__setSortFields(sortFields) {
+         this.sortFields = lang.clone(sortFields);
+         if (this.sortFields.length)
+         {
+            this.sortField = this.sortFields[0].field;
+            this.sortAscending = this.sortFields[0].ascending !== false && this.sortFields[0].ascending !== "false";
+         }
+      },
+
+      /**
+       * Adds a field to the current sort chain (or changes its direction if it is already in the chain).
+       *
+       * @instance
+       * @param {string} field The field to add
+       * @param {string} [direction] The direction to sort the field in (either "ascending" or "descending")
+       * @since 1.0.106
+       */
+      addSortField: function alfresco_lists_AlfSortablePaginatedList__addSortField(field, direction) {
+         var sortFields = this.getSortFields();
+         var index = sortUtils.indexOfSortField(sortFields, field);
+         if (index === -1)
+         {
+            sortFields.push({
+               field: field,
+               ascending: direction !== "descending"
+            });
+         }
+         else if (direction)
+         {
+            sortFields[index].ascending = direction === "ascending";
+         }
+         this.setSortFields(sortFields);
+      },
+
+      /**
+       * Updates the supplied hash object with the current sort data.
+       *
+       * @instance
+       * @param {object} currHash The hash object to update
+       * @since 1.0.106
+       */
+      updateSortHash: function alfresco_lists_AlfSortablePaginatedList__updateSortHash(currHash) {
+         if (this.sortField !== null)
+         {
+            currHash.sortField = this.sortField;
+         }
+         if (this.sortAscending !== null)
+         {
+            currHash.sortAscending = this.sortAscending;
+         }
+         var sortFields = this.getSortFields();
+         if (sortFields.length > 1)
+         {
+            currHash.sortFields = sortUtils.serialiseSortFields(sortFields);
+         }
+         else
+         {
+            delete currHash.sortFields;
+         }
       },
 
       /**
@@ -326,18 +510,27 @@ define(["dojo/_base/declare",
          this.alfLog("log", "Sort requested: ", payload);
          if (payload && payload.requester !== this && (payload.direction !== null || payload.value !== null))
          {
-            if (payload.direction)
+            if (payload.multiSort && payload.value)
             {
-               this.sortAscending = payload.direction === "ascending";
+               this.addSortField(payload.value, payload.direction);
             }
-            if (payload.value)
+            else
             {
-               this.sortField = payload.value;
+               if (payload.direction)
+               {
+                  this.sortAscending = payload.direction === "ascending";
+               }
+               if (payload.value)
+               {
+                  this.sortField = payload.value;
+                  this.sortFields = null;
+               }
             }
             if (payload.label)
             {
                this.sortFieldLabel = payload.label;
             }
+            this.resetCursor();
             if (this._readyToLoad === true)
             {
                if (this.useInfiniteScroll)
@@ -347,14 +540,7 @@ define(["dojo/_base/declare",
                if (this.useHash === true)
                {
                   var currHash = hashUtils.getHash();
-                  if (this.sortField !== null)
-                  {
-                     currHash.sortField = this.sortField;
-                  }
-                  if (this.sortAscending !== null)
-                  {
-                     currHash.sortAscending = this.sortAscending;
-                  }
+                  this.updateSortHash(currHash);
                   this.alfPublish("ALF_NAVIGATE_TO_PAGE", {
                      url: ioQuery.objectToQuery(currHash),
                      type: "HASH"
@@ -376,11 +562,20 @@ define(["dojo/_base/declare",
          this.alfLog("log", "Sort field selected: ", payload);
          if (payload && payload.value !== null)
          {
-            this.sortField = payload.value;
-            if (payload.direction)
+            if (payload.sortFields && payload.sortFields.length)
             {
-               this.sortAscending = payload.direction === "ascending";
+               this.setSortFields(payload.sortFields);
             }
+            else
+            {
+               this.sortField = payload.value;
+               this.sortFields = null;
+               if (payload.direction)
+               {
+                  this.sortAscending = payload.direction === "ascending";
+               }
+            }
+            this.resetCursor();
             if (this._readyToLoad === true)
             {
                if (this.useInfiniteScroll)
@@ -390,14 +585,7 @@ define(["dojo/_base/declare",
                if (this.useHash === true)
                {
                   var currHash = hashUtils.getHash();
-                  if (this.sortField !== null)
-                  {
-                     currHash.sortField = this.sortField;
-                  }
-                  if (this.sortAscending !== null)
-                  {
-                     currHash.sortAscending = this.sortAscending;
-                  }
+                  this.updateSortHash(currHash);
                   this.alfPublish("ALF_NAVIGATE_TO_PAGE", {
                      url: ioQuery.objectToQuery(currHash),
                      type: "HASH"
@@ -412,11 +600,23 @@ define(["dojo/_base/declare",
       },
 
       /**
+       * Handles requests to change the page of data shown. When
+       * [useCursorPagination]{@link module:alfresco/lists/AlfList#useCursorPagination} is configured to be
+       * true the payload is expected to provide the "cursor" of the page to load rather than a page number.
+       *
        * @instance
        * @param {object} payload The details of the new page number
        */
       onPageChange: function alfresco_lists_AlfSortablePaginatedList__onPageChange(payload) {
-         if (payload && payload.value !== null && payload.value !== this.currentPage)
+         if (this.useCursorPagination)
+         {
+            if (payload && payload.cursor && payload.cursor !== this.currentCursor && this._readyToLoad === true)
+            {
+               this.currentCursor = payload.cursor;
+               this.loadData();
+            }
+         }
+         else if (payload && payload.value !== null && payload.value !== this.currentPage)
          {
             if (this._readyToLoad === true) 
             {
@@ -464,7 +664,7 @@ define(["dojo/_base/declare",
                // Need to check that there is enough data available for the current page!!! e.g. if we're on page 3 and requesting page 3 will not return any results
                // Is the total number of records less than the requested docs per page multiplied by 1 less than the current page...
                // var totalRecords = lang.getObject("currentData.totalRecords", false, this);
-               if (this.totalRecords !== null)
+               if (this.totalRecords !== null && !this.useCursorPagination)
                {
                   // Figure out which page to show...
                   // e.g. form 25 per page to 100 per page = 25/100 = 0.25
@@ -529,18 +729,33 @@ define(["dojo/_base/declare",
       onReloadData: function alfresco_lists_AlfSortablePaginatedList__onReloadData() {
          if (this.useInfiniteScroll) {
             this.currentPage = 1;
+            this.resetCursor();
          }
          this.inherited(arguments);
       },
 
       /**
        * Overrides the [inherited function]{@link module:alfresco/lists/AlfList#onScrollNearBottom} to request
-       * more data when the user scrolls to the bottom of the browser page.
+       * more data when the user scrolls to the bottom of the browser page. When
+       * [useCursorPagination]{@link module:alfresco/lists/AlfList#useCursorPagination} is configured to be
+       * true the next cursor is requested for as long as the last response provided one. The cursor is
+       * always taken from the last response loaded by this list so that other lists on the page paging
+       * with their own cursors do not affect it.
        *
        * @instance
        * @param payload
        */
       onScrollNearBottom: function alfresco_lists_AlfSortablePaginatedList__onScrollNearBottom(/*jshint unused:false*/payload) {
+         if (this.useCursorPagination)
+         {
+            if (!this.requestInProgress && this.useInfiniteScroll && this.nextCursor)
+            {
+               this.currentCursor = this.nextCursor;
+               this.loadData();
+            }
+            return;
+         }
+
          // Process Infinite Scroll, if enabled & if we've not hit the end of the results
          // NOTE: The use of the currentData.totalRecords and currentData.numberFound is only retained to support
          //       AlfSearchList and faceted search in Share - generic infinite scroll should be done via the
@@ -567,7 +782,13 @@ define(["dojo/_base/declare",
          this.inherited(arguments);
          payload.sortAscending = (this.sortAscending === "true" || this.sortAscending === true);
          payload.sortField = this.sortField;
-         if (this.usePagination || this.useInfiniteScroll)
+         payload.sortFields = this.getSortFields();
+         if (this.useCursorPagination)
+         {
+            payload.cursor = this.currentCursor;
+            payload.pageSize = this.currentPageSize;
+         }
+         else if (this.usePagination || this.useInfiniteScroll)
          {
             payload.page = this.currentPage;
             payload.pageSize = this.currentPageSize;
@@ -579,6 +800,105 @@ define(["dojo/_base/declare",
          });
       },
 
+      /**
+       * Overrides the [inherited function]{@link module:alfresco/lists/ListExportMixin#updateExportDataPayload}
+       * to request the page (or cursor) of data being exported using the
+       * [exportPageSize]{@link module:alfresco/lists/ListExportMixin#exportPageSize}.
+       *
+       * @instance
+       * @param {object} payload The payload to update
+       * @param {object} state The state of the export
+       * @since 1.0.106
+       */
+      updateExportDataPayload: function alfresco_lists_AlfSortablePaginatedList__updateExportDataPayload(payload, state) {
+         if (this.useCursorPagination)
+         {
+            payload.cursor = state.cursor;
+            payload.pageSize = this.exportPageSize;
+         }
+         else if (this.usePagination || this.useInfiniteScroll)
+         {
+            payload.page = state.page;
+            payload.pageSize = this.exportPageSize;
+         }
+      },
+
+      /**
+       * Overrides the [inherited function]{@link module:alfresco/lists/ListExportMixin#hasMoreExportData}
+       * to indicate whether or not there are further pages of data to export. The
+       * [nextCursorProperty]{@link module:alfresco/lists/AlfList#nextCursorProperty} is used when
+       * [useCursorPagination]{@link module:alfresco/lists/AlfList#useCursorPagination} is configured to be
+       * true, otherwise the [totalResultsProperty]{@link module:alfresco/lists/AlfList#totalResultsProperty}
+       * is used (and when no total is provided further pages are requested for as long as full pages are returned).
+       *
+       * @instance
+       * @param {object} response The response to the last request
+       * @param {object} state The state of the export
+       * @param {object[]} items The items in the last response
+       * @returns {boolean} Whether or not another page of data should be requested
+       * @since 1.0.106
+       */
+      hasMoreExportData: function alfresco_lists_AlfSortablePaginatedList__hasMoreExportData(response, state, items) {
+         var hasMore = false;
+         if (this.useCursorPagination)
+         {
+            state.cursor = lang.getObject(this.nextCursorProperty, false, response) || null;
+            hasMore = !!state.cursor;
+         }
+         else if (this.usePagination || this.useInfiniteScroll)
+         {
+            var total = lang.getObject(this.totalResultsProperty, false, response);
+            hasMore = (typeof total === "number") ? state.items.length < total : items.length >= this.exportPageSize;
+         }
+         return hasMore;
+      },
+
+      /**
+       * Extends the [inherited function]{@link module:alfresco/lists/AlfList#getLocalDataSortKeys} to
+       * sort local data by the current [sort fields]{@link module:alfresco/lists/AlfSortablePaginatedList#getSortFields}.
+       *
+       * @instance
+       * @param {object} payload The payload that would have been published to load the data
+       * @returns {object[]} An ordered array of objects with a "property" and an "ascending" attribute
+       * @since 1.0.106
+       */
+      getLocalDataSortKeys: function alfresco_lists_AlfSortablePaginatedList__getLocalDataSortKeys(payload) {
+         var sortKeys = this.inherited(arguments);
+         array.forEach(payload.sortFields || [], function(sortField) {
+            if (sortField.field)
+            {
+               sortKeys.push({
+                  property: sortField.field,
+                  ascending: sortField.ascending
+               });
+            }
+         });
+         return sortKeys;
+      },
+
+      /**
+       * Overrides the [inherited function]{@link module:alfresco/lists/AlfList#paginateLocalData} to
+       * reduce local data to the current page of items.
+       *
+       * @instance
+       * @param {object} response The response to update
+       * @param {object} payload The payload that would have been published to load the data
+       * @since 1.0.106
+       */
+      paginateLocalData: function alfresco_lists_AlfSortablePaginatedList__paginateLocalData(response, payload) {
+         if (payload.page && payload.pageSize)
+         {
+            var lastPage = Math.max(Math.ceil(response.totalRecords / payload.pageSize), 1);
+            if (payload.page > lastPage)
+            {
+               this.currentPage = lastPage;
+               payload.page = lastPage;
+            }
+            response.startIndex = (payload.page - 1) * payload.pageSize;
+            response.items = response.items.slice(response.startIndex, response.startIndex + payload.pageSize);
+         }
+      },
+
       /**
        * Reset the pagination data.
        *
@@ -589,6 +909,7 @@ define(["dojo/_base/declare",
          // This intentionally doesn't trigger an onPageChange event (we don't want to cause a data reload event).
          this.alfLog("info", "Resetting currentPage to 1");
          this.currentPage = 1;
+         this.resetCursor();
       }
    });
 });
\ No newline at end of file
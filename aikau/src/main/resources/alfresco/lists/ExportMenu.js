@@ -0,0 +1,174 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * A specialization of the [AlfMenuBarPopup]{@link module:alfresco/menus/AlfMenuBarPopup} that provides
+ * menu items for exporting the data of an [AlfList]{@link module:alfresco/lists/AlfList} (which mixes in the
+ * [ListExportMixin]{@link module:alfresco/lists/ListExportMixin}). A group of menu items is rendered for
+ * exporting the current page and a group for exporting all pages, with an item for each of the configured
+ * [formats]{@link module:alfresco/lists/ExportMenu#formats}. The widget should be placed within a
+ * [menu bar]{@link module:alfresco/menus/AlfMenuBar} that shares the pubSubScope of the list.
+ *
+ * @example <caption>Example configuration exporting only CSV and XLSX files</caption>
+ * {
+ *   name: "alfresco/menus/AlfMenuBar",
+ *   config: {
+ *     widgets: [
+ *       {
+ *         name: "alfresco/lists/ExportMenu",
+ *         config: {
+ *           formats: ["CSV", "XLSX"],
+ *           fileName: "users"
+ *         }
+ *       }
+ *     ]
+ *   }
+ * }
+ *
+ * @module alfresco/lists/ExportMenu
+ * @extends module:alfresco/menus/AlfMenuBarPopup
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["dojo/_base/declare",
+        "alfresco/menus/AlfMenuBarPopup",
+        "alfresco/core/topics",
+        "dojo/_base/array",
+        "alfresco/menus/AlfMenuGroup",
+        "alfresco/menus/AlfMenuItem"], 
+        function(declare, AlfMenuBarPopup, topics, array) {
+
+   return declare([AlfMenuBarPopup], {
+
+      /**
+       * An array of the i18n files to use with this widget.
+       * 
+       * @instance
+       * @type {object[]}
+       * @default [{i18nFile: "./i18n/ExportMenu.properties"}]
+       */
+      i18nRequirements: [{i18nFile: "./i18n/ExportMenu.properties"}],
+
+      /**
+       * The name (without an extension) to give the exported files. If this is not configured then
+       * the [default of the list]{@link module:alfresco/lists/ListExportMixin#exportFileName} is used.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       */
+      fileName: null,
+
+      /**
+       * The formats to provide menu items for. The supported formats are "CSV", "JSON" and "XLSX".
+       *
+       * @instance
+       * @type {string[]}
+       * @default ["CSV", "JSON", "XLSX"]
+       */
+      formats: null,
+
+      /**
+       * Overrides the [inherited default]{@link module:alfresco/menus/AlfMenuBarPopup#label}.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       */
+      label: "export-menu.label",
+
+      /**
+       * Indicates whether or not to include the group of menu items for exporting all pages of data.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       */
+      showAllPages: true,
+
+      /**
+       * Indicates whether or not to include the group of menu items for exporting the current page of data.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       */
+      showCurrentPage: true,
+
+      /**
+       * Extends the [inherited function]{@link module:alfresco/menus/AlfMenuBarPopup#postMixInProperties}
+       * to create the export menu groups.
+       * 
+       * @instance
+       */
+      postMixInProperties: function alfresco_lists_ExportMenu__postMixInProperties() {
+         if (!this.formats)
+         {
+            this.formats = ["CSV", "JSON", "XLSX"];
+         }
+
+         this.widgets = [];
+         if (this.showCurrentPage)
+         {
+            this.widgets.push(this.createExportGroup("export-menu.currentPage.label", false));
+         }
+         if (this.showAllPages)
+         {
+            this.widgets.push(this.createExportGroup("export-menu.allPages.label", true));
+         }
+         this.inherited(arguments);
+      },
+
+      /**
+       * Creates a menu group containing a menu item for each of the [formats]{@link module:alfresco/lists/ExportMenu#formats}.
+       *
+       * @instance
+       * @param {string} label The label for the group
+       * @param {boolean} allPages Indicates whether or not the menu items should export all pages
+       * @returns {object} The group widget model
+       * @fires module:alfresco/core/topics#EXPORT_LIST_DATA
+       */
+      createExportGroup: function alfresco_lists_ExportMenu__createExportGroup(label, allPages) {
+         var menuItems = array.map(this.formats, function(format) {
+            format = format.toUpperCase();
+            return {
+               id: this.id ? this.id + "_" + (allPages ? "ALL_PAGES" : "CURRENT_PAGE") + "_" + format : null,
+               name: "alfresco/menus/AlfMenuItem",
+               config: {
+                  label: this.message("export-menu.format." + format.toLowerCase() + ".label"),
+                  publishTopic: topics.EXPORT_LIST_DATA,
+                  publishPayload: {
+                     format: format,
+                     allPages: allPages,
+                     fileName: this.fileName
+                  }
+               }
+            };
+         }, this);
+
+         return {
+            name: "alfresco/menus/AlfMenuGroup",
+            config: {
+               label: this.message(label),
+               widgets: menuItems
+            }
+         };
+      }
+   });
+});
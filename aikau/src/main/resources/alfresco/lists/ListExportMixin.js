@@ -0,0 +1,371 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * <p>This module is mixed into the [AlfList]{@link module:alfresco/lists/AlfList} to allow the data that
+ * it displays to be exported as a CSV, JSON or XLSX file. An export is requested by publishing on the
+ * [EXPORT_LIST_DATA]{@link module:alfresco/core/topics#EXPORT_LIST_DATA} topic within the scope of the
+ * list (the [ExportMenu]{@link module:alfresco/lists/ExportMenu} widget can be used to provide the
+ * menu items that do this).</p>
+ * <p>The columns that are exported are those that are visible in the current view (as defined by the
+ * [getExportColumns]{@link module:alfresco/lists/views/AlfListView#getExportColumns} function) and the
+ * files are generated entirely on the client using the [exportUtils]{@link module:alfresco/util/exportUtils}.
+ * Either the current page of data can be exported or all of the pages can be requested again (via the
+ * [loadDataPublishTopic]{@link module:alfresco/lists/AlfList#loadDataPublishTopic}) so that every item
+ * is included in the exported file.</p>
+ *
+ * @module alfresco/lists/ListExportMixin
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["dojo/_base/declare",
+        "alfresco/core/Core",
+        "alfresco/core/topics",
+        "alfresco/util/exportUtils",
+        "dojo/Deferred",
+        "dojo/_base/array",
+        "dojo/_base/lang"],
+        function(declare, Core, topics, exportUtils, Deferred, array, lang) {
+
+   return declare([Core], {
+
+      /**
+       * The default name (without an extension) to give exported files when no name is provided in the
+       * export request.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       */
+      exportFileName: "export",
+
+      /**
+       * The number of items to request in each page of data when exporting all of the pages of a
+       * paginated list.
+       *
+       * @instance
+       * @type {number}
+       * @default
+       */
+      exportPageSize: 100,
+
+      /**
+       * The maximum number of items that will be included in an export of all pages. This prevents an
+       * unreasonable number of requests from being made for very large data sets.
+       *
+       * @instance
+       * @type {number}
+       * @default
+       */
+      maxExportItems: 10000,
+
+      /**
+       * Indicates whether or not an export is currently being processed. Further export requests are
+       * ignored until it has completed.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       */
+      _exportInProgress: false,
+
+      /**
+       * Creates the subscription for export requests. This should be called by the mixing module when
+       * it sets up its other subscriptions.
+       *
+       * @instance
+       * @listens module:alfresco/core/topics#EXPORT_LIST_DATA
+       */
+      setupExportSubscriptions: function alfresco_lists_ListExportMixin__setupExportSubscriptions() {
+         this.alfSubscribe(topics.EXPORT_LIST_DATA, lang.hitch(this, this.onExportRequest));
+      },
+
+      /**
+       * Handles requests to export the list data. The current page of items is exported immediately
+       * whilst all pages are exported once they have been retrieved by
+       * [loadAllExportItems]{@link module:alfresco/lists/ListExportMixin#loadAllExportItems}.
+       *
+       * @instance
+       * @param {object} payload The export request payload
+       * @param {string} [payload.format="CSV"] The format to export (either "CSV", "JSON" or "XLSX")
+       * @param {boolean} [payload.allPages=false] Indicates whether or not to export all pages of data
+       * @param {string} [payload.fileName] The name to give the exported file (without an extension)
+       */
+      onExportRequest: function alfresco_lists_ListExportMixin__onExportRequest(payload) {
+         if (this._exportInProgress)
+         {
+            this.alfLog("warn", "An export request was made whilst a previous export was still in progress", payload, this);
+            return;
+         }
+
+         var format = ((payload && payload.format) || "CSV").toUpperCase();
+         var fileName = (payload && payload.fileName) || this.exportFileName;
+         if (payload && payload.allPages)
+         {
+            this._exportInProgress = true;
+            this.loadAllExportItems().then(lang.hitch(this, function(items) {
+               this._exportInProgress = false;
+               this.exportItems(items, format, fileName);
+            }), lang.hitch(this, function() {
+               this._exportInProgress = false;
+               this.onExportFailure();
+            }));
+         }
+         else
+         {
+            this.exportItems(lang.getObject("currentData.items", false, this) || [], format, fileName);
+         }
+      },
+
+      /**
+       * Generates the export file for the supplied items and triggers its download.
+       *
+       * @instance
+       * @param {object[]} items The items to export
+       * @param {string} format The format to export the items in
+       * @param {string} fileName The name to give the file (without an extension)
+       * @fires module:alfresco/core/topics#LIST_DATA_EXPORTED
+       */
+      exportItems: function alfresco_lists_ListExportMixin__exportItems(items, format, fileName) {
+         var columns = this.getListExportColumns(items);
+         var file = exportUtils.createExportFile(format, columns, items);
+         if (file)
+         {
+            fileName = fileName + "." + file.extension;
+            exportUtils.downloadFile(file.content, file.mimeType, fileName);
+            this.alfPublish(topics.LIST_DATA_EXPORTED, {
+               format: format,
+               fileName: fileName,
+               columns: array.map(columns, function(column) {
+                  return column.label;
+               }),
+               itemCount: items.length
+            });
+         }
+         else
+         {
+            this.alfLog("warn", "An unsupported export format was requested", format, this);
+         }
+      },
+
+      /**
+       * Returns the columns to export. These are requested from the current view and if it provides
+       * none then a column is created for each simple property of the first item.
+       *
+       * @instance
+       * @param {object[]} items The items being exported
+       * @returns {object[]} The columns to export
+       */
+      getListExportColumns: function alfresco_lists_ListExportMixin__getListExportColumns(items) {
+         var columns = null;
+         var view = this.viewMap && this.viewMap[this._currentlySelectedView];
+         if (view && typeof view.getExportColumns === "function")
+         {
+            columns = view.getExportColumns();
+         }
+
+         if (!columns || !columns.length)
+         {
+            columns = [];
+            var firstItem = items && items[0];
+            if (firstItem && typeof firstItem === "object")
+            {
+               for (var key in firstItem)
+               {
+                  if (firstItem.hasOwnProperty(key) && (firstItem[key] === null || typeof firstItem[key] !== "object"))
+                  {
+                     columns.push({
+                        label: key,
+                        property: key
+                     });
+                  }
+               }
+            }
+         }
+         return columns;
+      },
+
+      /**
+       * Retrieves every item in the list (up to the [maxExportItems]{@link module:alfresco/lists/ListExportMixin#maxExportItems}).
+       * When [useLocalData]{@link module:alfresco/lists/AlfList#useLocalData} is configured to be true the
+       * local data is filtered and sorted without being paginated, otherwise the pages of data are requested
+       * in turn until [hasMoreExportData]{@link module:alfresco/lists/ListExportMixin#hasMoreExportData}
+       * returns false.
+       *
+       * @instance
+       * @returns {object} A promise of the items to export
+       */
+      loadAllExportItems: function alfresco_lists_ListExportMixin__loadAllExportItems() {
+         var deferred = new Deferred();
+         if (this.useLocalData)
+         {
+            var payload = {
+               dataFilters: this.dataFilters
+            };
+            this.updateLoadDataPayload(payload);
+            var items = this.filterLocalData(this._localData || lang.getObject("currentData.items", false, this) || [], payload.dataFilters);
+            deferred.resolve(this.sortLocalData(items, payload).slice(0, this.maxExportItems));
+         }
+         else
+         {
+            var responseTopic = "ALF_EXPORT_LIST_DATA_" + this.generateUuid();
+            var state = {
+               deferred: deferred,
+               items: [],
+               page: 1,
+               cursor: null,
+               responseTopic: responseTopic
+            };
+            state.handles = [
+               this.alfSubscribe(responseTopic + "_SUCCESS", lang.hitch(this, this.onExportDataLoaded, state), true),
+               this.alfSubscribe(responseTopic + "_FAILURE", lang.hitch(this, this.onExportDataFailed, state), true)
+            ];
+            this.requestExportData(state);
+         }
+         return deferred.promise;
+      },
+
+      /**
+       * Requests the next page of data to export. The payload is built in the same way as for loading
+       * the data for display but the response topics are unique to the export so that the displayed
+       * data is not affected.
+       *
+       * @instance
+       * @param {object} state The state of the export
+       */
+      requestExportData: function alfresco_lists_ListExportMixin__requestExportData(state) {
+         var payload = this.loadDataPublishPayload ? lang.clone(this.loadDataPublishPayload) : {};
+         payload.alfResponseTopic = state.responseTopic;
+         payload.alfSuccessTopic = state.responseTopic + "_SUCCESS";
+         payload.alfFailureTopic = state.responseTopic + "_FAILURE";
+         payload.alfResponseScope = "";
+         if (this.dataFilters)
+         {
+            payload.dataFilters = this.dataFilters;
+         }
+         this.updateLoadDataPayload(payload);
+         this.updateExportDataPayload(payload, state);
+         this.alfPublish(this.loadDataPublishTopic, payload, true);
+      },
+
+      /**
+       * This is an extension point for paginating lists to set the page of data to request in the
+       * supplied payload. By default it does nothing.
+       *
+       * @instance
+       * @param {object} payload The payload to update
+       * @param {object} state The state of the export
+       */
+      updateExportDataPayload: function alfresco_lists_ListExportMixin__updateExportDataPayload(payload, state) {
+         // jshint unused:false
+         // Does nothing by default.
+      },
+
+      /**
+       * This is an extension point for paginating lists to indicate whether or not there is more data
+       * to request after the supplied response. By default all data is expected in a single response.
+       *
+       * @instance
+       * @param {object} response The response to the last request
+       * @param {object} state The state of the export
+       * @param {object[]} items The items in the last response
+       * @returns {boolean} Whether or not another page of data should be requested
+       */
+      hasMoreExportData: function alfresco_lists_ListExportMixin__hasMoreExportData(response, state, items) {
+         // jshint unused:false
+         return false;
+      },
+
+      /**
+       * Finds the items in the supplied response payload using the
+       * [itemsProperty]{@link module:alfresco/lists/AlfList#itemsProperty} in the same way as
+       * [onDataLoadSuccess]{@link module:alfresco/lists/AlfList#onDataLoadSuccess}.
+       *
+       * @instance
+       * @param {object} payload The response payload
+       * @returns {object[]} The items (or null if none could be found)
+       */
+      getExportResponseItems: function alfresco_lists_ListExportMixin__getExportResponseItems(payload) {
+         var items;
+         if (!this.itemsProperty)
+         {
+            items = payload.response;
+         }
+         else
+         {
+            items = lang.getObject(this.itemsProperty, false, payload.response) || lang.getObject(this.itemsProperty, false, payload);
+         }
+         return lang.isArray(items) ? items : null;
+      },
+
+      /**
+       * Handles each page of data retrieved for the export, requesting the next page if required or
+       * resolving the export promise with all of the items retrieved.
+       *
+       * @instance
+       * @param {object} state The state of the export
+       * @param {object} payload The response payload
+       */
+      onExportDataLoaded: function alfresco_lists_ListExportMixin__onExportDataLoaded(state, payload) {
+         var items = this.getExportResponseItems(payload);
+         if (!items)
+         {
+            this.onExportDataFailed(state, payload);
+         }
+         else
+         {
+            state.items = state.items.concat(items);
+            if (items.length && state.items.length < this.maxExportItems && this.hasMoreExportData(payload.response, state, items))
+            {
+               state.page++;
+               this.requestExportData(state);
+            }
+            else
+            {
+               this.alfUnsubscribe(state.handles);
+               state.deferred.resolve(state.items.slice(0, this.maxExportItems));
+            }
+         }
+      },
+
+      /**
+       * Handles the failure to retrieve a page of data for the export.
+       *
+       * @instance
+       * @param {object} state The state of the export
+       * @param {object} payload The failure payload
+       */
+      onExportDataFailed: function alfresco_lists_ListExportMixin__onExportDataFailed(state, payload) {
+         this.alfUnsubscribe(state.handles);
+         state.deferred.reject(payload);
+      },
+
+      /**
+       * Displays a notification indicating that the export could not be completed.
+       *
+       * @instance
+       * @fires module:alfresco/core/topics#DISPLAY_NOTIFICATION
+       */
+      onExportFailure: function alfresco_lists_ListExportMixin__onExportFailure() {
+         this.alfPublish(topics.DISPLAY_NOTIFICATION, {
+            message: this.message("alflist.export.failure.message")
+         }, true);
+      }
+   });
+});
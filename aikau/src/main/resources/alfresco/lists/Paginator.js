@@ -30,6 +30,11 @@
  * in sync.</p>
  * <p>A [compact mode]{@link module:alfresco/lists/Paginator#compactMode} is provided that only rendered
  * the back and forward controls and omits the page size selection menu.</p>
+ * <p>When the list is configured to [use cursor pagination]{@link module:alfresco/lists/AlfList#useCursorPagination}
+ * then the paginator should also be configured to [use cursor pagination]{@link module:alfresco/lists/Paginator#useCursorPagination}.
+ * In this mode only the back and forward controls (and the page size selection menu when not in compact mode)
+ * are rendered because neither the current page number nor the total number of pages are known. The back and
+ * forward controls are enabled when the list has loaded a cursor for the previous or next page respectively.</p>
  * 
  * @example <caption>Basic configuration using default page sizes:</caption>
  * {
@@ -52,6 +57,14 @@
  *       "compactMode": true
  *    }
  * }
+ *
+ * @example <caption>Configuration for cursor pagination:</caption>
+ * {
+ *    "name": "alfresco/lists/Paginator",
+ *    "config": {
+ *       "useCursorPagination": true
+ *    }
+ * }
  * 
  * @module alfresco/lists/Paginator
  * @extends module:alfresco/menus/AlfMenuBar
@@ -179,6 +192,17 @@ define(["dojo/_base/declare",
        */
       loadDataPublishScope: "",
 
+      /**
+       * The cursor for the next page of data when
+       * [useCursorPagination]{@link module:alfresco/lists/Paginator#useCursorPagination} is configured to be true.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       * @since 1.0.106
+       */
+      nextCursor: null,
+
       /**
        * @instance
        * @type {string}
@@ -232,6 +256,17 @@ define(["dojo/_base/declare",
        */
       pageSizes: null,
 
+      /**
+       * The cursor for the previous page of data when
+       * [useCursorPagination]{@link module:alfresco/lists/Paginator#useCursorPagination} is configured to be true.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       * @since 1.0.106
+       */
+      previousCursor: null,
+
       /**
        * Indicates whether or not the page selector menu should be displayed.
        * 
@@ -278,6 +313,19 @@ define(["dojo/_base/declare",
        */
       totalResultsProperty: "totalRecords",
 
+      /**
+       * Indicates whether or not the list being controlled is
+       * [using cursor pagination]{@link module:alfresco/lists/AlfList#useCursorPagination}. When this is
+       * configured to be true the page marker and page selector are not rendered and the back and forward
+       * controls request the pages for the previous and next cursors provided with the loaded data.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       * @since 1.0.106
+       */
+      useCursorPagination: false,
+
       /**
        * Since this widget is an implementation of an [AlfMenuBar]{@link module:alfresco/menus/AlfMenuBar} it is 
        * perfectly reasonable to add additional menu widgets (such as [menu items]{@link module:alfresco/menus/AlfMenuBarItem}
@@ -367,7 +415,7 @@ define(["dojo/_base/declare",
             });
             
             // need to clear any page selector menu items
-            if (this.compactMode === false && this.showPageSelector)
+            if (this.compactMode === false && this.showPageSelector && !this.useCursorPagination)
             {
                 array.forEach(this.pageSelectorGroup.getChildren(), function(widget) {
                     this.pageSelectorGroup.removeChild(widget);
@@ -390,7 +438,13 @@ define(["dojo/_base/declare",
          
          // pageBack is only disabled in processLoadedDocuments so user could trigger it again during load
          // prevent passing first page
-         if (this.currentPage > 1)
+         if (this.useCursorPagination)
+         {
+            this.previousCursor && this.alfPublish(this.pageSelectionTopic, {
+               cursor: this.previousCursor
+            });
+         }
+         else if (this.currentPage > 1)
          {
              this.currentPage--;
              
@@ -419,7 +473,13 @@ define(["dojo/_base/declare",
          
          // pageForward is only disabled in processLoadedDocuments so user could trigger it again during load
          // prevent passing last page
-         if (this.currentPage !== this.totalPages)
+         if (this.useCursorPagination)
+         {
+            this.nextCursor && this.alfPublish(this.pageSelectionTopic, {
+               cursor: this.nextCursor
+            });
+         }
+         else if (this.currentPage !== this.totalPages)
          {
              this.currentPage++;
              
@@ -475,7 +535,7 @@ define(["dojo/_base/declare",
                domClass.add(this.pageSelector.domNode, "hidden");
             }
             domClass.add(this.pageBack.domNode, "hidden");
-            domClass.add(this.pageMarker.domNode, "hidden");
+            this.pageMarker && domClass.add(this.pageMarker.domNode, "hidden");
             domClass.add(this.pageForward.domNode, "hidden");
             if (this.resultsPerPageGroup)
             {
@@ -497,7 +557,11 @@ define(["dojo/_base/declare",
          var startIndex = lang.getObject(this.startIndexProperty, false, payload);
          var oldCurrentPage = this.currentPage;
          
-         if (payload && 
+         if (this.useCursorPagination)
+         {
+            this.processLoadedCursors(payload);
+         }
+         else if (payload && 
              (totalRecords || totalRecords === 0) && 
              (startIndex || startIndex === 0))
          {
@@ -584,6 +648,38 @@ define(["dojo/_base/declare",
          }
       },
       
+      /**
+       * This function is called instead of [processLoadedDocuments]{@link module:alfresco/lists/Paginator#processLoadedDocuments}
+       * when [useCursorPagination]{@link module:alfresco/lists/Paginator#useCursorPagination} is configured to be true.
+       * It stores the cursors for the previous and next pages and enables the back and forward controls accordingly.
+       * The controls are hidden when there is no data and no previous page to go back to.
+       *
+       * @instance
+       * @param {object} payload The data to use to update the widgets
+       * @since 1.0.106
+       */
+      processLoadedCursors: function alfresco_lists_Paginator__processLoadedCursors(payload) {
+         this.nextCursor = payload.nextCursor || null;
+         this.previousCursor = payload.previousCursor || null;
+
+         var documents = payload.documents || [];
+         if (!documents.length && !this.previousCursor)
+         {
+            this.hideControls();
+         }
+         else
+         {
+            domClass.remove(this.pageBack.domNode, "hidden");
+            domClass.remove(this.pageForward.domNode, "hidden");
+            if (this.resultsPerPageGroup)
+            {
+               domClass.remove(this.resultsPerPageGroup.domNode, "hidden");
+            }
+            this.pageBack.set("disabled", !this.previousCursor);
+            this.pageForward.set("disabled", !this.nextCursor);
+         }
+      },
+
       /**
        * This function is called to create a new [AlfCheckableMenuItem]{@link module:alfresco/menus/AlfCheckableMenuItem}
        * for each page size configured in the [pageSizes array]{@link module:alfresco/lists/Paginator#pageSizes}.
@@ -698,8 +794,14 @@ define(["dojo/_base/declare",
             });
          }
 
-         // Note showPageSelector is trumped by compactMode
-         if (this.compactMode === false && this.showPageSelector)
+         // There is no page number to show when paging by cursor...
+         if (this.useCursorPagination)
+         {
+            this.widgets.splice(1, 1);
+         }
+
+         // Note showPageSelector is trumped by compactMode (and by cursor pagination)
+         if (this.compactMode === false && this.showPageSelector && !this.useCursorPagination)
          {
             this.widgets.splice(0, 0, {
                name: "alfresco/menus/AlfMenuBarSelect",
@@ -735,7 +837,7 @@ define(["dojo/_base/declare",
          
          // This next line will work providing that the widgets attribute has been created as defined in the
          // postCreate function...
-         if (this.compactMode === false && this.showPageSelector)
+         if (this.compactMode === false && this.showPageSelector && !this.useCursorPagination)
          {
             this.pageSelector = registry.byId(this.id + "_PAGE_SELECTOR");
             var popupChildren = this.pageSelector.popup.getChildren();
@@ -754,7 +856,7 @@ define(["dojo/_base/declare",
          this.pageSelector && domClass.add(this.pageSelector.domNode, paginatorClass + "__page-selector");
          domClass.add(this.pageBack.domNode, paginatorClass + "__page-back");
          domClass.add(this.pageForward.domNode, paginatorClass + "__page-forward");
-         domClass.add(this.pageMarker.domNode, paginatorClass + "__page-marker");
+         this.pageMarker && domClass.add(this.pageMarker.domNode, paginatorClass + "__page-marker");
          if (this.compactMode === false) {
             domClass.add(this.resultsPerPageGroup.domNode, paginatorClass + "__results-per-page");
          }
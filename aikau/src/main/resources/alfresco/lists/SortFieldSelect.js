@@ -39,6 +39,26 @@
  *   }
  * }
  *
+ * @example <caption>Example allowing several sort fields to be selected (the list is sorted in the order of selection)</caption>
+ * {
+ *   name: "alfresco/lists/SortFieldSelect",
+ *   config: {
+ *     multiSort: true,
+ *     sortFieldOptions: [
+ *       { 
+ *         label: "Site", 
+ *         value: "site",
+ *         selected: true
+ *       },
+ *       {
+ *         label: "Modified", 
+ *         value: "modified",
+ *         direction: "descending"
+ *       }
+ *     ]
+ *   }
+ * }
+ *
  * @module alfresco/lists/SortFieldSelect
  * @extends module:alfresco/menus/AlfMenuBarSelect
  * @author Dave Draper
@@ -47,10 +67,11 @@
 define(["dojo/_base/declare",
         "alfresco/menus/AlfMenuBarSelect",
         "alfresco/core/topics",
+        "alfresco/util/sortUtils",
         "dojo/_base/array",
         "dojo/_base/lang",
         "alfresco/menus/AlfCheckableMenuItem"], 
-        function(declare, AlfMenuBarToggle, topics, array, lang) {
+        function(declare, AlfMenuBarToggle, topics, sortUtils, array, lang) {
 
    return declare([AlfMenuBarToggle], {
       
@@ -73,6 +94,40 @@ define(["dojo/_base/declare",
        */
       sortFieldOptions: null,
 
+      /**
+       * Indicates whether or not more than one sort field can be selected. When this is configured to be
+       * true the options can be toggled on and off independently and the list will be sorted on each of
+       * the selected fields in the order in which they were selected.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       * @since 1.0.106
+       */
+      multiSort: false,
+
+      /**
+       * The chain of currently selected sort fields when [multiSort]{@link module:alfresco/lists/SortFieldSelect#multiSort}
+       * is configured to be true.
+       *
+       * @instance
+       * @type {object[]}
+       * @default
+       * @since 1.0.106
+       */
+      _selectedSortFields: null,
+
+      /**
+       * The topic that the options publish on when they are toggled and
+       * [multiSort]{@link module:alfresco/lists/SortFieldSelect#multiSort} is configured to be true.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       * @since 1.0.106
+       */
+      _sortFieldToggleTopic: null,
+
       /**
        * Overrides the default [selectionTopic]{@link module:alfresco/menus/AlfMenuBarSelect#selectionTopic} 
        * attribute to be the expected sort topic.
@@ -100,8 +155,8 @@ define(["dojo/_base/declare",
                   config: {
                      label: label,
                      value: option.value,
-                     group: "ALF_SORT_FIELD_SELECTION_GROUP",
-                     publishTopic: this.selectionTopic,
+                     group: this.multiSort ? null : "ALF_SORT_FIELD_SELECTION_GROUP",
+                     publishTopic: this.multiSort ? this._sortFieldToggleTopic : this.selectionTopic,
                      checked: option.selected || false,
                      publishPayload: {
                         label: label,
@@ -110,25 +165,101 @@ define(["dojo/_base/declare",
                   }
                });
 
-               if (option.selected)
+               if (option.selected && this.multiSort)
+               {
+                  this._selectedSortFields.push({
+                     field: option.value,
+                     ascending: option.direction !== "descending",
+                     label: label
+                  });
+               }
+               else if (option.selected)
                {
                   this.label = option.label;
                }
             }
          }));
 
+         if (this.multiSort && this._selectedSortFields.length)
+         {
+            this.label = array.map(this._selectedSortFields, function(sortField) {
+               return sortField.label;
+            }).join(", ");
+         }
+
          return sortFieldOptions;
       },
 
+      /**
+       * Handles an option being toggled when [multiSort]{@link module:alfresco/lists/SortFieldSelect#multiSort}
+       * is configured to be true. Selected options are added to the end of the sort chain and deselected
+       * options are removed from it. The last remaining option cannot be deselected because the list must
+       * always be sorted on at least one field.
+       *
+       * @instance
+       * @param {object} payload The payload published by the option
+       * @fires module:alfresco/core/topics#UPDATE_LIST_SORT_FIELD
+       * @since 1.0.106
+       */
+      onSortFieldToggled: function alfresco_lists_SortFieldSelect__onSortFieldToggled(payload) {
+         var index = sortUtils.indexOfSortField(this._selectedSortFields, payload.value);
+         if (payload.selected && index === -1)
+         {
+            this._selectedSortFields.push({
+               field: payload.value,
+               ascending: payload.direction !== "descending",
+               label: payload.label
+            });
+         }
+         else if (!payload.selected && index !== -1 && this._selectedSortFields.length === 1)
+         {
+            this.alfPublish(this._sortFieldToggleTopic, {
+               value: payload.value,
+               selected: true
+            });
+            return;
+         }
+         else if (!payload.selected && index !== -1)
+         {
+            this._selectedSortFields.splice(index, 1);
+         }
+         else
+         {
+            return;
+         }
+
+         var primary = this._selectedSortFields[0];
+         this.alfPublish(this.selectionTopic, {
+            value: primary.field,
+            direction: primary.ascending ? "ascending" : "descending",
+            label: array.map(this._selectedSortFields, function(sortField) {
+               return sortField.label;
+            }).join(", "),
+            sortFields: array.map(this._selectedSortFields, function(sortField) {
+               return {
+                  field: sortField.field,
+                  ascending: sortField.ascending
+               };
+            })
+         });
+      },
+
       /**
        * Extends the [inherited function]{@link module:alfresco/menus/AlfMenuBarSelect#postCreate}
        * to call [getSortFieldOptions]{@link module:alfresco/lists/SortFieldSelect#getSortFieldOptions}
        * to generate the [AlfCheckableMenuItems]{@link module:alfresco/menus/AlfCheckableMenuItem}
-       * to populate the menu with.
+       * to populate the menu with. When [multiSort]{@link module:alfresco/lists/SortFieldSelect#multiSort}
+       * is configured to be true a subscription is created for the options being toggled.
        * 
        * @instance
        */
       postMixInProperties: function alfresco_lists_SortFieldSelect__postMixInProperties() {
+         if (this.multiSort)
+         {
+            this._selectedSortFields = [];
+            this._sortFieldToggleTopic = "ALF_SORT_FIELD_TOGGLED_" + this.generateUuid();
+            this.alfSubscribe(this._sortFieldToggleTopic, lang.hitch(this, this.onSortFieldToggled));
+         }
          this.widgets = [
             {
                name: "alfresco/menus/AlfMenuGroup",
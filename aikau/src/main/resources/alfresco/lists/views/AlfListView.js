@@ -28,6 +28,7 @@
  * @mixes module:alfresco/lists/views/layouts/_MultiItemRendererMixin
  * @mixes module:alfresco/core/Core
  * @mixes module:alfresco/documentlibrary/_AlfDndDocumentUploadMixin
+ * @mixes module:alfresco/lists/views/_ColumnLayoutMixin
  * @author Dave Draper
  */
 define(["dojo/_base/declare",
@@ -36,6 +37,7 @@ define(["dojo/_base/declare",
         "dojo/text!./templates/AlfListView.html",
         "alfresco/lists/views/layouts/_MultiItemRendererMixin",
         "alfresco/documentlibrary/_AlfDndDocumentUploadMixin",
+        "alfresco/lists/views/_ColumnLayoutMixin",
         "aikau/lists/views/ListRenderer",
         "alfresco/lists/views/RenderAppendixSentinel",
         "alfresco/core/Core",
@@ -46,11 +48,12 @@ define(["dojo/_base/declare",
         "dojo/dom-construct",
         "dojo/dom-class",
         "dojo/dom-style",
+        "dojo/on",
         "dojo/query"],
-        function(declare, _WidgetBase, _TemplatedMixin, template, _MultiItemRendererMixin, _AlfDndDocumentUploadMixin, ListRenderer,
-                 RenderAppendixSentinel, AlfCore, JsNode, WidgetsCreator, lang, array, domConstruct, domClass, domStyle, query) {
+        function(declare, _WidgetBase, _TemplatedMixin, template, _MultiItemRendererMixin, _AlfDndDocumentUploadMixin, _ColumnLayoutMixin, ListRenderer,
+                 RenderAppendixSentinel, AlfCore, JsNode, WidgetsCreator, lang, array, domConstruct, domClass, domStyle, on, query) {
 
-   return declare([_WidgetBase, _TemplatedMixin, _MultiItemRendererMixin, AlfCore, _AlfDndDocumentUploadMixin], {
+   return declare([_WidgetBase, _TemplatedMixin, _MultiItemRendererMixin, AlfCore, _AlfDndDocumentUploadMixin, _ColumnLayoutMixin], {
 
       /**
        * An array of the i18n files to use with this widget.
@@ -88,6 +91,59 @@ define(["dojo/_base/declare",
        */
       documentSubscriptionTopic: "ALF_RETRIEVE_DOCUMENTS_REQUEST_SUCCESS",
 
+      /**
+       * The columns to include when the data of the list is [exported]{@link module:alfresco/core/topics#EXPORT_LIST_DATA}.
+       * Each column should have a "label" and a "property" (the dot-notation property of each item to export).
+       * When this is not configured the columns are taken from the
+       * [header cells]{@link module:alfresco/lists/views/layouts/HeaderCell} configured in the
+       * [widgetsForHeader]{@link module:alfresco/lists/views/AlfListView#widgetsForHeader} (see
+       * [getExportColumns]{@link module:alfresco/lists/views/AlfListView#getExportColumns}).
+       *
+       * @example <caption>Exporting the name and email address of users</caption>
+       * exportColumns: [
+       *   { label: "Name", property: "displayName" },
+       *   { label: "Email", property: "email" }
+       * ]
+       *
+       * @instance
+       * @type {object[]}
+       * @default
+       * @since 1.0.106
+       */
+      exportColumns: null,
+
+      /**
+       * <p>This can be configured to render the items in groups. Consecutive items that share the same value
+       * for the configured property are grouped together and a header row (which is itself a widget model,
+       * defaulting to a [GroupHeaderRow]{@link module:alfresco/lists/views/layouts/GroupHeaderRow}) is rendered
+       * before each group showing the grouped value, the number of items and any requested aggregate values.
+       * Groups can be expanded and collapsed and the header rows are included in keyboard navigation. The view
+       * does not re-order the items so the list should provide them ordered by the grouped property (for
+       * example by configuring [localDataGroupBy]{@link module:alfresco/lists/AlfList#localDataGroupBy} or by
+       * sorting on it).</p>
+       * <p>The supported aggregate types are "count", "sum", "avg", "min" and "max".</p>
+       *
+       * @example <caption>Grouping by site with aggregates</caption>
+       * groupBy: {
+       *   property: "site",
+       *   collapsed: false,
+       *   aggregates: [
+       *     { name: "totalSize", property: "size", type: "sum", label: "Total size" },
+       *     { name: "averageSize", property: "size", type: "avg", label: "Average size" }
+       *   ]
+       * }
+       *
+       * @instance
+       * @type {object}
+       * @property {string} property The dot-notation property of the items to group on
+       * @property {object[]} [widgets] The widget model to render for each group header
+       * @property {object[]} [aggregates] The aggregates to calculate for each group
+       * @property {boolean} [collapsed=false] Whether or not groups are initially collapsed
+       * @default
+       * @since 1.0.106
+       */
+      groupBy: null,
+
       /**
        * This is the property of each item in the list that uniquely identifies that item. This
        * should be configured correctly in order for items to be
@@ -188,6 +244,26 @@ define(["dojo/_base/declare",
        */
       useInfiniteScroll: false,
 
+      /**
+       * <p>Indicates whether or not only the visible items should be rendered. This should be used when the view
+       * is expected to display a large number of items (for example when
+       * [infinite scrolling]{@link module:alfresco/lists/AlfList#useInfiniteScroll} is used or when a large
+       * [local data set]{@link module:alfresco/lists/AlfList#useLocalData} is displayed without pagination).
+       * Widgets are only created for the items that are visible (plus a
+       * [buffer]{@link module:alfresco/lists/views/AlfListView#virtualBufferSize} of items above and below) and
+       * are destroyed and created as the view is scrolled. The selection of items that are not rendered
+       * and keyboard navigation between all the items are still supported.</p>
+       * <p>If a [virtualScrollHeight]{@link module:alfresco/lists/views/AlfListView#virtualScrollHeight} is
+       * configured then the view will be scrolled within that height, otherwise the page is expected to be
+       * scrolled. Grouping of items is not supported when this is enabled.</p>
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       * @since 1.0.106
+       */
+      useVirtualScroll: false,
+
       /**
        * The configuration for view selection menu items. This needs to be either configured or defined in an
        * extending module. If this isn't specified then the view will not be selectable in the document list.
@@ -201,6 +277,41 @@ define(["dojo/_base/declare",
          value: "Abstract"
       },
 
+      /**
+       * The number of rows to render above and below the visible rows when
+       * [useVirtualScroll]{@link module:alfresco/lists/views/AlfListView#useVirtualScroll} is true.
+       *
+       * @instance
+       * @type {number}
+       * @default
+       * @since 1.0.106
+       */
+      virtualBufferSize: 10,
+
+      /**
+       * The estimated height (in pixels) of each row when
+       * [useVirtualScroll]{@link module:alfresco/lists/views/AlfListView#useVirtualScroll} is true. This is
+       * only used until the first rows have been rendered and can be measured.
+       *
+       * @instance
+       * @type {number}
+       * @default
+       * @since 1.0.106
+       */
+      virtualItemHeight: 40,
+
+      /**
+       * The height of the view when [useVirtualScroll]{@link module:alfresco/lists/views/AlfListView#useVirtualScroll}
+       * is true. If this is configured then the items will be scrolled within the view (and any header will remain
+       * visible). Can be either a Number (treated as pixels) or a String (treated as CSS units).
+       *
+       * @instance
+       * @type {number|string}
+       * @default
+       * @since 1.0.106
+       */
+      virtualScrollHeight: null,
+
       /**
        * The widgets to be processed to generate each item in the rendered view.
        *
@@ -234,6 +345,18 @@ define(["dojo/_base/declare",
        */
       widgetsForNoDataDisplay: null,
 
+      /**
+       * A map of the keys of the groups that have been expanded or collapsed by the user. This is shared with
+       * each [ListRenderer]{@link module:alfresco/lists/views/ListRenderer} created so that the state of the
+       * groups is retained when the view is re-rendered.
+       *
+       * @instance
+       * @type {object}
+       * @default
+       * @since 1.0.106
+       */
+      _collapsedGroups: null,
+
       /**
        * This can be called to focus on a specific item in the view. The itemKey provided must match
        * the value of the [itemKey property]{@link module:alfresco/lists/views/AlfListView#itemKey}
@@ -244,7 +367,15 @@ define(["dojo/_base/declare",
        * @since 1.0.77
        */
       focusOnItem: function alfresco_lists_views_AlfListView__focusOnItem(itemKey) {
-         if (this.docListRenderer && this.docListRenderer._renderedItemWidgets)
+         if (this.docListRenderer && this.useVirtualScroll)
+         {
+            // The item might not be rendered so it needs to be brought into view first...
+            var index = this.docListRenderer.findVirtualItemIndex(itemKey);
+            index !== -1 && this.docListRenderer.bringVirtualIndexIntoView(index).then(function(widget) {
+               widget && widget.domNode && widget.domNode.click();
+            });
+         }
+         else if (this.docListRenderer && this.docListRenderer._renderedItemWidgets)
          {
             array.some(this.docListRenderer._renderedItemWidgets, function(widgets) {
                return array.some(widgets, function(widget) {
@@ -302,12 +433,17 @@ define(["dojo/_base/declare",
          {
             this.alfSubscribe(this.documentSubscriptionTopic, lang.hitch(this, this.onDocumentsLoaded));
          }
+         if (this.useVirtualScroll)
+         {
+            this.setupVirtualScroll();
+         }
          if (this.currentData)
          {
             // Render the initial data - make sure any previous data is cleared (not that there should be any!)
             this.renderView(false);
          }
          this._renderOptionalElements();
+         this.setupColumnLayout();
 
          // Apply any min-height value
          if (typeof this.minHeight === "number") {
@@ -316,6 +452,29 @@ define(["dojo/_base/declare",
          this.minHeight && domStyle.set(this.domNode, "min-height", this.minHeight);
       },
 
+      /**
+       * Sets up the view for rendering only the visible items when
+       * [useVirtualScroll]{@link module:alfresco/lists/views/AlfListView#useVirtualScroll} is true. If a
+       * [virtualScrollHeight]{@link module:alfresco/lists/views/AlfListView#virtualScrollHeight} is configured
+       * then the view is given that height so that its items can be scrolled within it. The column layout is
+       * applied to rows as they are rendered.
+       *
+       * @instance
+       * @since 1.0.106
+       */
+      setupVirtualScroll: function alfresco_lists_views_AlfListView__setupVirtualScroll() {
+         if (typeof this.virtualScrollHeight === "number")
+         {
+            this.virtualScrollHeight += "px";
+         }
+         if (this.virtualScrollHeight)
+         {
+            domClass.add(this.domNode, "alfresco-lists-views-AlfListView--virtual");
+            domStyle.set(this.domNode, "height", this.virtualScrollHeight);
+         }
+         this.own(on(this.domNode, "onVirtualRowsRendered", lang.hitch(this, this.applyColumnLayout)));
+      },
+
       /**
        * If the supplied payload contains a view value that matches this view then this will resolve
        * the promise that should be included.
@@ -419,6 +578,112 @@ define(["dojo/_base/declare",
          return [];
       },
 
+      /**
+       * Gets the columns to include when the data of the list is exported. If
+       * [exportColumns]{@link module:alfresco/lists/views/AlfListView#exportColumns} have not been configured then
+       * a column is created for each [header cell]{@link module:alfresco/lists/views/layouts/HeaderCell} using its
+       * label. The property for each column is the
+       * [exportProperty]{@link module:alfresco/lists/views/layouts/HeaderCell#exportProperty} of the header cell,
+       * the first "propertyToRender" configured for a renderer in the matching cell of the row model or the
+       * [sortValue]{@link module:alfresco/lists/views/layouts/HeaderCell#sortValue} of the header cell (in that
+       * order of preference). Columns for which no property can be found, or that are hidden by the current
+       * [column layout]{@link module:alfresco/lists/views/_ColumnLayoutMixin}, are not included and the remaining
+       * columns follow the order of the current layout. When there are no header cells a column is created for
+       * each cell of the row model that renders a property (labelled with the property).
+       *
+       * @instance
+       * @returns {object[]} The columns, each with a "label" and "property" attribute
+       * @since 1.0.106
+       */
+      getExportColumns: function alfresco_lists_views_AlfListView__getExportColumns() {
+         var columns;
+         if (this.exportColumns)
+         {
+            columns = array.map(this.exportColumns, function(column) {
+               return {
+                  label: this.message(column.label || column.property),
+                  property: column.property
+               };
+            }, this);
+         }
+         else if (this.widgetsForHeader)
+         {
+            var cells = this.getExportCellModels();
+            columns = [];
+            array.forEach(this.widgetsForHeader, function(header, index) {
+               var config = header.config || {};
+               var property = config.exportProperty || this.findExportProperty(cells[index]) || config.sortValue;
+               if (property && config.exportable !== false)
+               {
+                  columns.push({
+                     key: config.columnId || String(index),
+                     label: this.message(config.label || property),
+                     property: property
+                  });
+               }
+            }, this);
+
+            var layout = this._columnLayout;
+            if (layout)
+            {
+               columns = array.filter(columns, function(column) {
+                  return array.indexOf(layout.hidden, column.key) === -1;
+               });
+               columns.sort(function(a, b) {
+                  return array.indexOf(layout.order, a.key) - array.indexOf(layout.order, b.key);
+               });
+            }
+         }
+         else
+         {
+            columns = [];
+            array.forEach(this.getExportCellModels(), function(cell) {
+               var property = this.findExportProperty(cell);
+               property && columns.push({
+                  label: property,
+                  property: property
+               });
+            }, this);
+         }
+         return columns;
+      },
+
+      /**
+       * Gets the widget models of the cells of the row model that are used to find the property to
+       * export for each column when [exportColumns]{@link module:alfresco/lists/views/AlfListView#exportColumns}
+       * have not been configured. By default this is the widgets of the first widget in the view model
+       * (typically a [Row]{@link module:alfresco/lists/views/layouts/Row} containing
+       * [Cells]{@link module:alfresco/lists/views/layouts/Cell}).
+       *
+       * @instance
+       * @returns {object[]} The cell widget models
+       * @since 1.0.106
+       */
+      getExportCellModels: function alfresco_lists_views_AlfListView__getExportCellModels() {
+         return lang.getObject("0.config.widgets", false, this.widgets) || [];
+      },
+
+      /**
+       * Finds the first "propertyToRender" configured in the supplied widget model.
+       *
+       * @instance
+       * @param {object} model The widget model to search
+       * @returns {string} The property (or null if one could not be found)
+       * @since 1.0.106
+       */
+      findExportProperty: function alfresco_lists_views_AlfListView__findExportProperty(model) {
+         var property = null;
+         if (model && model.config)
+         {
+            property = model.config.propertyToRender || null;
+            array.some(model.config.widgets || [], function(widget) {
+               property = property || this.findExportProperty(widget);
+               return !!property;
+            }, this);
+         }
+         return property;
+      },
+
       /**
        * Extends the inherited function to also update the docListRenderer if it exists with the data.
        *
@@ -484,13 +749,14 @@ define(["dojo/_base/declare",
                      this.docListRenderer.itemKey = this.itemKey;
 
                      // Finally, render the current data (when using infinite scroll the data should have been augmented)
-                     var promisedData = this.docListRenderer.renderData();
+                     var promisedData = this.useVirtualScroll ? this.docListRenderer.renderVirtualData() : this.docListRenderer.renderData();
                      if (promisedData)
                      {
                         promisedData.then(
                            lang.hitch(this, function(renderedItems) {
                               if (renderedItems.length)
                               {
+                                 this.applyColumnLayout();
                                  resolve(renderedItems);
                               }
                               else
@@ -553,17 +819,41 @@ define(["dojo/_base/declare",
        * @returns {object} A new [ListRenderer]{@link module:alfresco/lists/views/ListRenderer}
        */
       createListRenderer: function alfresco_lists_views_AlfListView__createListRenderer() {
-         var dlr = new ListRenderer({
+         if (!this._collapsedGroups)
+         {
+            this._collapsedGroups = {};
+         }
+         var dlr = new ListRenderer(lang.mixin({
             id: this.id + "_ITEMS",
             widgets: this.widgets,
             currentData: this.currentData,
             pubSubScope: this.pubSubScope,
             parentPubSubScope: this.parentPubSubScope,
-            widgetsForAppendix: this.widgetsForAppendix
-         });
+            widgetsForAppendix: this.widgetsForAppendix,
+            groupBy: this.groupBy,
+            collapsedGroups: this._collapsedGroups
+         }, this.getVirtualScrollConfig()));
          return dlr;
       },
 
+      /**
+       * Returns the configuration for rendering only the visible items that should be passed to the
+       * renderer created by [createListRenderer]{@link module:alfresco/lists/views/AlfListView#createListRenderer}.
+       *
+       * @instance
+       * @returns {object} The virtual scrolling configuration
+       * @since 1.0.106
+       */
+      getVirtualScrollConfig: function alfresco_lists_views_AlfListView__getVirtualScrollConfig() {
+         return {
+            useVirtualScroll: this.useVirtualScroll,
+            useInfiniteScroll: this.useInfiniteScroll,
+            virtualBufferSize: this.virtualBufferSize,
+            virtualItemHeight: this.virtualItemHeight,
+            virtualScrollNode: this.virtualScrollHeight ? this.domNode : null
+         };
+      },
+
       /**
        * Removes the previously rendered view.
        *
@@ -619,6 +909,11 @@ define(["dojo/_base/declare",
        * @instance
        */
       onViewShown: function alfresco_lists_views_AlfListView__onViewShown() {
+         if (this.useVirtualScroll && this.docListRenderer)
+         {
+            // The rows to render can only be calculated once the view is displayed...
+            this.docListRenderer.updateVirtualRange();
+         }
          this.alfPublish("ALF_WIDGET_PROCESSING_COMPLETE", {}, true);
       },
 
@@ -96,6 +96,23 @@ define(["dojo/_base/declare",
          return dlr;
       },
 
+      /**
+       * Overrides the [inherited function]{@link module:alfresco/lists/views/AlfListView#getExportColumns}
+       * to export the [rendered property]{@link module:alfresco/lists/views/HtmlListView#propertyToRender}
+       * when no [exportColumns]{@link module:alfresco/lists/views/AlfListView#exportColumns} have been configured.
+       *
+       * @instance
+       * @returns {object[]} The columns, each with a "label" and "property" attribute
+       * @since 1.0.106
+       */
+      getExportColumns: function alfresco_lists_views_HtmlListView__getExportColumns() {
+         var property = this.propertyToRender || "displayName";
+         return this.exportColumns ? this.inherited(arguments) : [{
+            label: property,
+            property: property
+         }];
+      },
+
       /**
        * Override the default selector to match the li elements created by the renderer.
        *
@@ -36,6 +36,13 @@
  * to override the [bringItemIntoView]{@link module:alfresco/lists/views/ListRenderer#bringItemIntoView} function if
  * an extending module lays out item in a non-vertical style (as the default behaviour is simply to scroll down until
  * the requested item comes into view)</p>
+ * <p>When [groupBy]{@link module:alfresco/lists/views/ListRenderer#groupBy} is configured (this is typically
+ * passed on from the [groupBy]{@link module:alfresco/lists/views/AlfListView#groupBy} configuration of the view)
+ * a header row will be rendered before each group of consecutive items that share the same value for the grouped
+ * property. Groups can be expanded and collapsed and the header rows are included in keyboard navigation.</p>
+ * <p>When [useVirtualScroll]{@link module:alfresco/lists/views/_VirtualScrollMixin#useVirtualScroll} is configured
+ * then only the items that are visible are rendered (see the
+ * [_VirtualScrollMixin]{@link module:alfresco/lists/views/_VirtualScrollMixin} for details).</p>
  * 
  * @module alfresco/lists/views/ListRenderer
  * @extends external:dijit/_WidgetBase
@@ -44,6 +51,7 @@
  * @mixes module:alfresco/lists/views/layouts/_MultiItemRendererMixin
  * @mixes module:alfresco/lists/KeyboardNavigationSuppressionMixin
  * @mixes module:alfresco/core/Core
+ * @mixes module:alfresco/lists/views/_VirtualScrollMixin
  * @author Dave Draper
  */
 define(["dojo/_base/declare",
@@ -55,17 +63,32 @@ define(["dojo/_base/declare",
         "alfresco/lists/views/layouts/_MultiItemRendererMixin",
         "alfresco/core/Core",
         "alfresco/core/JsNode",
+        "alfresco/lists/views/RenderAppendixSentinel",
+        "alfresco/lists/views/_VirtualScrollMixin",
         "dojo/_base/lang",
         "dojo/_base/array",
+        "dojo/dom-class",
+        "dojo/dom-construct",
         "dojo/on",
         "dojo/keys",
         "jquery",
         "jqueryui"], 
         function(declare, _WidgetBase, _TemplatedMixin, _KeyNavContainer, KeyboardNavigationSuppressionMixin, template, 
-                 _MultiItemRendererMixin, AlfCore, JsNode, lang, array, on, keys, $) {
+                 _MultiItemRendererMixin, AlfCore, JsNode, RenderAppendixSentinel, _VirtualScrollMixin, lang, array, domClass, 
+                 domConstruct, on, keys, $) {
    
-   return declare([_WidgetBase, _TemplatedMixin, _KeyNavContainer, _MultiItemRendererMixin, KeyboardNavigationSuppressionMixin, AlfCore], {
+   return declare([_WidgetBase, _TemplatedMixin, _KeyNavContainer, _MultiItemRendererMixin, KeyboardNavigationSuppressionMixin, AlfCore, _VirtualScrollMixin], {
       
+      /**
+       * An array of the CSS files to use with this widget.
+       * 
+       * @instance
+       * @type {object[]}
+       * @default [{cssFile:"./css/ListRenderer.css"}]
+       * @since 1.0.106
+       */
+      cssRequirements: [{cssFile:"./css/ListRenderer.css"}],
+
       /**
        * The HTML template to use for the widget.
        * @instance
@@ -73,6 +96,32 @@ define(["dojo/_base/declare",
        */
       templateString: template,
       
+      /**
+       * A map of the keys of the groups that the user has expanded or collapsed. This is provided by the
+       * [view]{@link module:alfresco/lists/views/AlfListView} so that the state of the groups is retained when
+       * the data is re-rendered.
+       *
+       * @instance
+       * @type {object}
+       * @default
+       * @since 1.0.106
+       */
+      collapsedGroups: null,
+
+      /**
+       * The configuration for grouping the rendered items. This should be an object with a "property" attribute
+       * that is the dot-notation property of the items to group on. It can optionally contain "widgets" (the model
+       * for the header rows, which defaults to [widgetsForGroupHeader]{@link module:alfresco/lists/views/ListRenderer#widgetsForGroupHeader}),
+       * "aggregates" (an array of objects with "property", "type" (one of "count", "sum", "avg", "min" or "max"),
+       * "name" and "label" attributes) and "collapsed" (whether or not groups are initially collapsed).
+       *
+       * @instance
+       * @type {object}
+       * @default
+       * @since 1.0.106
+       */
+      groupBy: null,
+
       /**
        * The widgets to be processed to generate each item in the rendered view.
        * 
@@ -81,6 +130,30 @@ define(["dojo/_base/declare",
        * @default
        */
       widgets: null,
+
+      /**
+       * The default model for the header row rendered for each group when
+       * [groupBy]{@link module:alfresco/lists/views/ListRenderer#groupBy} is configured without any widgets.
+       *
+       * @instance
+       * @type {object[]}
+       * @since 1.0.106
+       */
+      widgetsForGroupHeader: [
+         {
+            name: "alfresco/lists/views/layouts/GroupHeaderRow"
+         }
+      ],
+
+      /**
+       * The groups that have been rendered.
+       *
+       * @instance
+       * @type {object[]}
+       * @default
+       * @since 1.0.106
+       */
+      _groups: null,
       
       /**
        * Implements the widget life-cycle method to add drag-and-drop upload capabilities to the root DOM node.
@@ -95,11 +168,16 @@ define(["dojo/_base/declare",
          this.setupKeyboardNavigation();
          on(this.domNode, "onSuppressKeyNavigation", lang.hitch(this, this.onSuppressKeyNavigation));
          on(this.domNode, "onItemFocused", lang.hitch(this, this.onItemFocused));
+         on(this.domNode, "onGroupToggle", lang.hitch(this, this.onGroupToggle));
 
          if (this.itemKey)
          {
             this.alfSubscribe("ALF_BRING_ITEM_INTO_VIEW", lang.hitch(this, this.onBringItemIntoView));
          }
+         if (this.useVirtualScroll)
+         {
+            this.setupVirtualScroll();
+         }
       },
 
       /**
@@ -127,6 +205,279 @@ define(["dojo/_base/declare",
          this.focusChild(evt.item);
       },
 
+      /**
+       * Extends the [inherited function]{@link module:alfresco/lists/views/layouts/_MultiItemRendererMixin#allItemsRendered}
+       * to render the group header rows when [groupBy]{@link module:alfresco/lists/views/ListRenderer#groupBy} is configured.
+       *
+       * @instance
+       * @returns {promise} A promise of the group headers being rendered (if required)
+       * @since 1.0.106
+       */
+      allItemsRendered: function alfresco_lists_views_ListRenderer__allItemsRendered() {
+         this.inherited(arguments);
+         return (this.groupBy && this.groupBy.property) ? this.renderGroups() : null;
+      },
+
+      /**
+       * Assigns the rendered items to groups (an item is added to the last group if it has the same value for the
+       * grouped property, otherwise a new group is started) and then renders a header row before the first item of
+       * each new group. Groups that existed before (e.g. when additional items are rendered by infinite scrolling)
+       * have their header rows updated.
+       *
+       * @instance
+       * @returns {promise} A promise of the group headers being rendered
+       * @since 1.0.106
+       */
+      renderGroups: function alfresco_lists_views_ListRenderer__renderGroups() {
+         if (!this._groups)
+         {
+            this._groups = [];
+         }
+         if (!this.collapsedGroups)
+         {
+            this.collapsedGroups = {};
+         }
+
+         var firstIndex = this.currentData.previousItemCount || 0,
+             updatedGroups = [];
+         array.forEach(this._renderedItemWidgets, function(widgets, index) {
+            var item = this.currentData.items[firstIndex + index];
+            if (item && item !== RenderAppendixSentinel && widgets && widgets.length)
+            {
+               var value = lang.getObject(this.groupBy.property, false, item);
+               var group = this._groups[this._groups.length - 1];
+               if (!group || this.getGroupKey(group.value) !== this.getGroupKey(value))
+               {
+                  group = this.createGroup(value);
+                  this._groups.push(group);
+               }
+               group.items.push(item);
+               group.itemWidgets = group.itemWidgets.concat(widgets);
+               if (updatedGroups.indexOf(group) === -1)
+               {
+                  updatedGroups.push(group);
+               }
+            }
+         }, this);
+
+         var promisedHeaders = array.map(updatedGroups, function(group) {
+            this.updateGroup(group);
+            var promisedHeader;
+            if (group.headerWidgets)
+            {
+               array.forEach(group.headerWidgets, function(headerWidget) {
+                  typeof headerWidget.renderGroup === "function" && headerWidget.renderGroup();
+               });
+               this.applyGroupCollapse(group);
+            }
+            else
+            {
+               promisedHeader = this.renderGroupHeader(group);
+            }
+            return promisedHeader;
+         }, this);
+         return Promise.all(promisedHeaders);
+      },
+
+      /**
+       * Creates a new group for the supplied value.
+       *
+       * @instance
+       * @param {*} value The value of the grouped property for the items in the group
+       * @returns {object} The new group
+       * @since 1.0.106
+       */
+      createGroup: function alfresco_lists_views_ListRenderer__createGroup(value) {
+         var key = this.getGroupKey(value);
+         return {
+            index: this._groups.length,
+            key: key,
+            value: value,
+            items: [],
+            itemWidgets: [],
+            collapsed: this.collapsedGroups.hasOwnProperty(key) ? this.collapsedGroups[key] : !!this.groupBy.collapsed
+         };
+      },
+
+      /**
+       * Returns a string key for the supplied group value that is used to compare groups and to record
+       * their [collapsed state]{@link module:alfresco/lists/views/ListRenderer#collapsedGroups}.
+       *
+       * @instance
+       * @param {*} value The group value
+       * @returns {string} The key for the group
+       * @since 1.0.106
+       */
+      getGroupKey: function alfresco_lists_views_ListRenderer__getGroupKey(value) {
+         return (value === null || typeof value === "undefined") ? "" : value.toString();
+      },
+
+      /**
+       * Updates the count and aggregate values of the supplied group. If the list has provided details of the
+       * groups in the complete data set (e.g. when [local data]{@link module:alfresco/lists/AlfList#useLocalData}
+       * is being grouped) then the total number of items in the group is also set.
+       *
+       * @instance
+       * @param {object} group The group to update
+       * @since 1.0.106
+       */
+      updateGroup: function alfresco_lists_views_ListRenderer__updateGroup(group) {
+         group.count = group.items.length;
+         array.some(this.currentData.groups || [], function(dataGroup) {
+            var match = this.getGroupKey(dataGroup.value) === group.key;
+            if (match)
+            {
+               group.totalCount = dataGroup.count;
+            }
+            return match;
+         }, this);
+
+         group.aggregateValues = {};
+         group.aggregates = array.map(this.groupBy.aggregates || [], function(aggregate) {
+            var name = aggregate.name || (aggregate.type + "_" + aggregate.property);
+            var value = this.calculateAggregate(aggregate, group.items);
+            group.aggregateValues[name] = value;
+            return {
+               name: name,
+               label: aggregate.label,
+               value: value
+            };
+         }, this);
+      },
+
+      /**
+       * Calculates an aggregate value for the supplied items. Items without a value for the aggregated property
+       * are ignored and only numeric values are used for the "sum", "avg", "min" and "max" types.
+       *
+       * @instance
+       * @param {object} aggregate The aggregate configuration
+       * @param {string} aggregate.property The dot-notation property of the items to aggregate
+       * @param {string} aggregate.type The type of aggregate ("count", "sum", "avg", "min" or "max")
+       * @param {object[]} items The items to aggregate
+       * @returns {number} The aggregate value (or null if it could not be calculated)
+       * @since 1.0.106
+       */
+      calculateAggregate: function alfresco_lists_views_ListRenderer__calculateAggregate(aggregate, items) {
+         var values = array.filter(array.map(items, function(item) {
+            return lang.getObject(aggregate.property, false, item);
+         }), function(value) {
+            return value !== null && typeof value !== "undefined" && value !== "";
+         });
+         var numbers = array.filter(array.map(values, Number), function(value) {
+            return !isNaN(value);
+         });
+         var sum = numbers.reduce(function(total, value) {
+            return total + value;
+         }, 0);
+
+         var result = null;
+         switch (aggregate.type)
+         {
+            case "count":
+               result = values.length;
+               break;
+            case "sum":
+               result = sum;
+               break;
+            case "avg":
+               result = numbers.length ? Math.round((sum / numbers.length) * 100) / 100 : null;
+               break;
+            case "min":
+               result = numbers.length ? Math.min.apply(Math, numbers) : null;
+               break;
+            case "max":
+               result = numbers.length ? Math.max.apply(Math, numbers) : null;
+               break;
+            default:
+               this.alfLog("warn", "Unsupported aggregate type requested: " + aggregate.type, aggregate, this);
+         }
+         return result;
+      },
+
+      /**
+       * Renders the header row widgets for the supplied group and places them before the first item in the group.
+       *
+       * @instance
+       * @param {object} group The group to render a header for
+       * @returns {promise} A promise of the header widgets
+       * @since 1.0.106
+       */
+      renderGroupHeader: function alfresco_lists_views_ListRenderer__renderGroupHeader(group) {
+         var headerWidgets = JSON.parse(JSON.stringify(this.groupBy.widgets || this.widgetsForGroupHeader));
+         array.forEach(headerWidgets, function(widget) {
+            if (widget.id)
+            {
+               widget.id = widget.id + "_GROUP_" + group.index;
+            }
+            lang.getObject("config", true, widget).collapsed = group.collapsed;
+         });
+
+         this.currentItem = group;
+         var promisedWidgets = this.createChildren({
+            widgets: headerWidgets,
+            targetNode: this.containerNode
+         });
+         this.currentItem = null;
+
+         return promisedWidgets.then(lang.hitch(this, function(widgets) {
+            group.headerWidgets = widgets;
+            var firstItemNode = group.itemWidgets[0].domNode,
+                columnCount = firstItemNode.cells ? firstItemNode.cells.length : 1;
+            array.forEach(widgets, function(widget) {
+               domConstruct.place(widget.domNode, firstItemNode, "before");
+               typeof widget.setColumnCount === "function" && widget.setColumnCount(columnCount);
+            });
+            this.applyGroupCollapse(group);
+            return widgets;
+         }));
+      },
+
+      /**
+       * Handles the custom "onGroupToggle" event emitted by a group header row to expand or collapse the group.
+       *
+       * @instance
+       * @param {object} evt The event
+       * @param {object} evt.group The group to toggle
+       * @param {boolean} evt.collapsed Whether or not the group should be collapsed
+       * @since 1.0.106
+       */
+      onGroupToggle: function alfresco_lists_views_ListRenderer__onGroupToggle(evt) {
+         var group = evt.group;
+         if (group && array.indexOf(this._groups || [], group) !== -1)
+         {
+            group.collapsed = !!evt.collapsed;
+            this.collapsedGroups[group.key] = group.collapsed;
+            this.applyGroupCollapse(group);
+         }
+      },
+
+      /**
+       * Shows or hides the items of the supplied group to reflect whether or not it is collapsed. Hidden items
+       * are not focusable so they will be skipped by keyboard navigation. If an item that is being hidden has
+       * focus then focus is moved to the header row of the group.
+       *
+       * @instance
+       * @param {object} group The group to update
+       * @since 1.0.106
+       */
+      applyGroupCollapse: function alfresco_lists_views_ListRenderer__applyGroupCollapse(group) {
+         var focusedItemHidden = false;
+         array.forEach(group.itemWidgets, function(widget) {
+            if (widget.domNode)
+            {
+               focusedItemHidden = focusedItemHidden || (group.collapsed && widget.domNode.contains(document.activeElement));
+               domClass[group.collapsed ? "add" : "remove"](widget.domNode, "alfresco-lists-views-ListRenderer__item--collapsed");
+            }
+         });
+         array.forEach(group.headerWidgets || [], function(widget) {
+            typeof widget.setCollapsed === "function" && widget.setCollapsed(group.collapsed);
+         });
+         if (focusedItemHidden && group.headerWidgets && group.headerWidgets.length)
+         {
+            this.focusChild(group.headerWidgets[0]);
+         }
+      },
+
       /**
        * This sets up the default keyboard handling for a view. The standard controls are navigation to the
        * next item by pressing the down key and navigation to the previous item by pressing the up key.
@@ -147,7 +498,13 @@ define(["dojo/_base/declare",
        * @param  {object} payload The details of the item to find
        */
       onBringItemIntoView: function alfresco_lists_views_ListRenderer__onBringItemIntoView(payload) {
-         if (payload && (payload.item || payload.item === 0))
+         if (payload && (payload.item || payload.item === 0) && this.useVirtualScroll)
+         {
+            // The item may not be rendered so find its index in the data and render the row containing it...
+            var index = this.findVirtualItemIndex(payload.item);
+            index !== -1 && this.bringVirtualIndexIntoView(index);
+         }
+         else if (payload && (payload.item || payload.item === 0))
          {
             array.some(this._renderedItemWidgets, function(widgets) {
                return array.some(widgets, function(widget) {
@@ -0,0 +1,773 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * <p>This mixin provides the ability for the columns of a tabular [view]{@link module:alfresco/lists/views/AlfListView}
+ * to be resized, re-ordered and hidden. The columns are identified from the
+ * [header cells]{@link module:alfresco/lists/views/layouts/HeaderCell} configured in the
+ * [widgetsForHeader]{@link module:alfresco/lists/views/AlfListView#widgetsForHeader} model and each item row
+ * that has a cell for every header cell will have its cells arranged to match the header.</p>
+ * <p>Columns can be resized by dragging the right-hand edge of a header cell (when
+ * [resizableColumns]{@link module:alfresco/lists/views/_ColumnLayoutMixin#resizableColumns} is true), can be
+ * re-ordered by dragging and dropping header cells or by using CTRL+SHIFT and the left and right cursor keys
+ * on a focused header cell (when [reorderableColumns]{@link module:alfresco/lists/views/_ColumnLayoutMixin#reorderableColumns}
+ * is true) and can be hidden and shown from a menu displayed above the table (when
+ * [showColumnChooser]{@link module:alfresco/lists/views/_ColumnLayoutMixin#showColumnChooser} is true).</p>
+ * <p>If a [columnLayoutPreferenceName]{@link module:alfresco/lists/views/_ColumnLayoutMixin#columnLayoutPreferenceName}
+ * is configured then the layout will be saved through the [PreferenceService]{@link module:alfresco/services/PreferenceService}
+ * whenever it is changed and restored when the view is next loaded. Each header cell should be configured with a
+ * [columnId]{@link module:alfresco/lists/views/layouts/HeaderCell#columnId} when layouts are persisted so that
+ * saved layouts continue to be applied correctly if the columns of the view are changed.</p>
+ *
+ * @example <caption>A view with configurable columns that are persisted as a user preference:</caption>
+ * {
+ *   name: "alfresco/lists/views/AlfListView",
+ *   config: {
+ *     resizableColumns: true,
+ *     reorderableColumns: true,
+ *     showColumnChooser: true,
+ *     columnLayoutPreferenceName: "org.alfresco.share.userList.columnLayout",
+ *     widgetsForHeader: [
+ *       {
+ *         name: "alfresco/lists/views/layouts/HeaderCell",
+ *         config: {
+ *           columnId: "name",
+ *           label: "Name"
+ *         }
+ *       },
+ *       {
+ *         name: "alfresco/lists/views/layouts/HeaderCell",
+ *         config: {
+ *           columnId: "email",
+ *           label: "Email"
+ *         }
+ *       }
+ *     ],
+ *     widgets: [ ... ]
+ *   }
+ * }
+ *
+ * @module alfresco/lists/views/_ColumnLayoutMixin
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["dojo/_base/declare",
+        "alfresco/core/topics",
+        "dojo/_base/lang",
+        "dojo/_base/array",
+        "dojo/keys",
+        "dojo/on",
+        "dojo/when",
+        "dojo/query",
+        "dojo/dom-class",
+        "dojo/dom-construct"],
+        function(declare, topics, lang, array, keys, on, when, query, domClass, domConstruct) {
+
+   return declare(null, {
+
+      /**
+       * An array of the i18n files to use with this widget.
+       *
+       * @instance
+       * @type {object[]}
+       * @default [{i18nFile: "./i18n/_ColumnLayoutMixin.properties"}]
+       */
+      i18nRequirements: [{i18nFile: "./i18n/_ColumnLayoutMixin.properties"}],
+
+      /**
+       * An array of the CSS files to use with this widget.
+       *
+       * @instance
+       * @type {object[]}
+       * @default [{cssFile:"./css/_ColumnLayoutMixin.css"}]
+       */
+      cssRequirements: [{cssFile:"./css/_ColumnLayoutMixin.css"}],
+
+      /**
+       * The label for the menu used to show and hide columns.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       */
+      columnChooserLabel: "column.chooser.label",
+
+      /**
+       * The dot-notation name of the user preference to save the column layout to. If this is not configured
+       * then the layout will only be retained for as long as the page is displayed.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       */
+      columnLayoutPreferenceName: null,
+
+      /**
+       * The minimum width (in pixels) that a column can be resized to.
+       *
+       * @instance
+       * @type {number}
+       * @default
+       */
+      minimumColumnWidth: 40,
+
+      /**
+       * Indicates whether or not columns can be re-ordered.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       */
+      reorderableColumns: false,
+
+      /**
+       * Indicates whether or not columns can be resized.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       */
+      resizableColumns: false,
+
+      /**
+       * Indicates whether or not a menu should be displayed for showing and hiding columns. Only
+       * columns with a label are included in the menu.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       */
+      showColumnChooser: false,
+
+      /**
+       * The pubSubScope used by the column chooser menu. This is generated so that the menu items only
+       * affect this view.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       */
+      _columnChooserScope: null,
+
+      /**
+       * The current column layout. This has an "order" attribute that is an array of the column keys in
+       * the order they are displayed, a "hidden" attribute that is an array of the column keys that are not
+       * displayed and a "widths" attribute that maps column keys to their widths in pixels.
+       *
+       * @instance
+       * @type {object}
+       * @default
+       */
+      _columnLayout: null,
+
+      /**
+       * The columns of the view. Each column has a "key", a "label" and the header cell "node". This is
+       * set once the header cells have been created.
+       *
+       * @instance
+       * @type {object[]}
+       * @default
+       */
+      _columns: null,
+
+      /**
+       * The key of the column currently being dragged.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       */
+      _draggedColumn: null,
+
+      /**
+       * Indicates that the click that follows the end of a resize should be ignored (so that the header cell
+       * does not treat the end of a resize as a sort request).
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       */
+      _suppressColumnClick: false,
+
+      /**
+       * Indicates whether or not any of the column layout capabilities have been requested.
+       *
+       * @instance
+       * @returns {boolean}
+       */
+      isColumnLayoutConfigurable: function alfresco_lists_views__ColumnLayoutMixin__isColumnLayoutConfigurable() {
+         return !!(this.resizableColumns || this.reorderableColumns || this.showColumnChooser || this.columnLayoutPreferenceName);
+      },
+
+      /**
+       * Sets up the column layout capabilities once the header cells have been created. This should be
+       * called after the header widgets have been processed.
+       *
+       * @instance
+       */
+      setupColumnLayout: function alfresco_lists_views__ColumnLayoutMixin__setupColumnLayout() {
+         if (this.widgetsForHeader && this.isColumnLayoutConfigurable())
+         {
+            when(this.getProcessedWidgets(), lang.hitch(this, this.onHeaderCellsProcessed));
+         }
+      },
+
+      /**
+       * Identifies the columns from the supplied header widgets, adds the requested capabilities to each
+       * header cell and applies the current (or saved) layout.
+       *
+       * @instance
+       * @param {object[]} widgets The header widgets that have been created
+       * @fires module:alfresco/core/topics#GET_PREFERENCE
+       */
+      onHeaderCellsProcessed: function alfresco_lists_views__ColumnLayoutMixin__onHeaderCellsProcessed(widgets) {
+         var headerCells = array.filter(widgets || [], function(widget) {
+            return widget && widget.domNode && widget.domNode.tagName === "TH";
+         });
+         this._columns = array.map(headerCells, function(widget, index) {
+            var column = {
+               key: widget.columnId || String(index),
+               label: widget.label || "",
+               node: widget.domNode
+            };
+            column.node.setAttribute("data-aikau-column", column.key);
+            domClass.add(column.node, "alfresco-lists-views-_ColumnLayoutMixin__header");
+            this.setupColumnHeader(column);
+            return column;
+         }, this);
+
+         if (this._columns.length)
+         {
+            // The click needs to be captured before it reaches the header cell...
+            var tableNode = this.tableNode;
+            var clickCapture = lang.hitch(this, this.onColumnHeaderClickCapture);
+            tableNode.addEventListener("click", clickCapture, true);
+            this.own({
+               remove: function() {
+                  tableNode.removeEventListener("click", clickCapture, true);
+               }
+            });
+            this._columnLayout = this.normaliseColumnLayout(this._columnLayout);
+            this.applyColumnLayout();
+            if (this.showColumnChooser)
+            {
+               this.createColumnChooser();
+            }
+            if (this.columnLayoutPreferenceName)
+            {
+               this.alfServicePublish(topics.GET_PREFERENCE, {
+                  preference: this.columnLayoutPreferenceName,
+                  callback: this.onColumnLayoutPreference,
+                  callbackScope: this
+               });
+            }
+         }
+      },
+
+      /**
+       * Adds the resize handle and drag-and-drop listeners to the header cell for a column.
+       *
+       * @instance
+       * @param {object} column The column to set up
+       */
+      setupColumnHeader: function alfresco_lists_views__ColumnLayoutMixin__setupColumnHeader(column) {
+         if (this.resizableColumns)
+         {
+            var handle = domConstruct.create("span", {
+               className: "alfresco-lists-views-_ColumnLayoutMixin__resize-handle"
+            }, column.node);
+            this.own(on(handle, "mousedown", lang.hitch(this, this.onColumnResizeStart, column)));
+            this.own(on(handle, "click", function(evt) {
+               evt.stopPropagation();
+            }));
+         }
+         if (this.reorderableColumns)
+         {
+            column.node.setAttribute("draggable", "true");
+            this.own(on(column.node, "dragstart", lang.hitch(this, this.onColumnDragStart, column)));
+            this.own(on(column.node, "dragover", lang.hitch(this, this.onColumnDragOver, column)));
+            this.own(on(column.node, "dragleave", lang.hitch(this, this.onColumnDragLeave, column)));
+            this.own(on(column.node, "drop", lang.hitch(this, this.onColumnDrop, column)));
+            this.own(on(column.node, "dragend", lang.hitch(this, this.onColumnDragEnd)));
+            this.own(on(column.node, "keydown", lang.hitch(this, this.onColumnKeyDown, column)));
+         }
+      },
+
+      /**
+       * Creates a menu above the table that allows columns to be shown and hidden.
+       *
+       * @instance
+       * @listens module:alfresco/core/topics#SET_COLUMN_VISIBILITY
+       */
+      createColumnChooser: function alfresco_lists_views__ColumnLayoutMixin__createColumnChooser() {
+         this._columnChooserScope = this.generateUuid();
+         this.alfSubscribe(topics.SET_COLUMN_VISIBILITY, lang.hitch(this, this.onColumnVisibilityChange), false, false, this._columnChooserScope);
+
+         var menuItems = [];
+         array.forEach(this._columns, function(column) {
+            if (column.label)
+            {
+               menuItems.push({
+                  id: this.id + "_COLUMN_CHOOSER_" + column.key,
+                  name: "alfresco/menus/AlfCheckableMenuItem",
+                  config: {
+                     label: column.label,
+                     value: column.key,
+                     checked: array.indexOf(this._columnLayout.hidden, column.key) === -1,
+                     publishTopic: topics.SET_COLUMN_VISIBILITY
+                  }
+               });
+            }
+         }, this);
+
+         this.columnChooserNode = domConstruct.create("div", {
+            className: "alfresco-lists-views-_ColumnLayoutMixin__chooser"
+         }, this.domNode, "first");
+         this.processWidgets([{
+            id: this.id + "_COLUMN_CHOOSER",
+            name: "alfresco/menus/AlfMenuBar",
+            config: {
+               pubSubScope: this._columnChooserScope,
+               widgets: [
+                  {
+                     id: this.id + "_COLUMN_CHOOSER_POPUP",
+                     name: "alfresco/menus/AlfMenuBarPopup",
+                     config: {
+                        label: this.message(this.columnChooserLabel),
+                        widgets: [
+                           {
+                              name: "alfresco/menus/AlfMenuGroup",
+                              config: {
+                                 widgets: menuItems
+                              }
+                           }
+                        ]
+                     }
+                  }
+               ]
+            }
+         }], this.columnChooserNode, "COLUMN_CHOOSER");
+      },
+
+      /**
+       * Handles the column layout retrieved from the user preferences.
+       *
+       * @instance
+       * @param {object} value The saved column layout
+       */
+      onColumnLayoutPreference: function alfresco_lists_views__ColumnLayoutMixin__onColumnLayoutPreference(value) {
+         if (value)
+         {
+            this.setColumnLayout(value);
+         }
+      },
+
+      /**
+       * Gets a copy of the current column layout.
+       *
+       * @instance
+       * @returns {object} The current column layout
+       */
+      getColumnLayout: function alfresco_lists_views__ColumnLayoutMixin__getColumnLayout() {
+         return lang.clone(this._columnLayout);
+      },
+
+      /**
+       * Sets the column layout. The layout will be applied immediately if the columns of the view are known
+       * or when the header cells have been created otherwise.
+       *
+       * @instance
+       * @param {object} layout The column layout to apply
+       */
+      setColumnLayout: function alfresco_lists_views__ColumnLayoutMixin__setColumnLayout(layout) {
+         this._columnLayout = lang.clone(layout);
+         if (this._columns)
+         {
+            this._columnLayout = this.normaliseColumnLayout(this._columnLayout);
+            this.applyColumnLayout();
+            this.updateColumnChooser();
+         }
+      },
+
+      /**
+       * Ensures that the supplied layout only refers to the current columns and that every column is
+       * included in the order.
+       *
+       * @instance
+       * @param {object} layout The layout to normalise
+       * @returns {object} The normalised layout
+       */
+      normaliseColumnLayout: function alfresco_lists_views__ColumnLayoutMixin__normaliseColumnLayout(layout) {
+         var columnKeys = array.map(this._columns, function(column) {
+            return column.key;
+         });
+         var isColumnKey = function(key, index, filteredKeys) {
+            return array.indexOf(columnKeys, key) !== -1 && array.indexOf(filteredKeys, key) === index;
+         };
+
+         var order = array.filter(lang.getObject("order", false, layout) || [], isColumnKey);
+         array.forEach(columnKeys, function(key) {
+            if (array.indexOf(order, key) === -1)
+            {
+               order.push(key);
+            }
+         });
+
+         var hidden = array.filter(lang.getObject("hidden", false, layout) || [], isColumnKey);
+         if (hidden.length === columnKeys.length)
+         {
+            hidden = [];
+         }
+
+         var widths = {};
+         var configuredWidths = lang.getObject("widths", false, layout) || {};
+         array.forEach(columnKeys, function(key) {
+            if (typeof configuredWidths[key] === "number")
+            {
+               widths[key] = Math.max(configuredWidths[key], this.minimumColumnWidth);
+            }
+         }, this);
+
+         return {
+            order: order,
+            hidden: hidden,
+            widths: widths
+         };
+      },
+
+      /**
+       * Applies the current layout to the header cells and to all of the rendered item rows.
+       *
+       * @instance
+       */
+      applyColumnLayout: function alfresco_lists_views__ColumnLayoutMixin__applyColumnLayout() {
+         if (this._columns && this._columnLayout)
+         {
+            var headerNodes = {};
+            array.forEach(this._columns, function(column) {
+               headerNodes[column.key] = column.node;
+               column.node.style.width = this._columnLayout.widths[column.key] ? this._columnLayout.widths[column.key] + "px" : "";
+            }, this);
+            this.arrangeColumnCells(headerNodes);
+
+            query("tbody > tr", this.tableNode).forEach(function(row) {
+               var cells = this.getRowColumnCells(row);
+               cells && this.arrangeColumnCells(cells);
+            }, this);
+         }
+      },
+
+      /**
+       * Gets the cells of the supplied row mapped against the keys of the columns that they belong to. The
+       * cells of a row are identified the first time this is called for the row, rows that do not have a cell
+       * for each column (such as [group headers]{@link module:alfresco/lists/views/layouts/GroupHeaderRow})
+       * are ignored.
+       *
+       * @instance
+       * @param {element} row The table row
+       * @returns {object} The cells mapped by column key (or null if the row is not arranged by column)
+       */
+      getRowColumnCells: function alfresco_lists_views__ColumnLayoutMixin__getRowColumnCells(row) {
+         var cells = null;
+         if (!row.hasAttribute("data-aikau-columns") && row.cells.length === this._columns.length)
+         {
+            array.forEach(row.cells, function(cell, index) {
+               cell.setAttribute("data-aikau-column", this._columns[index].key);
+            }, this);
+            row.setAttribute("data-aikau-columns", "true");
+         }
+         if (row.hasAttribute("data-aikau-columns"))
+         {
+            cells = {};
+            array.forEach(row.cells, function(cell) {
+               cells[cell.getAttribute("data-aikau-column")] = cell;
+            });
+         }
+         return cells;
+      },
+
+      /**
+       * Orders and hides the supplied cells according to the current layout.
+       *
+       * @instance
+       * @param {object} cells The cells of a row (or of the header) mapped against column keys
+       */
+      arrangeColumnCells: function alfresco_lists_views__ColumnLayoutMixin__arrangeColumnCells(cells) {
+         array.forEach(this._columnLayout.order, function(key) {
+            var cell = cells[key];
+            if (cell)
+            {
+               var hasFocus = cell === document.activeElement;
+               cell.parentNode.appendChild(cell);
+               hasFocus && cell.focus();
+               domClass.toggle(cell, "alfresco-lists-views-_ColumnLayoutMixin__cell--hidden", array.indexOf(this._columnLayout.hidden, key) !== -1);
+            }
+         }, this);
+      },
+
+      /**
+       * Moves a column to a new position.
+       *
+       * @instance
+       * @param {string} key The key of the column to move
+       * @param {number} index The new position of the column
+       */
+      moveColumn: function alfresco_lists_views__ColumnLayoutMixin__moveColumn(key, index) {
+         var order = this._columnLayout.order;
+         var currentIndex = array.indexOf(order, key);
+         index = Math.max(0, Math.min(index, order.length - 1));
+         if (currentIndex !== -1 && currentIndex !== index)
+         {
+            order.splice(currentIndex, 1);
+            order.splice(index, 0, key);
+            this.applyColumnLayout();
+            this.saveColumnLayout();
+         }
+      },
+
+      /**
+       * Shows or hides a column. The last displayed column cannot be hidden.
+       *
+       * @instance
+       * @param {string} key The key of the column
+       * @param {boolean} hidden Whether or not the column should be hidden
+       */
+      setColumnHidden: function alfresco_lists_views__ColumnLayoutMixin__setColumnHidden(key, hidden) {
+         var hiddenColumns = this._columnLayout.hidden;
+         var index = array.indexOf(hiddenColumns, key);
+         if (hidden && index === -1)
+         {
+            if (hiddenColumns.length < this._columns.length - 1)
+            {
+               hiddenColumns.push(key);
+               this.applyColumnLayout();
+               this.saveColumnLayout();
+            }
+            else
+            {
+               this.updateColumnChooser();
+            }
+         }
+         else if (!hidden && index !== -1)
+         {
+            hiddenColumns.splice(index, 1);
+            this.applyColumnLayout();
+            this.saveColumnLayout();
+         }
+      },
+
+      /**
+       * Sets the width of a column.
+       *
+       * @instance
+       * @param {string} key The key of the column
+       * @param {number} width The width of the column in pixels
+       * @param {boolean} [skipSave=false] Indicates that the layout should not be saved (e.g. whilst resizing)
+       */
+      setColumnWidth: function alfresco_lists_views__ColumnLayoutMixin__setColumnWidth(key, width, skipSave) {
+         this._columnLayout.widths[key] = Math.max(Math.round(width), this.minimumColumnWidth);
+         this.applyColumnLayout();
+         !skipSave && this.saveColumnLayout();
+      },
+
+      /**
+       * Publishes the current layout and saves it as a user preference if a
+       * [columnLayoutPreferenceName]{@link module:alfresco/lists/views/_ColumnLayoutMixin#columnLayoutPreferenceName}
+       * has been configured.
+       *
+       * @instance
+       * @fires module:alfresco/core/topics#COLUMN_LAYOUT_CHANGED
+       * @fires module:alfresco/core/topics#SET_PREFERENCE
+       */
+      saveColumnLayout: function alfresco_lists_views__ColumnLayoutMixin__saveColumnLayout() {
+         this.alfPublish(topics.COLUMN_LAYOUT_CHANGED, {
+            layout: this.getColumnLayout()
+         });
+         if (this.columnLayoutPreferenceName)
+         {
+            this.alfServicePublish(topics.SET_PREFERENCE, {
+               preference: this.columnLayoutPreferenceName,
+               value: this.getColumnLayout()
+            });
+         }
+      },
+
+      /**
+       * Updates the column chooser menu items to reflect the current layout.
+       *
+       * @instance
+       * @fires module:alfresco/core/topics#SET_COLUMN_VISIBILITY
+       */
+      updateColumnChooser: function alfresco_lists_views__ColumnLayoutMixin__updateColumnChooser() {
+         if (this._columnChooserScope)
+         {
+            array.forEach(this._columns, function(column) {
+               this.alfPublish(topics.SET_COLUMN_VISIBILITY, {
+                  value: column.key,
+                  selected: array.indexOf(this._columnLayout.hidden, column.key) === -1
+               }, false, false, this._columnChooserScope);
+            }, this);
+         }
+      },
+
+      /**
+       * Handles the selection of column chooser menu items.
+       *
+       * @instance
+       * @param {object} payload The payload containing the column key as the value
+       */
+      onColumnVisibilityChange: function alfresco_lists_views__ColumnLayoutMixin__onColumnVisibilityChange(payload) {
+         if (payload && payload.value)
+         {
+            this.setColumnHidden(payload.value, payload.selected === false);
+         }
+      },
+
+      /**
+       * Starts resizing a column as the mouse is dragged.
+       *
+       * @instance
+       * @param {object} column The column being resized
+       * @param {object} evt The mousedown event
+       */
+      onColumnResizeStart: function alfresco_lists_views__ColumnLayoutMixin__onColumnResizeStart(column, evt) {
+         evt.preventDefault();
+         evt.stopPropagation();
+
+         var startX = evt.pageX;
+         var startWidth = column.node.offsetWidth;
+         domClass.add(this.domNode, "alfresco-lists-views-_ColumnLayoutMixin--resizing");
+
+         var moveHandle = on(document, "mousemove", lang.hitch(this, function(moveEvt) {
+            this.setColumnWidth(column.key, startWidth + moveEvt.pageX - startX, true);
+         }));
+         var upHandle = on(document, "mouseup", lang.hitch(this, function() {
+            moveHandle.remove();
+            upHandle.remove();
+            domClass.remove(this.domNode, "alfresco-lists-views-_ColumnLayoutMixin--resizing");
+            this._suppressColumnClick = true;
+            setTimeout(lang.hitch(this, function() {
+               this._suppressColumnClick = false;
+            }), 0);
+            this.saveColumnLayout();
+         }));
+      },
+
+      /**
+       * Prevents the click that follows the end of a resize being handled by a header cell.
+       *
+       * @instance
+       * @param {object} evt The click event
+       */
+      onColumnHeaderClickCapture: function alfresco_lists_views__ColumnLayoutMixin__onColumnHeaderClickCapture(evt) {
+         if (this._suppressColumnClick)
+         {
+            this._suppressColumnClick = false;
+            evt.stopPropagation();
+         }
+      },
+
+      /**
+       * Records the column being dragged.
+       *
+       * @instance
+       * @param {object} column The column being dragged
+       * @param {object} evt The dragstart event
+       */
+      onColumnDragStart: function alfresco_lists_views__ColumnLayoutMixin__onColumnDragStart(column, evt) {
+         this._draggedColumn = column.key;
+         evt.dataTransfer.effectAllowed = "move";
+         evt.dataTransfer.setData("text", column.key);
+         domClass.add(column.node, "alfresco-lists-views-_ColumnLayoutMixin__header--dragged");
+      },
+
+      /**
+       * Allows a dragged column to be dropped onto another column.
+       *
+       * @instance
+       * @param {object} column The column being dragged over
+       * @param {object} evt The dragover event
+       */
+      onColumnDragOver: function alfresco_lists_views__ColumnLayoutMixin__onColumnDragOver(column, evt) {
+         if (this._draggedColumn && this._draggedColumn !== column.key)
+         {
+            evt.preventDefault();
+            evt.dataTransfer.dropEffect = "move";
+            domClass.add(column.node, "alfresco-lists-views-_ColumnLayoutMixin__header--drop-target");
+         }
+      },
+
+      /**
+       * Removes the drop target highlighting from a column.
+       *
+       * @instance
+       * @param {object} column The column that is no longer being dragged over
+       */
+      onColumnDragLeave: function alfresco_lists_views__ColumnLayoutMixin__onColumnDragLeave(column) {
+         domClass.remove(column.node, "alfresco-lists-views-_ColumnLayoutMixin__header--drop-target");
+      },
+
+      /**
+       * Moves the dragged column to the position of the column it is dropped onto.
+       *
+       * @instance
+       * @param {object} column The column that has been dropped onto
+       * @param {object} evt The drop event
+       */
+      onColumnDrop: function alfresco_lists_views__ColumnLayoutMixin__onColumnDrop(column, evt) {
+         evt.preventDefault();
+         domClass.remove(column.node, "alfresco-lists-views-_ColumnLayoutMixin__header--drop-target");
+         if (this._draggedColumn && this._draggedColumn !== column.key)
+         {
+            this.moveColumn(this._draggedColumn, array.indexOf(this._columnLayout.order, column.key));
+         }
+         this.onColumnDragEnd();
+      },
+
+      /**
+       * Clears up at the end of dragging a column.
+       *
+       * @instance
+       */
+      onColumnDragEnd: function alfresco_lists_views__ColumnLayoutMixin__onColumnDragEnd() {
+         this._draggedColumn = null;
+         array.forEach(this._columns, function(column) {
+            domClass.remove(column.node, "alfresco-lists-views-_ColumnLayoutMixin__header--dragged");
+         });
+      },
+
+      /**
+       * Moves the column for a focused header cell when the left or right cursor keys are used with
+       * CTRL and SHIFT.
+       *
+       * @instance
+       * @param {object} column The column of the focused header cell
+       * @param {object} evt The keydown event
+       */
+      onColumnKeyDown: function alfresco_lists_views__ColumnLayoutMixin__onColumnKeyDown(column, evt) {
+         if (evt.ctrlKey && evt.shiftKey && (evt.keyCode === keys.LEFT_ARROW || evt.keyCode === keys.RIGHT_ARROW))
+         {
+            evt.preventDefault();
+            evt.stopPropagation();
+            var index = array.indexOf(this._columnLayout.order, column.key);
+            this.moveColumn(column.key, evt.keyCode === keys.LEFT_ARROW ? index - 1 : index + 1);
+         }
+      }
+   });
+});
@@ -0,0 +1,1131 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * <p>This mixin provides a virtual scrolling mode for list renderers (such as the
+ * [ListRenderer]{@link module:alfresco/lists/views/ListRenderer} and the
+ * [Grid]{@link module:alfresco/lists/views/layouts/Grid}). When
+ * [useVirtualScroll]{@link module:alfresco/lists/views/_VirtualScrollMixin#useVirtualScroll} is configured to
+ * be true then widgets are only created for the rows that are visible within the
+ * [scroll node]{@link module:alfresco/lists/views/_VirtualScrollMixin#virtualScrollNode} (plus a
+ * [buffer]{@link module:alfresco/lists/views/_VirtualScrollMixin#virtualBufferSize} of rows above and below).
+ * As the user scrolls, the widgets for rows that move out of the buffered range are destroyed and the widgets
+ * for rows that move into it are created. Spacer rows are used to keep the height of the rendered list the same
+ * as if every row had been rendered so that the scroll bar reflects the complete data set.</p>
+ * <p>The selection state of every item is recorded so that selection requests (such as selecting all items) are
+ * applied to items that are not currently rendered and so that items are shown as selected when they are scrolled
+ * back into view. Keyboard navigation moves through the complete data set, scrolling items into view as they are
+ * focused, and the row containing the focused item is retained when it is scrolled out of view so that focus is
+ * not lost.</p>
+ * <p>Items should have a unique [itemKey]{@link module:alfresco/lists/views/layouts/_MultiItemRendererMixin#itemKey}
+ * value in order for their selection state to be retained. Grouping of items is not supported in virtual
+ * scrolling mode.</p>
+ *
+ * @module alfresco/lists/views/_VirtualScrollMixin
+ * @extends module:alfresco/core/_EventsMixin
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["dojo/_base/declare",
+        "alfresco/core/_EventsMixin",
+        "alfresco/core/topics",
+        "alfresco/lists/views/RenderAppendixSentinel",
+        "alfresco/util/functionUtils",
+        "dojo/_base/lang",
+        "dojo/_base/array",
+        "dojo/keys",
+        "dojo/on",
+        "dojo/query",
+        "dojo/dom-class",
+        "dojo/dom-construct",
+        "dojo/dom-style",
+        "dijit/registry"],
+        function(declare, _EventsMixin, topics, RenderAppendixSentinel, funcUtils, lang, array, keys, on, query, domClass, domConstruct, domStyle, registry) {
+
+   return declare([_EventsMixin], {
+
+      /**
+       * An array of the CSS files to use with this widget.
+       *
+       * @instance
+       * @type {object[]}
+       * @default [{cssFile:"./css/_VirtualScrollMixin.css"}]
+       */
+      cssRequirements: [{cssFile:"./css/_VirtualScrollMixin.css"}],
+
+      /**
+       * Indicates whether or not the list is using infinite scrolling. When the
+       * [virtualScrollNode]{@link module:alfresco/lists/views/_VirtualScrollMixin#virtualScrollNode} is an element
+       * within the page then scroll events for it will be published so that more data can be requested as the end
+       * of the rendered data is reached.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       */
+      useInfiniteScroll: false,
+
+      /**
+       * Indicates whether or not only the visible rows should be rendered.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       */
+      useVirtualScroll: false,
+
+      /**
+       * The number of rows to render above and below the visible rows.
+       *
+       * @instance
+       * @type {number}
+       * @default
+       */
+      virtualBufferSize: 10,
+
+      /**
+       * The estimated height (in pixels) of each row. This is only used until rows have been rendered
+       * and their actual height can be measured.
+       *
+       * @instance
+       * @type {number}
+       * @default
+       */
+      virtualItemHeight: 40,
+
+      /**
+       * The element that is scrolled to display the rendered rows. If this is not provided then the
+       * window is expected to be scrolled.
+       *
+       * @instance
+       * @type {element}
+       * @default
+       */
+      virtualScrollNode: null,
+
+      /**
+       * The index of the item that was last focused. This is retained so that keyboard navigation can
+       * continue from the correct item when the row containing it is no longer rendered.
+       *
+       * @instance
+       * @type {number}
+       * @default
+       */
+      _virtualFocusIndex: -1,
+
+      /**
+       * The promise of the rendering currently in progress.
+       *
+       * @instance
+       * @type {promise}
+       * @default
+       */
+      _virtualRendering: null,
+
+      /**
+       * Indicates that the range of rows to render has changed whilst rendering was in progress.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       */
+      _virtualRangeStale: false,
+
+      /**
+       * A map of the rendered rows, keyed by the index of the row.
+       *
+       * @instance
+       * @type {object}
+       * @default
+       */
+      _virtualRows: null,
+
+      /**
+       * A map of the selected items, keyed by their
+       * [itemKey]{@link module:alfresco/lists/views/layouts/_MultiItemRendererMixin#itemKey} value.
+       *
+       * @instance
+       * @type {object}
+       * @default
+       */
+      _virtualSelectedItems: null,
+
+      /**
+       * The spacer rows used to fill the space of the rows that are not rendered.
+       *
+       * @instance
+       * @type {element[]}
+       * @default
+       */
+      _virtualSpacers: null,
+
+      /**
+       * Sets up the listeners and subscriptions required for virtual scrolling. This should be called
+       * from the postCreate function of the mixing module when
+       * [useVirtualScroll]{@link module:alfresco/lists/views/_VirtualScrollMixin#useVirtualScroll} is true.
+       *
+       * @instance
+       * @listens module:alfresco/documentlibrary/_AlfDocumentListTopicMixin#documentSelectionTopic
+       * @listens module:alfresco/documentlibrary/_AlfDocumentListTopicMixin#documentSelectedTopic
+       * @listens module:alfresco/documentlibrary/_AlfDocumentListTopicMixin#documentDeselectedTopic
+       * @listens module:alfresco/core/topics#CLEAR_SELECTED_ITEMS
+       * @fires eventsScrollTopic
+       */
+      setupVirtualScroll: function alfresco_lists_views__VirtualScrollMixin__setupVirtualScroll() {
+         this._virtualRows = {};
+         this._virtualSelectedItems = {};
+         this._virtualSpacers = [];
+         domClass.add(this.domNode, "alfresco-lists-views-_VirtualScrollMixin");
+
+         if (this.groupBy && this.groupBy.property)
+         {
+            this.alfLog("warn", "Grouping is not supported when virtual scrolling is used", this.groupBy, this);
+         }
+
+         this.own(on(this.virtualScrollNode || window, "scroll", lang.hitch(this, this.onVirtualScroll)));
+         if (this.useInfiniteScroll && this.virtualScrollNode)
+         {
+            // The infinite scroll service only monitors the window, so publish the scroll events of the
+            // scroll node so that more data is requested as the end of the rendered data is reached...
+            this.own(on(this.virtualScrollNode, "scroll", lang.hitch(this, function() {
+               this.throttledPublish(this.eventsScrollTopic, {
+                  node: this.virtualScrollNode
+               }, true);
+            })));
+         }
+         this.own(on(window, "resize", lang.hitch(this, this.onVirtualScroll)));
+         this.own(on(this.domNode, "onItemFocused", lang.hitch(this, function(evt) {
+            this._virtualFocusIndex = this.findVirtualWidgetIndex(evt.item);
+         })));
+
+         if (this._keyNavCodes)
+         {
+            this._keyNavCodes[keys.HOME] = lang.hitch(this, this.focusVirtualItem, 0);
+            this._keyNavCodes[keys.END] = lang.hitch(this, function() {
+               this.focusVirtualItem(this.getVirtualItems().length - 1);
+            });
+         }
+
+         this.alfSubscribe(this.documentSelectionTopic, lang.hitch(this, this.onVirtualSelectionUpdate));
+         this.alfSubscribe(this.documentSelectedTopic, lang.hitch(this, this.onVirtualItemSelected));
+         this.alfSubscribe(this.documentDeselectedTopic, lang.hitch(this, this.onVirtualItemDeselected));
+         this.alfSubscribe(topics.CLEAR_SELECTED_ITEMS, lang.hitch(this, function() {
+            this._virtualSelectedItems = {};
+         }));
+      },
+
+      /**
+       * Returns the items to be rendered.
+       *
+       * @instance
+       * @returns {object[]} The items
+       */
+      getVirtualItems: function alfresco_lists_views__VirtualScrollMixin__getVirtualItems() {
+         return (this.currentData && this.currentData.items) || [];
+      },
+
+      /**
+       * Returns the number of items that are rendered in each row. This can be overridden by modules that
+       * render more than one item per row.
+       *
+       * @instance
+       * @overridable
+       * @returns {number} The number of items in each row
+       */
+      getVirtualItemsPerRow: function alfresco_lists_views__VirtualScrollMixin__getVirtualItemsPerRow() {
+         return 1;
+      },
+
+      /**
+       * Returns the total number of rows required to render all the items.
+       *
+       * @instance
+       * @returns {number} The number of rows
+       */
+      getVirtualRowCount: function alfresco_lists_views__VirtualScrollMixin__getVirtualRowCount() {
+         return Math.ceil(this.getVirtualItems().length / this.getVirtualItemsPerRow());
+      },
+
+      /**
+       * Returns the items that are rendered in the requested row.
+       *
+       * @instance
+       * @param {number} rowIndex The index of the row
+       * @returns {object[]} The items in the row
+       */
+      getVirtualRowItems: function alfresco_lists_views__VirtualScrollMixin__getVirtualRowItems(rowIndex) {
+         var itemsPerRow = this.getVirtualItemsPerRow();
+         return this.getVirtualItems().slice(rowIndex * itemsPerRow, (rowIndex + 1) * itemsPerRow);
+      },
+
+      /**
+       * Returns the height to use for each row. This is the average height of the rendered rows, or the
+       * configured [virtualItemHeight]{@link module:alfresco/lists/views/_VirtualScrollMixin#virtualItemHeight}
+       * if no rows have been rendered yet.
+       *
+       * @instance
+       * @returns {number} The row height in pixels
+       */
+      getVirtualRowHeight: function alfresco_lists_views__VirtualScrollMixin__getVirtualRowHeight() {
+         var totalHeight = 0,
+             measuredRows = 0;
+         for (var rowIndex in this._virtualRows)
+         {
+            if (this._virtualRows.hasOwnProperty(rowIndex))
+            {
+               var rowHeight = array.reduce(this._virtualRows[rowIndex].nodes, function(height, node) {
+                  return height + node.offsetHeight;
+               }, 0);
+               if (rowHeight)
+               {
+                  totalHeight += rowHeight;
+                  measuredRows++;
+               }
+            }
+         }
+         return measuredRows ? (totalHeight / measuredRows) : this.virtualItemHeight;
+      },
+
+      /**
+       * Returns the current scroll position, the visible height of the
+       * [scroll node]{@link module:alfresco/lists/views/_VirtualScrollMixin#virtualScrollNode} and the offset
+       * of the rendered rows within it.
+       *
+       * @instance
+       * @returns {object} An object with "scrollTop", "height" and "contentTop" attributes
+       */
+      getVirtualViewport: function alfresco_lists_views__VirtualScrollMixin__getVirtualViewport() {
+         var contentRect = this.containerNode.getBoundingClientRect(),
+             viewport;
+         if (this.virtualScrollNode)
+         {
+            var scrollRect = this.virtualScrollNode.getBoundingClientRect();
+            viewport = {
+               scrollTop: this.virtualScrollNode.scrollTop,
+               height: this.virtualScrollNode.clientHeight,
+               contentTop: contentRect.top - scrollRect.top + this.virtualScrollNode.scrollTop
+            };
+         }
+         else
+         {
+            var pageOffset = window.pageYOffset || document.documentElement.scrollTop;
+            viewport = {
+               scrollTop: pageOffset,
+               height: window.innerHeight,
+               contentTop: contentRect.top + pageOffset
+            };
+         }
+         return viewport;
+      },
+
+      /**
+       * Sets the scroll position of the [scroll node]{@link module:alfresco/lists/views/_VirtualScrollMixin#virtualScrollNode}.
+       *
+       * @instance
+       * @param {number} scrollTop The new scroll position
+       */
+      setVirtualScrollTop: function alfresco_lists_views__VirtualScrollMixin__setVirtualScrollTop(scrollTop) {
+         if (this.virtualScrollNode)
+         {
+            this.virtualScrollNode.scrollTop = scrollTop;
+         }
+         else
+         {
+            window.scrollTo(window.pageXOffset, scrollTop);
+         }
+      },
+
+      /**
+       * Calculates the range of rows that should be rendered for the current scroll position. If the
+       * scroll node is not displayed then enough rows to fill the window are rendered.
+       *
+       * @instance
+       * @returns {object} An object with "start" (inclusive) and "end" (exclusive) row indices
+       */
+      calculateVirtualRange: function alfresco_lists_views__VirtualScrollMixin__calculateVirtualRange() {
+         var rowCount = this.getVirtualRowCount(),
+             rowHeight = this.getVirtualRowHeight(),
+             viewport = this.getVirtualViewport(),
+             firstVisible = 0,
+             lastVisible = Math.ceil(window.innerHeight / rowHeight);
+         if (viewport.height)
+         {
+            firstVisible = Math.floor((viewport.scrollTop - viewport.contentTop) / rowHeight);
+            lastVisible = Math.ceil((viewport.scrollTop + viewport.height - viewport.contentTop) / rowHeight);
+         }
+
+         // If the scroll position is beyond the end of the data (e.g. because the data has been replaced
+         // with a smaller data set) then the last rows should be rendered...
+         var visibleRows = Math.max(1, lastVisible - firstVisible);
+         if (firstVisible > rowCount - visibleRows)
+         {
+            firstVisible = rowCount - visibleRows;
+            lastVisible = rowCount;
+         }
+         return {
+            start: Math.max(0, Math.min(rowCount, firstVisible - this.virtualBufferSize)),
+            end: Math.max(0, Math.min(rowCount, lastVisible + this.virtualBufferSize))
+         };
+      },
+
+      /**
+       * Renders the current data. Previously rendered rows are retained if they still render the same
+       * items (e.g. when more data has been added by infinite scrolling) and all other rows are destroyed
+       * before [updateVirtualRange]{@link module:alfresco/lists/views/_VirtualScrollMixin#updateVirtualRange}
+       * is called to render the rows in the current range.
+       *
+       * @instance
+       * @returns {promise} A promise of the widgets rendered for each item
+       */
+      renderVirtualData: function alfresco_lists_views__VirtualScrollMixin__renderVirtualData() {
+         for (var rowIndex in this._virtualRows)
+         {
+            if (this._virtualRows.hasOwnProperty(rowIndex))
+            {
+               var row = this._virtualRows[rowIndex];
+               if (!this.isVirtualRowCurrent(row))
+               {
+                  this.destroyVirtualRow(row);
+               }
+            }
+         }
+         return this.updateVirtualRange();
+      },
+
+      /**
+       * Indicates whether or not the supplied row still renders the items that are currently at its position
+       * in the data.
+       *
+       * @instance
+       * @param {object} row The row to check
+       * @returns {boolean} true if the row renders the current items
+       */
+      isVirtualRowCurrent: function alfresco_lists_views__VirtualScrollMixin__isVirtualRowCurrent(row) {
+         var items = this.getVirtualRowItems(row.index);
+         return items.length === row.items.length && array.every(items, function(item, index) {
+            return item === row.items[index];
+         });
+      },
+
+      /**
+       * Updates the rendered rows to match the [current range]{@link module:alfresco/lists/views/_VirtualScrollMixin#calculateVirtualRange}.
+       * Rows outside of the range are destroyed (unless they contain the focused element) and rows within the range
+       * that have not been rendered are created. Only one update is performed at a time, if the range changes whilst
+       * an update is in progress then another update is performed once it has completed.
+       *
+       * @instance
+       * @returns {promise} A promise of the widgets rendered for each item
+       */
+      updateVirtualRange: function alfresco_lists_views__VirtualScrollMixin__updateVirtualRange() {
+         if (this._virtualRendering)
+         {
+            this._virtualRangeStale = true;
+            return this._virtualRendering;
+         }
+
+         var range = this.calculateVirtualRange();
+         for (var rowIndex in this._virtualRows)
+         {
+            if (this._virtualRows.hasOwnProperty(rowIndex))
+            {
+               var row = this._virtualRows[rowIndex];
+               if ((row.index < range.start || row.index >= range.end) && !this.isVirtualRowFocused(row))
+               {
+                  this.destroyVirtualRow(row);
+               }
+            }
+         }
+
+         var promisedRows = [];
+         for (var i = range.start; i < range.end; i++)
+         {
+            if (!this._virtualRows[i])
+            {
+               promisedRows.push(this.renderVirtualRow(i, this.getVirtualRowItems(i)));
+            }
+         }
+
+         this._virtualRendering = Promise.all(promisedRows).then(lang.hitch(this, this.onVirtualRowsRendered));
+         return this._virtualRendering;
+      },
+
+      /**
+       * Called when the rows requested by [updateVirtualRange]{@link module:alfresco/lists/views/_VirtualScrollMixin#updateVirtualRange}
+       * have been rendered. The rows are arranged in order, separated by spacers for the rows that have not been rendered,
+       * and the selection state is applied to them. A custom "onVirtualRowsRendered" event is emitted so that the
+       * view can update the layout of the new rows.
+       *
+       * @instance
+       * @param {object[]} rows The rows that have been rendered
+       * @returns {object[]|promise} The widgets rendered for each item (or the promise of a further update)
+       */
+      onVirtualRowsRendered: function alfresco_lists_views__VirtualScrollMixin__onVirtualRowsRendered(rows) {
+         this._virtualRendering = null;
+         if (this._beingDestroyed)
+         {
+            array.forEach(rows, this.destroyVirtualRow, this);
+            return [];
+         }
+
+         // Rows rendered for data that has since changed are discarded and rendered again...
+         array.forEach(rows, function(row) {
+            if (this.isVirtualRowCurrent(row))
+            {
+               this._virtualRows[row.index] = row;
+            }
+            else
+            {
+               this.destroyVirtualRow(row);
+               this._virtualRangeStale = true;
+            }
+         }, this);
+         rows = array.filter(rows, function(row) {
+            return this._virtualRows[row.index] === row;
+         }, this);
+         this.arrangeVirtualRows();
+         this.applyVirtualSelection(rows);
+
+         this._renderedItemWidgets = [];
+         array.forEach(this.getSortedVirtualRows(), function(row) {
+            this._renderedItemWidgets = this._renderedItemWidgets.concat(row.itemWidgets);
+         }, this);
+
+         on.emit(this.domNode, "onVirtualRowsRendered", {
+            bubbles: true,
+            cancelable: true,
+            rows: rows
+         });
+
+         if (this._virtualRangeStale)
+         {
+            this._virtualRangeStale = false;
+            return this.updateVirtualRange();
+         }
+         return this._renderedItemWidgets;
+      },
+
+      /**
+       * Renders the items for a single row. This can be overridden by modules that need to create
+       * additional DOM elements for each row.
+       *
+       * @instance
+       * @overridable
+       * @param {number} rowIndex The index of the row to render
+       * @param {object[]} items The items to render in the row
+       * @returns {promise} A promise of the rendered row
+       */
+      renderVirtualRow: function alfresco_lists_views__VirtualScrollMixin__renderVirtualRow(rowIndex, items) {
+         var row = this.createVirtualRow(rowIndex, items);
+         var promisedItems = array.map(items, function(item, index) {
+            return this.renderVirtualItem(row, item, (rowIndex * this.getVirtualItemsPerRow()) + index, this.containerNode);
+         }, this);
+         return Promise.all(promisedItems).then(function(itemWidgets) {
+            row.itemWidgets = itemWidgets;
+            array.forEach(itemWidgets, function(widgets) {
+               array.forEach(widgets, function(widget) {
+                  row.nodes.push(widget.domNode);
+               });
+            });
+            return row;
+         });
+      },
+
+      /**
+       * Creates the object used to record the widgets, DOM nodes and subscriptions of a rendered row.
+       *
+       * @instance
+       * @param {number} rowIndex The index of the row
+       * @param {object[]} items The items in the row
+       * @returns {object} The row
+       */
+      createVirtualRow: function alfresco_lists_views__VirtualScrollMixin__createVirtualRow(rowIndex, items) {
+         return {
+            index: rowIndex,
+            items: items,
+            itemWidgets: [],
+            nodes: [],
+            extraNodes: [],
+            subscriptions: []
+         };
+      },
+
+      /**
+       * Creates the widgets for a single item and adds them to the supplied DOM node.
+       *
+       * @instance
+       * @param {object} row The row that the item is rendered in
+       * @param {object} item The item to render
+       * @param {number} index The index of the item in the data
+       * @param {element} targetNode The DOM node to add the widgets to
+       * @returns {promise} A promise of the widgets created for the item
+       */
+      renderVirtualItem: function alfresco_lists_views__VirtualScrollMixin__renderVirtualItem(row, item, index, targetNode) {
+         var promisedWidgets;
+         if (item === RenderAppendixSentinel)
+         {
+            promisedWidgets = this.widgetsForAppendix ? this.createChildren({
+               widgets: this.widgetsForAppendix,
+               targetNode: targetNode
+            }) : Promise.resolve([]);
+         }
+         else
+         {
+            if (typeof item.index === "undefined")
+            {
+               item.index = index;
+            }
+            item.isLastItem = (index === this.getVirtualItems().length - 1);
+            this.currentItem = item;
+            this.currentIndex = index;
+            promisedWidgets = this.createChildren({
+               widgets: JSON.parse(JSON.stringify(this.widgets)),
+               targetNode: targetNode
+            }).then(lang.hitch(this, function(widgets) {
+               if (!this.rootWidgetSubscriptions)
+               {
+                  this.rootWidgetSubscriptions = [];
+               }
+               var subscriptionCount = this.rootWidgetSubscriptions.length;
+               array.forEach(widgets, this.rootWidgetProcessing, this);
+               row.subscriptions = row.subscriptions.concat(this.rootWidgetSubscriptions.splice(subscriptionCount));
+               return widgets;
+            }));
+            this.currentItem = null;
+         }
+         return promisedWidgets;
+      },
+
+      /**
+       * Destroys the widgets, DOM nodes and subscriptions of the supplied row.
+       *
+       * @instance
+       * @param {object} row The row to destroy
+       */
+      destroyVirtualRow: function alfresco_lists_views__VirtualScrollMixin__destroyVirtualRow(row) {
+         array.forEach(row.subscriptions, function(handle) {
+            typeof handle.remove === "function" && handle.remove();
+         });
+         array.forEach(row.itemWidgets, function(widgets) {
+            array.forEach(widgets, function(widget) {
+               if (widget === this.focusedChild)
+               {
+                  this.focusedChild = null;
+               }
+               typeof widget.destroyRecursive === "function" && widget.destroyRecursive();
+            }, this);
+         }, this);
+         array.forEach(row.nodes.concat(row.extraNodes), function(node) {
+            domConstruct.destroy(node);
+         });
+         if (this._virtualRows[row.index] === row)
+         {
+            delete this._virtualRows[row.index];
+         }
+      },
+
+      /**
+       * Returns the rendered rows in index order.
+       *
+       * @instance
+       * @returns {object[]} The rendered rows
+       */
+      getSortedVirtualRows: function alfresco_lists_views__VirtualScrollMixin__getSortedVirtualRows() {
+         var rows = [];
+         for (var rowIndex in this._virtualRows)
+         {
+            if (this._virtualRows.hasOwnProperty(rowIndex))
+            {
+               rows.push(this._virtualRows[rowIndex]);
+            }
+         }
+         return rows.sort(function(a, b) {
+            return a.index - b.index;
+         });
+      },
+
+      /**
+       * Indicates whether or not the supplied row contains the focused element.
+       *
+       * @instance
+       * @param {object} row The row to check
+       * @returns {boolean} true if the row contains the focused element
+       */
+      isVirtualRowFocused: function alfresco_lists_views__VirtualScrollMixin__isVirtualRowFocused(row) {
+         return array.some(row.nodes, function(node) {
+            return node.contains(document.activeElement);
+         });
+      },
+
+      /**
+       * Places the rendered rows in index order with a spacer for each gap of rows that are not rendered. The DOM
+       * node containing the focused element is never moved (as this would cause it to lose focus), the other nodes
+       * are placed around it.
+       *
+       * @instance
+       */
+      arrangeVirtualRows: function alfresco_lists_views__VirtualScrollMixin__arrangeVirtualRows() {
+         var rowHeight = this.getVirtualRowHeight(),
+             rowCount = this.getVirtualRowCount(),
+             columnCount = this.getVirtualColumnCount(),
+             nodes = [],
+             spacerCount = 0,
+             previousIndex = -1;
+         var addSpacer = lang.hitch(this, function(height) {
+            var spacer = this._virtualSpacers[spacerCount] || this.createVirtualSpacer();
+            this._virtualSpacers[spacerCount++] = spacer;
+            spacer.cells[0].colSpan = columnCount;
+            domStyle.set(spacer, "height", Math.round(height) + "px");
+            nodes.push(spacer);
+         });
+         array.forEach(this.getSortedVirtualRows(), function(row) {
+            var missingRows = row.index - previousIndex - 1;
+            if (missingRows > 0)
+            {
+               addSpacer(missingRows * rowHeight);
+
+               // Keep each row at a position with the same parity as its index so that alternating
+               // row styles (such as zebra striping) do not change as the list is scrolled...
+               (nodes.length % 2 !== row.index % 2) && addSpacer(0);
+            }
+            nodes = nodes.concat(row.nodes, row.extraNodes);
+            previousIndex = row.index;
+         });
+         (rowCount - previousIndex - 1 > 0) && addSpacer((rowCount - previousIndex - 1) * rowHeight);
+         array.forEach(this._virtualSpacers.splice(spacerCount), function(spacer) {
+            domConstruct.destroy(spacer);
+         });
+
+         var anchorIndex = -1;
+         array.some(nodes, function(node, index) {
+            var focused = node.contains(document.activeElement);
+            focused && (anchorIndex = index);
+            return focused;
+         });
+
+         var previous = nodes[anchorIndex] || null;
+         for (var i = anchorIndex + 1; i < nodes.length; i++)
+         {
+            if (!previous && this.containerNode.firstChild !== nodes[i])
+            {
+               domConstruct.place(nodes[i], this.containerNode, "first");
+            }
+            else if (previous && previous.nextSibling !== nodes[i])
+            {
+               domConstruct.place(nodes[i], previous, "after");
+            }
+            previous = nodes[i];
+         }
+         var next = nodes[anchorIndex];
+         for (var j = anchorIndex - 1; j >= 0; j--)
+         {
+            if (next.previousSibling !== nodes[j])
+            {
+               domConstruct.place(nodes[j], next, "before");
+            }
+            next = nodes[j];
+         }
+      },
+
+      /**
+       * Creates a spacer row that is used to fill the space of rows that are not rendered.
+       *
+       * @instance
+       * @returns {element} The spacer row
+       */
+      createVirtualSpacer: function alfresco_lists_views__VirtualScrollMixin__createVirtualSpacer() {
+         var spacer = domConstruct.create("tr", {
+            className: "alfresco-lists-views-_VirtualScrollMixin__spacer",
+            "aria-hidden": "true"
+         });
+         domConstruct.create("td", {
+            className: "alfresco-lists-views-_VirtualScrollMixin__spacer-cell"
+         }, spacer);
+         return spacer;
+      },
+
+      /**
+       * Returns the number of columns that a spacer row should span. By default this is the number of
+       * cells in the first rendered row.
+       *
+       * @instance
+       * @overridable
+       * @returns {number} The number of columns
+       */
+      getVirtualColumnCount: function alfresco_lists_views__VirtualScrollMixin__getVirtualColumnCount() {
+         var columnCount = 1;
+         array.some(this.getSortedVirtualRows(), function(row) {
+            var cells = row.nodes.length && row.nodes[0].cells;
+            cells && cells.length && (columnCount = cells.length);
+            return !!cells;
+         });
+         return columnCount;
+      },
+
+      /**
+       * Handles scroll and resize events by updating the rendered range. Updates are throttled so that
+       * they are not performed for every event.
+       *
+       * @instance
+       */
+      onVirtualScroll: function alfresco_lists_views__VirtualScrollMixin__onVirtualScroll() {
+         funcUtils.throttle({
+            name: "ALF_VIRTUAL_SCROLL",
+            filter: this,
+            timeoutMs: 50,
+            func: lang.hitch(this, function() {
+               if (!this._beingDestroyed)
+               {
+                  this.updateVirtualRange();
+               }
+            })
+         });
+      },
+
+      /**
+       * Extends the [inherited function]{@link external:dijit/_KeyNavContainer#focusNext} to move focus to the
+       * next item in the data when using virtual scrolling.
+       *
+       * @instance
+       */
+      focusNext: function alfresco_lists_views__VirtualScrollMixin__focusNext() {
+         if (this.useVirtualScroll)
+         {
+            this.moveVirtualFocus(1);
+         }
+         else
+         {
+            this.inherited(arguments);
+         }
+      },
+
+      /**
+       * Extends the [inherited function]{@link external:dijit/_KeyNavContainer#focusPrev} to move focus to the
+       * previous item in the data when using virtual scrolling.
+       *
+       * @instance
+       */
+      focusPrev: function alfresco_lists_views__VirtualScrollMixin__focusPrev() {
+         if (this.useVirtualScroll)
+         {
+            this.moveVirtualFocus(-1);
+         }
+         else
+         {
+            this.inherited(arguments);
+         }
+      },
+
+      /**
+       * Moves the focus by the supplied number of items from the currently focused item. Focus does not
+       * wrap from the last item to the first (or vice versa) because the items at the other end of the
+       * data are not rendered.
+       *
+       * @instance
+       * @param {number} offset The number of items to move focus by
+       */
+      moveVirtualFocus: function alfresco_lists_views__VirtualScrollMixin__moveVirtualFocus(offset) {
+         var currentIndex = this.findVirtualWidgetIndex(this.focusedChild);
+         if (currentIndex === -1)
+         {
+            currentIndex = this._virtualFocusIndex;
+         }
+         var targetIndex = currentIndex === -1 ? 0 : currentIndex + offset;
+         targetIndex = Math.max(0, Math.min(this.getVirtualItems().length - 1, targetIndex));
+         if (targetIndex !== currentIndex)
+         {
+            this.focusVirtualItem(targetIndex);
+         }
+      },
+
+      /**
+       * Brings the item at the supplied index into view and focuses it.
+       *
+       * @instance
+       * @param {number} index The index of the item to focus
+       * @returns {promise} A promise of the item being focused
+       */
+      focusVirtualItem: function alfresco_lists_views__VirtualScrollMixin__focusVirtualItem(index) {
+         return this.bringVirtualIndexIntoView(index).then(lang.hitch(this, function(widget) {
+            if (widget)
+            {
+               this._virtualFocusIndex = index;
+               this.focusVirtualWidget(widget);
+            }
+            return widget;
+         }));
+      },
+
+      /**
+       * Focuses the supplied widget. This can be overridden by modules that handle focus differently.
+       *
+       * @instance
+       * @overridable
+       * @param {object} widget The widget to focus
+       */
+      focusVirtualWidget: function alfresco_lists_views__VirtualScrollMixin__focusVirtualWidget(widget) {
+         this.focusChild(widget);
+      },
+
+      /**
+       * Scrolls the row containing the item at the supplied index into view (rendering it if necessary).
+       *
+       * @instance
+       * @param {number} index The index of the item
+       * @returns {promise} A promise of the first widget rendered for the item
+       */
+      bringVirtualIndexIntoView: function alfresco_lists_views__VirtualScrollMixin__bringVirtualIndexIntoView(index) {
+         var rowIndex = Math.floor(index / this.getVirtualItemsPerRow()),
+             rowHeight = this.getVirtualRowHeight(),
+             viewport = this.getVirtualViewport(),
+             rowTop = viewport.contentTop + (rowIndex * rowHeight);
+         if (rowTop < viewport.scrollTop)
+         {
+            this.setVirtualScrollTop(rowTop);
+         }
+         else if (rowTop + rowHeight > viewport.scrollTop + viewport.height)
+         {
+            this.setVirtualScrollTop(rowTop + rowHeight - viewport.height);
+         }
+
+         return Promise.resolve(this._virtualRendering).then(lang.hitch(this, this.updateVirtualRange)).then(lang.hitch(this, function() {
+            var row = this._virtualRows[rowIndex],
+                widgets = row && row.itemWidgets[index - (rowIndex * this.getVirtualItemsPerRow())];
+            if (widgets && widgets.length)
+            {
+               // The rendered row may not be exactly where its height was estimated to be...
+               var nodeRect = widgets[0].domNode.getBoundingClientRect(),
+                   scrollRect = this.virtualScrollNode ? this.virtualScrollNode.getBoundingClientRect() : { top: 0, bottom: window.innerHeight };
+               if (nodeRect.top < scrollRect.top)
+               {
+                  this.setVirtualScrollTop(this.getVirtualViewport().scrollTop - (scrollRect.top - nodeRect.top));
+               }
+               else if (nodeRect.bottom > scrollRect.bottom)
+               {
+                  this.setVirtualScrollTop(this.getVirtualViewport().scrollTop + (nodeRect.bottom - scrollRect.bottom));
+               }
+            }
+            return widgets && widgets[0];
+         }));
+      },
+
+      /**
+       * Finds the index of the item with the supplied key.
+       *
+       * @instance
+       * @param {string} key The key of the item to find
+       * @returns {number} The index of the item (or -1 if it could not be found)
+       */
+      findVirtualItemIndex: function alfresco_lists_views__VirtualScrollMixin__findVirtualItemIndex(key) {
+         var foundIndex = -1;
+         array.some(this.getVirtualItems(), function(item, index) {
+            var itemKey = this.getVirtualItemKey(item);
+            if (itemKey !== null && itemKey === String(key))
+            {
+               foundIndex = index;
+            }
+            return foundIndex !== -1;
+         }, this);
+         return foundIndex;
+      },
+
+      /**
+       * Finds the index of the item rendered by the supplied widget.
+       *
+       * @instance
+       * @param {object} widget The widget to find
+       * @returns {number} The index of the item (or -1 if the widget is not a rendered item)
+       */
+      findVirtualWidgetIndex: function alfresco_lists_views__VirtualScrollMixin__findVirtualWidgetIndex(widget) {
+         var foundIndex = -1;
+         widget && array.some(this.getSortedVirtualRows(), function(row) {
+            return array.some(row.itemWidgets, function(widgets, index) {
+               if (array.indexOf(widgets, widget) !== -1)
+               {
+                  foundIndex = (row.index * this.getVirtualItemsPerRow()) + index;
+               }
+               return foundIndex !== -1;
+            }, this);
+         }, this);
+         return foundIndex;
+      },
+
+      /**
+       * Returns the key used to record the selection state of the supplied item.
+       *
+       * @instance
+       * @param {object} item The item
+       * @returns {string} The key (or null if the item does not have one)
+       */
+      getVirtualItemKey: function alfresco_lists_views__VirtualScrollMixin__getVirtualItemKey(item) {
+         var key = item && item !== RenderAppendixSentinel && lang.getObject(this.itemKey, false, item);
+         return (key || key === 0) ? String(key) : null;
+      },
+
+      /**
+       * Records the selection of an item.
+       *
+       * @instance
+       * @param {object} payload The selection payload
+       */
+      onVirtualItemSelected: function alfresco_lists_views__VirtualScrollMixin__onVirtualItemSelected(payload) {
+         var key = this.getVirtualItemKey(payload && payload.value);
+         if (key !== null)
+         {
+            this._virtualSelectedItems[key] = payload.value;
+         }
+      },
+
+      /**
+       * Records the de-selection of an item.
+       *
+       * @instance
+       * @param {object} payload The de-selection payload
+       */
+      onVirtualItemDeselected: function alfresco_lists_views__VirtualScrollMixin__onVirtualItemDeselected(payload) {
+         var key = this.getVirtualItemKey(payload && payload.value);
+         if (key !== null)
+         {
+            delete this._virtualSelectedItems[key];
+         }
+      },
+
+      /**
+       * Handles selection requests. Rendered items handle these requests themselves so this applies the request
+       * to the items that are not rendered and publishes their selection or de-selection.
+       *
+       * @instance
+       * @param {object} payload The selection request
+       * @fires module:alfresco/documentlibrary/_AlfDocumentListTopicMixin#documentSelectedTopic
+       * @fires module:alfresco/documentlibrary/_AlfDocumentListTopicMixin#documentDeselectedTopic
+       */
+      onVirtualSelectionUpdate: function alfresco_lists_views__VirtualScrollMixin__onVirtualSelectionUpdate(payload) {
+         if (payload && payload.selectedItems)
+         {
+            array.forEach(payload.selectedItems, function(item) {
+               this.onVirtualItemSelected({
+                  value: item
+               });
+            }, this);
+         }
+         else if (payload && payload.value)
+         {
+            var itemsPerRow = this.getVirtualItemsPerRow(),
+                selectedItems = [],
+                deselectedItems = [];
+            array.forEach(this.getVirtualItems(), function(item, index) {
+               var key = this.getVirtualItemKey(item);
+               if (key !== null && !this._virtualRows[Math.floor(index / itemsPerRow)])
+               {
+                  var selected = this._virtualSelectedItems.hasOwnProperty(key),
+                      select = this.isVirtualItemSelectedBy(payload.value, item, selected);
+                  select === true && !selected && selectedItems.push(item);
+                  select === false && selected && deselectedItems.push(item);
+               }
+            }, this);
+            array.forEach(selectedItems, function(item) {
+               this.alfPublish(this.documentSelectedTopic, {
+                  value: item
+               });
+            }, this);
+            array.forEach(deselectedItems, function(item) {
+               this.alfPublish(this.documentDeselectedTopic, {
+                  value: item
+               });
+            }, this);
+         }
+      },
+
+      /**
+       * Determines whether an item should be selected by a selection request (using the same rules as the
+       * [ItemSelectionMixin]{@link module:alfresco/lists/ItemSelectionMixin#onItemSelection}).
+       *
+       * @instance
+       * @param {string} selection The selection requested ("selectAll", "selectNone", "selectInvert",
+       * "selectFolders" or "selectDocuments")
+       * @param {object} item The item
+       * @param {boolean} selected Whether or not the item is currently selected
+       * @returns {boolean} true if the item should be selected, false if it should be de-selected and null if
+       * its selection should not change
+       */
+      isVirtualItemSelectedBy: function alfresco_lists_views__VirtualScrollMixin__isVirtualItemSelectedBy(selection, item, selected) {
+         var isContainer = lang.getObject("jsNode.isContainer", false, item),
+             result = null;
+         switch (selection)
+         {
+            case "selectAll":
+               result = true;
+               break;
+            case "selectNone":
+               result = false;
+               break;
+            case "selectInvert":
+               result = !selected;
+               break;
+            case "selectFolders":
+               result = item.jsNode ? !!isContainer : null;
+               break;
+            case "selectDocuments":
+               result = item.jsNode ? !isContainer : null;
+               break;
+         }
+         return result;
+      },
+
+      /**
+       * Shows the selected items in the supplied rows as being selected. This is done by calling the
+       * [onIndividualItemSelection]{@link module:alfresco/lists/ItemSelectionMixin#onIndividualItemSelection}
+       * function of each widget that supports it (rather than publishing the selection again).
+       *
+       * @instance
+       * @param {object[]} rows The rows that have been rendered
+       */
+      applyVirtualSelection: function alfresco_lists_views__VirtualScrollMixin__applyVirtualSelection(rows) {
+         array.forEach(rows, function(row) {
+            array.forEach(row.items, function(item, index) {
+               var key = this.getVirtualItemKey(item);
+               if (key !== null && this._virtualSelectedItems.hasOwnProperty(key))
+               {
+                  array.forEach(row.itemWidgets[index], function(rootWidget) {
+                     this.supportsItemSelection === true && domClass.add(rootWidget.domNode, "selected");
+                     var widgets = [rootWidget].concat(query("[widgetid]", rootWidget.domNode).map(registry.byNode));
+                     array.forEach(widgets, function(widget) {
+                        widget && typeof widget.onIndividualItemSelection === "function" && widget.onIndividualItemSelection(true, {
+                           value: item
+                        });
+                     });
+                  }, this);
+               }
+            }, this);
+         }, this);
+      },
+
+      /**
+       * Extends the inherited function to destroy the rendered rows.
+       *
+       * @instance
+       */
+      destroy: function alfresco_lists_views__VirtualScrollMixin__destroy() {
+         if (this._virtualRows)
+         {
+            array.forEach(this.getSortedVirtualRows(), this.destroyVirtualRow, this);
+         }
+         this.inherited(arguments);
+      }
+   });
+});
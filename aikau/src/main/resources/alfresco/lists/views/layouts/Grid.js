@@ -21,6 +21,9 @@
  * Use this widget to render a grid. Every widget rendered within it will be added so that if a row
  * contains the number of widgets defined by [columns]{@link module:alfresco/lists/views/layouts/Grid#columns]
  * a new row will be started for the next processed widget.
+ * When [useVirtualScroll]{@link module:alfresco/lists/views/_VirtualScrollMixin#useVirtualScroll} is configured
+ * then only the rows that are visible are rendered and the cursor keys move focus through all the items in the
+ * data (rather than wrapping within the rendered rows).
  *
  * @module alfresco/lists/views/layouts/Grid
  * @extends external:dijit/_WidgetBase
@@ -29,6 +32,7 @@
  * @mixes module:alfresco/lists/KeyboardNavigationSuppressionMixin
  * @mixes module:alfresco/core/Core
  * @mixes module:alfresco/lists/views/layouts/_LayoutMixin
+ * @mixes module:alfresco/lists/views/_VirtualScrollMixin
  * @author Dave Draper
  */
 define(["dojo/_base/declare",
@@ -41,6 +45,7 @@ define(["dojo/_base/declare",
         "alfresco/lists/views/layouts/_MultiItemRendererMixin",
         "alfresco/core/Core",
         "alfresco/lists/views/layouts/_LayoutMixin",
+        "alfresco/lists/views/_VirtualScrollMixin",
         "alfresco/core/WidgetsCreator",
         "dojo/keys",
         "dojo/on",
@@ -55,10 +60,10 @@ define(["dojo/_base/declare",
         "dijit/focus",
         "jquery"],
         function(declare, _WidgetBase, _TemplatedMixin, ResizeMixin, _KeyNavContainer, KeyboardNavigationSuppressionMixin, template, _MultiItemRendererMixin,
-                 AlfCore, _LayoutMixin, WidgetsCreator, keys, on, lang, array, domAttr, domClass, domConstruct, domGeom, domStyle,
+                 AlfCore, _LayoutMixin, _VirtualScrollMixin, WidgetsCreator, keys, on, lang, array, domAttr, domClass, domConstruct, domGeom, domStyle,
                  registry, focusUtil, $) {
 
-   return declare([_WidgetBase, _TemplatedMixin, ResizeMixin, _KeyNavContainer, _MultiItemRendererMixin, KeyboardNavigationSuppressionMixin, AlfCore, _LayoutMixin], {
+   return declare([_WidgetBase, _TemplatedMixin, ResizeMixin, _KeyNavContainer, _MultiItemRendererMixin, KeyboardNavigationSuppressionMixin, AlfCore, _LayoutMixin, _VirtualScrollMixin], {
 
       /**
        * An array of the CSS files to use with this widget.
@@ -292,6 +297,11 @@ define(["dojo/_base/declare",
                this.collapsePanel();
             }
          }));
+
+         if (this.useVirtualScroll)
+         {
+            this.setupVirtualScroll();
+         }
       },
 
 
@@ -319,6 +329,7 @@ define(["dojo/_base/declare",
 
             // NOTE: This needs to be done after resetting focus to prevent exceptions trying to
             //       blur a destroyed widget...
+            this.useVirtualScroll && this.releaseVirtualPanel();
             var widgets = registry.findWidgets(this.expandedPanel);
             array.forEach(widgets, function(widget) {
                widget.destroy();
@@ -375,6 +386,16 @@ define(["dojo/_base/declare",
                var forWidgets = domConstruct.create("div", {
                }, spanningCell);
 
+               // When only visible rows are rendered the panel needs to be kept with its row...
+               if (this.useVirtualScroll)
+               {
+                  array.some(this.getSortedVirtualRows(), function(virtualRow) {
+                     var match = virtualRow.nodes[0] === row;
+                     match && virtualRow.extraNodes.push(this.expandedPanel);
+                     return match;
+                  }, this);
+               }
+
                if (payload.widgets)
                {
                   this._lastExpandedWidgets = payload.widgets;
@@ -404,10 +425,24 @@ define(["dojo/_base/declare",
        * @instance
        */
       setupKeyboardNavigation: function alfresco_lists_views_layouts_Grid__setupKeyboardNavigation() {
-         this._keyNavCodes[keys.UP_ARROW] = lang.hitch(this, this.focusOnCellAbove);
-         this._keyNavCodes[keys.RIGHT_ARROW] = lang.hitch(this, this.focusOnCellRight);
-         this._keyNavCodes[keys.DOWN_ARROW] = lang.hitch(this, this.focusOnCellBelow);
-         this._keyNavCodes[keys.LEFT_ARROW] = lang.hitch(this, this.focusOnCellLeft);
+         if (this.useVirtualScroll)
+         {
+            this._keyNavCodes[keys.UP_ARROW] = lang.hitch(this, function() {
+               this.moveVirtualFocus(-this.columns);
+            });
+            this._keyNavCodes[keys.RIGHT_ARROW] = lang.hitch(this, this.moveVirtualFocus, 1);
+            this._keyNavCodes[keys.DOWN_ARROW] = lang.hitch(this, function() {
+               this.moveVirtualFocus(this.columns);
+            });
+            this._keyNavCodes[keys.LEFT_ARROW] = lang.hitch(this, this.moveVirtualFocus, -1);
+         }
+         else
+         {
+            this._keyNavCodes[keys.UP_ARROW] = lang.hitch(this, this.focusOnCellAbove);
+            this._keyNavCodes[keys.RIGHT_ARROW] = lang.hitch(this, this.focusOnCellRight);
+            this._keyNavCodes[keys.DOWN_ARROW] = lang.hitch(this, this.focusOnCellBelow);
+            this._keyNavCodes[keys.LEFT_ARROW] = lang.hitch(this, this.focusOnCellLeft);
+         }
       },
 
       /**
@@ -586,18 +621,27 @@ define(["dojo/_base/declare",
                      // re-render the layout, so the existing widgets need to be destroyed and then recreated
                      this.columns = columns;
 
-                     // Find and destroy all the existing widgetrs...
-                     var widgets = registry.findWidgets(this.containerNode);
-                     array.forEach(widgets, function(widget) {
-                        widget.destroy();
-                     });
-                     domConstruct.empty(this.containerNode);
+                     if (this.useVirtualScroll)
+                     {
+                        // Only the rendered rows need to be destroyed and re-rendered for the new columns...
+                        array.forEach(this.getSortedVirtualRows(), this.destroyVirtualRow, this);
+                        this.renderVirtualData();
+                     }
+                     else
+                     {
+                        // Find and destroy all the existing widgetrs...
+                        var widgets = registry.findWidgets(this.containerNode);
+                        array.forEach(widgets, function(widget) {
+                           widget.destroy();
+                        });
+                        domConstruct.empty(this.containerNode);
                      
-                     this._lastExpandedItemKey = this.expandedItemKey;
-                     this.collapsePanel();
+                        this._lastExpandedItemKey = this.expandedItemKey;
+                        this.collapsePanel();
 
-                     // Re-render the data for the new columns...
-                     this.renderData();
+                        // Re-render the data for the new columns...
+                        this.renderData();
+                     }
                   }
 
                   // Resize the cells and widgets...
@@ -618,7 +662,8 @@ define(["dojo/_base/declare",
        * @param {number} index The current index of the element in the array
        */
       resizeCell: function alfresco_lists_views_layouts_Grid__resizeCell(containerNodeMarginBox, widthToSet, index, node /*jshint unused:false*/) {
-         if (!domClass.contains(node.parentNode, "alfresco-lists-views-layouts-Grid__expandedPanel"))
+         if (!domClass.contains(node.parentNode, "alfresco-lists-views-layouts-Grid__expandedPanel") &&
+             !domClass.contains(node.parentNode, "alfresco-lists-views-_VirtualScrollMixin__spacer"))
          {
             domStyle.set(node, {"width": widthToSet});
             var dimensions = {
@@ -700,6 +745,147 @@ define(["dojo/_base/declare",
          return domConstruct.create("DIV", {}, nodeToAdd);
       },
 
+      /**
+       * Overrides the [mixed in function]{@link module:alfresco/lists/views/_VirtualScrollMixin#getVirtualItemsPerRow}
+       * to return the number of [columns]{@link module:alfresco/lists/views/layouts/Grid#columns}.
+       *
+       * @instance
+       * @returns {number} The number of items in each row
+       * @since 1.0.106
+       */
+      getVirtualItemsPerRow: function alfresco_lists_views_layouts_Grid__getVirtualItemsPerRow() {
+         return this.columns;
+      },
+
+      /**
+       * Overrides the [mixed in function]{@link module:alfresco/lists/views/_VirtualScrollMixin#getVirtualColumnCount}
+       * to return the number of [columns]{@link module:alfresco/lists/views/layouts/Grid#columns}.
+       *
+       * @instance
+       * @returns {number} The number of columns
+       * @since 1.0.106
+       */
+      getVirtualColumnCount: function alfresco_lists_views_layouts_Grid__getVirtualColumnCount() {
+         return this.columns;
+      },
+
+      /**
+       * Overrides the [mixed in function]{@link module:alfresco/lists/views/_VirtualScrollMixin#renderVirtualRow}
+       * to create a new table row with a cell for each item. Empty cells are added to complete the last row.
+       *
+       * @instance
+       * @param {number} rowIndex The index of the row to render
+       * @param {object[]} items The items to render in the row
+       * @returns {promise} A promise of the rendered row
+       * @since 1.0.106
+       */
+      renderVirtualRow: function alfresco_lists_views_layouts_Grid__renderVirtualRow(rowIndex, items) {
+         if (!this.gridCellMapping)
+         {
+            this.gridCellMapping = {};
+         }
+
+         var row = this.createVirtualRow(rowIndex, items),
+             rowNode = domConstruct.create("TR", {}, this.containerNode);
+         row.nodes.push(rowNode);
+
+         var promisedItems = array.map(items, function(item, column) {
+            var cell = domConstruct.create("TD", {
+               className: "alfresco-lists-views-layouts-Grid__cell"
+            }, rowNode);
+            var itemKey = this.itemKeyProperty && lang.getObject(this.itemKeyProperty, false, item);
+            if (itemKey)
+            {
+               this.gridCellMapping[itemKey] = cell;
+            }
+            return this.renderVirtualItem(row, item, (rowIndex * this.columns) + column, cell);
+         }, this);
+
+         for (var i = items.length; i < this.columns; i++)
+         {
+            domConstruct.create("TD", {
+               className: "alfresco-lists-views-layouts-Grid__emptyCell"
+            }, rowNode);
+         }
+
+         return Promise.all(promisedItems).then(function(itemWidgets) {
+            row.itemWidgets = itemWidgets;
+            return row;
+         });
+      },
+
+      /**
+       * Extends the [mixed in function]{@link module:alfresco/lists/views/_VirtualScrollMixin#destroyVirtualRow}
+       * to remove the cells of the row from the [gridCellMapping]{@link module:alfresco/lists/views/layouts/Grid#gridCellMapping}
+       * and to destroy the [expandedPanel]{@link module:alfresco/lists/views/layouts/Grid#expandedPanel} if it
+       * is displayed below the row.
+       *
+       * @instance
+       * @param {object} row The row to destroy
+       * @since 1.0.106
+       */
+      destroyVirtualRow: function alfresco_lists_views_layouts_Grid__destroyVirtualRow(row) {
+         if (this.expandedPanel && array.indexOf(row.extraNodes, this.expandedPanel) !== -1)
+         {
+            // Focus is not restored to the expanded cell because it is being destroyed...
+            array.forEach(registry.findWidgets(this.expandedPanel), function(widget) {
+               widget.destroy();
+            });
+            this.expandedPanel = null;
+            this.expandedItemKey = null;
+         }
+         array.forEach(row.items, function(item) {
+            var itemKey = this.itemKeyProperty && lang.getObject(this.itemKeyProperty, false, item);
+            if (itemKey && this.gridCellMapping)
+            {
+               delete this.gridCellMapping[itemKey];
+            }
+         }, this);
+         this.inherited(arguments);
+      },
+
+      /**
+       * Removes the [expandedPanel]{@link module:alfresco/lists/views/layouts/Grid#expandedPanel} from the
+       * row that it was displayed below when it is collapsed.
+       *
+       * @instance
+       * @since 1.0.106
+       */
+      releaseVirtualPanel: function alfresco_lists_views_layouts_Grid__releaseVirtualPanel() {
+         array.forEach(this.getSortedVirtualRows(), function(row) {
+            row.extraNodes = array.filter(row.extraNodes, function(node) {
+               return node !== this.expandedPanel;
+            }, this);
+         }, this);
+      },
+
+      /**
+       * Overrides the [mixed in function]{@link module:alfresco/lists/views/_VirtualScrollMixin#focusVirtualWidget}
+       * to focus the widget using [focusOnCell]{@link module:alfresco/lists/views/layouts/Grid#focusOnCell}.
+       *
+       * @instance
+       * @param {object} widget The widget to focus
+       * @since 1.0.106
+       */
+      focusVirtualWidget: function alfresco_lists_views_layouts_Grid__focusVirtualWidget(widget) {
+         this.focusOnCell(widget);
+      },
+
+      /**
+       * Extends the [mixed in function]{@link module:alfresco/lists/views/_VirtualScrollMixin#onVirtualRowsRendered}
+       * to size the cells of the newly rendered rows.
+       *
+       * @instance
+       * @param {object[]} rows The rows that have been rendered
+       * @returns {object[]|promise} The widgets rendered for each item (or the promise of a further update)
+       * @since 1.0.106
+       */
+      onVirtualRowsRendered: function alfresco_lists_views_layouts_Grid__onVirtualRowsRendered(/*jshint unused:false*/ rows) {
+         var renderedWidgets = this.inherited(arguments);
+         this._beingDestroyed || this.resizeCells();
+         return renderedWidgets;
+      },
+
       /**
        * Extends the [mixed in function]{@link module:alfresco/lists/views/layouts/_MultiItemRendererMixin#renderData}
        * to reset the [gridCellMapping]{@link module:alfresco/lists/views/layouts/Grid#gridCellMapping} in preparation
@@ -0,0 +1,265 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * <p>This widget is used by the [ListRenderer]{@link module:alfresco/lists/views/ListRenderer} to render a
+ * header row for each group of items when a [view]{@link module:alfresco/lists/views/AlfListView} is configured
+ * with [groupBy]{@link module:alfresco/lists/views/AlfListView#groupBy} data. The
+ * [currentItem]{@link module:alfresco/core/CoreWidgetProcessing#currentItem} is the group being rendered (rather
+ * than an item from the list) and the row will display the value that the items were grouped on, the number of items
+ * in the group and any aggregate values that were calculated for it. Any additional widgets configured will
+ * be rendered after the summary and will be passed the group as their currentItem.</p>
+ * <p>The group can be expanded and collapsed by clicking on the row or by using the keyboard when the row has focus
+ * (enter or space toggles the group, the left arrow key collapses it and the right arrow key expands it).</p>
+ * 
+ * @module alfresco/lists/views/layouts/GroupHeaderRow
+ * @extends module:aikau/core/BaseWidget
+ * @mixes module:aikau/core/ChildProcessing
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["dojo/_base/declare",
+        "aikau/core/BaseWidget",
+        "aikau/core/ChildProcessing",
+        "dojo/_base/array",
+        "dojo/_base/event",
+        "dojo/_base/lang",
+        "dojo/keys",
+        "dojo/on"], 
+        function(declare, BaseWidget, ChildProcessing, array, event, lang, keys, on) {
+
+   return declare([BaseWidget, ChildProcessing], {
+
+      /**
+       * An array of the i18n files to use with this widget.
+       *
+       * @instance
+       * @type {object[]}
+       * @default [{i18nFile: "./i18n/GroupHeaderRow.properties"}]
+       */
+      i18nRequirements: [{i18nFile: "./i18n/GroupHeaderRow.properties"}],
+
+      /**
+       * An array of the CSS files to use with this widget.
+       * 
+       * @instance
+       * @type {object[]}
+       * @default [{cssFile:"./css/GroupHeaderRow.css"}]
+       */
+      cssRequirements: [{cssFile:"./css/GroupHeaderRow.css"}],
+
+      /**
+       * Indicates whether or not the items in the group are currently hidden. This will be set by the
+       * [ListRenderer]{@link module:alfresco/lists/views/ListRenderer} and should not be configured.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       */
+      collapsed: false,
+
+      /**
+       * The label to display when the items in the group do not have a value for the grouped property.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       */
+      noValueLabel: "group.header.no.value.label",
+
+      /**
+       * Indicates whether or not the number of items in the group should be displayed.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       */
+      showCount: true,
+
+      /**
+       * Any additional widgets to render in the header row. These will be passed the group as their
+       * currentItem so they can render the "value", "count" or "aggregateValues" of the group.
+       *
+       * @instance
+       * @type {object[]}
+       * @default
+       */
+      widgets: null,
+
+      /**
+       * Overrides [the inherited function]{@link module:aikau/core/BaseWidget#createWidgetDom}
+       * to construct the DOM for the widget using native browser capabilities.
+       *
+       * @instance
+       */
+      createWidgetDom: function alfresco_lists_views_layouts_GroupHeaderRow__createWidgetDom() {
+         this.domNode = document.createElement("tr");
+         this.domNode.classList.add("alfresco-lists-views-layouts-GroupHeaderRow");
+         this.domNode.setAttribute("tabindex", "0");
+         this._attach(this.domNode, "ondijitclick", lang.hitch(this, this.onToggleClick));
+         this._attach(this.domNode, "onkeydown", lang.hitch(this, this.onKeyDown));
+
+         this.cellNode = document.createElement("td");
+         this.cellNode.classList.add("alfresco-lists-views-layouts-GroupHeaderRow__cell");
+         this.domNode.appendChild(this.cellNode);
+
+         this.toggleNode = document.createElement("span");
+         this.toggleNode.classList.add("alfresco-lists-views-layouts-GroupHeaderRow__toggle");
+         this.cellNode.appendChild(this.toggleNode);
+
+         this.labelNode = document.createElement("span");
+         this.labelNode.classList.add("alfresco-lists-views-layouts-GroupHeaderRow__label");
+         this.cellNode.appendChild(this.labelNode);
+
+         this.countNode = document.createElement("span");
+         this.countNode.classList.add("alfresco-lists-views-layouts-GroupHeaderRow__count");
+         this.cellNode.appendChild(this.countNode);
+
+         this.aggregatesNode = document.createElement("span");
+         this.aggregatesNode.classList.add("alfresco-lists-views-layouts-GroupHeaderRow__aggregates");
+         this.cellNode.appendChild(this.aggregatesNode);
+
+         this.containerNode = document.createElement("span");
+         this.containerNode.classList.add("alfresco-lists-views-layouts-GroupHeaderRow__widgets");
+         this.cellNode.appendChild(this.containerNode);
+      },
+
+      /**
+       * Renders the group summary and any additional [widgets]{@link module:alfresco/lists/views/layouts/GroupHeaderRow#widgets}.
+       * 
+       * @instance
+       */
+      postCreate: function alfresco_lists_views_layouts_GroupHeaderRow__postCreate() {
+         this.renderGroup();
+         this.setCollapsed(this.collapsed);
+         if (this.widgets)
+         {
+            this.createChildren({
+               widgets: this.widgets,
+               targetNode: this.containerNode
+            });
+         }
+      },
+
+      /**
+       * Updates the summary of the group. This is called when the widget is created and can be called again
+       * when the items in the group change (e.g. when more items are added by infinite scrolling).
+       * 
+       * @instance
+       */
+      renderGroup: function alfresco_lists_views_layouts_GroupHeaderRow__renderGroup() {
+         var group = this.currentItem || {};
+         var hasValue = group.value !== null && typeof group.value !== "undefined" && group.value !== "";
+         this.labelNode.textContent = hasValue ? group.value : this.message(this.noValueLabel);
+
+         var count = group.totalCount || group.count || 0;
+         this.countNode.textContent = this.showCount ? this.message("group.header.count", {0: count}) : "";
+
+         this.aggregatesNode.textContent = array.map(group.aggregates || [], function(aggregate) {
+            var value = aggregate.value === null ? "" : aggregate.value;
+            return this.message("group.header.aggregate", {0: this.message(aggregate.label || aggregate.name), 1: value});
+         }, this).join(", ");
+      },
+
+      /**
+       * Sets the number of columns that the header row should span.
+       * 
+       * @instance
+       * @param {number} columnCount The number of columns
+       */
+      setColumnCount: function alfresco_lists_views_layouts_GroupHeaderRow__setColumnCount(columnCount) {
+         this.cellNode.setAttribute("colspan", columnCount || 1);
+      },
+
+      /**
+       * Updates the display to reflect whether or not the group is collapsed.
+       * 
+       * @instance
+       * @param {boolean} collapsed Whether or not the group is collapsed
+       */
+      setCollapsed: function alfresco_lists_views_layouts_GroupHeaderRow__setCollapsed(collapsed) {
+         this.collapsed = !!collapsed;
+         this.domNode.classList[this.collapsed ? "add" : "remove"]("alfresco-lists-views-layouts-GroupHeaderRow--collapsed");
+         this.domNode.setAttribute("aria-expanded", this.collapsed ? "false" : "true");
+      },
+
+      /**
+       * Emits a custom "onGroupToggle" event for the [ListRenderer]{@link module:alfresco/lists/views/ListRenderer}
+       * to handle so that it can show or hide the items in the group.
+       * 
+       * @instance
+       * @param {boolean} collapsed Whether or not the group should be collapsed
+       */
+      toggleGroup: function alfresco_lists_views_layouts_GroupHeaderRow__toggleGroup(collapsed) {
+         this.setCollapsed(collapsed);
+         on.emit(this.domNode, "onGroupToggle", {
+            bubbles: true,
+            cancelable: true,
+            group: this.currentItem,
+            collapsed: this.collapsed
+         });
+      },
+
+      /**
+       * Handles clicks (and enter or space key presses) on the row by toggling the group and requesting focus
+       * from the renderer.
+       * 
+       * @instance
+       * @param {object} evt The click event
+       */
+      onToggleClick: function alfresco_lists_views_layouts_GroupHeaderRow__onToggleClick(evt) {
+         this.toggleGroup(!this.collapsed);
+         on.emit(this.domNode, "onItemFocused", {
+            bubbles: true,
+            cancelable: true,
+            item: this
+         });
+         event.stop(evt);
+      },
+
+      /**
+       * Handles the left and right arrow keys to collapse and expand the group.
+       * 
+       * @instance
+       * @param {object} evt The keydown event
+       */
+      onKeyDown: function alfresco_lists_views_layouts_GroupHeaderRow__onKeyDown(evt) {
+         if (evt.keyCode === keys.LEFT_ARROW || evt.keyCode === keys.RIGHT_ARROW)
+         {
+            var collapsed = evt.keyCode === keys.LEFT_ARROW;
+            if (collapsed !== this.collapsed)
+            {
+               this.toggleGroup(collapsed);
+            }
+            event.stop(evt);
+         }
+      },
+
+      /**
+       * Focuses the domNode. This has been added to support the dijit/_KeyNavContainer functions mixed into 
+       * the [ListRenderer]{@link module:alfresco/lists/views/ListRenderer} so that group headers are included
+       * in keyboard navigation.
+       * 
+       * @instance
+       */
+      focus: function alfresco_lists_views_layouts_GroupHeaderRow__focus() {
+         this.domNode.focus();
+      }
+   });
+});
@@ -18,7 +18,12 @@
  */
 
 /**
- * 
+ * <p>A header cell for tabular views that can be used to sort the list that it is in. When configured to
+ * support [multiple sort fields]{@link module:alfresco/lists/views/layouts/HeaderCell#multiSort} the column
+ * can be added to the current sort chain of an [AlfSortablePaginatedList]{@link module:alfresco/lists/AlfSortablePaginatedList}
+ * by holding down the shift key when clicking on the cell. The position of the column in the sort chain is
+ * shown when sorting on more than one field.</p>
+ *
  * @module alfresco/lists/views/layouts/HeaderCell
  * @extends module:aikau/core/BaseWidget
  * @author Dave Draper
@@ -27,11 +32,12 @@ define(["dojo/_base/declare",
         "aikau/core/BaseWidget",
         "alfresco/core/topics",
         "alfresco/util/hashUtils",
+        "alfresco/util/sortUtils",
         "dojo/_base/lang",
         "dojo/dom-class",
         "dojo/query",
         "dojo/dom-attr"], 
-        function(declare, BaseWidget, topics, hashUtils, lang, domClass, query, domAttr) {
+        function(declare, BaseWidget, topics, hashUtils, sortUtils, lang, domClass, query, domAttr) {
 
    return declare([BaseWidget], {
 
@@ -63,6 +69,53 @@ define(["dojo/_base/declare",
        */
       a11yScope: null,
 
+      /**
+       * An identifier for the column headed by this cell. This is used by views that allow their
+       * [column layout]{@link module:alfresco/lists/views/_ColumnLayoutMixin} to be changed to identify
+       * the column when the layout is saved. If this is not configured then the position of the cell
+       * within the header will be used.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       * @since 1.0.106
+       */
+      columnId: null,
+
+      /**
+       * Indicates whether or not the column headed by this cell should be included when the data of the list
+       * is [exported]{@link module:alfresco/lists/views/AlfListView#getExportColumns}.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       * @since 1.0.106
+       */
+      exportable: true,
+
+      /**
+       * The dot-notation property of each item to export for the column headed by this cell when the data of
+       * the list is [exported]{@link module:alfresco/lists/views/AlfListView#getExportColumns}. This only needs
+       * to be configured when the property cannot be found from the renderers in the matching cell of the row.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       * @since 1.0.106
+       */
+      exportProperty: null,
+
+      /**
+       * Indicates whether or not the column can be added to a chain of sort fields by holding down the
+       * shift key when clicking on the header.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       * @since 1.0.106
+       */
+      multiSort: false,
+
       /**
        * Indicates whether or not this header can actually be used to trigger sort requests.
        * 
@@ -196,6 +249,11 @@ define(["dojo/_base/declare",
          this.descendingSortNode.classList.add("descendingSort");
          this.descendingSortNode.setAttribute("src", this.transparentImageUrl);
          this.domNode.appendChild(this.descendingSortNode);
+
+         this.sortIndexNode = document.createElement("span");
+         this.sortIndexNode.classList.add("alfresco-lists-views-layouts-HeaderCell__sort-index");
+         this.sortIndexNode.classList.add("hidden");
+         this.domNode.appendChild(this.sortIndexNode);
       },
 
       /**
@@ -230,15 +288,7 @@ define(["dojo/_base/declare",
        * @listens module:alfresco/lists/views/layouts/HeaderCell#sortFieldSelectionTopic
        */
       postCreate: function alfresco_lists_views_layouts_HeaderCell__postCreate() {
-         if (this.useHash && this.sortable)
-         {
-            var currHash = hashUtils.getHash();
-            if (currHash.sortField === this.sortValue)
-            {
-               this.usedForSort = true;
-               this.sortedAscending = currHash.sortAscending === "true";
-            }
-         }
+         var hashSortFields = (this.useHash && this.sortable) ? this.getHashSortFields() : null;
 
          this.alfSubscribe(this.sortRequestTopic, lang.hitch(this, this.onExternalSortRequest));
          this.alfSubscribe(this.sortFieldSelectionTopic, lang.hitch(this, this.onExternalSortRequest));
@@ -246,7 +296,11 @@ define(["dojo/_base/declare",
          domAttr.set(this.ascendingSortNode, "alt", this.sortAscAlt ? this.sortAscAlt : "");
          domAttr.set(this.descendingSortNode, "alt", this.sortDescAlt ? this.sortDescAlt : "");
 
-         if (this.sortable === false || this.usedForSort === false)
+         if (hashSortFields)
+         {
+            this.applySortFields(hashSortFields);
+         }
+         else if (this.sortable === false || this.usedForSort === false)
          {
             this.sortIcon("nil");
          }
@@ -266,6 +320,29 @@ define(["dojo/_base/declare",
          }
       },
 
+      /**
+       * Reads the current sort state from the browser URL hash. If the hash contains a chain of sort fields
+       * then it is returned so that it can be [applied]{@link module:alfresco/lists/views/layouts/HeaderCell#applySortFields},
+       * otherwise the sort status of the header is updated from the single sort field in the hash.
+       *
+       * @instance
+       * @returns {object[]} The chain of sort fields from the hash (or null if there is not one)
+       * @since 1.0.106
+       */
+      getHashSortFields: function alfresco_lists_views_layouts_HeaderCell__getHashSortFields() {
+         var currHash = hashUtils.getHash();
+         if (currHash.sortFields)
+         {
+            return sortUtils.parseSortFields(currHash.sortFields);
+         }
+         else if (currHash.sortField === this.sortValue)
+         {
+            this.usedForSort = true;
+            this.sortedAscending = currHash.sortAscending === "true";
+         }
+         return null;
+      },
+
       /**
        * Focuses the domNode. This has been added to support the dijit/_KeyNavContainer functions mixed into 
        * the [document library views]{@link module:alfresco/lists/views/AlfListView} to 
@@ -279,13 +356,23 @@ define(["dojo/_base/declare",
 
       /**
        * This function is called whenever the header cell is clicked. It publishes a request to 
-       * resort the current data and updates its display
+       * resort the current data and updates its display. If [multiSort]{@link module:alfresco/lists/views/layouts/HeaderCell#multiSort}
+       * is configured to be true and the shift key is held down then the request will be to add the column
+       * to the current sort chain (or to change its direction if it is already in the chain).
        *
        * @instance
        * @param {object} evt The click event
        */
-      onSortClick: function alfresco_lists_views_layouts_HeaderCell__onSortClick(/*jshint unused:false*/ evt) {
-         if (this.sortable === true)
+      onSortClick: function alfresco_lists_views_layouts_HeaderCell__onSortClick(evt) {
+         if (this.sortable === true && this.multiSort === true && evt && evt.shiftKey)
+         {
+            this.alfLog("log", "Multiple field sort request received");
+            this.sortedAscending = this.usedForSort ? !this.sortedAscending : true;
+            this.usedForSort = true;
+            this.sortIcon(this.sortedAscending ? "asc" : "desc");
+            this.publishSortRequest(true);
+         }
+         else if (this.sortable === true)
          {
             this.alfLog("log", "Sort request received");
 
@@ -316,14 +403,16 @@ define(["dojo/_base/declare",
 
       /**
        * @instance
+       * @param {boolean} [multiSort=false] Indicates that the column should be added to the current sort chain
        * @fires module:alfresco/lists/views/layouts/HeaderCell#sortRequestTopic
        */
-      publishSortRequest: function alfresco_lists_views_layouts_HeaderCell__publishSortRequest() {
+      publishSortRequest: function alfresco_lists_views_layouts_HeaderCell__publishSortRequest(multiSort) {
          this.alfPublish(this.sortRequestTopic, {
             direction: (this.sortedAscending) ? "ascending" : "descending",
             value: this.sortValue,
             requester: this,
-            label: this.label
+            label: this.label,
+            multiSort: !!multiSort
          });
       },
 
@@ -336,8 +425,14 @@ define(["dojo/_base/declare",
        */
       onExternalSortRequest: function alfresco_lists_views_layouts_HeaderCell__onExternalSortRequest(payload) {
          var requester = lang.getObject("requester", false, payload);
-         if (requester !== this)
+         var sortFields = lang.getObject("sortFields", false, payload);
+         if (requester !== this && sortFields)
+         {
+            this.applySortFields(sortFields);
+         }
+         else if (requester !== this && !lang.getObject("multiSort", false, payload))
          {
+            this.setSortIndex(-1);
             var value = lang.getObject("value", false, payload);
             if (value !== null)
             {
@@ -366,6 +461,42 @@ define(["dojo/_base/declare",
          }
       },
 
+      /**
+       * Updates the display to reflect the position (if any) of the column in the supplied sort chain.
+       *
+       * @instance
+       * @param {object[]} sortFields The sort chain
+       * @since 1.0.106
+       */
+      applySortFields: function alfresco_lists_views_layouts_HeaderCell__applySortFields(sortFields) {
+         var index = sortUtils.indexOfSortField(sortFields, this.sortValue);
+         if (index === -1)
+         {
+            this.usedForSort = false;
+            this.sortIcon("nil");
+         }
+         else
+         {
+            this.usedForSort = true;
+            this.sortedAscending = sortFields[index].ascending !== false && sortFields[index].ascending !== "false";
+            this.sortIcon(this.sortedAscending ? "asc" : "desc");
+         }
+         this.setSortIndex(sortFields.length > 1 ? index : -1);
+      },
+
+      /**
+       * Displays the position of the column in a chain of sort fields. The position is not displayed
+       * when a negative index is provided.
+       *
+       * @instance
+       * @param {number} index The index of the column in the sort chain
+       * @since 1.0.106
+       */
+      setSortIndex: function alfresco_lists_views_layouts_HeaderCell__setSortIndex(index) {
+         this.sortIndexNode.textContent = index >= 0 ? index + 1 : "";
+         domClass.toggle(this.sortIndexNode, "hidden", index < 0);
+      },
+
       /**
        * This controls the display of icons when using sort functionality.
        *
@@ -90,11 +90,19 @@ define(["dojo/_base/declare",
        * @param {object} evt The click event
        */
       onClick: function alfresco_navigation_Tree__onClick(item, node, evt) {
-         this.alfLog("log", "Tree Node clicked", item, node, evt);
-         this.alfPublish(this.onClickTopic, {
-            path: item.path,
-            description: this.message("filter.classified.label", {"0":item.path})
-         });
+         if (this.isCheckboxEvent(node, evt))
+         {
+            // When used as a category picker clicks toggle selection rather than filtering the list...
+            this.toggleTreeNodeChecked(node);
+         }
+         else
+         {
+            this.alfLog("log", "Tree Node clicked", item, node, evt);
+            this.alfPublish(this.onClickTopic, {
+               path: item.path,
+               description: this.message("filter.classified.label", {"0":item.path})
+            });
+         }
       }
    });
 });
\ No newline at end of file
@@ -25,6 +25,8 @@
  * @mixes module:alfresco/core/Core
  * @mixes module:alfresco/documentlibrary/_AlfDocumentListTopicMixin
  * @mixes module:alfresco/services/_NavigationServiceTopicMixin
+ * @mixes module:alfresco/navigation/_TreeFilterMixin
+ * @mixes module:alfresco/navigation/_TreeCheckboxMixin
  * @author Dave Draper
  */
 define(["dojo/_base/declare",
@@ -38,6 +40,8 @@ define(["dojo/_base/declare",
         "service/constants/Default",
         "alfresco/documentlibrary/_AlfDocumentListTopicMixin",
         "alfresco/services/_NavigationServiceTopicMixin",
+        "alfresco/navigation/_TreeFilterMixin",
+        "alfresco/navigation/_TreeCheckboxMixin",
         "dojo/dom-construct",
         "dojo/_base/lang",
         "dojo/_base/array",
@@ -47,7 +51,7 @@ define(["dojo/_base/declare",
         "dijit/tree/ObjectStoreModel",
         "dijit/Tree"], 
         function(declare, _Widget, _Templated, template, _PublishPayloadMixin, AlfCore, CoreWidgetProcessing, topics, AlfConstants, _AlfDocumentListTopicMixin, 
-                 _NavigationServiceTopicMixin, domConstruct, lang, array, aspect, domClass, TreeStore, ObjectStoreModel, Tree) {
+                 _NavigationServiceTopicMixin, _TreeFilterMixin, _TreeCheckboxMixin, domConstruct, lang, array, aspect, domClass, TreeStore, ObjectStoreModel, Tree) {
    
    // Extend the standard Dijit tree to support better identification of nodes (primarily for the purpose of unit testing)...
    var AikauTree = declare([Tree], {
@@ -74,9 +78,30 @@ define(["dojo/_base/declare",
             }
          }
 
+         if (this.ownerTree && arguments[0].item)
+         {
+            this.ownerTree.addTreeNodeCheckbox(arguments[0].item, treeNode);
+         }
+
          return treeNode;
       },
 
+      /**
+       * Extended to match the typed characters against the start of the node names, ignoring any nodes
+       * that are disabled or are hidden because they do not match the current filter.
+       *
+       * @param  {object} treeNode The tree node to compare
+       * @param  {string} searchString The lower case characters typed so far
+       * @return {number} -1 if the node matches and 0 if it does not
+       * @since 1.0.106
+       */
+      _keyboardSearchCompare: function alfresco_navigation_Tree_AikauTree___keyboardSearchCompare(treeNode, searchString) {
+         var name = lang.getObject("item.name", false, treeNode) || "",
+             hidden = this.ownerTree && this.ownerTree.isTreeNodeFilteredOut(treeNode),
+             disabled = domClass.contains(treeNode.domNode, "alfresco-navigation-Tree__node--disabled");
+         return (!!searchString && !hidden && !disabled && name.toLowerCase().indexOf(searchString) === 0) ? -1 : 0;
+      },
+
       /**
        * Extended to ignore clicks on disabled nodes.
        * 
@@ -128,7 +153,8 @@ define(["dojo/_base/declare",
    });
 
 
-   return declare([_Widget, _Templated, _PublishPayloadMixin, AlfCore, CoreWidgetProcessing, _AlfDocumentListTopicMixin, _NavigationServiceTopicMixin], {
+   return declare([_Widget, _Templated, _PublishPayloadMixin, AlfCore, CoreWidgetProcessing, _AlfDocumentListTopicMixin, _NavigationServiceTopicMixin, 
+                   _TreeFilterMixin, _TreeCheckboxMixin], {
       
       /**
        * An array of the i18n files to use with this widget.
@@ -277,6 +303,18 @@ define(["dojo/_base/declare",
        */
       treeNodeDisablementConfig: null,
 
+      /**
+       * The number of milliseconds after the last key press during which further key presses are treated as
+       * continuing the same type-ahead search (e.g. typing "bu" will move the focus to the first visible
+       * node with a name starting with "bu").
+       *
+       * @instance
+       * @type {number}
+       * @default
+       * @since 1.0.106
+       */
+      typeAheadDuration: 1000,
+
       /**
        * @instance
        * @return {string} The root of the URL to use when requesting child nodes.
@@ -334,6 +372,11 @@ define(["dojo/_base/declare",
 
          this.showRoot = this.showRoot !== null ? this.showRoot : true;
 
+         if (this.showCheckboxes)
+         {
+            this.initCheckboxes();
+         }
+
          // Create a new tree store using the siteId as part of the URL
          this.treeStore = this.createWidget({
             name: "alfresco/navigation/TreeStore",
@@ -369,11 +412,18 @@ define(["dojo/_base/declare",
             onClick: lang.hitch(this, this.onClick),
             onOpen: lang.hitch(this, this.onNodeExpand),
             onClose: lang.hitch(this, this.onNodeCollapse),
-            treeNodeDisablementConfig: this.treeNodeDisablementConfig
+            treeNodeDisablementConfig: this.treeNodeDisablementConfig,
+            multiCharSearchDuration: this.typeAheadDuration,
+            ownerTree: this
          });
          this.tree.placeAt(this.domNode);
          this.tree.startup();
 
+         if (this.showFilter)
+         {
+            this.createFilter();
+         }
+
          // This section of code creates an aspect around the dndController created for the tree
          // to prevent it from selecting nodes when the selected node is disabled...
          // It works by only calling the original function when a non-disabled node has been selected
@@ -430,6 +480,10 @@ define(["dojo/_base/declare",
             // Ignore clicks on nodes where the tree node is disabled...
             this.alfLog("log", "Ignoring click on disabled tree node", item, node, evt);
          }
+         else if (this.isCheckboxEvent(node, evt))
+         {
+            this.toggleTreeNodeChecked(node);
+         }
          else
          {
             this.alfLog("log", "Tree Node clicked", item, node, evt);
@@ -456,9 +510,23 @@ define(["dojo/_base/declare",
          if (node !== null && node._loadDeferred !== null && node._loadDeferred !== undefined)
          {
             this.alfLog("log", "Wait for node expand before rezize", node._loadDeferred);
-            node._loadDeferred.then(lang.hitch(this, this.requestSidebarResize));
+            node._loadDeferred.then(lang.hitch(this, this.onNodeChildrenLoaded, node));
          }
       },
+
+      /**
+       * Called when the children of an expanded node have been loaded to update their checked and
+       * filtered states before requesting that the side bar be resized.
+       *
+       * @instance
+       * @param {object} node The node on the tree that was opened
+       * @since 1.0.106
+       */
+      onNodeChildrenLoaded: function alfresco_navigation_Tree__onNodeChildrenLoaded(node) {
+         this.updateChildCheckStates(node);
+         this.markFilterDescendants(node);
+         this.requestSidebarResize();
+      },
       
       /**
        * @instance
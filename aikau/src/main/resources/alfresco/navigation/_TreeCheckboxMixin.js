@@ -0,0 +1,382 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+/**
+ * <p>This mixin provides the checkbox selection capability of the [Tree]{@link module:alfresco/navigation/Tree}.
+ * When [showCheckboxes]{@link module:alfresco/navigation/_TreeCheckboxMixin#showCheckboxes} is configured to be
+ * true a checkbox is rendered for each node (other than the root) allowing multiple nodes to be selected.</p>
+ * <p>The checkboxes are tri-state; checking a node will check all of its descendants and a node that has only
+ * some of its descendants checked will be shown as partially checked. Nodes that are loaded when their parent
+ * is expanded will take on the checked state of that parent. Each time the checked nodes change the complete
+ * list of checked items will be published on the
+ * [checkedItemsTopic]{@link module:alfresco/navigation/_TreeCheckboxMixin#checkedItemsTopic} (if configured).</p>
+ *
+ * @example <caption>Example configuration</caption>
+ * {
+ *   name: "alfresco/navigation/CategoryTree",
+ *   config: {
+ *     showCheckboxes: true,
+ *     checkedItemsTopic: "CATEGORIES_CHECKED"
+ *   }
+ * }
+ *
+ * @module alfresco/navigation/_TreeCheckboxMixin
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["dojo/_base/declare",
+        "dojo/_base/lang",
+        "dojo/_base/array",
+        "dojo/dom-attr",
+        "dojo/dom-class",
+        "dojo/dom-construct",
+        "dojo/keys"], 
+        function(declare, lang, array, domAttr, domClass, domConstruct, keys) {
+   
+   return declare([], {
+
+      /**
+       * Indicates whether or not checkboxes should be displayed for the nodes of the tree.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       */
+      showCheckboxes: false,
+
+      /**
+       * When checkboxes are displayed this indicates whether clicking anywhere on a node will toggle its
+       * checkbox. If this is configured to be false then only clicks on the checkbox itself will toggle it
+       * and clicks on the label will be handled as normal.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       */
+      checkOnClick: true,
+
+      /**
+       * The topic on which to publish the currently checked items each time they change. The payload will
+       * contain an "items" attribute that is an array of the checked items.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       * @event
+       */
+      checkedItemsTopic: null,
+
+      /**
+       * Indicates whether or not the [checkedItemsTopic]{@link module:alfresco/navigation/_TreeCheckboxMixin#checkedItemsTopic}
+       * should be published globally.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       */
+      checkedItemsPublishGlobal: false,
+
+      /**
+       * A map of the checked items keyed on their id.
+       *
+       * @instance
+       * @type {object}
+       * @default
+       */
+      _checkedItems: null,
+
+      /**
+       * The values of items that have been set as checked (via 
+       * [setCheckedItems]{@link module:alfresco/navigation/_TreeCheckboxMixin#setCheckedItems}) but that have not
+       * yet been loaded into the tree.
+       *
+       * @instance
+       * @type {string[]}
+       * @default
+       */
+      _pendingCheckedValues: null,
+
+      /**
+       * The dot-notation property of each item that the 
+       * [pending checked values]{@link module:alfresco/navigation/_TreeCheckboxMixin#_pendingCheckedValues}
+       * are compared against.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       */
+      _pendingCheckedProperty: "id",
+
+      /**
+       * Initialises the checked item state.
+       *
+       * @instance
+       */
+      initCheckboxes: function alfresco_navigation__TreeCheckboxMixin__initCheckboxes() {
+         this._checkedItems = {};
+         this._pendingCheckedValues = [];
+         domClass.add(this.domNode, "alfresco-navigation-Tree--checkboxes");
+      },
+
+      /**
+       * Adds a checkbox to a newly created tree node. If the item represented by the node has previously
+       * been set as checked then the checkbox will be checked.
+       *
+       * @instance
+       * @param {object} item The item represented by the tree node
+       * @param {object} treeNode The tree node that has been created
+       */
+      addTreeNodeCheckbox: function alfresco_navigation__TreeCheckboxMixin__addTreeNodeCheckbox(item, treeNode) {
+         if (this.showCheckboxes && treeNode.labelNode && item.id !== this.treeModel.root.id)
+         {
+            treeNode.checkboxNode = domConstruct.create("span", {
+               className: "alfresco-navigation-Tree__checkbox",
+               role: "checkbox",
+               "aria-checked": "false"
+            }, treeNode.labelNode, "before");
+
+            var pendingIndex = array.indexOf(this._pendingCheckedValues, lang.getObject(this._pendingCheckedProperty, false, item));
+            if (pendingIndex !== -1)
+            {
+               this._pendingCheckedValues.splice(pendingIndex, 1);
+               this.setTreeNodeCheckState(treeNode, "checked");
+            }
+            else if (this._checkedItems[item.id])
+            {
+               this.setTreeNodeCheckState(treeNode, "checked");
+            }
+         }
+      },
+
+      /**
+       * Called when the children of a node have been loaded. If the node is checked then all of its
+       * children will be checked, otherwise the node will be updated to reflect the state of its children.
+       *
+       * @instance
+       * @param {object} treeNode The tree node that has loaded its children
+       */
+      updateChildCheckStates: function alfresco_navigation__TreeCheckboxMixin__updateChildCheckStates(treeNode) {
+         var children = treeNode.getChildren();
+         if (this.showCheckboxes && children.length)
+         {
+            if (this.getTreeNodeCheckState(treeNode) === "checked")
+            {
+               var itemCount = this.getCheckedItems().length;
+               this.setSubtreeChecked(treeNode, true);
+               if (itemCount !== this.getCheckedItems().length)
+               {
+                  this.publishCheckedItems();
+               }
+            }
+            else
+            {
+               this.updateAncestorCheckStates(children[0]);
+            }
+         }
+      },
+
+      /**
+       * Determines whether or not the supplied event should toggle the checkbox of the node rather than be
+       * handled as a normal click.
+       *
+       * @instance
+       * @param {object} treeNode The tree node that was clicked
+       * @param {object} evt The click (or key) event
+       * @returns {boolean} True if the event should toggle the checkbox
+       */
+      isCheckboxEvent: function alfresco_navigation__TreeCheckboxMixin__isCheckboxEvent(treeNode, evt) {
+         return !!(this.showCheckboxes && treeNode && treeNode.checkboxNode) && 
+                (this.checkOnClick || (evt && (evt.target === treeNode.checkboxNode || evt.keyCode === keys.SPACE)));
+      },
+
+      /**
+       * Toggles the checked state of the supplied node, updating both its descendants and ancestors
+       * before publishing the checked items.
+       *
+       * @instance
+       * @param {object} treeNode The tree node to toggle
+       */
+      toggleTreeNodeChecked: function alfresco_navigation__TreeCheckboxMixin__toggleTreeNodeChecked(treeNode) {
+         var checked = this.getTreeNodeCheckState(treeNode) !== "checked";
+         this.setSubtreeChecked(treeNode, checked);
+         this.updateAncestorCheckStates(treeNode);
+         this.publishCheckedItems();
+      },
+
+      /**
+       * Gets the checked state of a tree node.
+       *
+       * @instance
+       * @param {object} treeNode The tree node
+       * @returns {string} Either "checked", "mixed" or "unchecked"
+       */
+      getTreeNodeCheckState: function alfresco_navigation__TreeCheckboxMixin__getTreeNodeCheckState(treeNode) {
+         var state = "unchecked";
+         if (treeNode.checkboxNode)
+         {
+            if (domClass.contains(treeNode.checkboxNode, "alfresco-navigation-Tree__checkbox--checked"))
+            {
+               state = "checked";
+            }
+            else if (domClass.contains(treeNode.checkboxNode, "alfresco-navigation-Tree__checkbox--mixed"))
+            {
+               state = "mixed";
+            }
+         }
+         return state;
+      },
+
+      /**
+       * Sets the checked state of a tree node, updating the map of checked items accordingly.
+       *
+       * @instance
+       * @param {object} treeNode The tree node
+       * @param {string} state Either "checked", "mixed" or "unchecked"
+       */
+      setTreeNodeCheckState: function alfresco_navigation__TreeCheckboxMixin__setTreeNodeCheckState(treeNode, state) {
+         if (treeNode.checkboxNode)
+         {
+            domClass.toggle(treeNode.checkboxNode, "alfresco-navigation-Tree__checkbox--checked", state === "checked");
+            domClass.toggle(treeNode.checkboxNode, "alfresco-navigation-Tree__checkbox--mixed", state === "mixed");
+            domAttr.set(treeNode.checkboxNode, "aria-checked", state === "mixed" ? "mixed" : (state === "checked").toString());
+            if (state === "checked")
+            {
+               this._checkedItems[treeNode.item.id] = treeNode.item;
+            }
+            else
+            {
+               delete this._checkedItems[treeNode.item.id];
+            }
+         }
+      },
+
+      /**
+       * Sets the checked state of a tree node and all of its loaded descendants.
+       *
+       * @instance
+       * @param {object} treeNode The tree node
+       * @param {boolean} checked Whether or not the nodes should be checked
+       */
+      setSubtreeChecked: function alfresco_navigation__TreeCheckboxMixin__setSubtreeChecked(treeNode, checked) {
+         this.setTreeNodeCheckState(treeNode, checked ? "checked" : "unchecked");
+         array.forEach(treeNode.getChildren(), function(child) {
+            this.setSubtreeChecked(child, checked);
+         }, this);
+      },
+
+      /**
+       * Updates the checked state of all the ancestors of the supplied tree node so that each is checked
+       * only when all of its children are checked and is partially checked when only some of them are.
+       *
+       * @instance
+       * @param {object} treeNode The tree node to update the ancestors of
+       */
+      updateAncestorCheckStates: function alfresco_navigation__TreeCheckboxMixin__updateAncestorCheckStates(treeNode) {
+         var parent = treeNode.getParent();
+         while (parent && parent.checkboxNode)
+         {
+            var states = array.map(parent.getChildren(), this.getTreeNodeCheckState, this);
+            var allChecked = array.every(states, function(state) {
+               return state === "checked";
+            });
+            var someChecked = array.some(states, function(state) {
+               return state !== "unchecked";
+            });
+            this.setTreeNodeCheckState(parent, allChecked ? "checked" : (someChecked ? "mixed" : "unchecked"));
+            parent = parent.getParent();
+         }
+      },
+
+      /**
+       * Gets the checked items. This includes any items that have been set as checked but that have not
+       * yet been loaded into the tree (these will only have the property that they were set by).
+       *
+       * @instance
+       * @returns {object[]} The checked items
+       */
+      getCheckedItems: function alfresco_navigation__TreeCheckboxMixin__getCheckedItems() {
+         var items = [];
+         for (var id in this._checkedItems)
+         {
+            if (this._checkedItems.hasOwnProperty(id))
+            {
+               items.push(this._checkedItems[id]);
+            }
+         }
+         array.forEach(this._pendingCheckedValues, function(value) {
+            items.push(lang.setObject(this._pendingCheckedProperty, value, {}));
+         }, this);
+         return items;
+      },
+
+      /**
+       * Sets the items that should be checked, replacing any that are currently checked. Items that have
+       * not yet been loaded will be checked when they are.
+       *
+       * @instance
+       * @param {string[]} values The values of the items to check
+       * @param {string} [property="id"] The dot-notation property of each item to compare the values against
+       */
+      setCheckedItems: function alfresco_navigation__TreeCheckboxMixin__setCheckedItems(values, property) {
+         this._checkedItems = {};
+         this._pendingCheckedProperty = property || "id";
+         this._pendingCheckedValues = lang.isArray(values) ? values.slice(0) : [];
+         if (this.tree && this.tree.rootNode)
+         {
+            this.applyCheckedValues(this.tree.rootNode);
+         }
+      },
+
+      /**
+       * Recursively applies the pending checked values to the supplied tree node and its loaded descendants.
+       *
+       * @instance
+       * @param {object} treeNode The tree node to apply the values to
+       */
+      applyCheckedValues: function alfresco_navigation__TreeCheckboxMixin__applyCheckedValues(treeNode) {
+         var value = lang.getObject(this._pendingCheckedProperty, false, treeNode.item),
+             pendingIndex = array.indexOf(this._pendingCheckedValues, value);
+         if (pendingIndex !== -1 && treeNode.checkboxNode)
+         {
+            this._pendingCheckedValues.splice(pendingIndex, 1);
+            this.setSubtreeChecked(treeNode, true);
+            this.updateAncestorCheckStates(treeNode);
+         }
+         else
+         {
+            this.setTreeNodeCheckState(treeNode, "unchecked");
+            array.forEach(treeNode.getChildren(), this.applyCheckedValues, this);
+         }
+      },
+
+      /**
+       * Publishes the checked items on the [checkedItemsTopic]{@link module:alfresco/navigation/_TreeCheckboxMixin#checkedItemsTopic}
+       * if one has been configured.
+       *
+       * @instance
+       */
+      publishCheckedItems: function alfresco_navigation__TreeCheckboxMixin__publishCheckedItems() {
+         if (this.checkedItemsTopic)
+         {
+            this.alfPublish(this.checkedItemsTopic, {
+               items: this.getCheckedItems()
+            }, this.checkedItemsPublishGlobal);
+         }
+      }
+   });
+});
@@ -0,0 +1,433 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+/**
+ * <p>This mixin provides the filtering capability of the [Tree]{@link module:alfresco/navigation/Tree}. When
+ * [showFilter]{@link module:alfresco/navigation/_TreeFilterMixin#showFilter} is configured to be true a text box
+ * is displayed above the tree and when the user types into it the tree is reduced to show only the nodes with
+ * labels that match the text, along with the nodes on the paths to them (which are expanded as necessary).</p>
+ * <p>Because the tree only loads the children of each node as it is expanded it is only possible to search the
+ * nodes that have already been loaded unless a
+ * [filterPublishTopic]{@link module:alfresco/navigation/_TreeFilterMixin#filterPublishTopic} is configured. When
+ * a topic is configured the search is delegated to whichever service subscribes to it, which is expected to
+ * publish the paths (relative to the root of the tree) of the matching nodes.</p>
+ *
+ * @example <caption>Example configuration with a server-assisted filter</caption>
+ * {
+ *   name: "alfresco/navigation/PathTree",
+ *   config: {
+ *     siteId: "site1",
+ *     containerId: "documentlibrary",
+ *     showFilter: true,
+ *     filterPublishTopic: "FIND_FOLDERS"
+ *   }
+ * }
+ *
+ * @module alfresco/navigation/_TreeFilterMixin
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["dojo/_base/declare",
+        "alfresco/util/functionUtils",
+        "dojo/_base/lang",
+        "dojo/_base/array",
+        "dojo/dom-class",
+        "dojo/dom-construct",
+        "dojo/Deferred",
+        "dojo/on",
+        "dojo/keys",
+        "dojo/query",
+        "dojo/when",
+        "dojo/promise/all",
+        "dojo/NodeList-dom"], 
+        function(declare, funcUtils, lang, array, domClass, domConstruct, Deferred, on, keys, query, when, all) {
+   
+   return declare([], {
+
+      /**
+       * Indicates whether or not a text box should be displayed for filtering the tree.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       */
+      showFilter: false,
+
+      /**
+       * The placeholder text to display in the filter text box.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       */
+      filterPlaceholder: "tree.filter.placeholder",
+
+      /**
+       * The minimum number of characters that must be entered before the tree is filtered.
+       *
+       * @instance
+       * @type {number}
+       * @default
+       */
+      filterMinLength: 2,
+
+      /**
+       * The number of milliseconds to wait after the user stops typing before filtering the tree.
+       *
+       * @instance
+       * @type {number}
+       * @default
+       */
+      filterDebounceMs: 500,
+
+      /**
+       * The maximum number of matching nodes that will be revealed when filtering.
+       *
+       * @instance
+       * @type {number}
+       * @default
+       */
+      maxFilterMatches: 50,
+
+      /**
+       * This is a topic that can be published to search for the nodes matching the filter text. The payload
+       * will contain the "searchTerm" and the "path" of the root of the tree. A response is expected to be
+       * published on the "alfResponseTopic" of the payload containing a "response" attribute with an "items"
+       * array where each item has a "path" attribute in the same format as the paths of the nodes in the
+       * tree (e.g. "/documentLibrary/Budget Files/"). If this is not configured then only the nodes that have
+       * already been loaded will be searched.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       * @event
+       */
+      filterPublishTopic: null,
+
+      /**
+       * Additional data to include in the payload published on the
+       * [filterPublishTopic]{@link module:alfresco/navigation/_TreeFilterMixin#filterPublishTopic}.
+       *
+       * @instance
+       * @type {object}
+       * @default
+       */
+      filterPublishPayload: null,
+
+      /**
+       * Indicates whether or not the [filterPublishTopic]{@link module:alfresco/navigation/_TreeFilterMixin#filterPublishTopic}
+       * is published globally.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       */
+      filterPublishGlobal: true,
+
+      /**
+       * The text that the tree is currently filtered by (null when the tree is not filtered).
+       *
+       * @instance
+       * @type {string}
+       * @default
+       */
+      _filterTerm: null,
+
+      /**
+       * Creates the filter text box above the tree.
+       *
+       * @instance
+       */
+      createFilter: function alfresco_navigation__TreeFilterMixin__createFilter() {
+         var filterNode = domConstruct.create("div", {
+            className: "alfresco-navigation-Tree__filter"
+         }, this.domNode, "first");
+         this.filterInputNode = domConstruct.create("input", {
+            type: "text",
+            className: "alfresco-navigation-Tree__filter__input",
+            placeholder: this.message(this.filterPlaceholder),
+            "aria-label": this.message(this.filterPlaceholder)
+         }, filterNode);
+         this.filterNoMatchesNode = domConstruct.create("div", {
+            className: "alfresco-navigation-Tree__filter__no-matches",
+            textContent: this.message("tree.filter.no-matches")
+         }, filterNode);
+
+         this.own(on(this.filterInputNode, "input", lang.hitch(this, this.onFilterInput)));
+         this.own(on(this.filterInputNode, "keydown", lang.hitch(this, function(evt) {
+            if (evt.keyCode === keys.ESCAPE)
+            {
+               this.filterInputNode.value = "";
+               this.onFilterInput();
+            }
+            else if (evt.keyCode === keys.DOWN_ARROW)
+            {
+               // Move the focus into the tree to allow the user to navigate to the matching nodes...
+               evt.preventDefault();
+               this.tree.focus();
+            }
+         })));
+      },
+
+      /**
+       * Handles the user changing the filter text, filtering the tree once the user has stopped typing.
+       *
+       * @instance
+       */
+      onFilterInput: function alfresco_navigation__TreeFilterMixin__onFilterInput() {
+         funcUtils.debounce({
+            name: this.id + "_FILTER",
+            timeoutMs: this.filterDebounceMs,
+            func: lang.hitch(this, function() {
+               this.filterTree(lang.trim(this.filterInputNode.value));
+            })
+         });
+      },
+
+      /**
+       * Filters the tree to show only the nodes with labels that match the supplied text (and the nodes
+       * on the path to them). The tree is restored if the text is shorter than the
+       * [filterMinLength]{@link module:alfresco/navigation/_TreeFilterMixin#filterMinLength}.
+       *
+       * @instance
+       * @param {string} searchTerm The text to filter the tree by
+       * @returns {object} A promise that is resolved when the matching nodes have been revealed
+       */
+      filterTree: function alfresco_navigation__TreeFilterMixin__filterTree(searchTerm) {
+         if (!searchTerm || searchTerm.length < this.filterMinLength)
+         {
+            this.clearFilter();
+            return when(null);
+         }
+
+         this._filterTerm = searchTerm;
+         return this.findFilterMatches(searchTerm).then(lang.hitch(this, function(paths) {
+            // Ignore the results if the filter has been changed while the search was in progress...
+            if (this._filterTerm === searchTerm)
+            {
+               return this.revealFilterMatches(paths.slice(0, this.maxFilterMatches));
+            }
+         }));
+      },
+
+      /**
+       * Removes the filter so that all the nodes of the tree are displayed again.
+       *
+       * @instance
+       */
+      clearFilter: function alfresco_navigation__TreeFilterMixin__clearFilter() {
+         this._filterTerm = null;
+         this.clearFilterMatches();
+         domClass.remove(this.domNode, "alfresco-navigation-Tree--filtered alfresco-navigation-Tree--no-filter-matches");
+      },
+
+      /**
+       * Removes the classes used to show the nodes that matched the last filter.
+       *
+       * @instance
+       */
+      clearFilterMatches: function alfresco_navigation__TreeFilterMixin__clearFilterMatches() {
+         query(".alfresco-navigation-Tree__node--filter-match", this.domNode).removeClass("alfresco-navigation-Tree__node--filter-match");
+         query(".alfresco-navigation-Tree__node--filter-path", this.domNode).removeClass("alfresco-navigation-Tree__node--filter-path");
+         query(".alfresco-navigation-Tree__node--filter-descendant", this.domNode).removeClass("alfresco-navigation-Tree__node--filter-descendant");
+      },
+
+      /**
+       * Finds the paths of the nodes that match the search term. If a
+       * [filterPublishTopic]{@link module:alfresco/navigation/_TreeFilterMixin#filterPublishTopic} has been configured
+       * then it is published to request the matching paths, otherwise the nodes already loaded are searched.
+       *
+       * @instance
+       * @param {string} searchTerm The text to search for
+       * @returns {object} A promise of the array of matching paths
+       */
+      findFilterMatches: function alfresco_navigation__TreeFilterMixin__findFilterMatches(searchTerm) {
+         var deferred = new Deferred();
+         if (this.filterPublishTopic)
+         {
+            var responseTopic = this.generateUuid(),
+                subscriptionHandles = [],
+                onResponse = lang.hitch(this, function(payload) {
+                   this.alfUnsubscribeSaveHandles(subscriptionHandles);
+                   var items = lang.getObject("response.items", false, payload) || [];
+                   deferred.resolve(array.map(items, function(item) {
+                      return item.path;
+                   }));
+                });
+            subscriptionHandles.push(this.alfSubscribe(responseTopic, onResponse, true));
+            subscriptionHandles.push(this.alfSubscribe(responseTopic + "_SUCCESS", onResponse, true));
+            subscriptionHandles.push(this.alfSubscribe(responseTopic + "_FAILURE", lang.hitch(this, function(payload) {
+               this.alfUnsubscribeSaveHandles(subscriptionHandles);
+               this.alfLog("warn", "It was not possible to search the tree", payload, this);
+               deferred.resolve([]);
+            }), true));
+
+            this.alfPublish(this.filterPublishTopic, lang.mixin({}, this.filterPublishPayload, {
+               alfResponseTopic: responseTopic,
+               searchTerm: searchTerm,
+               path: this.treeModel.root.path
+            }), this.filterPublishGlobal);
+         }
+         else
+         {
+            deferred.resolve(this.findLoadedFilterMatches(searchTerm));
+         }
+         return deferred.promise;
+      },
+
+      /**
+       * Searches the nodes that have already been loaded for those with a label containing the search term.
+       *
+       * @instance
+       * @param {string} searchTerm The text to search for
+       * @returns {string[]} The paths of the matching nodes
+       */
+      findLoadedFilterMatches: function alfresco_navigation__TreeFilterMixin__findLoadedFilterMatches(searchTerm) {
+         var paths = [],
+             lowerCaseTerm = searchTerm.toLowerCase(),
+             childrenCache = this.treeModel.childrenCache || {};
+         array.forEach(Object.keys(childrenCache), function(parentId) {
+            array.forEach(childrenCache[parentId], function(item) {
+               if (item.name && item.path && item.name.toLowerCase().indexOf(lowerCaseTerm) !== -1 && array.indexOf(paths, item.path) === -1)
+               {
+                  paths.push(item.path);
+               }
+            });
+         });
+         return paths;
+      },
+
+      /**
+       * Expands the tree to reveal the nodes at the supplied paths and marks them as matching the filter.
+       *
+       * @instance
+       * @param {string[]} paths The paths of the matching nodes
+       * @returns {object} A promise that is resolved when all of the nodes have been revealed
+       */
+      revealFilterMatches: function alfresco_navigation__TreeFilterMixin__revealFilterMatches(paths) {
+         var searchTerm = this._filterTerm;
+         return all(array.map(paths, this.expandToPath, this)).then(lang.hitch(this, function(treeNodes) {
+            if (this._filterTerm === searchTerm)
+            {
+               this.clearFilterMatches();
+               var matches = array.filter(treeNodes, function(treeNode) {
+                  return !!treeNode;
+               });
+               array.forEach(matches, this.markFilterMatch, this);
+               domClass.add(this.domNode, "alfresco-navigation-Tree--filtered");
+               domClass.toggle(this.domNode, "alfresco-navigation-Tree--no-filter-matches", !matches.length);
+            }
+         }));
+      },
+
+      /**
+       * Marks a node as matching the filter and all of its ancestors as being on the path to a match so that
+       * they remain displayed while the tree is filtered. Any of its children that have already been loaded
+       * are also marked so that they are displayed if the matching node is expanded.
+       *
+       * @instance
+       * @param {object} treeNode The matching tree node
+       */
+      markFilterMatch: function alfresco_navigation__TreeFilterMixin__markFilterMatch(treeNode) {
+         domClass.add(treeNode.domNode, "alfresco-navigation-Tree__node--filter-match");
+         this.markFilterDescendants(treeNode);
+         var parent = treeNode.getParent();
+         while (parent && parent.domNode)
+         {
+            domClass.add(parent.domNode, "alfresco-navigation-Tree__node--filter-path");
+            parent = parent.getParent();
+         }
+      },
+
+      /**
+       * Marks the loaded descendants of a node that matches the filter so that they remain displayed while
+       * the tree is filtered. This is also called as nodes are expanded so that the children of matching
+       * nodes are displayed as they are loaded.
+       *
+       * @instance
+       * @param {object} treeNode The tree node to mark the descendants of
+       */
+      markFilterDescendants: function alfresco_navigation__TreeFilterMixin__markFilterDescendants(treeNode) {
+         if (domClass.contains(treeNode.domNode, "alfresco-navigation-Tree__node--filter-match") ||
+             domClass.contains(treeNode.domNode, "alfresco-navigation-Tree__node--filter-descendant"))
+         {
+            array.forEach(treeNode.getChildren(), function(child) {
+               domClass.add(child.domNode, "alfresco-navigation-Tree__node--filter-descendant");
+               this.markFilterDescendants(child);
+            }, this);
+         }
+      },
+
+      /**
+       * Indicates whether or not a tree node is currently hidden because it does not match the filter.
+       *
+       * @instance
+       * @param {object} treeNode The tree node to check
+       * @returns {boolean} True if the node is hidden by the filter
+       */
+      isTreeNodeFilteredOut: function alfresco_navigation__TreeFilterMixin__isTreeNodeFilteredOut(treeNode) {
+         return domClass.contains(this.domNode, "alfresco-navigation-Tree--filtered") &&
+                !domClass.contains(treeNode.domNode, "alfresco-navigation-Tree__node--filter-match") &&
+                !domClass.contains(treeNode.domNode, "alfresco-navigation-Tree__node--filter-path") &&
+                !domClass.contains(treeNode.domNode, "alfresco-navigation-Tree__node--filter-descendant");
+      },
+
+      /**
+       * Expands all of the nodes on the supplied path, loading their children as necessary.
+       *
+       * @instance
+       * @param {string} path The path of the node to reveal (e.g. "/documentLibrary/Budget Files/")
+       * @returns {object} A promise of the tree node at the end of the path (or null if it could not be found)
+       */
+      expandToPath: function alfresco_navigation__TreeFilterMixin__expandToPath(path) {
+         var rootPath = this.treeModel.root.path || "/";
+         if (path.indexOf(rootPath) === 0)
+         {
+            path = path.substring(rootPath.length);
+         }
+         var pathElements = array.filter((path || "").split("/"), function(pathElement) {
+            return !!pathElement;
+         });
+         return this.expandPathElements(this.tree.rootNode, pathElements);
+      },
+
+      /**
+       * Recursively expands the child of the supplied node that matches the first of the path elements until
+       * all of the path elements have been processed.
+       *
+       * @instance
+       * @param {object} treeNode The tree node to search the children of
+       * @param {string[]} pathElements The remaining path elements
+       * @returns {object} A promise of the tree node at the end of the path (or null if it could not be found)
+       */
+      expandPathElements: function alfresco_navigation__TreeFilterMixin__expandPathElements(treeNode, pathElements) {
+         if (!treeNode || !pathElements.length)
+         {
+            return when(treeNode || null);
+         }
+         return when(this.tree._expandNode(treeNode)).then(lang.hitch(this, function() {
+            // Paths are built from the node values (the displayed name of site containers differs)...
+            var pathElement = pathElements[0],
+                child = array.filter(treeNode.getChildren(), function(childNode) {
+                   return childNode.item.value === pathElement;
+                })[0];
+            return this.expandPathElements(child, pathElements.slice(1));
+         }));
+      }
+   });
+});
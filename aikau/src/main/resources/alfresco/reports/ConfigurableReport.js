@@ -0,0 +1,303 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * <p>A report that is rendered from a [report definition]{@link module:alfresco/services/ReportService~ReportDefinition}
+ * rather than requiring a new [Report]{@link module:alfresco/reports/Report} subclass for each report. The
+ * definition can either be registered with the [ReportService]{@link module:alfresco/services/ReportService}
+ * and referenced by its [reportId]{@link module:alfresco/reports/ConfigurableReport#reportId} or provided
+ * inline as the [reportDefinition]{@link module:alfresco/reports/ConfigurableReport#reportDefinition}.</p>
+ * <p>The data is requested once and can then be displayed as a chart (of the type defined in the report
+ * definition), as a table or as both. If the definition has no chart type then the table is always shown.</p>
+ *
+ * @example <caption>Example showing a registered report as both a chart and a table</caption>
+ * {
+ *   name: "alfresco/reports/ConfigurableReport",
+ *   config: {
+ *     reportId: "DOCUMENTS_BY_CREATOR",
+ *     reportParameters: {
+ *       site: "swsdp"
+ *     },
+ *     displayMode: "both"
+ *   }
+ * }
+ *
+ * @module alfresco/reports/ConfigurableReport
+ * @extends module:alfresco/reports/Report
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["dojo/_base/declare",
+        "alfresco/reports/Report",
+        "alfresco/core/topics",
+        "dojo/_base/array",
+        "dojo/_base/lang",
+        "dojo/dom-construct",
+        "alfresco/charts/ccc/AreaChart",
+        "alfresco/charts/ccc/BarChart",
+        "alfresco/charts/ccc/DonutChart",
+        "alfresco/charts/ccc/LineChart",
+        "alfresco/charts/ccc/PieChart",
+        "alfresco/lists/AlfList",
+        "alfresco/lists/views/AlfListView",
+        "alfresco/lists/views/layouts/HeaderCell",
+        "alfresco/lists/views/layouts/Row",
+        "alfresco/lists/views/layouts/Cell",
+        "alfresco/renderers/Property"],
+        function(declare, Report, topics, array, lang, domConstruct) {
+
+   return declare([Report], {
+
+      /**
+       * An array of the i18n files to use with this widget.
+       *
+       * @instance
+       * @type {object[]}
+       * @default [{i18nFile: "./i18n/ConfigurableReport.properties"}]
+       */
+      i18nRequirements: [{i18nFile: "./i18n/ConfigurableReport.properties"}],
+
+      /**
+       * The CSS class (or a space separated list of classes) to include in the DOM node.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       */
+      baseClass: "alfresco-reports-Report alfresco-reports-ConfigurableReport",
+
+      /**
+       * Additional configuration to apply to the chart (this is mixed over any "chartOptions" in
+       * the report definition).
+       *
+       * @instance
+       * @type {object}
+       * @default
+       */
+      chartOptions: null,
+
+      /**
+       * How the report should be displayed, either "chart", "table" or "both". When this is not
+       * configured the report is displayed as a chart if the report definition has a "chartType"
+       * and as a table otherwise.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       */
+      displayMode: null,
+
+      /**
+       * An inline report definition to use instead of a registered one.
+       *
+       * @instance
+       * @type {module:alfresco/services/ReportService~ReportDefinition}
+       * @default
+       */
+      reportDefinition: null,
+
+      /**
+       * The ID of the report definition registered with the [ReportService]{@link module:alfresco/services/ReportService}.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       */
+      reportId: null,
+
+      /**
+       * The parameters to pass to the data source of the report (e.g. the shortName of a site).
+       *
+       * @instance
+       * @type {object}
+       * @default
+       */
+      reportParameters: null,
+
+      /**
+       * The data of the report once it has been retrieved.
+       *
+       * @instance
+       * @type {object}
+       * @default
+       */
+      _reportData: null,
+
+      /**
+       * Overrides the [inherited function]{@link module:alfresco/reports/Report#postCreate} to request the
+       * report data rather than immediately creating the widgets.
+       *
+       * @instance
+       * @fires module:alfresco/core/topics#GET_REPORT_DATA
+       */
+      postCreate: function alfresco_reports_ConfigurableReport__postCreate() {
+         var responseTopic = topics.GET_REPORT_DATA + "_" + this.generateUuid();
+         var handles = [];
+         handles.push(this.alfSubscribe(responseTopic + "_SUCCESS", lang.hitch(this, function(payload) {
+            this.alfUnsubscribe(handles);
+            this.onReportDataLoaded(payload);
+         })));
+         handles.push(this.alfSubscribe(responseTopic + "_FAILURE", lang.hitch(this, function(payload) {
+            this.alfUnsubscribe(handles);
+            this.onReportDataFailure(payload);
+         })));
+         this.alfPublish(topics.GET_REPORT_DATA, {
+            reportId: this.reportId,
+            reportDefinition: this.reportDefinition,
+            reportParameters: this.reportParameters,
+            alfResponseTopic: responseTopic
+         }, true);
+      },
+
+      /**
+       * Creates the chart and/or table for the loaded report data.
+       *
+       * @instance
+       * @param {object} payload The report data
+       */
+      onReportDataLoaded: function alfresco_reports_ConfigurableReport__onReportDataLoaded(payload) {
+         var definition = payload.reportDefinition || {};
+         var displayMode = this.displayMode || (definition.chartType ? "chart" : "table");
+         this._reportData = payload.response;
+
+         var widgets = [];
+         if (definition.chartType && displayMode !== "table")
+         {
+            widgets.push(this.createChartModel(definition));
+         }
+         if (!definition.chartType || displayMode !== "chart")
+         {
+            widgets.push(this.createTableModel(payload.response));
+         }
+         this.processWidgets(widgets, this.containerNode);
+      },
+
+      /**
+       * Displays a message indicating that the report data could not be loaded.
+       *
+       * @instance
+       * @param {object} payload The failure payload
+       */
+      onReportDataFailure: function alfresco_reports_ConfigurableReport__onReportDataFailure(payload) {
+         this.alfLog("warn", "The data for a report could not be loaded", payload, this);
+         domConstruct.create("div", {
+            className: "alfresco-reports-ConfigurableReport__failure",
+            textContent: this.message("configurable-report.failure.message")
+         }, this.containerNode);
+      },
+
+      /**
+       * Creates the model for the chart of the report. Chart types without a "/" are assumed to be
+       * one of the [CCC charts]{@link module:alfresco/charts/ccc/Chart}.
+       *
+       * @instance
+       * @param {object} definition The report definition
+       * @returns {object} The chart widget model
+       */
+      createChartModel: function alfresco_reports_ConfigurableReport__createChartModel(definition) {
+         var chartType = definition.chartType;
+         return {
+            name: (chartType.indexOf("/") === -1) ? "alfresco/charts/ccc/" + chartType : chartType,
+            config: lang.mixin({}, definition.chartOptions, this.chartOptions)
+         };
+      },
+
+      /**
+       * Creates the model for the table of the report. A column is created for the category, the series
+       * (when the rows have one) and the value.
+       *
+       * @instance
+       * @param {object} response The report data
+       * @returns {object} The table widget model
+       */
+      createTableModel: function alfresco_reports_ConfigurableReport__createTableModel(response) {
+         var rows = response.rows || [];
+         var labels = response.labels || {};
+         var properties = ["category", "value"];
+         var hasSeries = array.some(rows, function(row) {
+            return row.series !== null && typeof row.series !== "undefined";
+         });
+         hasSeries && properties.unshift("series");
+
+         return {
+            name: "alfresco/lists/AlfList",
+            config: {
+               pubSubScope: this.generateUuid() + "_",
+               waitForPageWidgets: false,
+               useLocalData: true,
+               currentData: {
+                  items: rows
+               },
+               widgets: [
+                  {
+                     name: "alfresco/lists/views/AlfListView",
+                     config: {
+                        widgetsForHeader: array.map(properties, function(property) {
+                           return {
+                              name: "alfresco/lists/views/layouts/HeaderCell",
+                              config: {
+                                 label: labels[property] || property
+                              }
+                           };
+                        }),
+                        widgets: [
+                           {
+                              name: "alfresco/lists/views/layouts/Row",
+                              config: {
+                                 widgets: array.map(properties, function(property) {
+                                    return {
+                                       name: "alfresco/lists/views/layouts/Cell",
+                                       config: {
+                                          widgets: [
+                                             {
+                                                name: "alfresco/renderers/Property",
+                                                config: {
+                                                   propertyToRender: property
+                                                }
+                                             }
+                                          ]
+                                       }
+                                    };
+                                 })
+                              }
+                           }
+                        ]
+                     }
+                  }
+               ]
+            }
+         };
+      },
+
+      /**
+       * Shows the report data in any charts that have been created.
+       *
+       * @instance
+       * @param {object[]} widgets The widgets that have been created
+       */
+      allWidgetsProcessed: function alfresco_reports_ConfigurableReport__allWidgetsProcessed(widgets) {
+         array.forEach(widgets, function(widget) {
+            if (typeof widget.showData === "function")
+            {
+               widget.showData(this._reportData.data, this._reportData.dataDescriptor);
+            }
+         }, this);
+      }
+   });
+});
@@ -28,8 +28,9 @@
 define(["dojo/_base/declare",
    "alfresco/core/Core",
    "alfresco/core/I18nUtils",
-   "alfresco/reports/Report"],
-      function(declare, AlfCore, I18nUtils, Report) {
+   "alfresco/reports/Report",
+   "dojo/_base/lang"],
+      function(declare, AlfCore, I18nUtils, Report, lang) {
          var i18nScope = "alfresco.reports.SiteContentReport";
          return declare([Report], {
 
@@ -51,6 +52,62 @@ define(["dojo/_base/declare",
              */
             nonAmdDependencies: ["/js/alfresco.js"],
 
+            /**
+             * The topic to publish when a slice of the chart is clicked. The payload will contain a "name"
+             * of the [drillDownFilterName]{@link module:alfresco/reports/SiteContentReport#drillDownFilterName}
+             * and a "value" of the clicked category so that it can be used as one of the
+             * [filteringTopics]{@link module:alfresco/lists/AlfList#filteringTopics} of an adjacent list.
+             * See [drillDownTopic]{@link module:alfresco/charts/ccc/Chart#drillDownTopic}.
+             *
+             * @instance
+             * @type {string}
+             * @default
+             * @since 1.0.106
+             */
+            drillDownTopic: null,
+
+            /**
+             * The name of the filter to publish on the [drillDownTopic]{@link module:alfresco/reports/SiteContentReport#drillDownTopic}.
+             *
+             * @instance
+             * @type {string}
+             * @default
+             * @since 1.0.106
+             */
+            drillDownFilterName: "mimetype",
+
+            /**
+             * Indicates whether or not the [drillDownTopic]{@link module:alfresco/reports/SiteContentReport#drillDownTopic}
+             * should be published globally.
+             *
+             * @instance
+             * @type {boolean}
+             * @default
+             * @since 1.0.106
+             */
+            drillDownPublishGlobal: false,
+
+            /**
+             * Extends the [inherited function]{@link module:alfresco/reports/Report#postMixInProperties} to
+             * configure the chart to publish on the [drillDownTopic]{@link module:alfresco/reports/SiteContentReport#drillDownTopic}
+             * when it has been set.
+             *
+             * @instance
+             * @since 1.0.106
+             */
+            postMixInProperties: function alfresco_reports_SiteContentReport__postMixInProperties() {
+               this.inherited(arguments);
+               if (this.drillDownTopic)
+               {
+                  this.widgets = lang.clone(this.widgets);
+                  lang.mixin(this.widgets[0].config, {
+                     drillDownTopic: this.drillDownTopic,
+                     drillDownFilterName: this.drillDownFilterName,
+                     drillDownPublishGlobal: this.drillDownPublishGlobal
+                  });
+               }
+            },
+
             /**
              * The widgets to be processed to generate each item in the rendered view.
              *
@@ -22,6 +22,40 @@
  * all URLs will be encoded unless [encodeURIs]{@link module:alfresco/core/CoreXhr#encodeURIs}
  * is configured to be false.
  *
+ * <p>The service can optionally be configured to [queue create, update and delete requests]{@link module:alfresco/services/CrudService#offlineQueueEnabled}
+ * that cannot be sent because the browser is offline. Queued requests are stored locally (so that they
+ * survive the page being reloaded) and are sent in order when the connection is restored.</p>
+ *
+ * <p>The service can also be configured to use [optimistic concurrency control]{@link module:alfresco/services/CrudService#optimisticConcurrencyEnabled}
+ * so that users cannot unknowingly overwrite changes that have been made by someone else since they retrieved
+ * an item. When a conflict is detected the latest version of the item is published on the
+ * [CRUD_CONFLICT]{@link module:alfresco/core/topics#CRUD_CONFLICT} topic so that it can be resolved (the
+ * [CrudForm]{@link module:alfresco/forms/CrudForm} will do this automatically).</p>
+ *
+ * @example <caption>Configuring the service to queue changes made whilst offline</caption>
+ * {
+ *    name: "alfresco/services/CrudService",
+ *    config: {
+ *       offlineQueueEnabled: true
+ *    }
+ * }
+ *
+ * @example <caption>Configuring the service to pass the sort fields of lists as a "sort" request parameter</caption>
+ * {
+ *    name: "alfresco/services/CrudService",
+ *    config: {
+ *       sortQueryParameter: "sort"
+ *    }
+ * }
+ *
+ * @example <caption>Configuring the service to prevent conflicting updates</caption>
+ * {
+ *    name: "alfresco/services/CrudService",
+ *    config: {
+ *       optimisticConcurrencyEnabled: true
+ *    }
+ * }
+ *
  * @module alfresco/services/CrudService
  * @extends module:alfresco/services/BaseService
  * @mixes module:alfresco/core/CoreXhr
@@ -35,8 +69,10 @@ define(["dojo/_base/declare",
         "alfresco/dialogs/AlfDialog",
         "dojo/_base/lang",
         "dojo/_base/array",
-        "alfresco/util/urlUtils"],
-        function(declare, BaseService, CoreXhr, topics, AlfConstants, AlfDialog, lang, array, urlUtils) {
+        "dojo/on",
+        "alfresco/util/urlUtils",
+        "alfresco/util/sortUtils"],
+        function(declare, BaseService, CoreXhr, topics, AlfConstants, AlfDialog, lang, array, on, urlUtils, sortUtils) {
 
    return declare([BaseService, CoreXhr], {
 
@@ -49,6 +85,138 @@ define(["dojo/_base/declare",
        */
       i18nRequirements: [{i18nFile: "./i18n/CrudService.properties"}],
 
+      /**
+       * The name of the query parameter used to pass the cursor of the page of items to
+       * [retrieve]{@link module:alfresco/services/CrudService#onGetAll} when a list is configured to
+       * [use cursor pagination]{@link module:alfresco/lists/AlfList#useCursorPagination}. The cursor is
+       * passed exactly as it was provided in the previous response.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       * @since 1.0.106
+       */
+      cursorQueryParameter: "cursor",
+
+      /**
+       * Indicates whether or not create, update and delete requests should be queued when they cannot be
+       * sent because the browser is offline. Queued requests are stored in local storage and are sent in the
+       * order they were made when the connection is restored. Whilst there are requests in the queue all
+       * subsequent requests will also be queued to ensure that changes are always applied in order.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       * @since 1.0.106
+       */
+      offlineQueueEnabled: false,
+
+      /**
+       * The key used to store the [offline queue]{@link module:alfresco/services/CrudService#offlineQueueEnabled}
+       * in local storage. This should be configured to be unique if multiple instances of the service are
+       * configured to use the offline queue.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       * @since 1.0.106
+       */
+      offlineQueueStorageKey: "ALF_CRUD_SERVICE_OFFLINE_QUEUE",
+
+      /**
+       * The requests that are queued to be sent when the connection is restored.
+       *
+       * @instance
+       * @type {object[]}
+       * @default
+       * @since 1.0.106
+       */
+      _offlineQueue: null,
+
+      /**
+       * Indicates whether or not a queued request is currently being sent.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       * @since 1.0.106
+       */
+      _processingOfflineQueue: false,
+
+      /**
+       * The attributes of a request configuration that are stored when queueing a request.
+       *
+       * @instance
+       * @type {string[]}
+       * @default
+       * @since 1.0.106
+       */
+      _offlineQueueConfigAttributes: ["url", "method", "data", "headers", "alfTopic", "responseScope", "createdItemKey", "successMessage", "failureMessage"],
+
+      /**
+       * Indicates whether or not optimistic concurrency control should be used. When enabled the "ETag" (or
+       * "Last-Modified") header returned when an item is [retrieved]{@link module:alfresco/services/CrudService#onGetOne}
+       * is remembered and sent as an "If-Match" (or "If-Unmodified-Since") header when that item is subsequently
+       * updated or deleted. If the item has been changed by someone else in the meantime then the server is
+       * expected to respond with a 412 status, in which case the latest version of the item is retrieved and
+       * published on the [CRUD_CONFLICT]{@link module:alfresco/core/topics#CRUD_CONFLICT} topic.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       * @since 1.0.106
+       */
+      optimisticConcurrencyEnabled: false,
+
+      /**
+       * The name of the query parameter used to pass the sort fields of a list when
+       * [retrieving items]{@link module:alfresco/services/CrudService#onGetAll}. When this is configured the
+       * "sortFields" of the request payload (as published by an
+       * [AlfSortablePaginatedList]{@link module:alfresco/lists/AlfSortablePaginatedList}) are
+       * [serialised]{@link module:alfresco/util/sortUtils#serialiseSortFields} as a comma-separated list of
+       * "field|ascending" values (e.g. "name|true,modified|false"). No sort data is added to the URL by default.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       * @since 1.0.106
+       */
+      sortQueryParameter: null,
+
+      /**
+       * The versions of the items that have been retrieved, mapped by their URL (without any query string).
+       * Each entry contains the "etag" and "lastModified" values from the response headers.
+       *
+       * @instance
+       * @type {object}
+       * @default
+       * @since 1.0.106
+       */
+      _itemVersions: null,
+
+      /**
+       * Loads any requests that were queued when the page was last loaded and listens for the connection
+       * being restored when the [offline queue]{@link module:alfresco/services/CrudService#offlineQueueEnabled}
+       * is enabled.
+       *
+       * @instance
+       * @listens module:alfresco/core/topics#PAGE_WIDGETS_READY
+       * @since 1.0.106
+       */
+      initService: function alfresco_services_CrudService__initService() {
+         this.inherited(arguments);
+         this._itemVersions = {};
+         if (this.offlineQueueEnabled)
+         {
+            this._offlineQueue = this.loadOfflineQueue();
+            this._onlineListener = on(window, "online", lang.hitch(this, this.processOfflineQueue));
+            this.publishOfflineQueueStatus();
+
+            // Wait for the page to be ready before sending any previously queued requests...
+            this.alfSubscribeOnce(topics.PAGE_WIDGETS_READY, lang.hitch(this, this.processOfflineQueue), true);
+         }
+      },
+
       /**
        * @instance
        * @since 1.0.32
@@ -64,14 +232,29 @@ define(["dojo/_base/declare",
       /**
        * This is called whenever a create, update or delete operation is performed to ensure that
        * any associated list views are refreshed. It does this by publishing on the "ALF_DOCLIST_RELOAD_DATA"
-       * topic (for historical reasons - a more generic topic should be used in the future).
+       * topic (for historical reasons - a more generic topic should be used in the future). Any
+       * [cached responses]{@link module:alfresco/core/CoreXhr#cacheTtl} for related URLs are removed first
+       * so that the reloaded data is not out of date.
        *
        * @instance
        * @param {object} response The response from the original XHR request.
        * @param {object} originalRequestConfig The configuration passed to the original XHR request.
+       * @param {object} [xhrResponse] The full response (including headers) from the original XHR request.
        * @fires module:alfresco/core/topics#DISPLAY_NOTIFICATION
+       * @fires module:alfresco/core/topics#INVALIDATE_XHR_CACHE
        */
-      refreshRequest: function alfresco_services_CrudService__refreshRequest(response, originalRequestConfig) {
+      refreshRequest: function alfresco_services_CrudService__refreshRequest(response, originalRequestConfig, xhrResponse) {
+         // Remember the new version of an updated item (or forget the version of a deleted item)...
+         if (this.optimisticConcurrencyEnabled && originalRequestConfig.method !== "POST")
+         {
+            this.recordItemVersion(originalRequestConfig.url, originalRequestConfig.method === "DELETE" ? null : xhrResponse);
+         }
+
+         // Remove any cached responses that may have been affected by the change...
+         this.alfServicePublish(topics.INVALIDATE_XHR_CACHE, {
+            url: originalRequestConfig.url
+         });
+
          var responseTopic = lang.getObject("alfTopic", false, originalRequestConfig);
          if (responseTopic) {
             this.alfPublish(responseTopic + "_SUCCESS", response);
@@ -190,10 +373,18 @@ define(["dojo/_base/declare",
             var startIndex = (payload.page - 1) * payload.pageSize;
             url = this.addQueryParameter(url, "startIndex", startIndex);
          }
+         if (payload.cursor)
+         {
+            url = this.addQueryParameter(url, this.cursorQueryParameter, payload.cursor, true);
+         }
          if (payload.dataFilters)
          {
             url = urlUtils.addFilterQueryParameters(url, payload);
          }
+         if (this.sortQueryParameter && payload.sortFields && payload.sortFields.length)
+         {
+            url = this.addQueryParameter(url, this.sortQueryParameter, sortUtils.serialiseSortFields(payload.sortFields), true);
+         }
 
          var config = {
             url: url,
@@ -215,7 +406,10 @@ define(["dojo/_base/declare",
       },
 
       /**
-       * TODO: This needs to be completed.
+       * Makes a GET request for a single item using the 'url' attribute provided in the payload. If
+       * [optimistic concurrency control]{@link module:alfresco/services/CrudService#optimisticConcurrencyEnabled}
+       * is enabled then the version of the item will be remembered so that it can be checked when the
+       * item is updated or deleted.
        *
        * @instance
        * @param {object} payload
@@ -228,11 +422,32 @@ define(["dojo/_base/declare",
                url: url,
                responseScope: payload.alfResponseScope,
                data: this.clonePayload(payload),
-               method: "GET"
+               method: "GET",
+               successCallback: this.onGetOneSuccess,
+               callbackScope: this
             });
          }
       },
 
+      /**
+       * Called when an item has been successfully retrieved by [onGetOne]{@link module:alfresco/services/CrudService#onGetOne}.
+       * The version of the item is remembered before the item is published (using the default callback so
+       * that it is published on the "alfResponseTopic" and "alfResponseScope" of the original request).
+       *
+       * @instance
+       * @param {object} response The response from the XHR request.
+       * @param {object} requestConfig The configuration passed to the XHR request.
+       * @param {object} xhrResponse The full response (including headers) from the XHR request.
+       * @since 1.0.106
+       */
+      onGetOneSuccess: function alfresco_services_CrudService__onGetOneSuccess(response, requestConfig, xhrResponse) {
+         if (this.optimisticConcurrencyEnabled)
+         {
+            this.recordItemVersion(requestConfig.url, xhrResponse);
+         }
+         this.defaultSuccessCallback(response, requestConfig);
+      },
+
       /**
        * Creates a new item via the supplied URL. The payload needs to contain both a 'url' attribute
        * (that indicates the REST API to call) and a 'data' attribute (that defines the object to be
@@ -243,7 +458,7 @@ define(["dojo/_base/declare",
        */
       onCreate: function alfresco_services_CrudService__onCreate(payload) {
          var url = this.getUrlFromPayload(payload);
-         this.serviceXhr({
+         this.sendChangeRequest({
             url: url,
             createdItemKey: payload.createdItemKey,
             responseScope: payload.alfResponseScope,
@@ -265,8 +480,9 @@ define(["dojo/_base/declare",
        */
       onUpdate: function alfresco_services_CrudService__onUpdate(payload) {
          var url = this.getUrlFromPayload(payload);
-         this.serviceXhr({
+         this.sendChangeRequest({
             url: url,
+            requestedUrl: payload.url,
             responseScope: payload.alfResponseScope,
             data: this.clonePayload(payload),
             method: "PUT",
@@ -367,7 +583,7 @@ define(["dojo/_base/declare",
        * @param {object} payload The original payload
        */
       performDelete: function alfresco_services_CrudService__performDelete(url, payload) {
-         this.serviceXhr({
+         this.sendChangeRequest({
             url: url,
             method: "DELETE",
             responseScope: payload.alfResponseScope,
@@ -394,13 +610,24 @@ define(["dojo/_base/declare",
 
       /**
        * This is called whenever a create, update or delete operation fails. It will generate a notification
-       * with a message (optionally supplied as failureMessage in the payload).
+       * with a message (optionally supplied as failureMessage in the payload). If the request failed because
+       * the connection was lost and the [offline queue]{@link module:alfresco/services/CrudService#offlineQueueEnabled}
+       * is enabled then the request will be queued instead. If the request failed because the item has been
+       * changed by someone else (and [optimistic concurrency control]{@link module:alfresco/services/CrudService#optimisticConcurrencyEnabled}
+       * is enabled) then the latest version of the item will be retrieved rather than generating a notification.
        *
        * @instance
        * @param {object} response The response from the original XHR request.
        * @param {object} originalRequestConfig The configuration passed to the original XHR request.
        */
       failureCallback: function alfresco_services_CrudService__failureCallback(response, originalRequestConfig) {
+         // Queue the request if it failed because the connection has been lost...
+         if (this.offlineQueueEnabled && this.isNetworkFailure(response))
+         {
+            this.queueOfflineRequest(originalRequestConfig);
+            return;
+         }
+
          // Publish failure topic as necessary
          if (originalRequestConfig.alfTopic) {
             this.alfPublish(originalRequestConfig.alfTopic + "_FAILURE", {
@@ -409,11 +636,426 @@ define(["dojo/_base/declare",
             });
          }
 
-         // Get the failure message and display a notification
-         var message = originalRequestConfig.failureMessage || this.message("crudservice.generic.failure.message");
-         this.alfPublish("ALF_DISPLAY_PROMPT", {
-            message: this.message(message)
+         if (this.optimisticConcurrencyEnabled && lang.getObject("response.status", false, response) === 412)
+         {
+            this.retrieveConflictingItem(originalRequestConfig);
+         }
+         else
+         {
+            // Get the failure message and display a notification
+            var message = originalRequestConfig.failureMessage || this.message("crudservice.generic.failure.message");
+            this.alfPublish("ALF_DISPLAY_PROMPT", {
+               message: this.message(message)
+            });
+         }
+      },
+
+      /**
+       * Sends a create, update or delete request. If the [offline queue]{@link module:alfresco/services/CrudService#offlineQueueEnabled}
+       * is enabled and either the browser is offline or there are already queued requests then the request
+       * will be queued rather than sent.
+       *
+       * @instance
+       * @param {object} config The configuration for the request
+       * @since 1.0.106
+       */
+      sendChangeRequest: function alfresco_services_CrudService__sendChangeRequest(config) {
+         if (this.optimisticConcurrencyEnabled)
+         {
+            this.addItemVersionHeaders(config);
+         }
+         if (this.offlineQueueEnabled && (this.isOffline() || this._offlineQueue.length))
+         {
+            this.queueOfflineRequest(config);
+         }
+         else
+         {
+            this.serviceXhr(config);
+         }
+      },
+
+      /**
+       * Indicates whether or not the browser is offline.
+       *
+       * @instance
+       * @returns {boolean} True if the browser is offline
+       * @since 1.0.106
+       */
+      isOffline: function alfresco_services_CrudService__isOffline() {
+         return window.navigator.onLine === false;
+      },
+
+      /**
+       * Indicates whether or not the supplied failure response was the result of the request not reaching
+       * the server (rather than the server returning an error).
+       *
+       * @instance
+       * @param {object} response The failure response
+       * @returns {boolean} True if the request could not be sent
+       * @since 1.0.106
+       */
+      isNetworkFailure: function alfresco_services_CrudService__isNetworkFailure(response) {
+         return this.isOffline() || lang.getObject("response.status", false, response) === 0;
+      },
+
+      /**
+       * Retrieves the queued requests from local storage.
+       *
+       * @instance
+       * @returns {object[]} The queued requests
+       * @since 1.0.106
+       */
+      loadOfflineQueue: function alfresco_services_CrudService__loadOfflineQueue() {
+         var queue = [];
+         try
+         {
+            var storedQueue = window.localStorage.getItem(this.offlineQueueStorageKey);
+            queue = (storedQueue && JSON.parse(storedQueue)) || [];
+         }
+         catch (e)
+         {
+            this.alfLog("warn", "It was not possible to load the offline queue from local storage", e, this);
+         }
+         return queue;
+      },
+
+      /**
+       * Saves the queued requests to local storage.
+       *
+       * @instance
+       * @since 1.0.106
+       */
+      saveOfflineQueue: function alfresco_services_CrudService__saveOfflineQueue() {
+         try
+         {
+            window.localStorage.setItem(this.offlineQueueStorageKey, JSON.stringify(this._offlineQueue));
+         }
+         catch (e)
+         {
+            this.alfLog("warn", "It was not possible to save the offline queue to local storage", e, this);
+         }
+      },
+
+      /**
+       * Adds a request to the end of the queue and notifies the user that the change will be saved when
+       * the connection is restored.
+       *
+       * @instance
+       * @param {object} config The configuration for the request
+       * @fires module:alfresco/core/topics#DISPLAY_NOTIFICATION
+       * @since 1.0.106
+       */
+      queueOfflineRequest: function alfresco_services_CrudService__queueOfflineRequest(config) {
+         var storedConfig = {};
+         array.forEach(this._offlineQueueConfigAttributes, function(attribute) {
+            if (typeof config[attribute] !== "undefined")
+            {
+               storedConfig[attribute] = config[attribute];
+            }
+         });
+         this._offlineQueue.push({
+            id: this.generateUuid(),
+            config: storedConfig
+         });
+         this.saveOfflineQueue();
+         this.publishOfflineQueueStatus();
+
+         this.alfServicePublish(topics.DISPLAY_NOTIFICATION, {
+            message: this.message("crudservice.offline.queued.message")
+         });
+      },
+
+      /**
+       * Publishes the number of requests that are waiting to be sent.
+       *
+       * @instance
+       * @fires module:alfresco/core/topics#CRUD_OFFLINE_QUEUE_STATUS
+       * @since 1.0.106
+       */
+      publishOfflineQueueStatus: function alfresco_services_CrudService__publishOfflineQueueStatus() {
+         this.alfPublish(topics.CRUD_OFFLINE_QUEUE_STATUS, {
+            pendingCount: this._offlineQueue.length,
+            offline: this.isOffline()
+         });
+      },
+
+      /**
+       * Sends the request at the front of the queue. This is called when the connection is restored and
+       * after each queued request has been successfully sent (or discarded) until the queue is empty.
+       *
+       * @instance
+       * @since 1.0.106
+       */
+      processOfflineQueue: function alfresco_services_CrudService__processOfflineQueue() {
+         if (!this._processingOfflineQueue && this._offlineQueue.length && !this.isOffline())
+         {
+            this._processingOfflineQueue = true;
+            this.publishOfflineQueueStatus();
+            var entry = this._offlineQueue[0];
+            this.serviceXhr(lang.mixin({}, entry.config, {
+               offlineQueueEntryId: entry.id,
+               successCallback: this.onOfflineRequestSuccess,
+               failureCallback: this.onOfflineRequestFailure,
+               callbackScope: this
+            }));
+         }
+      },
+
+      /**
+       * Removes a request from the queue.
+       *
+       * @instance
+       * @param {string} id The id of the queued request to remove
+       * @since 1.0.106
+       */
+      removeOfflineRequest: function alfresco_services_CrudService__removeOfflineRequest(id) {
+         this._offlineQueue = array.filter(this._offlineQueue, function(entry) {
+            return entry.id !== id;
+         });
+         this.saveOfflineQueue();
+         this.publishOfflineQueueStatus();
+      },
+
+      /**
+       * Called when a queued request has been successfully sent. The request is removed from the queue
+       * and handled as if it had been sent originally before sending the next queued request.
+       *
+       * @instance
+       * @param {object} response The response from the XHR request.
+       * @param {object} requestConfig The configuration passed to the XHR request.
+       * @param {object} xhrResponse The full response (including headers) from the XHR request.
+       * @since 1.0.106
+       */
+      onOfflineRequestSuccess: function alfresco_services_CrudService__onOfflineRequestSuccess(response, requestConfig, xhrResponse) {
+         this._processingOfflineQueue = false;
+         this.removeOfflineRequest(requestConfig.offlineQueueEntryId);
+         this.refreshRequest(response, requestConfig, xhrResponse);
+         this.processOfflineQueue();
+      },
+
+      /**
+       * Called when a queued request fails. If the connection has been lost again then the request remains
+       * at the front of the queue. If the request conflicts with a change made by someone else (indicated by
+       * a 409 or 412 status) then the user is asked whether to discard their change or keep it queued.
+       * For all other failures the request is removed from the queue and handled as a normal failure.
+       *
+       * @instance
+       * @param {object} response The response from the XHR request.
+       * @param {object} requestConfig The configuration passed to the XHR request.
+       * @since 1.0.106
+       */
+      onOfflineRequestFailure: function alfresco_services_CrudService__onOfflineRequestFailure(response, requestConfig) {
+         var status = lang.getObject("response.status", false, response);
+         if (this.isNetworkFailure(response))
+         {
+            this._processingOfflineQueue = false;
+            this.publishOfflineQueueStatus();
+         }
+         else if (status === 409 || status === 412)
+         {
+            this.requestOfflineConflictResolution(requestConfig);
+         }
+         else
+         {
+            this._processingOfflineQueue = false;
+            this.removeOfflineRequest(requestConfig.offlineQueueEntryId);
+            this.failureCallback(response, requestConfig);
+            this.processOfflineQueue();
+         }
+      },
+
+      /**
+       * Displays a dialog informing the user that a queued change conflicts with a change made by someone
+       * else whilst they were offline. The user can either discard their change (in which case the next queued
+       * request will be sent) or keep it in the queue (in which case no further queued requests will be sent
+       * until the connection is next restored or the page is reloaded). Closing the dialog without using either
+       * button (e.g. by pressing escape) keeps the change in the queue.
+       *
+       * @instance
+       * @param {object} requestConfig The configuration passed to the XHR request.
+       * @fires module:alfresco/core/topics#CREATE_DIALOG
+       * @since 1.0.106
+       */
+      requestOfflineConflictResolution: function alfresco_services_CrudService__requestOfflineConflictResolution(requestConfig) {
+         var discardTopic = this.generateUuid(),
+            keepTopic = this.generateUuid(),
+            handles = [];
+         var onResolved = lang.hitch(this, function(discard) {
+            // Pressing a button hides the dialog so guard against handling both the button and the cancellation...
+            if (!handles.length)
+            {
+               return;
+            }
+            this.alfUnsubscribe(handles);
+            handles = [];
+            this._processingOfflineQueue = false;
+            if (discard)
+            {
+               this.removeOfflineRequest(requestConfig.offlineQueueEntryId);
+               this.processOfflineQueue();
+            }
+            else
+            {
+               this.publishOfflineQueueStatus();
+            }
+         });
+         handles.push(this.alfSubscribe(discardTopic, lang.partial(onResolved, true), true));
+         handles.push(this.alfSubscribe(keepTopic, lang.partial(onResolved, false), true));
+
+         this.alfServicePublish(topics.CREATE_DIALOG, {
+            dialogId: "ALF_CRUD_SERVICE_OFFLINE_CONFLICT_DIALOG",
+            dialogTitle: this.message("crudservice.offline.conflict.title"),
+            cancelPublishTopic: keepTopic,
+            cancelPublishScope: "",
+            textContent: this.message("crudservice.offline.conflict.prompt", {
+               0: requestConfig.url
+            }),
+            widgetsButtons: [
+               {
+                  id: "ALF_CRUD_SERVICE_OFFLINE_CONFLICT_DIALOG_DISCARD",
+                  name: "alfresco/buttons/AlfButton",
+                  config: {
+                     label: this.message("crudservice.offline.conflict.discard"),
+                     publishTopic: discardTopic
+                  }
+               },
+               {
+                  id: "ALF_CRUD_SERVICE_OFFLINE_CONFLICT_DIALOG_KEEP",
+                  name: "alfresco/buttons/AlfButton",
+                  config: {
+                     label: this.message("crudservice.offline.conflict.keep"),
+                     publishTopic: keepTopic
+                  }
+               }
+            ]
          });
+      },
+
+      /**
+       * Gets the key to use for an item in the [item versions]{@link module:alfresco/services/CrudService#_itemVersions}.
+       *
+       * @instance
+       * @param {string} url The URL of the item
+       * @returns {string} The key
+       * @since 1.0.106
+       */
+      getItemVersionKey: function alfresco_services_CrudService__getItemVersionKey(url) {
+         return url.split("?")[0];
+      },
+
+      /**
+       * Remembers the version of an item from the "ETag" and "Last-Modified" headers of a response. If the
+       * response does not include either header then any previously remembered version is forgotten.
+       *
+       * @instance
+       * @param {string} url The URL of the item
+       * @param {object} [xhrResponse] The full response (including headers) for the item
+       * @since 1.0.106
+       */
+      recordItemVersion: function alfresco_services_CrudService__recordItemVersion(url, xhrResponse) {
+         var etag = null,
+            lastModified = null;
+         if (xhrResponse && typeof xhrResponse.getHeader === "function")
+         {
+            etag = xhrResponse.getHeader("ETag");
+            lastModified = xhrResponse.getHeader("Last-Modified");
+         }
+
+         var key = this.getItemVersionKey(url);
+         if (etag || lastModified)
+         {
+            this._itemVersions[key] = {
+               etag: etag,
+               lastModified: lastModified
+            };
+         }
+         else
+         {
+            delete this._itemVersions[key];
+         }
+      },
+
+      /**
+       * Adds an "If-Match" header (or an "If-Unmodified-Since" header when no ETag is known) to an update or
+       * delete request for an item whose version has been remembered.
+       *
+       * @instance
+       * @param {object} config The configuration for the request
+       * @since 1.0.106
+       */
+      addItemVersionHeaders: function alfresco_services_CrudService__addItemVersionHeaders(config) {
+         var version = config.url && (config.method === "PUT" || config.method === "DELETE") && this._itemVersions[this.getItemVersionKey(config.url)];
+         if (version)
+         {
+            config.headers = lang.mixin({}, config.headers || this.getDefaultHeaders());
+            if (version.etag)
+            {
+               config.headers["If-Match"] = version.etag;
+            }
+            else
+            {
+               config.headers["If-Unmodified-Since"] = version.lastModified;
+            }
+         }
+      },
+
+      /**
+       * Retrieves the latest version of an item that could not be updated or deleted because it has been
+       * changed by someone else. The version of the item is remembered so that the change can be re-attempted
+       * (overwriting the other change) once the conflict has been resolved.
+       *
+       * @instance
+       * @param {object} requestConfig The configuration passed to the XHR request that failed.
+       * @since 1.0.106
+       */
+      retrieveConflictingItem: function alfresco_services_CrudService__retrieveConflictingItem(requestConfig) {
+         this.serviceXhr({
+            url: requestConfig.url,
+            method: "GET",
+            preventCache: true,
+            conflictingRequestConfig: requestConfig,
+            successCallback: this.onConflictingItemRetrieved,
+            failureCallback: this.onConflictingItemRetrieved,
+            callbackScope: this
+         });
+      },
+
+      /**
+       * Called when the latest version of a conflicting item has been requested. If the item could not be
+       * retrieved (e.g. because it has been deleted) then the conflict is still published but without any
+       * item data.
+       *
+       * @instance
+       * @param {object} response The response from the XHR request.
+       * @param {object} requestConfig The configuration passed to the XHR request.
+       * @param {object} [xhrResponse] The full response (including headers) from the XHR request.
+       * @fires module:alfresco/core/topics#CRUD_CONFLICT
+       * @since 1.0.106
+       */
+      onConflictingItemRetrieved: function alfresco_services_CrudService__onConflictingItemRetrieved(response, requestConfig, xhrResponse) {
+         var conflictingRequestConfig = requestConfig.conflictingRequestConfig;
+         this.recordItemVersion(requestConfig.url, xhrResponse);
+         this.alfPublish(topics.CRUD_CONFLICT, {
+            url: conflictingRequestConfig.url,
+            requestedUrl: conflictingRequestConfig.requestedUrl,
+            method: conflictingRequestConfig.method,
+            localData: conflictingRequestConfig.data,
+            serverData: xhrResponse ? response : null
+         }, false, false, conflictingRequestConfig.responseScope);
+      },
+
+      /**
+       * Removes the listener for the connection being restored.
+       *
+       * @instance
+       * @since 1.0.106
+       */
+      destroy: function alfresco_services_CrudService__destroy() {
+         if (this._onlineListener)
+         {
+            this._onlineListener.remove();
+         }
+         this.inherited(arguments);
       }
    });
 });
\ No newline at end of file
@@ -154,7 +154,9 @@
  * @property {boolean} [fullScreenPadding=10] The padding to leave around the dialog when in full screen mode
  * @property {boolean} [showValidationErrorsImmediately=true] Indicates whether or not to display form errors immediately
  * @property {object} [customFormConfig=null] Any additional configuration that can be applied to a [Form]{@link module:alfresco/forms/Form} (please note that the following form configuration
- * attributes will always be overridden by specific form dialog configuration: "additionalCssClasses", "displayButtons", "widgets", "value", "warnings" and "warningsPosition")
+ * attributes will always be overridden by specific form dialog configuration: "additionalCssClasses", "displayButtons", "widgets", "value", "warnings" and "warningsPosition").
+ * A [draftId]{@link module:alfresco/forms/Form#draftId} can be included to keep a draft of the form value when the dialog is closed, and if a 
+ * dialogCloseTopic is set it will be used to remove the draft unless [draftClearTopics]{@link module:alfresco/forms/Form#draftClearTopics} are also included.
  * @property {boolean} [noMinWidth=false] Indicates whether the minimum width restriction should be lifted
  * @property {boolean} [destroyOnHide=false] Indicates the dialog should be completely torn down and its widgets destroyed immediately after being hidden.
  */
@@ -848,6 +850,13 @@ define(["dojo/_base/declare",
             warningsPosition: config.warningsPosition
          });
 
+         // If the form is keeping a draft of its value then it should only be removed once the
+         // submission has been successful, which is indicated by the dialogCloseTopic if provided...
+         if (formConfig.draftId && config.dialogCloseTopic && !formConfig.draftClearTopics)
+         {
+            formConfig.draftClearTopics = [config.dialogCloseTopic];
+         }
+
          var form = {
             name: "alfresco/forms/Form",
             config: formConfig
@@ -873,6 +882,12 @@ define(["dojo/_base/declare",
                   var data = {};
                   var formData = dialogContent[0].getValue();
 
+                  // Let the form remove any draft of the submitted value...
+                  if (typeof dialogContent[0].onDraftSubmission === "function")
+                  {
+                     dialogContent[0].onDraftSubmission();
+                  }
+
                   // See AKU-846 - If the dialog has been configured with an enablement topic then we can disable
                   // all the buttons in the dialog, in the knowledge that they will be re-enabled if form submission
                   // fails.
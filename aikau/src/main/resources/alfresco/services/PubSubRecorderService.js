@@ -0,0 +1,166 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * This service provides access to the [PubSubRecorder]{@link module:alfresco/core/PubSubRecorder} so that
+ * the publications made during a session can be recorded, exported as JSON and replayed. Recording is started
+ * by publishing on [START_PUBSUB_RECORDING]{@link module:alfresco/core/topics#START_PUBSUB_RECORDING} and stopped
+ * by publishing on [STOP_PUBSUB_RECORDING]{@link module:alfresco/core/topics#STOP_PUBSUB_RECORDING} (which will
+ * publish the recording as JSON on the response topic of the request).
+ *
+ * <p>A recording can be replayed by publishing on [REPLAY_PUBSUB_RECORDING]{@link module:alfresco/core/topics#REPLAY_PUBSUB_RECORDING}
+ * or can be configured as the [recording]{@link module:alfresco/services/PubSubRecorderService#recording} to replay
+ * when the service is created. In the latter case the publications are made once all the widgets on the page have
+ * been created, which allows a recorded session to be reproduced in a new page.</p>
+ *
+ * @example <caption>Reproducing a recorded session in a new page</caption>
+ * {
+ *    name: "alfresco/services/PubSubRecorderService",
+ *    config: {
+ *       recording: {
+ *          version: 1,
+ *          publications: [
+ *             {
+ *                topic: "ALF_CRUD_GET_ALL",
+ *                scope: "",
+ *                payload: {
+ *                   url: "my/items"
+ *                },
+ *                offset: 0
+ *             }
+ *          ]
+ *       }
+ *    }
+ * }
+ *
+ * @module alfresco/services/PubSubRecorderService
+ * @extends module:alfresco/services/BaseService
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["dojo/_base/declare",
+        "alfresco/services/BaseService",
+        "alfresco/core/PubSubRecorder",
+        "alfresco/core/topics",
+        "dojo/_base/lang"],
+        function(declare, BaseService, PubSubRecorder, topics, lang) {
+
+   return declare([BaseService], {
+
+      /**
+       * A recording (or a recording as JSON) to replay when the service is created.
+       *
+       * @instance
+       * @type {object|string}
+       * @default
+       */
+      recording: null,
+
+      /**
+       * Indicates whether or not the original timing between publications should be reproduced when
+       * replaying the configured [recording]{@link module:alfresco/services/PubSubRecorderService#recording}.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       */
+      respectTiming: false,
+
+      /**
+       * Replays the configured [recording]{@link module:alfresco/services/PubSubRecorderService#recording} (if
+       * there is one).
+       *
+       * @instance
+       */
+      initService: function alfresco_services_PubSubRecorderService__initService() {
+         this.inherited(arguments);
+         if (this.recording)
+         {
+            PubSubRecorder.getSingleton().replay(this.recording, this.respectTiming);
+         }
+      },
+
+      /**
+       * @instance
+       * @listens module:alfresco/core/topics#START_PUBSUB_RECORDING
+       * @listens module:alfresco/core/topics#STOP_PUBSUB_RECORDING
+       * @listens module:alfresco/core/topics#REPLAY_PUBSUB_RECORDING
+       */
+      registerSubscriptions: function alfresco_services_PubSubRecorderService__registerSubscriptions() {
+         this.alfSubscribe(topics.START_PUBSUB_RECORDING, lang.hitch(this, this.onStartRecording));
+         this.alfSubscribe(topics.STOP_PUBSUB_RECORDING, lang.hitch(this, this.onStopRecording));
+         this.alfSubscribe(topics.REPLAY_PUBSUB_RECORDING, lang.hitch(this, this.onReplayRecording));
+      },
+
+      /**
+       * Starts a new recording.
+       *
+       * @instance
+       * @param {object} payload The request payload
+       * @param {boolean} [payload.includeHistory=false] Whether or not to include the publications already logged in debug mode
+       */
+      onStartRecording: function alfresco_services_PubSubRecorderService__onStartRecording(payload) {
+         PubSubRecorder.getSingleton().start(payload && payload.includeHistory);
+      },
+
+      /**
+       * Stops the current recording and publishes it as JSON on the response topic (if one is provided).
+       *
+       * @instance
+       * @param {object} payload The request payload
+       */
+      onStopRecording: function alfresco_services_PubSubRecorderService__onStopRecording(payload) {
+         var recorder = PubSubRecorder.getSingleton();
+         recorder.stop();
+         if (payload && payload.alfResponseTopic)
+         {
+            this.alfPublish(payload.alfResponseTopic, {
+               recording: recorder.exportRecording()
+            }, false, false, payload.alfResponseScope);
+         }
+      },
+
+      /**
+       * Replays the requested recording. Once all the publications have been made a publication will be made
+       * on the response topic (if one is provided) with the number of publications that were replayed.
+       *
+       * @instance
+       * @param {object} payload The request payload
+       * @param {object|string} payload.recording The recording (or the recording as JSON) to replay
+       * @param {boolean} [payload.respectTiming=false] Whether or not to reproduce the original timing between publications
+       */
+      onReplayRecording: function alfresco_services_PubSubRecorderService__onReplayRecording(payload) {
+         if (payload && payload.recording)
+         {
+            PubSubRecorder.getSingleton().replay(payload.recording, payload.respectTiming).then(lang.hitch(this, function(count) {
+               if (payload.alfResponseTopic)
+               {
+                  this.alfPublish(payload.alfResponseTopic, {
+                     count: count
+                  }, false, false, payload.alfResponseScope);
+               }
+            }));
+         }
+         else
+         {
+            this.alfLog("warn", "A request was made to replay a recording but no 'recording' attribute was provided", payload, this);
+         }
+      }
+   });
+});
@@ -18,7 +18,37 @@
  */
 
 /**
- * @module alfresco/services/SiteService
+ * <p>This service retrieves the data for reports. As well as handling requests for the site content and top
+ * site contributor reports it provides a registry of report definitions that can be declared in page models
+ * (by configuring the [reportDefinitions]{@link module:alfresco/services/ReportService#reportDefinitions} of
+ * the service or by publishing on the [REGISTER_REPORT]{@link module:alfresco/core/topics#REGISTER_REPORT}
+ * topic). The data for a registered report is requested by publishing on the
+ * [GET_REPORT_DATA]{@link module:alfresco/core/topics#GET_REPORT_DATA} topic; the items returned from the
+ * report's data source (either a topic or a URL) are aggregated into rows that are published in a format
+ * that can be rendered either by a [chart]{@link module:alfresco/charts/ccc/Chart} or as a table (see the
+ * [ConfigurableReport]{@link module:alfresco/reports/ConfigurableReport}).</p>
+ *
+ * @example <caption>Example registering a report counting documents by creator</caption>
+ * {
+ *   name: "alfresco/services/ReportService",
+ *   config: {
+ *     reportDefinitions: [
+ *       {
+ *         id: "DOCUMENTS_BY_CREATOR",
+ *         url: "slingshot/doclib2/doclist/all/site/{site}/documentLibrary",
+ *         itemsProperty: "items",
+ *         categoryProperty: "node.properties.cm:creator.displayName",
+ *         aggregation: "count",
+ *         sortBy: "value",
+ *         sortAscending: false,
+ *         limit: 10,
+ *         chartType: "BarChart"
+ *       }
+ *     ]
+ *   }
+ * }
+ *
+ * @module alfresco/services/ReportService
  * @extends module:alfresco/services/BaseService
  * @mixes module:alfresco/core/CoreXhr
  * @author Erik Winlöf
@@ -30,9 +60,11 @@ define(["dojo/_base/declare",
         "alfresco/core/ObjectTypeUtils",
         "dojo/request/xhr",
         "dojo/json",
+        "alfresco/core/topics",
         "dojo/_base/lang",
+        "dojo/_base/array",
         "service/constants/Default"],
-        function(declare, BaseService, AlfXhr, NotificationUtils, ObjectTypeUtils, xhr, JSON, lang, AlfConstants) {
+        function(declare, BaseService, AlfXhr, NotificationUtils, ObjectTypeUtils, xhr, JSON, topics, lang, array, AlfConstants) {
 
    return declare([BaseService, AlfXhr, NotificationUtils], {
 
@@ -48,14 +80,453 @@ define(["dojo/_base/declare",
       i18nRequirements: [{i18nFile: "./i18n/ReportService.properties"}],
 
       /**
-       * Sets up the subscriptions for the ReportService
+       * @instance
+       * @typedef {object} ReportDefinition
+       * @property {string} id The unique ID of the report
+       * @property {string} [title] The title (or i18n key for the title) of the report
+       * @property {string} [dataTopic] A topic to publish to request the items to report on
+       * @property {object} [dataPayload] Additional data to include in the payload published on the dataTopic
+       * @property {string} [url] A URL to request the items to report on (used when no dataTopic is defined). Tokens
+       * such as "{site}" are replaced with the encoded values of the report parameters.
+       * @property {string} [urlType="PROXY"] Either "PROXY", "SHARE" or "FULL" to indicate how the url should be prefixed
+       * @property {string} [itemsProperty="items"] The dot-notation property of the response containing the items
+       * @property {string} categoryProperty The dot-notation property of each item to group the items by
+       * @property {string} [seriesProperty] The dot-notation property of each item to divide each category into series by
+       * @property {string} [valueProperty] The dot-notation property of each item to aggregate
+       * @property {string} [aggregation] One of "count", "sum", "avg", "min", "max" or "none" (when each item is
+       * already a row of the report). This defaults to "count" when there is no valueProperty and "sum" otherwise.
+       * @property {string} [sortBy] Either "category" or "value" to sort the rows by
+       * @property {boolean} [sortAscending=true] Whether or not rows are sorted in ascending order
+       * @property {number} [limit] The maximum number of rows to return
+       * @property {string} [chartType] The chart to render the report with (e.g. "PieChart", "BarChart" or "LineChart").
+       * When this is not defined the report is rendered as a table.
+       * @property {object} [chartOptions] Additional configuration for the chart widget
+       * @property {string} [categoryLabel] The label (or i18n key) for the category column
+       * @property {string} [seriesLabel] The label (or i18n key) for the series column
+       * @property {string} [valueLabel] The label (or i18n key) for the value column
+       */
+
+      /**
+       * An array of [report definitions]{@link module:alfresco/services/ReportService~ReportDefinition} to
+       * register when the service is created.
+       *
+       * @instance
+       * @type {ReportDefinition[]}
+       * @default
+       * @since 1.0.106
+       */
+      reportDefinitions: null,
+
+      /**
+       * The map of registered [report definitions]{@link module:alfresco/services/ReportService~ReportDefinition}
+       * keyed by their IDs.
+       *
+       * @instance
+       * @type {object}
+       * @default
+       * @since 1.0.106
+       */
+      _reports: null,
+
+      /**
+       * Sets up the subscriptions for the ReportService and registers the
+       * [report definitions]{@link module:alfresco/services/ReportService#reportDefinitions}. The site
+       * content and top site contributor reports are always registered.
        *
        * @instance
        * @since 1.0.32
+       * @listens module:alfresco/core/topics#GET_REPORT_DATA
+       * @listens module:alfresco/core/topics#REGISTER_REPORT
        */
       registerSubscriptions: function alfresco_services_ReportService__registerSubscriptions() {
          this.alfSubscribe("ALF_RETRIEVE_SITE_CONTENT_REPORT", lang.hitch(this, this.getSiteContentReport));
          this.alfSubscribe("ALF_RETRIEVE_TOP_SITE_CONTRIBUTOR_REPORT", lang.hitch(this, this.getTopSiteContributorReport));
+         this.alfSubscribe(topics.REGISTER_REPORT, lang.hitch(this, this.onRegisterReport));
+         this.alfSubscribe(topics.GET_REPORT_DATA, lang.hitch(this, this.onReportDataRequest));
+
+         this._reports = {};
+         this.registerReport({
+            id: this.SITE_CONTENT_REPORT,
+            title: "reportservice.siteContent.title",
+            dataTopic: "ALF_RETRIEVE_SITE_CONTENT_REPORT",
+            itemsProperty: "data.resultset",
+            categoryProperty: "0",
+            valueProperty: "2",
+            aggregation: "none",
+            chartType: "DonutChart",
+            categoryLabel: "reportservice.siteContent.category",
+            valueLabel: "reportservice.siteContent.value"
+         });
+         this.registerReport({
+            id: this.TOP_SITE_CONTRIBUTOR_REPORT,
+            title: "reportservice.topSiteContributor.title",
+            dataTopic: "ALF_RETRIEVE_TOP_SITE_CONTRIBUTOR_REPORT",
+            itemsProperty: "data.resultset",
+            categoryProperty: "0",
+            valueProperty: "2",
+            aggregation: "none",
+            chartType: "PieChart",
+            categoryLabel: "reportservice.topSiteContributor.category",
+            valueLabel: "reportservice.topSiteContributor.value"
+         });
+         array.forEach(this.reportDefinitions || [], this.registerReport, this);
+      },
+
+      /**
+       * Registers the supplied [report definition]{@link module:alfresco/services/ReportService~ReportDefinition}.
+       * A previously registered definition with the same ID will be replaced.
+       *
+       * @instance
+       * @param {ReportDefinition} definition The definition to register
+       * @since 1.0.106
+       */
+      registerReport: function alfresco_services_ReportService__registerReport(definition) {
+         if (definition && definition.id)
+         {
+            this._reports[definition.id] = definition;
+         }
+         else
+         {
+            this.alfLog("warn", "A report definition was provided without an 'id' and could not be registered", definition, this);
+         }
+      },
+
+      /**
+       * Handles requests to register a report definition.
+       *
+       * @instance
+       * @param {object} payload The payload containing the "reportDefinition" to register
+       * @since 1.0.106
+       */
+      onRegisterReport: function alfresco_services_ReportService__onRegisterReport(payload) {
+         this.registerReport(payload && payload.reportDefinition);
+      },
+
+      /**
+       * Handles requests for report data. The report definition is either provided in the request or
+       * looked up from the registered definitions and the items to report on are then requested from
+       * its data source.
+       *
+       * @instance
+       * @param {object} payload The details of the request
+       * @since 1.0.106
+       */
+      onReportDataRequest: function alfresco_services_ReportService__onReportDataRequest(payload) {
+         var definition = payload.reportDefinition || (payload.reportId && this._reports[payload.reportId]);
+         var parameters = payload.reportParameters || {};
+         if (!definition)
+         {
+            this.alfLog("warn", "Report data was requested for an unknown report", payload, this);
+            this.publishReportFailure(payload, null);
+         }
+         else if (definition.dataTopic)
+         {
+            var dataResponseTopic = "ALF_REPORT_DATA_" + this.generateUuid();
+            var handles = [];
+            handles.push(this.alfSubscribe(dataResponseTopic + "_SUCCESS", lang.hitch(this, function(response) {
+               this.alfUnsubscribe(handles);
+               this.publishReportData(definition, response.response, payload);
+            }), true));
+            handles.push(this.alfSubscribe(dataResponseTopic + "_FAILURE", lang.hitch(this, function(response) {
+               this.alfUnsubscribe(handles);
+               this.publishReportFailure(payload, response.response);
+            }), true));
+            this.alfPublish(definition.dataTopic, lang.mixin({}, definition.dataPayload, parameters, {
+               alfResponseTopic: dataResponseTopic,
+               alfSuccessTopic: dataResponseTopic + "_SUCCESS",
+               alfFailureTopic: dataResponseTopic + "_FAILURE",
+               alfResponseScope: ""
+            }), true);
+         }
+         else if (definition.url)
+         {
+            this.serviceXhr({
+               url: this.getReportUrl(definition, parameters),
+               method: "GET",
+               successCallback: function(response) {
+                  this.publishReportData(definition, response, payload);
+               },
+               failureCallback: function(response) {
+                  this.publishReportFailure(payload, response);
+               },
+               callbackScope: this
+            });
+         }
+         else
+         {
+            this.alfLog("warn", "A report definition has neither a 'dataTopic' nor a 'url'", definition, this);
+            this.publishReportFailure(payload, null);
+         }
+      },
+
+      /**
+       * Builds the URL to request the items for a report from, replacing any tokens with the encoded
+       * values of the supplied parameters.
+       *
+       * @instance
+       * @param {ReportDefinition} definition The report definition
+       * @param {object} parameters The report parameters
+       * @returns {string} The URL
+       * @since 1.0.106
+       */
+      getReportUrl: function alfresco_services_ReportService__getReportUrl(definition, parameters) {
+         var url = lang.replace(definition.url, function(match, key) {
+            var value = lang.getObject(key, false, parameters);
+            return (value === null || typeof value === "undefined") ? "" : encodeURIComponent(value);
+         });
+         if (!definition.urlType || definition.urlType === "PROXY")
+         {
+            url = AlfConstants.PROXY_URI + url;
+         }
+         else if (definition.urlType === "SHARE")
+         {
+            url = AlfConstants.URL_SERVICECONTEXT + url;
+         }
+         return url;
+      },
+
+      /**
+       * Aggregates the items found in the supplied response into the rows of the report and publishes
+       * them along with the equivalent chart data.
+       *
+       * @instance
+       * @param {ReportDefinition} definition The report definition
+       * @param {object} response The response from the data source
+       * @param {object} request The original report data request
+       * @since 1.0.106
+       */
+      publishReportData: function alfresco_services_ReportService__publishReportData(definition, response, request) {
+         var items = lang.isArray(response) ? response : lang.getObject(definition.itemsProperty || "items", false, response);
+         if (!lang.isArray(items))
+         {
+            this.alfLog("warn", "No items could be found in the data for a report", definition, response, this);
+            this.publishReportFailure(request, response);
+         }
+         else
+         {
+            var rows = this.aggregateReportItems(definition, items);
+            var labels = this.getReportLabels(definition);
+            this.alfPublish((request.alfResponseTopic || topics.GET_REPORT_DATA) + "_SUCCESS", {
+               reportDefinition: definition,
+               response: {
+                  data: this.createReportChartData(definition, rows, labels),
+                  labels: labels,
+                  dataDescriptor: {
+                     crosstabMode: false,
+                     seriesInRows: false
+                  },
+                  rows: rows,
+                  totalRecords: rows.length
+               }
+            }, false, false, request.alfResponseScope);
+         }
+      },
+
+      /**
+       * Gets the localized title and column labels of a report.
+       *
+       * @instance
+       * @param {ReportDefinition} definition The report definition
+       * @returns {object} An object with "title", "category", "series" and "value" labels
+       * @since 1.0.106
+       */
+      getReportLabels: function alfresco_services_ReportService__getReportLabels(definition) {
+         return {
+            title: definition.title ? this.message(definition.title) : "",
+            category: this.message(definition.categoryLabel || "reportservice.category.label"),
+            series: this.message(definition.seriesLabel || "reportservice.series.label"),
+            value: this.message(definition.valueLabel || "reportservice.value.label")
+         };
+      },
+
+      /**
+       * Publishes the failure to retrieve the data for a report.
+       *
+       * @instance
+       * @param {object} request The original report data request
+       * @param {object} response The failure response (if there was one)
+       * @since 1.0.106
+       */
+      publishReportFailure: function alfresco_services_ReportService__publishReportFailure(request, response) {
+         this.alfPublish((request.alfResponseTopic || topics.GET_REPORT_DATA) + "_FAILURE", {
+            reportId: request.reportId,
+            response: response
+         }, false, false, request.alfResponseScope);
+      },
+
+      /**
+       * Groups the supplied items by their category (and series) and aggregates the values of each
+       * group using the aggregation of the definition. Each row returned has a "category", "series"
+       * and "value" attribute.
+       *
+       * @instance
+       * @param {ReportDefinition} definition The report definition
+       * @param {object[]} items The items to aggregate
+       * @returns {object[]} The rows of the report
+       * @since 1.0.106
+       */
+      aggregateReportItems: function alfresco_services_ReportService__aggregateReportItems(definition, items) {
+         var aggregation = definition.aggregation || (definition.valueProperty ? "sum" : "count");
+         var rows = [];
+         var groups = {};
+         array.forEach(items, function(item) {
+            var row = {
+               category: lang.getObject(definition.categoryProperty, false, item),
+               series: definition.seriesProperty ? lang.getObject(definition.seriesProperty, false, item) : null,
+               value: definition.valueProperty ? parseFloat(lang.getObject(definition.valueProperty, false, item)) : null
+            };
+            (row.category === undefined) && (row.category = null);
+            (row.series === undefined) && (row.series = null);
+            isNaN(row.value) && (row.value = null);
+            if (aggregation === "none")
+            {
+               rows.push(row);
+            }
+            else
+            {
+               var key = JSON.stringify([row.series, row.category]);
+               if (!groups[key])
+               {
+                  groups[key] = {
+                     category: row.category,
+                     series: row.series,
+                     count: 0,
+                     values: []
+                  };
+                  rows.push(groups[key]);
+               }
+               groups[key].count++;
+               (row.value !== null) && groups[key].values.push(row.value);
+            }
+         });
+
+         if (aggregation !== "none")
+         {
+            rows = array.map(rows, function(group) {
+               return {
+                  category: group.category,
+                  series: group.series,
+                  value: this.aggregateValues(aggregation, group)
+               };
+            }, this);
+         }
+         return this.sortReportRows(definition, rows);
+      },
+
+      /**
+       * Calculates the aggregated value of a group of items.
+       *
+       * @instance
+       * @param {string} aggregation The aggregation to perform
+       * @param {object} group The group with the "count" of items and the numeric "values" found
+       * @returns {number} The aggregated value (or null if there were no values to aggregate)
+       * @since 1.0.106
+       */
+      aggregateValues: function alfresco_services_ReportService__aggregateValues(aggregation, group) {
+         var values = group.values;
+         var sum = 0;
+         array.forEach(values, function(value) {
+            sum += value;
+         });
+
+         var value = null;
+         if (aggregation === "count")
+         {
+            value = group.count;
+         }
+         else if (aggregation === "sum")
+         {
+            value = sum;
+         }
+         else if (!values.length)
+         {
+            // No action required - there are no values to aggregate
+         }
+         else if (aggregation === "avg")
+         {
+            value = sum / values.length;
+         }
+         else if (aggregation === "min")
+         {
+            value = Math.min.apply(Math, values);
+         }
+         else if (aggregation === "max")
+         {
+            value = Math.max.apply(Math, values);
+         }
+         else
+         {
+            this.alfLog("warn", "An unsupported report aggregation was requested", aggregation, this);
+         }
+         return value;
+      },
+
+      /**
+       * Sorts and limits the supplied rows as configured in the report definition.
+       *
+       * @instance
+       * @param {ReportDefinition} definition The report definition
+       * @param {object[]} rows The rows to sort
+       * @returns {object[]} The sorted rows
+       * @since 1.0.106
+       */
+      sortReportRows: function alfresco_services_ReportService__sortReportRows(definition, rows) {
+         if (definition.sortBy === "category" || definition.sortBy === "value")
+         {
+            var direction = (definition.sortAscending === false) ? -1 : 1;
+            rows.sort(function(a, b) {
+               var valueA = a[definition.sortBy],
+                   valueB = b[definition.sortBy];
+               return (valueA === valueB) ? 0 : ((valueA === null || valueA < valueB) ? -direction : direction);
+            });
+         }
+         if (definition.limit > 0)
+         {
+            rows = rows.slice(0, definition.limit);
+         }
+         return rows;
+      },
+
+      /**
+       * Converts the rows of a report into the relational data format used by the
+       * [charts]{@link module:alfresco/charts/ccc/Chart}. When the report has a series then each row
+       * of the result set will contain the series, category and value (in that order) otherwise each row
+       * will just contain the category and value.
+       *
+       * @instance
+       * @param {ReportDefinition} definition The report definition
+       * @param {object[]} rows The rows of the report
+       * @param {object} labels The [labels]{@link module:alfresco/services/ReportService#getReportLabels} of the report
+       * @returns {object} The chart data
+       * @since 1.0.106
+       */
+      createReportChartData: function alfresco_services_ReportService__createReportChartData(definition, rows, labels) {
+         var metadata = [];
+         if (definition.seriesProperty)
+         {
+            metadata.push({
+               colName: labels.series,
+               colType: "String"
+            });
+         }
+         metadata.push({
+            colName: labels.category,
+            colType: "String"
+         }, {
+            colName: labels.value,
+            colType: "Numeric"
+         });
+         array.forEach(metadata, function(column, index) {
+            column.colIndex = index;
+         });
+
+         var resultset = array.map(rows, function(row) {
+            return definition.seriesProperty ? [row.series, row.category, row.value] : [row.category, row.value];
+         });
+         return {
+            resultset: resultset,
+            metadata: metadata
+         };
       },
 
       /**
@@ -33,9 +33,10 @@ define(["dojo/_base/declare",
         "alfresco/core/PathUtils",
         "alfresco/core/NodeUtils",
         "alfresco/core/topics",
+        "alfresco/util/sortUtils",
         "dojo/_base/lang",
         "dojo/json"],
-        function(declare, BaseService, CoreXhr, AlfConstants, PathUtils, NodeUtils, topics, lang, dojoJson) {
+        function(declare, BaseService, CoreXhr, AlfConstants, PathUtils, NodeUtils, topics, sortUtils, lang, dojoJson) {
 
    return declare([BaseService, CoreXhr, PathUtils], {
 
@@ -265,6 +266,7 @@ define(["dojo/_base/declare",
                         case "filters":
                         case "sortAscending":
                         case "sortField":
+                        case "sortFields":
                         case "requestId":
                         case "spellcheck":
                            break;
@@ -289,6 +291,11 @@ define(["dojo/_base/declare",
             {
                // No action required - leave as the empty string which is relevance - no direction can be applied
             }
+            else if (payload.sortFields && payload.sortFields.length > 1)
+            {
+               // When sorting on multiple fields the sort chain is passed as a comma-separated list...
+               sort = sortUtils.serialiseSortFields(payload.sortFields);
+            }
             else
             {
                var sortAscending = (payload.sortAscending !== null && typeof payload.sortAscending !== "undefined") ? payload.sortAscending : this.sortAscending;
@@ -194,7 +194,9 @@ define(["dojo/_base/declare",
          var fileIds = Object.keys(this.fileStore);
          array.forEach(fileIds, function(fileId) {
             var fileInfo = this.fileStore[fileId];
-            if (fileInfo && fileInfo.state === this.STATE_UPLOADING) {
+            if (fileInfo && fileInfo.chunked && (fileInfo.state === this.STATE_UPLOADING || fileInfo.state === this.STATE_PAUSED)) {
+               this.cancelChunkedUpload(fileInfo);
+            } else if (fileInfo && fileInfo.state === this.STATE_UPLOADING) {
                fileInfo.request.abort();
             }
          }, this);
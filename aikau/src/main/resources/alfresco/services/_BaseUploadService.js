@@ -25,12 +25,20 @@
  * @extends module:alfresco/services/BaseService
  * @mixes module:alfresco/core/CoreXhr
  * @mixes module:alfresco/services/_UploadHistoryServiceMixin
+ * @mixes module:alfresco/services/_ChunkedUploadServiceMixin
+ * @mixes module:alfresco/services/_PreUploadPipelineServiceMixin
+ * @mixes module:alfresco/services/_FolderUploadServiceMixin
+ * @mixes module:alfresco/services/_UploadQueueServiceMixin
  * @author Martin Doyle
  * @since 1.0.52
  */
 define(["alfresco/core/CoreXhr", 
         "alfresco/core/topics", 
         "alfresco/services/_UploadHistoryServiceMixin", 
+        "alfresco/services/_ChunkedUploadServiceMixin",
+        "alfresco/services/_PreUploadPipelineServiceMixin",
+        "alfresco/services/_FolderUploadServiceMixin",
+        "alfresco/services/_UploadQueueServiceMixin",
         "alfresco/services/BaseService", 
         "dojo/_base/array", 
         "dojo/_base/declare", 
@@ -39,16 +47,17 @@ define(["alfresco/core/CoreXhr",
         "dojo/on", 
         "dojo/promise/all", 
         "service/constants/Default"], 
-        function(CoreXhr, topics, _UploadHistoryServiceMixin, BaseService, array, declare, lang, Deferred, on, all, AlfConstants) {
+        function(CoreXhr, topics, _UploadHistoryServiceMixin, _ChunkedUploadServiceMixin, _PreUploadPipelineServiceMixin, _FolderUploadServiceMixin, _UploadQueueServiceMixin, BaseService, array, declare, lang, Deferred, on, all, AlfConstants) {
 
    // Declare and return the class
-   return declare([BaseService, CoreXhr, _UploadHistoryServiceMixin], {
+   return declare([BaseService, CoreXhr, _UploadHistoryServiceMixin, _ChunkedUploadServiceMixin, _PreUploadPipelineServiceMixin, _FolderUploadServiceMixin, _UploadQueueServiceMixin], {
 
       /**
        * The File object (referenced in other JSDoc comments)
        *
        * @instance
        * @typedef {object} File
+       * @property {string} fileId The unique id of the file
        * @property {num} progress The current upload-progress as a percentage
        * @property {string} fileName The name of the file
        * @property {string} nodeRef The nodeRef that this file was uploaded to (if successful)
@@ -59,6 +68,12 @@ define(["alfresco/core/CoreXhr",
        * @property {object} _dfd An internal deferred object that is auto-generated and
        *                         will resolve once the upload has finished (successfully
        *                         or unsuccessfully)
+       * @property {object} [chunked] The state of a [chunked upload]{@link module:alfresco/services/_ChunkedUploadServiceMixin}
+       * @property {num} [bytesLoaded] The number of bytes of the file that have been sent
+       * @property {boolean} [holdsUploadSlot] Whether the upload counts towards the
+       *                                       [maximum simultaneous uploads]{@link module:alfresco/services/_BaseUploadService#maxSimultaneousUploads}
+       * @property {boolean} [prioritised] Whether the upload has been moved within the
+       *                                   [upload queue]{@link module:alfresco/services/_UploadQueueServiceMixin}
        */
 
       /**
@@ -96,7 +111,10 @@ define(["alfresco/core/CoreXhr",
       fileStore: null,
 
       /**
-       * The maximum quantity of simultaneous uploads.
+       * The maximum quantity of simultaneous uploads. Any further uploads wait in the
+       * [upload queue]{@link module:alfresco/services/_UploadQueueServiceMixin} until an upload finishes
+       * (or is paused). Keeping this low avoids uploads using all of the connections that the browser
+       * will open to the server, which would delay any other requests (such as list reloads).
        *
        * @instance
        * @type {number}
@@ -159,6 +177,16 @@ define(["alfresco/core/CoreXhr",
        */
       STATE_SUCCESS: 6,
 
+      /**
+       * A [chunked upload]{@link module:alfresco/services/_ChunkedUploadServiceMixin} has been paused.
+       *
+       * @instance
+       * @type {number}
+       * @default
+       * @since 1.0.106
+       */
+      STATE_PAUSED: 7,
+
       /**
        * This state-variable is used to track the current overall progress, and is equal to
        * the number of "in progress" uploads. This is incremented by the number of files in
@@ -312,7 +340,7 @@ define(["alfresco/core/CoreXhr",
             destination: destination,
             siteId: targetData.siteId,
             containerId: targetData.containerId,
-            uploaddirectory: targetData.uploadDirectory || file.relativePath || null,
+            uploaddirectory: this.getUploadDirectory(file, targetData),
             majorVersion: targetData.majorVersion ? targetData.majorVersion : "true",
             updateNodeRef: targetData.updateNodeRef,
             description: targetData.description,
@@ -351,7 +379,9 @@ define(["alfresco/core/CoreXhr",
             fileInfo = this.fileStore[uploadId];
          if (fileInfo) {
             try {
-               if (fileInfo.progress === 0) {
+               if (fileInfo.chunked) {
+                  this.cancelChunkedUpload(fileInfo);
+               } else if (fileInfo.progress === 0) {
                   fileInfo.request = { // Manually force status of 0 to notify of cancellation
                      status: 0
                   };
@@ -381,8 +411,9 @@ define(["alfresco/core/CoreXhr",
          // Update the progress information in the UI
          this.updateAggregateProgress();
 
-         // Decrement the in-progress counter and see if there are more to upload
-         this._numUploadsInProgress--;
+         // Release the upload slot and see if there are more to upload
+         fileInfo && this.releaseUploadSlot(fileInfo);
+         this.removeQueuedUpload(fileId);
          this.spawnFileUploads();
       },
 
@@ -408,8 +439,17 @@ define(["alfresco/core/CoreXhr",
             // Make sure the upload display widget is present
             this.showUploadsWidget().then(lang.hitch(this, function() {
 
-               // Validate the files
-               var filesToUpload = this.validateFiles(payload.files);
+               // Create the folders that the files will be uploaded into
+               return this.createFolderStructure(payload.files, payload.folders, payload.targetData);
+
+            })).then(lang.hitch(this, function(failedFolders) {
+
+               // Validate the files and pass the valid ones through the pre-upload pipeline
+               var filesToValidate = this.removeFilesInFailedFolders(payload.files, failedFolders),
+                   validFiles = this.validateFiles(filesToValidate);
+               return this.runPreUploadPipeline(validFiles, payload.targetData);
+
+            })).then(lang.hitch(this, function(filesToUpload) {
 
                // After the files are uploaded, call any final actions
                var filePromises = array.map(filesToUpload, function(file) {
@@ -554,10 +594,38 @@ define(["alfresco/core/CoreXhr",
        * @instance
        * @override
        * @listens module:alfresco/core/topics#UPLOAD_REQUEST
+       * @listens module:alfresco/core/topics#CANCEL_INPROGRESS_UPLOAD
+       * @listens module:alfresco/core/topics#PAUSE_INPROGRESS_UPLOAD
+       * @listens module:alfresco/core/topics#RESUME_INPROGRESS_UPLOAD
+       * @listens module:alfresco/core/topics#GET_RESUMABLE_UPLOADS
+       * @listens module:alfresco/core/topics#REGISTER_PRE_UPLOAD_STEP
+       * @listens module:alfresco/core/topics#PRIORITISE_QUEUED_UPLOAD
        */
       registerSubscriptions: function alfresco_services_FileUploadService__registerSubscriptions() {
          this.alfSubscribe(topics.UPLOAD_REQUEST, lang.hitch(this, this.onUploadRequest));
          this.alfSubscribe(topics.CANCEL_INPROGRESS_UPLOAD, lang.hitch(this, this.onUploadCancelRequest));
+         this.alfSubscribe(topics.PAUSE_INPROGRESS_UPLOAD, lang.hitch(this, this.onUploadPauseRequest));
+         this.alfSubscribe(topics.RESUME_INPROGRESS_UPLOAD, lang.hitch(this, this.onUploadResumeRequest));
+         this.alfSubscribe(topics.GET_RESUMABLE_UPLOADS, lang.hitch(this, this.onResumableUploadsRequest));
+         this.alfSubscribe(topics.REGISTER_PRE_UPLOAD_STEP, lang.hitch(this, this.addPreUploadStep));
+         this.alfSubscribe(topics.PRIORITISE_QUEUED_UPLOAD, lang.hitch(this, this.onUploadPrioritiseRequest));
+      },
+
+      /**
+       * Stops an upload from counting towards the
+       * [maximum number of simultaneous uploads]{@link module:alfresco/services/_BaseUploadService#maxSimultaneousUploads}
+       * so that another upload can be started. Uploads that never started (e.g. queued uploads that are
+       * cancelled) do not hold a slot and so are ignored.
+       *
+       * @instance
+       * @param {object} fileInfo The information about the upload
+       * @since 1.0.106
+       */
+      releaseUploadSlot: function alfresco_services__BaseUploadService__releaseUploadSlot(fileInfo) {
+         if (fileInfo.holdsUploadSlot) {
+            fileInfo.holdsUploadSlot = false;
+            this._numUploadsInProgress--;
+         }
       },
 
       /**
@@ -569,6 +637,7 @@ define(["alfresco/core/CoreXhr",
        */
       reset: function alfresco_services__BaseUploadService__reset() {
          this.fileStore = {};
+         this._uploadQueue = [];
          this.uploadDisplayWidget && this.uploadDisplayWidget.reset();
       },
 
@@ -597,17 +666,24 @@ define(["alfresco/core/CoreXhr",
 
       /**
        * Check to see whether there are any waiting uploads that can be started (up to the
-       * [maxSimultaneousUploads]{@link module:alfresco/services/FileUploadService#maxSimultaneousUploads}).
+       * [maxSimultaneousUploads]{@link module:alfresco/services/FileUploadService#maxSimultaneousUploads}),
+       * taking them from the front of the [upload queue]{@link module:alfresco/services/_UploadQueueServiceMixin}.
        *
        * @instance
        */
       spawnFileUploads: function alfresco_services__BaseUploadService__spawnFileUploads() {
-         array.forEach(Object.keys(this.fileStore), function(fileId) {
-            var fileInfo = this.fileStore[fileId];
-            if (fileInfo.state === this.STATE_ADDED) {
-               this.startFileUpload(fileInfo);
+         array.some(this.getQueuedUploads(), function(fileInfo) {
+            if (this._numUploadsInProgress >= this.maxSimultaneousUploads) {
+               return true;
             }
+            this.startFileUpload(fileInfo);
+            return false;
          }, this);
+
+         // Let the display know which uploads are still waiting (and in what order)
+         this.uploadDisplayWidget && this.uploadDisplayWidget.updateUploadQueue(array.map(this.getQueuedUploads(), function(fileInfo) {
+            return fileInfo.fileId;
+         }));
       },
 
       /**
@@ -620,16 +696,23 @@ define(["alfresco/core/CoreXhr",
          /*jshint maxstatements:false,maxcomplexity:false*/
 
          // Ensure we only upload the maximum allowed at a time
-         if (this._numUploadsInProgress === this.maxSimultaneousUploads) {
+         if (this._numUploadsInProgress >= this.maxSimultaneousUploads) {
             return;
          }
 
          // Increment uploads counter
          this._numUploadsInProgress++;
+         fileInfo.holdsUploadSlot = true;
 
          // Mark file as being uploaded
          fileInfo.state = this.STATE_UPLOADING;
 
+         // Large files may be sent in chunks rather than in a single request
+         if (this.isChunkedUpload(fileInfo)) {
+            this.startChunkedUpload(fileInfo);
+            return;
+         }
+
          // Setup variables
          var formData = new FormData(),
             uploadData = fileInfo.uploadData,
@@ -701,6 +784,11 @@ define(["alfresco/core/CoreXhr",
          if (url)
          {
             fileInfo.request.open("POST", url, true);
+            for (var header in uploadData.headers) {
+               if (uploadData.headers.hasOwnProperty(header)) {
+                  fileInfo.request.setRequestHeader(header, uploadData.headers[header]);
+               }
+            }
             fileInfo.request.send(formData);
          }
       },
@@ -738,17 +826,23 @@ define(["alfresco/core/CoreXhr",
 
             // Construct an object containing the data required for file upload
             // Note that we use .name and NOT .fileName which is non-standard and will break FireFox 7
-            var fileName = nextFile.name,
+            // (unless the pre-upload pipeline has changed the name that the file should be uploaded with)
+            var uploadContext = nextFile._uploadContext || {},
+               fileName = uploadContext.fileName || nextFile.name,
                uploadData = this.constructUploadData(nextFile, fileName, targetData);
+            uploadData.headers = uploadContext.headers || {};
+            uploadData.annotations = uploadContext.annotations || {};
 
-            // Add the upload data to the file store
+            // Add the upload data to the file store and queue it
             this.fileStore[fileId] = {
+               fileId: fileId,
                state: this.STATE_ADDED,
                fileName: fileName,
                uploadData: uploadData,
                request: request,
                progress: 0
             };
+            this.queueUpload(this.fileStore[fileId]);
 
             // Update the display widget with the details of the file that will be uploaded
             this.uploadDisplayWidget.addInProgressFile(fileId, nextFile);
@@ -786,7 +880,8 @@ define(["alfresco/core/CoreXhr",
       },
 
       /**
-       * Calculates the overall progress of all the uploads and calls the display widget with the data.
+       * Calculates the overall progress of all the uploads and calls the display widget with the data
+       * (along with the current [transfer rate and estimated time remaining]{@link module:alfresco/services/_UploadQueueServiceMixin#getTransferStatistics}).
        *
        * @instance
        */
@@ -801,7 +896,7 @@ define(["alfresco/core/CoreXhr",
          // Run through all uploads, calculating total and current progress
          array.forEach(fileIds, function(fileId) {
             var fileInfo = this.fileStore[fileId];
-            if (fileInfo.state === this.STATE_ADDED || fileInfo.state === this.STATE_UPLOADING) {
+            if (fileInfo.state === this.STATE_ADDED || fileInfo.state === this.STATE_UPLOADING || fileInfo.state === this.STATE_PAUSED) {
                cumulativeProgress += fileInfo.progress;
                inProgressFiles++;
             }
@@ -814,11 +909,12 @@ define(["alfresco/core/CoreXhr",
          // NOTE: If no in-progress files, or race-condition causes zero total percent, then
          // just call it 100, because it will mean that essentially there are no pending uploads
          var currentProgressPercent = (inProgressFiles && totalPercent) ? Math.floor(cumulativeProgress / totalPercent * 100) : 100;
-         this.uploadDisplayWidget.updateAggregateProgress(currentProgressPercent / 100);
+         this.uploadDisplayWidget.updateAggregateProgress(currentProgressPercent / 100, this.getTransferStatistics());
 
          // If no longer have uploads pending, update the total-completed variable
          if (currentProgressPercent === 100) {
             this.resetTotalUploads();
+            this.resetTransferRate();
          }
 
          // Update the container title with the aggregate progress if required
@@ -848,6 +944,7 @@ define(["alfresco/core/CoreXhr",
             var progress = Math.min(Math.round(evt.loaded / evt.total * 100), 100);
             this.uploadDisplayWidget.updateUploadProgress(fileId, progress);
             fileInfo.progress = progress;
+            this.recordBytesTransferred(fileInfo, Math.round(this.getUploadSize(fileInfo) * Math.min(evt.loaded / evt.total, 1)));
             this.updateAggregateProgress();
          } else {
             this.alfLog("warn", "Unable to update upload progress for file (evt,file)", evt, fileInfo);
@@ -0,0 +1,541 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * <p>This mixin acts to group the chunked upload handling of the [_BaseUploadService]{@link module:alfresco/services/_BaseUploadService}.
+ * When [chunkedUpload]{@link module:alfresco/services/_ChunkedUploadServiceMixin#chunkedUpload} is configured to be
+ * true then files larger than the [chunkedUploadThreshold]{@link module:alfresco/services/_ChunkedUploadServiceMixin#chunkedUploadThreshold}
+ * are sent as a sequence of [chunks]{@link module:alfresco/services/_ChunkedUploadServiceMixin#chunkSize} rather than
+ * in a single request. Each chunk is [retried]{@link module:alfresco/services/_ChunkedUploadServiceMixin#maxChunkRetries}
+ * if it fails and chunked uploads can be paused and resumed.</p>
+ * <p>The progress of each chunked upload is recorded in a manifest persisted in local storage. If the page is reloaded
+ * (or the browser closed) part way through an upload then requesting the upload of the same file to the same location
+ * again will resume the upload from the last chunk the server stored rather than starting again. The
+ * [GET_RESUMABLE_UPLOADS]{@link module:alfresco/core/topics#GET_RESUMABLE_UPLOADS} topic can be used to find out
+ * which uploads can be resumed.</p>
+ * <p>All communication with the server is delegated to an [endpoint adapter]{@link module:alfresco/upload/ChunkedUploadEndpoint}
+ * that can be replaced by configuring the [chunkedUploadEndpoint]{@link module:alfresco/services/_ChunkedUploadServiceMixin#chunkedUploadEndpoint}.</p>
+ *
+ * @example <caption>Configuring the FileUploadService to upload files larger than 10MB in 2MB chunks</caption>
+ * {
+ *   name: "alfresco/services/FileUploadService",
+ *   config: {
+ *     chunkedUpload: true,
+ *     chunkSize: 2097152,
+ *     chunkedUploadThreshold: 10485760
+ *   }
+ * }
+ *
+ * @module alfresco/services/_ChunkedUploadServiceMixin
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["dojo/_base/declare",
+        "alfresco/core/topics",
+        "dojo/_base/array",
+        "dojo/_base/lang",
+        "dojo/Deferred"],
+        function(declare, topics, array, lang, Deferred) {
+
+   return declare(null, {
+
+      /**
+       * Indicates whether or not large files should be uploaded in chunks.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       */
+      chunkedUpload: false,
+
+      /**
+       * The size (in bytes) of each chunk. The default is 5MB.
+       *
+       * @instance
+       * @type {number}
+       * @default
+       */
+      chunkSize: 5242880,
+
+      /**
+       * The size (in bytes) that a file must exceed in order to be uploaded in chunks. If this is not configured
+       * then any file larger than a single [chunk]{@link module:alfresco/services/_ChunkedUploadServiceMixin#chunkSize}
+       * is uploaded in chunks.
+       *
+       * @instance
+       * @type {number}
+       * @default
+       */
+      chunkedUploadThreshold: null,
+
+      /**
+       * The module to use as the endpoint adapter for chunked uploads. This should extend
+       * [ChunkedUploadEndpoint]{@link module:alfresco/upload/ChunkedUploadEndpoint}.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       */
+      chunkedUploadEndpoint: "alfresco/upload/ChunkedUploadEndpoint",
+
+      /**
+       * Configuration to pass to the [endpoint adapter]{@link module:alfresco/services/_ChunkedUploadServiceMixin#chunkedUploadEndpoint}
+       * when it is created.
+       *
+       * @instance
+       * @type {object}
+       * @default
+       */
+      chunkedUploadEndpointConfig: null,
+
+      /**
+       * The number of times that sending a chunk will be retried before the upload fails.
+       *
+       * @instance
+       * @type {number}
+       * @default
+       */
+      maxChunkRetries: 3,
+
+      /**
+       * The delay (in milliseconds) before the first retry of a chunk. The delay is doubled for each
+       * subsequent retry of the same chunk.
+       *
+       * @instance
+       * @type {number}
+       * @default
+       */
+      chunkRetryDelay: 1000,
+
+      /**
+       * The local storage key for the manifest of chunked uploads that are in progress.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       */
+      uploadManifestStorageKey: "ALF_CHUNKED_UPLOAD_MANIFEST",
+
+      /**
+       * The length of time (in milliseconds) that entries in the upload manifest are kept for. Entries that
+       * have not been updated for longer than this can no longer be resumed. The default is 7 days.
+       *
+       * @instance
+       * @type {number}
+       * @default
+       */
+      uploadManifestExpiry: 604800000,
+
+      /**
+       * A promise of the [endpoint adapter]{@link module:alfresco/services/_ChunkedUploadServiceMixin#chunkedUploadEndpoint}.
+       *
+       * @instance
+       * @type {promise}
+       * @default
+       */
+      _chunkedUploadEndpointPromise: null,
+
+      /**
+       * Extends the inherited function to load the [endpoint adapter]{@link module:alfresco/services/_ChunkedUploadServiceMixin#chunkedUploadEndpoint}
+       * and remove expired entries from the upload manifest when chunked uploads are enabled.
+       *
+       * @instance
+       * @override
+       */
+      initService: function alfresco_services__ChunkedUploadServiceMixin__initService() {
+         this.inherited(arguments);
+         if (this.chunkedUpload) {
+            var dfd = new Deferred();
+            this._chunkedUploadEndpointPromise = dfd.promise;
+            require([this.chunkedUploadEndpoint], lang.hitch(this, function(Endpoint) {
+               dfd.resolve(new Endpoint(lang.mixin({}, this.chunkedUploadEndpointConfig)));
+            }));
+            this.saveUploadManifest(this.loadUploadManifest());
+         }
+      },
+
+      /**
+       * Indicates whether or not the supplied file should be uploaded in chunks. Files are only uploaded in
+       * chunks when they are real files (that can be sliced) larger than the
+       * [chunkedUploadThreshold]{@link module:alfresco/services/_ChunkedUploadServiceMixin#chunkedUploadThreshold}.
+       *
+       * @instance
+       * @param {object} fileInfo The information about the file being uploaded
+       * @returns {boolean} True if the file should be uploaded in chunks
+       */
+      isChunkedUpload: function alfresco_services__ChunkedUploadServiceMixin__isChunkedUpload(fileInfo) {
+         var file = fileInfo.uploadData.filedata,
+             threshold = this.chunkedUploadThreshold || this.chunkSize;
+         return this.chunkedUpload && typeof file.slice === "function" && file.size > threshold;
+      },
+
+      /**
+       * Starts (or continues) the chunked upload of a file. If the file has not previously been started then
+       * the upload manifest is checked for an interrupted upload of the same file to the same location. If one
+       * is found then the server is asked how much of the file it has already stored and the upload continues
+       * from there, otherwise a new session is created.
+       *
+       * @instance
+       * @param {object} fileInfo The information about the file being uploaded
+       */
+      startChunkedUpload: function alfresco_services__ChunkedUploadServiceMixin__startChunkedUpload(fileInfo) {
+         if (!fileInfo.chunked) {
+            fileInfo.chunked = {
+               fingerprint: this.getUploadFingerprint(fileInfo.uploadData),
+               offset: 0,
+               retries: 0,
+               paused: false,
+               cancelled: false
+            };
+            this.uploadDisplayWidget.setUploadPausable(fileInfo.fileId, true);
+         }
+
+         this._chunkedUploadEndpointPromise.then(lang.hitch(this, function(endpoint) {
+            var chunked = fileInfo.chunked;
+            if (chunked.session) {
+               this.uploadNextChunk(fileInfo, endpoint);
+               return;
+            }
+
+            var manifestEntry = this.loadUploadManifest()[chunked.fingerprint];
+            var sessionPromise;
+            if (manifestEntry) {
+               sessionPromise = endpoint.getUploadStatus(manifestEntry.session).then(function(status) {
+                  chunked.offset = status.uploadedBytes;
+                  return manifestEntry.session;
+               }, function() {
+                  // The server no longer has the session so start again...
+                  return endpoint.createUploadSession(fileInfo.uploadData, fileInfo.uploadData.filedata);
+               });
+            } else {
+               sessionPromise = endpoint.createUploadSession(fileInfo.uploadData, fileInfo.uploadData.filedata);
+            }
+
+            sessionPromise.then(lang.hitch(this, function(session) {
+               if (chunked.cancelled) {
+                  endpoint.abortUpload(session);
+                  return;
+               }
+               chunked.session = session;
+               this.updateUploadManifest(fileInfo);
+               this.updateChunkedUploadProgress(fileInfo, 0);
+               this.uploadNextChunk(fileInfo, endpoint);
+            }), lang.hitch(this, this.onChunkedUploadFailure, fileInfo));
+         }));
+      },
+
+      /**
+       * Sends the next chunk of a file, or [completes]{@link module:alfresco/services/_ChunkedUploadServiceMixin#completeChunkedUpload}
+       * the upload when all the chunks have been sent. Nothing is sent when the upload has been paused or cancelled.
+       *
+       * @instance
+       * @param {object} fileInfo The information about the file being uploaded
+       * @param {object} endpoint The endpoint adapter
+       */
+      uploadNextChunk: function alfresco_services__ChunkedUploadServiceMixin__uploadNextChunk(fileInfo, endpoint) {
+         var chunked = fileInfo.chunked,
+             file = fileInfo.uploadData.filedata;
+         if (chunked.paused || chunked.cancelled) {
+            return;
+         }
+         if (chunked.offset >= file.size) {
+            this.completeChunkedUpload(fileInfo, endpoint);
+            return;
+         }
+
+         var end = Math.min(chunked.offset + this.chunkSize, file.size);
+         var chunk = {
+            data: file.slice(chunked.offset, end),
+            start: chunked.offset,
+            end: end,
+            total: file.size
+         };
+         chunked.request = endpoint.uploadChunk(chunked.session, chunk, lang.hitch(this, this.updateChunkedUploadProgress, fileInfo));
+         chunked.request.then(lang.hitch(this, function() {
+            chunked.request = null;
+            chunked.offset = end;
+            chunked.retries = 0;
+            this.updateUploadManifest(fileInfo);
+            this.uploadNextChunk(fileInfo, endpoint);
+         }), lang.hitch(this, this.onChunkFailure, fileInfo, endpoint));
+      },
+
+      /**
+       * Handles the failure to send a chunk. The chunk is sent again after a delay until the
+       * [maximum number of retries]{@link module:alfresco/services/_ChunkedUploadServiceMixin#maxChunkRetries}
+       * has been reached, at which point the upload fails. Failures caused by pausing or cancelling the upload
+       * are ignored.
+       *
+       * @instance
+       * @param {object} fileInfo The information about the file being uploaded
+       * @param {object} endpoint The endpoint adapter
+       * @param {object} error The failed request
+       */
+      onChunkFailure: function alfresco_services__ChunkedUploadServiceMixin__onChunkFailure(fileInfo, endpoint, error) {
+         var chunked = fileInfo.chunked;
+         chunked.request = null;
+         if (chunked.paused || chunked.cancelled) {
+            return;
+         }
+         if (chunked.retries < this.maxChunkRetries) {
+            var delay = this.chunkRetryDelay * Math.pow(2, chunked.retries);
+            chunked.retries++;
+            this.alfLog("info", "Retrying chunk of upload (attempt, delay)", chunked.retries, delay, fileInfo);
+            chunked.retryTimeout = setTimeout(lang.hitch(this, function() {
+               chunked.retryTimeout = null;
+               this.uploadNextChunk(fileInfo, endpoint);
+            }), delay);
+         } else {
+            this.onChunkedUploadFailure(fileInfo, error);
+         }
+      },
+
+      /**
+       * Asks the endpoint adapter to create the content from the stored chunks and then processes the
+       * response in the same way as the response of a standard upload.
+       *
+       * @instance
+       * @param {object} fileInfo The information about the file being uploaded
+       * @param {object} endpoint The endpoint adapter
+       */
+      completeChunkedUpload: function alfresco_services__ChunkedUploadServiceMixin__completeChunkedUpload(fileInfo, endpoint) {
+         this.uploadDisplayWidget.setUploadPausable(fileInfo.fileId, false);
+         endpoint.completeUpload(fileInfo.chunked.session, fileInfo.uploadData).then(lang.hitch(this, function(request) {
+            this.removeUploadManifestEntry(fileInfo.chunked.fingerprint);
+            fileInfo.request = request;
+            this.processUploadCompletion(fileInfo.fileId);
+         }), lang.hitch(this, this.onChunkedUploadFailure, fileInfo));
+      },
+
+      /**
+       * Handles the failure of a chunked upload. The manifest entry is kept so that the upload can be resumed later.
+       *
+       * @instance
+       * @param {object} fileInfo The information about the file being uploaded
+       * @param {object} error The failed request
+       */
+      onChunkedUploadFailure: function alfresco_services__ChunkedUploadServiceMixin__onChunkedUploadFailure(fileInfo, error) {
+         if (!fileInfo.chunked.cancelled) {
+            fileInfo.request = error || {};
+            this.processUploadFailure(fileInfo.fileId);
+         }
+      },
+
+      /**
+       * Updates the progress of a chunked upload.
+       *
+       * @instance
+       * @param {object} fileInfo The information about the file being uploaded
+       * @param {number} chunkBytesSent The number of bytes of the current chunk that have been sent
+       */
+      updateChunkedUploadProgress: function alfresco_services__ChunkedUploadServiceMixin__updateChunkedUploadProgress(fileInfo, chunkBytesSent) {
+         this.uploadProgressListener(fileInfo.fileId, {
+            lengthComputable: true,
+            loaded: fileInfo.chunked.offset + chunkBytesSent,
+            total: fileInfo.uploadData.filedata.size
+         });
+      },
+
+      /**
+       * Handles requests to pause a chunked upload. The chunk currently being sent is abandoned and the upload
+       * no longer counts towards the [maximum number of simultaneous uploads]{@link module:alfresco/services/_BaseUploadService#maxSimultaneousUploads}
+       * so that other uploads can start.
+       *
+       * @instance
+       * @param {object} payload The publication payload
+       */
+      onUploadPauseRequest: function alfresco_services__ChunkedUploadServiceMixin__onUploadPauseRequest(payload) {
+         var fileInfo = payload && this.fileStore[payload.uploadId];
+         if (fileInfo && fileInfo.chunked && !fileInfo.chunked.paused && fileInfo.state === this.STATE_UPLOADING) {
+            fileInfo.chunked.paused = true;
+            this.stopChunkedUploadRequests(fileInfo);
+            fileInfo.state = this.STATE_PAUSED;
+            this.updateChunkedUploadProgress(fileInfo, 0);
+            this.uploadDisplayWidget.setUploadPaused(payload.uploadId, true);
+            this.releaseUploadSlot(fileInfo);
+            this.spawnFileUploads();
+         }
+      },
+
+      /**
+       * Handles requests to resume a paused chunked upload. The upload is returned to the queue so that it
+       * is continued as soon as the [maximum number of simultaneous uploads]{@link module:alfresco/services/_BaseUploadService#maxSimultaneousUploads}
+       * allows.
+       *
+       * @instance
+       * @param {object} payload The publication payload
+       */
+      onUploadResumeRequest: function alfresco_services__ChunkedUploadServiceMixin__onUploadResumeRequest(payload) {
+         var fileInfo = payload && this.fileStore[payload.uploadId];
+         if (fileInfo && fileInfo.chunked && fileInfo.chunked.paused) {
+            fileInfo.chunked.paused = false;
+            fileInfo.state = this.STATE_ADDED;
+            this.uploadDisplayWidget.setUploadPaused(payload.uploadId, false);
+            this.spawnFileUploads();
+         }
+      },
+
+      /**
+       * Cancels a chunked upload. The session is discarded on the server and removed from the manifest.
+       *
+       * @instance
+       * @param {object} fileInfo The information about the file being uploaded
+       */
+      cancelChunkedUpload: function alfresco_services__ChunkedUploadServiceMixin__cancelChunkedUpload(fileInfo) {
+         var chunked = fileInfo.chunked;
+         chunked.cancelled = true;
+         this.stopChunkedUploadRequests(fileInfo);
+         if (chunked.session) {
+            this._chunkedUploadEndpointPromise.then(function(endpoint) {
+               endpoint.abortUpload(chunked.session);
+            });
+            this.removeUploadManifestEntry(chunked.fingerprint);
+         }
+         fileInfo.request = {
+            status: 0
+         };
+         this.processUploadFailure(fileInfo.fileId);
+      },
+
+      /**
+       * Aborts the chunk currently being sent and any pending retry.
+       *
+       * @instance
+       * @param {object} fileInfo The information about the file being uploaded
+       */
+      stopChunkedUploadRequests: function alfresco_services__ChunkedUploadServiceMixin__stopChunkedUploadRequests(fileInfo) {
+         var chunked = fileInfo.chunked;
+         if (chunked.retryTimeout) {
+            clearTimeout(chunked.retryTimeout);
+            chunked.retryTimeout = null;
+         }
+         if (chunked.request) {
+            chunked.request.cancel();
+            chunked.request = null;
+         }
+      },
+
+      /**
+       * Handles requests for the details of the uploads recorded in the manifest that can be resumed. The details
+       * are published on the "_SUCCESS" variant of the requested response topic.
+       *
+       * @instance
+       * @param {object} payload The publication payload
+       */
+      onResumableUploadsRequest: function alfresco_services__ChunkedUploadServiceMixin__onResumableUploadsRequest(payload) {
+         var manifest = this.loadUploadManifest();
+         var uploads = array.map(Object.keys(manifest), function(fingerprint) {
+            var entry = manifest[fingerprint];
+            return {
+               fileName: entry.fileName,
+               size: entry.size,
+               uploadedBytes: entry.uploadedBytes,
+               destination: entry.destination,
+               updated: entry.updated
+            };
+         });
+         this.alfPublish((payload.alfResponseTopic || topics.GET_RESUMABLE_UPLOADS) + "_SUCCESS", {
+            uploads: uploads
+         }, false, false, payload.alfResponseScope);
+      },
+
+      /**
+       * Creates the key used to identify the upload of a file in the manifest. This is made up of the details
+       * of the file and the location that it is being uploaded to so that the same file selected again after
+       * the page has been reloaded can be matched.
+       *
+       * @instance
+       * @param {object} uploadData The data for the upload
+       * @returns {string} The fingerprint
+       */
+      getUploadFingerprint: function alfresco_services__ChunkedUploadServiceMixin__getUploadFingerprint(uploadData) {
+         var file = uploadData.filedata;
+         return [uploadData.destination, uploadData.uploaddirectory || "", uploadData.filename, file.size, file.lastModified || ""].join("|");
+      },
+
+      /**
+       * Records the current progress of a chunked upload in the manifest.
+       *
+       * @instance
+       * @param {object} fileInfo The information about the file being uploaded
+       */
+      updateUploadManifest: function alfresco_services__ChunkedUploadServiceMixin__updateUploadManifest(fileInfo) {
+         var manifest = this.loadUploadManifest();
+         manifest[fileInfo.chunked.fingerprint] = {
+            session: fileInfo.chunked.session,
+            fileName: fileInfo.uploadData.filename,
+            size: fileInfo.uploadData.filedata.size,
+            destination: fileInfo.uploadData.destination,
+            uploadedBytes: fileInfo.chunked.offset,
+            updated: Date.now()
+         };
+         this.saveUploadManifest(manifest);
+      },
+
+      /**
+       * Removes an upload from the manifest.
+       *
+       * @instance
+       * @param {string} fingerprint The fingerprint of the upload
+       */
+      removeUploadManifestEntry: function alfresco_services__ChunkedUploadServiceMixin__removeUploadManifestEntry(fingerprint) {
+         var manifest = this.loadUploadManifest();
+         delete manifest[fingerprint];
+         this.saveUploadManifest(manifest);
+      },
+
+      /**
+       * Retrieves the upload manifest from local storage, leaving out any
+       * [expired]{@link module:alfresco/services/_ChunkedUploadServiceMixin#uploadManifestExpiry} entries.
+       *
+       * @instance
+       * @returns {object} The manifest entries keyed by fingerprint
+       */
+      loadUploadManifest: function alfresco_services__ChunkedUploadServiceMixin__loadUploadManifest() {
+         var manifest = {};
+         try {
+            var storedManifest = window.localStorage.getItem(this.uploadManifestStorageKey),
+                entries = (storedManifest && JSON.parse(storedManifest)) || {},
+                oldest = Date.now() - this.uploadManifestExpiry;
+            array.forEach(Object.keys(entries), function(fingerprint) {
+               if (entries[fingerprint].updated > oldest) {
+                  manifest[fingerprint] = entries[fingerprint];
+               }
+            });
+         } catch (e) {
+            this.alfLog("warn", "It was not possible to load the upload manifest from local storage", e, this);
+         }
+         return manifest;
+      },
+
+      /**
+       * Saves the upload manifest to local storage.
+       *
+       * @instance
+       * @param {object} manifest The manifest entries keyed by fingerprint
+       */
+      saveUploadManifest: function alfresco_services__ChunkedUploadServiceMixin__saveUploadManifest(manifest) {
+         try {
+            window.localStorage.setItem(this.uploadManifestStorageKey, JSON.stringify(manifest));
+         } catch (e) {
+            this.alfLog("warn", "It was not possible to save the upload manifest to local storage", e, this);
+         }
+      }
+   });
+});
@@ -0,0 +1,225 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * <p>This mixin provides the folder handling of the [_BaseUploadService]{@link module:alfresco/services/_BaseUploadService}.
+ * When folders are dropped to be uploaded (see [fileDropUtils]{@link module:alfresco/util/fileDropUtils}) each file has a
+ * "relativePath" attribute identifying the folder it was dropped in. Before any files are uploaded the equivalent folder
+ * structure (including any empty folders listed in the "folders" attribute of the
+ * [upload request]{@link module:alfresco/core/topics#UPLOAD_REQUEST}) is created in the upload destination so that each
+ * file can be uploaded into the right folder.</p>
+ * <p>Folders are created using the Alfresco public REST API and so the upload target data must include a destination
+ * NodeRef. Folders that already exist are left unchanged. Any files that would have been uploaded into a folder that
+ * could not be created are reported as having failed.</p>
+ *
+ * @module alfresco/services/_FolderUploadServiceMixin
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["dojo/_base/declare",
+        "dojo/_base/array",
+        "dojo/_base/lang",
+        "dojo/Deferred",
+        "service/constants/Default"],
+        function(declare, array, lang, Deferred, AlfConstants) {
+
+   return declare(null, {
+
+      /**
+       * Indicates whether or not the folder structure of dropped folders should be created in the upload
+       * destination before the files are uploaded.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       */
+      createUploadFolders: true,
+
+      /**
+       * Creates the folders required for an upload request, parent folders first.
+       *
+       * @instance
+       * @param {object[]} files The files to be uploaded
+       * @param {string[]} [folders] The paths of any additional folders to create
+       * @param {object} targetData The data that identifies where to upload the files to
+       * @returns {promise} A promise of the paths of any folders that could not be created
+       */
+      createFolderStructure: function alfresco_services__FolderUploadServiceMixin__createFolderStructure(files, folders, targetData) {
+         var dfd = new Deferred(),
+             paths = this.getUploadFolderPaths(files, folders),
+             failedPaths = [];
+         if (!this.createUploadFolders || !paths.length) {
+            dfd.resolve(failedPaths);
+            return dfd.promise;
+         }
+
+         var destination = targetData.destination;
+         if (destination && destination.constructor === Array) {
+            destination = destination[0];
+         }
+         if (!destination) {
+            this.alfLog("warn", "Unable to create the folders for an upload because no destination has been provided", targetData, this);
+            dfd.resolve(failedPaths);
+            return dfd.promise;
+         }
+
+         // Create the folders one at a time so that each parent exists before its children are created
+         var destinationNodeId = destination.split("/")[3];
+         var createNextFolder = lang.hitch(this, function() {
+            var path = paths.shift();
+            if (!path) {
+               dfd.resolve(failedPaths);
+               return;
+            }
+            if (this.isInFailedFolder(path, failedPaths)) {
+               failedPaths.push(path);
+               createNextFolder();
+               return;
+            }
+            this.createUploadFolder(destinationNodeId, this.joinPaths(targetData.uploadDirectory, path)).then(function(created) {
+               created || failedPaths.push(path);
+               createNextFolder();
+            });
+         });
+         createNextFolder();
+         return dfd.promise;
+      },
+
+      /**
+       * Creates a single folder. A folder that already exists is treated as having been created.
+       *
+       * @instance
+       * @param {string} destinationNodeId The ID of the node that the path is relative to
+       * @param {string} path The path of the folder to create
+       * @returns {promise} A promise of whether or not the folder exists
+       */
+      createUploadFolder: function alfresco_services__FolderUploadServiceMixin__createUploadFolder(destinationNodeId, path) {
+         var dfd = new Deferred(),
+             lastSlash = path.lastIndexOf("/");
+         this.serviceXhr({
+            url: AlfConstants.PROXY_URI + "public/alfresco/versions/1/nodes/" + destinationNodeId + "/children",
+            method: "POST",
+            data: {
+               name: path.substring(lastSlash + 1),
+               nodeType: "cm:folder",
+               relativePath: lastSlash !== -1 ? path.substring(0, lastSlash) : undefined
+            },
+            successCallback: function() {
+               dfd.resolve(true);
+            },
+            failureCallback: function(response) {
+               var exists = lang.getObject("response.status", false, response) === 409;
+               exists || this.alfLog("error", "Unable to create folder for upload", path, response, this);
+               dfd.resolve(exists);
+            },
+            callbackScope: this
+         });
+         return dfd.promise;
+      },
+
+      /**
+       * Gets the paths of all the folders required for an upload, ordered so that every folder comes after
+       * its parent.
+       *
+       * @instance
+       * @param {object[]} files The files to be uploaded
+       * @param {string[]} [folders] The paths of any additional folders to create
+       * @returns {string[]} The folder paths
+       */
+      getUploadFolderPaths: function alfresco_services__FolderUploadServiceMixin__getUploadFolderPaths(files, folders) {
+         var paths = [];
+         var addPath = function(path) {
+            path = (path || "").replace(/^\/+|\/+$/g, "");
+            if (path && array.indexOf(paths, path) === -1) {
+               var lastSlash = path.lastIndexOf("/");
+               lastSlash !== -1 && addPath(path.substring(0, lastSlash));
+               paths.push(path);
+            }
+         };
+         array.forEach(folders || [], addPath);
+         array.forEach(files, function(file) {
+            addPath(file.relativePath);
+         });
+         return paths;
+      },
+
+      /**
+       * Gets the directory (relative to the upload destination) that a file should be uploaded into. This
+       * is the folder that the file was dropped in within the upload directory of the target data.
+       *
+       * @instance
+       * @param {object} file The file being uploaded
+       * @param {object} targetData The data that identifies where to upload the file to
+       * @returns {string} The directory (or null if the file should be uploaded directly into the destination)
+       */
+      getUploadDirectory: function alfresco_services__FolderUploadServiceMixin__getUploadDirectory(file, targetData) {
+         return this.joinPaths(targetData.uploadDirectory, file.relativePath) || null;
+      },
+
+      /**
+       * Indicates whether or not a path is within (or is) one of the supplied folders.
+       *
+       * @instance
+       * @param {string} path The path to check
+       * @param {string[]} folderPaths The folder paths
+       * @returns {boolean} True if the path is within one of the folders
+       */
+      isInFailedFolder: function alfresco_services__FolderUploadServiceMixin__isInFailedFolder(path, folderPaths) {
+         return array.some(folderPaths, function(folderPath) {
+            return path === folderPath || path.indexOf(folderPath + "/") === 0;
+         });
+      },
+
+      /**
+       * Joins two paths, either of which may be empty.
+       *
+       * @instance
+       * @param {string} [parentPath] The parent path
+       * @param {string} [childPath] The child path
+       * @returns {string} The joined path
+       */
+      joinPaths: function alfresco_services__FolderUploadServiceMixin__joinPaths(parentPath, childPath) {
+         return array.filter([parentPath, childPath], function(path) {
+            return !!path;
+         }).join("/").replace(/\/{2,}/g, "/").replace(/^\/|\/$/g, "");
+      },
+
+      /**
+       * Removes the files that would have been uploaded into folders that could not be created, reporting
+       * each of them as having failed.
+       *
+       * @instance
+       * @param {object[]} files The files to be uploaded
+       * @param {string[]} failedPaths The paths of the folders that could not be created
+       * @returns {object[]} The files that can still be uploaded
+       */
+      removeFilesInFailedFolders: function alfresco_services__FolderUploadServiceMixin__removeFilesInFailedFolders(files, failedPaths) {
+         if (!failedPaths.length) {
+            return files;
+         }
+         return array.filter(files, function(file) {
+            if (file.relativePath && this.isInFailedFolder(file.relativePath, failedPaths)) {
+               this.addInvalidFile(file, this.message("upload.error.folder-not-created", file.relativePath));
+               return false;
+            }
+            return true;
+         }, this);
+      }
+   });
+});
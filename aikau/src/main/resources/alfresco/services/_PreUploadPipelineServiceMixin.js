@@ -0,0 +1,245 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * <p>This mixin provides the pre-upload pipeline of the [_BaseUploadService]{@link module:alfresco/services/_BaseUploadService}.
+ * Every file that passes [validation]{@link module:alfresco/services/_BaseUploadService#validateFiles} is passed through
+ * each of the configured [steps]{@link module:alfresco/services/_PreUploadPipelineServiceMixin#preUploadSteps} in turn
+ * before it is uploaded. Each step is able to replace the file that will be uploaded (e.g. with a resized image), change
+ * the name it will be uploaded with, add headers to the upload request, record annotations about the file or reject
+ * the file altogether.</p>
+ * <p>Steps are modules that extend [_PreUploadStep]{@link module:alfresco/upload/steps/_PreUploadStep}. In addition to
+ * being configured on the service, steps can be registered at any time by publishing on the
+ * [REGISTER_PRE_UPLOAD_STEP]{@link module:alfresco/core/topics#REGISTER_PRE_UPLOAD_STEP} topic. Steps are always run
+ * in the order in which they were added. Steps that cannot be loaded or created are logged and skipped.</p>
+ *
+ * @example <caption>Rejecting executable files and sending a checksum with every upload</caption>
+ * {
+ *   name: "alfresco/services/FileUploadService",
+ *   config: {
+ *     preUploadSteps: [
+ *       {
+ *         name: "alfresco/upload/steps/FileTypeSniffStep",
+ *         config: {
+ *           blockedTypes: ["application/x-msdownload"]
+ *         }
+ *       },
+ *       {
+ *         name: "alfresco/upload/steps/ChecksumStep"
+ *       }
+ *     ]
+ *   }
+ * }
+ *
+ * @module alfresco/services/_PreUploadPipelineServiceMixin
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["dojo/_base/declare",
+        "dojo/_base/array",
+        "dojo/_base/lang",
+        "dojo/Deferred",
+        "dojo/promise/all",
+        "dojo/when"],
+        function(declare, array, lang, Deferred, all, when) {
+
+   return declare(null, {
+
+      /**
+       * The context passed through each step of the pre-upload pipeline for a file.
+       *
+       * @instance
+       * @typedef {object} PreUploadContext
+       * @property {object} file The file that will be uploaded (steps may replace this)
+       * @property {string} fileName The name that the file will be uploaded with
+       * @property {object} targetData The data that identifies where the file will be uploaded to
+       * @property {object} headers Additional headers to set on the upload request
+       * @property {object} annotations Information recorded about the file by the steps
+       */
+
+      /**
+       * The steps that each file is passed through before it is uploaded. Each element should be an object
+       * with a "name" attribute (the step module) and an optional "config" attribute.
+       *
+       * @instance
+       * @type {object[]}
+       * @default
+       */
+      preUploadSteps: null,
+
+      /**
+       * Promises of the step instances that have been added to the pipeline, in the order in which they were added.
+       *
+       * @instance
+       * @type {promise[]}
+       * @default
+       */
+      _preUploadStepPromises: null,
+
+      /**
+       * Extends the inherited function to create the configured [steps]{@link module:alfresco/services/_PreUploadPipelineServiceMixin#preUploadSteps}.
+       *
+       * @instance
+       * @override
+       */
+      initService: function alfresco_services__PreUploadPipelineServiceMixin__initService() {
+         this.inherited(arguments);
+         this._preUploadStepPromises = [];
+         array.forEach(this.preUploadSteps, this.addPreUploadStep, this);
+      },
+
+      /**
+       * Loads and creates a step and adds it to the end of the pipeline. This is also called for each publication
+       * on the [REGISTER_PRE_UPLOAD_STEP]{@link module:alfresco/core/topics#REGISTER_PRE_UPLOAD_STEP} topic. If the
+       * step module cannot be loaded or the step cannot be created then the error is logged and the step is skipped
+       * so that files can still be uploaded.
+       *
+       * @instance
+       * @param {object} step The step definition with a "name" and optional "config" attribute
+       */
+      addPreUploadStep: function alfresco_services__PreUploadPipelineServiceMixin__addPreUploadStep(step) {
+         if (step && step.name) {
+            var dfd = new Deferred();
+            this._preUploadStepPromises.push(dfd.promise);
+
+            // The loader does not call back when a module fails to load so listen for its errors instead...
+            var errorHandle = require.on("error", lang.hitch(this, function(error) {
+               if (this.isPreUploadStepLoadError(step, error)) {
+                  errorHandle.remove();
+                  this.alfLog("error", "The pre-upload step '" + step.name + "' could not be loaded and will be skipped", error, this);
+                  dfd.resolve(null);
+               }
+            }));
+            require([step.name], lang.hitch(this, function(Step) {
+               errorHandle.remove();
+               try {
+                  dfd.resolve(new Step(lang.mixin({}, step.config)));
+               } catch (e) {
+                  this.alfLog("error", "The pre-upload step '" + step.name + "' could not be created and will be skipped", e, this);
+                  dfd.resolve(null);
+               }
+            }));
+         } else {
+            this.alfLog("warn", "A request was made to add a pre-upload step without a 'name' attribute", step, this);
+         }
+      },
+
+      /**
+       * Indicates whether or not the supplied module loader error was caused by a failure to load the module
+       * of the supplied step (either because its script could not be loaded or because its factory threw).
+       *
+       * @instance
+       * @param {object} step The step definition with a "name" attribute
+       * @param {object} error The error reported by the module loader
+       * @returns {boolean} True if the error relates to the step
+       */
+      isPreUploadStepLoadError: function alfresco_services__PreUploadPipelineServiceMixin__isPreUploadStepLoadError(step, error) {
+         var source = error && error.info && error.info[0];
+         if (!source) {
+            return false;
+         }
+         return source.mid === step.name || String(source).indexOf(require.toUrl(step.name).split("?")[0] + ".js") !== -1;
+      },
+
+      /**
+       * Passes the supplied files through the pre-upload pipeline. Any files rejected by a step are
+       * [reported as invalid]{@link module:alfresco/services/_BaseUploadService#addInvalidFile}. Files are
+       * processed one at a time so that steps that read the file contents do not have to hold more than one
+       * file in memory at once. If the steps cannot be prepared then all of the files are reported as invalid.
+       *
+       * @instance
+       * @param {object[]} files The files to process
+       * @param {object} targetData The data that identifies where the files will be uploaded to
+       * @returns {promise} A promise of the files that should be uploaded, each with an "_uploadContext" attribute
+       */
+      runPreUploadPipeline: function alfresco_services__PreUploadPipelineServiceMixin__runPreUploadPipeline(files, targetData) {
+         var dfd = new Deferred();
+         if (!this._preUploadStepPromises.length) {
+            dfd.resolve(files);
+            return dfd.promise;
+         }
+
+         all(this._preUploadStepPromises).then(lang.hitch(this, function(loadedSteps) {
+            var steps = array.filter(loadedSteps, function(step) {
+               return !!step;
+            });
+            var remaining = files.slice(0),
+                accepted = [];
+            var processNextFile = lang.hitch(this, function() {
+               var file = remaining.shift();
+               if (!file) {
+                  dfd.resolve(accepted);
+                  return;
+               }
+               this.processPreUploadSteps(file, targetData, steps).then(lang.hitch(this, function(context) {
+                  var fileToUpload = context.file;
+                  if (fileToUpload !== file && file.relativePath && !fileToUpload.relativePath) {
+                     fileToUpload.relativePath = file.relativePath;
+                  }
+                  fileToUpload._uploadContext = context;
+                  accepted.push(fileToUpload);
+               }), lang.hitch(this, function(error) {
+                  this.addInvalidFile(file, error && error.message);
+               })).always(processNextFile);
+            });
+            processNextFile();
+         }), lang.hitch(this, function(error) {
+            this.alfLog("error", "The pre-upload steps could not be prepared", error, this);
+            array.forEach(files, function(file) {
+               this.addInvalidFile(file, error && error.message);
+            }, this);
+            dfd.resolve([]);
+         }));
+         return dfd.promise;
+      },
+
+      /**
+       * Passes a single file through each step in turn. A step is skipped if it does not
+       * [apply]{@link module:alfresco/upload/steps/_PreUploadStep#appliesTo} to the file.
+       *
+       * @instance
+       * @param {object} file The file to process
+       * @param {object} targetData The data that identifies where the file will be uploaded to
+       * @param {object[]} steps The steps to run
+       * @returns {promise} A promise of the [context]{@link module:alfresco/services/_PreUploadPipelineServiceMixin#PreUploadContext}
+       * that is rejected with an error if any step rejects the file
+       */
+      processPreUploadSteps: function alfresco_services__PreUploadPipelineServiceMixin__processPreUploadSteps(file, targetData, steps) {
+         var context = {
+            file: file,
+            fileName: file.name,
+            targetData: targetData,
+            headers: {},
+            annotations: {}
+         };
+         var promise = when(context);
+         array.forEach(steps, function(step) {
+            promise = promise.then(function(currentContext) {
+               if (!step.appliesTo(currentContext)) {
+                  return currentContext;
+               }
+               return when(step.process(currentContext), function(result) {
+                  return result || currentContext;
+               });
+            });
+         });
+         return promise;
+      }
+   });
+});
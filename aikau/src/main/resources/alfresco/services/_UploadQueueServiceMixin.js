@@ -0,0 +1,257 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+/**
+ * <p>This mixin provides the upload queue of the [_BaseUploadService]{@link module:alfresco/services/_BaseUploadService}.
+ * No more than the [maximum number of simultaneous uploads]{@link module:alfresco/services/_BaseUploadService#maxSimultaneousUploads}
+ * are sent at any one time (so that uploads do not use all of the connections that the browser allows to the server) and
+ * the remaining uploads wait in a queue. Uploads are taken from the queue either in the order in which they were requested or,
+ * when the [uploadQueueOrder]{@link module:alfresco/services/_UploadQueueServiceMixin#uploadQueueOrder} is "SMALLEST_FIRST",
+ * in order of size. A queued upload can be moved to the front or back of the queue by publishing on the
+ * [PRIORITISE_QUEUED_UPLOAD]{@link module:alfresco/core/topics#PRIORITISE_QUEUED_UPLOAD} topic.</p>
+ * <p>The mixin also keeps track of the rate at which data is being uploaded so that the overall transfer rate and an
+ * estimate of the time remaining can be passed to the uploads display widget.</p>
+ *
+ * @module alfresco/services/_UploadQueueServiceMixin
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["dojo/_base/declare",
+        "dojo/_base/array"],
+        function(declare, array) {
+
+   return declare(null, {
+
+      /**
+       * The order in which queued uploads are started. This can be either "FIFO" (in the order that the uploads
+       * were requested) or "SMALLEST_FIRST" (the smallest files are uploaded first).
+       *
+       * @instance
+       * @type {string}
+       * @default
+       */
+      uploadQueueOrder: "FIFO",
+
+      /**
+       * The period (in milliseconds) over which the transfer rate is averaged.
+       *
+       * @instance
+       * @type {number}
+       * @default
+       */
+      transferRateSamplePeriod: 5000,
+
+      /**
+       * The total number of bytes sent since the transfer rate samples were last reset.
+       *
+       * @instance
+       * @type {number}
+       * @default
+       */
+      _bytesTransferred: 0,
+
+      /**
+       * The IDs of the uploads that have not yet finished, in the order in which they should be started.
+       *
+       * @instance
+       * @type {string[]}
+       * @default
+       */
+      _uploadQueue: null,
+
+      /**
+       * The samples of the bytes transferred (each with a "time" and "bytes" attribute) used to calculate
+       * the transfer rate.
+       *
+       * @instance
+       * @type {object[]}
+       * @default
+       */
+      _transferSamples: null,
+
+      /**
+       * Extends the inherited function to create the upload queue.
+       *
+       * @instance
+       * @override
+       */
+      initService: function alfresco_services__UploadQueueServiceMixin__initService() {
+         this.inherited(arguments);
+         this._uploadQueue = [];
+         this.resetTransferRate();
+      },
+
+      /**
+       * Gets the uploads in the queue that are waiting to be started, in the order in which they should
+       * be started.
+       *
+       * @instance
+       * @returns {object[]} The information for each waiting upload
+       */
+      getQueuedUploads: function alfresco_services__UploadQueueServiceMixin__getQueuedUploads() {
+         var fileInfos = array.map(this._uploadQueue, function(fileId) {
+            return this.fileStore[fileId];
+         }, this);
+         return array.filter(fileInfos, function(fileInfo) {
+            return fileInfo && fileInfo.state === this.STATE_ADDED;
+         }, this);
+      },
+
+      /**
+       * Gets the size of the file being uploaded.
+       *
+       * @instance
+       * @param {object} fileInfo The information about the upload
+       * @returns {number} The size in bytes
+       */
+      getUploadSize: function alfresco_services__UploadQueueServiceMixin__getUploadSize(fileInfo) {
+         return (fileInfo.uploadData && fileInfo.uploadData.filedata && fileInfo.uploadData.filedata.size) || 0;
+      },
+
+      /**
+       * Calculates the current transfer rate (averaged over the
+       * [sample period]{@link module:alfresco/services/_UploadQueueServiceMixin#transferRateSamplePeriod}) and an
+       * estimate of how long the unfinished uploads will take to complete.
+       *
+       * @instance
+       * @returns {object} An object with "bytesPerSecond", "bytesRemaining" and "secondsRemaining" attributes (the
+       * latter will be null when there is not yet enough information to make an estimate)
+       */
+      getTransferStatistics: function alfresco_services__UploadQueueServiceMixin__getTransferStatistics() {
+         var bytesPerSecond = 0,
+             firstSample = this._transferSamples[0],
+             lastSample = this._transferSamples[this._transferSamples.length - 1];
+         if (firstSample && lastSample.time > firstSample.time) {
+            bytesPerSecond = Math.round((lastSample.bytes - firstSample.bytes) / ((lastSample.time - firstSample.time) / 1000));
+         }
+
+         var bytesRemaining = 0;
+         array.forEach(Object.keys(this.fileStore), function(fileId) {
+            var fileInfo = this.fileStore[fileId];
+            if (fileInfo.state === this.STATE_ADDED || fileInfo.state === this.STATE_UPLOADING || fileInfo.state === this.STATE_PAUSED) {
+               bytesRemaining += Math.max(this.getUploadSize(fileInfo) - (fileInfo.bytesLoaded || 0), 0);
+            }
+         }, this);
+
+         return {
+            bytesPerSecond: bytesPerSecond,
+            bytesRemaining: bytesRemaining,
+            secondsRemaining: bytesPerSecond ? Math.ceil(bytesRemaining / bytesPerSecond) : null
+         };
+      },
+
+      /**
+       * Moves a waiting upload to the front (or back) of the queue.
+       *
+       * @instance
+       * @param {object} payload The publication payload
+       * @listens module:alfresco/core/topics#PRIORITISE_QUEUED_UPLOAD
+       */
+      onUploadPrioritiseRequest: function alfresco_services__UploadQueueServiceMixin__onUploadPrioritiseRequest(payload) {
+         var uploadId = payload && payload.uploadId,
+             fileInfo = uploadId && this.fileStore[uploadId],
+             index = array.indexOf(this._uploadQueue, uploadId);
+         if (fileInfo && fileInfo.state === this.STATE_ADDED && index !== -1) {
+            this._uploadQueue.splice(index, 1);
+            if (payload.position === "last") {
+               this._uploadQueue.push(uploadId);
+            } else {
+               this._uploadQueue.unshift(uploadId);
+            }
+
+            // Prioritised uploads keep their position when smaller files are queued after them
+            fileInfo.prioritised = true;
+            this.spawnFileUploads();
+         } else {
+            this.alfLog("warn", "A request was made to prioritise an upload that is not queued", payload, this);
+         }
+      },
+
+      /**
+       * Adds an upload to the queue in the position determined by the
+       * [uploadQueueOrder]{@link module:alfresco/services/_UploadQueueServiceMixin#uploadQueueOrder}.
+       *
+       * @instance
+       * @param {object} fileInfo The information about the upload
+       */
+      queueUpload: function alfresco_services__UploadQueueServiceMixin__queueUpload(fileInfo) {
+         var index = -1;
+         if (this.uploadQueueOrder === "SMALLEST_FIRST") {
+            var size = this.getUploadSize(fileInfo);
+            array.some(this._uploadQueue, function(fileId, i) {
+               var queuedFileInfo = this.fileStore[fileId];
+               if (queuedFileInfo && queuedFileInfo.state === this.STATE_ADDED && !queuedFileInfo.prioritised && this.getUploadSize(queuedFileInfo) > size) {
+                  index = i;
+               }
+               return index !== -1;
+            }, this);
+         }
+         if (index === -1) {
+            this._uploadQueue.push(fileInfo.fileId);
+         } else {
+            this._uploadQueue.splice(index, 0, fileInfo.fileId);
+         }
+      },
+
+      /**
+       * Records the number of bytes sent for an upload and adds a new sample for the calculation of
+       * the transfer rate.
+       *
+       * @instance
+       * @param {object} fileInfo The information about the upload
+       * @param {number} bytesLoaded The total number of bytes of the file that have been sent
+       */
+      recordBytesTransferred: function alfresco_services__UploadQueueServiceMixin__recordBytesTransferred(fileInfo, bytesLoaded) {
+         var now = Date.now();
+         this._bytesTransferred += Math.max(bytesLoaded - (fileInfo.bytesLoaded || 0), 0);
+         fileInfo.bytesLoaded = bytesLoaded;
+         this._transferSamples.push({
+            time: now,
+            bytes: this._bytesTransferred
+         });
+
+         // Discard the samples that are outside of the sample period (but always keep two so there is a rate)
+         while (this._transferSamples.length > 2 && now - this._transferSamples[1].time > this.transferRateSamplePeriod) {
+            this._transferSamples.shift();
+         }
+      },
+
+      /**
+       * Removes an upload from the queue.
+       *
+       * @instance
+       * @param {string} fileId The unique id of the file being uploaded
+       */
+      removeQueuedUpload: function alfresco_services__UploadQueueServiceMixin__removeQueuedUpload(fileId) {
+         var index = array.indexOf(this._uploadQueue, fileId);
+         if (index !== -1) {
+            this._uploadQueue.splice(index, 1);
+         }
+      },
+
+      /**
+       * Clears the samples used to calculate the transfer rate.
+       *
+       * @instance
+       */
+      resetTransferRate: function alfresco_services__UploadQueueServiceMixin__resetTransferRate() {
+         this._bytesTransferred = 0;
+         this._transferSamples = [];
+      }
+   });
+});
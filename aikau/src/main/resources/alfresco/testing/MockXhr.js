@@ -241,6 +241,11 @@ define(["dojo/_base/declare",
             innerHTML: "Waiting..."
          }, rowNode);
 
+         // Record requests that are aborted so that tests can check that requests are stopped
+         xhrRequest.addEventListener("abort", function() {
+            rowNode.setAttribute("data-aikau-xhr-aborted", "true");
+         });
+
          // Once we've had a response, add it to the log
          deferred.promise.then(lang.hitch(this, function() {
 
@@ -261,6 +266,7 @@ define(["dojo/_base/declare",
 
             // Add a new row to the log and update the data attribute
             responseNode.innerHTML = responseHtml;
+            rowNode.setAttribute("data-aikau-xhr-response-status", xhrRequest.status);
             rowNode.setAttribute("data-aikau-xhr-response-headers", responseHeaders);
             rowNode.setAttribute("data-aikau-xhr-response-body", responseBody);
          }));
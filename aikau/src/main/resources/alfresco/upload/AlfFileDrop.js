@@ -33,9 +33,10 @@ define(["dojo/_base/declare",
         "dojo/text!./templates/AlfFileDrop.html",
         "alfresco/core/Core",
         "alfresco/core/topics",
+        "alfresco/util/fileDropUtils",
         "dojo/_base/lang",
         "dojo/on"], 
-        function(declare, _Widget, _Templated, template, Core, topics, lang, on) {
+        function(declare, _Widget, _Templated, template, Core, topics, fileDropUtils, lang, on) {
    
    return declare([_Widget, _Templated, Core], {
       
@@ -94,14 +95,30 @@ define(["dojo/_base/declare",
       destinationNodeRef: null,
 
       /**
+       * Requests the upload of the dropped files. Any dropped folders are walked so that the files they
+       * contain are uploaded into the equivalent folder structure in the destination.
+       *
        * @instance
        * @fires module:alfresco/core/topics#UPLOAD_REQUEST
        */
       onDndDrop: function alfresco_upload_AlfFileDrop__onDndDrop(evt) {
         evt.stopPropagation();
         evt.preventDefault();
+        fileDropUtils.getDroppedItems(evt.dataTransfer).then(lang.hitch(this, this.publishUploadRequest));
+      },
+
+      /**
+       * Publishes the request to upload the dropped files and folders.
+       *
+       * @instance
+       * @param {object} droppedItems The dropped "files" and "folders"
+       * @fires module:alfresco/core/topics#UPLOAD_REQUEST
+       * @since 1.0.106
+       */
+      publishUploadRequest: function alfresco_upload_AlfFileDrop__publishUploadRequest(droppedItems) {
         this.alfPublish(topics.UPLOAD_REQUEST, {
-           files: evt.dataTransfer.files,
+           files: droppedItems.files,
+           folders: droppedItems.folders,
            targetData: {
               destination: this.destinationNodeRef,
               siteId: null,
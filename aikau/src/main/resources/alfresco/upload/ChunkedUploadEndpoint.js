@@ -0,0 +1,243 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * <p>This module is the default endpoint adapter used by upload services extending
+ * [_BaseUploadService]{@link module:alfresco/services/_BaseUploadService} when
+ * [chunked uploads]{@link module:alfresco/services/_ChunkedUploadServiceMixin#chunkedUpload} are enabled. An
+ * endpoint adapter is responsible for all communication with the server for a chunked upload, allowing the
+ * service to be used with different server implementations (or with a stand-in server when testing) by configuring
+ * an alternative adapter through the [chunkedUploadEndpoint]{@link module:alfresco/services/_ChunkedUploadServiceMixin#chunkedUploadEndpoint}
+ * attribute. Alternative adapters should extend this module and override the functions required.</p>
+ * <p>Every function returns a promise. Failed requests reject their promise with the XMLHttpRequest (or an object
+ * with "status" and "statusText" attributes) so that the failure can be displayed in the same way as the failure of a
+ * standard upload. Any headers added to the upload by the [pre-upload pipeline]{@link module:alfresco/services/_PreUploadPipelineServiceMixin}
+ * are sent when the session is created and when the upload is completed.</p>
+ * <p>This adapter uses the following protocol, relative to the [uploadSessionsURL]{@link module:alfresco/upload/ChunkedUploadEndpoint#uploadSessionsURL}.
+ * Note that the Alfresco Repository does not provide these REST APIs and so a server-side implementation
+ * (for example a set of custom WebScripts) is required in order to use it:</p>
+ * <ul>
+ *   <li><b>POST /</b> with a JSON body describing the upload creates a session and responds with <code>{sessionId: "..."}</code></li>
+ *   <li><b>GET /{sessionId}</b> responds with <code>{uploadedBytes: n}</code></li>
+ *   <li><b>PUT /{sessionId}</b> with a chunk of the file as the body and a "Content-Range" header stores the chunk</li>
+ *   <li><b>POST /{sessionId}/complete</b> creates the content and responds as the standard upload API would</li>
+ *   <li><b>DELETE /{sessionId}</b> discards the session</li>
+ * </ul>
+ *
+ * @module alfresco/upload/ChunkedUploadEndpoint
+ * @extends module:alfresco/core/CoreXhr
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["dojo/_base/declare",
+        "alfresco/core/CoreXhr",
+        "dojo/_base/lang",
+        "dojo/Deferred",
+        "service/constants/Default"],
+        function(declare, CoreXhr, lang, Deferred, AlfConstants) {
+
+   return declare([CoreXhr], {
+
+      /**
+       * The location of the upload sessions REST API (relative to the proxy URI).
+       *
+       * @instance
+       * @type {string}
+       * @default
+       */
+      uploadSessionsURL: "api/upload/sessions",
+
+      /**
+       * Mixes the supplied configuration into the instance.
+       *
+       * @instance
+       * @param {object} args The configuration for the adapter
+       */
+      constructor: function alfresco_upload_ChunkedUploadEndpoint__constructor(args) {
+         lang.mixin(this, args);
+      },
+
+      /**
+       * Creates a new upload session for a file.
+       *
+       * @instance
+       * @param {object} uploadData The data for the upload (as created by [constructUploadData]{@link module:alfresco/services/_BaseUploadService#constructUploadData})
+       * @param {object} file The file being uploaded
+       * @returns {promise} A promise of the session (a JSON serializable object that will be passed to every other function)
+       */
+      createUploadSession: function alfresco_upload_ChunkedUploadEndpoint__createUploadSession(uploadData, file) {
+         var body = JSON.stringify({
+            filename: uploadData.filename,
+            size: file.size,
+            destination: uploadData.destination,
+            siteId: uploadData.siteId,
+            containerId: uploadData.containerId,
+            uploaddirectory: uploadData.uploaddirectory,
+            majorVersion: uploadData.majorVersion,
+            updateNodeRef: uploadData.updateNodeRef,
+            description: uploadData.description,
+            overwrite: uploadData.overwrite,
+            thumbnails: uploadData.thumbnails,
+            username: uploadData.username
+         });
+         return this.sendRequest("POST", this.getSessionUrl(), body, lang.mixin({
+            "Content-Type": "application/json"
+         }, uploadData.headers)).then(lang.hitch(this, function(request) {
+            return {
+               sessionId: this.parseResponse(request).sessionId
+            };
+         }));
+      },
+
+      /**
+       * Retrieves the number of bytes that the server has stored for a session. This is used to find where
+       * to resume an upload from.
+       *
+       * @instance
+       * @param {object} session The session
+       * @returns {promise} A promise of an object with an "uploadedBytes" attribute
+       */
+      getUploadStatus: function alfresco_upload_ChunkedUploadEndpoint__getUploadStatus(session) {
+         return this.sendRequest("GET", this.getSessionUrl(session)).then(lang.hitch(this, function(request) {
+            return {
+               uploadedBytes: this.parseResponse(request).uploadedBytes || 0
+            };
+         }));
+      },
+
+      /**
+       * Sends a chunk of a file. The promise returned can be cancelled to abort the request.
+       *
+       * @instance
+       * @param {object} session The session
+       * @param {object} chunk The chunk with "data" (a Blob), "start", "end" (exclusive) and "total" attributes
+       * @param {function} [progressCallback] A function to call with the number of bytes of the chunk sent so far
+       * @returns {promise} A promise that resolves when the chunk has been stored
+       */
+      uploadChunk: function alfresco_upload_ChunkedUploadEndpoint__uploadChunk(session, chunk, progressCallback) {
+         return this.sendRequest("PUT", this.getSessionUrl(session), chunk.data, {
+            "Content-Type": "application/octet-stream",
+            "Content-Range": "bytes " + chunk.start + "-" + (chunk.end - 1) + "/" + chunk.total
+         }, progressCallback);
+      },
+
+      /**
+       * Requests that the content is created from the stored chunks.
+       *
+       * @instance
+       * @param {object} session The session
+       * @param {object} uploadData The data for the upload
+       * @returns {promise} A promise of the XMLHttpRequest (the response must be in the format of the configured upload API)
+       */
+      completeUpload: function alfresco_upload_ChunkedUploadEndpoint__completeUpload(session, uploadData) {
+         return this.sendRequest("POST", this.getSessionUrl(session) + "/complete", null, uploadData.headers);
+      },
+
+      /**
+       * Discards a session and any chunks stored for it.
+       *
+       * @instance
+       * @param {object} session The session
+       * @returns {promise} A promise that resolves when the session has been discarded
+       */
+      abortUpload: function alfresco_upload_ChunkedUploadEndpoint__abortUpload(session) {
+         return this.sendRequest("DELETE", this.getSessionUrl(session));
+      },
+
+      /**
+       * Gets the URL for a session (or for creating sessions when no session is provided). The CSRF token
+       * is sent as a header rather than a parameter.
+       *
+       * @instance
+       * @param {object} [session] The session
+       * @returns {string} The URL
+       */
+      getSessionUrl: function alfresco_upload_ChunkedUploadEndpoint__getSessionUrl(session) {
+         var url = AlfConstants.PROXY_URI + this.uploadSessionsURL;
+         if (session) {
+            url += "/" + encodeURIComponent(session.sessionId);
+         }
+         return url;
+      },
+
+      /**
+       * Parses the JSON response of a request.
+       *
+       * @instance
+       * @param {object} request The completed XMLHttpRequest
+       * @returns {object} The parsed response (or an empty object if the response is not JSON)
+       */
+      parseResponse: function alfresco_upload_ChunkedUploadEndpoint__parseResponse(request) {
+         var response = {};
+         try {
+            response = JSON.parse(request.responseText) || {};
+         } catch (e) {
+            this.alfLog("warn", "Unable to parse chunked upload response as JSON", request.responseText, this);
+         }
+         return response;
+      },
+
+      /**
+       * Sends a request using an XMLHttpRequest so that the progress of sending the body can be reported. The
+       * promise returned is resolved with the XMLHttpRequest when a successful status code is returned and
+       * rejected with it otherwise. Cancelling the promise aborts the request.
+       *
+       * @instance
+       * @param {string} method The HTTP method
+       * @param {string} url The URL
+       * @param {object} [body] The body to send
+       * @param {object} [headers] The headers to set
+       * @param {function} [progressCallback] A function to call with the number of bytes sent so far
+       * @returns {promise} A promise of the completed XMLHttpRequest
+       */
+      sendRequest: function alfresco_upload_ChunkedUploadEndpoint__sendRequest(method, url, body, headers, progressCallback) {
+         var request = new XMLHttpRequest();
+         var dfd = new Deferred(function() {
+            request.abort();
+         });
+
+         request.open(method, url, true);
+         if (this.isCsrfFilterEnabled()) {
+            request.setRequestHeader(this.getCsrfHeader(), this.getCsrfToken());
+         }
+         for (var header in headers) {
+            if (headers.hasOwnProperty(header)) {
+               request.setRequestHeader(header, headers[header]);
+            }
+         }
+         if (progressCallback && request.upload) {
+            request.upload.onprogress = function(evt) {
+               evt.lengthComputable && progressCallback(evt.loaded);
+            };
+         }
+         request.onload = function() {
+            if (request.status >= 200 && request.status < 300) {
+               dfd.resolve(request);
+            } else {
+               dfd.reject(request);
+            }
+         };
+         request.onerror = function() {
+            dfd.isFulfilled() || dfd.reject(request);
+         };
+         request.send(body || null);
+         return dfd.promise;
+      }
+   });
+});
@@ -23,6 +23,8 @@
  * upload capabilities by mixing in the 
  * [_AlfDndDocumentUploadMixin]{@link module:alfresco/documentlibrary/_AlfDndDocumentUploadMixin}
  * so that files can easily be dropped anywhere on the widgets rendered to trigger an upload.
+ * When folders are dropped their structure is recreated within the folder and the files they contain
+ * are uploaded into the matching sub-folders.
  * 
  * @module alfresco/upload/UploadFolder
  * @extends module:alfresco/documentlibrary/AlfDocument
@@ -105,6 +105,17 @@ define(["alfresco/core/FileSizeMixin",
        */
       maxUploadNameLength: 50,
 
+      /**
+       * Indicates whether or not the overall transfer rate and an estimate of the time remaining should be
+       * displayed while uploads are in progress.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       * @since 1.0.106
+       */
+      showTransferSummary: true,
+
       /**
        * The characters which should swap when the text is reversed.
        *
@@ -180,6 +191,76 @@ define(["alfresco/core/FileSizeMixin",
        */
       widgetsForUnsuccessfulActions: null,
 
+      /**
+       * Actions for displaying against in-progress items that can be paused (i.e.
+       * [chunked uploads]{@link module:alfresco/services/_ChunkedUploadServiceMixin}) when they are
+       * not paused. For more information on how to use this, see
+       * [widgetsForInProgressActions]{@link module:alfresco/upload/UploadMonitor#widgetsForInProgressActions}.
+       *
+       * @instance
+       * @type {object[]}
+       * @since 1.0.106
+       */
+      widgetsForPauseActions: [
+         {
+            name: "alfresco/html/SVGImage",
+            config: {
+               source: "alfresco/html/svg/pause.svg",
+               symbolId: "pause",
+               height: 16,
+               width: 16,
+               title: "upload.action.pause",
+               publishTopic: topics.PAUSE_INPROGRESS_UPLOAD
+            }
+         }
+      ],
+
+      /**
+       * Actions for displaying against in-progress items that have been paused. For more information on how
+       * to use this, see [widgetsForInProgressActions]{@link module:alfresco/upload/UploadMonitor#widgetsForInProgressActions}.
+       *
+       * @instance
+       * @type {object[]}
+       * @since 1.0.106
+       */
+      widgetsForResumeActions: [
+         {
+            name: "alfresco/html/SVGImage",
+            config: {
+               source: "alfresco/html/svg/resume.svg",
+               symbolId: "resume",
+               height: 16,
+               width: 16,
+               title: "upload.action.resume",
+               publishTopic: topics.RESUME_INPROGRESS_UPLOAD
+            }
+         }
+      ],
+
+      /**
+       * Actions for displaying against in-progress items that are waiting in the
+       * [upload queue]{@link module:alfresco/services/_UploadQueueServiceMixin} to be started. By default this
+       * is an action to start the upload next. For more information on how to use this, see
+       * [widgetsForInProgressActions]{@link module:alfresco/upload/UploadMonitor#widgetsForInProgressActions}.
+       *
+       * @instance
+       * @type {object[]}
+       * @since 1.0.106
+       */
+      widgetsForQueuedActions: [
+         {
+            name: "alfresco/html/SVGImage",
+            config: {
+               source: "alfresco/html/svg/prioritise.svg",
+               symbolId: "prioritise",
+               height: 16,
+               width: 16,
+               title: "upload.action.prioritise",
+               publishTopic: topics.PRIORITISE_QUEUED_UPLOAD
+            }
+         }
+      ],
+
       /**
        * This defines the widget model for rendering an error icon. This is expected to be a single 
        * [SVGImage]{@link module:alfresco/html/SVGImage} but is made configurable in order to support customization
@@ -203,6 +284,18 @@ define(["alfresco/core/FileSizeMixin",
          }
       ],
 
+      /**
+       * Indicates whether or not uploads of files from dropped folders should also be grouped by the folder
+       * that they were dropped in. The combined progress of the files in each folder is shown above the
+       * individual uploads.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       * @since 1.0.106
+       */
+      groupUploadsByFolder: true,
+
       /**
        * A map of all uploads.
        *
@@ -212,6 +305,16 @@ define(["alfresco/core/FileSizeMixin",
        */
       _uploads: null,
 
+      /**
+       * A map of the folder groups, keyed by folder path.
+       *
+       * @instance
+       * @type {object}
+       * @default
+       * @since 1.0.106
+       */
+      _folders: null,
+
       /**
        * Constructor
        *
@@ -219,6 +322,7 @@ define(["alfresco/core/FileSizeMixin",
        */
       constructor: function alfesco_upload_UploadMonitor__constructor() {
          this._uploads = {};
+         this._folders = {};
          this.setupReverseChars();
       },
 
@@ -249,7 +353,7 @@ define(["alfresco/core/FileSizeMixin",
       addActions: function alfesco_upload_UploadMonitor__addActions(actionPayload, actionsNode) {
 
          // Loop through the potential states of an upload
-         var propTypes = ["InProgress", "Successful", "Unsuccessful"],
+         var propTypes = ["InProgress", "Successful", "Unsuccessful", "Pause", "Resume", "Queued"],
             actionClass = this.baseClass + "__item__action";
          array.forEach(propTypes, function(propType) {
 
@@ -330,6 +434,14 @@ define(["alfresco/core/FileSizeMixin",
             className: this.baseClass + "__item__status__inprogress",
             textContent: this.message("upload.status.inprogress")
          }, itemStatus);
+         domConstruct.create("span", {
+            className: this.baseClass + "__item__status__paused",
+            textContent: this.message("upload.status.paused")
+         }, itemStatus);
+         domConstruct.create("span", {
+            className: this.baseClass + "__item__status__queued",
+            textContent: this.message("upload.status.queued")
+         }, itemStatus);
          domConstruct.create("span", {
             className: this.baseClass + "__item__status__finishing",
             textContent: this.message("upload.status.finishing")
@@ -368,6 +480,68 @@ define(["alfresco/core/FileSizeMixin",
 
          // Add actions
          this.addActions(upload.actionPayload, itemActions);
+
+         // Include the upload in the group for its folder
+         if (this.groupUploadsByFolder && file.relativePath) {
+            this.addToFolderGroup(upload, file.relativePath);
+         }
+      },
+
+      /**
+       * Adds an upload to the group for the folder that it was dropped in, creating the group if necessary.
+       *
+       * @instance
+       * @param {object} upload The upload
+       * @param {string} folderPath The path of the folder
+       * @since 1.0.106
+       */
+      addToFolderGroup: function alfesco_upload_UploadMonitor__addToFolderGroup(upload, folderPath) {
+         var folder = this._folders[folderPath];
+         if (!folder) {
+            var folderRow = domConstruct.create("tr", {
+                  className: this.baseClass + "__item " + this.baseClass + "__folder"
+               }, this.folderItemsNode),
+               folderName = domConstruct.create("td", {
+                  className: this.baseClass + "__item__name"
+               }, folderRow),
+               folderProgress = domConstruct.create("td", {
+                  className: this.baseClass + "__item__progress " + this.baseClass + "__folder__progress",
+                  textContent: this.displayUploadPercentage ? "0%" : ""
+               }, folderRow),
+               folderStatus = domConstruct.create("td", {
+                  className: this.baseClass + "__item__status " + this.baseClass + "__folder__status"
+               }, folderRow),
+               progressRow;
+            domConstruct.create("div", {
+               className: this.baseClass + "__folder__name",
+               textContent: folderPath,
+               title: folderPath
+            }, folderName);
+            domConstruct.create("td", {
+               className: this.baseClass + "__item__actions"
+            }, folderRow);
+            progressRow = domConstruct.create("tr", {}, this.folderItemsNode);
+            var progressBar = domConstruct.create("div", {
+               className: this.baseClass + "__folder__progress-bar"
+            }, domConstruct.create("td", {
+               colspan: 4,
+               className: this.baseClass + "__item__progress-cell"
+            }, progressRow));
+
+            folder = this._folders[folderPath] = {
+               path: folderPath,
+               uploadIds: [],
+               nodes: {
+                  row: folderRow,
+                  progress: folderProgress,
+                  status: folderStatus,
+                  progressBar: progressBar
+               }
+            };
+         }
+         folder.uploadIds.push(upload.id);
+         upload.folder = folder;
+         this.updateFolderGroup(folder);
       },
 
       /**
@@ -455,6 +629,7 @@ define(["alfresco/core/FileSizeMixin",
 
             // Mark as completed and move to successful section
             upload.completed = true;
+            upload.folder && this.updateFolderGroup(upload.folder);
             upload.nodes.progressBar.parentNode.removeChild(upload.nodes.progressBar);
             upload.nodes.progress.textContent = this.displayUploadPercentage ? "100%" : "";
             domConstruct.place(upload.nodes.row, this.successfulItemsNode, "first");
@@ -510,6 +685,8 @@ define(["alfresco/core/FileSizeMixin",
 
             // Move the item to the unsuccessful items section and update the properties accordingly
             upload.completed = true;
+            upload.failed = true;
+            upload.folder && this.updateFolderGroup(upload.folder);
             if (upload.nodes.progressBar.parentNode) {
                upload.nodes.progressBar.parentNode.removeChild(upload.nodes.progressBar);
             }
@@ -564,9 +741,46 @@ define(["alfresco/core/FileSizeMixin",
        */
       reset: function alfresco_upload_AlfUploadDisplay__reset() {
          this.uploads = {};
+         this._folders = {};
+         domConstruct.empty(this.folderItemsNode);
          domConstruct.empty(this.inProgressItemsNode);
          domConstruct.empty(this.successfulItemsNode);
          domConstruct.empty(this.unsuccessfulItemsNode);
+         domConstruct.empty(this.summaryNode);
+      },
+
+      /**
+       * Indicates whether or not an upload can be paused. Uploads that can be paused display the
+       * [pause]{@link module:alfresco/upload/UploadMonitor#widgetsForPauseActions} and
+       * [resume]{@link module:alfresco/upload/UploadMonitor#widgetsForResumeActions} actions.
+       *
+       * @instance
+       * @override
+       * @param {string} fileId The unique id of the file
+       * @param {boolean} pausable Whether or not the upload can be paused
+       * @since 1.0.106
+       */
+      setUploadPausable: function alfesco_upload_UploadMonitor__setUploadPausable(fileId, pausable) {
+         var upload = this._uploads[fileId];
+         if (upload) {
+            domClass.toggle(upload.nodes.row, this.baseClass + "__item--pausable", pausable);
+         }
+      },
+
+      /**
+       * Updates the display of an upload to show whether it has been paused or resumed.
+       *
+       * @instance
+       * @override
+       * @param {string} fileId The unique id of the file
+       * @param {boolean} paused Whether the upload has been paused (true) or resumed (false)
+       * @since 1.0.106
+       */
+      setUploadPaused: function alfesco_upload_UploadMonitor__setUploadPaused(fileId, paused) {
+         var upload = this._uploads[fileId];
+         if (upload) {
+            domClass.toggle(upload.nodes.row, this.baseClass + "__item--paused", paused);
+         }
       },
 
       /**
@@ -600,14 +814,111 @@ define(["alfresco/core/FileSizeMixin",
       },
 
       /**
-       * Displays the overall upload progress of all the files.
+       * Formats a number of seconds as an approximate duration (e.g. "3 minutes").
+       *
+       * @instance
+       * @param {number} seconds The number of seconds
+       * @returns {string} The formatted duration
+       * @since 1.0.106
+       */
+      formatDuration: function alfesco_upload_UploadMonitor__formatDuration(seconds) {
+         var duration;
+         if (seconds < 60) {
+            duration = this.message("upload.duration.seconds", seconds);
+         } else if (seconds < 3600) {
+            duration = this.message("upload.duration.minutes", Math.round(seconds / 60));
+         } else {
+            duration = this.message("upload.duration.hours", Math.round(seconds / 360) / 10);
+         }
+         return duration;
+      },
+
+      /**
+       * Displays the overall transfer rate and the estimated time remaining (when
+       * [showTransferSummary]{@link module:alfresco/upload/UploadMonitor#showTransferSummary} is true). Nothing
+       * is displayed once all the uploads have completed.
        *
        * @instance
        * @override
        * @param {number} aggregateProgress The aggregate progress as a decimal of 1.
+       * @param {object} [transferStatistics] The current transfer rate and estimated time remaining
+       */
+      updateAggregateProgress: function alfesco_upload_UploadMonitor__updateAggregateProgress(aggregateProgress, transferStatistics) {
+         var summary = "";
+         if (this.showTransferSummary && aggregateProgress < 1 && transferStatistics && transferStatistics.bytesPerSecond) {
+            var rate = this.formatFileSize(transferStatistics.bytesPerSecond);
+            if (transferStatistics.secondsRemaining !== null) {
+               summary = this.message("upload.summary.rate-and-time", {
+                  "0": rate,
+                  "1": this.formatDuration(transferStatistics.secondsRemaining)
+               });
+            } else {
+               summary = this.message("upload.summary.rate", rate);
+            }
+         }
+         this.summaryNode.textContent = summary;
+      },
+
+      /**
+       * Updates the displayed progress and status of a folder group from the uploads within it. Completed
+       * uploads (whether successful or not) count as fully progressed.
+       *
+       * @instance
+       * @param {object} folder The folder group
+       * @since 1.0.106
+       */
+      updateFolderGroup: function alfesco_upload_UploadMonitor__updateFolderGroup(folder) {
+         var total = folder.uploadIds.length,
+             successful = 0,
+             failed = 0,
+             progress = 0;
+         array.forEach(folder.uploadIds, function(uploadId) {
+            var upload = this._uploads[uploadId];
+            if (upload.failed) {
+               failed++;
+            } else if (upload.completed) {
+               successful++;
+            }
+            progress += upload.completed ? 100 : (upload.progress || 0);
+         }, this);
+
+         var percentageComplete = Math.floor(progress / total),
+             status = this.message("upload.folder.status", {
+               "0": successful,
+               "1": total
+             });
+         if (failed) {
+            status += ", " + this.message("upload.folder.failures", failed);
+         }
+         folder.nodes.status.textContent = status;
+         folder.nodes.progress.textContent = this.displayUploadPercentage ? percentageComplete + "%" : "";
+         domStyle.set(folder.nodes.progressBar, "width", percentageComplete + "%");
+         domClass.toggle(folder.nodes.row, this.baseClass + "__folder--complete", successful + failed === total);
+         domClass.toggle(folder.nodes.row, this.baseClass + "__folder--has-error", failed > 0);
+      },
+
+      /**
+       * Marks the uploads that are waiting in the upload queue (so that they display the
+       * [queued actions]{@link module:alfresco/upload/UploadMonitor#widgetsForQueuedActions}) and moves them
+       * below the uploads in progress, in the order in which they will be started.
+       *
+       * @instance
+       * @override
+       * @param {string[]} fileIds The unique ids of the queued files, in the order that they will be uploaded
+       * @since 1.0.106
        */
-      updateAggregateProgress: function alfesco_upload_UploadMonitor__updateAggregateProgress( /*jshint unused:false*/ aggregateProgress) {
-         // NOOP currently
+      updateUploadQueue: function alfesco_upload_UploadMonitor__updateUploadQueue(fileIds) {
+         array.forEach(Object.keys(this._uploads), function(fileId) {
+            var upload = this._uploads[fileId];
+            domClass.toggle(upload.nodes.row, this.baseClass + "__item--queued", !upload.completed && array.indexOf(fileIds, upload.id) !== -1);
+         }, this);
+         array.forEach(fileIds, function(fileId) {
+            var upload = this._uploads[fileId];
+            if (upload && !upload.completed) {
+               domConstruct.place(upload.nodes.row, this.inProgressItemsNode, "last");
+               domConstruct.place(upload.nodes.progressRow, this.inProgressItemsNode, "last");
+            }
+         }, this);
       },
 
       /**
@@ -625,6 +936,8 @@ define(["alfresco/core/FileSizeMixin",
          var upload = this._uploads[fileId];
          if (upload) {
             if (!upload.completed) {
+               upload.progress = percentageComplete;
+               upload.folder && this.updateFolderGroup(upload.folder);
                domStyle.set(upload.nodes.progressBar, "width", percentageComplete + "%");
                upload.nodes.progress.textContent = percentageComplete + "%";
                if (percentageComplete === 100) {
@@ -91,16 +91,59 @@ define(["dojo/_base/declare"], function(declare) {
          this.alfLog("error", "Method not overridden in implementing class");
       },
 
+      /**
+       * Indicates whether or not an upload can be paused. This is called for
+       * [chunked uploads]{@link module:alfresco/services/_ChunkedUploadServiceMixin} and implementing
+       * widgets that do not offer pause and resume controls do not need to override it.
+       *
+       * @instance
+       * @param {string} fileId The unique id of the file
+       * @param {boolean} pausable Whether or not the upload can be paused
+       * @since 1.0.106
+       */
+      setUploadPausable: function alfresco_upload__UploadsDisplayMixin__setUploadPausable(fileId, pausable) {
+         // No action by default
+      },
+
+      /**
+       * Indicates whether an upload has been paused or resumed. Implementing widgets that do not offer
+       * pause and resume controls do not need to override it.
+       *
+       * @instance
+       * @param {string} fileId The unique id of the file
+       * @param {boolean} paused Whether the upload has been paused (true) or resumed (false)
+       * @since 1.0.106
+       */
+      setUploadPaused: function alfresco_upload__UploadsDisplayMixin__setUploadPaused(fileId, paused) {
+         // No action by default
+      },
+
       /**
        * Displays the overall upload progress of all the files.
        *
        * @instance
        * @param {number} aggregateProgress The aggregate progress as a decimal of 1.
+       * @param {object} [transferStatistics] The current transfer rate ("bytesPerSecond"), the number of bytes still
+       *                                      to be sent ("bytesRemaining") and the estimated number of seconds until
+       *                                      all uploads are complete ("secondsRemaining", which may be null)
        */
-      updateAggregateProgress: function alfresco_upload__UploadsDisplayMixin__updateAggregateProgress(aggregateProgress) {
+      updateAggregateProgress: function alfresco_upload__UploadsDisplayMixin__updateAggregateProgress(aggregateProgress, transferStatistics) {
          this.alfLog("error", "Method not overridden in implementing class");
       },
 
+      /**
+       * Indicates which uploads are waiting to be started and the order in which they will be started. Uploads
+       * not in the list are either in progress or finished. Implementing widgets that do not show queued
+       * uploads do not need to override it.
+       *
+       * @instance
+       * @param {string[]} fileIds The unique ids of the queued files, in the order that they will be uploaded
+       * @since 1.0.106
+       */
+      updateUploadQueue: function alfresco_upload__UploadsDisplayMixin__updateUploadQueue(fileIds) {
+         // No action by default
+      },
+
       /**
        * Updates the displayed progress for an individual file upload.
        *
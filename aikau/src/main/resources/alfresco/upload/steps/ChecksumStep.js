@@ -0,0 +1,137 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * <p>This [pre-upload step]{@link module:alfresco/upload/steps/_PreUploadStep} calculates a checksum of each file
+ * and sends it as a [header]{@link module:alfresco/upload/steps/ChecksumStep#headerName} of the upload request so that
+ * the server is able to check that the content it receives has not been corrupted. The checksum is also recorded in the
+ * "checksum" annotation of the upload.</p>
+ * <p>The checksum is calculated using the Web Cryptography API which requires the whole file to be read into memory.
+ * Files larger than the [maxFileSize]{@link module:alfresco/upload/steps/ChecksumStep#maxFileSize} are uploaded without
+ * a checksum, as are all files when the page is not served over a secure connection (where the Web Cryptography API
+ * is not available).</p>
+ *
+ * @example <caption>Sending a SHA-1 checksum of files up to 50MB</caption>
+ * {
+ *   name: "alfresco/upload/steps/ChecksumStep",
+ *   config: {
+ *     algorithm: "SHA-1",
+ *     maxFileSize: 52428800
+ *   }
+ * }
+ *
+ * @module alfresco/upload/steps/ChecksumStep
+ * @extends module:alfresco/upload/steps/_PreUploadStep
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["dojo/_base/declare",
+        "alfresco/upload/steps/_PreUploadStep",
+        "dojo/_base/lang"],
+        function(declare, _PreUploadStep, lang) {
+
+   return declare([_PreUploadStep], {
+
+      /**
+       * The digest algorithm to use. This must be supported by the Web Cryptography API (e.g. "SHA-1",
+       * "SHA-256", "SHA-384" or "SHA-512").
+       *
+       * @instance
+       * @type {string}
+       * @default
+       */
+      algorithm: "SHA-256",
+
+      /**
+       * The header in which the hex encoded checksum is sent.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       */
+      headerName: "X-Content-Checksum",
+
+      /**
+       * The header in which the name of the [algorithm]{@link module:alfresco/upload/steps/ChecksumStep#algorithm}
+       * is sent. If this is configured to be null then the algorithm is not sent.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       */
+      algorithmHeaderName: "X-Content-Checksum-Algorithm",
+
+      /**
+       * The size (in bytes) of the largest file to calculate a checksum for. The default is 100MB.
+       *
+       * @instance
+       * @type {number}
+       * @default
+       */
+      maxFileSize: 104857600,
+
+      /**
+       * Calculates the checksum of the file and adds it to the headers and annotations of the context.
+       *
+       * @instance
+       * @override
+       * @param {object} context The context of the file
+       * @returns {object|promise} The context (or a promise of it)
+       */
+      process: function alfresco_upload_steps_ChecksumStep__process(context) {
+         var subtle = window.crypto && window.crypto.subtle;
+         if (!subtle) {
+            this.alfLog("warn", "Unable to calculate upload checksums because the Web Cryptography API is not available", this);
+            return context;
+         }
+         if (context.file.size > this.maxFileSize) {
+            return context;
+         }
+
+         return this.readFileBytes(context.file).then(lang.hitch(this, function(buffer) {
+            return subtle.digest(this.algorithm, buffer);
+         })).then(lang.hitch(this, function(digest) {
+            var checksum = this.toHex(digest);
+            context.headers[this.headerName] = checksum;
+            if (this.algorithmHeaderName) {
+               context.headers[this.algorithmHeaderName] = this.algorithm;
+            }
+            context.annotations.checksum = checksum;
+            context.annotations.checksumAlgorithm = this.algorithm;
+            return context;
+         }));
+      },
+
+      /**
+       * Converts the supplied digest into a lower case hex string.
+       *
+       * @instance
+       * @param {ArrayBuffer} digest The digest
+       * @returns {string} The hex string
+       */
+      toHex: function alfresco_upload_steps_ChecksumStep__toHex(digest) {
+         var bytes = new Uint8Array(digest),
+             hex = "";
+         for (var i = 0; i < bytes.length; i++) {
+            hex += (bytes[i] < 16 ? "0" : "") + bytes[i].toString(16);
+         }
+         return hex;
+      }
+   });
+});
@@ -0,0 +1,183 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * <p>This [pre-upload step]{@link module:alfresco/upload/steps/_PreUploadStep} checks whether a node with the same name
+ * as a file already exists in the folder that the file will be uploaded to. What happens when a duplicate is found is
+ * determined by the [onDuplicate]{@link module:alfresco/upload/steps/DuplicateNameStep#onDuplicate} attribute, which
+ * can be configured to reject the file, to rename it (by adding a number to the name) or to just record the
+ * "duplicate" and "existingNodeId" annotations for the upload.</p>
+ * <p>The check uses the Alfresco public REST API and so requires the upload target data to include a destination
+ * NodeRef. Files being uploaded as a new version of an existing node or with "overwrite" requested are not checked. If
+ * the check cannot be made then the file is uploaded as normal.</p>
+ *
+ * @example <caption>Renaming files that would clash with existing content</caption>
+ * {
+ *   name: "alfresco/upload/steps/DuplicateNameStep",
+ *   config: {
+ *     onDuplicate: "rename"
+ *   }
+ * }
+ *
+ * @module alfresco/upload/steps/DuplicateNameStep
+ * @extends module:alfresco/upload/steps/_PreUploadStep
+ * @mixes module:alfresco/core/CoreXhr
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["dojo/_base/declare",
+        "alfresco/upload/steps/_PreUploadStep",
+        "alfresco/core/CoreXhr",
+        "dojo/_base/lang",
+        "dojo/Deferred",
+        "service/constants/Default"],
+        function(declare, _PreUploadStep, CoreXhr, lang, Deferred, AlfConstants) {
+
+   return declare([_PreUploadStep, CoreXhr], {
+
+      /**
+       * An array of the i18n files to use with this step.
+       *
+       * @instance
+       * @type {object[]}
+       * @default [{i18nFile: "./i18n/DuplicateNameStep.properties"}]
+       */
+      i18nRequirements: [{i18nFile: "./i18n/DuplicateNameStep.properties"}],
+
+      /**
+       * What to do when a node with the same name already exists. This can be "reject", "rename" or "annotate".
+       *
+       * @instance
+       * @type {string}
+       * @default
+       */
+      onDuplicate: "reject",
+
+      /**
+       * The maximum number of alternative names to try when renaming a file before it is rejected.
+       *
+       * @instance
+       * @type {number}
+       * @default
+       */
+      maxRenameAttempts: 20,
+
+      /**
+       * Checks for a node with the same name as the file in the target folder.
+       *
+       * @instance
+       * @override
+       * @param {object} context The context of the file
+       * @returns {object|promise} The context (or a promise of it)
+       */
+      process: function alfresco_upload_steps_DuplicateNameStep__process(context) {
+         var targetData = context.targetData,
+             destination = targetData.destination;
+         if (destination && destination.constructor === Array) {
+            destination = destination[0];
+         }
+         if (!destination || targetData.updateNodeRef || targetData.overwrite === true || targetData.overwrite === "true") {
+            return context;
+         }
+
+         var folderNodeId = destination.split("/")[3],
+             directory = targetData.uploadDirectory || context.file.relativePath || "";
+         return this.findExistingNode(folderNodeId, directory, context.fileName).then(lang.hitch(this, function(existingNodeId) {
+            if (!existingNodeId) {
+               return context;
+            }
+            switch (this.onDuplicate) {
+               case "rename":
+                  return this.renameFile(context, folderNodeId, directory, 1);
+               case "annotate":
+                  context.annotations.duplicate = true;
+                  context.annotations.existingNodeId = existingNodeId;
+                  return context;
+               default:
+                  throw new Error(this.message("upload.step.duplicate-name", context.fileName));
+            }
+         }));
+      },
+
+      /**
+       * Finds the next unused alternative name for the file and replaces the file in the context with a copy
+       * that has the new name.
+       *
+       * @instance
+       * @param {object} context The context of the file
+       * @param {string} folderNodeId The ID of the folder being uploaded to
+       * @param {string} directory The path (relative to the folder) that the file is being uploaded to
+       * @param {number} attempt The number to add to the name
+       * @returns {promise} A promise of the context
+       */
+      renameFile: function alfresco_upload_steps_DuplicateNameStep__renameFile(context, folderNodeId, directory, attempt) {
+         if (attempt > this.maxRenameAttempts) {
+            throw new Error(this.message("upload.step.duplicate-name.rename-failed", context.fileName));
+         }
+         var extension = this.getFileExtension(context.fileName),
+             baseName = extension ? context.fileName.substring(0, context.fileName.length - extension.length - 1) : context.fileName,
+             newName = baseName + "-" + attempt + (extension ? context.fileName.substring(baseName.length) : "");
+         return this.findExistingNode(folderNodeId, directory, newName).then(lang.hitch(this, function(existingNodeId) {
+            if (existingNodeId) {
+               return this.renameFile(context, folderNodeId, directory, attempt + 1);
+            }
+            context.annotations.originalFileName = context.fileName;
+            context.fileName = newName;
+            context.file = new File([context.file], newName, {
+               type: context.file.type,
+               lastModified: context.file.lastModified
+            });
+            return context;
+         }));
+      },
+
+      /**
+       * Requests the node at the supplied path within a folder.
+       *
+       * @instance
+       * @param {string} folderNodeId The ID of the folder
+       * @param {string} directory The path (relative to the folder) of the directory to look in
+       * @param {string} name The name of the node to find
+       * @returns {promise} A promise of the ID of the node (or null if there is no node at the path or it could not be checked)
+       */
+      findExistingNode: function alfresco_upload_steps_DuplicateNameStep__findExistingNode(folderNodeId, directory, name) {
+         var dfd = new Deferred(),
+             relativePath = directory ? directory.replace(/\/$/, "") + "/" + name : name;
+         this.serviceXhr({
+            url: AlfConstants.PROXY_URI + "public/alfresco/versions/1/nodes/" + folderNodeId,
+            method: "GET",
+            query: {
+               relativePath: relativePath
+            },
+            successCallback: function(response) {
+               dfd.resolve(lang.getObject("entry.id", false, response) || null);
+            },
+            failureCallback: function(response) {
+               var status = lang.getObject("response.status", false, response);
+               if (status !== 404) {
+                  this.alfLog("warn", "Unable to check for an existing node, the upload will continue", relativePath, response, this);
+               }
+               dfd.resolve(null);
+            },
+            callbackScope: this
+         });
+         return dfd.promise;
+      }
+   });
+});
@@ -0,0 +1,207 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * <p>This [pre-upload step]{@link module:alfresco/upload/steps/_PreUploadStep} identifies the type of each file from
+ * the "magic bytes" at the start of its content rather than trusting its extension or the type reported by the browser.
+ * The detected type is recorded in the "detectedMimeType" annotation of the upload and files can be rejected when
+ * their type is not one of the [allowedTypes]{@link module:alfresco/upload/steps/FileTypeSniffStep#allowedTypes}, is
+ * one of the [blockedTypes]{@link module:alfresco/upload/steps/FileTypeSniffStep#blockedTypes}, or is detected to be
+ * a different type to the one their extension claims (for example an executable that has been renamed to have a ".pdf"
+ * extension).</p>
+ * <p>Additional types can be recognised by configuring the [signatures]{@link module:alfresco/upload/steps/FileTypeSniffStep#signatures}
+ * attribute.</p>
+ *
+ * @example <caption>Only allowing images to be uploaded</caption>
+ * {
+ *   name: "alfresco/upload/steps/FileTypeSniffStep",
+ *   config: {
+ *     allowedTypes: ["image/png", "image/jpeg", "image/gif"],
+ *     rejectUnknownTypes: true
+ *   }
+ * }
+ *
+ * @module alfresco/upload/steps/FileTypeSniffStep
+ * @extends module:alfresco/upload/steps/_PreUploadStep
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["dojo/_base/declare",
+        "alfresco/upload/steps/_PreUploadStep",
+        "dojo/_base/array",
+        "dojo/_base/lang"],
+        function(declare, _PreUploadStep, array, lang) {
+
+   return declare([_PreUploadStep], {
+
+      /**
+       * An array of the i18n files to use with this step.
+       *
+       * @instance
+       * @type {object[]}
+       * @default [{i18nFile: "./i18n/FileTypeSniffStep.properties"}]
+       */
+      i18nRequirements: [{i18nFile: "./i18n/FileTypeSniffStep.properties"}],
+
+      /**
+       * The signatures used to identify file types. Each signature has the "mimeType" it identifies, the
+       * "bytes" that a file must start with (a null entry matches any byte) and the "extensions" that files of
+       * that type are expected to have.
+       *
+       * @instance
+       * @type {object[]}
+       */
+      signatures: [
+         { mimeType: "image/png", bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A], extensions: ["png"] },
+         { mimeType: "image/jpeg", bytes: [0xFF, 0xD8, 0xFF], extensions: ["jpg", "jpeg", "jpe"] },
+         { mimeType: "image/gif", bytes: [0x47, 0x49, 0x46, 0x38], extensions: ["gif"] },
+         { mimeType: "image/webp", bytes: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50], extensions: ["webp"] },
+         { mimeType: "image/tiff", bytes: [0x49, 0x49, 0x2A, 0x00], extensions: ["tif", "tiff"] },
+         { mimeType: "image/tiff", bytes: [0x4D, 0x4D, 0x00, 0x2A], extensions: ["tif", "tiff"] },
+         { mimeType: "application/pdf", bytes: [0x25, 0x50, 0x44, 0x46], extensions: ["pdf"] },
+         { mimeType: "application/zip", bytes: [0x50, 0x4B, 0x03, 0x04], extensions: ["zip", "jar", "docx", "xlsx", "pptx", "odt", "ods", "odp", "epub"] },
+         { mimeType: "application/x-ole-storage", bytes: [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1], extensions: ["doc", "xls", "ppt", "msg"] },
+         { mimeType: "application/gzip", bytes: [0x1F, 0x8B], extensions: ["gz", "tgz"] },
+         { mimeType: "application/x-msdownload", bytes: [0x4D, 0x5A], extensions: ["exe", "dll"] },
+         { mimeType: "application/x-executable", bytes: [0x7F, 0x45, 0x4C, 0x46], extensions: [] }
+      ],
+
+      /**
+       * The detected types that are allowed to be uploaded. When this is not configured then any type
+       * (other than the [blockedTypes]{@link module:alfresco/upload/steps/FileTypeSniffStep#blockedTypes})
+       * can be uploaded.
+       *
+       * @instance
+       * @type {string[]}
+       * @default
+       */
+      allowedTypes: null,
+
+      /**
+       * The detected types that are not allowed to be uploaded.
+       *
+       * @instance
+       * @type {string[]}
+       * @default
+       */
+      blockedTypes: null,
+
+      /**
+       * Indicates whether or not files whose type cannot be detected should be rejected when
+       * [allowedTypes]{@link module:alfresco/upload/steps/FileTypeSniffStep#allowedTypes} are configured.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       */
+      rejectUnknownTypes: false,
+
+      /**
+       * Indicates whether or not files should be rejected when they have an extension that belongs to one
+       * of the known [signatures]{@link module:alfresco/upload/steps/FileTypeSniffStep#signatures} but
+       * their content is detected to be of a different type. Files whose type cannot be detected are not
+       * rejected as many legitimate files do not have the signature their extension suggests (for example
+       * RTF documents saved with a ".doc" extension, CSV files saved with a ".xls" extension or empty files).
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       */
+      rejectMismatchedExtensions: true,
+
+      /**
+       * Reads the start of the file, detects its type and checks it against the configured restrictions.
+       *
+       * @instance
+       * @override
+       * @param {object} context The context of the file
+       * @returns {promise} A promise of the context
+       */
+      process: function alfresco_upload_steps_FileTypeSniffStep__process(context) {
+         var headerLength = Math.max.apply(Math, array.map(this.signatures, function(signature) {
+            return signature.bytes.length;
+         }));
+         return this.readFileBytes(context.file, 0, headerLength).then(lang.hitch(this, function(buffer) {
+            var signature = this.detectSignature(new Uint8Array(buffer));
+            context.annotations.detectedMimeType = signature ? signature.mimeType : null;
+            this.checkSignature(context.fileName, signature);
+            return context;
+         }));
+      },
+
+      /**
+       * Finds the first of the [signatures]{@link module:alfresco/upload/steps/FileTypeSniffStep#signatures}
+       * that matches the supplied bytes.
+       *
+       * @instance
+       * @param {Uint8Array} bytes The bytes from the start of the file
+       * @returns {object} The matching signature (or null if none match)
+       */
+      detectSignature: function alfresco_upload_steps_FileTypeSniffStep__detectSignature(bytes) {
+         var match = null;
+         array.some(this.signatures, function(signature) {
+            var matches = signature.bytes.length <= bytes.length && array.every(signature.bytes, function(value, index) {
+               return value === null || bytes[index] === value;
+            });
+            matches && (match = signature);
+            return matches;
+         });
+         return match;
+      },
+
+      /**
+       * Throws an error if the detected type of a file is not allowed to be uploaded.
+       *
+       * @instance
+       * @param {string} fileName The name of the file
+       * @param {object} signature The detected signature (or null if the type was not detected)
+       */
+      checkSignature: function alfresco_upload_steps_FileTypeSniffStep__checkSignature(fileName, signature) {
+         var mimeType = signature && signature.mimeType;
+         if (mimeType && array.indexOf(this.blockedTypes || [], mimeType) !== -1) {
+            throw new Error(this.message("upload.step.type-not-allowed", fileName));
+         }
+         if (this.allowedTypes && (mimeType ? array.indexOf(this.allowedTypes, mimeType) === -1 : this.rejectUnknownTypes)) {
+            throw new Error(this.message("upload.step.type-not-allowed", fileName));
+         }
+         if (this.rejectMismatchedExtensions && this.isMismatchedExtension(fileName, signature)) {
+            throw new Error(this.message("upload.step.type-mismatch", fileName));
+         }
+      },
+
+      /**
+       * Indicates whether or not the extension of a file claims a known type when its content has been
+       * detected to be of a different type.
+       *
+       * @instance
+       * @param {string} fileName The name of the file
+       * @param {object} signature The detected signature (or null if the type was not detected)
+       * @returns {boolean} True if the extension does not match the content
+       */
+      isMismatchedExtension: function alfresco_upload_steps_FileTypeSniffStep__isMismatchedExtension(fileName, signature) {
+         var extension = this.getFileExtension(fileName);
+         if (!extension || !signature || array.indexOf(signature.extensions, extension) !== -1) {
+            return false;
+         }
+         return array.some(this.signatures, function(knownSignature) {
+            return array.indexOf(knownSignature.extensions, extension) !== -1;
+         });
+      }
+   });
+});
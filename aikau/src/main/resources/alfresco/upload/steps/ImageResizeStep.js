@@ -0,0 +1,188 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * <p>This [pre-upload step]{@link module:alfresco/upload/steps/_PreUploadStep} downscales images that are larger than
+ * the configured [maxWidth]{@link module:alfresco/upload/steps/ImageResizeStep#maxWidth} or
+ * [maxHeight]{@link module:alfresco/upload/steps/ImageResizeStep#maxHeight} by redrawing them on a canvas. Images that
+ * do not need to be resized are uploaded unchanged. Because a resized image is re-encoded from the canvas, any metadata
+ * it contained (such as EXIF location data) is removed and lossy types are re-compressed at the configured
+ * [quality]{@link module:alfresco/upload/steps/ImageResizeStep#quality}. When
+ * [stripMetadata]{@link module:alfresco/upload/steps/ImageResizeStep#stripMetadata} is true then images are re-encoded
+ * even if they do not need to be resized.</p>
+ * <p>Note that older browsers do not apply the EXIF orientation of an image when drawing it on a canvas, so photos
+ * that rely on that orientation (e.g. those taken with a rotated phone) will be uploaded rotated when they are
+ * re-encoded by those browsers.</p>
+ * <p>The original dimensions of a resized image are recorded in the "originalWidth" and "originalHeight" annotations of
+ * the upload. Images that cannot be decoded by the browser are uploaded unchanged.</p>
+ *
+ * @example <caption>Limiting JPEG images to 1024 pixels in either direction</caption>
+ * {
+ *   name: "alfresco/upload/steps/ImageResizeStep",
+ *   config: {
+ *     mimeTypes: ["image/jpeg"],
+ *     maxWidth: 1024,
+ *     maxHeight: 1024,
+ *     quality: 0.8
+ *   }
+ * }
+ *
+ * @module alfresco/upload/steps/ImageResizeStep
+ * @extends module:alfresco/upload/steps/_PreUploadStep
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["dojo/_base/declare",
+        "alfresco/upload/steps/_PreUploadStep",
+        "dojo/_base/lang",
+        "dojo/Deferred"],
+        function(declare, _PreUploadStep, lang, Deferred) {
+
+   return declare([_PreUploadStep], {
+
+      /**
+       * The image types that are processed. Other image types (such as GIF, which may be animated) are
+       * uploaded unchanged.
+       *
+       * @instance
+       * @type {string[]}
+       * @default
+       */
+      mimeTypes: ["image/jpeg", "image/png", "image/webp"],
+
+      /**
+       * The maximum width (in pixels) of an uploaded image.
+       *
+       * @instance
+       * @type {number}
+       * @default
+       */
+      maxWidth: 1920,
+
+      /**
+       * The maximum height (in pixels) of an uploaded image.
+       *
+       * @instance
+       * @type {number}
+       * @default
+       */
+      maxHeight: 1920,
+
+      /**
+       * The encoding quality (between 0 and 1) used for lossy image types.
+       *
+       * @instance
+       * @type {number}
+       * @default
+       */
+      quality: 0.9,
+
+      /**
+       * Indicates whether or not images should be re-encoded to remove their metadata even when they
+       * do not need to be resized. This is a lossy change for JPEG and WebP images and (in older browsers)
+       * loses the EXIF orientation of photos, so it is not enabled by default.
+       *
+       * @instance
+       * @type {boolean}
+       * @default
+       */
+      stripMetadata: false,
+
+      /**
+       * Resizes (and re-encodes) the image if necessary, replacing the file in the context.
+       *
+       * @instance
+       * @override
+       * @param {object} context The context of the file
+       * @returns {promise} A promise of the context
+       */
+      process: function alfresco_upload_steps_ImageResizeStep__process(context) {
+         return this.loadImage(context.file).then(lang.hitch(this, function(image) {
+            var width = image.naturalWidth,
+                height = image.naturalHeight,
+                scale = Math.min(1, this.maxWidth / width, this.maxHeight / height);
+            if (scale === 1 && !this.stripMetadata) {
+               return context;
+            }
+
+            var canvas = document.createElement("canvas");
+            canvas.width = Math.round(width * scale);
+            canvas.height = Math.round(height * scale);
+            canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height);
+            return this.encodeCanvas(canvas, context.file.type).then(lang.hitch(this, function(blob) {
+               context.file = new File([blob], context.file.name, {
+                  type: blob.type,
+                  lastModified: context.file.lastModified
+               });
+               if (scale < 1) {
+                  context.annotations.originalWidth = width;
+                  context.annotations.originalHeight = height;
+               }
+               return context;
+            }));
+         })).otherwise(lang.hitch(this, function() {
+            this.alfLog("warn", "Unable to resize image, it will be uploaded unchanged", context.file.name, this);
+            return context;
+         }));
+      },
+
+      /**
+       * Loads an image from the supplied file.
+       *
+       * @instance
+       * @param {object} file The image file
+       * @returns {promise} A promise of the loaded image element
+       */
+      loadImage: function alfresco_upload_steps_ImageResizeStep__loadImage(file) {
+         var dfd = new Deferred(),
+             url = URL.createObjectURL(file),
+             image = new Image();
+         image.onload = function() {
+            URL.revokeObjectURL(url);
+            dfd.resolve(image);
+         };
+         image.onerror = function() {
+            URL.revokeObjectURL(url);
+            dfd.reject(new Error("Unable to load image"));
+         };
+         image.src = url;
+         return dfd.promise;
+      },
+
+      /**
+       * Encodes the contents of a canvas as an image of the requested type.
+       *
+       * @instance
+       * @param {object} canvas The canvas
+       * @param {string} type The MIME type of the image to create
+       * @returns {promise} A promise of the encoded image as a Blob
+       */
+      encodeCanvas: function alfresco_upload_steps_ImageResizeStep__encodeCanvas(canvas, type) {
+         var dfd = new Deferred();
+         canvas.toBlob(function(blob) {
+            if (blob) {
+               dfd.resolve(blob);
+            } else {
+               dfd.reject(new Error("Unable to encode image"));
+            }
+         }, type, this.quality);
+         return dfd.promise;
+      }
+   });
+});
@@ -0,0 +1,141 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * <p>This is the base module for the steps of the [pre-upload pipeline]{@link module:alfresco/services/_PreUploadPipelineServiceMixin}
+ * of the upload services. Steps should extend this module and override the
+ * [process]{@link module:alfresco/upload/steps/_PreUploadStep#process} function.</p>
+ * <p>A step is given a [context]{@link module:alfresco/services/_PreUploadPipelineServiceMixin#PreUploadContext} for
+ * each file and can transform the file by replacing <code>context.file</code> (or changing <code>context.fileName</code>),
+ * annotate it by adding to <code>context.annotations</code> or <code>context.headers</code>, or reject it by throwing
+ * an error (or returning a promise that is rejected with one). The message of the error is displayed as the reason that
+ * the file could not be uploaded.</p>
+ * <p>Each step can be limited to certain files by configuring the [mimeTypes]{@link module:alfresco/upload/steps/_PreUploadStep#mimeTypes}
+ * and [fileNamePattern]{@link module:alfresco/upload/steps/_PreUploadStep#fileNamePattern} attributes.</p>
+ *
+ * @module alfresco/upload/steps/_PreUploadStep
+ * @extends module:alfresco/core/Core
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["dojo/_base/declare",
+        "alfresco/core/Core",
+        "dojo/_base/array",
+        "dojo/_base/lang",
+        "dojo/Deferred"],
+        function(declare, Core, array, lang, Deferred) {
+
+   return declare([Core], {
+
+      /**
+       * The MIME types of the files that the step applies to. Types ending with "/*" match any sub-type
+       * (e.g. "image/*"). When this is not configured the step applies to files of every type.
+       *
+       * @instance
+       * @type {string[]}
+       * @default
+       */
+      mimeTypes: null,
+
+      /**
+       * A regular expression (as a string) that the name of a file must match for the step to apply
+       * to it. The match is not case sensitive.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       */
+      fileNamePattern: null,
+
+      /**
+       * Mixes the supplied configuration into the instance.
+       *
+       * @instance
+       * @param {object} args The configuration for the step
+       */
+      constructor: function alfresco_upload_steps__PreUploadStep__constructor(args) {
+         lang.mixin(this, args);
+      },
+
+      /**
+       * Indicates whether or not the step should process the file in the supplied context based on the
+       * configured [mimeTypes]{@link module:alfresco/upload/steps/_PreUploadStep#mimeTypes} and
+       * [fileNamePattern]{@link module:alfresco/upload/steps/_PreUploadStep#fileNamePattern}.
+       *
+       * @instance
+       * @param {object} context The context of the file
+       * @returns {boolean} True if the step should process the file
+       */
+      appliesTo: function alfresco_upload_steps__PreUploadStep__appliesTo(context) {
+         var type = context.file.type || "";
+         var typeMatches = !this.mimeTypes || array.some(this.mimeTypes, function(mimeType) {
+            var wildcard = mimeType.indexOf("/*") === mimeType.length - 2;
+            return wildcard ? type.indexOf(mimeType.substring(0, mimeType.length - 1)) === 0 : type === mimeType;
+         });
+         var nameMatches = !this.fileNamePattern || new RegExp(this.fileNamePattern, "i").test(context.fileName);
+         return typeMatches && nameMatches;
+      },
+
+      /**
+       * Processes the file in the supplied context. This implementation makes no changes and should be
+       * overridden by extending modules.
+       *
+       * @instance
+       * @param {object} context The context of the file
+       * @returns {object|promise} The context (or a promise of it)
+       */
+      process: function alfresco_upload_steps__PreUploadStep__process(context) {
+         return context;
+      },
+
+      /**
+       * Gets the lower case extension of the supplied file name.
+       *
+       * @instance
+       * @param {string} fileName The file name
+       * @returns {string} The extension (or the empty string if the name has no extension)
+       */
+      getFileExtension: function alfresco_upload_steps__PreUploadStep__getFileExtension(fileName) {
+         var index = (fileName || "").lastIndexOf(".");
+         return index > 0 ? fileName.substring(index + 1).toLowerCase() : "";
+      },
+
+      /**
+       * Reads some (or all) of the bytes of a file.
+       *
+       * @instance
+       * @param {object} file The file to read
+       * @param {number} [start=0] The position of the first byte to read
+       * @param {number} [end] The position after the last byte to read (defaults to the end of the file)
+       * @returns {promise} A promise of an ArrayBuffer containing the bytes
+       */
+      readFileBytes: function alfresco_upload_steps__PreUploadStep__readFileBytes(file, start, end) {
+         var dfd = new Deferred(),
+             reader = new FileReader();
+         reader.onload = function() {
+            dfd.resolve(reader.result);
+         };
+         reader.onerror = function() {
+            dfd.reject(reader.error || new Error("Unable to read file"));
+         };
+         reader.readAsArrayBuffer(file.slice(start || 0, typeof end === "number" ? end : file.size));
+         return dfd.promise;
+      }
+   });
+});
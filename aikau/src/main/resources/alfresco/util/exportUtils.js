@@ -0,0 +1,460 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Utility object for exporting tabular data as CSV, JSON or XLSX files entirely on the client. The data
+ * is provided as an array of items and an array of columns, each column having a "label" (used for the
+ * header) and a "property" (the dot-notation property of each item to export). The XLSX files created are
+ * minimal, uncompressed Office Open XML workbooks containing a single worksheet. Note that this is not a
+ * Class, and so does not need to be instantiated before use.
+ *
+ * @module alfresco/util/exportUtils
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["dojo/_base/array",
+        "dojo/_base/lang"],
+        function(array, lang) {
+
+   // The table used for calculating the CRC-32 checksums required for ZIP entries (built on first use)
+   var crcTable = null;
+
+   // The static parts of the XLSX package
+   var xmlDeclaration = "<?xml version=\"1.0\" encoding=\"UTF-8\" standalone=\"yes\"?>\n";
+   var xlsxContentTypes = xmlDeclaration +
+      "<Types xmlns=\"http://schemas.openxmlformats.org/package/2006/content-types\">" +
+      "<Default Extension=\"rels\" ContentType=\"application/vnd.openxmlformats-package.relationships+xml\"/>" +
+      "<Default Extension=\"xml\" ContentType=\"application/xml\"/>" +
+      "<Override PartName=\"/xl/workbook.xml\" ContentType=\"application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml\"/>" +
+      "<Override PartName=\"/xl/worksheets/sheet1.xml\" ContentType=\"application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml\"/>" +
+      "</Types>";
+   var xlsxRootRels = xmlDeclaration +
+      "<Relationships xmlns=\"http://schemas.openxmlformats.org/package/2006/relationships\">" +
+      "<Relationship Id=\"rId1\" Type=\"http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument\" Target=\"xl/workbook.xml\"/>" +
+      "</Relationships>";
+   var xlsxWorkbook = xmlDeclaration +
+      "<workbook xmlns=\"http://schemas.openxmlformats.org/spreadsheetml/2006/main\" xmlns:r=\"http://schemas.openxmlformats.org/officeDocument/2006/relationships\">" +
+      "<sheets><sheet name=\"Sheet1\" sheetId=\"1\" r:id=\"rId1\"/></sheets>" +
+      "</workbook>";
+   var xlsxWorkbookRels = xmlDeclaration +
+      "<Relationships xmlns=\"http://schemas.openxmlformats.org/package/2006/relationships\">" +
+      "<Relationship Id=\"rId1\" Type=\"http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet\" Target=\"worksheets/sheet1.xml\"/>" +
+      "</Relationships>";
+
+   // The private container for the functionality and properties of the util
+   var util = {
+
+      // The details of each supported format
+      formats: {
+         CSV: {
+            extension: "csv",
+            mimeType: "text/csv;charset=utf-8"
+         },
+         JSON: {
+            extension: "json",
+            mimeType: "application/json;charset=utf-8"
+         },
+         XLSX: {
+            extension: "xlsx",
+            mimeType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+         }
+      },
+
+      // See API below
+      getExportValue: function alfresco_util_exportUtils__getExportValue(item, column) {
+         var value = lang.getObject(column.property, false, item);
+         if (value === undefined || value === null)
+         {
+            value = null;
+         }
+         else if (value instanceof Date)
+         {
+            value = value.toISOString();
+         }
+         return value;
+      },
+
+      // Converts a value into the text that represents it in a text cell
+      toText: function alfresco_util_exportUtils__toText(value) {
+         var text;
+         if (value === null)
+         {
+            text = "";
+         }
+         else if (lang.isArray(value))
+         {
+            text = array.map(value, this.toText, this).join(", ");
+         }
+         else if (typeof value === "object")
+         {
+            text = JSON.stringify(value);
+         }
+         else
+         {
+            text = String(value);
+         }
+         return text;
+      },
+
+      // See API below
+      createCsv: function alfresco_util_exportUtils__createCsv(columns, items) {
+         var rows = [array.map(columns, function(column) {
+            return this.toCsvField(column.label);
+         }, this)];
+         array.forEach(items, function(item) {
+            rows.push(array.map(columns, function(column) {
+               return this.toCsvField(this.getExportValue(item, column));
+            }, this));
+         }, this);
+
+         // The byte order mark is included so that spreadsheet applications detect the UTF-8 encoding...
+         return "\ufeff" + array.map(rows, function(row) {
+            return row.join(",");
+         }).join("\r\n");
+      },
+
+      // Converts a value into a quoted CSV field. Text that could be interpreted as a formula by a
+      // spreadsheet application is prefixed with an apostrophe to prevent it being evaluated.
+      toCsvField: function alfresco_util_exportUtils__toCsvField(value) {
+         var text = this.toText(value);
+         if (typeof value === "string" && /^[=+\-@\t\r]/.test(text))
+         {
+            text = "'" + text;
+         }
+         return "\"" + text.replace(/"/g, "\"\"") + "\"";
+      },
+
+      // See API below
+      createJson: function alfresco_util_exportUtils__createJson(columns, items) {
+         var data = array.map(items, function(item) {
+            var exportedItem = {};
+            array.forEach(columns, function(column) {
+               exportedItem[column.label] = this.getExportValue(item, column);
+            }, this);
+            return exportedItem;
+         }, this);
+         return JSON.stringify(data, null, 2);
+      },
+
+      // See API below
+      createXlsx: function alfresco_util_exportUtils__createXlsx(columns, items) {
+         var rows = [this.createXlsxRow(1, array.map(columns, function(column) {
+            return column.label;
+         }))];
+         array.forEach(items, function(item, index) {
+            rows.push(this.createXlsxRow(index + 2, array.map(columns, function(column) {
+               return this.getExportValue(item, column);
+            }, this)));
+         }, this);
+
+         var worksheet = xmlDeclaration +
+            "<worksheet xmlns=\"http://schemas.openxmlformats.org/spreadsheetml/2006/main\">" +
+            "<sheetData>" + rows.join("") + "</sheetData>" +
+            "</worksheet>";
+
+         return this.createZip([
+            { name: "[Content_Types].xml", content: xlsxContentTypes },
+            { name: "_rels/.rels", content: xlsxRootRels },
+            { name: "xl/workbook.xml", content: xlsxWorkbook },
+            { name: "xl/_rels/workbook.xml.rels", content: xlsxWorkbookRels },
+            { name: "xl/worksheets/sheet1.xml", content: worksheet }
+         ]);
+      },
+
+      // Creates the XML for a worksheet row. Numbers and booleans are written as typed cells, missing
+      // values are omitted and everything else is written as an inline string.
+      createXlsxRow: function alfresco_util_exportUtils__createXlsxRow(rowNumber, values) {
+         var cells = array.map(values, function(value, index) {
+            var ref = this.getXlsxColumnName(index) + rowNumber;
+            var cell;
+            if (value === null)
+            {
+               cell = "";
+            }
+            else if (typeof value === "number" && isFinite(value))
+            {
+               cell = "<c r=\"" + ref + "\"><v>" + value + "</v></c>";
+            }
+            else if (typeof value === "boolean")
+            {
+               cell = "<c r=\"" + ref + "\" t=\"b\"><v>" + (value ? 1 : 0) + "</v></c>";
+            }
+            else
+            {
+               cell = "<c r=\"" + ref + "\" t=\"inlineStr\"><is><t xml:space=\"preserve\">" + this.encodeXml(this.toText(value)) + "</t></is></c>";
+            }
+            return cell;
+         }, this);
+         return "<row r=\"" + rowNumber + "\">" + cells.join("") + "</row>";
+      },
+
+      // Gets the spreadsheet name of the column at the supplied (zero-based) index (e.g. "A", "Z", "AA")
+      getXlsxColumnName: function alfresco_util_exportUtils__getXlsxColumnName(index) {
+         var name = "";
+         for (var remaining = index + 1; remaining > 0; remaining = Math.floor((remaining - 1) / 26))
+         {
+            name = String.fromCharCode(65 + ((remaining - 1) % 26)) + name;
+         }
+         return name;
+      },
+
+      // Encodes text for use in XML, removing any characters that are not permitted in XML documents
+      encodeXml: function alfresco_util_exportUtils__encodeXml(text) {
+         return text.replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;");
+      },
+
+      // Encodes a string as an array of UTF-8 bytes (any unpaired surrogates are replaced so that the
+      // string can be URI encoded)
+      encodeUtf8: function alfresco_util_exportUtils__encodeUtf8(text) {
+         var i, code, sanitised = "";
+         for (i = 0; i < text.length; i++)
+         {
+            code = text.charCodeAt(i);
+            if (code >= 0xD800 && code <= 0xDBFF && text.charCodeAt(i + 1) >= 0xDC00 && text.charCodeAt(i + 1) <= 0xDFFF)
+            {
+               sanitised += text.substring(i, i + 2);
+               i++;
+            }
+            else
+            {
+               sanitised += (code >= 0xD800 && code <= 0xDFFF) ? "\uFFFD" : text.charAt(i);
+            }
+         }
+
+         var encoded = encodeURIComponent(sanitised);
+         var bytes = [];
+         for (i = 0; i < encoded.length; i++)
+         {
+            if (encoded.charAt(i) === "%")
+            {
+               bytes.push(parseInt(encoded.substring(i + 1, i + 3), 16));
+               i += 2;
+            }
+            else
+            {
+               bytes.push(encoded.charCodeAt(i));
+            }
+         }
+         return new Uint8Array(bytes);
+      },
+
+      // Calculates the CRC-32 checksum of the supplied bytes
+      crc32: function alfresco_util_exportUtils__crc32(bytes) {
+         /*jshint bitwise:false*/
+         var i, j, value;
+         if (!crcTable)
+         {
+            crcTable = [];
+            for (i = 0; i < 256; i++)
+            {
+               value = i;
+               for (j = 0; j < 8; j++)
+               {
+                  value = (value & 1) ? (0xEDB88320 ^ (value >>> 1)) : (value >>> 1);
+               }
+               crcTable[i] = value >>> 0;
+            }
+         }
+
+         var crc = 0xFFFFFFFF;
+         for (i = 0; i < bytes.length; i++)
+         {
+            crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+         }
+         return (crc ^ 0xFFFFFFFF) >>> 0;
+      },
+
+      // Creates an uncompressed ZIP archive containing the supplied files (each with a "name" and
+      // text "content") and returns it as an array of bytes
+      createZip: function alfresco_util_exportUtils__createZip(files) {
+         var localParts = [],
+             centralParts = [],
+             offset = 0,
+             centralSize = 0;
+
+         array.forEach(files, function(file) {
+            var name = this.encodeUtf8(file.name);
+            var content = this.encodeUtf8(file.content);
+            var crc = this.crc32(content);
+
+            var localHeader = new DataView(new ArrayBuffer(30));
+            localHeader.setUint32(0, 0x04034b50, true);
+            localHeader.setUint16(4, 20, true);
+            localHeader.setUint16(12, 0x0021, true); // 1980-01-01
+            localHeader.setUint32(14, crc, true);
+            localHeader.setUint32(18, content.length, true);
+            localHeader.setUint32(22, content.length, true);
+            localHeader.setUint16(26, name.length, true);
+            localParts.push(new Uint8Array(localHeader.buffer), name, content);
+
+            var centralHeader = new DataView(new ArrayBuffer(46));
+            centralHeader.setUint32(0, 0x02014b50, true);
+            centralHeader.setUint16(4, 20, true);
+            centralHeader.setUint16(6, 20, true);
+            centralHeader.setUint16(14, 0x0021, true);
+            centralHeader.setUint32(16, crc, true);
+            centralHeader.setUint32(20, content.length, true);
+            centralHeader.setUint32(24, content.length, true);
+            centralHeader.setUint16(28, name.length, true);
+            centralHeader.setUint32(42, offset, true);
+            centralParts.push(new Uint8Array(centralHeader.buffer), name);
+
+            offset += 30 + name.length + content.length;
+            centralSize += 46 + name.length;
+         }, this);
+
+         var end = new DataView(new ArrayBuffer(22));
+         end.setUint32(0, 0x06054b50, true);
+         end.setUint16(8, files.length, true);
+         end.setUint16(10, files.length, true);
+         end.setUint32(12, centralSize, true);
+         end.setUint32(16, offset, true);
+
+         var parts = localParts.concat(centralParts, [new Uint8Array(end.buffer)]);
+         var zip = new Uint8Array(offset + centralSize + 22);
+         var position = 0;
+         array.forEach(parts, function(part) {
+            zip.set(part, position);
+            position += part.length;
+         });
+         return zip;
+      },
+
+      // See API below
+      createExportFile: function alfresco_util_exportUtils__createExportFile(format, columns, items) {
+         var file = null;
+         var details = this.formats[format];
+         if (details)
+         {
+            file = {
+               extension: details.extension,
+               mimeType: details.mimeType,
+               content: this["create" + format.charAt(0) + format.substring(1).toLowerCase()](columns, items)
+            };
+         }
+         return file;
+      },
+
+      // See API below
+      downloadFile: function alfresco_util_exportUtils__downloadFile(content, mimeType, fileName) {
+         var blob = new Blob([content], {
+            type: mimeType
+         });
+         if (window.navigator.msSaveOrOpenBlob)
+         {
+            window.navigator.msSaveOrOpenBlob(blob, fileName);
+         }
+         else
+         {
+            var url = window.URL.createObjectURL(blob);
+            var link = document.createElement("a");
+            link.href = url;
+            link.download = fileName;
+            link.style.display = "none";
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            setTimeout(function() {
+               window.URL.revokeObjectURL(url);
+            });
+         }
+      }
+   };
+
+   /**
+    * The public API for this utility class
+    *
+    * @alias module:alfresco/util/exportUtils
+    */
+   return {
+
+      /**
+       * Gets the value of a column for an item. Dates are converted to ISO 8601 strings and missing
+       * values are returned as null.
+       *
+       * @instance
+       * @function
+       * @param {object} item The item to get the value from
+       * @param {object} column The column (with a "property" attribute) to get the value for
+       * @returns {*} The value to export
+       */
+      getExportValue: lang.hitch(util, util.getExportValue),
+
+      /**
+       * Creates CSV text for the supplied items. The first row contains the column labels.
+       *
+       * @instance
+       * @function
+       * @param {object[]} columns The columns to export (each with a "label" and "property")
+       * @param {object[]} items The items to export
+       * @returns {string} The CSV text
+       */
+      createCsv: lang.hitch(util, util.createCsv),
+
+      /**
+       * Creates JSON text for the supplied items. Each item is exported as an object with an attribute
+       * for each column (named using the column label).
+       *
+       * @instance
+       * @function
+       * @param {object[]} columns The columns to export (each with a "label" and "property")
+       * @param {object[]} items The items to export
+       * @returns {string} The JSON text
+       */
+      createJson: lang.hitch(util, util.createJson),
+
+      /**
+       * Creates an XLSX workbook for the supplied items. The first row contains the column labels.
+       *
+       * @instance
+       * @function
+       * @param {object[]} columns The columns to export (each with a "label" and "property")
+       * @param {object[]} items The items to export
+       * @returns {Uint8Array} The bytes of the workbook
+       */
+      createXlsx: lang.hitch(util, util.createXlsx),
+
+      /**
+       * Creates the content of an export file in the requested format.
+       *
+       * @instance
+       * @function
+       * @param {string} format The format to create ("CSV", "JSON" or "XLSX")
+       * @param {object[]} columns The columns to export (each with a "label" and "property")
+       * @param {object[]} items The items to export
+       * @returns {object} An object with the "content", "mimeType" and file "extension" (or null if the format is not supported)
+       */
+      createExportFile: lang.hitch(util, util.createExportFile),
+
+      /**
+       * Prompts the browser to download the supplied content as a file.
+       *
+       * @instance
+       * @function
+       * @param {string|Uint8Array} content The content of the file
+       * @param {string} mimeType The MIME type of the file
+       * @param {string} fileName The name of the file
+       */
+      downloadFile: lang.hitch(util, util.downloadFile)
+   };
+});
@@ -0,0 +1,178 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Utility object for reading the files and folders dropped onto the page. Note that this is not a Class,
+ * and so does not need to be instantiated before use.
+ *
+ * @module alfresco/util/fileDropUtils
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["dojo/_base/array",
+        "dojo/_base/lang",
+        "dojo/Deferred",
+        "dojo/promise/all"],
+        function(array, lang, Deferred, all) {
+
+   // The private container for the functionality and properties of the util
+   var util = {
+
+      // See API below
+      getDroppedItems: function alfresco_util_fileDropUtils__getDroppedItems(dataTransfer, maxFiles) {
+         var dfd = new Deferred(),
+             droppedFiles = Array.prototype.slice.call(dataTransfer.files || []),
+             entries = this.getDroppedEntries(dataTransfer);
+
+         if (!entries) {
+            // Fall back to the files when there is no support for the FileSystem API
+            this.checkFileLimit(droppedFiles, maxFiles, dfd) && dfd.resolve({
+               files: droppedFiles,
+               folders: []
+            });
+         } else {
+            var result = {
+               files: [],
+               folders: []
+            };
+            all(array.map(entries, function(entry) {
+               return this.walkEntry(entry, result, maxFiles);
+            }, this)).then(lang.hitch(this, function() {
+               this.checkFileLimit(result.files, maxFiles, dfd) && dfd.resolve(result);
+            }), lang.hitch(this, function(error) {
+               if (error && error.fileLimitReached) {
+                  dfd.reject(error);
+               } else {
+                  // Fall back to the files if an error occurs walking the folders
+                  this.checkFileLimit(droppedFiles, maxFiles, dfd) && dfd.resolve({
+                     files: droppedFiles,
+                     folders: []
+                  });
+               }
+            }));
+         }
+         return dfd.promise;
+      },
+
+      // Rejects the supplied Deferred (returning false) if there are more files than the limit
+      checkFileLimit: function alfresco_util_fileDropUtils__checkFileLimit(files, maxFiles, dfd) {
+         if (maxFiles && files.length > maxFiles) {
+            dfd.reject(this.createFileLimitError(maxFiles));
+            return false;
+         }
+         return true;
+      },
+
+      // Creates the error used when too many files have been dropped
+      createFileLimitError: function alfresco_util_fileDropUtils__createFileLimitError(maxFiles) {
+         var error = new Error("Maximum dnd file limit reached: " + maxFiles);
+         error.fileLimitReached = true;
+         return error;
+      },
+
+      // Gets the FileSystem API entries for the dropped items (or null if the API is not supported). This must be
+      // called whilst the drop event is being handled as the items cannot be accessed afterwards.
+      getDroppedEntries: function alfresco_util_fileDropUtils__getDroppedEntries(dataTransfer) {
+         // webkitGetAsEntry is a marker for determining FileSystem API support. Each dropped entry is walked
+         // individually (rather than the root of the drop file system) as this is supported by Firefox too
+         var items = dataTransfer.items;
+         if (!items || !items.length || !items[0].webkitGetAsEntry) {
+            return null;
+         }
+         var entries = [];
+         array.forEach(items, function(item) {
+            var entry = item.kind === "file" && item.webkitGetAsEntry();
+            entry && entries.push(entry);
+         });
+         return entries.length ? entries : null;
+      },
+
+      // Adds the file (or the folder and all of its descendants) represented by an entry to the result. Each file
+      // is given a "relativePath" of the folder containing it and each folder is added to the result as a path.
+      walkEntry: function alfresco_util_fileDropUtils__walkEntry(entry, result, maxFiles) {
+         var dfd = new Deferred(),
+             path = entry.fullPath.replace(/^\//, "");
+         if (entry.isFile) {
+            entry.file(function(file) {
+               var relativePath = path.substring(0, path.length - entry.name.length).replace(/\/$/, "");
+               if (relativePath) {
+                  file.relativePath = relativePath;
+               }
+               result.files.push(file);
+               dfd.resolve();
+            }, lang.hitch(dfd, dfd.reject));
+         } else if (maxFiles && result.files.length > maxFiles) {
+            dfd.reject(this.createFileLimitError(maxFiles));
+         } else {
+            result.folders.push(path);
+            this.readDirectory(entry).then(lang.hitch(this, function(children) {
+               return all(array.map(children, function(child) {
+                  return this.walkEntry(child, result, maxFiles);
+               }, this));
+            })).then(lang.hitch(dfd, dfd.resolve), lang.hitch(dfd, dfd.reject));
+         }
+         return dfd.promise;
+      },
+
+      // Reads all the entries of a directory. The reader has to be called repeatedly until it returns no more
+      // entries because it might not return all of them in a single call.
+      readDirectory: function alfresco_util_fileDropUtils__readDirectory(directory) {
+         var dfd = new Deferred(),
+             reader = directory.createReader(),
+             entries = [];
+         var readEntries = function() {
+            reader.readEntries(function(nextEntries) {
+               if (nextEntries.length) {
+                  entries = entries.concat(Array.prototype.slice.call(nextEntries));
+                  readEntries();
+               } else {
+                  dfd.resolve(entries);
+               }
+            }, lang.hitch(dfd, dfd.reject));
+         };
+         readEntries();
+         return dfd.promise;
+      }
+   };
+
+   /**
+    * The public API for this utility class
+    *
+    * @alias module:alfresco/util/fileDropUtils
+    */
+   return {
+
+      /**
+       * Gets the files and folders dropped onto the page. When the browser supports the FileSystem API the
+       * dropped folders are walked so that all the files they contain are found. Each of these files is given
+       * a "relativePath" attribute of the path (relative to the drop) of the folder that contains it and the
+       * paths of all the folders (including any empty ones) are provided so that the folder structure can be
+       * recreated. When the FileSystem API is not supported only the dropped files are provided. This must
+       * be called whilst the drop event is being handled.
+       *
+       * @instance
+       * @function
+       * @param {object} dataTransfer The DataTransfer of the drop event
+       * @param {number} [maxFiles] The maximum number of files that can be dropped
+       * @returns {promise} A promise of an object with "files" and "folders" attributes that is rejected if
+       *                    more than the maximum number of files were dropped
+       */
+      getDroppedItems: lang.hitch(util, util.getDroppedItems)
+   };
+});
@@ -0,0 +1,291 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Utility object for removing potentially malicious content from HTML entirely on the client. The HTML is
+ * parsed into an inert document (so that no scripts are run and no resources are requested) and then
+ * every element and attribute is checked against an allowlist. Elements that are not allowed are replaced
+ * by their children (unless they are one of the elements whose content must also be discarded, such as
+ * "script" or "style"), attributes that are not allowed are removed, URL attributes are only kept when
+ * they are relative or use an allowed scheme and inline styles are reduced to the allowed CSS properties.
+ * Note that this is not a Class, and so does not need to be instantiated before use.
+ *
+ * @example <caption>Sanitizing with the default configuration</caption>
+ * var safeHtml = sanitizeUtils.sanitize("<p onclick=\"alert('xss')\">Hello</p>");
+ *
+ * @example <caption>Sanitizing with additional allowed tags, attributes and URL schemes</caption>
+ * var safeHtml = sanitizeUtils.sanitize(html, sanitizeUtils.extendConfig(null, {
+ *    allowedTags: ["figure", "figcaption"],
+ *    allowedAttributes: {
+ *       img: ["srcset"]
+ *    },
+ *    allowedSchemes: ["data"]
+ * }));
+ *
+ * @module alfresco/util/sanitizeUtils
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["dojo/_base/array",
+        "dojo/_base/lang"],
+        function(array, lang) {
+
+   // Characters that browsers ignore when resolving the scheme of a URL (e.g. "java&#9;script:")
+   var ignoredUrlCharacters = /[\u0000- \u007F-\u009F]/g;
+
+   // Matches the scheme at the start of an absolute URL
+   var urlScheme = /^([a-z][a-z0-9+.\-]*):/i;
+
+   // The private container for the functionality and properties of the util
+   var util = {
+
+      // The configuration used when none is provided, this is deliberately restrictive
+      defaultConfig: {
+         allowedTags: ["a", "abbr", "b", "blockquote", "br", "caption", "cite", "code", "dd", "del", "div", "dl",
+                       "dt", "em", "h1", "h2", "h3", "h4", "h5", "h6", "hr", "i", "img", "ins", "kbd", "li",
+                       "mark", "ol", "p", "pre", "q", "s", "samp", "small", "span", "strike", "strong", "sub",
+                       "sup", "table", "tbody", "td", "tfoot", "th", "thead", "tr", "u", "ul"],
+         allowedAttributes: {
+            "*": ["title"],
+            a: ["href"],
+            img: ["alt", "height", "src", "width"],
+            ol: ["start"],
+            td: ["colspan", "rowspan"],
+            th: ["colspan", "rowspan"]
+         },
+         urlAttributes: ["action", "background", "cite", "formaction", "href", "poster", "src", "xlink:href"],
+         allowedSchemes: ["ftp", "http", "https", "mailto"],
+         allowedStyles: [],
+         discardContentTags: ["applet", "embed", "frame", "frameset", "iframe", "noscript", "object", "script",
+                              "style", "template", "textarea", "title"]
+      },
+
+      // See API below
+      extendConfig: function alfresco_util_sanitizeUtils__extendConfig(config, additions) {
+         var base = config || this.defaultConfig;
+         var extended = lang.clone(base);
+         if (additions)
+         {
+            extended.allowedTags = extended.allowedTags.concat(additions.allowedTags || []);
+            extended.allowedSchemes = extended.allowedSchemes.concat(additions.allowedSchemes || []);
+            extended.allowedStyles = extended.allowedStyles.concat(additions.allowedStyles || []);
+            for (var tagName in additions.allowedAttributes)
+            {
+               if (additions.allowedAttributes.hasOwnProperty(tagName))
+               {
+                  extended.allowedAttributes[tagName] = (extended.allowedAttributes[tagName] || []).concat(additions.allowedAttributes[tagName]);
+               }
+            }
+         }
+         return extended;
+      },
+
+      // See API below
+      isAllowedUrl: function alfresco_util_sanitizeUtils__isAllowedUrl(url, allowedSchemes) {
+         var match = urlScheme.exec((url || "").replace(ignoredUrlCharacters, ""));
+         if (!match)
+         {
+            // Relative URLs (including fragments and protocol relative URLs) have no scheme to check...
+            return true;
+         }
+         var scheme = match[1].toLowerCase();
+         return array.some(allowedSchemes || this.defaultConfig.allowedSchemes, function(allowedScheme) {
+            return allowedScheme.toLowerCase() === scheme;
+         });
+      },
+
+      // See API below
+      sanitize: function alfresco_util_sanitizeUtils__sanitize(html, config) {
+         var inertDocument = document.implementation.createHTMLDocument("");
+         inertDocument.body.innerHTML = html || "";
+         this.sanitizeChildren(inertDocument.body, this.normalizeConfig(config || this.defaultConfig));
+         return inertDocument.body.innerHTML;
+      },
+
+      // Converts the arrays in the supplied configuration into lower-case lookup maps so that each node
+      // can be checked quickly
+      normalizeConfig: function alfresco_util_sanitizeUtils__normalizeConfig(config) {
+         var toMap = function(values) {
+            var map = {};
+            array.forEach(values || [], function(value) {
+               map[value.toLowerCase()] = true;
+            });
+            return map;
+         };
+         var normalized = {
+            allowedTags: toMap(config.allowedTags),
+            allowedAttributes: {},
+            urlAttributes: toMap(config.urlAttributes || this.defaultConfig.urlAttributes),
+            allowedSchemes: config.allowedSchemes || [],
+            allowedStyles: array.map(config.allowedStyles || [], function(style) {
+               return style.toLowerCase();
+            }),
+            discardContentTags: toMap(config.discardContentTags || this.defaultConfig.discardContentTags)
+         };
+         for (var tagName in config.allowedAttributes)
+         {
+            if (config.allowedAttributes.hasOwnProperty(tagName))
+            {
+               normalized.allowedAttributes[tagName.toLowerCase()] = toMap(config.allowedAttributes[tagName]);
+            }
+         }
+         return normalized;
+      },
+
+      // Sanitizes each child of the supplied node. The children are copied into an array first because
+      // the list of child nodes changes as disallowed nodes are removed or unwrapped.
+      sanitizeChildren: function alfresco_util_sanitizeUtils__sanitizeChildren(node, config) {
+         var children = Array.prototype.slice.call(node.childNodes);
+         array.forEach(children, function(child) {
+            this.sanitizeNode(child, config);
+         }, this);
+      },
+
+      // Sanitizes a single node, text nodes are always kept and comments (and any other node type) removed
+      sanitizeNode: function alfresco_util_sanitizeUtils__sanitizeNode(node, config) {
+         if (node.nodeType === 3)
+         {
+            return;
+         }
+         if (node.nodeType !== 1)
+         {
+            node.parentNode.removeChild(node);
+            return;
+         }
+
+         var tagName = node.nodeName.toLowerCase();
+         if (config.allowedTags[tagName])
+         {
+            this.sanitizeAttributes(node, tagName, config);
+            this.sanitizeChildren(node, config);
+         }
+         else if (config.discardContentTags[tagName])
+         {
+            node.parentNode.removeChild(node);
+         }
+         else
+         {
+            // Sanitize the children before moving them so that they are only processed once...
+            this.sanitizeChildren(node, config);
+            while (node.firstChild)
+            {
+               node.parentNode.insertBefore(node.firstChild, node);
+            }
+            node.parentNode.removeChild(node);
+         }
+      },
+
+      // Removes any attribute of the supplied element that is not allowed by the configuration
+      sanitizeAttributes: function alfresco_util_sanitizeUtils__sanitizeAttributes(node, tagName, config) {
+         var tagAttributes = config.allowedAttributes[tagName] || {},
+             globalAttributes = config.allowedAttributes["*"] || {};
+         var attributes = Array.prototype.slice.call(node.attributes);
+         array.forEach(attributes, function(attribute) {
+            var name = attribute.name.toLowerCase();
+            var allowed = tagAttributes[name] || globalAttributes[name];
+            if (allowed && config.urlAttributes[name])
+            {
+               allowed = this.isAllowedUrl(attribute.value, config.allowedSchemes);
+            }
+            if (!allowed && name === "style" && config.allowedStyles.length)
+            {
+               this.sanitizeStyle(node, config.allowedStyles);
+            }
+            else if (!allowed)
+            {
+               node.removeAttribute(attribute.name);
+            }
+         }, this);
+      },
+
+      // Rebuilds the inline style of the supplied element using only the allowed CSS properties. Values that
+      // could load resources or run script (in older browsers) are never kept.
+      sanitizeStyle: function alfresco_util_sanitizeUtils__sanitizeStyle(node, allowedStyles) {
+         var declarations = [];
+         array.forEach(allowedStyles, function(property) {
+            var value = node.style.getPropertyValue(property);
+            if (value && !/url\s*\(|expression\s*\(|javascript:/i.test(value))
+            {
+               declarations.push(property + ": " + value + ";");
+            }
+         });
+         node.removeAttribute("style");
+         if (declarations.length)
+         {
+            node.setAttribute("style", declarations.join(" "));
+         }
+      }
+   };
+
+   /**
+    * The public API for this utility class
+    *
+    * @alias module:alfresco/util/sanitizeUtils
+    */
+   return {
+
+      /**
+       * The default sanitizer configuration. This allows common formatting, list, table, link and image
+       * elements with a minimal set of attributes, relative URLs and "ftp", "http", "https" and "mailto"
+       * URLs, and no inline styles. It should not be modified, use
+       * [extendConfig]{@link module:alfresco/util/sanitizeUtils#extendConfig} to create a new configuration
+       * based on it instead.
+       *
+       * @instance
+       * @type {object}
+       */
+      defaultConfig: util.defaultConfig,
+
+      /**
+       * Creates a new sanitizer configuration by adding the tags, attributes (keyed by tag name or "*" for all
+       * tags), URL schemes and CSS properties in the additions to those in an existing configuration. The
+       * existing configuration is not modified.
+       *
+       * @instance
+       * @function
+       * @param {object} [config] The configuration to extend (defaults to the default configuration)
+       * @param {object} [additions] The "allowedTags", "allowedAttributes", "allowedSchemes" and "allowedStyles" to add
+       * @returns {object} The new configuration
+       */
+      extendConfig: lang.hitch(util, util.extendConfig),
+
+      /**
+       * Indicates whether or not the supplied URL is either relative or uses one of the allowed schemes.
+       *
+       * @instance
+       * @function
+       * @param {string} url The URL to check
+       * @param {string[]} [allowedSchemes] The allowed schemes (defaults to those in the default configuration)
+       * @returns {boolean} True if the URL can be used and false otherwise
+       */
+      isAllowedUrl: lang.hitch(util, util.isAllowedUrl),
+
+      /**
+       * Removes all elements, attributes, URLs and styles from the supplied HTML that are not allowed by
+       * the supplied configuration.
+       *
+       * @instance
+       * @function
+       * @param {string} html The HTML to sanitize
+       * @param {object} [config] The sanitizer configuration (defaults to the default configuration)
+       * @returns {string} The sanitized HTML
+       */
+      sanitize: lang.hitch(util, util.sanitize)
+   };
+});
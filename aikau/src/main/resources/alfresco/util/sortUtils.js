@@ -0,0 +1,117 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Utility object for handling chains of sort fields (used for sorting lists on more than one field).
+ * A sort chain is an ordered array of objects that each have a "field" and an "ascending" attribute,
+ * the first field being the primary sort field. Sort chains are serialised as a comma-separated list
+ * of "field|ascending" values (e.g. "cm:name|true,cm:modified|false") for use in URL hashes and
+ * request parameters. Note that this is not a Class, and so does not need to be instantiated before use.
+ *
+ * @module alfresco/util/sortUtils
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["dojo/_base/array",
+        "dojo/_base/lang"],
+        function(array, lang) {
+
+   // The private container for the functionality and properties of the util
+   var util = {
+
+      // See API below
+      parseSortFields: function alfresco_util_sortUtils__parseSortFields(value) {
+         var sortFields = [];
+         if (typeof value === "string" && value)
+         {
+            array.forEach(value.split(","), function(sortField) {
+               var separatorIndex = sortField.lastIndexOf("|");
+               var field = separatorIndex === -1 ? sortField : sortField.substring(0, separatorIndex);
+               if (field)
+               {
+                  sortFields.push({
+                     field: field,
+                     ascending: separatorIndex === -1 || sortField.substring(separatorIndex + 1) !== "false"
+                  });
+               }
+            });
+         }
+         return sortFields;
+      },
+
+      // See API below
+      serialiseSortFields: function alfresco_util_sortUtils__serialiseSortFields(sortFields) {
+         return array.map(sortFields || [], function(sortField) {
+            return sortField.field + "|" + (sortField.ascending !== false && sortField.ascending !== "false");
+         }).join(",");
+      },
+
+      // See API below
+      indexOfSortField: function alfresco_util_sortUtils__indexOfSortField(sortFields, field) {
+         var index = -1;
+         array.some(sortFields || [], function(sortField, i) {
+            if (sortField.field === field)
+            {
+               index = i;
+            }
+            return index !== -1;
+         });
+         return index;
+      }
+   };
+
+   /**
+    * The public API for this utility class
+    *
+    * @alias module:alfresco/util/sortUtils
+    */
+   return {
+
+      /**
+       * Parses a serialised sort chain.
+       *
+       * @instance
+       * @function
+       * @param {string} value The serialised sort chain (e.g. "cm:name|true,cm:modified|false")
+       * @returns {object[]} The sort chain
+       */
+      parseSortFields: lang.hitch(util, util.parseSortFields),
+
+      /**
+       * Serialises a sort chain.
+       *
+       * @instance
+       * @function
+       * @param {object[]} sortFields The sort chain
+       * @returns {string} The serialised sort chain
+       */
+      serialiseSortFields: lang.hitch(util, util.serialiseSortFields),
+
+      /**
+       * Finds the position of a field within a sort chain.
+       *
+       * @instance
+       * @function
+       * @param {object[]} sortFields The sort chain
+       * @param {string} field The field to find
+       * @returns {number} The index of the field in the chain (or -1 if it is not in the chain)
+       */
+      indexOfSortField: lang.hitch(util, util.indexOfSortField)
+   };
+});
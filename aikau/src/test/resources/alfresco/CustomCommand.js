@@ -466,6 +466,7 @@ define(["intern/dojo/node!fs",
                                        url = entry.getAttribute("data-aikau-xhr-url"),
                                        requestHeaders = entry.getAttribute("data-aikau-xhr-request-headers"),
                                        requestBody = entry.getAttribute("data-aikau-xhr-request-body"),
+                                       responseStatus = entry.getAttribute("data-aikau-xhr-response-status"),
                                        responseHeaders = entry.getAttribute("data-aikau-xhr-response-headers"),
                                        responseBody = entry.getAttribute("data-aikau-xhr-response-body");
 
@@ -477,9 +478,11 @@ define(["intern/dojo/node!fs",
                                           body: jsonify(requestBody)
                                        },
                                        response: {
+                                          status: responseStatus === null ? null : Number(responseStatus),
                                           headers: jsonify(responseHeaders),
                                           body: jsonify(responseBody)
-                                       }
+                                       },
+                                       aborted: entry.getAttribute("data-aikau-xhr-aborted") === "true"
                                     };
                                  });
 
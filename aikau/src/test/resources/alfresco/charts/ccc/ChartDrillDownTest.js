@@ -0,0 +1,81 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * @author Dave Draper
+ */
+define(["module",
+        "alfresco/defineSuite",
+        "intern/chai!assert"],
+        function(module, defineSuite, assert) {
+
+   defineSuite(module, {
+      name: "Chart Drill Down Tests",
+      testPage: "/ChartDrillDown",
+
+      "Line chart renders a legend entry for each series": function() {
+         return this.remote.findAllByCssSelector("#LINECHART svg text")
+            .getVisibleText()
+            .then(function(labels) {
+               assert.include(labels, "Documents");
+               assert.include(labels, "Wiki");
+            });
+      },
+
+      "Line chart renders clickable points": function() {
+         return this.remote.findAllByCssSelector("#LINECHART svg [cursor=pointer]")
+            .then(function(elements) {
+               assert.isAbove(elements.length, 0, "Expected clickable points in the line chart");
+            });
+      },
+
+      "List initially shows all items": function() {
+         return this.remote.findAllByCssSelector("#LIST .alfresco-lists-views-layouts-Row")
+            .then(function(elements) {
+               assert.lengthOf(elements, 2);
+            });
+      },
+
+      "Clicking a bar publishes the drill down payload": function() {
+         return this.remote.findByCssSelector("#BARCHART svg rect[cursor=pointer]")
+            .clearLog()
+            .click()
+         .end()
+
+         .getLastPublish("CATEGORY_SELECTED")
+            .then(function(payload) {
+               assert.propertyVal(payload, "name", "category");
+               assert.propertyVal(payload, "value", "one-hundred");
+               assert.propertyVal(payload, "category", "one-hundred");
+               assert.propertyVal(payload, "dataValue", 100);
+            });
+      },
+
+      "Clicking a bar filters the list": function() {
+         return this.remote.getLastPublish("ALF_DOCLIST_DOCUMENTS_LOADED")
+         .end()
+
+         .findAllByCssSelector("#LIST .alfresco-lists-views-layouts-Row .alfresco-renderers-Property")
+            .getVisibleText()
+            .then(function(names) {
+               assert.deepEqual(names, ["First"]);
+            });
+      }
+   });
+});
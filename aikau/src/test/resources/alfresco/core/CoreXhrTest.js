@@ -56,6 +56,91 @@ define(["module",
                var body = lang.getProperty(xhr, "response.body");
                assert.property(body, "result");
             });
+      },
+
+      "Identical concurrent GET requests are coalesced": function() {
+         return this.remote.findById("COALESCED_GET_BUTTON")
+            .click()
+            .end()
+
+         .getLastPublish("COALESCED_RESPONSE_1_SUCCESS")
+
+         .getLastPublish("COALESCED_RESPONSE_2_SUCCESS")
+
+         .getXhrEntries({
+               url: "coalesced/url",
+               method: "GET"
+            })
+            .then(function(entries) {
+               assert.lengthOf(entries, 1, "Identical requests were not coalesced");
+            });
+      },
+
+      "Coalesced requesters do not share response data": function() {
+         return this.remote.findById("COALESCED_GET_BUTTON")
+            .clearLog()
+            .click()
+            .end()
+
+         .getLastPublish("COALESCED_RESPONSE_1_SUCCESS")
+            .then(function(payload) {
+               assert.propertyVal(payload, "result", "OK", "First requester received changed data");
+            })
+
+         .getLastPublish("COALESCED_RESPONSE_2_SUCCESS")
+            .then(function(payload) {
+               assert.propertyVal(payload, "result", "OK", "Second requester received data changed by the first requester");
+            });
+      },
+
+      "Cached responses are re-used": function() {
+         return this.remote.findById("CACHED_GET_BUTTON")
+            .click()
+            .end()
+
+         .getXhrEntries({
+               url: "cached/url",
+               method: "GET",
+               pos: "last"
+            })
+
+         .findById("CACHED_GET_BUTTON")
+            .click()
+            .end()
+
+         .getXhrEntries({
+               url: "cached/url",
+               method: "GET"
+            })
+            .then(function(entries) {
+               assert.lengthOf(entries, 1, "Cached response was not used");
+            });
+      },
+
+      "Updating data invalidates cached responses": function() {
+         return this.remote.findById("CACHED_UPDATE_BUTTON")
+            .click()
+            .end()
+
+         .getXhrEntries({
+               url: "cached/url/1",
+               method: "PUT",
+               pos: "last"
+            })
+
+         .getLastPublish("ALF_INVALIDATE_XHR_CACHE")
+
+         .findById("CACHED_GET_BUTTON")
+            .click()
+            .end()
+
+         .getXhrEntries({
+               url: "cached/url",
+               method: "GET"
+            })
+            .then(function(entries) {
+               assert.lengthOf(entries, 2, "Cached response was not invalidated");
+            });
       }
    });
 });
\ No newline at end of file
@@ -0,0 +1,98 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * This test assesses the validation of page models against the widget and service schemas
+ * by alfresco/core/Page and alfresco/core/ModelValidator.
+ *
+ * @author Dave Draper
+ */
+define(["module",
+        "alfresco/defineSuite",
+        "intern/chai!assert"],
+        function(module, defineSuite, assert) {
+
+   var findIssue = function(issues, path) {
+      var matches = issues.filter(function(issue) {
+         return issue.path === path;
+      });
+      return matches[0];
+   };
+
+   defineSuite(module, {
+      name: "Page Model Validation Tests",
+      testPage: "/ModelValidation",
+
+      "Valid widget configuration is not reported": function() {
+         return this.remote.getLastPublish("ALF_PAGE_MODEL_VALIDATED")
+            .then(function(payload) {
+               var validIssues = payload.issues.filter(function(issue) {
+                  return issue.path.indexOf("$.widgets[0]") === 0 || issue.path.indexOf("$.services") === 0;
+               });
+               assert.lengthOf(validIssues, 0, "Issues were reported for valid configuration");
+               assert.lengthOf(payload.issues, 4, "Unexpected number of issues reported");
+            });
+      },
+
+      "Misspelt widgets attribute is reported with a suggestion": function() {
+         return this.remote.getLastPublish("ALF_PAGE_MODEL_VALIDATED")
+            .then(function(payload) {
+               var issue = findIssue(payload.issues, "$.widgets[1].config.widget");
+               assert.isDefined(issue, "Misspelt widgets attribute not reported");
+               assert.propertyVal(issue, "type", "UNKNOWN_PROPERTY");
+               assert.include(issue.message, "did you mean \"widgets\"?");
+            });
+      },
+
+      "Unknown property is reported": function() {
+         return this.remote.getLastPublish("ALF_PAGE_MODEL_VALIDATED")
+            .then(function(payload) {
+               var issue = findIssue(payload.issues, "$.widgets[2].config.lable");
+               assert.isDefined(issue, "Unknown property not reported");
+               assert.propertyVal(issue, "type", "UNKNOWN_PROPERTY");
+            });
+      },
+
+      "Wrong type is reported": function() {
+         return this.remote.getLastPublish("ALF_PAGE_MODEL_VALIDATED")
+            .then(function(payload) {
+               var issue = findIssue(payload.issues, "$.widgets[3].config.publishGlobal");
+               assert.isDefined(issue, "Wrong type not reported");
+               assert.propertyVal(issue, "type", "WRONG_TYPE");
+            });
+      },
+
+      "Unresolvable module nested in a payload is reported": function() {
+         return this.remote.getLastPublish("ALF_PAGE_MODEL_VALIDATED")
+            .then(function(payload) {
+               var issue = findIssue(payload.issues, "$.widgets[3].config.publishPayload.widgetsContent[0].name");
+               assert.isDefined(issue, "Unresolvable module not reported");
+               assert.propertyVal(issue, "type", "UNRESOLVED_MODULE");
+            });
+      },
+
+      "Widgets are still created": function() {
+         return this.remote.findById("VALID_LABEL")
+            .getVisibleText()
+            .then(function(text) {
+               assert.equal(text, "Valid");
+            });
+      }
+   });
+});
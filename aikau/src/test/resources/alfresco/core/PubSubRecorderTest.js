@@ -0,0 +1,193 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * This test assesses the recording and replaying of publications by alfresco/core/PubSubRecorder
+ * and alfresco/services/PubSubRecorderService.
+ *
+ * @author Dave Draper
+ */
+define(["module",
+        "alfresco/defineSuite",
+        "intern/chai!assert",
+        "alfresco/TestCommon"],
+        function(module, defineSuite, assert, TestCommon) {
+
+   var findPublications = function(recording, topic) {
+      return JSON.parse(recording).publications.filter(function(publication) {
+         return publication.topic === topic;
+      });
+   };
+
+   defineSuite(module, {
+      name: "PubSubRecorder Tests",
+      testPage: "/PubSubRecorder",
+
+      "Publications are recorded with their scope": function() {
+         return this.remote.findById("START_RECORDING_label")
+            .click()
+            .end()
+
+         .findById("PUBLISH_GLOBAL_label")
+            .click()
+            .end()
+
+         .findById("PUBLISH_SCOPED_label")
+            .click()
+            .end()
+
+         .findById("PUBLISH_CIRCULAR_label")
+            .click()
+            .end()
+
+         .findById("STOP_RECORDING_label")
+            .click()
+            .end()
+
+         .getLastPublish("RECORDING_EXPORTED")
+            .then(function(payload) {
+               var publications = findPublications(payload.recording, "RECORDED_TOPIC");
+               assert.lengthOf(publications, 2, "Both publications should have been recorded");
+               assert.propertyVal(publications[0], "scope", "");
+               assert.deepPropertyVal(publications[0], "payload.value", "global");
+               assert.propertyVal(publications[1], "scope", "SCOPED_");
+               assert.deepPropertyVal(publications[1], "payload.value", "scoped");
+               assert.isNumber(publications[1].offset, "Offset of publication not recorded");
+            });
+      },
+
+      "Circular references are removed from recorded payloads": function() {
+         return this.remote.getLastPublish("RECORDING_EXPORTED")
+            .then(function(payload) {
+               var publications = findPublications(payload.recording, "CIRCULAR_PAYLOAD");
+               assert.lengthOf(publications, 1, "Circular payload was not recorded");
+
+               var recordedPayload = publications[0].payload;
+               assert.propertyVal(recordedPayload, "name", "circular");
+               assert.deepEqual(recordedPayload.nested.items, ["a", "b"]);
+               assert.notProperty(recordedPayload, "self", "Circular reference was not removed");
+               assert.notProperty(recordedPayload.nested, "parent", "Nested circular reference was not removed");
+               assert.notProperty(recordedPayload, "node", "DOM node was not removed");
+               assert.notProperty(recordedPayload, "callback", "Function was not removed");
+            });
+      },
+
+      "Publications are not recorded once recording stops": function() {
+         return this.remote.findById("PUBLISH_GLOBAL_label")
+            .click()
+            .end()
+
+         .clearLog()
+
+         .findById("STOP_RECORDING_label")
+            .click()
+            .end()
+
+         .getLastPublish("RECORDING_EXPORTED")
+            .then(function(payload) {
+               assert.lengthOf(findPublications(payload.recording, "RECORDED_TOPIC"), 2, "Publication made after recording stopped was recorded");
+            });
+      },
+
+      "A recording can be replayed": function() {
+         return this.remote.findById("REPLAY_RECORDING_label")
+            .click()
+            .end()
+
+         .getLastPublish("REPLAY_COMPLETE")
+            .then(function(payload) {
+               assert.propertyVal(payload, "count", 1, "Unexpected number of publications replayed");
+            })
+
+         .findById("SCOPED_LABEL")
+            .getVisibleText()
+            .then(function(text) {
+               assert.equal(text, "Replayed", "Scoped publication was not replayed");
+            });
+      },
+
+      "Replaying a recording does not publish on the recorder topics": function() {
+         return this.remote.findById("START_RECORDING_label")
+            .click()
+            .end()
+
+         .findById("PUBLISH_GLOBAL_label")
+            .click()
+            .end()
+
+         .findById("STOP_RECORDING_label")
+            .click()
+            .end()
+
+         .getLastPublish("RECORDING_EXPORTED")
+            .then(function(payload) {
+               assert.lengthOf(findPublications(payload.recording, "ALF_START_PUBSUB_RECORDING"), 0, "Request to start recording was recorded");
+               assert.lengthOf(findPublications(payload.recording, "ALF_STOP_PUBSUB_RECORDING"), 0, "Request to stop recording was recorded");
+            })
+
+         .clearLog()
+
+         .findById("REPLAY_EXPORTED_RECORDING_label")
+            .click()
+            .end()
+
+         .getLastPublish("EXPORTED_RECORDING_REPLAYED")
+            .then(function(payload) {
+               assert.propertyVal(payload, "count", 1, "Unexpected number of publications replayed");
+            })
+
+         .getAllPublishes("RECORDED_TOPIC")
+            .then(function(payloads) {
+               assert.lengthOf(payloads, 1, "Recorded publication was not replayed");
+            })
+
+         .getAllPublishes("ALF_START_PUBSUB_RECORDING")
+            .then(function(payloads) {
+               assert.lengthOf(payloads, 0, "Replaying the recording requested that recording was started");
+            })
+
+         .getAllPublishes("ALF_STOP_PUBSUB_RECORDING")
+            .then(function(payloads) {
+               assert.lengthOf(payloads, 0, "Replaying the recording requested that recording was stopped");
+            })
+
+         .getAllPublishes("RECORDING_EXPORTED")
+            .then(function(payloads) {
+               assert.lengthOf(payloads, 0, "Replaying the recording published the exported recording");
+            });
+      },
+
+      "A recording is replayed into a new page once its widgets have been created": function() {
+         return TestCommon.loadTestWebScript(this.remote, "/PubSubReplay", "PubSubRecorder Replay Test")
+
+         .findById("GLOBAL_LABEL")
+            .getVisibleText()
+            .then(function(text) {
+               assert.equal(text, "Global replayed", "Global publication was not replayed");
+            })
+            .end()
+
+         .findById("SCOPED_LABEL")
+            .getVisibleText()
+            .then(function(text) {
+               assert.equal(text, "Scoped replayed", "Scoped publication was not replayed");
+            });
+      }
+   });
+});
@@ -0,0 +1,129 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * This test assesses the timeout, cancellation and retry options of alfPublishToPromise.
+ *
+ * @author Dave Draper
+ */
+define(["module",
+        "alfresco/defineSuite",
+        "intern/chai!assert"],
+        function(module, defineSuite, assert) {
+
+   defineSuite(module, {
+      name: "Publish To Promise Tests",
+      testPage: "/PublishToPromise",
+
+      "Unanswered request is rejected with timeout error": function() {
+         return this.remote.findById("TIMEOUT_label")
+            .click()
+            .end()
+
+         .getLastPublish("PROMISE_REJECTED", 2000)
+            .then(function(payload) {
+               assert.propertyVal(payload, "errorName", "PublishTimeoutError");
+               assert.propertyVal(payload, "topic", "NO_SERVICE");
+               assert.propertyVal(payload, "timeout", 500);
+            })
+
+         .getLastPublish("ALF_STOP_XHR_REQUEST")
+            .then(function(payload) {
+               assert.property(payload, "requestId");
+            });
+      },
+
+      "Cancelled request is rejected and stop request is published": function() {
+         return this.remote.clearLog()
+            .findById("CANCEL_label")
+            .click()
+            .end()
+
+         .getLastPublish("PROMISE_REJECTED")
+            .then(function(payload) {
+               assert.propertyVal(payload, "errorName", "CancelError");
+            })
+
+         .getLastPublish("ALF_STOP_XHR_REQUEST")
+            .then(function(payload) {
+               assert.property(payload, "requestId");
+            });
+      },
+
+      "Cancelling a request aborts the XHR request in flight": function() {
+         return this.remote.clearLog()
+            .findById("CANCEL_XHR_label")
+            .click()
+            .end()
+
+         .getLastPublish("PROMISE_REJECTED")
+            .then(function(payload) {
+               assert.propertyVal(payload, "errorName", "CancelError");
+            })
+
+         .getLastPublish("ALF_STOP_XHR_REQUEST")
+
+         .getLastXhr("abortable/url")
+            .then(function(xhr) {
+               assert.isTrue(xhr.aborted, "XHR request was not aborted");
+               assert.deepPropertyVal(xhr, "response.status", 0);
+            });
+      },
+
+      "Stopping requests that share a response topic aborts all of them": function() {
+         return this.remote.clearLog()
+            .clearXhrLog()
+            .findById("STOP_SHARED_TOPIC_label")
+            .click()
+            .end()
+
+         .getLastPublish("ALF_STOP_XHR_REQUEST")
+            .then(function(payload) {
+               assert.propertyVal(payload, "requestId", "SHARED_RESPONSE");
+            })
+
+         .getXhrEntries({
+               url: "stoppable/url",
+               method: "GET"
+            })
+            .then(function(entries) {
+               assert.lengthOf(entries, 2, "Both requests should have been made");
+               assert.isTrue(entries[0].aborted, "First request was not aborted");
+               assert.isTrue(entries[1].aborted, "Second request was not aborted");
+            });
+      },
+
+      "Failed request is retried": function() {
+         return this.remote.clearLog()
+            .findById("RETRY_label")
+            .click()
+            .end()
+
+         .getLastPublish("PROMISE_RESOLVED")
+            .then(function(payload) {
+               assert.propertyVal(payload, "requestCount", 2);
+            })
+
+         .getAllPublishes("FLAKY_SERVICE")
+            .then(function(payloads) {
+               assert.lengthOf(payloads, 2, "Request not retried exactly once");
+            });
+      }
+   });
+});
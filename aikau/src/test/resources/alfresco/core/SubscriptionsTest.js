@@ -0,0 +1,96 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * This test assesses the one-shot and pattern subscriptions provided by alfresco/core/Core.
+ *
+ * @author Dave Draper
+ */
+define(["module",
+        "alfresco/defineSuite",
+        "intern/chai!assert"],
+        function(module, defineSuite, assert) {
+
+   defineSuite(module, {
+      name: "Subscriptions Tests",
+      testPage: "/Subscriptions",
+
+      "One-shot subscription is only called once": function() {
+         return this.remote.findById("ONCE_label")
+            .click()
+            .click()
+            .end()
+
+         .getAllPublishes("ONCE_FIRED")
+            .then(function(payloads) {
+               assert.lengthOf(payloads, 1, "One-shot subscription called more than once");
+               assert.propertyVal(payloads[0], "subscription", "ONCE");
+            });
+      },
+
+      "One-shot pattern subscription is only called once": function() {
+         return this.remote.findById("ONCE_PATTERN_label")
+            .click()
+            .click()
+            .end()
+
+         .getAllPublishes("ONCE_FIRED")
+            .then(function(payloads) {
+               assert.lengthOf(payloads, 2, "One-shot pattern subscription not called exactly once");
+               assert.propertyVal(payloads[1], "subscription", "ONCE_PATTERN");
+               assert.propertyVal(payloads[1], "topic", "SCOPE_ONCE_MORE");
+            });
+      },
+
+      "Pattern subscription matches topic in same scope": function() {
+         return this.remote.findById("SCOPED_DOCLIST_label")
+            .click()
+            .end()
+
+         .getLastPublish("PATTERN_FIRED")
+            .then(function(payload) {
+               assert.propertyVal(payload, "subscription", "SCOPED");
+               assert.propertyVal(payload, "topic", "SCOPE_ALF_DOCLIST_SORT");
+            });
+      },
+
+      "Pattern subscription does not match topic in different scope": function() {
+         return this.remote.findById("GLOBAL_DOCLIST_label")
+            .click()
+            .end()
+
+         .getAllPublishes("PATTERN_FIRED")
+            .then(function(payloads) {
+               assert.lengthOf(payloads, 1, "Scoped pattern subscription matched global publication");
+            });
+      },
+
+      "Pattern starting with wildcard matches topic in any scope": function() {
+         return this.remote.findById("OTHER_SCOPE_RELOAD_label")
+            .click()
+            .end()
+
+         .getLastPublish("PATTERN_FIRED")
+            .then(function(payload) {
+               assert.propertyVal(payload, "subscription", "AGNOSTIC");
+               assert.propertyVal(payload, "topic", "OTHER_ALF_RELOAD_DATA");
+            });
+      }
+   });
+});
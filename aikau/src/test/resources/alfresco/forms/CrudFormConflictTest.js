@@ -0,0 +1,348 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * This test assesses the resolution of conflicting updates made from the CrudForm when the CrudService
+ * is configured to use optimistic concurrency control.
+ *
+ * @author Dave Draper
+ */
+define(["module",
+        "alfresco/defineSuite",
+        "intern/chai!assert",
+        "alfresco/TestCommon",
+        "intern/dojo/lang"],
+        function(module, defineSuite, assert, TestCommon, lang) {
+
+   var textBoxSelectors = TestCommon.getTestSelectors("alfresco/forms/controls/TextBox");
+
+   var selectors = {
+      name: TestCommon.getTestSelector(textBoxSelectors, "input", ["NAME"]),
+      description: TestCommon.getTestSelector(textBoxSelectors, "input", ["DESCRIPTION"]),
+      createButton: "#CRUD_FORM .alfresco-buttons-AlfButton.createButton > span",
+      updateButton: "#CRUD_FORM .alfresco-buttons-AlfButton.updateButton > span",
+      dialog: {
+         displayed: "#CRUD_FORM_CONFLICT_DIALOG.dialogDisplayed",
+         hidden: "#CRUD_FORM_CONFLICT_DIALOG.dialogHidden",
+         differences: "#CRUD_FORM_CONFLICT_DIALOG_DIFFERENCES .alfresco-lists-views-layouts-Row"
+      }
+   };
+
+   // Makes a change to the name, submits the update and waits for the conflict dialog...
+   var updateName = function(browser, suffix) {
+      return browser.findByCssSelector(selectors.name)
+            .type(suffix)
+            .end()
+
+         .findByCssSelector(selectors.updateButton)
+            .click()
+            .end()
+
+         .findByCssSelector(selectors.dialog.displayed)
+            .end();
+   };
+
+   defineSuite(module, {
+      name: "CrudForm Conflict Tests",
+      testPage: "/CrudFormConflict",
+
+      "Retrieved item is published on the response topic": function() {
+         return this.remote.findById("LOAD_ITEM_label")
+            .click()
+            .end()
+
+         .getLastPublish("ITEM_LOADED")
+            .then(function(payload) {
+               assert.deepPropertyVal(payload, "response.name", "Original");
+               assert.deepPropertyVal(payload, "response.description", "Original");
+            })
+
+         .getAllPublishes("ITEM_LOADED_SUCCESS")
+            .then(function(payloads) {
+               assert.lengthOf(payloads, 0, "Item should not be published on the success topic");
+            });
+      },
+
+      "Retrieved item is published in the response scope": function() {
+         return this.remote.findById("LOAD_ITEM_SCOPED_label")
+            .click()
+            .end()
+
+         .getLastPublish("SCOPED_ITEM_LOADED")
+            .then(function(payload) {
+               assert.deepPropertyVal(payload, "response.name", "Original");
+            });
+      },
+
+      "Show the item and then change it remotely": function() {
+         return this.remote.findById("SHOW_ITEM_label")
+            .click()
+            .end()
+
+         .findByCssSelector(selectors.name)
+            .getProperty("value")
+            .then(function(value) {
+               assert.equal(value, "Original", "Item was not displayed in the form");
+            })
+            .end()
+
+         .findById("REMOTE_CHANGE_label")
+            .click()
+            .end()
+
+         .findByCssSelector(selectors.description)
+            .getProperty("value")
+            .then(function(value) {
+               assert.equal(value, "Original", "Remote change should not be displayed until there is a conflict");
+            });
+      },
+
+      "A conflicting update displays the differences": function() {
+         return updateName(this.remote, " local")
+
+         .getXhrEntries({
+               url: "concurrency/item",
+               method: "PUT",
+               pos: "last"
+            })
+            .then(function(xhr) {
+               assert.propertyVal(lang.getObject("request.headers", false, xhr), "If-Match", "v1", "Version of the item was not sent");
+            })
+
+         .getLastPublish("ALF_CRUD_CONFLICT")
+            .then(function(payload) {
+               assert.propertyVal(payload, "method", "PUT");
+               assert.propertyVal(payload, "requestedUrl", "concurrency/item");
+               assert.deepPropertyVal(payload, "serverData.description", "Changed remotely 2");
+            })
+
+         .findAllByCssSelector(selectors.dialog.differences)
+            .then(function(rows) {
+               assert.lengthOf(rows, 2, "Both the name and description should be shown as different");
+            });
+      },
+
+      "Other forms displaying an item do not handle the conflict": function() {
+         return this.remote.findByCssSelector("#OTHER_CRUD_FORM .alfresco-buttons-AlfButton.updateButton > span")
+            .isDisplayed()
+            .then(function(displayed) {
+               assert.isTrue(displayed, "Other form should be displaying an item");
+            })
+            .end()
+
+         .findAllByCssSelector("#OTHER_CRUD_FORM_CONFLICT_DIALOG")
+            .then(function(elements) {
+               assert.lengthOf(elements, 0, "Conflict dialog displayed for other form");
+            });
+      },
+
+      "Merging keeps local changes and applies remote changes": function() {
+         return this.remote.findById("CRUD_FORM_CONFLICT_DIALOG_MERGE_label")
+            .click()
+            .end()
+
+         .findByCssSelector(selectors.dialog.hidden)
+            .end()
+
+         .findByCssSelector(selectors.name)
+            .getProperty("value")
+            .then(function(value) {
+               assert.equal(value, "Original local", "Local change was not kept");
+            })
+            .end()
+
+         .findByCssSelector(selectors.description)
+            .getProperty("value")
+            .then(function(value) {
+               assert.equal(value, "Changed remotely 2", "Remote change was not applied");
+            });
+      },
+
+      "The merged item can be saved": function() {
+         return this.remote.findByCssSelector(selectors.updateButton)
+            .click()
+            .end()
+
+         .getLastPublish("ITEM_UPDATED_SUCCESS")
+
+         .getXhrEntries({
+               url: "concurrency/item",
+               method: "PUT",
+               pos: "last"
+            })
+            .then(function(xhr) {
+               assert.propertyVal(lang.getObject("request.headers", false, xhr), "If-Match", "v2", "Latest version of the item was not sent");
+            });
+      },
+
+      "Overwriting saves the local changes": function() {
+         return this.remote.findById("REMOTE_CHANGE_label")
+            .click()
+            .end()
+
+         .clearLog()
+
+         .then(function() {
+            return updateName(this.parent, " again");
+         })
+
+         .findById("CRUD_FORM_CONFLICT_DIALOG_OVERWRITE_label")
+            .click()
+            .end()
+
+         .getLastPublish("ITEM_UPDATED_SUCCESS")
+            .then(function(payload) {
+               assert.propertyVal(payload, "name", "Original local again", "Local changes were not saved");
+               assert.propertyVal(payload, "description", "Changed remotely 2", "Remote changes were not overwritten");
+            });
+      },
+
+      "Reloading displays the latest version": function() {
+         return this.remote.findById("REMOTE_CHANGE_label")
+            .click()
+            .end()
+
+         .then(function() {
+            return updateName(this.parent, " discarded");
+         })
+
+         .findById("CRUD_FORM_CONFLICT_DIALOG_RELOAD_label")
+            .click()
+            .end()
+
+         .findByCssSelector(selectors.dialog.hidden)
+            .end()
+
+         .findByCssSelector(selectors.name)
+            .getProperty("value")
+            .then(function(value) {
+               assert.equal(value, "Original local again", "Local changes were not discarded");
+            })
+            .end()
+
+         .findByCssSelector(selectors.description)
+            .getProperty("value")
+            .then(function(value) {
+               assert.equal(value, "Changed remotely 6", "Latest version was not displayed");
+            });
+      },
+
+      "Deleted items offer to discard, re-create or keep editing": function() {
+         return this.remote.findById("REMOTE_DELETE_label")
+            .click()
+            .end()
+
+         .then(function() {
+            return updateName(this.parent, " deleted");
+         })
+
+         .getLastPublish("ALF_CRUD_CONFLICT")
+            .then(function(payload) {
+               assert.propertyVal(payload, "serverData", null, "Deleted item should not have any server data");
+            })
+
+         .findById("CRUD_FORM_CONFLICT_DIALOG_DISCARD_label")
+            .end()
+
+         .findById("CRUD_FORM_CONFLICT_DIALOG_RECREATE_label")
+            .end()
+
+         .findById("CRUD_FORM_CONFLICT_DIALOG_KEEP_EDITING_label")
+            .end()
+
+         .findAllByCssSelector("#CRUD_FORM_CONFLICT_DIALOG_OVERWRITE, #CRUD_FORM_CONFLICT_DIALOG_RELOAD, #CRUD_FORM_CONFLICT_DIALOG_MERGE")
+            .then(function(elements) {
+               assert.lengthOf(elements, 0, "Update resolutions should not be offered for a deleted item");
+            });
+      },
+
+      "Keeping editing switches the form to the create state": function() {
+         return this.remote.findById("CRUD_FORM_CONFLICT_DIALOG_KEEP_EDITING_label")
+            .click()
+            .end()
+
+         .findByCssSelector(selectors.dialog.hidden)
+            .end()
+
+         .findByCssSelector(selectors.name)
+            .getProperty("value")
+            .then(function(value) {
+               assert.equal(value, "Original local again deleted", "Local changes were not kept");
+            })
+            .end()
+
+         .findDisplayedByCssSelector(selectors.createButton)
+            .end()
+
+         .findByCssSelector(selectors.updateButton)
+            .isDisplayed()
+            .then(function(displayed) {
+               assert.isFalse(displayed, "Update button should not be displayed for a deleted item");
+            });
+      },
+
+      "The kept changes can be created": function() {
+         return this.remote.findByCssSelector(selectors.createButton)
+            .click()
+            .end()
+
+         .getLastPublish("ITEM_CREATED_SUCCESS")
+            .then(function(payload) {
+               assert.propertyVal(payload, "name", "Original local again deleted", "Local changes were not created");
+            });
+      },
+
+      "Re-creating saves the local changes as a new item": function() {
+         return this.remote.findById("LOAD_ITEM_label")
+            .click()
+            .end()
+
+         .getLastPublish("ITEM_LOADED")
+
+         .findById("SHOW_ITEM_label")
+            .click()
+            .end()
+
+         .findById("REMOTE_DELETE_label")
+            .click()
+            .end()
+
+         .clearLog()
+
+         .then(function() {
+            return updateName(this.parent, " recreated");
+         })
+
+         .findById("CRUD_FORM_CONFLICT_DIALOG_RECREATE_label")
+            .click()
+            .end()
+
+         .getLastPublish("ITEM_CREATED_SUCCESS")
+
+         .getXhrEntries({
+               url: "concurrency/item",
+               method: "POST",
+               pos: "last"
+            })
+            .then(function(xhr) {
+               assert.deepPropertyVal(xhr, "request.body.name", "Original recreated", "Local changes were not saved");
+            });
+      }
+   });
+});
@@ -127,6 +127,19 @@ define(["module",
             });
       },
 
+      "Checking that the configured update payload is published with the form value": function() {
+         return this.remote.findAllByCssSelector(TestCommon.pubDataCssSelector("UPDATE_ITEM", "itemType", "existing"))
+            .then(function(elements) {
+               assert(elements.length === 1, "The configured update payload was not published with the form value");
+            })
+            .end()
+
+         .findAllByCssSelector(TestCommon.pubDataCssSelector("UPDATE_ITEM", "prop1", "Configured"))
+            .then(function(elements) {
+               assert(elements.length === 0, "The form value should override the configured update payload");
+            });
+      },
+
       "Checking that the delete button is displayed": function() {
          return this.remote.findByCssSelector(".alfresco-buttons-AlfButton.deleteButton > span")
             .isDisplayed()
@@ -0,0 +1,209 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * This test assesses the validity, numeric, regular expression, asynchronous and combined rules
+ * supported by alfresco/forms/controls/utilities/RulesEngineMixin.
+ *
+ * @author Dave Draper
+ */
+define(["module",
+        "alfresco/defineSuite",
+        "intern/chai!assert",
+        "alfresco/TestCommon",
+        "intern/dojo/node!leadfoot/keys"],
+        function(module, defineSuite, assert, TestCommon, keys) {
+
+   var formControlSelectors = TestCommon.getTestSelectors("alfresco/forms/controls/BaseFormControl");
+   var textBoxSelectors = TestCommon.getTestSelectors("alfresco/forms/controls/TextBox");
+   var selectors = {
+      inputs: {
+         age: TestCommon.getTestSelector(textBoxSelectors, "input", ["AGE"]),
+         email: TestCommon.getTestSelector(textBoxSelectors, "input", ["EMAIL"]),
+         username: TestCommon.getTestSelector(textBoxSelectors, "input", ["USERNAME"])
+      },
+      disabled: {
+         emailDependent: TestCommon.getTestSelector(formControlSelectors, "disabled", ["EMAIL_DEPENDENT"])
+      }
+   };
+
+   var assertDisplayed = function(browser, id, expected) {
+      return browser.findById(id)
+         .isDisplayed()
+         .then(function(displayed) {
+            assert.equal(displayed, expected, "Unexpected visibility of " + id);
+         })
+      .end();
+   };
+
+   var enterValue = function(browser, selector, value) {
+      return browser.findByCssSelector(selector)
+         .clearValue()
+         .type(value)
+         .type(keys.TAB)
+      .end();
+   };
+
+   defineSuite(module, {
+      name: "Extended Form Rules Tests",
+      testPage: "/ExtendedRules",
+
+      "Numeric rules are initially failing": function() {
+         var browser = this.remote;
+         return assertDisplayed(browser, "ADULT", false)
+            .then(function() {
+               return assertDisplayed(browser, "SENIOR", false);
+            });
+      },
+
+      "Value between minimum and maximum": function() {
+         var browser = this.remote;
+         return enterValue(browser, selectors.inputs.age, "30")
+            .then(function() {
+               return assertDisplayed(browser, "ADULT", true);
+            })
+            .then(function() {
+               return assertDisplayed(browser, "SENIOR", false);
+            });
+      },
+
+      "Value greater than": function() {
+         var browser = this.remote;
+         return enterValue(browser, selectors.inputs.age, "70")
+            .then(function() {
+               return assertDisplayed(browser, "ADULT", false);
+            })
+            .then(function() {
+               return assertDisplayed(browser, "SENIOR", true);
+            });
+      },
+
+      "Non-numeric values fail numeric rules": function() {
+         var browser = this.remote;
+         return enterValue(browser, selectors.inputs.age, "old")
+            .then(function() {
+               return assertDisplayed(browser, "SENIOR", false);
+            });
+      },
+
+      "Regular expression match": function() {
+         var browser = this.remote;
+         return enterValue(browser, selectors.inputs.username, "bob")
+            .then(function() {
+               return assertDisplayed(browser, "LOWERCASE", true);
+            })
+            .then(function() {
+               return enterValue(browser, selectors.inputs.username, "Bob");
+            })
+            .then(function() {
+               return assertDisplayed(browser, "LOWERCASE", false);
+            });
+      },
+
+      "Invalid regular expressions are logged and never match": function() {
+         var browser = this.remote;
+         return browser.getAllPublishes("ALF_LOG_REQUEST")
+            .then(function(payloads) {
+               var logged = payloads.some(function(payload) {
+                  return payload.severity === "warn" && payload.messageArgs[0].indexOf("not a valid regular expression") !== -1;
+               });
+               assert.isTrue(logged, "Invalid regular expression was not logged");
+            })
+            .then(function() {
+               return enterValue(browser, selectors.inputs.username, "bob");
+            })
+            .then(function() {
+               return assertDisplayed(browser, "INVALID_PATTERN", false);
+            })
+            .then(function() {
+               return assertDisplayed(browser, "LOWERCASE", true);
+            });
+      },
+
+      "Field is enabled whilst other field is valid": function() {
+         return this.remote.findAllByCssSelector(selectors.disabled.emailDependent)
+            .then(function(elements) {
+               assert.lengthOf(elements, 0, "Field should not be disabled");
+            });
+      },
+
+      "Field is disabled when other field becomes invalid": function() {
+         var browser = this.remote;
+         return enterValue(browser, selectors.inputs.email, "invalid")
+            .then(function() {
+               return browser.findByCssSelector(selectors.disabled.emailDependent).end();
+            })
+            .then(function() {
+               return enterValue(browser, selectors.inputs.email, "valid@example.com");
+            })
+            .then(function() {
+               return browser.findAllByCssSelector(selectors.disabled.emailDependent)
+                  .then(function(elements) {
+                     assert.lengthOf(elements, 0, "Field should be enabled again");
+                  });
+            });
+      },
+
+      "Asynchronous rule fails until a result is received": function() {
+         var browser = this.remote;
+         return enterValue(browser, selectors.inputs.username, "available")
+            .then(function() {
+               return assertDisplayed(browser, "AVAILABLE", false);
+            })
+            .then(function() {
+               return browser.findById("RELEASE_RESPONSES_label")
+                  .click()
+               .end();
+            })
+            .then(function() {
+               return assertDisplayed(browser, "AVAILABLE", true);
+            });
+      },
+
+      "Asynchronous rule fails for negative result": function() {
+         var browser = this.remote;
+         return enterValue(browser, selectors.inputs.username, "taken")
+            .then(function() {
+               return browser.findById("RELEASE_RESPONSES_label")
+                  .click()
+               .end();
+            })
+            .then(function() {
+               return assertDisplayed(browser, "AVAILABLE", false);
+            });
+      },
+
+      "Combined rules": function() {
+         var browser = this.remote;
+         return assertDisplayed(browser, "COMBINED", true)
+            .then(function() {
+               return enterValue(browser, selectors.inputs.username, "admin");
+            })
+            .then(function() {
+               return assertDisplayed(browser, "COMBINED", false);
+            })
+            .then(function() {
+               return enterValue(browser, selectors.inputs.age, "10");
+            })
+            .then(function() {
+               return assertDisplayed(browser, "COMBINED", true);
+            });
+      }
+   });
+});
@@ -0,0 +1,265 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * This test assesses the saving, restoring and discarding of drafts of form values.
+ *
+ * @author Dave Draper
+ */
+define(["module",
+        "alfresco/defineSuite",
+        "intern/chai!assert",
+        "alfresco/TestCommon"],
+        function(module, defineSuite, assert, TestCommon) {
+
+   var textBoxSelectors = TestCommon.getTestSelectors("alfresco/forms/controls/TextBox");
+
+   var selectors = {
+      pageForm: {
+         field: TestCommon.getTestSelector(textBoxSelectors, "input", ["FIELD1"]),
+         password: TestCommon.getTestSelector(textBoxSelectors, "input", ["PASSWORD"]),
+         secret: TestCommon.getTestSelector(textBoxSelectors, "input", ["SECRET"]),
+         prompt: "#PAGE_FORM .alfresco-forms-Form__draft",
+         hiddenPrompt: "#PAGE_FORM .alfresco-forms-Form__draft--hidden",
+         restore: "#PAGE_FORM .alfresco-forms-Form__draft-restore .dijitButtonText",
+         discard: "#PAGE_FORM .alfresco-forms-Form__draft-discard .dijitButtonText",
+         ok: "#PAGE_FORM .confirmationButton .dijitButtonText"
+      },
+      dialogForm: {
+         field: TestCommon.getTestSelector(textBoxSelectors, "input", ["FIELD2"]),
+         prompt: "#DRAFT_DIALOG .alfresco-forms-Form__draft",
+         hiddenPrompt: "#DRAFT_DIALOG .alfresco-forms-Form__draft--hidden",
+         restore: "#DRAFT_DIALOG .alfresco-forms-Form__draft-restore .dijitButtonText"
+      },
+      dialog: {
+         displayed: "#DRAFT_DIALOG.dialogDisplayed",
+         hidden: "#DRAFT_DIALOG.dialogHidden"
+      }
+   };
+
+   // Returns the draft saved in local storage for the supplied key...
+   var getDraft = function(browser, key) {
+      return browser.execute(function(storageKey) {
+         /*jshint browser:true*/
+         return window.localStorage.getItem(storageKey);
+      }, ["ALF_FORM_DRAFT_" + key]);
+   };
+
+   // Opens the form dialog and waits for it to be displayed...
+   var openDialog = function(browser) {
+      return browser.findById("LAUNCH_FORM_DIALOG_label")
+            .click()
+            .end()
+
+         .findByCssSelector(selectors.dialog.displayed)
+            .end();
+   };
+
+   defineSuite(module, {
+      name: "Form Drafts Tests",
+      testPage: "/FormDrafts",
+
+      "Remove any drafts left by previous tests": function() {
+         return this.remote.execute(function() {
+               /*jshint browser:true*/
+               window.localStorage.removeItem("ALF_FORM_DRAFT_FORM_DRAFTS_PAGE");
+               window.localStorage.removeItem("ALF_FORM_DRAFT_FORM_DRAFTS_DIALOG");
+            })
+
+         .then(function() {
+               return TestCommon.loadTestWebScript(this.remote, "/FormDrafts", "Form Drafts Tests");
+            }.bind(this))
+
+         .findByCssSelector(selectors.pageForm.hiddenPrompt)
+            .end();
+      },
+
+      "A draft is saved when the form value changes": function() {
+         return this.remote.findByCssSelector(selectors.pageForm.field)
+            .clearValue()
+            .type("draft")
+            .end()
+
+         .then(function() {
+               return getDraft(this.remote, "FORM_DRAFTS_PAGE");
+            }.bind(this))
+            .then(function(draft) {
+               assert.propertyVal(JSON.parse(draft), "field1", "draft", "Draft was not saved");
+            });
+      },
+
+      "Passwords and excluded fields are not saved in the draft": function() {
+         return this.remote.findByCssSelector(selectors.pageForm.password)
+            .type("topsecret")
+            .end()
+
+         .findByCssSelector(selectors.pageForm.secret)
+            .type("hidden")
+            .end()
+
+         .then(function() {
+               return getDraft(this.remote, "FORM_DRAFTS_PAGE");
+            }.bind(this))
+            .then(function(draft) {
+               var value = JSON.parse(draft);
+               assert.propertyVal(value, "field1", "draft", "Draft was not saved");
+               assert.notProperty(value, "password", "Password should not be saved in the draft");
+               assert.notProperty(value, "secret", "Excluded field should not be saved in the draft");
+               assert.notInclude(draft, "topsecret", "Password value should not be saved in the draft");
+            });
+      },
+
+      "The user is prompted to restore the draft when the page is reloaded": function() {
+         return TestCommon.loadTestWebScript(this.remote, "/FormDrafts", "Form Drafts Tests")
+
+         .findDisplayedByCssSelector(selectors.pageForm.prompt)
+            .end()
+
+         .findByCssSelector(selectors.pageForm.field)
+            .getProperty("value")
+            .then(function(value) {
+               assert.equal(value, "initial", "Draft should not be restored until requested");
+            });
+      },
+
+      "The draft can be restored": function() {
+         return this.remote.findByCssSelector(selectors.pageForm.restore)
+            .click()
+            .end()
+
+         .findByCssSelector(selectors.pageForm.hiddenPrompt)
+            .end()
+
+         .findByCssSelector(selectors.pageForm.field)
+            .getProperty("value")
+            .then(function(value) {
+               assert.equal(value, "draft", "Draft was not restored");
+            });
+      },
+
+      "The draft is removed when the form is submitted": function() {
+         return this.remote.findByCssSelector(selectors.pageForm.ok)
+            .click()
+            .end()
+
+         .getLastPublish("SUBMIT_PAGE_FORM")
+            .then(function(payload) {
+               assert.propertyVal(payload, "field1", "draft", "Restored value was not submitted");
+            })
+
+         .then(function() {
+               return getDraft(this.remote, "FORM_DRAFTS_PAGE");
+            }.bind(this))
+            .then(function(draft) {
+               assert.isNull(draft, "Draft was not removed on submission");
+            });
+      },
+
+      "The draft can be discarded": function() {
+         return this.remote.findByCssSelector(selectors.pageForm.field)
+            .clearValue()
+            .type("discard")
+            .end()
+
+         .then(function() {
+               return TestCommon.loadTestWebScript(this.remote, "/FormDrafts", "Form Drafts Tests");
+            }.bind(this))
+
+         .findDisplayedByCssSelector(selectors.pageForm.discard)
+            .click()
+            .end()
+
+         .findByCssSelector(selectors.pageForm.hiddenPrompt)
+            .end()
+
+         .findByCssSelector(selectors.pageForm.field)
+            .getProperty("value")
+            .then(function(value) {
+               assert.equal(value, "initial", "Discarding the draft should not change the form value");
+            })
+
+         .then(function() {
+               return getDraft(this.remote, "FORM_DRAFTS_PAGE");
+            }.bind(this))
+            .then(function(draft) {
+               assert.isNull(draft, "Draft was not removed when discarded");
+            });
+      },
+
+      "A draft is kept when a form dialog is cancelled": function() {
+         return openDialog(this.remote)
+
+         .findByCssSelector(selectors.dialogForm.hiddenPrompt)
+            .end()
+
+         .findByCssSelector(selectors.dialogForm.field)
+            .type("dialog draft")
+            .end()
+
+         .findById("DRAFT_DIALOG_CANCEL_label")
+            .click()
+            .end()
+
+         .findByCssSelector(selectors.dialog.hidden)
+            .end()
+
+         .then(function() {
+               return openDialog(this.remote);
+            }.bind(this))
+
+         .findDisplayedByCssSelector(selectors.dialogForm.restore)
+            .click()
+            .end()
+
+         .findByCssSelector(selectors.dialogForm.field)
+            .getProperty("value")
+            .then(function(value) {
+               assert.equal(value, "dialog draft", "Draft was not restored in the dialog");
+            });
+      },
+
+      "The draft is removed when the form dialog is confirmed": function() {
+         return this.remote.findById("DRAFT_DIALOG_OK_label")
+            .click()
+            .end()
+
+         .getLastPublish("SUBMIT_DIALOG_FORM")
+            .then(function(payload) {
+               assert.propertyVal(payload, "field2", "dialog draft", "Restored value was not submitted");
+            })
+
+         .findByCssSelector(selectors.dialog.hidden)
+            .end()
+
+         .then(function() {
+               return openDialog(this.remote);
+            }.bind(this))
+
+         .findByCssSelector(selectors.dialogForm.hiddenPrompt)
+            .end()
+
+         .then(function() {
+               return getDraft(this.remote, "FORM_DRAFTS_DIALOG");
+            }.bind(this))
+            .then(function(draft) {
+               assert.isNull(draft, "Draft was not removed when the dialog was confirmed");
+            });
+      }
+   });
+});
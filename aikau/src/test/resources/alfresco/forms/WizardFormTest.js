@@ -0,0 +1,230 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * This test assesses the navigation, validation, step skipping and submission of the WizardForm.
+ *
+ * @author Dave Draper
+ */
+define(["module",
+        "alfresco/defineSuite",
+        "intern/chai!assert",
+        "alfresco/TestCommon"],
+        function(module, defineSuite, assert, TestCommon) {
+
+   var wizardSelectors = TestCommon.getTestSelectors("alfresco/forms/WizardForm");
+   var formSelectors = TestCommon.getTestSelectors("alfresco/forms/Form");
+   var textBoxSelectors = TestCommon.getTestSelectors("alfresco/forms/controls/TextBox");
+   var checkBoxSelectors = TestCommon.getTestSelectors("alfresco/forms/controls/CheckBox");
+
+   var selectors = {
+      wizard: {
+         currentStep: TestCommon.getTestSelector(wizardSelectors, "current.step", ["WIZARD"]),
+         currentProgressStep: TestCommon.getTestSelector(wizardSelectors, "current.progress.step", ["WIZARD"]),
+         skippedProgressSteps: TestCommon.getTestSelector(wizardSelectors, "skipped.progress.steps", ["WIZARD"]),
+         progressSteps: TestCommon.getTestSelector(wizardSelectors, "progress.steps", ["WIZARD"]),
+         back: TestCommon.getTestSelector(wizardSelectors, "back.button", ["WIZARD"]),
+         disabledBack: TestCommon.getTestSelector(wizardSelectors, "back.button.disabled", ["WIZARD"]),
+         next: TestCommon.getTestSelector(wizardSelectors, "next.button", ["WIZARD"]),
+         disabledNext: TestCommon.getTestSelector(wizardSelectors, "next.button.disabled", ["WIZARD"]),
+         finish: TestCommon.getTestSelector(formSelectors, "confirmation.button", ["WIZARD"])
+      },
+      name: TestCommon.getTestSelector(textBoxSelectors, "input", ["NAME"]),
+      business: TestCommon.getTestSelector(checkBoxSelectors, "checkbox", ["BUSINESS"]),
+      company: TestCommon.getTestSelector(textBoxSelectors, "input", ["COMPANY"]),
+      email: TestCommon.getTestSelector(textBoxSelectors, "input", ["EMAIL"])
+   };
+
+   // Checks the id of the step currently displayed and the title highlighted in the progress indicator...
+   var checkCurrentStep = function(browser, stepId, title) {
+      return browser.findByCssSelector(selectors.wizard.currentStep)
+            .getAttribute("id")
+            .then(function(id) {
+               assert.equal(id, stepId, "Unexpected step displayed");
+            })
+            .end()
+
+         .findByCssSelector(selectors.wizard.currentProgressStep)
+            .getVisibleText()
+            .then(function(text) {
+               assert.include(text, title, "Unexpected step highlighted in progress indicator");
+            })
+            .end();
+   };
+
+   defineSuite(module, {
+      name: "Wizard Form Tests",
+      testPage: "/WizardForm",
+
+      "The first step is displayed with all steps in the progress indicator": function() {
+         return checkCurrentStep(this.remote, "ACCOUNT_STEP", "Account")
+
+         .findAllByCssSelector(selectors.wizard.progressSteps)
+            .then(function(elements) {
+               assert.lengthOf(elements, 3, "All steps should be shown in the progress indicator");
+            })
+            .end()
+
+         .findAllByCssSelector(selectors.wizard.skippedProgressSteps)
+            .then(function(elements) {
+               assert.lengthOf(elements, 1, "The company step should initially be skipped");
+            })
+            .end()
+
+         .findByCssSelector(selectors.wizard.disabledBack)
+            .end()
+
+         .findDisplayedByCssSelector(selectors.wizard.next)
+            .end()
+
+         .findByCssSelector(selectors.wizard.finish)
+            .isDisplayed()
+            .then(function(displayed) {
+               assert.isFalse(displayed, "The finish button should not be displayed on the first step");
+            });
+      },
+
+      "Cannot advance until the current step is valid": function() {
+         return this.remote.findByCssSelector(selectors.wizard.disabledNext)
+            .end()
+
+         .findByCssSelector(selectors.wizard.next)
+            .click()
+            .end()
+
+         .then(function() {
+               return checkCurrentStep(this.remote, "ACCOUNT_STEP", "Account");
+            }.bind(this));
+      },
+
+      "Skipped steps are not displayed when advancing": function() {
+         return this.remote.findByCssSelector(selectors.name)
+            .type("Bob")
+            .end()
+
+         .findByCssSelector(selectors.wizard.next)
+            .click()
+            .end()
+
+         .then(function() {
+               return checkCurrentStep(this.remote, "CONTACT_STEP", "Contact");
+            }.bind(this))
+
+         .findDisplayedByCssSelector(selectors.wizard.finish)
+            .end()
+
+         .findByCssSelector(selectors.wizard.next)
+            .isDisplayed()
+            .then(function(displayed) {
+               assert.isFalse(displayed, "The next button should not be displayed on the last step");
+            });
+      },
+
+      "Steps are displayed when their rules are met": function() {
+         return this.remote.findByCssSelector(selectors.wizard.back)
+            .click()
+            .end()
+
+         .then(function() {
+               return checkCurrentStep(this.remote, "ACCOUNT_STEP", "Account");
+            }.bind(this))
+
+         .findByCssSelector(selectors.business)
+            .click()
+            .end()
+
+         .findAllByCssSelector(selectors.wizard.skippedProgressSteps)
+            .then(function(elements) {
+               assert.lengthOf(elements, 0, "The company step should no longer be skipped");
+            })
+            .end()
+
+         .findByCssSelector(selectors.wizard.next)
+            .click()
+            .end()
+
+         .then(function() {
+               return checkCurrentStep(this.remote, "COMPANY_STEP", "Company");
+            }.bind(this))
+
+         .findByCssSelector(selectors.wizard.disabledNext)
+            .end();
+      },
+
+      "The merged value of all steps is submitted": function() {
+         return this.remote.findByCssSelector(selectors.company)
+            .type("Acme")
+            .end()
+
+         .findByCssSelector(selectors.wizard.next)
+            .click()
+            .end()
+
+         .findByCssSelector(selectors.email)
+            .type("bob@example.com")
+            .end()
+
+         .findByCssSelector(selectors.wizard.finish)
+            .click()
+            .end()
+
+         .getLastPublish("WIZARD_SUBMITTED")
+            .then(function(payload) {
+               assert.propertyVal(payload, "name", "Bob");
+               assert.propertyVal(payload, "business", true);
+               assert.propertyVal(payload, "company", "Acme");
+               assert.propertyVal(payload, "email", "bob@example.com");
+            });
+      },
+
+      "Values from skipped steps are not submitted": function() {
+         return this.remote.findByCssSelector(selectors.wizard.back)
+            .click()
+            .end()
+
+         .findByCssSelector(selectors.wizard.back)
+            .click()
+            .end()
+
+         .findByCssSelector(selectors.business)
+            .click()
+            .end()
+
+         .findByCssSelector(selectors.wizard.next)
+            .click()
+            .end()
+
+         .then(function() {
+               return checkCurrentStep(this.remote, "CONTACT_STEP", "Contact");
+            }.bind(this))
+
+         .clearLog()
+
+         .findByCssSelector(selectors.wizard.finish)
+            .click()
+            .end()
+
+         .getLastPublish("WIZARD_SUBMITTED")
+            .then(function(payload) {
+               assert.propertyVal(payload, "name", "Bob");
+               assert.notProperty(payload, "company", "Value from skipped step was submitted");
+            });
+      }
+   });
+});
@@ -65,6 +65,165 @@ define(["module",
             .then(function(href) {
                assert.notEqual(href, "javascript:alert('xss')");
             });
+      },
+
+      "Heading ids are prefixed with the widget id": function() {
+         return this.remote.findDisplayedByCssSelector("#MARKDOWN_EXTENSIONS h1#MARKDOWN_EXTENSIONS_extensions");
+      },
+
+      "Headings have anchors": function() {
+         return this.remote.findByCssSelector("#MARKDOWN_EXTENSIONS_extensions .alfresco-html-Markdown__anchor")
+            .getAttribute("href")
+            .then(function(href) {
+               assert.include(href, "#MARKDOWN_EXTENSIONS_extensions");
+            });
+      },
+
+      "Raw HTML heading ids without the prefix are removed": function() {
+         return this.remote.findAllByCssSelector("#alfDomClobber")
+            .then(function(elements) {
+               assert.lengthOf(elements, 0, "Unprefixed heading id was not removed");
+            })
+            .end()
+
+         .execute(function() {
+            /*globals window*/
+            return typeof window.alfDomClobber;
+         })
+            .then(function(type) {
+               assert.equal(type, "undefined", "Heading id was added as a global variable");
+            })
+
+         .findDisplayedByCssSelector("#MARKDOWN_EXTENSIONS h2#MARKDOWN_EXTENSIONS_raw");
+      },
+
+      "Tables are rendered with alignment": function() {
+         return this.remote.findAllByCssSelector("#MARKDOWN_EXTENSIONS table th")
+            .then(function(elements) {
+               assert.lengthOf(elements, 2);
+            })
+            .end()
+
+         .findByCssSelector("#MARKDOWN_EXTENSIONS table td:last-child")
+            .getComputedStyle("text-align")
+            .then(function(textAlign) {
+               assert.equal(textAlign, "right");
+            });
+      },
+
+      "Task lists are rendered with read-only checkboxes": function() {
+         return this.remote.findAllByCssSelector("#MARKDOWN_EXTENSIONS .task-list-item input[type=checkbox]")
+            .then(function(elements) {
+               assert.lengthOf(elements, 2);
+            })
+            .end()
+
+         .findByCssSelector("#MARKDOWN_EXTENSIONS .task-list-item input[type=checkbox]")
+            .isSelected()
+            .then(function(selected) {
+               assert.isTrue(selected);
+            })
+            .end()
+
+         .findByCssSelector("#MARKDOWN_EXTENSIONS .task-list-item input[type=checkbox]")
+            .isEnabled()
+            .then(function(enabled) {
+               assert.isFalse(enabled);
+            });
+      },
+
+      "Inputs other than task list checkboxes are removed": function() {
+         return this.remote.findAllByCssSelector("#MARKDOWN_EXTENSIONS input[type=password]")
+            .then(function(elements) {
+               assert.lengthOf(elements, 0, "Password input was rendered");
+            })
+            .end()
+
+         .findAllByCssSelector("#MARKDOWN_EXTENSIONS input")
+            .then(function(elements) {
+               assert.lengthOf(elements, 2, "Only the task list checkboxes should be rendered");
+            });
+      },
+
+      "Fenced code is highlighted": function() {
+         return this.remote.findByCssSelector("#MARKDOWN_EXTENSIONS code .alfresco-html-Markdown__comment")
+            .getVisibleText()
+            .then(function(text) {
+               assert.equal(text, "// Comment");
+            })
+            .end()
+
+         .findAllByCssSelector("#MARKDOWN_EXTENSIONS code .alfresco-html-Markdown__keyword")
+            .then(function(elements) {
+               assert.lengthOf(elements, 2, "Expected 'var' and 'return' to be highlighted");
+            })
+            .end()
+
+         .findByCssSelector("#MARKDOWN_EXTENSIONS code .alfresco-html-Markdown__string")
+            .getVisibleText()
+            .then(function(text) {
+               assert.equal(text, "\"text\"");
+            })
+            .end()
+
+         .findByCssSelector("#MARKDOWN_EXTENSIONS code .alfresco-html-Markdown__number")
+            .getVisibleText()
+            .then(function(text) {
+               assert.equal(text, "42");
+            });
+      },
+
+      "Unsafe HTML is removed": function() {
+         return this.remote.findByCssSelector("#MARKDOWN_EXTENSIONS img")
+            .getAttribute("onerror")
+            .then(function(onerror) {
+               assert.isNull(onerror);
+            })
+            .end()
+
+         .findAllByCssSelector("#MARKDOWN_EXTENSIONS script, #MARKDOWN_EXTENSIONS iframe")
+            .then(function(elements) {
+               assert.lengthOf(elements, 0);
+            })
+            .end()
+
+         .execute(function() {
+            /*globals window*/
+            return window.xssAttempted;
+         })
+            .then(function(xssAttempted) {
+               assert.isNotTrue(xssAttempted);
+            });
+      },
+
+      "Only allowed styles are kept": function() {
+         return this.remote.findByCssSelector("#MARKDOWN_EXTENSIONS div > b")
+            .getAttribute("style")
+            .then(function(style) {
+               assert.notInclude(style, "color");
+               assert.include(style, "text-align");
+            });
+      },
+
+      "Extensions can be disabled": function() {
+         return this.remote.findAllByCssSelector("#MARKDOWN_NO_EXTENSIONS h1[id], #MARKDOWN_NO_EXTENSIONS .alfresco-html-Markdown__anchor")
+            .then(function(elements) {
+               assert.lengthOf(elements, 0, "Unexpected heading anchors");
+            })
+            .end()
+
+         .findAllByCssSelector("#MARKDOWN_NO_EXTENSIONS input, #MARKDOWN_NO_EXTENSIONS code span")
+            .then(function(elements) {
+               assert.lengthOf(elements, 0, "Unexpected task list checkboxes or code highlighting");
+            });
+      },
+
+      "Additional URL schemes can be allowed": function() {
+         return this.remote.findByCssSelector("#MARKDOWN_NO_EXTENSIONS a")
+            .getAttribute("href")
+            .then(function(href) {
+               assert.include(href, "data:text/html");
+            });
       }
    });
 });
\ No newline at end of file
@@ -0,0 +1,199 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * @author Dave Draper
+ */
+define(["module",
+        "alfresco/defineSuite",
+        "intern/chai!assert",
+        "alfresco/TestCommon"],
+        function(module, defineSuite, assert, TestCommon) {
+
+   var rowSelectors = TestCommon.getTestSelectors("alfresco/lists/views/layouts/Row");
+   var selectors = {
+      rows: {
+         all: TestCommon.getTestSelector(rowSelectors, "row")
+      }
+   };
+
+   // Gets the indices currently rendered in the list
+   var getRenderedIndices = function(browser) {
+      return browser.findAllByCssSelector("#LIST " + selectors.rows.all + " .alfresco-renderers-Property")
+         .getVisibleText();
+   };
+
+   defineSuite(module, {
+      name: "Cursor Pagination Tests",
+      testPage: "/CursorPagination",
+
+      "First page is requested without a cursor": function() {
+         return this.remote.getLastPublish("ALF_RETRIEVE_DOCUMENTS_REQUEST")
+            .then(function(payload) {
+               assert.propertyVal(payload, "cursor", null);
+               assert.propertyVal(payload, "pageSize", 10);
+               assert.notProperty(payload, "page");
+            })
+         .end()
+
+         .getLastPublish("CURSOR_ALF_DOCLIST_DOCUMENTS_LOADED")
+            .then(function(payload) {
+               assert.propertyVal(payload, "useCursorPagination", true);
+               assert.propertyVal(payload, "nextCursor", "cursor-10");
+               assert.propertyVal(payload, "previousCursor", null);
+            })
+         .end()
+
+         .then(function() {
+            return getRenderedIndices(this.parent);
+         })
+         .then(function(indices) {
+            assert.deepEqual(indices, ["1","2","3","4","5","6","7","8","9","10"]);
+         });
+      },
+
+      "Only back and forward controls are rendered": function() {
+         return this.remote.findAllByCssSelector("#PAGINATOR_PAGE_MARKER, #PAGINATOR_PAGE_SELECTOR")
+            .then(function(elements) {
+               assert.lengthOf(elements, 0, "Page numbers should not be rendered");
+            })
+         .end()
+
+         .findDisplayedById("PAGINATOR_RESULTS_PER_PAGE_SELECTOR")
+         .end()
+
+         .findAllByCssSelector("#PAGINATOR_PAGE_BACK.dijitDisabled")
+            .then(function(elements) {
+               assert.lengthOf(elements, 1, "Back should be disabled on the first page");
+            })
+         .end()
+
+         .findAllByCssSelector("#PAGINATOR_PAGE_FORWARD.dijitDisabled")
+            .then(function(elements) {
+               assert.lengthOf(elements, 0, "Forward should be enabled when there is a next cursor");
+            });
+      },
+
+      "Go forward to the next cursor": function() {
+         return this.remote.findById("PAGINATOR_PAGE_FORWARD")
+            .clearLog()
+            .click()
+         .end()
+
+         .getLastPublish("ALF_RETRIEVE_DOCUMENTS_REQUEST")
+            .then(function(payload) {
+               assert.propertyVal(payload, "cursor", "cursor-10");
+            })
+         .end()
+
+         .getLastPublish("CURSOR_ALF_DOCLIST_DOCUMENTS_LOADED")
+         .end()
+
+         .then(function() {
+            return getRenderedIndices(this.parent);
+         })
+         .then(function(indices) {
+            assert.deepEqual(indices, ["11","12","13","14","15","16","17","18","19","20"]);
+         })
+
+         .findAllByCssSelector("#PAGINATOR_PAGE_BACK.dijitDisabled")
+            .then(function(elements) {
+               assert.lengthOf(elements, 0, "Back should be enabled when there is a previous cursor");
+            });
+      },
+
+      "Forward is disabled on the last page": function() {
+         return this.remote.findById("PAGINATOR_PAGE_FORWARD")
+            .clearLog()
+            .click()
+         .end()
+
+         .getLastPublish("CURSOR_ALF_DOCLIST_DOCUMENTS_LOADED")
+            .then(function(payload) {
+               assert.propertyVal(payload, "nextCursor", null);
+               assert.propertyVal(payload, "previousCursor", "cursor-10");
+            })
+         .end()
+
+         .then(function() {
+            return getRenderedIndices(this.parent);
+         })
+         .then(function(indices) {
+            assert.deepEqual(indices, ["21","22","23","24","25"]);
+         })
+
+         .findAllByCssSelector("#PAGINATOR_PAGE_FORWARD.dijitDisabled")
+            .then(function(elements) {
+               assert.lengthOf(elements, 1, "Forward should be disabled when there is no next cursor");
+            });
+      },
+
+      "Go back to the previous cursor": function() {
+         return this.remote.findById("PAGINATOR_PAGE_BACK")
+            .clearLog()
+            .click()
+         .end()
+
+         .getLastPublish("ALF_RETRIEVE_DOCUMENTS_REQUEST")
+            .then(function(payload) {
+               assert.propertyVal(payload, "cursor", "cursor-10");
+            })
+         .end()
+
+         .getLastPublish("CURSOR_ALF_DOCLIST_DOCUMENTS_LOADED")
+         .end()
+
+         .then(function() {
+            return getRenderedIndices(this.parent);
+         })
+         .then(function(indices) {
+            assert.deepEqual(indices, ["11","12","13","14","15","16","17","18","19","20"]);
+         });
+      },
+
+      "Changing the sort order resets the cursor": function() {
+         return this.remote.findById("SORT_DESCENDING_label")
+            .clearLog()
+            .click()
+         .end()
+
+         .getLastPublish("ALF_RETRIEVE_DOCUMENTS_REQUEST")
+            .then(function(payload) {
+               assert.propertyVal(payload, "cursor", null);
+               assert.propertyVal(payload, "sortAscending", false);
+            })
+         .end()
+
+         .getLastPublish("CURSOR_ALF_DOCLIST_DOCUMENTS_LOADED")
+         .end()
+
+         .then(function() {
+            return getRenderedIndices(this.parent);
+         })
+         .then(function(indices) {
+            assert.deepEqual(indices, ["25","24","23","22","21","20","19","18","17","16"]);
+         })
+
+         .findAllByCssSelector("#PAGINATOR_PAGE_BACK.dijitDisabled")
+            .then(function(elements) {
+               assert.lengthOf(elements, 1, "Back should be disabled after returning to the first page");
+            });
+      }
+   });
+});
@@ -0,0 +1,191 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * @author Dave Draper
+ */
+define(["module",
+        "alfresco/defineSuite",
+        "intern/chai!assert",
+        "require"],
+        function(module, defineSuite, assert, require) {
+
+   // The columns and items used for checking the content of generated files
+   var exportColumns = [
+      { label: "Name", property: "name" },
+      { label: "Total", property: "total" }
+   ];
+   var exportItems = [
+      { name: "=SUM(A1:A2)", total: -5 },
+      { name: "+1", total: 3 },
+      { name: "@cmd", total: 0 },
+      { name: "<b>Tom & \"Jerry\"</b>\u0001", total: 42 }
+   ];
+
+   defineSuite(module, {
+      name: "List Export Tests",
+      testPage: "/ListExport",
+
+      "Export menu contains an item for each format and page option": function() {
+         return this.remote.findById("PAGED_EXPORT_text")
+            .click()
+         .end()
+
+         .findDisplayedById("PAGED_EXPORT_CURRENT_PAGE_CSV_text")
+         .end()
+
+         .findDisplayedById("PAGED_EXPORT_CURRENT_PAGE_JSON_text")
+         .end()
+
+         .findDisplayedById("PAGED_EXPORT_ALL_PAGES_XLSX_text")
+         .end()
+
+         .findDisplayedById("PAGED_EXPORT_ALL_PAGES_CSV_text")
+            .getVisibleText()
+            .then(function(text) {
+               assert.equal(text, "CSV");
+            });
+      },
+
+      "Export the current page as CSV": function() {
+         return this.remote.findById("PAGED_EXPORT_CURRENT_PAGE_CSV_text")
+            .click()
+         .end()
+
+         .getLastPublish("PAGED_ALF_LIST_DATA_EXPORTED")
+            .then(function(payload) {
+               assert.propertyVal(payload, "format", "CSV");
+               assert.propertyVal(payload, "fileName", "paged.csv");
+               assert.propertyVal(payload, "itemCount", 10);
+               assert.deepEqual(payload.columns, ["Index"]);
+            });
+      },
+
+      "Export all pages as XLSX": function() {
+         return this.remote.findById("PAGED_EXPORT_text")
+            .clearLog()
+            .click()
+         .end()
+
+         .findDisplayedById("PAGED_EXPORT_ALL_PAGES_XLSX_text")
+            .click()
+         .end()
+
+         .getLastPublish("PAGED_ALF_LIST_DATA_EXPORTED")
+            .then(function(payload) {
+               assert.propertyVal(payload, "format", "XLSX");
+               assert.propertyVal(payload, "fileName", "paged.xlsx");
+               assert.propertyVal(payload, "itemCount", 243);
+            })
+         .end()
+
+         .getAllPublishes("ALF_RETRIEVE_DOCUMENTS_REQUEST")
+            .then(function(payloads) {
+               assert.lengthOf(payloads, 3, "Unexpected number of export page requests");
+               assert.deepEqual(payloads.map(function(payload) {
+                  return payload.page;
+               }), [1, 2, 3]);
+               assert.propertyVal(payloads[0], "pageSize", 100);
+            });
+      },
+
+      "Displayed page is not changed by exporting all pages": function() {
+         return this.remote.findAllByCssSelector("#PAGED_LIST .alfresco-lists-views-layouts-Row")
+            .then(function(elements) {
+               assert.lengthOf(elements, 10);
+            });
+      },
+
+      "Only exportable header columns are exported from local data": function() {
+         return this.remote.findById("LOCAL_EXPORT_text")
+            .click()
+         .end()
+
+         .findAllByCssSelector("#LOCAL_EXPORT_CURRENT_PAGE_JSON_text")
+            .then(function(elements) {
+               assert.lengthOf(elements, 0, "Current page options should not be rendered");
+            })
+         .end()
+
+         .findDisplayedById("LOCAL_EXPORT_ALL_PAGES_JSON_text")
+            .click()
+         .end()
+
+         .getLastPublish("LOCAL_ALF_LIST_DATA_EXPORTED")
+            .then(function(payload) {
+               assert.propertyVal(payload, "format", "JSON");
+               assert.propertyVal(payload, "fileName", "export.json");
+               assert.propertyVal(payload, "itemCount", 3);
+               assert.deepEqual(payload.columns, ["Name", "Age", "City"]);
+            });
+      },
+
+      "CSV export escapes values that could be evaluated as formulas": function() {
+         return this.remote.setExecuteAsyncTimeout(5000)
+            .executeAsync(function(columns, items, callback) {
+               require(["alfresco/util/exportUtils"], function(exportUtils) {
+                  callback(exportUtils.createExportFile("CSV", columns, items).content);
+               });
+            }, [exportColumns, exportItems])
+            .then(function(content) {
+               assert.equal(content, "\ufeff\"Name\",\"Total\"\r\n" +
+                  "\"'=SUM(A1:A2)\",\"-5\"\r\n" +
+                  "\"'+1\",\"3\"\r\n" +
+                  "\"'@cmd\",\"0\"\r\n" +
+                  "\"<b>Tom & \"\"Jerry\"\"</b>\u0001\",\"42\"");
+            });
+      },
+
+      "XLSX export contains the workbook entries with encoded values": function() {
+         return this.remote.setExecuteAsyncTimeout(5000)
+            .executeAsync(function(columns, items, callback) {
+               require(["alfresco/util/exportUtils"], function(exportUtils) {
+                  // Read the name and (uncompressed) content of each local file entry in the ZIP...
+                  var zip = exportUtils.createExportFile("XLSX", columns, items).content,
+                     view = new DataView(zip.buffer),
+                     entries = [],
+                     offset = 0;
+                  while (view.getUint32(offset, true) === 0x04034b50)
+                  {
+                     var size = view.getUint32(offset + 18, true),
+                        nameStart = offset + 30,
+                        contentStart = nameStart + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+                     entries.push({
+                        name: String.fromCharCode.apply(null, zip.subarray(nameStart, contentStart)),
+                        content: String.fromCharCode.apply(null, zip.subarray(contentStart, contentStart + size))
+                     });
+                     offset = contentStart + size;
+                  }
+                  callback(entries);
+               });
+            }, [exportColumns, exportItems])
+            .then(function(entries) {
+               assert.deepEqual(entries.map(function(entry) {
+                  return entry.name;
+               }), ["[Content_Types].xml", "_rels/.rels", "xl/workbook.xml", "xl/_rels/workbook.xml.rels", "xl/worksheets/sheet1.xml"]);
+
+               var sheet = entries[4].content;
+               assert.include(sheet, "<c r=\"A5\" t=\"inlineStr\"><is><t xml:space=\"preserve\">&lt;b&gt;Tom &amp; &quot;Jerry&quot;&lt;/b&gt;</t></is></c>", "Text was not encoded");
+               assert.include(sheet, "<c r=\"B5\"><v>42</v></c>", "Number was not written as a number");
+               assert.include(sheet, "<t xml:space=\"preserve\">=SUM(A1:A2)</t>", "Formula text should be written as an inline string");
+               assert.notInclude(sheet, "\u0001", "Invalid XML characters were not removed");
+            });
+      }
+   });
+});
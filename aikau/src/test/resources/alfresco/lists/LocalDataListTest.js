@@ -0,0 +1,176 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * @author Dave Draper
+ */
+define(["module",
+        "alfresco/defineSuite",
+        "intern/chai!assert",
+        "alfresco/TestCommon"],
+        function(module, defineSuite, assert, TestCommon) {
+
+   var rowSelectors = TestCommon.getTestSelectors("alfresco/lists/views/layouts/Row");
+   var headerCellSelectors = TestCommon.getTestSelectors("alfresco/lists/views/layouts/HeaderCell");
+   var selectors = {
+      rows: {
+         all: TestCommon.getTestSelector(rowSelectors, "row")
+      },
+      headers: {
+         filteredSize: TestCommon.getTestSelector(headerCellSelectors, "label", ["FILTERED_SIZE_HEADER"]),
+         groupedSize: TestCommon.getTestSelector(headerCellSelectors, "label", ["GROUPED_SIZE_HEADER"])
+      }
+   };
+
+   // Gets the selector for the name cells of the rows in the requested list
+   var getNameCellsSelector = function(listId) {
+      return "#" + listId + " " + selectors.rows.all + " td:first-child";
+   };
+
+   defineSuite(module, {
+      name: "Local Data List Tests",
+      testPage: "/LocalDataList",
+
+      "No data requests are published": function() {
+         return this.remote.getAllPublishes("ALF_RETRIEVE_DOCUMENTS_REQUEST")
+            .then(function(payloads) {
+               assert.lengthOf(payloads, 0, "Lists using local data should not request data");
+            });
+      },
+
+      "First page is sorted by name": function() {
+         return this.remote.findAllByCssSelector(getNameCellsSelector("FILTERED_LIST"))
+            .getVisibleText()
+            .then(function(names) {
+               assert.deepEqual(names, ["Alice", "Bob", "Charlie", "Diana", "Edward"]);
+            })
+         .end()
+
+         .findByCssSelector("#FILTERED_PAGINATOR_PAGE_SELECTOR_text")
+            .getVisibleText()
+            .then(function(visibleText) {
+               assert.equal(visibleText, "1-5 of 8");
+            });
+      },
+
+      "Sort by size using header cell": function() {
+         return this.remote.findByCssSelector(selectors.headers.filteredSize)
+            .clearLog()
+            .click()
+         .end()
+
+         .getLastPublish("FILTERED_ALF_DOCLIST_DOCUMENTS_LOADED")
+         .end()
+
+         .findAllByCssSelector(getNameCellsSelector("FILTERED_LIST"))
+            .getVisibleText()
+            .then(function(names) {
+               assert.deepEqual(names, ["Edward", "Bob", "Hannah", "Diana", "Alice"]);
+            });
+      },
+
+      "Reverse size sort": function() {
+         return this.remote.findByCssSelector(selectors.headers.filteredSize)
+            .clearLog()
+            .click()
+         .end()
+
+         .getLastPublish("FILTERED_ALF_DOCLIST_DOCUMENTS_LOADED")
+         .end()
+
+         .findAllByCssSelector(getNameCellsSelector("FILTERED_LIST"))
+            .getVisibleText()
+            .then(function(names) {
+               assert.deepEqual(names, ["George", "Charlie", "Fiona", "Alice", "Diana"]);
+            });
+      },
+
+      "Go to second page": function() {
+         return this.remote.findByCssSelector("#FILTERED_PAGINATOR_PAGE_FORWARD")
+            .clearLog()
+            .click()
+         .end()
+
+         .getLastPublish("FILTERED_ALF_DOCLIST_DOCUMENTS_LOADED")
+            .then(function(payload) {
+               assert.propertyVal(payload, "startIndex", 5);
+               assert.propertyVal(payload, "totalRecords", 8);
+            })
+         .end()
+
+         .findAllByCssSelector(getNameCellsSelector("FILTERED_LIST"))
+            .getVisibleText()
+            .then(function(names) {
+               assert.deepEqual(names, ["Hannah", "Bob", "Edward"]);
+            });
+      },
+
+      "Filter by name": function() {
+         return this.remote.findByCssSelector("#FILTERED_TEXTBOX .dijitInputContainer input")
+            .clearLog()
+            .type("AN")
+         .end()
+
+         // Use the implicit wait for the filter delay to ensure that the filtered results have been rendered
+         .getLastPublish("FILTERED_ALF_DOCLIST_DOCUMENTS_LOADED", 1500)
+            .then(function(payload) {
+               assert.propertyVal(payload, "startIndex", 0);
+               assert.propertyVal(payload, "totalRecords", 2);
+            })
+         .end()
+
+         .findAllByCssSelector(getNameCellsSelector("FILTERED_LIST"))
+            .getVisibleText()
+            .then(function(names) {
+               assert.deepEqual(names, ["Diana", "Hannah"]);
+            })
+         .end()
+
+         .findByCssSelector("#FILTERED_PAGINATOR_PAGE_SELECTOR_text")
+            .getVisibleText()
+            .then(function(visibleText) {
+               assert.equal(visibleText, "1-2 of 2");
+            });
+      },
+
+      "Items are grouped by site and sorted by size": function() {
+         return this.remote.findAllByCssSelector(getNameCellsSelector("GROUPED_LIST"))
+            .getVisibleText()
+            .then(function(names) {
+               assert.deepEqual(names, ["Bob", "Diana", "George", "Edward", "Hannah", "Alice", "Fiona", "Charlie"]);
+            });
+      },
+
+      "Sorting is applied within groups": function() {
+         return this.remote.findByCssSelector(selectors.headers.groupedSize)
+            .clearLog()
+            .click()
+         .end()
+
+         .getLastPublish("GROUPED_ALF_DOCLIST_DOCUMENTS_LOADED")
+         .end()
+
+         .findAllByCssSelector(getNameCellsSelector("GROUPED_LIST"))
+            .getVisibleText()
+            .then(function(names) {
+               assert.deepEqual(names, ["George", "Diana", "Bob", "Alice", "Hannah", "Edward", "Charlie", "Fiona"]);
+            });
+      }
+   });
+});
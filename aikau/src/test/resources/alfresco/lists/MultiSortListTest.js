@@ -0,0 +1,262 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * @author Dave Draper
+ */
+define(["module",
+        "alfresco/defineSuite",
+        "intern/chai!assert",
+        "alfresco/TestCommon",
+        "intern/dojo/node!leadfoot/keys"],
+        function(module, defineSuite, assert, TestCommon, keys) {
+
+   var rowSelectors = TestCommon.getTestSelectors("alfresco/lists/views/layouts/Row");
+   var headerCellSelectors = TestCommon.getTestSelectors("alfresco/lists/views/layouts/HeaderCell");
+   var menuBarSelectSelectors = TestCommon.getTestSelectors("alfresco/menus/AlfMenuBarSelect");
+   var checkableMenuItemSelectors = TestCommon.getTestSelectors("alfresco/menus/AlfCheckableMenuItem");
+   var selectors = {
+      rows: {
+         all: TestCommon.getTestSelector(rowSelectors, "row")
+      },
+      headers: {
+         name: TestCommon.getTestSelector(headerCellSelectors, "label", ["HEADER_NAME_HEADER"]),
+         size: TestCommon.getTestSelector(headerCellSelectors, "label", ["HEADER_SIZE_HEADER"]),
+         nameIndex: TestCommon.getTestSelector(headerCellSelectors, "sort.index", ["HEADER_NAME_HEADER"]),
+         siteIndex: TestCommon.getTestSelector(headerCellSelectors, "sort.index", ["HEADER_SITE_HEADER"]),
+         sizeIndex: TestCommon.getTestSelector(headerCellSelectors, "sort.index", ["HEADER_SIZE_HEADER"]),
+         hashSite: TestCommon.getTestSelector(headerCellSelectors, "label", ["HASH_SITE_HEADER"]),
+         hashSiteIndex: TestCommon.getTestSelector(headerCellSelectors, "sort.index", ["HASH_SITE_HEADER"]),
+         hashSizeIndex: TestCommon.getTestSelector(headerCellSelectors, "sort.index", ["HASH_SIZE_HEADER"]),
+         hashSizeDescending: TestCommon.getTestSelector(headerCellSelectors, "descending.indicator", ["HASH_SIZE_HEADER"])
+      },
+      sortFieldSelect: {
+         label: TestCommon.getTestSelector(menuBarSelectSelectors, "label", ["SORT_FIELD_SELECT"]),
+         site: TestCommon.getTestSelector(checkableMenuItemSelectors, "item.label", ["SORT_FIELD_SELECT_SITE"]),
+         size: TestCommon.getTestSelector(checkableMenuItemSelectors, "item.label", ["SORT_FIELD_SELECT_SIZE"]),
+         sizeChecked: TestCommon.getTestSelector(checkableMenuItemSelectors, "checked.item", ["SORT_FIELD_SELECT_SIZE"])
+      }
+   };
+
+   // Gets the selector for the name cells of the rows in the requested list
+   var getNameCellsSelector = function(listId) {
+      return "#" + listId + " " + selectors.rows.all + " td:first-child";
+   };
+
+   defineSuite(module, {
+      name: "Multi Sort List Tests (header cells and sort field select)",
+      testPage: "/MultiSortList",
+
+      "Shift-click adds a header to the sort": function() {
+         return this.remote.findByCssSelector(selectors.headers.size)
+            .clearLog()
+            .pressKeys(keys.SHIFT)
+            .click()
+            .pressKeys(keys.NULL)
+         .end()
+
+         .getLastPublish("HEADER_ALF_DOCLIST_DOCUMENTS_LOADED")
+         .end()
+
+         .findAllByCssSelector(getNameCellsSelector("HEADER_LIST"))
+            .getVisibleText()
+            .then(function(names) {
+               assert.deepEqual(names, ["Bob", "Diana", "George", "Edward", "Hannah", "Alice", "Fiona", "Charlie"]);
+            });
+      },
+
+      "Sort positions are displayed": function() {
+         return this.remote.findDisplayedByCssSelector(selectors.headers.siteIndex)
+            .getVisibleText()
+            .then(function(visibleText) {
+               assert.equal(visibleText, "1");
+            })
+         .end()
+
+         .findDisplayedByCssSelector(selectors.headers.sizeIndex)
+            .getVisibleText()
+            .then(function(visibleText) {
+               assert.equal(visibleText, "2");
+            })
+         .end()
+
+         .findByCssSelector(selectors.headers.nameIndex)
+            .isDisplayed()
+            .then(function(displayed) {
+               assert.isFalse(displayed, "Name should not be shown as a sort field");
+            });
+      },
+
+      "Shift-click on a sorted header reverses its direction": function() {
+         return this.remote.findByCssSelector(selectors.headers.size)
+            .clearLog()
+            .pressKeys(keys.SHIFT)
+            .click()
+            .pressKeys(keys.NULL)
+         .end()
+
+         .getLastPublish("HEADER_ALF_DOCLIST_DOCUMENTS_LOADED")
+         .end()
+
+         .findAllByCssSelector(getNameCellsSelector("HEADER_LIST"))
+            .getVisibleText()
+            .then(function(names) {
+               assert.deepEqual(names, ["George", "Diana", "Bob", "Alice", "Hannah", "Edward", "Charlie", "Fiona"]);
+            });
+      },
+
+      "Click without shift sorts on a single field": function() {
+         return this.remote.findByCssSelector(selectors.headers.name)
+            .clearLog()
+            .click()
+         .end()
+
+         .getLastPublish("HEADER_ALF_DOCLIST_DOCUMENTS_LOADED")
+         .end()
+
+         .findAllByCssSelector(getNameCellsSelector("HEADER_LIST"))
+            .getVisibleText()
+            .then(function(names) {
+               assert.deepEqual(names, ["Alice", "Bob", "Charlie", "Diana", "Edward", "Fiona", "George", "Hannah"]);
+            })
+         .end()
+
+         .findByCssSelector(selectors.headers.sizeIndex)
+            .isDisplayed()
+            .then(function(displayed) {
+               assert.isFalse(displayed, "Sort positions should not be shown for a single field");
+            });
+      },
+
+      "Select an additional sort field": function() {
+         return this.remote.findByCssSelector(selectors.sortFieldSelect.label)
+            .click()
+         .end()
+
+         .findDisplayedByCssSelector(selectors.sortFieldSelect.size)
+            .clearLog()
+            .click()
+         .end()
+
+         .getLastPublish("SELECT_ALF_DOCLIST_DOCUMENTS_LOADED")
+         .end()
+
+         .findAllByCssSelector(getNameCellsSelector("SELECT_LIST"))
+            .getVisibleText()
+            .then(function(names) {
+               assert.deepEqual(names, ["George", "Diana", "Bob", "Alice", "Hannah", "Edward", "Charlie", "Fiona"]);
+            })
+         .end()
+
+         .findByCssSelector(selectors.sortFieldSelect.label)
+            .getVisibleText()
+            .then(function(visibleText) {
+               assert.equal(visibleText, "Site, Size");
+            });
+      },
+
+      "Deselect the first sort field": function() {
+         return this.remote.findByCssSelector(selectors.sortFieldSelect.label)
+            .click()
+         .end()
+
+         .findDisplayedByCssSelector(selectors.sortFieldSelect.site)
+            .clearLog()
+            .click()
+         .end()
+
+         .getLastPublish("SELECT_ALF_DOCLIST_DOCUMENTS_LOADED")
+         .end()
+
+         .findAllByCssSelector(getNameCellsSelector("SELECT_LIST"))
+            .getVisibleText()
+            .then(function(names) {
+               assert.deepEqual(names, ["George", "Charlie", "Fiona", "Alice", "Diana", "Hannah", "Bob", "Edward"]);
+            });
+      },
+
+      "The last sort field cannot be deselected": function() {
+         return this.remote.findByCssSelector(selectors.sortFieldSelect.label)
+            .click()
+         .end()
+
+         .findDisplayedByCssSelector(selectors.sortFieldSelect.size)
+            .clearLog()
+            .click()
+         .end()
+
+         .getAllPublishes("SELECT_ALF_DOCLIST_DOCUMENTS_LOADED")
+            .then(function(payloads) {
+               assert.lengthOf(payloads, 0, "The list should not have been reloaded");
+            })
+         .end()
+
+         .findByCssSelector(selectors.sortFieldSelect.label)
+            .click()
+         .end()
+
+         .findDisplayedByCssSelector(selectors.sortFieldSelect.sizeChecked);
+      }
+   });
+
+   defineSuite(module, {
+      name: "Multi Sort List Tests (hash)",
+      testPage: "/MultiSortList#sortField=site&sortAscending=true&sortFields=site%7Ctrue%2Csize%7Cfalse",
+
+      "Sort fields are read from the hash": function() {
+         return this.remote.findAllByCssSelector(getNameCellsSelector("HASH_LIST"))
+            .getVisibleText()
+            .then(function(names) {
+               assert.deepEqual(names, ["George", "Diana", "Bob", "Alice", "Hannah", "Edward", "Charlie", "Fiona"]);
+            })
+         .end()
+
+         .findDisplayedByCssSelector(selectors.headers.hashSiteIndex)
+            .getVisibleText()
+            .then(function(visibleText) {
+               assert.equal(visibleText, "1");
+            })
+         .end()
+
+         .findDisplayedByCssSelector(selectors.headers.hashSizeIndex)
+            .getVisibleText()
+            .then(function(visibleText) {
+               assert.equal(visibleText, "2");
+            })
+         .end()
+
+         .findDisplayedByCssSelector(selectors.headers.hashSizeDescending);
+      },
+
+      "Sort fields are updated in the hash": function() {
+         return this.remote.findByCssSelector(selectors.headers.hashSite)
+            .clearLog()
+            .pressKeys(keys.SHIFT)
+            .click()
+            .pressKeys(keys.NULL)
+         .end()
+
+         .getLastPublish("ALF_NAVIGATE_TO_PAGE")
+            .then(function(payload) {
+               assert.include(payload.url, "sortFields=site%7Cfalse%2Csize%7Cfalse");
+               assert.include(payload.url, "sortAscending=false");
+            });
+      }
+   });
+});
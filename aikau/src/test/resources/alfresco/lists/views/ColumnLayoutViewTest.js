@@ -0,0 +1,215 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * @author Dave Draper
+ */
+define(["module",
+        "alfresco/defineSuite",
+        "intern/chai!assert",
+        "alfresco/TestCommon",
+        "intern/dojo/node!leadfoot/keys"],
+        function(module, defineSuite, assert, TestCommon, keys) {
+
+   var columnLayoutSelectors = TestCommon.getTestSelectors("alfresco/lists/views/_ColumnLayoutMixin");
+   var menuBarPopupSelectors = TestCommon.getTestSelectors("alfresco/menus/AlfMenuBarPopup");
+   var checkableMenuItemSelectors = TestCommon.getTestSelectors("alfresco/menus/AlfCheckableMenuItem");
+   var selectors = {
+      headers: {
+         labels: TestCommon.getTestSelector(columnLayoutSelectors, "header.labels"),
+         sizeResizeHandle: TestCommon.getTestSelector(columnLayoutSelectors, "resize.handle", ["SIZE_HEADER"])
+      },
+      cells: {
+         hidden: TestCommon.getTestSelector(columnLayoutSelectors, "hidden.cells"),
+         firstRow: TestCommon.getTestSelector(columnLayoutSelectors, "nth.row.cells", ["1"])
+      },
+      chooser: {
+         label: TestCommon.getTestSelector(menuBarPopupSelectors, "label", ["COLUMN_VIEW_COLUMN_CHOOSER_POPUP"]),
+         popup: TestCommon.getTestSelector(menuBarPopupSelectors, "popup", ["COLUMN_VIEW_COLUMN_CHOOSER_POPUP"]),
+         site: TestCommon.getTestSelector(checkableMenuItemSelectors, "item", ["COLUMN_VIEW_COLUMN_CHOOSER_site"]),
+         checkedSite: TestCommon.getTestSelector(checkableMenuItemSelectors, "checked.item", ["COLUMN_VIEW_COLUMN_CHOOSER_site"])
+      }
+   };
+
+   defineSuite(module, {
+      name: "Column Layout View Tests",
+      testPage: "/ColumnLayoutView",
+
+      "Columns are initially displayed in the configured order": function() {
+         return this.remote.findAllByCssSelector(selectors.headers.labels)
+            .getVisibleText()
+            .then(function(labels) {
+               assert.deepEqual(labels, ["Name", "Site", "Size"]);
+            })
+         .end()
+
+         .findAllByCssSelector(selectors.cells.firstRow)
+            .getVisibleText()
+            .then(function(cells) {
+               assert.deepEqual(cells, ["Alice", "Marketing", "12"]);
+            });
+      },
+
+      "Move a column with the keyboard": function() {
+         return this.remote.findById("NAME_HEADER")
+            .click()
+         .end()
+
+         .pressKeys([keys.CONTROL, keys.SHIFT, keys.ARROW_RIGHT])
+         .pressKeys(keys.NULL)
+
+         .getLastPublish("COLUMN_ALF_LIST_COLUMN_LAYOUT_CHANGED")
+            .then(function(payload) {
+               assert.deepEqual(payload.layout.order, ["site", "name", "size"]);
+            })
+
+         .findAllByCssSelector(selectors.headers.labels)
+            .getVisibleText()
+            .then(function(labels) {
+               assert.deepEqual(labels, ["Site", "Name", "Size"]);
+            })
+         .end()
+
+         .findAllByCssSelector(selectors.cells.firstRow)
+            .getVisibleText()
+            .then(function(cells) {
+               assert.deepEqual(cells, ["Marketing", "Alice", "12"], "Item cells should be re-ordered to match the header");
+            });
+      },
+
+      "The column layout is saved as a preference": function() {
+         return this.remote.getLastPublish("ALF_PREFERENCE_SET")
+            .then(function(payload) {
+               assert.propertyVal(payload, "preference", "org.alfresco.share.aikauTesting.columnLayout");
+               assert.deepEqual(payload.value.order, ["site", "name", "size"]);
+            });
+      },
+
+      "Hide a column from the column chooser": function() {
+         return this.remote.findByCssSelector(selectors.chooser.label)
+            .clearLog()
+            .click()
+         .end()
+
+         .findDisplayedByCssSelector(selectors.chooser.popup)
+         .end()
+
+         .findByCssSelector(selectors.chooser.checkedSite)
+            .click()
+         .end()
+
+         .getLastPublish("ALF_PREFERENCE_SET")
+            .then(function(payload) {
+               assert.deepEqual(payload.value.hidden, ["site"]);
+            })
+
+         .findAllByCssSelector(selectors.cells.hidden)
+            .then(function(elements) {
+               assert.lengthOf(elements, 4, "The header cell and three item cells should be hidden");
+            })
+         .end()
+
+         .findAllByCssSelector(selectors.cells.firstRow)
+            .getVisibleText()
+            .then(function(cells) {
+               assert.deepEqual(cells, ["", "Alice", "12"]);
+            });
+      },
+
+      "Show a hidden column again": function() {
+         return this.remote.findByCssSelector(selectors.chooser.label)
+            .click()
+         .end()
+
+         .findDisplayedByCssSelector(selectors.chooser.site)
+            .click()
+         .end()
+
+         .findAllByCssSelector(selectors.cells.hidden)
+            .then(function(elements) {
+               assert.lengthOf(elements, 0);
+            })
+         .end()
+
+         .findAllByCssSelector(selectors.headers.labels)
+            .getVisibleText()
+            .then(function(labels) {
+               assert.deepEqual(labels, ["Site", "Name", "Size"]);
+            });
+      },
+
+      "Resize a column": function() {
+         var initialWidth;
+         return this.remote.findById("SIZE_HEADER")
+            .getSize()
+            .then(function(size) {
+               initialWidth = size.width;
+            })
+         .end()
+
+         .clearLog()
+         .findByCssSelector(selectors.headers.sizeResizeHandle)
+            .moveMouseTo()
+            .pressMouseButton()
+            .moveMouseTo(-50, 0)
+            .releaseMouseButton()
+         .end()
+
+         .getLastPublish("COLUMN_ALF_LIST_COLUMN_LAYOUT_CHANGED")
+            .then(function(payload) {
+               assert.isNumber(payload.layout.widths.size);
+            })
+
+         .findById("SIZE_HEADER")
+            .getSize()
+            .then(function(size) {
+               assert.isBelow(size.width, initialWidth, "The column should have been made narrower");
+            });
+      },
+
+      "Resizing a column does not sort the list": function() {
+         return this.remote.getAllPublishes("COLUMN_ALF_DOCLIST_SORT")
+            .then(function(publishes) {
+               assert.lengthOf(publishes, 0);
+            });
+      },
+
+      "The column layout is retained when the list is sorted": function() {
+         return this.remote.findByCssSelector("#SIZE_HEADER .label")
+            .clearLog()
+            .click()
+         .end()
+
+         .getLastPublish("COLUMN_ALF_VIEW_RENDERING_COMPLETE")
+
+         .findAllByCssSelector(selectors.headers.labels)
+            .getVisibleText()
+            .then(function(labels) {
+               assert.deepEqual(labels, ["Site", "Name", "Size"]);
+            })
+         .end()
+
+         .findAllByCssSelector(selectors.cells.firstRow)
+            .getVisibleText()
+            .then(function(cells) {
+               assert.deepEqual(cells, ["Engineering", "Bob", "3"]);
+            });
+      }
+   });
+});
@@ -0,0 +1,181 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * @author Dave Draper
+ */
+define(["module",
+        "alfresco/defineSuite",
+        "intern/chai!assert",
+        "alfresco/TestCommon",
+        "intern/dojo/node!leadfoot/keys"],
+        function(module, defineSuite, assert, TestCommon, keys) {
+
+   var groupHeaderSelectors = TestCommon.getTestSelectors("alfresco/lists/views/layouts/GroupHeaderRow");
+   var headerCellSelectors = TestCommon.getTestSelectors("alfresco/lists/views/layouts/HeaderCell");
+   var rowSelectors = TestCommon.getTestSelectors("alfresco/lists/views/layouts/Row");
+   var selectors = {
+      groupHeaders: {
+         all: TestCommon.getTestSelector(groupHeaderSelectors, "header"),
+         collapsed: TestCommon.getTestSelector(groupHeaderSelectors, "collapsed.header"),
+         labels: TestCommon.getTestSelector(groupHeaderSelectors, "label"),
+         counts: TestCommon.getTestSelector(groupHeaderSelectors, "count"),
+         aggregates: TestCommon.getTestSelector(groupHeaderSelectors, "aggregates"),
+         first: TestCommon.getTestSelector(groupHeaderSelectors, "nth.header", ["1"]),
+         second: TestCommon.getTestSelector(groupHeaderSelectors, "nth.header", ["5"]),
+         third: TestCommon.getTestSelector(groupHeaderSelectors, "nth.header", ["9"]),
+         collapsedItems: TestCommon.getTestSelector(groupHeaderSelectors, "collapsed.item")
+      },
+      headerCells: {
+         size: TestCommon.getTestSelector(headerCellSelectors, "label", ["SIZE_HEADER"])
+      },
+      rows: {
+         first: TestCommon.getTestSelector(rowSelectors, "nth.row", ["2"])
+      }
+   };
+
+   defineSuite(module, {
+      name: "Grouped List View Tests",
+      testPage: "/GroupedListView",
+
+      "Group headers are rendered before each group": function() {
+         return this.remote.findByCssSelector(selectors.groupHeaders.first)
+         .end()
+
+         .findByCssSelector(selectors.groupHeaders.second)
+         .end()
+
+         .findByCssSelector(selectors.groupHeaders.third)
+         .end()
+
+         .findAllByCssSelector(selectors.groupHeaders.labels)
+            .getVisibleText()
+            .then(function(labels) {
+               assert.deepEqual(labels, ["Engineering", "Marketing", "Sales"]);
+            })
+         .end()
+
+         .findAllByCssSelector(selectors.groupHeaders.counts)
+            .getVisibleText()
+            .then(function(counts) {
+               assert.deepEqual(counts, ["(3)", "(3)", "(2)"]);
+            });
+      },
+
+      "Aggregate values are displayed": function() {
+         return this.remote.findAllByCssSelector(selectors.groupHeaders.aggregates)
+            .getVisibleText()
+            .then(function(aggregates) {
+               assert.deepEqual(aggregates, [
+                  "Total size: 41, Average size: 13.67",
+                  "Total size: 19, Average size: 6.33",
+                  "Total size: 42, Average size: 21"
+               ]);
+            });
+      },
+
+      "Click on a group header to collapse it": function() {
+         return this.remote.findByCssSelector(selectors.groupHeaders.second)
+            .click()
+         .end()
+
+         .findByCssSelector(selectors.groupHeaders.collapsed)
+            .getVisibleText()
+            .then(function(text) {
+               assert.include(text, "Marketing");
+            })
+         .end()
+
+         .findAllByCssSelector(selectors.groupHeaders.collapsedItems)
+            .then(function(elements) {
+               assert.lengthOf(elements, 3, "The items in the collapsed group should be hidden");
+            });
+      },
+
+      "Keyboard navigation skips the items of collapsed groups": function() {
+         return this.remote.findByCssSelector(selectors.rows.first)
+            .click()
+         .end()
+
+         .pressKeys(keys.ARROW_DOWN)
+         .pressKeys(keys.ARROW_DOWN)
+         .pressKeys(keys.ARROW_DOWN)
+         .getActiveElement()
+            .getVisibleText()
+            .then(function(text) {
+               assert.include(text, "Marketing", "The collapsed group header should have focus");
+            })
+         .end()
+
+         .pressKeys(keys.ARROW_DOWN)
+         .getActiveElement()
+            .getVisibleText()
+            .then(function(text) {
+               assert.include(text, "Sales", "The items in the collapsed group should have been skipped");
+            });
+      },
+
+      "Expand a group with the right arrow key": function() {
+         return this.remote.pressKeys(keys.ARROW_UP)
+            .pressKeys(keys.ARROW_RIGHT)
+            .findAllByCssSelector(selectors.groupHeaders.collapsedItems)
+               .then(function(elements) {
+                  assert.lengthOf(elements, 0, "The group should have been expanded");
+               })
+            .end()
+
+         .pressKeys(keys.ARROW_DOWN)
+         .getActiveElement()
+            .getVisibleText()
+            .then(function(text) {
+               assert.include(text, "Edward", "The first item in the expanded group should have focus");
+            });
+      },
+
+      "Collapse a group with the left arrow key": function() {
+         return this.remote.pressKeys(keys.ARROW_UP)
+            .pressKeys(keys.ARROW_LEFT)
+            .findAllByCssSelector(selectors.groupHeaders.collapsedItems)
+               .then(function(elements) {
+                  assert.lengthOf(elements, 3, "The group should have been collapsed");
+               });
+      },
+
+      "Collapsed groups remain collapsed when the list is sorted": function() {
+         return this.remote.findByCssSelector(selectors.headerCells.size)
+            .clearLog()
+            .click()
+         .end()
+
+         .getLastPublish("GROUPED_ALF_VIEW_RENDERING_COMPLETE")
+
+         .findAllByCssSelector(selectors.groupHeaders.collapsedItems)
+            .then(function(elements) {
+               assert.lengthOf(elements, 3, "The group should still be collapsed");
+            })
+         .end()
+
+         .findByCssSelector(selectors.groupHeaders.collapsed)
+            .getVisibleText()
+            .then(function(text) {
+               assert.include(text, "Marketing");
+            });
+      }
+   });
+});
@@ -0,0 +1,207 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * @author Dave Draper
+ */
+define(["module",
+        "alfresco/defineSuite",
+        "intern/chai!assert",
+        "alfresco/TestCommon",
+        "intern/dojo/node!leadfoot/keys"],
+        function(module, defineSuite, assert, TestCommon, keys) {
+
+   var rowSelectors = TestCommon.getTestSelectors("alfresco/lists/views/layouts/Row");
+   var selectorSelectors = TestCommon.getTestSelectors("alfresco/renderers/Selector");
+   var virtualScrollSelectors = TestCommon.getTestSelectors("alfresco/lists/views/_VirtualScrollMixin");
+   var selectors = {
+      rows: {
+         all: TestCommon.getTestSelector(rowSelectors, "row"),
+         first: TestCommon.getTestSelector(rowSelectors, "nth.row", ["1"])
+      },
+      selectors: {
+         all: TestCommon.getTestSelector(selectorSelectors, "all.selectors"),
+         checked: TestCommon.getTestSelector(selectorSelectors, "all.selectors.checked")
+      },
+      spacers: TestCommon.getTestSelector(virtualScrollSelectors, "spacer", ["VIRTUAL_VIEW"])
+   };
+
+   // Scrolls the view to the requested position...
+   var scrollView = function(scrollTop) {
+      return function() {
+         return this.parent.execute(function(position) {
+            /*jshint browser:true*/
+            document.getElementById("VIRTUAL_VIEW").scrollTop = position;
+         }, [scrollTop])
+         .sleep(500);
+      };
+   };
+
+   defineSuite(module, {
+      name: "Virtual Scroll View Tests",
+      testPage: "/VirtualScrollView",
+
+      "Only the visible rows are rendered": function() {
+         return this.remote.findAllByCssSelector(selectors.rows.all)
+            .then(function(elements) {
+               assert.isAbove(elements.length, 0, "No rows were rendered");
+               assert.isBelow(elements.length, 100, "Too many rows were rendered");
+            })
+         .end()
+
+         .findByCssSelector(selectors.rows.first)
+            .getVisibleText()
+            .then(function(text) {
+               assert.include(text, "Item 0");
+            })
+         .end()
+
+         .findAllByCssSelector(selectors.spacers)
+            .then(function(elements) {
+               assert.lengthOf(elements, 1, "A spacer should be rendered for the rows below the visible rows");
+            });
+      },
+
+      "Scrolling renders the rows that become visible": function() {
+         return this.remote.findByCssSelector("body")
+            .then(scrollView(10000))
+         .end()
+
+         .findAllByCssSelector(selectors.rows.all)
+            .getVisibleText()
+            .then(function(texts) {
+               assert.isBelow(texts.length, 100, "Too many rows were rendered");
+               assert.notInclude(texts, "Item 0", "The first row should have been destroyed");
+               var indices = texts.map(function(text) {
+                  return parseInt(text.replace("Item ", ""), 10);
+               });
+               assert.isAbove(Math.max.apply(Math, indices), 100, "Later rows were not rendered");
+            });
+      },
+
+      "Select all items": function() {
+         return this.remote.findById("SELECT_ALL")
+            .click()
+         .end()
+
+         .getAllPublishes("VIRTUAL_ALF_DOCLIST_DOCUMENT_SELECTED")
+            .then(function(payloads) {
+               assert.lengthOf(payloads, 1000, "Every item should have been selected");
+            });
+      },
+
+      "Items that were not rendered are shown as selected when scrolled into view": function() {
+         return this.remote.findByCssSelector("body")
+            .then(scrollView(0))
+         .end()
+
+         .findAllByCssSelector(selectors.selectors.all)
+            .then(function(elements) {
+               return this.parent.findAllByCssSelector(selectors.selectors.checked)
+                  .then(function(checkedElements) {
+                     assert.lengthOf(checkedElements, elements.length, "All rendered items should be selected");
+                  });
+            })
+         .end()
+
+         .findByCssSelector("body")
+            .then(scrollView(100000))
+         .end()
+
+         .findAllByCssSelector(selectors.rows.all)
+            .getVisibleText()
+            .then(function(texts) {
+               assert.include(texts, "Item 999", "The last item was not rendered");
+            })
+         .end()
+
+         .findAllByCssSelector(selectors.selectors.all)
+            .then(function(elements) {
+               return this.parent.findAllByCssSelector(selectors.selectors.checked)
+                  .then(function(checkedElements) {
+                     assert.lengthOf(checkedElements, elements.length, "All rendered items should be selected");
+                  });
+            });
+      },
+
+      "Deselect all items": function() {
+         return this.remote.findById("SELECT_NONE")
+            .click()
+         .end()
+
+         .getAllPublishes("VIRTUAL_ALF_DOCLIST_DOCUMENT_DESELECTED")
+            .then(function(payloads) {
+               assert.lengthOf(payloads, 1000, "Every item should have been deselected");
+            })
+
+         .findAllByCssSelector(selectors.selectors.checked)
+            .then(function(elements) {
+               assert.lengthOf(elements, 0, "No rendered items should be selected");
+            });
+      },
+
+      "Keyboard navigation moves beyond the rendered rows": function() {
+         var keyPresses = [];
+         for (var i = 0; i < 60; i++)
+         {
+            keyPresses.push(keys.ARROW_DOWN);
+         }
+
+         return this.remote.findByCssSelector("body")
+            .then(scrollView(0))
+         .end()
+
+         .findByCssSelector(selectors.rows.first)
+            .click()
+         .end()
+
+         .pressKeys(keyPresses)
+         .sleep(500)
+         .getActiveElement()
+            .getVisibleText()
+            .then(function(text) {
+               assert.include(text, "Item 60");
+            });
+      },
+
+      "The focused row is retained when it is scrolled out of view": function() {
+         return this.remote.findByCssSelector("body")
+            .then(scrollView(100000))
+         .end()
+
+         .pressKeys(keys.ARROW_DOWN)
+         .sleep(500)
+         .getActiveElement()
+            .getVisibleText()
+            .then(function(text) {
+               assert.include(text, "Item 61");
+            });
+      },
+
+      "The end key focuses the last item": function() {
+         return this.remote.pressKeys(keys.END)
+            .sleep(500)
+            .getActiveElement()
+               .getVisibleText()
+               .then(function(text) {
+                  assert.include(text, "Item 999");
+               });
+      }
+   });
+});
@@ -0,0 +1,245 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["module",
+        "alfresco/defineSuite",
+        "intern/chai!assert",
+        "alfresco/TestCommon",
+        "intern/dojo/node!leadfoot/keys"],
+        function(module, defineSuite, assert, TestCommon, keys) {
+
+   var formSelectors = TestCommon.getTestSelectors("alfresco/forms/Form");
+
+   var selectors = {
+      form: {
+         confirmationButton: TestCommon.getTestSelector(formSelectors, "confirmation.button", ["FORM"])
+      }
+   };
+
+   // Gets the selector for the row of a node (excluding the rows of its children)...
+   var row = function(nodeId) {
+      return "#" + nodeId + " > .dijitTreeRow";
+   };
+
+   // Gets the selector for the checkbox of a node...
+   var checkbox = function(nodeId) {
+      return row(nodeId) + " .alfresco-navigation-Tree__checkbox";
+   };
+
+   var getNames = function(payload) {
+      return payload.items.map(function(item) {
+         return item.name;
+      });
+   };
+
+   defineSuite(module, {
+      name: "Tree (filtering and selection) Tests",
+      testPage: "/TreeFilterSelection",
+
+      "Checkboxes are displayed for all nodes except the root": function() {
+         return this.remote.findDisplayedByCssSelector(checkbox("TREE_TREE_FRUIT"))
+         .end()
+
+         .findAllByCssSelector(checkbox("TREE_TREE_TREE_ROOT"))
+            .then(function(elements) {
+               assert.lengthOf(elements, 0, "The root node should not have a checkbox");
+            });
+      },
+
+      "Checking a node publishes the checked items": function() {
+         return this.remote.findByCssSelector(checkbox("TREE_TREE_FRUIT"))
+            .click()
+            .getAttribute("aria-checked")
+            .then(function(checked) {
+               assert.equal(checked, "true");
+            })
+         .end()
+
+         .getLastPublish("TREE_ITEMS_CHECKED")
+            .then(function(payload) {
+               assert.sameMembers(getNames(payload), ["Fruit"]);
+            });
+      },
+
+      "Children inherit the checked state of their parent when loaded": function() {
+         return this.remote.findByCssSelector(row("TREE_TREE_FRUIT") + " .dijitTreeExpando")
+            .click()
+         .end()
+
+         .findDisplayedByCssSelector(checkbox("TREE_TREE_APPLES") + ".alfresco-navigation-Tree__checkbox--checked")
+         .end()
+
+         .findDisplayedByCssSelector(checkbox("TREE_TREE_BANANAS") + ".alfresco-navigation-Tree__checkbox--checked")
+         .end()
+
+         .getLastPublish("TREE_ITEMS_CHECKED")
+            .then(function(payload) {
+               assert.sameMembers(getNames(payload), ["Fruit", "Apples", "Bananas"]);
+            });
+      },
+
+      "Unchecking a child partially checks its parent": function() {
+         return this.remote.findByCssSelector(checkbox("TREE_TREE_BANANAS"))
+            .clearLog()
+            .click()
+         .end()
+
+         .findByCssSelector(checkbox("TREE_TREE_FRUIT"))
+            .getAttribute("aria-checked")
+            .then(function(checked) {
+               assert.equal(checked, "mixed");
+            })
+         .end()
+
+         .getLastPublish("TREE_ITEMS_CHECKED")
+            .then(function(payload) {
+               assert.sameMembers(getNames(payload), ["Apples"]);
+            });
+      },
+
+      "Clicking a label does not check the node when checkOnClick is disabled": function() {
+         return this.remote.findByCssSelector(row("TREE_TREE_CHEESE") + " .dijitTreeLabel")
+            .clearLog()
+            .click()
+         .end()
+
+         .getLastPublish("ALF_DOCUMENTLIST_PATH_CHANGED")
+
+         .findByCssSelector(checkbox("TREE_TREE_CHEESE"))
+            .getAttribute("aria-checked")
+            .then(function(checked) {
+               assert.equal(checked, "false");
+            });
+      },
+
+      "Type-ahead moves the focus to the matching node": function() {
+         return this.remote.pressKeys("veg")
+
+         .getActiveElement()
+            .getVisibleText()
+            .then(function(text) {
+               assert.equal(text, "Vegetables");
+            });
+      },
+
+      "Filtering expands the path to matching nodes": function() {
+         return this.remote.findByCssSelector(".alfresco-navigation-Tree__filter__input")
+            .click()
+            .type("cox")
+         .end()
+
+         .findDisplayedByCssSelector("#TREE_TREE_COX.alfresco-navigation-Tree__node--filter-match")
+         .end()
+
+         .findDisplayedByCssSelector("#TREE_TREE_APPLES.alfresco-navigation-Tree__node--filter-path");
+      },
+
+      "Nodes that do not match the filter are hidden": function() {
+         return this.remote.findByCssSelector("#TREE_TREE_VEGETABLES")
+            .isDisplayed()
+            .then(function(displayed) {
+               assert.isFalse(displayed, "Vegetables should be hidden by the filter");
+            })
+         .end()
+
+         .findByCssSelector("#TREE_TREE_BRAMLEY")
+            .isDisplayed()
+            .then(function(displayed) {
+               assert.isFalse(displayed, "Bramley should be hidden by the filter");
+            });
+      },
+
+      "Nodes revealed by the filter inherit the checked state of their parent": function() {
+         return this.remote.findByCssSelector(checkbox("TREE_TREE_COX"))
+            .getAttribute("aria-checked")
+            .then(function(checked) {
+               assert.equal(checked, "true");
+            });
+      },
+
+      "A message is displayed when nothing matches the filter": function() {
+         return this.remote.findByCssSelector(".alfresco-navigation-Tree__filter__input")
+            .clearValue()
+            .type("zzz")
+         .end()
+
+         .findDisplayedByCssSelector(".alfresco-navigation-Tree__filter__no-matches");
+      },
+
+      "Escape clears the filter": function() {
+         return this.remote.findByCssSelector(".alfresco-navigation-Tree__filter__input")
+            .pressKeys(keys.ESCAPE)
+         .end()
+
+         .findDisplayedByCssSelector("#TREE_TREE_VEGETABLES")
+         .end()
+
+         .findByCssSelector(".alfresco-navigation-Tree__filter__no-matches")
+            .isDisplayed()
+            .then(function(displayed) {
+               assert.isFalse(displayed, "The no matches message should be hidden");
+            });
+      },
+
+      "Form control initial values are checked when loaded": function() {
+         return this.remote.findByCssSelector(row("CATEGORIES_TREE_TREE_VEGETABLES") + " .dijitTreeExpando")
+            .click()
+         .end()
+
+         .findDisplayedByCssSelector(checkbox("CATEGORIES_TREE_TREE_CARROTS") + ".alfresco-navigation-Tree__checkbox--checked")
+         .end()
+
+         .findByCssSelector(checkbox("CATEGORIES_TREE_TREE_VEGETABLES"))
+            .getAttribute("aria-checked")
+            .then(function(checked) {
+               assert.equal(checked, "mixed");
+            });
+      },
+
+      "Checking form control nodes updates the value": function() {
+         return this.remote.findByCssSelector(row("CATEGORIES_TREE_TREE_CHEESE") + " .dijitTreeLabel")
+            .click()
+         .end()
+
+         .getLastPublish("_valueChangeOf_CATEGORIES")
+            .then(function(payload) {
+               assert.sameMembers(payload.value, ["COX", "CARROTS", "CHEESE"]);
+            });
+      },
+
+      "Form control creates the configured tree widget": function() {
+         return this.remote.findByCssSelector("#CUSTOM_TREE_TREE.aikauTesting-CustomTree");
+      },
+
+      "Posting the form includes all the checked values": function() {
+         return this.remote.findByCssSelector(selectors.form.confirmationButton)
+            .click()
+         .end()
+
+         .getLastPublish("POST_FORM")
+            .then(function(payload) {
+               assert.sameMembers(payload.categories, ["COX", "CARROTS", "CHEESE"]);
+            });
+      }
+   });
+});
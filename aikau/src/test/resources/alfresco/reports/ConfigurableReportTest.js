@@ -0,0 +1,98 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * @author Dave Draper
+ */
+define(["module",
+        "alfresco/defineSuite",
+        "intern/chai!assert"],
+        function(module, defineSuite, assert) {
+
+   // Gets the text of every cell of the table of the report with the supplied id
+   var getCells = function(browser, reportId) {
+      return browser.findAllByCssSelector("#" + reportId + " .alfresco-lists-views-layouts-Row .alfresco-renderers-Property")
+         .getVisibleText();
+   };
+
+   defineSuite(module, {
+      name: "Configurable Report Tests",
+      testPage: "/ConfigurableReport",
+
+      "Chart and table are both displayed": function() {
+         return this.remote.findByCssSelector("#COUNT_REPORT svg")
+         .end()
+
+         .findAllByCssSelector("#COUNT_REPORT .alfresco-lists-views-layouts-HeaderCell")
+            .getVisibleText()
+            .then(function(labels) {
+               assert.deepEqual(labels, ["Type", "Documents"]);
+            });
+      },
+
+      "Items are counted by category and sorted by value": function() {
+         return getCells(this.remote, "COUNT_REPORT")
+            .then(function(cells) {
+               assert.deepEqual(cells, ["Document", "3", "Image", "2", "Video", "1"]);
+            });
+      },
+
+      "Report without a chart type is displayed as a table": function() {
+         return this.remote.findAllByCssSelector("#SIZE_REPORT svg")
+            .then(function(elements) {
+               assert.lengthOf(elements, 0, "No chart should have been rendered");
+            })
+         .end()
+
+         .findAllByCssSelector("#SIZE_REPORT .alfresco-lists-views-layouts-HeaderCell")
+            .getVisibleText()
+            .then(function(labels) {
+               assert.deepEqual(labels, ["Series", "Site", "Total size"]);
+            });
+      },
+
+      "Values are summed for each series and category": function() {
+         return getCells(this.remote, "SIZE_REPORT")
+            .then(function(cells) {
+               assert.deepEqual(cells, [
+                  "Document", "alpha", "17",
+                  "Document", "beta", "20",
+                  "Image", "alpha", "5",
+                  "Video", "beta", "100",
+                  "Image", "beta", "8"
+               ]);
+            });
+      },
+
+      "Inline report definition is aggregated and limited": function() {
+         return getCells(this.remote, "INLINE_REPORT")
+            .then(function(cells) {
+               assert.deepEqual(cells, ["beta", "100"]);
+            });
+      },
+
+      "Failure message is displayed for an unknown report": function() {
+         return this.remote.findByCssSelector("#MISSING_REPORT .alfresco-reports-ConfigurableReport__failure")
+            .getVisibleText()
+            .then(function(text) {
+               assert.equal(text, "The report couldn't be loaded.");
+            });
+      }
+   });
+});
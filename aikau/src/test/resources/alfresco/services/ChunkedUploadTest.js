@@ -0,0 +1,204 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+/**
+ * This test assesses chunked, resumable uploads in the FileUploadService.
+ *
+ * @author Dave Draper
+ */
+define(["module",
+        "alfresco/defineSuite",
+        "intern/chai!assert"],
+        function(module, defineSuite, assert) {
+
+   var getPutRequests = function(payloads) {
+      return payloads.filter(function(payload) {
+         return payload.method === "PUT";
+      });
+   };
+
+   defineSuite(module, {
+      name: "Chunked Upload Tests",
+      testPage: "/ChunkedUpload",
+
+      "Large files are uploaded in chunks": function() {
+         return this.remote.findById("CLEAR_STATE_label")
+            .click()
+            .end()
+
+         .clearLog()
+
+         .findById("UPLOAD_LARGE_FILE_label")
+            .click()
+            .end()
+
+         .getLastPublish("UPLOAD_COMPLETE_OR_CANCELLED", 10000)
+
+         .getAllPublishes("CHUNKED_UPLOAD_MOCK_REQUEST")
+            .then(function(payloads) {
+               assert.propertyVal(payloads[0], "method", "POST", "Session not created first");
+               assert.include(payloads[payloads.length - 1].url, "/complete", "Upload not completed last");
+
+               // One chunk fails and is retried, so there are 11 chunk requests for 10 chunks...
+               var puts = getPutRequests(payloads);
+               assert.lengthOf(puts, 11, "Unexpected number of chunk requests");
+               assert.propertyVal(puts[0], "start", 0);
+               assert.propertyVal(puts[1], "start", 0, "Failed chunk was not retried");
+               assert.propertyVal(puts[2], "start", 1024);
+               assert.propertyVal(puts[10], "end", 10240);
+            })
+
+         .findAllByCssSelector(".alfresco-upload-UploadMonitor__successful-items .alfresco-upload-UploadMonitor__item")
+            .then(function(elements) {
+               assert.lengthOf(elements, 1, "Upload not shown as successful");
+            });
+      },
+
+      "Completed uploads are removed from the manifest": function() {
+         return this.remote.findById("GET_RESUMABLE_UPLOADS_label")
+            .click()
+            .end()
+
+         .getLastPublish("RESUMABLE_UPLOADS_SUCCESS")
+            .then(function(payload) {
+               assert.lengthOf(payload.uploads, 0);
+            });
+      },
+
+      "Uploads can be paused and resumed": function() {
+         return this.remote.clearLog()
+
+         .findById("UPLOAD_LARGE_FILE_label")
+            .click()
+            .end()
+
+         .findDisplayedByCssSelector(".alfresco-upload-UploadMonitor__inprogress-items .alfresco-upload-UploadMonitor__item__action__pause")
+            .click()
+            .end()
+
+         .getLastPublish("ALF_PAUSE_INPROGRESS_UPLOAD")
+
+         .findDisplayedByCssSelector(".alfresco-upload-UploadMonitor__item--paused .alfresco-upload-UploadMonitor__item__status__paused")
+            .end()
+
+         .clearLog()
+
+         .sleep(1000)
+
+         .getAllPublishes("CHUNKED_UPLOAD_MOCK_REQUEST")
+            .then(function(payloads) {
+               assert.lengthOf(payloads, 0, "Chunks were sent whilst paused");
+            })
+
+         .findDisplayedByCssSelector(".alfresco-upload-UploadMonitor__item--paused .alfresco-upload-UploadMonitor__item__action__resume")
+            .click()
+            .end()
+
+         .getLastPublish("UPLOAD_COMPLETE_OR_CANCELLED", 10000)
+
+         .getAllPublishes("CHUNKED_UPLOAD_MOCK_REQUEST")
+            .then(function(payloads) {
+               assert.include(payloads[payloads.length - 1].url, "/complete", "Upload not completed after resuming");
+            });
+      },
+
+      "Interrupted uploads are recorded in the manifest": function() {
+         return this.remote.findById("CLEAR_STATE_label")
+            .click()
+            .end()
+
+         .clearLog()
+
+         .findById("UPLOAD_LARGE_FILE_label")
+            .click()
+            .end()
+
+         .getAllPublishes("CHUNKED_UPLOAD_MOCK_REQUEST")
+            .then(function(payloads) {
+               assert.isAbove(getPutRequests(payloads).length, 0);
+            })
+
+         .sleep(1000)
+
+         .reload()
+
+         .findById("GET_RESUMABLE_UPLOADS_label")
+            .click()
+            .end()
+
+         .getLastPublish("RESUMABLE_UPLOADS_SUCCESS")
+            .then(function(payload) {
+               assert.lengthOf(payload.uploads, 1, "Interrupted upload not found");
+               assert.propertyVal(payload.uploads[0], "fileName", "large.bin");
+               assert.isAbove(payload.uploads[0].uploadedBytes, 0, "No progress recorded");
+            });
+      },
+
+      "Uploading the same file again resumes the interrupted upload": function() {
+         var uploadedBytes;
+         return this.remote.getLastPublish("RESUMABLE_UPLOADS_SUCCESS")
+            .then(function(payload) {
+               uploadedBytes = payload.uploads[0].uploadedBytes;
+            })
+
+         .clearLog()
+
+         .findById("UPLOAD_LARGE_FILE_label")
+            .click()
+            .end()
+
+         .getLastPublish("UPLOAD_COMPLETE_OR_CANCELLED", 10000)
+
+         .getAllPublishes("CHUNKED_UPLOAD_MOCK_REQUEST")
+            .then(function(payloads) {
+               assert.propertyVal(payloads[0], "method", "GET", "The status of the session was not requested");
+               assert.propertyVal(getPutRequests(payloads)[0], "start", uploadedBytes, "Upload did not resume from the stored chunk");
+            });
+      },
+
+      "Cancelling a chunked upload removes it from the manifest": function() {
+         return this.remote.findById("CLEAR_STATE_label")
+            .click()
+            .end()
+
+         .clearLog()
+
+         .findById("UPLOAD_LARGE_FILE_label")
+            .click()
+            .end()
+
+         .findDisplayedByCssSelector(".alfresco-upload-UploadMonitor__item__action__pause")
+            .end()
+
+         .findByCssSelector(".alfresco-upload-UploadMonitor__inprogress-items .alfresco-upload-UploadMonitor__item__action__inprogress")
+            .click()
+            .end()
+
+         .getLastPublish("UPLOAD_COMPLETE_OR_CANCELLED", 5000)
+
+         .findById("GET_RESUMABLE_UPLOADS_label")
+            .click()
+            .end()
+
+         .getLastPublish("RESUMABLE_UPLOADS_SUCCESS")
+            .then(function(payload) {
+               assert.lengthOf(payload.uploads, 0);
+            });
+      }
+   });
+});
@@ -0,0 +1,205 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * This test assesses the queueing of changes made by the CrudService whilst offline.
+ *
+ * @author Dave Draper
+ */
+define(["module",
+        "alfresco/defineSuite",
+        "intern/chai!assert",
+        "intern/dojo/node!leadfoot/keys"],
+        function(module, defineSuite, assert, keys) {
+
+   defineSuite(module, {
+      name: "CrudService (offline queue)",
+      testPage: "/CrudServiceOfflineQueue",
+
+      "Queue is empty on first load": function() {
+         return this.remote.execute(function() {
+               /*globals localStorage*/
+               localStorage.removeItem("ALF_CRUD_SERVICE_OFFLINE_QUEUE_TEST");
+            })
+            .reload()
+
+         .getLastPublish("ALF_CRUD_OFFLINE_QUEUE_STATUS")
+            .then(function(payload) {
+               assert.propertyVal(payload, "pendingCount", 0, "Unexpected pending requests");
+            });
+      },
+
+      "Updates made whilst offline are queued": function() {
+         return this.remote.findById("GO_OFFLINE_label")
+            .click()
+            .end()
+
+         .clearLog()
+
+         .findById("UPDATE_ITEM_label")
+            .click()
+            .click()
+            .end()
+
+         .getLastPublish("ALF_CRUD_OFFLINE_QUEUE_STATUS")
+            .then(function(payload) {
+               assert.propertyVal(payload, "pendingCount", 2, "Updates were not queued");
+               assert.propertyVal(payload, "offline", true, "Offline status not reported");
+            })
+
+         .getXhrEntries({
+               url: "offline/item",
+               method: "PUT",
+               queryTimeout: 1000
+            })
+            .then(function(entries) {
+               assert.lengthOf(entries, 0, "Requests should not be made whilst offline");
+            });
+      },
+
+      "Queued updates are sent when the page is reloaded": function() {
+         return this.remote.reload()
+
+         .getXhrEntries({
+               url: "offline/item",
+               method: "PUT"
+            })
+            .then(function(entries) {
+               assert.lengthOf(entries, 2, "Queued updates were not replayed");
+            })
+
+         .getLastPublish("ALF_CRUD_OFFLINE_QUEUE_STATUS")
+            .then(function(payload) {
+               assert.propertyVal(payload, "pendingCount", 0, "Queue was not emptied");
+            });
+      },
+
+      "Queued updates are sent when the connection is restored": function() {
+         return this.remote.findById("GO_OFFLINE_label")
+            .click()
+            .end()
+
+         .findById("UPDATE_ITEM_label")
+            .click()
+            .end()
+
+         .getLastPublish("ALF_CRUD_OFFLINE_QUEUE_STATUS")
+            .then(function(payload) {
+               assert.propertyVal(payload, "pendingCount", 1, "Update was not queued");
+            })
+
+         .clearLog()
+         .clearXhrLog()
+
+         .findById("GO_ONLINE_label")
+            .click()
+            .end()
+
+         .getXhrEntries({
+               url: "offline/item",
+               method: "PUT"
+            })
+            .then(function(entries) {
+               assert.lengthOf(entries, 1, "Queued update was not sent");
+            })
+
+         .getLastPublish("ALF_CRUD_OFFLINE_QUEUE_STATUS")
+            .then(function(payload) {
+               assert.propertyVal(payload, "pendingCount", 0, "Queue was not emptied");
+               assert.propertyVal(payload, "offline", false, "Online status not reported");
+            });
+      },
+
+      "Conflicting updates prompt for resolution": function() {
+         return this.remote.findById("GO_OFFLINE_label")
+            .click()
+            .end()
+
+         .findById("UPDATE_CONFLICT_label")
+            .click()
+            .end()
+
+         .findById("GO_ONLINE_label")
+            .click()
+            .end()
+
+         .findByCssSelector("#ALF_CRUD_SERVICE_OFFLINE_CONFLICT_DIALOG.dialogDisplayed")
+            .end()
+
+         .getLastPublish("ALF_CRUD_OFFLINE_QUEUE_STATUS")
+            .then(function(payload) {
+               assert.propertyVal(payload, "pendingCount", 1, "Conflicting update should remain queued");
+            });
+      },
+
+      "Closing the conflict dialog keeps the update queued": function() {
+         return this.remote.clearLog()
+
+         .findByCssSelector("#ALF_CRUD_SERVICE_OFFLINE_CONFLICT_DIALOG.dialogDisplayed")
+            .pressKeys(keys.ESCAPE)
+            .end()
+
+         .findByCssSelector("#ALF_CRUD_SERVICE_OFFLINE_CONFLICT_DIALOG.dialogHidden")
+            .end()
+
+         .getLastPublish("ALF_CRUD_OFFLINE_QUEUE_STATUS")
+            .then(function(payload) {
+               assert.propertyVal(payload, "pendingCount", 1, "Conflicting update should remain queued");
+            });
+      },
+
+      "Queue is processed again after the conflict dialog has been closed": function() {
+         return this.remote.clearXhrLog()
+
+         .findById("GO_OFFLINE_label")
+            .click()
+            .end()
+
+         .findById("GO_ONLINE_label")
+            .click()
+            .end()
+
+         .getXhrEntries({
+               url: "conflict/item",
+               method: "PUT"
+            })
+            .then(function(entries) {
+               assert.lengthOf(entries, 1, "Queued update was not re-sent");
+            })
+
+         .findByCssSelector("#ALF_CRUD_SERVICE_OFFLINE_CONFLICT_DIALOG.dialogDisplayed");
+      },
+
+      "Discarding a conflicting update empties the queue": function() {
+         return this.remote.clearLog()
+
+         .findById("ALF_CRUD_SERVICE_OFFLINE_CONFLICT_DIALOG_DISCARD_label")
+            .click()
+            .end()
+
+         .findByCssSelector("#ALF_CRUD_SERVICE_OFFLINE_CONFLICT_DIALOG.dialogHidden")
+            .end()
+
+         .getLastPublish("ALF_CRUD_OFFLINE_QUEUE_STATUS")
+            .then(function(payload) {
+               assert.propertyVal(payload, "pendingCount", 0, "Conflicting update was not discarded");
+            });
+      }
+   });
+});
@@ -0,0 +1,99 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+/**
+ * This test assesses the uploading of folder structures in the FileUploadService.
+ *
+ * @author Dave Draper
+ */
+define(["module",
+        "alfresco/defineSuite",
+        "intern/chai!assert"],
+        function(module, defineSuite, assert) {
+
+   defineSuite(module, {
+      name: "Folder Upload Tests",
+      testPage: "/FolderUpload",
+
+      "Folders are created before files are uploaded": function() {
+         return this.remote.findById("UPLOAD_FOLDERS_label")
+            .click()
+            .end()
+
+         .getLastPublish("UPLOAD_COMPLETE_OR_CANCELLED", 10000)
+
+         .getXhrEntries({
+               url: "versions/1/nodes/node/children",
+               method: "POST"
+            })
+            .then(function(entries) {
+               // Entries are returned most recent first...
+               var folders = entries.reverse().map(function(entry) {
+                  return (entry.request.body.relativePath ? entry.request.body.relativePath + "/" : "") + entry.request.body.name;
+               });
+               assert.deepEqual(folders, ["Photos", "Photos/2016", "Photos/Empty", "Existing", "Broken"], "Unexpected folders created");
+            });
+      },
+
+      "Files are uploaded into existing and created folders": function() {
+         return this.remote.findAllByCssSelector(".alfresco-upload-UploadMonitor__successful-items .alfresco-upload-UploadMonitor__item")
+            .then(function(elements) {
+               assert.lengthOf(elements, 5, "Unexpected number of successful uploads");
+            });
+      },
+
+      "Files in folders that could not be created fail": function() {
+         return this.remote.findAllByCssSelector(".alfresco-upload-UploadMonitor__unsuccessful-items .alfresco-upload-UploadMonitor__item")
+            .then(function(elements) {
+               assert.lengthOf(elements, 1, "Unexpected number of unsuccessful uploads");
+            })
+
+         .getTextContent(".alfresco-upload-UploadMonitor__unsuccessful-items .alfresco-upload-UploadMonitor__item__status__unsuccessful_icon svg title")
+            .then(function(text) {
+               assert.include(text, "The folder \"Broken/Sub\" could not be created");
+            });
+      },
+
+      "Upload progress is grouped by folder": function() {
+         return this.remote.findAllByCssSelector(".alfresco-upload-UploadMonitor__folder")
+            .then(function(elements) {
+               assert.lengthOf(elements, 3, "Unexpected number of folder groups");
+            })
+            .end()
+
+         .findAllByCssSelector(".alfresco-upload-UploadMonitor__folder__name")
+            .getVisibleText()
+            .then(function(names) {
+               assert.sameMembers(names, ["Photos", "Photos/2016", "Existing"], "Unexpected folder groups");
+            })
+            .end()
+
+         .findAllByCssSelector(".alfresco-upload-UploadMonitor__folder__status")
+            .getVisibleText()
+            .then(function(statuses) {
+               assert.sameMembers(statuses, ["1 of 1 files uploaded", "2 of 2 files uploaded", "1 of 1 files uploaded"], "Unexpected folder statuses");
+            })
+            .end()
+
+         .findAllByCssSelector(".alfresco-upload-UploadMonitor__folder--complete")
+            .then(function(elements) {
+               assert.lengthOf(elements, 3, "Folder groups not shown as complete");
+            });
+      }
+   });
+});
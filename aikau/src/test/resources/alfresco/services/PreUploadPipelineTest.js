@@ -0,0 +1,154 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+/**
+ * This test assesses the pre-upload pipeline steps of the FileUploadService.
+ *
+ * @author Dave Draper
+ */
+define(["module",
+        "alfresco/defineSuite",
+        "intern/chai!assert"],
+        function(module, defineSuite, assert) {
+
+   // NOTE: The upload monitor reverses the text content of each item when useEllipsisForLongFilenames is enabled
+   //       (the default) so the visible text cannot be used to check file names, the title attribute is used instead
+   var unsuccessfulItemsSelector = ".alfresco-upload-UploadMonitor__unsuccessful-items .alfresco-upload-UploadMonitor__item",
+       successfulItemsSelector = ".alfresco-upload-UploadMonitor__successful-items .alfresco-upload-UploadMonitor__item";
+
+   defineSuite(module, {
+      name: "Pre-Upload Pipeline Tests",
+      testPage: "/PreUploadPipeline",
+
+      "Steps that cannot be created are logged": function() {
+         return this.remote.getAllPublishes("ALF_LOG_REQUEST")
+            .then(function(payloads) {
+               var logged = payloads.some(function(payload) {
+                  return payload.severity === "error" && payload.messageArgs[0].indexOf("ThrowsPreUploadStepException") !== -1;
+               });
+               assert.isTrue(logged, "Failure to create the step was not logged");
+            });
+      },
+
+      "Checksum is sent as a header of the upload": function() {
+         return this.remote.findById("UPLOAD_PNG_label")
+            .click()
+            .end()
+
+         .getLastPublish("UPLOAD_COMPLETE_OR_CANCELLED", 5000)
+
+         .getLastXhr("api/upload")
+            .then(function(entry) {
+               assert.deepPropertyVal(entry, "request.headers.X-Content-Checksum", "1b56b50ac4e976f488f128cabdcdffb2fc9331d6974bb9968131a415d14ade24");
+               assert.deepPropertyVal(entry, "request.headers.X-Content-Checksum-Algorithm", "SHA-256");
+            })
+
+         .findAllByCssSelector(successfulItemsSelector)
+            .then(function(elements) {
+               assert.lengthOf(elements, 1, "PNG image was not uploaded");
+            });
+      },
+
+      "Blocked file types are rejected": function() {
+         return this.remote.clearLog()
+
+         .findById("UPLOAD_EXE_label")
+            .click()
+            .end()
+
+         .getLastPublish("UPLOAD_COMPLETE_OR_CANCELLED")
+
+         .findByCssSelector(unsuccessfulItemsSelector + " .alfresco-upload-UploadMonitor__item__name__content")
+            .getAttribute("title")
+            .then(function(title) {
+               assert.include(title, "tool.exe");
+            })
+            .end()
+
+         .getTextContent(unsuccessfulItemsSelector + " .alfresco-upload-UploadMonitor__item__status__unsuccessful_icon svg title")
+            .then(function(text) {
+               assert.include(text, "is not a type of file that can be uploaded");
+            });
+      },
+
+      "Files with content that does not match their extension are rejected": function() {
+         return this.remote.clearLog()
+
+         .findById("UPLOAD_FAKE_PDF_label")
+            .click()
+            .end()
+
+         .getLastPublish("UPLOAD_COMPLETE_OR_CANCELLED")
+
+         .findAllByCssSelector(unsuccessfulItemsSelector)
+            .then(function(elements) {
+               assert.lengthOf(elements, 2, "Mismatched file was not rejected");
+            })
+
+         .getTextContent(unsuccessfulItemsSelector + " .alfresco-upload-UploadMonitor__item__status__unsuccessful_icon svg title")
+            .then(function(text) {
+               assert.include(text, "does not match its file extension");
+            });
+      },
+
+      "Steps registered by publication rename duplicate files": function() {
+         return this.remote.clearLog()
+            .clearXhrLog()
+
+         .findById("UPLOAD_DUPLICATE_label")
+            .click()
+            .end()
+
+         .getLastPublish("UPLOAD_COMPLETE_OR_CANCELLED", 5000)
+
+         .getXhrEntries({
+               url: "versions/1/nodes/node",
+               method: "GET"
+            })
+            .then(function(entries) {
+               assert.lengthOf(entries, 3, "Unexpected number of duplicate name checks");
+            })
+
+         .findByCssSelector(successfulItemsSelector + " .alfresco-upload-UploadMonitor__item__name__content")
+            .getAttribute("title")
+            .then(function(title) {
+               assert.include(title, "existing-2.txt");
+            });
+      },
+
+      "Files whose type cannot be detected are not rejected because of their extension": function() {
+         return this.remote.clearLog()
+
+         .findById("UPLOAD_UNKNOWN_PDF_label")
+            .click()
+            .end()
+
+         .getLastPublish("UPLOAD_COMPLETE_OR_CANCELLED", 5000)
+
+         .findAllByCssSelector(successfulItemsSelector)
+            .then(function(elements) {
+               assert.lengthOf(elements, 3, "File of unknown type was not uploaded");
+            })
+
+         .findAllByCssSelector(unsuccessfulItemsSelector)
+            .then(function(elements) {
+               assert.lengthOf(elements, 2, "File of unknown type should not be rejected");
+            });
+      }
+   });
+});
@@ -69,6 +69,25 @@ define(["module",
             .then(function(payload) {
                assert.deepPropertyVal(payload, "targetData.destination", "parent://node/ref", "Target data not included in upload request");
             });
+      },
+
+      "Dropped folders are walked": function() {
+         return this.remote.findByCssSelector("body")
+            .clearLog()
+
+         .findById("SIM_FOLDER_DROP_label")
+            .click()
+            .end()
+
+         .getLastPublish("ALF_UPLOAD_REQUEST")
+            .then(function(payload) {
+               assert.sameMembers(payload.folders, ["Photos", "Photos/2016", "Photos/Empty"], "Dropped folders not included in upload request");
+               assert.lengthOf(payload.files, 3, "Files in dropped folders not found");
+               var relativePaths = payload.files.map(function(file) {
+                  return file.relativePath || "";
+               });
+               assert.sameMembers(relativePaths, ["Photos", "Photos/2016", ""], "Files not given the path of their folder");
+            });
       }
    });
 });
\ No newline at end of file
@@ -0,0 +1,113 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+/**
+ * This test assesses the queueing of uploads by the FileUploadService and the display of the queue in the
+ * UploadMonitor.
+ *
+ * @author Dave Draper
+ */
+define(["module",
+        "alfresco/defineSuite",
+        "intern/chai!assert"],
+        function(module, defineSuite, assert) {
+
+   var queuedNamesSelector = ".alfresco-upload-UploadMonitor__item--queued .alfresco-upload-UploadMonitor__item__name__content",
+       lastQueuedRowSelector = ".alfresco-upload-UploadMonitor__inprogress-items tr:nth-last-child(2)";
+
+   // The displayed names are reversed (to allow ellipsis truncation) so the file names are taken from the titles
+   var getNames = function(titles) {
+      return titles.map(function(title) {
+         return title.split(",")[0];
+      });
+   };
+
+   defineSuite(module, {
+      name: "Upload Queue Tests",
+      testPage: "/UploadQueue",
+
+      "Uploads are queued smallest first": function() {
+         return this.remote.findById("QUEUED_UPLOADS_label")
+            .click()
+            .end()
+
+         .findAllByCssSelector(queuedNamesSelector)
+            .getAttribute("title")
+            .then(function(titles) {
+               assert.deepEqual(getNames(titles), ["Medium.docx", "Large.pdf", "Huge.zip"]);
+            });
+      },
+
+      "Transfer rate is displayed": function() {
+         return this.remote.findDisplayedByCssSelector(".alfresco-upload-UploadMonitor__summary")
+            .getVisibleText()
+            .then(function(text) {
+               assert.include(text, "/s");
+            });
+      },
+
+      "Queued upload can be started next": function() {
+         return this.remote.findByCssSelector(lastQueuedRowSelector + " .alfresco-upload-UploadMonitor__item__action__queued")
+            .click()
+            .end()
+
+         .findAllByCssSelector(queuedNamesSelector)
+            .getAttribute("title")
+            .then(function(titles) {
+               assert.deepEqual(getNames(titles), ["Huge.zip", "Medium.docx", "Large.pdf"]);
+            });
+      },
+
+      "Queued upload can be cancelled": function() {
+         return this.remote.findByCssSelector(lastQueuedRowSelector + " .alfresco-upload-UploadMonitor__item__action__inprogress")
+            .click()
+            .end()
+
+         .findByCssSelector(".alfresco-upload-UploadMonitor__unsuccessful-items .alfresco-upload-UploadMonitor__item__name__content")
+            .getAttribute("title")
+            .then(function(title) {
+               assert.include(title, "Large.pdf");
+            })
+            .end()
+
+         .findAllByCssSelector(queuedNamesSelector)
+            .getAttribute("title")
+            .then(function(titles) {
+               assert.deepEqual(getNames(titles), ["Huge.zip", "Medium.docx"]);
+            });
+      },
+
+      "Remaining uploads complete in queue order": function() {
+         return this.remote.getLastPublish("UPLOAD_COMPLETE_OR_CANCELLED", 20000)
+
+         .findAllByCssSelector(".alfresco-upload-UploadMonitor__successful-items .alfresco-upload-UploadMonitor__item__name__content")
+            .getAttribute("title")
+            .then(function(titles) {
+               // Completed uploads are added to the top of the list
+               assert.deepEqual(getNames(titles), ["Medium.docx", "Huge.zip", "Small.txt"]);
+            })
+            .end()
+
+         .findByCssSelector(".alfresco-upload-UploadMonitor__summary")
+            .getVisibleText()
+            .then(function(text) {
+               assert.equal(text, "");
+            });
+      }
+   });
+});
@@ -54,18 +54,23 @@ define(function() {
       "alfresco/buttons/DropDownButtonTest",
       "alfresco/buttons/DynamicPayloadButtonTest",
 
+      "alfresco/charts/ccc/ChartDrillDownTest",
       "alfresco/charts/ccc/PieChartTest",
 
       "alfresco/core/AdvancedVisibilityConfigTest",
       "alfresco/core/ClientPropRenderFilterTest",
       "alfresco/core/CoreRwdTest",
       "alfresco/core/CoreXhrTest",
+      "alfresco/core/ModelValidationTest",
       "alfresco/core/NotificationUtilsTest",
       "alfresco/core/ObjectProcessingMixinTest",
       "alfresco/core/PageTest",
       "alfresco/core/PublishPayloadMixinTest",
+      "alfresco/core/PublishToPromiseTest",
+      "alfresco/core/PubSubRecorderTest",
       "alfresco/core/RenderFilterTest",
       "alfresco/core/ResponseScopeTest",
+      "alfresco/core/SubscriptionsTest",
       "alfresco/core/TemporalUtilsTest",
       "alfresco/core/VisibilityConfigTest",
       "alfresco/core/WidgetCreationTest",
@@ -117,7 +122,10 @@ define(function() {
       "alfresco/forms/CollapsibleSectionTest",
       "alfresco/forms/ControlRowTest",
       "alfresco/forms/CrudFormTest",
+      "alfresco/forms/CrudFormConflictTest",
       "alfresco/forms/DynamicFormTest",
+      "alfresco/forms/ExtendedRulesTest",
+      "alfresco/forms/FormDraftsTest",
       "alfresco/forms/FormFieldFocusOrderTest",
       "alfresco/forms/FormWarningsTest",
       "alfresco/forms/FormsTest",
@@ -128,6 +136,7 @@ define(function() {
       "alfresco/forms/LayoutRulesTest",
       "alfresco/forms/SingleTextFieldFormTest",
       "alfresco/forms/TabsInFormsTest",
+      "alfresco/forms/WizardFormTest",
 
       "alfresco/forms/controls/AsyncFormControlLoadingTest",
       "alfresco/forms/controls/AutoSetTest",
@@ -193,21 +202,28 @@ define(function() {
 
       "alfresco/lists/AlfHashListTest",
       "alfresco/lists/AlfSortablePaginatedListTest",
+      "alfresco/lists/CursorPaginationTest",
       "alfresco/lists/FilteredListTest",
       "alfresco/lists/FilteredListUseCaseTest",
       "alfresco/lists/InfiniteScrollTest",
+      "alfresco/lists/ListExportTest",
       "alfresco/lists/ListItemFocusTest",
+      "alfresco/lists/LocalDataListTest",
       "alfresco/lists/LocalStorageFallbackTest",
+      "alfresco/lists/MultiSortListTest",
       "alfresco/lists/PaginatorVisibilityTest",
       "alfresco/lists/SortControlsTest",
       "alfresco/lists/views/AddableViewTest",
       "alfresco/lists/views/AlfListViewTest",
       "alfresco/lists/views/AlfListViewCaptionTest",
+      "alfresco/lists/views/ColumnLayoutViewTest",
       "alfresco/lists/views/ExpandableGalleryTest",
       "alfresco/lists/views/GalleryViewFocusTest",
       "alfresco/lists/views/GalleryViewInfiniteScrollTest",
+      "alfresco/lists/views/GroupedListViewTest",
       "alfresco/lists/views/HtmlListViewTest",
       "alfresco/lists/views/ViewNoDataWidgetsTest",
+      "alfresco/lists/views/VirtualScrollViewTest",
       "alfresco/lists/views/layouts/EditableRowTest",
       "alfresco/lists/views/layouts/RowModelProcessingTest",
       "alfresco/lists/views/layouts/RowTest",
@@ -234,6 +250,7 @@ define(function() {
       "alfresco/misc/TableAndFormDialogTest",
 
       "alfresco/navigation/PathTreeTest",
+      "alfresco/navigation/TreeFilterSelectionTest",
 
       "alfresco/node/MetadataGroupsTest",
 
@@ -283,6 +300,8 @@ define(function() {
       "alfresco/renderers/actions/MoveToActionTest",
       "alfresco/renderers/actions/UploadNewVersionActionTest",
 
+      "alfresco/reports/ConfigurableReportTest",
+
       "alfresco/search/AlfSearchResultTest",
       "alfresco/search/CustomSearchResultTest",
       "alfresco/search/FacetFiltersTest",
@@ -291,13 +310,16 @@ define(function() {
       "alfresco/search/SearchSuggestionsTest",
 
       "alfresco/services/ActionServiceTest",
+      "alfresco/services/ChunkedUploadTest",
       "alfresco/services/CloudSyncServiceTest",
       "alfresco/services/ContentServiceTest",
       "alfresco/services/CrudServiceTest",
+      "alfresco/services/CrudServiceOfflineQueueTest",
       "alfresco/services/DeleteSiteTest",
       "alfresco/services/DialogServiceTest",
       "alfresco/services/DocumentServiceTest",
       "alfresco/services/FileUploadServiceTest",
+      "alfresco/services/FolderUploadTest",
       "alfresco/services/FormsRuntimeServiceTest",
       "alfresco/services/FullScreenDialogTest",
       "alfresco/services/LoggingServiceTest",
@@ -305,6 +327,7 @@ define(function() {
       "alfresco/services/NodePreviewServiceTest",
       "alfresco/services/NotificationServiceTest",
       "alfresco/services/OptionsServiceTest",
+      "alfresco/services/PreUploadPipelineTest",
       "alfresco/services/SearchServiceTest",
       "alfresco/services/ServiceFilteringTest",
       "alfresco/services/ServiceRegistryTest",
@@ -323,6 +346,7 @@ define(function() {
 
       "alfresco/upload/DndUploadTest",
       "alfresco/upload/UploadMonitorTest",
+      "alfresco/upload/UploadQueueTest",
       "alfresco/upload/UploadTest",
       "alfresco/upload/UploadTargetTest",
 
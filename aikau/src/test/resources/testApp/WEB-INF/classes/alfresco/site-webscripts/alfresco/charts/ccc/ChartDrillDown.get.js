@@ -0,0 +1,85 @@
+model.jsonModel = {
+   services: [
+      {
+         name: "alfresco/services/LoggingService",
+         config: {
+            loggingPreferences: {
+               enabled: true,
+               all: true
+            }
+         }
+      },
+      "aikauTesting/mockservices/CCCChartTestData",
+      "alfresco/services/ErrorReporter"
+   ],
+   widgets: [
+      {
+         name: "alfresco/charts/ccc/LineChart",
+         config: {
+            id: "LINECHART",
+            dataTopic: "GET_SAMPLE_TIME_SERIES_DATA",
+            height: 300,
+            legend: true,
+            timeSeries: true,
+            drillDownTopic: "DATE_SELECTED",
+            drillDownFilterName: "date"
+         }
+      },
+      {
+         name: "alfresco/charts/ccc/BarChart",
+         config: {
+            id: "BARCHART",
+            dataTopic: "GET_SAMPLE_CHART_DATA_1",
+            height: 300,
+            drillDownTopic: "CATEGORY_SELECTED",
+            drillDownFilterName: "category"
+         }
+      },
+      {
+         id: "LIST",
+         name: "alfresco/lists/AlfList",
+         config: {
+            useLocalData: true,
+            filteringTopics: ["CATEGORY_SELECTED"],
+            currentData: {
+               items: [
+                  { name: "First", category: "one-hundred" },
+                  { name: "Second", category: "two-hundred" }
+               ]
+            },
+            widgets: [
+               {
+                  name: "alfresco/lists/views/AlfListView",
+                  config: {
+                     widgets: [
+                        {
+                           name: "alfresco/lists/views/layouts/Row",
+                           config: {
+                              widgets: [
+                                 {
+                                    name: "alfresco/lists/views/layouts/Cell",
+                                    config: {
+                                       widgets: [
+                                          {
+                                             name: "alfresco/renderers/Property",
+                                             config: {
+                                                propertyToRender: "name"
+                                             }
+                                          }
+                                       ]
+                                    }
+                                 }
+                              ]
+                           }
+                        }
+                     ]
+                  }
+               }
+            ]
+         }
+      },
+      {
+         name: "alfresco/logging/DebugLog"
+      }
+   ]
+};
@@ -167,8 +167,7 @@ model.jsonModel = {
                      publishTopic: "SCOPED_HIDE",
                      publishPayload: {
                         value: "HIDE"
-                     },
-                     publishParent:true
+                     }
                   }
                },
                {
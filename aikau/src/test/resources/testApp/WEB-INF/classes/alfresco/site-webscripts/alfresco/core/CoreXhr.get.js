@@ -11,7 +11,14 @@ model.jsonModel = {
             }
          }
       },
-      "alfresco/services/CrudService"
+      "alfresco/services/CrudService",
+      {
+         name: "alfresco/services/CrudService",
+         config: {
+            pubSubScope: "CACHED_",
+            cacheTtl: 60000
+         }
+      }
    ],
    widgets: [
       {
@@ -37,6 +44,43 @@ model.jsonModel = {
             pubSubScope: "SCOPED_"
          }
       },
+      {
+         name: "aikauTesting/core/CoalescingRequestInstance"
+      },
+      {
+         name: "alfresco/buttons/AlfButton",
+         id: "COALESCED_GET_BUTTON",
+         config: {
+            label: "Make two identical requests at the same time",
+            publishTopic: "TEST_COALESCE",
+            publishGlobal: true
+         }
+      },
+      {
+         name: "alfresco/buttons/AlfButton",
+         id: "CACHED_GET_BUTTON",
+         config: {
+            label: "Publish request for cached data",
+            publishTopic: "ALF_CRUD_GET_ALL",
+            publishPayload: {
+               url: "cached/url"
+            },
+            pubSubScope: "CACHED_"
+         }
+      },
+      {
+         name: "alfresco/buttons/AlfButton",
+         id: "CACHED_UPDATE_BUTTON",
+         config: {
+            label: "Update cached data",
+            publishTopic: "ALF_CRUD_UPDATE",
+            publishPayload: {
+               url: "cached/url/1",
+               noRefresh: true
+            },
+            pubSubScope: "CACHED_"
+         }
+      },
       {
          name: "aikauTesting/mockservices/AuthMockXhr"
       },   
@@ -0,0 +1,80 @@
+model.jsonModel = {
+   modelValidation: true,
+   services: [
+      {
+         name: "alfresco/services/LoggingService",
+         config: {
+            loggingPreferences: {
+               enabled: true,
+               all: true,
+               warn: true,
+               error: true
+            }
+         }
+      },
+      "alfresco/services/DialogService"
+   ],
+   widgets: [
+      {
+         id: "VALID_WIDGETS",
+         name: "alfresco/layout/VerticalWidgets",
+         config: {
+            widgets: [
+               {
+                  id: "VALID_LABEL",
+                  name: "alfresco/html/Label",
+                  config: {
+                     label: "Valid",
+                     subscriptionTopic: "UPDATE_LABEL"
+                  }
+               }
+            ]
+         }
+      },
+      {
+         id: "INVALID_WIDGETS",
+         name: "alfresco/layout/VerticalWidgets",
+         config: {
+            widget: [
+               {
+                  name: "alfresco/html/Label",
+                  config: {
+                     label: "Never rendered"
+                  }
+               }
+            ]
+         }
+      },
+      {
+         id: "MISSPELT_LABEL",
+         name: "alfresco/html/Label",
+         config: {
+            lable: "Misspelt"
+         }
+      },
+      {
+         id: "INVALID_BUTTON",
+         name: "alfresco/buttons/AlfButton",
+         config: {
+            label: "Show dialog",
+            publishTopic: "ALF_CREATE_DIALOG_REQUEST",
+            publishGlobal: "true",
+            publishPayload: {
+               dialogId: "INVALID_DIALOG",
+               dialogTitle: "Invalid dialog",
+               widgetsContent: [
+                  {
+                     name: "alfresco/html/Lable",
+                     config: {
+                        label: "Unresolved"
+                     }
+                  }
+               ]
+            }
+         }
+      },
+      {
+         name: "alfresco/logging/DebugLog"
+      }
+   ]
+};
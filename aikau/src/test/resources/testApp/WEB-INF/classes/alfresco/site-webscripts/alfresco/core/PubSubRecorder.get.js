@@ -0,0 +1,124 @@
+model.jsonModel = {
+   services: [
+      {
+         name: "alfresco/services/LoggingService",
+         config: {
+            loggingPreferences: {
+               enabled: true,
+               all: true,
+               warn: true,
+               error: true
+            }
+         }
+      },
+      "alfresco/services/PubSubRecorderService"
+   ],
+   widgets: [
+      {
+         id: "START_RECORDING",
+         name: "alfresco/buttons/AlfButton",
+         config: {
+            label: "Start recording",
+            publishTopic: "ALF_START_PUBSUB_RECORDING",
+            publishGlobal: true
+         }
+      },
+      {
+         id: "PUBLISH_GLOBAL",
+         name: "alfresco/buttons/AlfButton",
+         config: {
+            label: "Publish globally",
+            publishTopic: "RECORDED_TOPIC",
+            publishPayload: {
+               value: "global"
+            },
+            publishGlobal: true
+         }
+      },
+      {
+         id: "PUBLISH_SCOPED",
+         name: "alfresco/buttons/AlfButton",
+         config: {
+            pubSubScope: "SCOPED_",
+            label: "Publish with scope",
+            publishTopic: "RECORDED_TOPIC",
+            publishPayload: {
+               value: "scoped"
+            }
+         }
+      },
+      {
+         id: "PUBLISH_CIRCULAR",
+         name: "alfresco/buttons/AlfButton",
+         config: {
+            label: "Publish circular payload",
+            publishTopic: "PUBLISH_CIRCULAR",
+            publishGlobal: true
+         }
+      },
+      {
+         id: "STOP_RECORDING",
+         name: "alfresco/buttons/AlfButton",
+         config: {
+            label: "Stop recording",
+            publishTopic: "ALF_STOP_PUBSUB_RECORDING",
+            publishPayload: {
+               alfResponseTopic: "RECORDING_EXPORTED"
+            },
+            publishGlobal: true
+         }
+      },
+      {
+         id: "REPLAY_RECORDING",
+         name: "alfresco/buttons/AlfButton",
+         config: {
+            label: "Replay recording",
+            publishTopic: "ALF_REPLAY_PUBSUB_RECORDING",
+            publishPayload: {
+               recording: {
+                  version: 1,
+                  publications: [
+                     {
+                        topic: "UPDATE_LABEL",
+                        scope: "SCOPED_",
+                        payload: {
+                           label: "Replayed"
+                        },
+                        offset: 0
+                     }
+                  ]
+               },
+               alfResponseTopic: "REPLAY_COMPLETE"
+            },
+            publishGlobal: true
+         }
+      },
+      {
+         id: "REPLAY_EXPORTED_RECORDING",
+         name: "alfresco/buttons/AlfButton",
+         config: {
+            label: "Replay exported recording",
+            publishTopic: "REPLAY_EXPORTED_RECORDING",
+            publishGlobal: true
+         }
+      },
+      {
+         id: "SCOPED_LABEL",
+         name: "alfresco/html/Label",
+         config: {
+            pubSubScope: "SCOPED_",
+            label: "Not replayed",
+            subscriptionTopic: "UPDATE_LABEL"
+         }
+      },
+      {
+         name: "aikauTesting/core/CircularPayloadPublisher"
+      },
+      {
+         name: "aikauTesting/core/RecordingReplayer"
+      },
+      {
+         name: "alfresco/logging/DebugLog"
+      }
+   ]
+};
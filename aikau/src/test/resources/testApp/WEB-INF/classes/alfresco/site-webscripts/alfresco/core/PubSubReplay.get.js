@@ -0,0 +1,63 @@
+model.jsonModel = {
+   services: [
+      {
+         name: "alfresco/services/LoggingService",
+         config: {
+            loggingPreferences: {
+               enabled: true,
+               all: true,
+               warn: true,
+               error: true
+            }
+         }
+      },
+      {
+         name: "alfresco/services/PubSubRecorderService",
+         config: {
+            recording: {
+               version: 1,
+               publications: [
+                  {
+                     topic: "UPDATE_LABEL",
+                     scope: "",
+                     payload: {
+                        label: "Global replayed"
+                     },
+                     offset: 0
+                  },
+                  {
+                     topic: "UPDATE_LABEL",
+                     scope: "SCOPED_",
+                     payload: {
+                        label: "Scoped replayed"
+                     },
+                     offset: 10
+                  }
+               ]
+            }
+         }
+      }
+   ],
+   widgets: [
+      {
+         id: "GLOBAL_LABEL",
+         name: "alfresco/html/Label",
+         config: {
+            label: "Not replayed",
+            subscriptionTopic: "UPDATE_LABEL"
+         }
+      },
+      {
+         id: "SCOPED_LABEL",
+         name: "alfresco/html/Label",
+         config: {
+            pubSubScope: "SCOPED_",
+            label: "Not replayed",
+            subscriptionTopic: "UPDATE_LABEL"
+         }
+      },
+      {
+         name: "alfresco/logging/DebugLog"
+      }
+   ]
+};
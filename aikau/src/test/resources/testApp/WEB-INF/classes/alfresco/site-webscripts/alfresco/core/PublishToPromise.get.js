@@ -0,0 +1,73 @@
+model.jsonModel = {
+   services: [
+      {
+         name: "alfresco/services/LoggingService",
+         config: {
+            loggingPreferences: {
+               enabled: true,
+               all: true
+            }
+         }
+      },
+      "alfresco/services/CrudService"
+   ],
+   widgets: [
+      {
+         name: "aikauTesting/core/PublishToPromiseInstance"
+      },
+      {
+         id: "TIMEOUT",
+         name: "alfresco/buttons/AlfButton",
+         config: {
+            label: "Request with timeout",
+            publishTopic: "TEST_TIMEOUT",
+            publishGlobal: true
+         }
+      },
+      {
+         id: "CANCEL",
+         name: "alfresco/buttons/AlfButton",
+         config: {
+            label: "Cancelled request",
+            publishTopic: "TEST_CANCEL",
+            publishGlobal: true
+         }
+      },
+      {
+         id: "CANCEL_XHR",
+         name: "alfresco/buttons/AlfButton",
+         config: {
+            label: "Cancelled XHR request",
+            publishTopic: "TEST_CANCEL_XHR",
+            publishGlobal: true
+         }
+      },
+      {
+         id: "STOP_SHARED_TOPIC",
+         name: "alfresco/buttons/AlfButton",
+         config: {
+            label: "Stop requests sharing a response topic",
+            publishTopic: "TEST_STOP_SHARED_TOPIC",
+            publishGlobal: true
+         }
+      },
+      {
+         id: "RETRY",
+         name: "alfresco/buttons/AlfButton",
+         config: {
+            label: "Request with retries",
+            publishTopic: "TEST_RETRY",
+            publishGlobal: true
+         }
+      },
+      {
+         name: "aikauTesting/mockservices/GenericMockXhr",
+         config: {
+            respondAfter: 3000
+         }
+      },
+      {
+         name: "alfresco/logging/DebugLog"
+      }
+   ]
+};
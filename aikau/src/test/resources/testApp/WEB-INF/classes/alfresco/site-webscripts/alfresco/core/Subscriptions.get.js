@@ -0,0 +1,70 @@
+model.jsonModel = {
+   services: [
+      {
+         name: "alfresco/services/LoggingService",
+         config: {
+            loggingPreferences: {
+               enabled: true,
+               all: true
+            }
+         }
+      }
+   ],
+   widgets: [
+      {
+         id: "SUBSCRIBER",
+         name: "aikauTesting/core/SubscriptionInstance",
+         config: {
+            pubSubScope: "SCOPE_"
+         }
+      },
+      {
+         id: "ONCE",
+         name: "alfresco/buttons/AlfButton",
+         config: {
+            label: "Publish once topic",
+            pubSubScope: "SCOPE_",
+            publishTopic: "ONCE"
+         }
+      },
+      {
+         id: "ONCE_PATTERN",
+         name: "alfresco/buttons/AlfButton",
+         config: {
+            label: "Publish once pattern topic",
+            pubSubScope: "SCOPE_",
+            publishTopic: "ONCE_MORE"
+         }
+      },
+      {
+         id: "SCOPED_DOCLIST",
+         name: "alfresco/buttons/AlfButton",
+         config: {
+            label: "Publish scoped doclist topic",
+            pubSubScope: "SCOPE_",
+            publishTopic: "ALF_DOCLIST_SORT"
+         }
+      },
+      {
+         id: "GLOBAL_DOCLIST",
+         name: "alfresco/buttons/AlfButton",
+         config: {
+            label: "Publish global doclist topic",
+            publishTopic: "ALF_DOCLIST_SORT",
+            publishGlobal: true
+         }
+      },
+      {
+         id: "OTHER_SCOPE_RELOAD",
+         name: "alfresco/buttons/AlfButton",
+         config: {
+            label: "Publish reload in another scope",
+            pubSubScope: "OTHER_",
+            publishTopic: "ALF_RELOAD_DATA"
+         }
+      },
+      {
+         name: "alfresco/logging/DebugLog"
+      }
+   ]
+};
@@ -30,7 +30,8 @@ model.jsonModel = {
             updateButtonLabel: "Update",
             updateButtonPublishTopic: "UPDATE_ITEM",
             updateButtonPublishPayload: {
-
+               itemType: "existing",
+               prop1: "Configured"
             },
             updateButtonPublishGlobal: true,
             deleteButtonLabel: "Delete",
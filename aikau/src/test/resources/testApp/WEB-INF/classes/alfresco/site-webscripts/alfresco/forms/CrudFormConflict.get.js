@@ -0,0 +1,162 @@
+model.jsonModel = {
+   services: [
+      {
+         name: "alfresco/services/LoggingService",
+         config: {
+            loggingPreferences: {
+               enabled: true,
+               all: true,
+               warn: true,
+               error: true
+            }
+         }
+      },
+      {
+         name: "alfresco/services/CrudService",
+         config: {
+            optimisticConcurrencyEnabled: true
+         }
+      },
+      "alfresco/services/DialogService",
+      "alfresco/services/NotificationService"
+   ],
+   widgets: [
+      {
+         id: "CRUD_FORM",
+         name: "alfresco/forms/CrudForm",
+         config: {
+            createButtonLabel: "Create",
+            createButtonPublishTopic: "ALF_CRUD_CREATE",
+            createButtonPublishPayload: {
+               url: "concurrency/item",
+               alfResponseTopic: "ITEM_CREATED",
+               noRefresh: true
+            },
+            createButtonPublishGlobal: true,
+            updateButtonLabel: "Update",
+            updateButtonPublishTopic: "ALF_CRUD_UPDATE",
+            updateButtonPublishPayload: {
+               url: "concurrency/item",
+               alfResponseTopic: "ITEM_UPDATED",
+               noRefresh: true
+            },
+            updateButtonPublishGlobal: true,
+            deleteButtonLabel: "Delete",
+            deleteButtonPublishTopic: "ALF_CRUD_DELETE",
+            deleteButtonPublishGlobal: true,
+            widgets: [
+               {
+                  id: "NAME",
+                  name: "alfresco/forms/controls/TextBox",
+                  config: {
+                     label: "Name",
+                     name: "name"
+                  }
+               },
+               {
+                  id: "DESCRIPTION",
+                  name: "alfresco/forms/controls/TextBox",
+                  config: {
+                     label: "Description",
+                     name: "description"
+                  }
+               }
+            ]
+         }
+      },
+      {
+         id: "OTHER_CRUD_FORM",
+         name: "alfresco/forms/CrudForm",
+         config: {
+            createButtonLabel: "Create other",
+            createButtonPublishTopic: "ALF_CRUD_CREATE",
+            createButtonPublishPayload: {
+               url: "concurrency/other"
+            },
+            createButtonPublishGlobal: true,
+            updateButtonLabel: "Update other",
+            updateButtonPublishTopic: "ALF_CRUD_UPDATE",
+            updateButtonPublishPayload: {
+               url: "concurrency/other"
+            },
+            updateButtonPublishGlobal: true,
+            deleteButtonLabel: "Delete other",
+            deleteButtonPublishTopic: "ALF_CRUD_DELETE",
+            deleteButtonPublishGlobal: true,
+            widgets: [
+               {
+                  id: "OTHER_NAME",
+                  name: "alfresco/forms/controls/TextBox",
+                  config: {
+                     label: "Name",
+                     name: "name"
+                  }
+               }
+            ]
+         }
+      },
+      {
+         id: "LOAD_ITEM",
+         name: "alfresco/buttons/AlfButton",
+         config: {
+            label: "Load item",
+            publishTopic: "ALF_CRUD_GET_ONE",
+            publishPayload: {
+               url: "concurrency/item",
+               alfResponseTopic: "ITEM_LOADED"
+            },
+            publishGlobal: true
+         }
+      },
+      {
+         id: "LOAD_ITEM_SCOPED",
+         name: "alfresco/buttons/AlfButton",
+         config: {
+            label: "Load item (scoped)",
+            pubSubScope: "SCOPED_",
+            publishTopic: "ALF_CRUD_GET_ONE",
+            publishPayload: {
+               url: "concurrency/item",
+               alfResponseTopic: "ITEM_LOADED"
+            },
+            publishGlobal: true
+         }
+      },
+      {
+         id: "SHOW_ITEM",
+         name: "alfresco/buttons/AlfButton",
+         config: {
+            label: "Show item",
+            publishTopic: "ALF_CRUD_FORM_UPDATE",
+            publishPayload: {
+               name: "Original",
+               description: "Original"
+            }
+         }
+      },
+      {
+         id: "REMOTE_CHANGE",
+         name: "alfresco/buttons/AlfButton",
+         config: {
+            label: "Change item remotely",
+            publishTopic: "MOCK_REMOTE_CHANGE",
+            publishGlobal: true
+         }
+      },
+      {
+         id: "REMOTE_DELETE",
+         name: "alfresco/buttons/AlfButton",
+         config: {
+            label: "Delete item remotely",
+            publishTopic: "MOCK_REMOTE_DELETE",
+            publishGlobal: true
+         }
+      },
+      {
+         name: "aikauTesting/mockservices/CrudFormConflictMockXhr"
+      },
+      {
+         name: "alfresco/logging/DebugLog"
+      }
+   ]
+};
@@ -0,0 +1,216 @@
+model.jsonModel = {
+   services: [
+      {
+         name: "alfresco/services/LoggingService",
+         config: {
+            loggingPreferences: {
+               enabled: true,
+               all: true,
+               warn: true,
+               error: true
+            }
+         }
+      },
+      "aikauTesting/mockservices/RulesEngineMockService"
+   ],
+   widgets: [
+      {
+         id: "RELEASE_RESPONSES",
+         name: "alfresco/buttons/AlfButton",
+         config: {
+            label: "Release responses",
+            publishTopic: "RELEASE_RESPONSES",
+            publishGlobal: true
+         }
+      },
+      {
+         id: "FORM",
+         name: "alfresco/forms/Form",
+         config: {
+            pubSubScope: "FORM_",
+            okButtonPublishTopic: "SAVE",
+            widgets: [
+               {
+                  id: "AGE",
+                  name: "alfresco/forms/controls/TextBox",
+                  config: {
+                     fieldId: "AGE",
+                     name: "age",
+                     label: "Age"
+                  }
+               },
+               {
+                  id: "EMAIL",
+                  name: "alfresco/forms/controls/TextBox",
+                  config: {
+                     fieldId: "EMAIL",
+                     name: "email",
+                     label: "Email",
+                     value: "test@example.com",
+                     validationConfig: [
+                        {
+                           validation: "regex",
+                           regex: "^.+@.+$",
+                           errorMessage: "Invalid email address"
+                        }
+                     ]
+                  }
+               },
+               {
+                  id: "USERNAME",
+                  name: "alfresco/forms/controls/TextBox",
+                  config: {
+                     fieldId: "USERNAME",
+                     name: "username",
+                     label: "Username"
+                  }
+               },
+               {
+                  id: "ADULT",
+                  name: "alfresco/forms/controls/TextBox",
+                  config: {
+                     fieldId: "ADULT",
+                     name: "adult",
+                     label: "Shown for ages 18 to 65",
+                     visibilityConfig: {
+                        initialValue: false,
+                        rules: [
+                           {
+                              targetId: "AGE",
+                              between: {
+                                 min: 18,
+                                 max: 65
+                              }
+                           }
+                        ]
+                     }
+                  }
+               },
+               {
+                  id: "SENIOR",
+                  name: "alfresco/forms/controls/TextBox",
+                  config: {
+                     fieldId: "SENIOR",
+                     name: "senior",
+                     label: "Shown for ages over 65",
+                     visibilityConfig: {
+                        initialValue: false,
+                        rules: [
+                           {
+                              targetId: "AGE",
+                              greaterThan: 65
+                           }
+                        ]
+                     }
+                  }
+               },
+               {
+                  id: "LOWERCASE",
+                  name: "alfresco/forms/controls/TextBox",
+                  config: {
+                     fieldId: "LOWERCASE",
+                     name: "lowercase",
+                     label: "Shown for lower case usernames",
+                     visibilityConfig: {
+                        initialValue: false,
+                        rules: [
+                           {
+                              targetId: "USERNAME",
+                              matches: "^[a-z]+$"
+                           }
+                        ]
+                     }
+                  }
+               },
+               {
+                  id: "INVALID_PATTERN",
+                  name: "alfresco/forms/controls/TextBox",
+                  config: {
+                     fieldId: "INVALID_PATTERN",
+                     name: "invalidPattern",
+                     label: "Never shown as the regular expression is invalid",
+                     visibilityConfig: {
+                        initialValue: false,
+                        rules: [
+                           {
+                              targetId: "USERNAME",
+                              matches: "^[a-z"
+                           }
+                        ]
+                     }
+                  }
+               },
+               {
+                  id: "EMAIL_DEPENDENT",
+                  name: "alfresco/forms/controls/TextBox",
+                  config: {
+                     fieldId: "EMAIL_DEPENDENT",
+                     name: "emailDependent",
+                     label: "Disabled when the email address is invalid",
+                     disablementConfig: {
+                        initialValue: false,
+                        rules: [
+                           {
+                              targetId: "EMAIL",
+                              isValid: false
+                           }
+                        ]
+                     }
+                  }
+               },
+               {
+                  id: "AVAILABLE",
+                  name: "alfresco/forms/controls/TextBox",
+                  config: {
+                     fieldId: "AVAILABLE",
+                     name: "available",
+                     label: "Shown when the username is available",
+                     visibilityConfig: {
+                        initialValue: false,
+                        rules: [
+                           {
+                              targetId: "USERNAME",
+                              publishTopic: "CHECK_USERNAME_AVAILABLE",
+                              publishGlobal: true,
+                              resultAttribute: "available"
+                           }
+                        ]
+                     }
+                  }
+               },
+               {
+                  id: "COMBINED",
+                  name: "alfresco/forms/controls/TextBox",
+                  config: {
+                     fieldId: "COMBINED",
+                     name: "combined",
+                     label: "Shown for ages under 18 or when the username is not admin",
+                     visibilityConfig: {
+                        initialValue: true,
+                        rulesMethod: "ANY",
+                        rules: [
+                           {
+                              targetId: "AGE",
+                              lessThan: 18
+                           },
+                           {
+                              negate: true,
+                              rules: [
+                                 {
+                                    targetId: "USERNAME",
+                                    is: ["admin"]
+                                 }
+                              ]
+                           }
+                        ]
+                     }
+                  }
+               }
+            ]
+         }
+      },
+      {
+         name: "alfresco/logging/DebugLog"
+      }
+   ]
+};
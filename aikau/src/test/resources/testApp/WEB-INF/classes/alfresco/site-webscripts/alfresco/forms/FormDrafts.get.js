@@ -0,0 +1,89 @@
+model.jsonModel = {
+   services: [
+      {
+         name: "alfresco/services/LoggingService",
+         config: {
+            loggingPreferences: {
+               enabled: true,
+               all: true,
+               warn: true,
+               error: true
+            }
+         }
+      },
+      "alfresco/services/DialogService"
+   ],
+   widgets: [
+      {
+         id: "LAUNCH_FORM_DIALOG",
+         name: "alfresco/buttons/AlfButton",
+         config: {
+            label: "Form with draft in dialog",
+            publishTopic: "ALF_CREATE_FORM_DIALOG_REQUEST",
+            publishPayload: {
+               dialogId: "DRAFT_DIALOG",
+               dialogTitle: "Draft Form",
+               formSubmissionTopic: "SUBMIT_DIALOG_FORM",
+               customFormConfig: {
+                  draftId: "FORM_DRAFTS_DIALOG"
+               },
+               widgets: [
+                  {
+                     id: "FIELD2",
+                     name: "alfresco/forms/controls/TextBox",
+                     config: {
+                        fieldId: "FIELD2",
+                        name: "field2",
+                        label: "Two"
+                     }
+                  }
+               ]
+            }
+         }
+      },
+      {
+         id: "PAGE_FORM",
+         name: "alfresco/forms/Form",
+         config: {
+            draftId: "FORM_DRAFTS_PAGE",
+            okButtonPublishTopic: "SUBMIT_PAGE_FORM",
+            okButtonPublishGlobal: true,
+            pubSubScope: "FORM1_",
+            widgets: [
+               {
+                  id: "FIELD1",
+                  name: "alfresco/forms/controls/TextBox",
+                  config: {
+                     fieldId: "FIELD1",
+                     name: "field1",
+                     label: "One",
+                     value: "initial"
+                  }
+               },
+               {
+                  id: "PASSWORD",
+                  name: "alfresco/forms/controls/Password",
+                  config: {
+                     fieldId: "PASSWORD",
+                     name: "password",
+                     label: "Password"
+                  }
+               },
+               {
+                  id: "SECRET",
+                  name: "alfresco/forms/controls/TextBox",
+                  config: {
+                     fieldId: "SECRET",
+                     name: "secret",
+                     label: "Secret",
+                     excludeFromDraft: true
+                  }
+               }
+            ]
+         }
+      },
+      {
+         name: "alfresco/logging/DebugLog"
+      }
+   ]
+};
@@ -0,0 +1,111 @@
+model.jsonModel = {
+   services: [
+      {
+         name: "alfresco/services/LoggingService",
+         config: {
+            loggingPreferences: {
+               enabled: true,
+               all: true,
+               warn: true,
+               error: true
+            }
+         }
+      }
+   ],
+   widgets: [
+      {
+         id: "WIZARD",
+         name: "alfresco/forms/WizardForm",
+         config: {
+            okButtonPublishTopic: "WIZARD_SUBMITTED",
+            okButtonPublishGlobal: true,
+            pubSubScope: "WIZARD_",
+            widgets: [
+               {
+                  id: "ACCOUNT_STEP",
+                  name: "alfresco/forms/WizardStep",
+                  config: {
+                     title: "Account",
+                     description: "Enter the account details",
+                     widgets: [
+                        {
+                           id: "NAME",
+                           name: "alfresco/forms/controls/TextBox",
+                           config: {
+                              fieldId: "NAME",
+                              name: "name",
+                              label: "Name",
+                              requirementConfig: {
+                                 initialValue: true
+                              }
+                           }
+                        },
+                        {
+                           id: "BUSINESS",
+                           name: "alfresco/forms/controls/CheckBox",
+                           config: {
+                              fieldId: "BUSINESS",
+                              name: "business",
+                              label: "Business account",
+                              value: false
+                           }
+                        }
+                     ]
+                  }
+               },
+               {
+                  id: "COMPANY_STEP",
+                  name: "alfresco/forms/WizardStep",
+                  config: {
+                     title: "Company",
+                     visibilityConfig: {
+                        initialValue: false,
+                        rules: [
+                           {
+                              targetId: "BUSINESS",
+                              is: [true]
+                           }
+                        ]
+                     },
+                     widgets: [
+                        {
+                           id: "COMPANY",
+                           name: "alfresco/forms/controls/TextBox",
+                           config: {
+                              fieldId: "COMPANY",
+                              name: "company",
+                              label: "Company",
+                              requirementConfig: {
+                                 initialValue: true
+                              }
+                           }
+                        }
+                     ]
+                  }
+               },
+               {
+                  id: "CONTACT_STEP",
+                  name: "alfresco/forms/WizardStep",
+                  config: {
+                     title: "Contact",
+                     widgets: [
+                        {
+                           id: "EMAIL",
+                           name: "alfresco/forms/controls/TextBox",
+                           config: {
+                              fieldId: "EMAIL",
+                              name: "email",
+                              label: "Email"
+                           }
+                        }
+                     ]
+                  }
+               }
+            ]
+         }
+      },
+      {
+         name: "alfresco/logging/DebugLog"
+      }
+   ]
+};
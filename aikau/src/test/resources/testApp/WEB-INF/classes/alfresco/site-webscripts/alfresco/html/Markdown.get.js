@@ -43,6 +43,36 @@ model.jsonModel = {
             subscriptionTopics: ["UPDATE_MARKDOWN"]
          }
       },
+      {
+         id: "MARKDOWN_EXTENSIONS",
+         name: "alfresco/html/Markdown",
+         config: {
+            markdown: "# Extensions\n\n" +
+                      "| Left | Right |\n| :--- | ---: |\n| a | 1 |\n\n" +
+                      "- [x] Done\n- [ ] Not done\n\n" +
+                      "```javascript\n// Comment\nvar x = \"text\";\nreturn 42;\n```\n\n" +
+                      "<img src=\"x\" onerror=\"window.xssAttempted = true\">\n\n" +
+                      "<script>window.xssAttempted = true;</script>\n\n" +
+                      "<h2 id=\"alfDomClobber\">Unprefixed</h2>\n\n" +
+                      "<h2 id=\"MARKDOWN_EXTENSIONS_raw\">Prefixed</h2>\n\n" +
+                      "<p>Password: <input type=\"password\"> <input> <input type=\"button\" value=\"Login\"></p>\n\n" +
+                      "<div><iframe src=\"about:blank\"></iframe><b style=\"color:red;text-align:center\">Bold</b></div>"
+         }
+      },
+      {
+         id: "MARKDOWN_NO_EXTENSIONS",
+         name: "alfresco/html/Markdown",
+         config: {
+            markdown: "# Plain\n\n- [x] Done\n\n```javascript\nvar x;\n```\n\n[data](data:text/html;base64,PHNjcmlwdD4=)",
+            tables: false,
+            taskLists: false,
+            headingAnchors: false,
+            highlightCode: false,
+            sanitizerConfig: {
+               allowedSchemes: ["data"]
+            }
+         }
+      },
       {
          name: "alfresco/logging/DebugLog"
       }
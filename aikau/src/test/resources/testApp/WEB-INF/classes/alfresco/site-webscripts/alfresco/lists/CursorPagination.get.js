@@ -0,0 +1,87 @@
+model.jsonModel = {
+   services: [
+      {
+         name: "alfresco/services/LoggingService",
+         config: {
+            loggingPreferences: {
+               enabled: true,
+               all: true,
+               warn: true,
+               error: true
+            }
+         }
+      },
+      {
+         name: "aikauTesting/mockservices/CursorPaginationService",
+         config: {
+            loadDataSubscriptionTopic: "ALF_RETRIEVE_DOCUMENTS_REQUEST"
+         }
+      }
+   ],
+   widgets: [
+      {
+         id: "SORT_DESCENDING",
+         name: "alfresco/buttons/AlfButton",
+         config: {
+            label: "Sort descending",
+            pubSubScope: "CURSOR_",
+            publishTopic: "ALF_DOCLIST_SORT",
+            publishPayload: {
+               direction: "descending"
+            }
+         }
+      },
+      {
+         id: "PAGINATOR",
+         name: "alfresco/lists/Paginator",
+         config: {
+            pubSubScope: "CURSOR_",
+            documentsPerPage: 10,
+            pageSizes: [5,10,20],
+            useCursorPagination: true
+         }
+      },
+      {
+         id: "LIST",
+         name: "alfresco/lists/AlfSortablePaginatedList",
+         config: {
+            pubSubScope: "CURSOR_",
+            useHash: false,
+            currentPageSize: 10,
+            useCursorPagination: true,
+            widgets: [
+               {
+                  name: "alfresco/lists/views/AlfListView",
+                  config: {
+                     widgets: [
+                        {
+                           name: "alfresco/lists/views/layouts/Row",
+                           config: {
+                              widgets: [
+                                 {
+                                    name: "alfresco/lists/views/layouts/Cell",
+                                    config: {
+                                       widgets: [
+                                          {
+                                             name: "alfresco/renderers/Property",
+                                             config: {
+                                                propertyToRender: "index"
+                                             }
+                                          }
+                                       ]
+                                    }
+                                 }
+                              ]
+                           }
+                        }
+                     ]
+                  }
+               }
+            ]
+         }
+      },
+      {
+         name: "alfresco/logging/DebugLog"
+      }
+   ]
+};
@@ -0,0 +1,214 @@
+model.jsonModel = {
+   services: [
+      {
+         name: "alfresco/services/LoggingService",
+         config: {
+            loggingPreferences: {
+               enabled: true,
+               all: true,
+               warn: true,
+               error: true
+            }
+         }
+      },
+      {
+         name: "aikauTesting/mockservices/PaginationService",
+         config: {
+            loadDataSubscriptionTopic: "ALF_RETRIEVE_DOCUMENTS_REQUEST"
+         }
+      }
+   ],
+   widgets: [
+      {
+         name: "alfresco/menus/AlfMenuBar",
+         config: {
+            pubSubScope: "PAGED_",
+            widgets: [
+               {
+                  id: "PAGED_EXPORT",
+                  name: "alfresco/lists/ExportMenu",
+                  config: {
+                     fileName: "paged"
+                  }
+               }
+            ]
+         }
+      },
+      {
+         id: "PAGED_LIST",
+         name: "alfresco/lists/AlfSortablePaginatedList",
+         config: {
+            pubSubScope: "PAGED_",
+            useHash: false,
+            currentPageSize: 10,
+            widgets: [
+               {
+                  name: "alfresco/lists/views/AlfListView",
+                  config: {
+                     widgetsForHeader: [
+                        {
+                           name: "alfresco/lists/views/layouts/HeaderCell",
+                           config: {
+                              label: "Index"
+                           }
+                        }
+                     ],
+                     widgets: [
+                        {
+                           name: "alfresco/lists/views/layouts/Row",
+                           config: {
+                              widgets: [
+                                 {
+                                    name: "alfresco/lists/views/layouts/Cell",
+                                    config: {
+                                       widgets: [
+                                          {
+                                             name: "alfresco/renderers/Property",
+                                             config: {
+                                                propertyToRender: "index"
+                                             }
+                                          }
+                                       ]
+                                    }
+                                 }
+                              ]
+                           }
+                        }
+                     ]
+                  }
+               }
+            ]
+         }
+      },
+      {
+         name: "alfresco/menus/AlfMenuBar",
+         config: {
+            pubSubScope: "LOCAL_",
+            widgets: [
+               {
+                  id: "LOCAL_EXPORT",
+                  name: "alfresco/lists/ExportMenu",
+                  config: {
+                     formats: ["JSON", "XLSX"],
+                     showCurrentPage: false
+                  }
+               }
+            ]
+         }
+      },
+      {
+         id: "LOCAL_LIST",
+         name: "alfresco/lists/AlfList",
+         config: {
+            pubSubScope: "LOCAL_",
+            useLocalData: true,
+            currentData: {
+               items: [
+                  { name: "Bob", age: 42, email: "bob@example.com", person: { city: "Maidenhead" } },
+                  { name: "Ted", age: 36, email: "ted@example.com", person: { city: "Reading" } },
+                  { name: "Fred", age: 51, email: "fred@example.com", person: { city: "Slough" } }
+               ]
+            },
+            widgets: [
+               {
+                  name: "alfresco/lists/views/AlfListView",
+                  config: {
+                     widgetsForHeader: [
+                        {
+                           name: "alfresco/lists/views/layouts/HeaderCell",
+                           config: {
+                              label: "Name"
+                           }
+                        },
+                        {
+                           name: "alfresco/lists/views/layouts/HeaderCell",
+                           config: {
+                              label: "Age"
+                           }
+                        },
+                        {
+                           name: "alfresco/lists/views/layouts/HeaderCell",
+                           config: {
+                              label: "Email",
+                              exportable: false
+                           }
+                        },
+                        {
+                           name: "alfresco/lists/views/layouts/HeaderCell",
+                           config: {
+                              label: "City",
+                              exportProperty: "person.city"
+                           }
+                        }
+                     ],
+                     widgets: [
+                        {
+                           name: "alfresco/lists/views/layouts/Row",
+                           config: {
+                              widgets: [
+                                 {
+                                    name: "alfresco/lists/views/layouts/Cell",
+                                    config: {
+                                       widgets: [
+                                          {
+                                             name: "alfresco/renderers/Property",
+                                             config: {
+                                                propertyToRender: "name"
+                                             }
+                                          }
+                                       ]
+                                    }
+                                 },
+                                 {
+                                    name: "alfresco/lists/views/layouts/Cell",
+                                    config: {
+                                       widgets: [
+                                          {
+                                             name: "alfresco/renderers/Property",
+                                             config: {
+                                                propertyToRender: "age"
+                                             }
+                                          }
+                                       ]
+                                    }
+                                 },
+                                 {
+                                    name: "alfresco/lists/views/layouts/Cell",
+                                    config: {
+                                       widgets: [
+                                          {
+                                             name: "alfresco/renderers/Property",
+                                             config: {
+                                                propertyToRender: "email"
+                                             }
+                                          }
+                                       ]
+                                    }
+                                 },
+                                 {
+                                    name: "alfresco/lists/views/layouts/Cell",
+                                    config: {
+                                       widgets: [
+                                          {
+                                             name: "alfresco/renderers/Property",
+                                             config: {
+                                                propertyToRender: "person.city"
+                                             }
+                                          }
+                                       ]
+                                    }
+                                 }
+                              ]
+                           }
+                        }
+                     ]
+                  }
+               }
+            ]
+         }
+      },
+      {
+         name: "alfresco/logging/DebugLog"
+      }
+   ]
+};
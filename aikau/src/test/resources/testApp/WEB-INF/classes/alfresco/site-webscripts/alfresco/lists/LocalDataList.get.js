@@ -0,0 +1,167 @@
+var items = [
+   { name: "Alice", site: "Marketing", size: 12 },
+   { name: "Bob", site: "Engineering", size: 3 },
+   { name: "Charlie", site: "Sales", size: 27 },
+   { name: "Diana", site: "Engineering", size: 8 },
+   { name: "Edward", site: "Marketing", size: 1 },
+   { name: "Fiona", site: "Sales", size: 15 },
+   { name: "George", site: "Engineering", size: 30 },
+   { name: "Hannah", site: "Marketing", size: 6 }
+];
+
+var getCell = function(property) {
+   return {
+      name: "alfresco/lists/views/layouts/Cell",
+      config: {
+         widgets: [
+            {
+               name: "alfresco/renderers/Property",
+               config: {
+                  propertyToRender: property
+               }
+            }
+         ]
+      }
+   };
+};
+
+var getView = function(prefix) {
+   return {
+      name: "alfresco/lists/views/AlfListView",
+      config: {
+         additionalCssClasses: "bordered",
+         noItemsMessage: "No results",
+         widgetsForHeader: [
+            {
+               id: prefix + "_NAME_HEADER",
+               name: "alfresco/lists/views/layouts/HeaderCell",
+               config: {
+                  label: "Name",
+                  sortable: true,
+                  sortValue: "name"
+               }
+            },
+            {
+               id: prefix + "_SITE_HEADER",
+               name: "alfresco/lists/views/layouts/HeaderCell",
+               config: {
+                  label: "Site",
+                  sortable: true,
+                  sortValue: "site"
+               }
+            },
+            {
+               id: prefix + "_SIZE_HEADER",
+               name: "alfresco/lists/views/layouts/HeaderCell",
+               config: {
+                  label: "Size",
+                  sortable: true,
+                  sortValue: "size"
+               }
+            }
+         ],
+         widgets: [
+            {
+               name: "alfresco/lists/views/layouts/Row",
+               config: {
+                  widgets: [
+                     getCell("name"),
+                     getCell("site"),
+                     getCell("size")
+                  ]
+               }
+            }
+         ]
+      }
+   };
+};
+
+model.jsonModel = {
+   services: [
+      {
+         name: "alfresco/services/LoggingService",
+         config: {
+            loggingPreferences: {
+               enabled: true,
+               all: true,
+               warn: true,
+               error: true
+            }
+         }
+      }
+   ],
+   widgets: [
+      {
+         id: "FILTERED",
+         name: "alfresco/layout/TitleDescriptionAndContent",
+         config: {
+            title: "Filtered, sorted and paginated",
+            description: "An AlfFilteredList that filters, sorts and paginates its data without a service",
+            widgets: [
+               {
+                  id: "FILTERED_LIST",
+                  name: "alfresco/lists/AlfFilteredList",
+                  config: {
+                     pubSubScope: "FILTERED_",
+                     useLocalData: true,
+                     currentData: {
+                        items: items
+                     },
+                     sortField: "name",
+                     currentPageSize: 5,
+                     widgetsForFilters: [
+                        {
+                           id: "FILTERED_TEXTBOX",
+                           name: "alfresco/forms/controls/TextBox",
+                           config: {
+                              fieldId: "TEXTBOX_FILTER",
+                              name: "name",
+                              placeHolder: "Filter by name",
+                              label: "Name filter"
+                           }
+                        },
+                        {
+                           id: "FILTERED_PAGINATOR",
+                           name: "alfresco/lists/Paginator",
+                           config: {
+                              documentsPerPage: 5,
+                              pageSizes: [5, 10]
+                           }
+                        }
+                     ],
+                     widgets: [getView("FILTERED")]
+                  }
+               }
+            ]
+         }
+      },
+      {
+         id: "GROUPED",
+         name: "alfresco/layout/TitleDescriptionAndContent",
+         config: {
+            title: "Grouped",
+            description: "An AlfSortablePaginatedList that groups its data by site without a service",
+            widgets: [
+               {
+                  id: "GROUPED_LIST",
+                  name: "alfresco/lists/AlfSortablePaginatedList",
+                  config: {
+                     pubSubScope: "GROUPED_",
+                     useLocalData: true,
+                     usePagination: false,
+                     currentData: {
+                        items: items
+                     },
+                     localDataGroupBy: "site",
+                     sortField: "size",
+                     widgets: [getView("GROUPED")]
+                  }
+               }
+            ]
+         }
+      },
+      {
+         name: "alfresco/logging/DebugLog"
+      }
+   ]
+};
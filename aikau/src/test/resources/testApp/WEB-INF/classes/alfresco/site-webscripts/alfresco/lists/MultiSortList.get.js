@@ -0,0 +1,189 @@
+var items = [
+   { name: "Alice", site: "Marketing", size: 12 },
+   { name: "Bob", site: "Engineering", size: 3 },
+   { name: "Charlie", site: "Sales", size: 27 },
+   { name: "Diana", site: "Engineering", size: 8 },
+   { name: "Edward", site: "Marketing", size: 1 },
+   { name: "Fiona", site: "Sales", size: 15 },
+   { name: "George", site: "Engineering", size: 30 },
+   { name: "Hannah", site: "Marketing", size: 6 }
+];
+
+var getCell = function(property) {
+   return {
+      name: "alfresco/lists/views/layouts/Cell",
+      config: {
+         widgets: [
+            {
+               name: "alfresco/renderers/Property",
+               config: {
+                  propertyToRender: property
+               }
+            }
+         ]
+      }
+   };
+};
+
+var getHeader = function(prefix, label, sortValue) {
+   return {
+      id: prefix + "_" + sortValue.toUpperCase() + "_HEADER",
+      name: "alfresco/lists/views/layouts/HeaderCell",
+      config: {
+         label: label,
+         sortable: true,
+         sortValue: sortValue,
+         multiSort: true
+      }
+   };
+};
+
+var getView = function(prefix) {
+   return {
+      name: "alfresco/lists/views/AlfListView",
+      config: {
+         additionalCssClasses: "bordered",
+         noItemsMessage: "No results",
+         widgetsForHeader: [
+            getHeader(prefix, "Name", "name"),
+            getHeader(prefix, "Site", "site"),
+            getHeader(prefix, "Size", "size")
+         ],
+         widgets: [
+            {
+               name: "alfresco/lists/views/layouts/Row",
+               config: {
+                  widgets: [
+                     getCell("name"),
+                     getCell("site"),
+                     getCell("size")
+                  ]
+               }
+            }
+         ]
+      }
+   };
+};
+
+model.jsonModel = {
+   services: [
+      {
+         name: "alfresco/services/LoggingService",
+         config: {
+            loggingPreferences: {
+               enabled: true,
+               all: true,
+               warn: true,
+               error: true
+            }
+         }
+      },
+      "alfresco/services/NavigationService"
+   ],
+   widgets: [
+      {
+         id: "HEADER",
+         name: "alfresco/layout/TitleDescriptionAndContent",
+         config: {
+            title: "Header cells",
+            description: "Hold down the shift key when clicking on a header cell to add it to the sort",
+            widgets: [
+               {
+                  id: "HEADER_LIST",
+                  name: "alfresco/lists/AlfSortablePaginatedList",
+                  config: {
+                     pubSubScope: "HEADER_",
+                     useLocalData: true,
+                     usePagination: false,
+                     currentData: {
+                        items: items
+                     },
+                     sortField: "site",
+                     widgets: [getView("HEADER")]
+                  }
+               }
+            ]
+         }
+      },
+      {
+         id: "SELECT",
+         name: "alfresco/layout/TitleDescriptionAndContent",
+         config: {
+            title: "Sort field select",
+            description: "Select several sort fields from the menu",
+            widgets: [
+               {
+                  name: "alfresco/menus/AlfMenuBar",
+                  config: {
+                     pubSubScope: "SELECT_",
+                     widgets: [
+                        {
+                           id: "SORT_FIELD_SELECT",
+                           name: "alfresco/lists/SortFieldSelect",
+                           config: {
+                              multiSort: true,
+                              sortFieldOptions: [
+                                 {
+                                    id: "SORT_FIELD_SELECT_SITE",
+                                    label: "Site",
+                                    value: "site",
+                                    selected: true
+                                 },
+                                 {
+                                    id: "SORT_FIELD_SELECT_SIZE",
+                                    label: "Size",
+                                    value: "size",
+                                    direction: "descending"
+                                 }
+                              ]
+                           }
+                        }
+                     ]
+                  }
+               },
+               {
+                  id: "SELECT_LIST",
+                  name: "alfresco/lists/AlfSortablePaginatedList",
+                  config: {
+                     pubSubScope: "SELECT_",
+                     useLocalData: true,
+                     usePagination: false,
+                     currentData: {
+                        items: items
+                     },
+                     sortField: "site",
+                     widgets: [getView("SELECT")]
+                  }
+               }
+            ]
+         }
+      },
+      {
+         id: "HASH",
+         name: "alfresco/layout/TitleDescriptionAndContent",
+         config: {
+            title: "Hash",
+            description: "The sort fields are stored in the URL hash",
+            widgets: [
+               {
+                  id: "HASH_LIST",
+                  name: "alfresco/lists/AlfSortablePaginatedList",
+                  config: {
+                     pubSubScope: "HASH_",
+                     useHash: true,
+                     useLocalData: true,
+                     usePagination: false,
+                     currentData: {
+                        items: items
+                     },
+                     widgets: [getView("HASH")]
+                  }
+               }
+            ]
+         }
+      },
+      {
+         name: "alfresco/logging/DebugLog"
+      }
+   ]
+};
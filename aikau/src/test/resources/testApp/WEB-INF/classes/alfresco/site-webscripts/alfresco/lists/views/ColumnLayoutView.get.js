@@ -0,0 +1,98 @@
+var getHeaderCell = function(columnId, label, sortable) {
+   return {
+      id: columnId.toUpperCase() + "_HEADER",
+      name: "alfresco/lists/views/layouts/HeaderCell",
+      config: {
+         columnId: columnId,
+         label: label,
+         sortable: sortable,
+         sortValue: columnId
+      }
+   };
+};
+
+var getCell = function(property) {
+   return {
+      name: "alfresco/lists/views/layouts/Cell",
+      config: {
+         widgets: [
+            {
+               name: "alfresco/renderers/Property",
+               config: {
+                  propertyToRender: property
+               }
+            }
+         ]
+      }
+   };
+};
+
+model.jsonModel = {
+   services: [
+      {
+         name: "alfresco/services/LoggingService",
+         config: {
+            loggingPreferences: {
+               enabled: true,
+               all: true,
+               warn: true,
+               error: true
+            }
+         }
+      },
+      {
+         name: "aikauTesting/mockservices/PreferenceServiceMockXhr"
+      }
+   ],
+   widgets: [
+      {
+         id: "COLUMN_LIST",
+         name: "alfresco/lists/AlfSortablePaginatedList",
+         config: {
+            pubSubScope: "COLUMN_",
+            useLocalData: true,
+            usePagination: false,
+            sortField: "name",
+            currentData: {
+               items: [
+                  { name: "Alice", site: "Marketing", size: 12 },
+                  { name: "Bob", site: "Engineering", size: 3 },
+                  { name: "Charlie", site: "Sales", size: 27 }
+               ]
+            },
+            widgets: [
+               {
+                  id: "COLUMN_VIEW",
+                  name: "alfresco/lists/views/AlfListView",
+                  config: {
+                     resizableColumns: true,
+                     reorderableColumns: true,
+                     showColumnChooser: true,
+                     columnLayoutPreferenceName: "org.alfresco.share.aikauTesting.columnLayout",
+                     widgetsForHeader: [
+                        getHeaderCell("name", "Name", false),
+                        getHeaderCell("site", "Site", false),
+                        getHeaderCell("size", "Size", true)
+                     ],
+                     widgets: [
+                        {
+                           name: "alfresco/lists/views/layouts/Row",
+                           config: {
+                              widgets: [
+                                 getCell("name"),
+                                 getCell("site"),
+                                 getCell("size")
+                              ]
+                           }
+                        }
+                     ]
+                  }
+               }
+            ]
+         }
+      },
+      {
+         name: "alfresco/logging/DebugLog"
+      }
+   ]
+};
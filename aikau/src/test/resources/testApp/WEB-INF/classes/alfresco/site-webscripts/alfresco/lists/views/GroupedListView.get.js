@@ -0,0 +1,121 @@
+var getCell = function(property) {
+   return {
+      name: "alfresco/lists/views/layouts/Cell",
+      config: {
+         widgets: [
+            {
+               name: "alfresco/renderers/Property",
+               config: {
+                  propertyToRender: property
+               }
+            }
+         ]
+      }
+   };
+};
+
+model.jsonModel = {
+   services: [
+      {
+         name: "alfresco/services/LoggingService",
+         config: {
+            loggingPreferences: {
+               enabled: true,
+               all: true,
+               warn: true,
+               error: true
+            }
+         }
+      }
+   ],
+   widgets: [
+      {
+         id: "GROUPED_LIST",
+         name: "alfresco/lists/AlfSortablePaginatedList",
+         config: {
+            pubSubScope: "GROUPED_",
+            useLocalData: true,
+            usePagination: false,
+            localDataGroupBy: "site",
+            sortField: "size",
+            currentData: {
+               items: [
+                  { name: "Alice", site: "Marketing", size: 12 },
+                  { name: "Bob", site: "Engineering", size: 3 },
+                  { name: "Charlie", site: "Sales", size: 27 },
+                  { name: "Diana", site: "Engineering", size: 8 },
+                  { name: "Edward", site: "Marketing", size: 1 },
+                  { name: "Fiona", site: "Sales", size: 15 },
+                  { name: "George", site: "Engineering", size: 30 },
+                  { name: "Hannah", site: "Marketing", size: 6 }
+               ]
+            },
+            widgets: [
+               {
+                  name: "alfresco/lists/views/AlfListView",
+                  config: {
+                     additionalCssClasses: "bordered",
+                     groupBy: {
+                        property: "site",
+                        aggregates: [
+                           {
+                              name: "totalSize",
+                              property: "size",
+                              type: "sum",
+                              label: "Total size"
+                           },
+                           {
+                              name: "averageSize",
+                              property: "size",
+                              type: "avg",
+                              label: "Average size"
+                           }
+                        ]
+                     },
+                     widgetsForHeader: [
+                        {
+                           id: "NAME_HEADER",
+                           name: "alfresco/lists/views/layouts/HeaderCell",
+                           config: {
+                              label: "Name"
+                           }
+                        },
+                        {
+                           id: "SITE_HEADER",
+                           name: "alfresco/lists/views/layouts/HeaderCell",
+                           config: {
+                              label: "Site"
+                           }
+                        },
+                        {
+                           id: "SIZE_HEADER",
+                           name: "alfresco/lists/views/layouts/HeaderCell",
+                           config: {
+                              label: "Size",
+                              sortable: true,
+                              sortValue: "size"
+                           }
+                        }
+                     ],
+                     widgets: [
+                        {
+                           name: "alfresco/lists/views/layouts/Row",
+                           config: {
+                              widgets: [
+                                 getCell("name"),
+                                 getCell("site"),
+                                 getCell("size")
+                              ]
+                           }
+                        }
+                     ]
+                  }
+               }
+            ]
+         }
+      },
+      {
+         name: "alfresco/logging/DebugLog"
+      }
+   ]
+};
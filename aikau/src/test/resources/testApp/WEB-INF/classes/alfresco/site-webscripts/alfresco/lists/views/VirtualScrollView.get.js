@@ -0,0 +1,121 @@
+var items = [];
+for (var i = 0; i < 1000; i++)
+{
+   items.push({
+      nodeRef: "item" + i,
+      name: "Item " + i
+   });
+}
+
+model.jsonModel = {
+   services: [
+      {
+         name: "alfresco/services/LoggingService",
+         config: {
+            loggingPreferences: {
+               enabled: true,
+               all: true,
+               warn: true,
+               error: true
+            }
+         }
+      }
+   ],
+   widgets: [
+      {
+         id: "SELECT_ALL",
+         name: "alfresco/buttons/AlfButton",
+         config: {
+            label: "Select all",
+            pubSubScope: "VIRTUAL_",
+            publishTopic: "ALF_DOCLIST_FILE_SELECTION",
+            publishPayload: {
+               value: "selectAll"
+            }
+         }
+      },
+      {
+         id: "SELECT_NONE",
+         name: "alfresco/buttons/AlfButton",
+         config: {
+            label: "Select none",
+            pubSubScope: "VIRTUAL_",
+            publishTopic: "ALF_DOCLIST_FILE_SELECTION",
+            publishPayload: {
+               value: "selectNone"
+            }
+         }
+      },
+      {
+         id: "VIRTUAL_LIST",
+         name: "alfresco/lists/AlfList",
+         config: {
+            pubSubScope: "VIRTUAL_",
+            useLocalData: true,
+            currentData: {
+               items: items
+            },
+            widgets: [
+               {
+                  id: "VIRTUAL_VIEW",
+                  name: "alfresco/lists/views/AlfListView",
+                  config: {
+                     additionalCssClasses: "bordered",
+                     useVirtualScroll: true,
+                     virtualScrollHeight: 300,
+                     widgetsForHeader: [
+                        {
+                           name: "alfresco/lists/views/layouts/HeaderCell",
+                           config: {
+                              label: ""
+                           }
+                        },
+                        {
+                           name: "alfresco/lists/views/layouts/HeaderCell",
+                           config: {
+                              label: "Name"
+                           }
+                        }
+                     ],
+                     widgets: [
+                        {
+                           name: "alfresco/lists/views/layouts/Row",
+                           config: {
+                              widgets: [
+                                 {
+                                    name: "alfresco/lists/views/layouts/Cell",
+                                    config: {
+                                       widgets: [
+                                          {
+                                             name: "alfresco/renderers/Selector"
+                                          }
+                                       ]
+                                    }
+                                 },
+                                 {
+                                    name: "alfresco/lists/views/layouts/Cell",
+                                    config: {
+                                       widgets: [
+                                          {
+                                             name: "alfresco/renderers/Property",
+                                             config: {
+                                                propertyToRender: "name"
+                                             }
+                                          }
+                                       ]
+                                    }
+                                 }
+                              ]
+                           }
+                        }
+                     ]
+                  }
+               }
+            ]
+         }
+      },
+      {
+         name: "alfresco/logging/DebugLog"
+      }
+   ]
+};
@@ -0,0 +1,77 @@
+model.jsonModel = {
+   services: [
+      {
+         name: "alfresco/services/LoggingService",
+         config: {
+            loggingPreferences: {
+               enabled: true,
+               all: true,
+               warn: true,
+               error: true
+            }
+         }
+      },
+      "aikauTesting/mockservices/TreeTestService"
+   ],
+   widgets: [
+      {
+         id: "TREE",
+         name: "alfresco/navigation/Tree",
+         config: {
+            childRequestPublishTopic: "TREE_TEST_GET_CHILDREN",
+            showFilter: true,
+            filterPublishTopic: "TREE_TEST_FILTER",
+            filterDebounceMs: 100,
+            showCheckboxes: true,
+            checkOnClick: false,
+            checkedItemsTopic: "TREE_ITEMS_CHECKED"
+         }
+      },
+      {
+         id: "FORM",
+         name: "alfresco/forms/Form",
+         config: {
+            okButtonPublishTopic: "POST_FORM",
+            scopeFormControls: false,
+            value: {
+               categories: ["COX", "CARROTS"]
+            },
+            widgets: [
+               {
+                  id: "CATEGORIES",
+                  name: "alfresco/forms/controls/Tree",
+                  config: {
+                     fieldId: "CATEGORIES",
+                     label: "Select categories",
+                     name: "categories",
+                     valueProperty: "nodeRef",
+                     multipleSelection: true,
+                     optionsConfig: {
+                        publishTopic: "TREE_TEST_GET_CHILDREN",
+                        publishGlobal: true
+                     }
+                  }
+               },
+               {
+                  id: "CUSTOM_TREE",
+                  name: "alfresco/forms/controls/Tree",
+                  config: {
+                     fieldId: "CUSTOM_TREE",
+                     label: "Select from a custom tree",
+                     name: "custom",
+                     valueProperty: "nodeRef",
+                     treeWidget: "aikauTesting/widgets/CustomTree",
+                     optionsConfig: {
+                        publishTopic: "TREE_TEST_GET_CHILDREN",
+                        publishGlobal: true
+                     }
+                  }
+               }
+            ]
+         }
+      },
+      {
+         name: "alfresco/logging/DebugLog"
+      }
+   ]
+};
@@ -0,0 +1 @@
+<@processJsonModel group="share"/>
\ No newline at end of file
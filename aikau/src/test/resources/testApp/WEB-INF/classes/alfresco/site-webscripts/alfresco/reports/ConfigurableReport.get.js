@@ -0,0 +1,85 @@
+model.jsonModel = {
+   services: [
+      {
+         name: "alfresco/services/LoggingService",
+         config: {
+            loggingPreferences: {
+               enabled: true,
+               all: true
+            }
+         }
+      },
+      "aikauTesting/mockservices/ReportItemsMockService",
+      {
+         name: "alfresco/services/ReportService",
+         config: {
+            reportDefinitions: [
+               {
+                  id: "DOCUMENTS_BY_TYPE",
+                  dataTopic: "ALF_RETRIEVE_REPORT_ITEMS",
+                  categoryProperty: "type",
+                  sortBy: "value",
+                  sortAscending: false,
+                  chartType: "PieChart",
+                  categoryLabel: "Type",
+                  valueLabel: "Documents"
+               },
+               {
+                  id: "SIZE_BY_SITE",
+                  dataTopic: "ALF_RETRIEVE_REPORT_ITEMS",
+                  categoryProperty: "site",
+                  seriesProperty: "type",
+                  valueProperty: "size",
+                  categoryLabel: "Site",
+                  valueLabel: "Total size"
+               }
+            ]
+         }
+      }
+   ],
+   widgets: [
+      {
+         id: "COUNT_REPORT",
+         name: "alfresco/reports/ConfigurableReport",
+         config: {
+            reportId: "DOCUMENTS_BY_TYPE",
+            displayMode: "both",
+            chartOptions: {
+               height: 250
+            }
+         }
+      },
+      {
+         id: "SIZE_REPORT",
+         name: "alfresco/reports/ConfigurableReport",
+         config: {
+            reportId: "SIZE_BY_SITE"
+         }
+      },
+      {
+         id: "INLINE_REPORT",
+         name: "alfresco/reports/ConfigurableReport",
+         config: {
+            reportDefinition: {
+               dataTopic: "ALF_RETRIEVE_REPORT_ITEMS",
+               categoryProperty: "site",
+               valueProperty: "size",
+               aggregation: "max",
+               sortBy: "value",
+               sortAscending: false,
+               limit: 1
+            }
+         }
+      },
+      {
+         id: "MISSING_REPORT",
+         name: "alfresco/reports/ConfigurableReport",
+         config: {
+            reportId: "MISSING"
+         }
+      },
+      {
+         name: "alfresco/logging/DebugLog"
+      }
+   ]
+};
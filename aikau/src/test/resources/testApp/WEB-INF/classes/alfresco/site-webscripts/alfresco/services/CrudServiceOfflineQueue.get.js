@@ -0,0 +1,76 @@
+model.jsonModel = {
+   services: [
+      {
+         name: "alfresco/services/LoggingService",
+         config: {
+            loggingPreferences: {
+               enabled: true,
+               all: true,
+               warn: true,
+               error: true
+            }
+         }
+      },
+      {
+         name: "alfresco/services/CrudService",
+         config: {
+            offlineQueueEnabled: true,
+            offlineQueueStorageKey: "ALF_CRUD_SERVICE_OFFLINE_QUEUE_TEST"
+         }
+      },
+      "alfresco/services/NotificationService",
+      "alfresco/services/DialogService"
+   ],
+   widgets:[
+      {
+         name: "alfresco/buttons/AlfButton",
+         id: "GO_OFFLINE",
+         config: {
+            label: "Go offline",
+            publishTopic: "MOCK_GO_OFFLINE",
+            publishGlobal: true
+         }
+      },
+      {
+         name: "alfresco/buttons/AlfButton",
+         id: "GO_ONLINE",
+         config: {
+            label: "Go online",
+            publishTopic: "MOCK_GO_ONLINE",
+            publishGlobal: true
+         }
+      },
+      {
+         name: "alfresco/buttons/AlfButton",
+         id: "UPDATE_ITEM",
+         config: {
+            label: "Update item",
+            publishTopic: "ALF_CRUD_UPDATE",
+            publishPayload: {
+               url: "offline/item",
+               alfResponseTopic: "ITEM_UPDATED",
+               name: "Updated"
+            }
+         }
+      },
+      {
+         name: "alfresco/buttons/AlfButton",
+         id: "UPDATE_CONFLICT",
+         config: {
+            label: "Update conflicting item",
+            publishTopic: "ALF_CRUD_UPDATE",
+            publishPayload: {
+               url: "conflict/item",
+               alfResponseTopic: "CONFLICT_UPDATED",
+               name: "Updated"
+            }
+         }
+      },
+      {
+         name: "aikauTesting/mockservices/CrudServiceOfflineMockXhr"
+      },
+      {
+         name: "alfresco/logging/DebugLog"
+      }
+   ]
+};
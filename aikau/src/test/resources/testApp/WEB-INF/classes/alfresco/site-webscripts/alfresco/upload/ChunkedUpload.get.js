@@ -0,0 +1,67 @@
+model.jsonModel = {
+   services: [
+      {
+         name: "alfresco/services/LoggingService",
+         config: {
+            loggingPreferences: {
+               enabled: true,
+               all: true
+            }
+         }
+      },
+      {
+         name: "alfresco/services/FileUploadService",
+         config: {
+            chunkedUpload: true,
+            chunkSize: 1024,
+            chunkRetryDelay: 50,
+            chunkedUploadEndpoint: "aikauTesting/mockservices/ChunkedUploadMockEndpoint",
+            chunkedUploadEndpointConfig: {
+               failChunkRequests: 1,
+               responseDelay: 200
+            }
+         }
+      },
+      "alfresco/services/NotificationService",
+      "aikauTesting/mockservices/ChunkedUploadTestService"
+   ],
+   widgets: [
+      {
+         id: "CLEAR_STATE",
+         name: "alfresco/buttons/AlfButton",
+         config: {
+            label: "Clear upload state",
+            publishTopic: "CLEAR_CHUNKED_UPLOAD_STATE",
+            publishGlobal: true
+         }
+      },
+      {
+         id: "UPLOAD_LARGE_FILE",
+         name: "alfresco/buttons/AlfButton",
+         config: {
+            label: "Upload 10KB file",
+            publishTopic: "CREATE_TEST_UPLOAD",
+            publishPayload: {
+               name: "large.bin",
+               size: 10240
+            },
+            publishGlobal: true
+         }
+      },
+      {
+         id: "GET_RESUMABLE_UPLOADS",
+         name: "alfresco/buttons/AlfButton",
+         config: {
+            label: "Get resumable uploads",
+            publishTopic: "ALF_GET_RESUMABLE_UPLOADS",
+            publishPayload: {
+               alfResponseTopic: "RESUMABLE_UPLOADS"
+            },
+            publishGlobal: true
+         }
+      },
+      {
+         name: "alfresco/logging/DebugLog"
+      }
+   ]
+};
@@ -23,6 +23,14 @@ model.jsonModel = {
             }
          }
       },
+      {
+         id: "SIM_FOLDER_DROP",
+         name: "alfresco/buttons/AlfButton",
+         config: {
+            label: "Simulate folder drop",
+            publishTopic: "SIM_FOLDER_DROP"
+         }
+      },
       {
          name: "aikauTesting/widgets/DragAndDropUploadTester",
          config: {
@@ -0,0 +1,47 @@
+model.jsonModel = {
+   services: [
+      {
+         name: "alfresco/services/LoggingService",
+         config: {
+            loggingPreferences: {
+               enabled: true,
+               all: true
+            }
+         }
+      },
+      "alfresco/services/FileUploadService",
+      "alfresco/services/NotificationService",
+      "aikauTesting/mockservices/FolderUploadTestService"
+   ],
+   widgets: [
+      {
+         id: "UPLOAD_FOLDERS",
+         name: "alfresco/buttons/AlfButton",
+         config: {
+            label: "Upload folders",
+            publishTopic: "CREATE_TEST_FOLDER_UPLOAD",
+            publishPayload: {
+               files: [
+                  { name: "top.txt" },
+                  { name: "a.jpg", relativePath: "Photos" },
+                  { name: "b.jpg", relativePath: "Photos/2016" },
+                  { name: "c.jpg", relativePath: "Photos/2016" },
+                  { name: "d.txt", relativePath: "Existing" },
+                  { name: "e.txt", relativePath: "Broken/Sub" }
+               ],
+               folders: ["Photos", "Photos/2016", "Photos/Empty", "Existing", "Broken", "Broken/Sub"]
+            },
+            publishGlobal: true
+         }
+      },
+      {
+         name: "aikauTesting/mockservices/FolderUploadMockXhr",
+         config: {
+            averageUploadTimeSecs: 0.5
+         }
+      },
+      {
+         name: "alfresco/logging/DebugLog"
+      }
+   ]
+};
@@ -0,0 +1,128 @@
+model.jsonModel = {
+   publishOnReady: [
+      {
+         publishTopic: "ALF_REGISTER_PRE_UPLOAD_STEP",
+         publishPayload: {
+            name: "aikauTesting/services/ThrowsPreUploadStepException"
+         }
+      },
+      {
+         publishTopic: "ALF_REGISTER_PRE_UPLOAD_STEP",
+         publishPayload: {
+            name: "alfresco/upload/steps/DuplicateNameStep",
+            config: {
+               onDuplicate: "rename"
+            }
+         }
+      }
+   ],
+   services: [
+      {
+         name: "alfresco/services/LoggingService",
+         config: {
+            loggingPreferences: {
+               enabled: true,
+               all: true
+            }
+         }
+      },
+      {
+         name: "alfresco/services/FileUploadService",
+         config: {
+            preUploadSteps: [
+               {
+                  name: "alfresco/upload/steps/FileTypeSniffStep",
+                  config: {
+                     blockedTypes: ["application/x-msdownload"]
+                  }
+               },
+               {
+                  name: "alfresco/upload/steps/ChecksumStep"
+               }
+            ]
+         }
+      },
+      "alfresco/services/NotificationService",
+      "aikauTesting/mockservices/ChunkedUploadTestService"
+   ],
+   widgets: [
+      {
+         id: "UPLOAD_PNG",
+         name: "alfresco/buttons/AlfButton",
+         config: {
+            label: "Upload PNG image",
+            publishTopic: "CREATE_TEST_UPLOAD",
+            publishPayload: {
+               name: "image.png",
+               type: "image/png",
+               bytes: [137, 80, 78, 71, 13, 10, 26, 10, 0, 0, 0, 0]
+            },
+            publishGlobal: true
+         }
+      },
+      {
+         id: "UPLOAD_EXE",
+         name: "alfresco/buttons/AlfButton",
+         config: {
+            label: "Upload executable",
+            publishTopic: "CREATE_TEST_UPLOAD",
+            publishPayload: {
+               name: "tool.exe",
+               bytes: [77, 90, 144, 0]
+            },
+            publishGlobal: true
+         }
+      },
+      {
+         id: "UPLOAD_FAKE_PDF",
+         name: "alfresco/buttons/AlfButton",
+         config: {
+            label: "Upload PNG image with PDF extension",
+            publishTopic: "CREATE_TEST_UPLOAD",
+            publishPayload: {
+               name: "fake.pdf",
+               type: "application/pdf",
+               bytes: [137, 80, 78, 71, 13, 10, 26, 10, 0, 0, 0, 0]
+            },
+            publishGlobal: true
+         }
+      },
+      {
+         id: "UPLOAD_UNKNOWN_PDF",
+         name: "alfresco/buttons/AlfButton",
+         config: {
+            label: "Upload text file with PDF extension",
+            publishTopic: "CREATE_TEST_UPLOAD",
+            publishPayload: {
+               name: "unknown.pdf",
+               type: "application/pdf",
+               bytes: [104, 101, 108, 108, 111]
+            },
+            publishGlobal: true
+         }
+      },
+      {
+         id: "UPLOAD_DUPLICATE",
+         name: "alfresco/buttons/AlfButton",
+         config: {
+            label: "Upload file with existing name",
+            publishTopic: "CREATE_TEST_UPLOAD",
+            publishPayload: {
+               name: "existing.txt",
+               type: "text/plain",
+               bytes: [104, 101, 108, 108, 111]
+            },
+            publishGlobal: true
+         }
+      },
+      {
+         name: "aikauTesting/mockservices/PreUploadMockXhr",
+         config: {
+            averageUploadTimeSecs: 0.5
+         }
+      },
+      {
+         name: "alfresco/logging/DebugLog"
+      }
+   ]
+};
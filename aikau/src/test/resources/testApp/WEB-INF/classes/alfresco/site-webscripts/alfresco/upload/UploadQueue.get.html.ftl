@@ -0,0 +1 @@
+<@processJsonModel />
\ No newline at end of file
@@ -0,0 +1,64 @@
+model.jsonModel = {
+   services: [
+      {
+         name: "alfresco/services/LoggingService",
+         config: {
+            loggingPreferences: {
+               enabled: true,
+               all: true
+            }
+         }
+      },
+      {
+         name: "alfresco/services/FileUploadService",
+         config: {
+            maxSimultaneousUploads: 1,
+            uploadQueueOrder: "SMALLEST_FIRST"
+         }
+      },
+      "alfresco/services/NotificationService"
+   ],
+   widgets: [
+      {
+         id: "QUEUED_UPLOADS",
+         name: "alfresco/buttons/AlfButton",
+         config: {
+            label: "Queued uploads",
+            publishTopic: "ALF_UPLOAD_REQUEST",
+            publishPayload: {
+               alfResponseTopic: "UPLOAD_COMPLETE_OR_CANCELLED",
+               files: [
+                  {
+                     size: 3000000,
+                     name: "Large.pdf"
+                  },
+                  {
+                     size: 90000000,
+                     name: "Huge.zip"
+                  },
+                  {
+                     size: 1000,
+                     name: "Small.txt"
+                  },
+                  {
+                     size: 200000,
+                     name: "Medium.docx"
+                  }
+               ],
+               targetData: {
+                  destination: "some://fake/node"
+               }
+            }
+         }
+      },
+      {
+         name: "aikauTesting/mockservices/UploadMockXhr",
+         config: {
+            averageUploadTimeSecs: 3
+         }
+      },
+      {
+         name: "alfresco/logging/DebugLog"
+      }
+   ]
+};
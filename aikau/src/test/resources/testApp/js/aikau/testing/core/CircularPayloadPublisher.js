@@ -0,0 +1,67 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Test widget that publishes a payload containing circular references, functions and DOM nodes on
+ * "CIRCULAR_PAYLOAD" whenever "PUBLISH_CIRCULAR" is published so that the serialisation of recorded
+ * publications can be verified.
+ *
+ * @module aikauTesting/core/CircularPayloadPublisher
+ * @extends external:dijit/_WidgetBase
+ * @mixes module:alfresco/core/Core
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["dojo/_base/declare",
+        "dijit/_WidgetBase", 
+        "alfresco/core/Core",
+        "dojo/_base/lang"], 
+        function(declare, _Widget, AlfCore, lang) {
+   
+   return declare([_Widget, AlfCore], {
+      
+      /**
+       * Sets up the subscription.
+       * 
+       * @instance
+       */
+      postCreate: function aikauTesting_core_CircularPayloadPublisher__postCreate() {
+         this.alfSubscribe("PUBLISH_CIRCULAR", lang.hitch(this, this.onPublishCircular), true);
+      },
+
+      /**
+       * Publishes the payload with circular references.
+       *
+       * @instance
+       */
+      onPublishCircular: function aikauTesting_core_CircularPayloadPublisher__onPublishCircular() {
+         var payload = {
+            name: "circular",
+            node: this.domNode,
+            callback: function() {},
+            nested: {
+               items: ["a", "b"]
+            }
+         };
+         payload.self = payload;
+         payload.nested.parent = payload;
+         this.alfPublish("CIRCULAR_PAYLOAD", payload, true);
+      }
+   });
+});
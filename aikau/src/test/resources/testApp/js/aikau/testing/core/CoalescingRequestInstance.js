@@ -0,0 +1,88 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+/**
+ * Test widget for verifying that identical concurrent GET requests made via 
+ * [serviceXhr]{@link module:alfresco/core/CoreXhr#serviceXhr} are coalesced. When "TEST_COALESCE" is
+ * published it makes two identical requests at the same time, publishing the result each requester
+ * received on "COALESCED_RESPONSE_1_SUCCESS" and "COALESCED_RESPONSE_2_SUCCESS". Each requester then
+ * changes its response so that it can be verified that requesters do not share response data.
+ *
+ * @module aikauTesting/core/CoalescingRequestInstance
+ * @extends external:dijit/_WidgetBase
+ * @mixes module:alfresco/core/Core
+ * @mixes module:alfresco/core/CoreXhr
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["dojo/_base/declare",
+        "dijit/_WidgetBase", 
+        "alfresco/core/Core",
+        "alfresco/core/CoreXhr",
+        "service/constants/Default",
+        "dojo/_base/lang"], 
+        function(declare, _Widget, AlfCore, CoreXhr, AlfConstants, lang) {
+   
+   return declare([_Widget, AlfCore, CoreXhr], {
+
+      /**
+       * Sets up the subscription.
+       * 
+       * @instance
+       */
+      postCreate: function aikauTesting_core_CoalescingRequestInstance__postCreate() {
+         this.alfSubscribe("TEST_COALESCE", lang.hitch(this, this.onTestCoalesce), true);
+      },
+
+      /**
+       * Makes two identical GET requests without waiting for the first to complete.
+       *
+       * @instance
+       */
+      onTestCoalesce: function aikauTesting_core_CoalescingRequestInstance__onTestCoalesce() {
+         this.serviceXhr({
+            url: AlfConstants.PROXY_URI + "coalesced/url",
+            method: "GET",
+            alfTopic: "COALESCED_RESPONSE_1",
+            successCallback: this.onCoalescedResponse,
+            callbackScope: this
+         });
+         this.serviceXhr({
+            url: AlfConstants.PROXY_URI + "coalesced/url",
+            method: "GET",
+            alfTopic: "COALESCED_RESPONSE_2",
+            successCallback: this.onCoalescedResponse,
+            callbackScope: this
+         });
+      },
+
+      /**
+       * Publishes the result received and then changes the response.
+       *
+       * @instance
+       * @param {object} response The response
+       * @param {object} requestConfig The configuration for the request
+       */
+      onCoalescedResponse: function aikauTesting_core_CoalescingRequestInstance__onCoalescedResponse(response, requestConfig) {
+         this.alfPublish(requestConfig.alfTopic + "_SUCCESS", {
+            result: response.result
+         }, true);
+         response.result = "CHANGED_BY_" + requestConfig.alfTopic;
+      }
+   });
+});
@@ -0,0 +1,172 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Test widget for verifying the timeout, cancellation and retry options of alfPublishToPromise. It
+ * subscribes to "TEST_TIMEOUT", "TEST_CANCEL" and "TEST_RETRY" to make the requests and publishes the
+ * outcome on "PROMISE_RESOLVED" or "PROMISE_REJECTED". It also acts as a service for "FLAKY_SERVICE"
+ * requests that fails the first request it receives. Publishing "TEST_CANCEL_XHR" makes a CRUD request
+ * that is cancelled while the XHR request is still in flight and publishing "TEST_STOP_SHARED_TOPIC" makes
+ * two CRUD requests with the same response topic and then requests that they are stopped.
+ *
+ * @module aikauTesting/core/PublishToPromiseInstance
+ * @extends external:dijit/_WidgetBase
+ * @mixes module:alfresco/core/Core
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["dojo/_base/declare",
+        "dijit/_WidgetBase", 
+        "alfresco/core/Core",
+        "alfresco/core/topics",
+        "dojo/_base/lang"], 
+        function(declare, _Widget, AlfCore, topics, lang) {
+   
+   return declare([_Widget, AlfCore], {
+
+      /**
+       * The number of requests received on the "FLAKY_SERVICE" topic.
+       *
+       * @instance
+       * @type {number}
+       * @default
+       */
+      flakyRequestCount: 0,
+      
+      /**
+       * Sets up the subscriptions.
+       * 
+       * @instance
+       */
+      postCreate: function aikauTesting_core_PublishToPromiseInstance__postCreate() {
+         this.alfSubscribe("TEST_TIMEOUT", lang.hitch(this, this.onTestTimeout), true);
+         this.alfSubscribe("TEST_CANCEL", lang.hitch(this, this.onTestCancel), true);
+         this.alfSubscribe("TEST_CANCEL_XHR", lang.hitch(this, this.onTestCancelXhr), true);
+         this.alfSubscribe("TEST_STOP_SHARED_TOPIC", lang.hitch(this, this.onTestStopSharedTopic), true);
+         this.alfSubscribe("TEST_RETRY", lang.hitch(this, this.onTestRetry), true);
+         this.alfSubscribe("FLAKY_SERVICE", lang.hitch(this, this.onFlakyRequest), true);
+      },
+
+      /**
+       * Makes a request that nothing will respond to with a short timeout.
+       *
+       * @instance
+       */
+      onTestTimeout: function aikauTesting_core_PublishToPromiseInstance__onTestTimeout() {
+         this.reportOutcome(this.alfPublishToPromise("NO_SERVICE", {}, true, false, {
+            timeout: 500
+         }));
+      },
+
+      /**
+       * Makes a request that nothing will respond to and then immediately cancels it.
+       *
+       * @instance
+       */
+      onTestCancel: function aikauTesting_core_PublishToPromiseInstance__onTestCancel() {
+         var promise = this.alfPublishToPromise("NO_SERVICE", {}, true);
+         this.reportOutcome(promise);
+         promise.cancel();
+      },
+
+      /**
+       * Makes a CRUD request and cancels it once the XHR request has been sent (but before the
+       * mock server has responded).
+       *
+       * @instance
+       */
+      onTestCancelXhr: function aikauTesting_core_PublishToPromiseInstance__onTestCancelXhr() {
+         var promise = this.alfPublishToPromise("ALF_CRUD_GET_ALL", {
+            url: "abortable/url"
+         }, true);
+         this.reportOutcome(promise);
+         window.setTimeout(function() {
+            promise.cancel();
+         }, 500);
+      },
+
+      /**
+       * Makes two CRUD requests that share a response topic and then requests that the requests for that
+       * response topic are stopped once the XHR requests have been sent.
+       *
+       * @instance
+       */
+      onTestStopSharedTopic: function aikauTesting_core_PublishToPromiseInstance__onTestStopSharedTopic() {
+         this.alfPublish("ALF_CRUD_GET_ALL", {
+            url: "stoppable/url/1",
+            alfResponseTopic: "SHARED_RESPONSE"
+         }, true);
+         this.alfPublish("ALF_CRUD_GET_ALL", {
+            url: "stoppable/url/2",
+            alfResponseTopic: "SHARED_RESPONSE"
+         }, true);
+         window.setTimeout(lang.hitch(this, function() {
+            this.alfPublish(topics.STOP_XHR_REQUEST, {
+               requestId: "SHARED_RESPONSE"
+            }, true);
+         }), 500);
+      },
+
+      /**
+       * Makes a request to the flaky service allowing retries.
+       *
+       * @instance
+       */
+      onTestRetry: function aikauTesting_core_PublishToPromiseInstance__onTestRetry() {
+         this.reportOutcome(this.alfPublishToPromise("FLAKY_SERVICE", {}, true, false, {
+            retries: 2,
+            retryDelay: 100
+         }));
+      },
+
+      /**
+       * Fails the first request and succeeds for all subsequent requests.
+       *
+       * @instance
+       * @param {object} payload The request payload
+       */
+      onFlakyRequest: function aikauTesting_core_PublishToPromiseInstance__onFlakyRequest(payload) {
+         this.flakyRequestCount++;
+         var outcome = this.flakyRequestCount === 1 ? "_FAILURE" : "_SUCCESS";
+         this.alfPublish(payload.alfResponseTopic + outcome, {
+            response: {
+               requestCount: this.flakyRequestCount
+            }
+         }, true);
+      },
+
+      /**
+       * Publishes the outcome of the supplied promise.
+       *
+       * @instance
+       * @param {object} promise The promise returned by alfPublishToPromise
+       */
+      reportOutcome: function aikauTesting_core_PublishToPromiseInstance__reportOutcome(promise) {
+         promise.then(lang.hitch(this, function(response) {
+            this.alfPublish("PROMISE_RESOLVED", response, true);
+         }), lang.hitch(this, function(error) {
+            this.alfPublish("PROMISE_REJECTED", {
+               errorName: error.name,
+               topic: error.topic,
+               timeout: error.timeout
+            }, true);
+         }));
+      }
+   });
+});
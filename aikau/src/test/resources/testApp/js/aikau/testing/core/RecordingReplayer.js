@@ -0,0 +1,80 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+/**
+ * Test widget that keeps the last recording published on "RECORDING_EXPORTED" and requests that it is
+ * replayed whenever "REPLAY_EXPORTED_RECORDING" is published (with the response published on 
+ * "EXPORTED_RECORDING_REPLAYED") so that the replaying of a recording made in the page can be verified.
+ *
+ * @module aikauTesting/core/RecordingReplayer
+ * @extends external:dijit/_WidgetBase
+ * @mixes module:alfresco/core/Core
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["dojo/_base/declare",
+        "dijit/_WidgetBase", 
+        "alfresco/core/Core",
+        "alfresco/core/topics",
+        "dojo/_base/lang"], 
+        function(declare, _Widget, AlfCore, topics, lang) {
+   
+   return declare([_Widget, AlfCore], {
+
+      /**
+       * The last recording that was exported.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       */
+      recording: null,
+      
+      /**
+       * Sets up the subscriptions.
+       * 
+       * @instance
+       */
+      postCreate: function aikauTesting_core_RecordingReplayer__postCreate() {
+         this.alfSubscribe("RECORDING_EXPORTED", lang.hitch(this, this.onRecordingExported), true);
+         this.alfSubscribe("REPLAY_EXPORTED_RECORDING", lang.hitch(this, this.onReplayExportedRecording), true);
+      },
+
+      /**
+       * Keeps the exported recording.
+       *
+       * @instance
+       * @param {object} payload The payload containing the recording
+       */
+      onRecordingExported: function aikauTesting_core_RecordingReplayer__onRecordingExported(payload) {
+         this.recording = payload.recording;
+      },
+
+      /**
+       * Requests that the exported recording is replayed.
+       *
+       * @instance
+       */
+      onReplayExportedRecording: function aikauTesting_core_RecordingReplayer__onReplayExportedRecording() {
+         this.alfPublish(topics.REPLAY_PUBSUB_RECORDING, {
+            recording: this.recording,
+            alfResponseTopic: "EXPORTED_RECORDING_REPLAYED"
+         }, true);
+      }
+   });
+});
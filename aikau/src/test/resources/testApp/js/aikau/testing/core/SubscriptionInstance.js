@@ -0,0 +1,79 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Test widget that makes one-shot and pattern subscriptions so that their behaviour can be verified.
+ * Each time a subscription callback is called a publication is made on "ONCE_FIRED" or "PATTERN_FIRED"
+ * (as appropriate) with the topic that triggered the callback and the number of times it has been called.
+ *
+ * @module aikauTesting/core/SubscriptionInstance
+ * @extends external:dijit/_WidgetBase
+ * @mixes module:alfresco/core/Core
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["dojo/_base/declare",
+        "dijit/_WidgetBase", 
+        "alfresco/core/Core",
+        "dojo/_base/lang"], 
+        function(declare, _Widget, AlfCore, lang) {
+   
+   return declare([_Widget, AlfCore], {
+
+      /**
+       * Counts the number of times each subscription callback has been called.
+       *
+       * @instance
+       * @type {object}
+       * @default
+       */
+      callCounts: null,
+      
+      /**
+       * Sets up the subscriptions.
+       * 
+       * @instance
+       */
+      postCreate: function aikauTesting_core_SubscriptionInstance__postCreate() {
+         this.callCounts = {};
+         this.alfSubscribeOnce("ONCE", lang.hitch(this, this.onCallback, "ONCE_FIRED", "ONCE"));
+         this.alfSubscribePattern("ALF_DOCLIST_*", lang.hitch(this, this.onCallback, "PATTERN_FIRED", "SCOPED"));
+         this.alfSubscribePattern("*ALF_RELOAD_DATA", lang.hitch(this, this.onCallback, "PATTERN_FIRED", "AGNOSTIC"));
+         this.alfSubscribeOnce("ONCE_*", lang.hitch(this, this.onCallback, "ONCE_FIRED", "ONCE_PATTERN"));
+      },
+
+      /**
+       * Publishes the details of the subscription callback that has been called.
+       *
+       * @instance
+       * @param {string} firedTopic The topic to publish on to report the callback
+       * @param {string} subscription An identifier for the subscription that was called
+       * @param {object} payload The payload of the publication
+       * @param {string} [topic] The topic that was published on (only provided for pattern subscriptions)
+       */
+      onCallback: function aikauTesting_core_SubscriptionInstance__onCallback(firedTopic, subscription, payload, topic) {
+         this.callCounts[subscription] = (this.callCounts[subscription] || 0) + 1;
+         this.alfPublish(firedTopic, {
+            subscription: subscription,
+            topic: topic,
+            count: this.callCounts[subscription]
+         }, true);
+      }
+   });
+});
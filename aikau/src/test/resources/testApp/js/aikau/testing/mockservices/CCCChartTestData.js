@@ -38,6 +38,7 @@ define(["dojo/_base/declare",
             constructor: function alfresco_testing_mockservices_CCCChartTestData__constructor(args) {
                lang.mixin(this, args);
                this.alfSubscribe("GET_SAMPLE_CHART_DATA_1", lang.hitch(this, this.getSampleChartData1));
+               this.alfSubscribe("GET_SAMPLE_TIME_SERIES_DATA", lang.hitch(this, this.getSampleTimeSeriesData));
             },
 
             /**
@@ -70,6 +71,46 @@ define(["dojo/_base/declare",
                      }
                   }
                });
+            },
+
+            /**
+             *
+             * @instance
+             * @param {object} payload
+             */
+            getSampleTimeSeriesData: function alfresco_testing_mockservices_CCCChartTestData__getSampleTimeSeriesData(payload) {
+               var alfTopic = (payload.alfResponseTopic != null) ? payload.alfResponseTopic : "GET_SAMPLE_TIME_SERIES_DATA";
+               this.alfPublish(alfTopic + "_SUCCESS", {
+                  response: {
+                     data: {
+                        "resultset": [
+                           ["Documents", "2016-03-01", 10],
+                           ["Documents", "2016-03-02", 15],
+                           ["Documents", "2016-03-03", 12],
+                           ["Wiki", "2016-03-01", 4],
+                           ["Wiki", "2016-03-02", 7],
+                           ["Wiki", "2016-03-03", 9]
+                        ],
+                        "metadata": [{
+                           "colIndex": 0,
+                           "colType": "String",
+                           "colName": "Type"
+                        }, {
+                           "colIndex": 1,
+                           "colType": "String",
+                           "colName": "Date"
+                        }, {
+                           "colIndex": 2,
+                           "colType": "Numeric",
+                           "colName": "Count"
+                        }]
+                     },
+                     dataDescriptor: {
+                        crosstabMode: false,
+                        seriesInRows: false
+                     }
+                  }
+               });
             }
          });
       });
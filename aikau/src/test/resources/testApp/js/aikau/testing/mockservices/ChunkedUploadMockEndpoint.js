@@ -0,0 +1,169 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * A stand-in for the chunked upload server that keeps the upload sessions in local storage (so that they
+ * survive page reloads). Each request is published on the "CHUNKED_UPLOAD_MOCK_REQUEST" topic so that tests
+ * can check the requests that were made.
+ *
+ * @module aikauTesting/mockservices/ChunkedUploadMockEndpoint
+ * @extends module:alfresco/upload/ChunkedUploadEndpoint
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["alfresco/upload/ChunkedUploadEndpoint",
+        "dojo/_base/declare",
+        "dojo/Deferred"],
+        function(ChunkedUploadEndpoint, declare, Deferred) {
+
+   return declare([ChunkedUploadEndpoint], {
+
+      /**
+       * The number of chunk requests that should fail before chunks are stored successfully.
+       *
+       * @instance
+       * @type {number}
+       * @default
+       */
+      failChunkRequests: 0,
+
+      /**
+       * The time (in milliseconds) to take to respond to each request.
+       *
+       * @instance
+       * @type {number}
+       * @default
+       */
+      responseDelay: 100,
+
+      /**
+       * The local storage key for the sessions.
+       *
+       * @instance
+       * @type {string}
+       * @default
+       */
+      sessionsStorageKey: "ALF_CHUNKED_UPLOAD_MOCK_SESSIONS",
+
+      /**
+       * Simulates the server handling of each request.
+       *
+       * @instance
+       * @override
+       */
+      sendRequest: function alfresco_testing_mockservices_ChunkedUploadMockEndpoint__sendRequest(method, url, body, headers, progressCallback) {
+         var timeout;
+         var dfd = new Deferred(function() {
+            clearTimeout(timeout);
+         });
+         var range = headers && headers["Content-Range"],
+             rangeMatch = range && /bytes (\d+)-(\d+)\/(\d+)/.exec(range),
+             sessionId = decodeURIComponent((/sessions\/([^\/]+)/.exec(url) || [])[1] || ""),
+             start = rangeMatch ? parseInt(rangeMatch[1], 10) : null;
+
+         this.alfPublish("CHUNKED_UPLOAD_MOCK_REQUEST", {
+            method: method,
+            url: url,
+            start: start,
+            end: rangeMatch ? parseInt(rangeMatch[2], 10) + 1 : null
+         }, true);
+
+         if (progressCallback && body) {
+            setTimeout(function() {
+               progressCallback(Math.floor(body.size / 2));
+            }, this.responseDelay / 2);
+         }
+
+         timeout = setTimeout(function() {
+            var response = this.processRequest(method, url, body, sessionId, rangeMatch);
+            if (response.status === 200) {
+               dfd.resolve(response);
+            } else {
+               dfd.reject(response);
+            }
+         }.bind(this), this.responseDelay);
+         return dfd.promise;
+      },
+
+      /**
+       * Creates the response to a request.
+       *
+       * @instance
+       * @param {string} method The HTTP method
+       * @param {string} url The URL
+       * @param {object} body The body of the request
+       * @param {string} sessionId The id of the session the request is for
+       * @param {array} rangeMatch The parsed Content-Range header
+       * @returns {object} An object resembling a completed XMLHttpRequest
+       */
+      processRequest: function alfresco_testing_mockservices_ChunkedUploadMockEndpoint__processRequest(method, url, body, sessionId, rangeMatch) {
+         var sessions = JSON.parse(localStorage.getItem(this.sessionsStorageKey) || "{}"),
+             session = sessions[sessionId],
+             result = {};
+
+         if (method === "POST" && !sessionId) {
+            sessionId = "session_" + Date.now();
+            sessions[sessionId] = {
+               filename: JSON.parse(body).filename,
+               uploadedBytes: 0
+            };
+            result.sessionId = sessionId;
+         } else if (!session) {
+            return this.createResponse(404, "Session not found", {});
+         } else if (method === "PUT" && this.failChunkRequests > 0) {
+            this.failChunkRequests--;
+            return this.createResponse(500, "Simulated chunk failure", {});
+         } else if (method === "PUT") {
+            session.uploadedBytes = parseInt(rangeMatch[2], 10) + 1;
+            result.uploadedBytes = session.uploadedBytes;
+         } else if (method === "GET") {
+            result.uploadedBytes = session.uploadedBytes;
+         } else if (method === "POST") {
+            delete sessions[sessionId];
+            result = {
+               nodeRef: "workspace://SpacesStore/" + sessionId,
+               fileName: session.filename
+            };
+         } else if (method === "DELETE") {
+            delete sessions[sessionId];
+         }
+
+         localStorage.setItem(this.sessionsStorageKey, JSON.stringify(sessions));
+         return this.createResponse(200, "OK", result);
+      },
+
+      /**
+       * Creates an object resembling a completed XMLHttpRequest.
+       *
+       * @instance
+       * @param {number} status The status code
+       * @param {string} statusText The status text
+       * @param {object} response The response body
+       * @returns {object} The response
+       */
+      createResponse: function alfresco_testing_mockservices_ChunkedUploadMockEndpoint__createResponse(status, statusText, response) {
+         return {
+            status: status,
+            statusText: statusText,
+            readyState: 4,
+            responseText: JSON.stringify(response)
+         };
+      }
+   });
+});
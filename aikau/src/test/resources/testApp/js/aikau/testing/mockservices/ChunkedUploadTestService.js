@@ -0,0 +1,80 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Creates files in memory and requests that they are uploaded, so that uploads can be tested without
+ * needing to select files from disk. The files are always created with the same modification date so that the
+ * same file can be uploaded again after the page has been reloaded.
+ *
+ * @module aikauTesting/mockservices/ChunkedUploadTestService
+ * @extends module:alfresco/core/Core
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["alfresco/core/Core",
+        "alfresco/core/topics",
+        "dojo/_base/declare",
+        "dojo/_base/lang"],
+        function(AlfCore, topics, declare, lang) {
+
+   return declare([AlfCore], {
+
+      /**
+       * @instance
+       * @param {array} args The constructor arguments.
+       */
+      constructor: function alfresco_testing_mockservices_ChunkedUploadTestService__constructor(args) {
+         lang.mixin(this, args);
+         this.alfSubscribe("CREATE_TEST_UPLOAD", lang.hitch(this, this.onCreateTestUpload));
+         this.alfSubscribe("CLEAR_CHUNKED_UPLOAD_STATE", lang.hitch(this, this.onClearState));
+      },
+
+      /**
+       * Creates a file and requests that it is uploaded. The file contains either the requested "bytes"
+       * or the requested "size" of zero bytes.
+       *
+       * @instance
+       * @param {object} payload The payload with the "name", optional "type" and either the "bytes" or "size" of the file to create
+       */
+      onCreateTestUpload: function alfresco_testing_mockservices_ChunkedUploadTestService__onCreateTestUpload(payload) {
+         var content = payload.bytes ? new Uint8Array(payload.bytes) : new Uint8Array(payload.size);
+         var file = new File([content], payload.name, {
+            type: payload.type || "",
+            lastModified: 1000
+         });
+         this.alfPublish(topics.UPLOAD_REQUEST, {
+            alfResponseTopic: "UPLOAD_COMPLETE_OR_CANCELLED",
+            files: [file],
+            targetData: {
+               destination: "some://fake/node"
+            }
+         }, true);
+      },
+
+      /**
+       * Removes the upload manifest and the stand-in server sessions from local storage.
+       *
+       * @instance
+       */
+      onClearState: function alfresco_testing_mockservices_ChunkedUploadTestService__onClearState() {
+         localStorage.removeItem("ALF_CHUNKED_UPLOAD_MANIFEST");
+         localStorage.removeItem("ALF_CHUNKED_UPLOAD_MOCK_SESSIONS");
+      }
+   });
+});
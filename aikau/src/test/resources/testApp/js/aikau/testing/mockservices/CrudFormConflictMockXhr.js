@@ -0,0 +1,146 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Mock XHR for testing the resolution of conflicting updates made from a CrudForm. A single item
+ * is available at "concurrency/item" and is returned with an ETag that changes each time the item
+ * is updated. Updates are rejected with a 412 status when the "If-Match" header does not match the
+ * current ETag. The item can be changed by "someone else" by publishing "MOCK_REMOTE_CHANGE" and can
+ * be deleted by publishing "MOCK_REMOTE_DELETE" (it can then be created again with a POST request).
+ *
+ * @module aikauTesting/mockservices/CrudFormConflictMockXhr
+ * @extends module:alfresco/testing/MockXhr
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["dojo/_base/declare",
+        "alfresco/testing/MockXhr",
+        "dojo/_base/lang"],
+        function(declare, MockXhr, lang) {
+
+   return declare([MockXhr], {
+
+      /**
+       * The current version of the item.
+       *
+       * @instance
+       * @type {number}
+       * @default
+       */
+      version: 1,
+
+      /**
+       * The current state of the item.
+       *
+       * @instance
+       * @type {object}
+       * @default
+       */
+      item: null,
+
+      /**
+       * Sets up the initial item and the subscription for changing it remotely.
+       *
+       * @instance
+       */
+      constructor: function aikauTesting_mockservices_CrudFormConflictMockXhr__constructor() {
+         this.item = {
+            name: "Original",
+            description: "Original"
+         };
+         this.alfSubscribe("MOCK_REMOTE_CHANGE", lang.hitch(this, this.onRemoteChange), true);
+         this.alfSubscribe("MOCK_REMOTE_DELETE", lang.hitch(this, this.onRemoteDelete), true);
+      },
+
+      /**
+       * Changes the description of the item as if someone else had updated it.
+       *
+       * @instance
+       */
+      onRemoteChange: function aikauTesting_mockservices_CrudFormConflictMockXhr__onRemoteChange() {
+         this.version++;
+         this.item.description = "Changed remotely " + this.version;
+      },
+
+      /**
+       * Deletes the item as if someone else had deleted it.
+       *
+       * @instance
+       */
+      onRemoteDelete: function aikauTesting_mockservices_CrudFormConflictMockXhr__onRemoteDelete() {
+         this.version++;
+         this.item = null;
+      },
+
+      /**
+       * Responds to requests for the item.
+       *
+       * @instance
+       * @param {object} request The fake request
+       */
+      respondToRequest: function aikauTesting_mockservices_CrudFormConflictMockXhr__respondToRequest(request) {
+         var etag = "v" + this.version,
+            headers = {
+               "Content-Type": "application/json;charset=UTF-8"
+            };
+         if (request.method === "GET" && !this.item)
+         {
+            request.respond(404, headers, JSON.stringify({
+               message: "The item does not exist"
+            }));
+         }
+         else if (request.method === "GET")
+         {
+            headers.ETag = etag;
+            request.respond(200, headers, JSON.stringify(this.item));
+         }
+         else if (request.requestHeaders["If-Match"] && request.requestHeaders["If-Match"] !== etag)
+         {
+            request.respond(412, headers, JSON.stringify({
+               message: "The item has been changed"
+            }));
+         }
+         else
+         {
+            var data = JSON.parse(request.requestBody);
+            this.version++;
+            this.item = {
+               name: data.name,
+               description: data.description
+            };
+            headers.ETag = "v" + this.version;
+            request.respond(200, headers, JSON.stringify(this.item));
+         }
+      },
+
+      /**
+       * This sets up the fake server with all the responses it should provide.
+       *
+       * @instance
+       */
+      setupServer: function aikauTesting_mockservices_CrudFormConflictMockXhr__setupServer() {
+         try {
+            this.server.respondWith(/\/concurrency\/item/, lang.hitch(this, this.respondToRequest));
+            this.alfPublish("ALF_MOCK_XHR_SERVICE_READY", {});
+         } catch (e) {
+            this.alfLog("error", "The following error occurred setting up the mock server", e);
+         }
+      }
+   });
+});
@@ -0,0 +1,92 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Mock XHR for testing the offline queue of the CrudService. The browser can be made to appear to
+ * be offline by publishing "MOCK_GO_OFFLINE" and back online by publishing "MOCK_GO_ONLINE" (which
+ * will also dispatch the "online" event). Updates to "offline/item" succeed and updates to "conflict/item"
+ * fail with a 409 status.
+ *
+ * @module aikauTesting/mockservices/CrudServiceOfflineMockXhr
+ * @extends module:alfresco/testing/MockXhr
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["dojo/_base/declare",
+        "alfresco/testing/MockXhr",
+        "dojo/_base/lang"],
+        function(declare, MockXhr, lang) {
+
+   return declare([MockXhr], {
+
+      /**
+       * Sets up the subscriptions for changing the connection status.
+       *
+       * @instance
+       */
+      constructor: function aikauTesting_mockservices_CrudServiceOfflineMockXhr__constructor() {
+         this.alfSubscribe("MOCK_GO_OFFLINE", lang.hitch(this, this.setOnline, false), true);
+         this.alfSubscribe("MOCK_GO_ONLINE", lang.hitch(this, this.setOnline, true), true);
+      },
+
+      /**
+       * Overrides the online status of the browser.
+       *
+       * @instance
+       * @param {boolean} online Whether or not the browser should appear to be online
+       */
+      setOnline: function aikauTesting_mockservices_CrudServiceOfflineMockXhr__setOnline(online) {
+         Object.defineProperty(window.navigator, "onLine", {
+            configurable: true,
+            get: function() {
+               return online;
+            }
+         });
+         if (online)
+         {
+            var evt = document.createEvent("Event");
+            evt.initEvent("online", false, false);
+            window.dispatchEvent(evt);
+         }
+      },
+
+      /**
+       * This sets up the fake server with all the responses it should provide.
+       *
+       * @instance
+       */
+      setupServer: function aikauTesting_mockservices_CrudServiceOfflineMockXhr__setupServer() {
+         try {
+            this.server.respondWith("PUT", /\/offline\/item/, [200, {
+               "Content-Type": "application/json;charset=UTF-8"
+            }, JSON.stringify({
+               result: "OK"
+            })]);
+            this.server.respondWith("PUT", /\/conflict\/item/, [409, {
+               "Content-Type": "application/json;charset=UTF-8"
+            }, JSON.stringify({
+               result: "CONFLICT"
+            })]);
+            this.alfPublish("ALF_MOCK_XHR_SERVICE_READY", {});
+         } catch (e) {
+            this.alfLog("error", "The following error occurred setting up the mock server", e);
+         }
+      }
+   });
+});
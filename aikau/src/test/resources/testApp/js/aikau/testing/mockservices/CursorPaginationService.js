@@ -0,0 +1,118 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * This mock service simulates a REST API that pages results using opaque cursors and that does not
+ * provide a total number of results.
+ * 
+ * @module aikauTesting/mockservices/CursorPaginationService
+ * @extends module:alfresco/core/Core
+ * @author Dave Draper
+ */
+define(["dojo/_base/declare",
+        "alfresco/core/Core",
+        "dojo/_base/lang"],
+         function(declare, AlfCore, lang) {
+
+   return declare([AlfCore], {
+
+      /**
+       * The topic to subscribe to to service requests for list data
+       *
+       * @instance
+       * @type {string}
+       * @default
+       */
+      loadDataSubscriptionTopic: null,
+
+      /**
+       * The total number of items available.
+       *
+       * @instance
+       * @type {number}
+       * @default
+       */
+      totalItems: 25,
+
+      /**
+       *
+       *
+       * @instance
+       * @param {array} args The constructor arguments.
+       */
+      constructor: function alfresco_testing_mockservices_CursorPaginationService__constructor(args) {
+         lang.mixin(this, args);
+         if (this.loadDataSubscriptionTopic)
+         {
+            this.alfSubscribe(this.loadDataSubscriptionTopic, lang.hitch(this, this.onLoadDataRequest));
+         }
+      },
+
+      /**
+       * Creates the cursor for the page of results starting at the supplied index.
+       *
+       * @instance
+       * @param {number} startIndex The index of the first item in the page
+       * @returns {string} The cursor
+       */
+      createCursor: function alfresco_testing_mockservices_CursorPaginationService__createCursor(startIndex) {
+         return "cursor-" + startIndex;
+      },
+
+      /**
+       * This function simulates cursor paginated results. The cursor provided in the request identifies the
+       * first item of the page to return, the cursors for the next and previous pages are returned in the
+       * response (and are omitted when there is no next or previous page).
+       * 
+       * @instance
+       * @param {object} payload
+       */
+      onLoadDataRequest: function alfresco_testing_mockservices_CursorPaginationService__onLoadDataRequest(payload) {
+         var pageSize = payload.pageSize || 10;
+         var startIndex = payload.cursor ? parseInt(payload.cursor.substring(7), 10) : 0;
+         var stopIndex = Math.min(startIndex + pageSize, this.totalItems);
+         var ascending = payload.sortAscending !== false;
+
+         var items = [];
+         for (var i=startIndex; i<stopIndex; i++)
+         {
+            items.push({
+               index: ascending ? i + 1 : this.totalItems - i
+            });
+         }
+
+         var response = {
+            items: items
+         };
+         if (stopIndex < this.totalItems)
+         {
+            response.nextCursor = this.createCursor(stopIndex);
+         }
+         if (startIndex > 0)
+         {
+            response.previousCursor = this.createCursor(Math.max(startIndex - pageSize, 0));
+         }
+
+         var alfTopic = payload.alfResponseTopic ? payload.alfResponseTopic : "ALF_RETRIEVE_DOCUMENTS_REQUEST";
+         this.alfPublish(alfTopic + "_SUCCESS", {
+            response: response
+         });
+      }
+   });
+});
@@ -0,0 +1,70 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Extends the [UploadMockXhr]{@link module:aikauTesting/UploadMockXhr} to respond to requests to create
+ * the folders for a folder upload. Folders called "Existing" are reported as already existing and folders
+ * called "Broken" cannot be created.
+ *
+ * @module aikauTesting/mockservices/FolderUploadMockXhr
+ * @extends module:aikauTesting/UploadMockXhr
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["dojo/_base/declare",
+        "dojo/_base/lang",
+        "aikauTesting/mockservices/UploadMockXhr"],
+        function(declare, lang, UploadMockXhr) {
+
+   return declare([UploadMockXhr], {
+
+      /**
+       * Extends the inherited function to respond to requests to create folders.
+       *
+       * @instance
+       * @override
+       */
+      setupServer: function alfresco_testing_mockservices_FolderUploadMockXhr__setupServer() {
+         this.inherited(arguments);
+         try {
+            this.server.respondWith("POST", /\/public\/alfresco\/versions\/1\/nodes\/[^\/]+\/children/, lang.hitch(this, function(request) {
+               var folder = JSON.parse(request.requestBody),
+                   headers = {
+                     "Content-Type": "application/json;charset=UTF-8"
+                   };
+               if (folder.name === "Broken") {
+                  request.respond(500, headers, JSON.stringify({}));
+               } else if (folder.name === "Existing") {
+                  request.respond(409, headers, JSON.stringify({}));
+               } else {
+                  request.respond(201, headers, JSON.stringify({
+                     entry: {
+                        id: "folder-" + folder.name,
+                        name: folder.name,
+                        isFolder: true
+                     }
+                  }));
+               }
+            }));
+         } catch (e) {
+            this.alfLog("error", "The following error occurred setting up the mock server", e);
+         }
+      }
+   });
+});
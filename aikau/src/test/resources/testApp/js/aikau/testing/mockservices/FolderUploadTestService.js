@@ -0,0 +1,72 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Creates files in memory (each with a "relativePath" as if it had been dropped in a folder) and requests
+ * that they are uploaded along with a list of folders, so that folder uploads can be tested without needing
+ * to drop folders from disk.
+ *
+ * @module aikauTesting/mockservices/FolderUploadTestService
+ * @extends module:alfresco/core/Core
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["alfresco/core/Core",
+        "alfresco/core/topics",
+        "dojo/_base/array",
+        "dojo/_base/declare",
+        "dojo/_base/lang"],
+        function(AlfCore, topics, array, declare, lang) {
+
+   return declare([AlfCore], {
+
+      /**
+       * @instance
+       * @param {array} args The constructor arguments.
+       */
+      constructor: function alfresco_testing_mockservices_FolderUploadTestService__constructor(args) {
+         lang.mixin(this, args);
+         this.alfSubscribe("CREATE_TEST_FOLDER_UPLOAD", lang.hitch(this, this.onCreateTestFolderUpload));
+      },
+
+      /**
+       * Creates the requested files and requests that they are uploaded.
+       *
+       * @instance
+       * @param {object} payload The payload with the "files" (each with a "name" and optional "relativePath") and "folders"
+       */
+      onCreateTestFolderUpload: function alfresco_testing_mockservices_FolderUploadTestService__onCreateTestFolderUpload(payload) {
+         var files = array.map(payload.files, function(fileConfig) {
+            var file = new File(["content"], fileConfig.name);
+            if (fileConfig.relativePath) {
+               file.relativePath = fileConfig.relativePath;
+            }
+            return file;
+         });
+         this.alfPublish(topics.UPLOAD_REQUEST, {
+            alfResponseTopic: "UPLOAD_COMPLETE_OR_CANCELLED",
+            files: files,
+            folders: payload.folders,
+            targetData: {
+               destination: "some://fake/node"
+            }
+         }, true);
+      }
+   });
+});
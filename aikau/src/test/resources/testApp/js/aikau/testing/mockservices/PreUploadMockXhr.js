@@ -0,0 +1,78 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Extends the [UploadMockXhr]{@link module:aikauTesting/UploadMockXhr} to respond to the requests made
+ * by the [DuplicateNameStep]{@link module:alfresco/upload/steps/DuplicateNameStep} to check for existing
+ * nodes in the upload folder.
+ *
+ * @module aikauTesting/mockservices/PreUploadMockXhr
+ * @extends module:aikauTesting/UploadMockXhr
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["dojo/_base/declare",
+        "dojo/_base/array",
+        "dojo/_base/lang",
+        "dojo/io-query",
+        "aikauTesting/mockservices/UploadMockXhr"],
+        function(declare, array, lang, ioQuery, UploadMockXhr) {
+
+   return declare([UploadMockXhr], {
+
+      /**
+       * The paths (relative to the upload folder) of the nodes that exist.
+       *
+       * @instance
+       * @type {string[]}
+       */
+      existingPaths: ["existing.txt", "existing-1.txt"],
+
+      /**
+       * Extends the inherited function to respond to requests for nodes by relative path.
+       *
+       * @instance
+       * @override
+       */
+      setupServer: function alfresco_testing_mockservices_PreUploadMockXhr__setupServer() {
+         this.inherited(arguments);
+         try {
+            this.server.respondWith("GET", /\/public\/alfresco\/versions\/1\/nodes\/[^?]+\?(.*)/, lang.hitch(this, function(request, query) {
+               var relativePath = ioQuery.queryToObject(query).relativePath;
+               if (array.indexOf(this.existingPaths, relativePath) !== -1) {
+                  request.respond(200, {
+                     "Content-Type": "application/json;charset=UTF-8"
+                  }, JSON.stringify({
+                     entry: {
+                        id: "existing-" + relativePath,
+                        name: relativePath
+                     }
+                  }));
+               } else {
+                  request.respond(404, {
+                     "Content-Type": "application/json;charset=UTF-8"
+                  }, JSON.stringify({}));
+               }
+            }));
+         } catch (e) {
+            this.alfLog("error", "The following error occurred setting up the mock server", e);
+         }
+      }
+   });
+});
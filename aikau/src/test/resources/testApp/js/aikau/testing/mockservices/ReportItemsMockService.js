@@ -0,0 +1,63 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Provides the items for report definitions that use a data topic rather than a URL.
+ *
+ * @module aikauTesting/mockservices/ReportItemsMockService
+ * @extends module:alfresco/core/Core
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["alfresco/core/Core",
+        "dojo/_base/declare",
+        "dojo/_base/lang"],
+        function(AlfCore, declare, lang) {
+
+   return declare([AlfCore], {
+
+      /**
+       * @instance
+       * @param {array} args The constructor arguments.
+       */
+      constructor: function alfresco_testing_mockservices_ReportItemsMockService__constructor(args) {
+         lang.mixin(this, args);
+         this.alfSubscribe("ALF_RETRIEVE_REPORT_ITEMS", lang.hitch(this, this.onItemsRequest));
+      },
+
+      /**
+       * @instance
+       * @param {object} payload
+       */
+      onItemsRequest: function alfresco_testing_mockservices_ReportItemsMockService__onItemsRequest(payload) {
+         this.alfPublish(payload.alfResponseTopic + "_SUCCESS", {
+            response: {
+               items: [
+                  { type: "Document", site: "alpha", size: 10 },
+                  { type: "Document", site: "beta", size: 20 },
+                  { type: "Image", site: "alpha", size: 5 },
+                  { type: "Document", site: "alpha", size: 7 },
+                  { type: "Video", site: "beta", size: 100 },
+                  { type: "Image", site: "beta", size: 8 }
+               ]
+            }
+         }, false, false, payload.alfResponseScope);
+      }
+   });
+});
@@ -0,0 +1,83 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * This mock service is used for testing rules that depend on the result of an asynchronous publication.
+ * Responses are only published once released so that tests can verify the state of rules whilst
+ * waiting for a result.
+ *
+ * @module aikauTesting/mockservices/RulesEngineMockService
+ * @extends module:alfresco/core/Core
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["dojo/_base/declare",
+        "alfresco/core/Core",
+        "dojo/_base/lang",
+        "dojo/_base/array"],
+   function(declare, AlfCore, lang, array) {
+
+      return declare([AlfCore], {
+
+         /**
+          * The requests that are waiting for a response.
+          *
+          * @instance
+          * @type {object[]}
+          * @default
+          */
+         pendingRequests: null,
+
+         /**
+          * @instance
+          * @param {array} args The constructor arguments.
+          */
+         constructor: function alfresco_testing_mockservices_RulesEngineMockService__constructor(args) {
+            lang.mixin(this, args);
+            this.pendingRequests = [];
+            this.alfSubscribe("CHECK_USERNAME_AVAILABLE", lang.hitch(this, this.onCheckUsername));
+            this.alfSubscribe("RELEASE_RESPONSES", lang.hitch(this, this.onReleaseResponses));
+         },
+
+         /**
+          * Queues a request to check whether or not a username is available. Only the username
+          * "taken" is unavailable.
+          *
+          * @instance
+          * @param {object} payload The published payload
+          */
+         onCheckUsername: function alfresco_testing_mockservices_RulesEngineMockService__onCheckUsername(payload) {
+            this.pendingRequests.push(payload);
+         },
+
+         /**
+          * Publishes the responses to all of the queued requests.
+          *
+          * @instance
+          */
+         onReleaseResponses: function alfresco_testing_mockservices_RulesEngineMockService__onReleaseResponses() {
+            array.forEach(this.pendingRequests, function(request) {
+               this.alfPublish(request.alfResponseTopic, {
+                  available: request.value !== "taken"
+               }, false, false, request.alfResponseScope);
+            }, this);
+            this.pendingRequests = [];
+         }
+      });
+   });
@@ -0,0 +1,161 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+/**
+ * Provides an in-memory hierarchy of nodes for testing trees. Child nodes are requested by path (as
+ * done by [TreeStore]{@link module:alfresco/navigation/TreeStore}) and nodes can be searched for by name
+ * (as done by [_TreeFilterMixin]{@link module:alfresco/navigation/_TreeFilterMixin}).
+ *
+ * @module aikauTesting/mockservices/TreeTestService
+ * @extends module:alfresco/core/Core
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["alfresco/core/Core",
+        "dojo/_base/array",
+        "dojo/_base/declare",
+        "dojo/_base/lang"],
+        function(AlfCore, array, declare, lang) {
+
+   return declare([AlfCore], {
+
+      /**
+       * The hierarchy of nodes. Each node has a "name", a "nodeRef" and optional "children".
+       *
+       * @instance
+       * @type {object[]}
+       */
+      nodes: [
+         {
+            name: "Fruit",
+            nodeRef: "FRUIT",
+            children: [
+               {
+                  name: "Apples",
+                  nodeRef: "APPLES",
+                  children: [
+                     { name: "Bramley", nodeRef: "BRAMLEY" },
+                     { name: "Cox", nodeRef: "COX" }
+                  ]
+               },
+               { name: "Bananas", nodeRef: "BANANAS" }
+            ]
+         },
+         {
+            name: "Vegetables",
+            nodeRef: "VEGETABLES",
+            children: [
+               { name: "Carrots", nodeRef: "CARROTS" },
+               { name: "Cabbage", nodeRef: "CABBAGE" }
+            ]
+         },
+         { name: "Cheese", nodeRef: "CHEESE" }
+      ],
+
+      /**
+       * @instance
+       * @param {array} args The constructor arguments.
+       */
+      constructor: function alfresco_testing_mockservices_TreeTestService__constructor(args) {
+         lang.mixin(this, args);
+         this.alfSubscribe("TREE_TEST_GET_CHILDREN", lang.hitch(this, this.onGetChildren));
+         this.alfSubscribe("TREE_TEST_FILTER", lang.hitch(this, this.onFilter));
+      },
+
+      /**
+       * Finds the children of the node at the supplied path.
+       *
+       * @instance
+       * @param {string} path The path of the parent node (e.g. "/Fruit/Apples/")
+       * @returns {object[]} The child nodes
+       */
+      getChildNodes: function alfresco_testing_mockservices_TreeTestService__getChildNodes(path) {
+         var children = this.nodes;
+         array.forEach(array.filter(path.split("/"), function(name) { return !!name; }), function(name) {
+            var node = array.filter(children, function(child) {
+               return child.name === name;
+            })[0];
+            children = (node && node.children) || [];
+         });
+         return children;
+      },
+
+      /**
+       * Publishes the children of the requested path.
+       *
+       * @instance
+       * @param {object} payload The payload with the "path" of the parent node
+       */
+      onGetChildren: function alfresco_testing_mockservices_TreeTestService__onGetChildren(payload) {
+         // NOTE: TreeStore re-uses its payload object so the values must be captured before responding
+         var path = payload.path || "/",
+             responseTopic = payload.alfResponseTopic,
+             responseScope = payload.alfResponseScope,
+             items = array.map(this.getChildNodes(path), function(node) {
+                return {
+                   name: node.name,
+                   nodeRef: node.nodeRef,
+                   hasChildren: !!node.children
+                };
+             });
+         setTimeout(lang.hitch(this, function() {
+            this.alfPublish(responseTopic, {
+               response: {
+                  items: items
+               },
+               requestConfig: {
+                  data: {
+                     path: path
+                  }
+               }
+            }, false, false, responseScope);
+         }), 100);
+      },
+
+      /**
+       * Publishes the paths of all the nodes with names containing the search term.
+       *
+       * @instance
+       * @param {object} payload The payload with the "searchTerm"
+       */
+      onFilter: function alfresco_testing_mockservices_TreeTestService__onFilter(payload) {
+         var items = [],
+             searchTerm = (payload.searchTerm || "").toLowerCase(),
+             search = function(nodes, path) {
+                array.forEach(nodes, function(node) {
+                   var nodePath = path + node.name + "/";
+                   if (node.name.toLowerCase().indexOf(searchTerm) !== -1) {
+                      items.push({
+                         name: node.name,
+                         path: nodePath
+                      });
+                   }
+                   search(node.children || [], nodePath);
+                });
+             };
+         search(this.nodes, "/");
+         setTimeout(lang.hitch(this, function() {
+            this.alfPublish(payload.alfResponseTopic, {
+               response: {
+                  items: items
+               }
+            }, false, false, payload.alfResponseScope);
+         }), 100);
+      }
+   });
+});
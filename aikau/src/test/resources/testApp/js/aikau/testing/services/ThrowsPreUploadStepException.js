@@ -0,0 +1,40 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * @module aikauTesting/services/ThrowsPreUploadStepException
+ * @extends module:alfresco/upload/steps/_PreUploadStep
+ * @author Dave Draper
+ */
+define(["dojo/_base/declare",
+        "alfresco/upload/steps/_PreUploadStep"],
+        function(declare, _PreUploadStep) {
+   
+   return declare([_PreUploadStep], {
+      
+      /**
+       * Intentionally causes an exception for testing purposes
+       * 
+       * @instance
+       */
+      constructor: function aikauTesting_services_ThrowsPreUploadStepException__constructor() {
+         throw new Error("This is an error");
+      }
+   });
+});
\ No newline at end of file
@@ -0,0 +1,46 @@
+/**
+ * Copyright (C) 2005-2016 Alfresco Software Limited.
+ *
+ * This file is part of Alfresco
+ *
+ * Alfresco is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Alfresco is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Alfresco. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * A tree that marks its root node so that tests can verify that it was created in place
+ * of the default [Tree]{@link module:alfresco/navigation/Tree}.
+ *
+ * @module aikauTesting/widgets/CustomTree
+ * @extends module:alfresco/navigation/Tree
+ * @author Dave Draper
+ * @since 1.0.106
+ */
+define(["dojo/_base/declare",
+        "alfresco/navigation/Tree",
+        "dojo/dom-class"], 
+        function(declare, Tree, domClass) {
+   
+   return declare([Tree], {
+
+      /**
+       * Extends the inherited function to add a CSS class to the root node.
+       *
+       * @instance
+       */
+      postCreate: function aikauTesting_widgets_CustomTree__postCreate() {
+         this.inherited(arguments);
+         domClass.add(this.domNode, "aikauTesting-CustomTree");
+      }
+   });
+});
@@ -68,6 +68,84 @@ define(["dojo/_base/declare",
                }
             });
          }));
+
+         this.alfSubscribe("SIM_FOLDER_DROP", lang.hitch(this, function() {
+            var photos = this.createDirectoryEntry("/Photos", [
+               this.createFileEntry("/Photos/a.jpg"),
+               this.createDirectoryEntry("/Photos/2016", [
+                  this.createFileEntry("/Photos/2016/b.jpg")
+               ]),
+               this.createDirectoryEntry("/Photos/Empty", [])
+            ]);
+            var topLevelFile = this.createFileEntry("/top.txt");
+            doclist.view.onDndUploadDrop({
+               dataTransfer: {
+                  files: ["Photos", "top.txt"],
+                  items: [photos, topLevelFile].map(function(entry) {
+                     return {
+                        kind: "file",
+                        webkitGetAsEntry: function() {
+                           return entry;
+                        }
+                     };
+                  })
+               },
+               stopPropagation: function() {},
+               preventDefault: function() {}
+            });
+         }));
+      },
+
+      /**
+       * Creates a stand-in for a FileSystem API file entry.
+       *
+       * @instance
+       * @param {string} fullPath The full path of the file
+       * @returns {object} The entry
+       * @since 1.0.106
+       */
+      createFileEntry: function aikauTesting_widgets_DragAndDropUploadTester__createFileEntry(fullPath) {
+         var name = fullPath.substring(fullPath.lastIndexOf("/") + 1);
+         return {
+            isFile: true,
+            isDirectory: false,
+            name: name,
+            fullPath: fullPath,
+            file: function(callback) {
+               setTimeout(function() {
+                  callback(new File(["content"], name));
+               }, 10);
+            }
+         };
+      },
+
+      /**
+       * Creates a stand-in for a FileSystem API directory entry. As with real directory readers, the
+       * children are returned one at a time.
+       *
+       * @instance
+       * @param {string} fullPath The full path of the directory
+       * @param {object[]} children The entries in the directory
+       * @returns {object} The entry
+       * @since 1.0.106
+       */
+      createDirectoryEntry: function aikauTesting_widgets_DragAndDropUploadTester__createDirectoryEntry(fullPath, children) {
+         return {
+            isFile: false,
+            isDirectory: true,
+            name: fullPath.substring(fullPath.lastIndexOf("/") + 1),
+            fullPath: fullPath,
+            createReader: function() {
+               var remaining = children.slice(0);
+               return {
+                  readEntries: function(callback) {
+                     setTimeout(function() {
+                        callback(remaining.length ? [remaining.shift()] : []);
+                     }, 10);
+                  }
+               };
+            }
+         };
       }
    });
 });
\ No newline at end of file